@@ -4,6 +4,7 @@ import { Server as SocketIOServer } from "socket.io";
 import cors from "cors";
 import helmet from "helmet";
 import compression from "compression";
+import cookieParser from "cookie-parser";
 import { connectDB } from "./src/database/database.js";
 import authRoutes from "./src/routes/auth.js";
 import courseRoutes from "./src/routes/courses.js";
@@ -20,18 +21,22 @@ import marketplaceRoutes from "./src/routes/marketplace.js";
 import webhookRoutes from "./src/routes/webhooks.js";
 import walletRoutes from "./src/routes/wallet.js";
 import noticeRoutes from "./src/routes/notice.js";
+import notificationRoutes from "./src/routes/notifications.js";
 import kycRoutes from "./src/routes/kyc.js";
 import {
   getProgramById,
   getFacultyById,
 } from "./src/controllers/public/programFacultyController.js";
 import { getSalesPageBySlug } from "./src/controllers/public/salesPage.js";
+import { verifyCertificate } from "./src/controllers/public/certificateVerification.js";
+import { verifyTranscript } from "./src/controllers/public/transcriptVerification.js";
 import { authorize } from "./src/middlewares/authorize.js";
 import { setupAssociations } from "./src/models/associations.js";
 import { setupExamAssociations } from "./src/models/exams/index.js";
 import { setupDiscussionsSocket } from "./src/realtime/discussions.js";
 import { setupDirectChatSocket } from "./src/realtime/directChat.js";
 import { setupCoachingMessagingSocket } from "./src/realtime/coachingMessaging.js";
+import { setupNotificationsSocket } from "./src/realtime/notifications.js";
 import { performanceMonitor } from "./src/middlewares/performanceMonitor.js";
 import { trackLoginIP } from "./src/middlewares/ipTracker.js";
 import { EmailLog } from "./src/models/email/emailLog.js";
@@ -42,6 +47,9 @@ import {
 } from "./src/models/marketplace/index.js";
 import { WpuBookUpload } from "./src/models/wpu/wpuBookUpload.js";
 import wpuRoutes from "./src/routes/wpu.js";
+import orgApiRoutes from "./src/routes/orgApi.js";
+import calendarRoutes from "./src/routes/calendar.js";
+import assignmentRoutes from "./src/routes/assignments.js";
 import { db } from "./src/database/database.js";
 
 const app = express();
@@ -54,8 +62,17 @@ app.use(cors());
 app.use(helmet());
 app.use(compression());
 // Increase body size limit to handle large unit content (50MB)
-app.use(express.json({ limit: "50mb" }));
+// Webhooks keep the raw body for signature checks
+app.use(
+  express.json({
+    limit: "50mb",
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks")) req.rawBody = buf.toString("utf8");
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+app.use(cookieParser());
 
 // Performance monitoring
 app.use(performanceMonitor);
@@ -78,12 +95,22 @@ app.use("/api/marketplace", marketplaceRoutes);
 app.use("/api/webhooks", webhookRoutes);
 app.use("/api/wallet", walletRoutes);
 app.use("/api/notices", noticeRoutes);
+app.use("/api/notifications", notificationRoutes);
 app.use("/api/student/kyc", kycRoutes);
 app.use("/api/wpu", wpuRoutes);
+app.use("/api/v1/org", orgApiRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/assignments", assignmentRoutes);
 
 // Public sales page by slug (so /api/public/sales/:slug works without /marketplace)
 app.get("/api/public/sales/:slug", getSalesPageBySlug);
 
+// Public certificate verification (serial printed on the PDF / encoded in its QR code)
+app.get("/api/public/certificates/:serial", verifyCertificate);
+
+// Public transcript verification (code printed on the PDF / encoded in its QR code)
+app.get("/api/public/transcripts/:code", verifyTranscript);
+
 app.use("/api", modulesRoutes);
 
 // ============================================
@@ -242,264 +269,17 @@ connectDB().then(async (success) => {
     setupDiscussionsSocket(io);
     setupDirectChatSocket(io);
     setupCoachingMessagingSocket(io);
+    setupNotificationsSocket(io);
 
-    // Setup background jobs for subscriptions
-    try {
-      const { processAutoRenewals, expireSubscriptions } =
-        await import("./src/services/subscriptionRenewalService.js");
-
-      // Helper to check if it's time to run daily job (2 AM)
-      const shouldRunDailyJob = () => {
-        const now = new Date();
-        const hour = now.getHours();
-        const minute = now.getMinutes();
-        return hour === 2 && minute === 0;
-      };
-
-      let lastDailyRun = new Date();
-      lastDailyRun.setHours(0, 0, 0, 0); // Reset to start of day
-
-      // Check every hour if it's time to run daily jobs
-      setInterval(
-        async () => {
-          const now = new Date();
-          const hoursSinceLastRun = (now - lastDailyRun) / (1000 * 60 * 60);
-
-          // Run if it's been at least 24 hours since last run and it's around 2-3 AM
-          if (
-            hoursSinceLastRun >= 24 &&
-            now.getHours() >= 2 &&
-            now.getHours() < 4
-          ) {
-            console.log("🔄 Processing subscription auto-renewals...");
-            try {
-              const results = await processAutoRenewals();
-              console.log(
-                `✅ Auto-renewal completed: ${results.successful} successful, ${results.failed} failed`,
-              );
-              if (results.errors.length > 0) {
-                console.error("❌ Renewal errors:", results.errors);
-              }
-            } catch (error) {
-              console.error("❌ Error processing auto-renewals:", error);
-            }
-
-            // Wait a bit before expiring subscriptions
-            setTimeout(async () => {
-              console.log("⏰ Expiring subscriptions...");
-              try {
-                const results = await expireSubscriptions();
-                console.log(`✅ Expired ${results.expired} subscriptions`);
-              } catch (error) {
-                console.error("❌ Error expiring subscriptions:", error);
-              }
-            }, 60000); // Wait 1 minute after renewals
-
-            lastDailyRun = new Date();
-          }
-        },
-        60 * 60 * 1000,
-      ); // Check every hour
-
-      console.log("⏰ Subscription renewal background jobs started");
-    } catch (error) {
-      console.warn(
-        "⚠️ Could not setup subscription renewal jobs:",
-        error.message,
-      );
-    }
-
-    // Community subscription expiration checker (runs daily)
-    try {
-      let lastCommunityCheck = new Date(0);
-      setInterval(
-        async () => {
-          const now = new Date();
-          const hoursSinceLastCheck =
-            (now - lastCommunityCheck) / (1000 * 60 * 60);
-
-          // Run once per day (check hourly, execute only once)
-          if (hoursSinceLastCheck >= 24) {
-            console.log("🔄 Checking community subscription expirations...");
-            try {
-              const { checkAndProcessCommunitySubscriptions } =
-                await import("./src/services/communitySubscriptionExpirationService.js");
-              await checkAndProcessCommunitySubscriptions();
-              console.log("✅ Community subscription check completed");
-            } catch (error) {
-              console.error(
-                "❌ Error checking community subscriptions:",
-                error,
-              );
-            }
-            lastCommunityCheck = new Date();
-          }
-        },
-        60 * 60 * 1000,
-      ); // Check hourly
-
-      console.log("⏰ Community subscription expiration checker started");
-    } catch (error) {
-      console.warn(
-        "⚠️ Could not setup community subscription checker:",
-        error.message,
-      );
-    }
-
-    // Exchange rate update job (runs hourly)
-    try {
-      const { runExchangeRateUpdate } =
-        await import("./src/scripts/updateExchangeRates.js");
-
-      // Run immediately on startup (optional, can be removed if you want to wait for first hour)
-      setTimeout(async () => {
-        console.log("🔄 Running initial exchange rate update...");
-        try {
-          await runExchangeRateUpdate();
-        } catch (error) {
-          console.error("❌ Error in initial exchange rate update:", error);
-        }
-      }, 5000); // Wait 5 seconds after server starts
-
-      // Schedule hourly updates
-      setInterval(
-        async () => {
-          try {
-            await runExchangeRateUpdate();
-          } catch (error) {
-            console.error("❌ Error updating exchange rates:", error);
-          }
-        },
-        60 * 60 * 1000,
-      ); // Every hour
-
-      console.log("⏰ Exchange rate update job started (hourly)");
-    } catch (error) {
-      console.warn(
-        "⚠️ Could not setup exchange rate update job:",
-        error.message,
-      );
-    }
-
-    // Expired cart cleanup job (runs daily)
-    try {
-      const { cleanupExpiredCarts } =
-        await import("./src/scripts/cleanupExpiredCarts.js");
-
-      // Run immediately on startup (optional)
-      setTimeout(async () => {
-        console.log("🔄 Running initial expired cart cleanup...");
-        try {
-          await cleanupExpiredCarts();
-        } catch (error) {
-          console.error("❌ Error in initial cart cleanup:", error);
-        }
-      }, 10000); // Wait 10 seconds after server starts
-
-      // Schedule daily cleanup (runs at 3 AM)
-      let lastCartCleanup = new Date(0);
-      setInterval(
-        async () => {
-          const now = new Date();
-          const hoursSinceLastCleanup =
-            (now - lastCartCleanup) / (1000 * 60 * 60);
-
-          // Run if it's been at least 24 hours and it's around 3 AM
-          if (
-            hoursSinceLastCleanup >= 24 &&
-            now.getHours() >= 3 &&
-            now.getHours() < 4
-          ) {
-            console.log("🔄 Cleaning up expired guest carts...");
-            try {
-              await cleanupExpiredCarts();
-              lastCartCleanup = new Date();
-            } catch (error) {
-              console.error("❌ Error cleaning up expired carts:", error);
-            }
-          }
-        },
-        60 * 60 * 1000,
-      ); // Check every hour
-
-      console.log("⏰ Expired cart cleanup job started (daily at 3 AM)");
-    } catch (error) {
-      console.warn(
-        "⚠️ Could not setup expired cart cleanup job:",
-        error.message,
-      );
-    }
-
-    // Expire stale pending event ticket orders (reservation release)
+    // Background jobs (subscription renewals, exchange rates, cart cleanup, ...)
+    // Schedules live in src/services/scheduledJobDefinitions.js
     try {
-      const { expireStalePendingOrders } = await import(
-        "./src/services/eventTicketService.js"
-      );
-      setInterval(
-        async () => {
-          try {
-            await expireStalePendingOrders();
-          } catch (err) {
-            console.error("❌ Event ticket reservation cleanup:", err.message);
-          }
-        },
-        5 * 60 * 1000
+      const { startJobScheduler } = await import(
+        "./src/services/jobSchedulerService.js"
       );
-      console.log("⏰ Event ticket reservation cleanup started (every 5 min)");
+      await startJobScheduler();
     } catch (error) {
-      console.warn(
-        "⚠️ Could not setup event ticket reservation cleanup:",
-        error.message
-      );
-    }
-
-    // Product popularity score update job (runs daily)
-    try {
-      const { runProductPopularityUpdate } =
-        await import("./src/scripts/updateProductPopularity.js");
-
-      // Run immediately on startup (optional)
-      setTimeout(async () => {
-        console.log("🔄 Running initial product popularity update...");
-        try {
-          await runProductPopularityUpdate();
-        } catch (error) {
-          console.error("❌ Error in initial popularity update:", error);
-        }
-      }, 15000); // Wait 15 seconds after server starts
-
-      // Schedule daily update (runs at 2 AM)
-      let lastPopularityUpdate = new Date(0);
-      setInterval(
-        async () => {
-          const now = new Date();
-          const hoursSinceLastUpdate =
-            (now - lastPopularityUpdate) / (1000 * 60 * 60);
-
-          // Run if it's been at least 24 hours and it's around 2 AM
-          if (
-            hoursSinceLastUpdate >= 24 &&
-            now.getHours() >= 2 &&
-            now.getHours() < 3
-          ) {
-            console.log("🔄 Updating product popularity scores...");
-            try {
-              await runProductPopularityUpdate();
-              lastPopularityUpdate = new Date();
-            } catch (error) {
-              console.error("❌ Error updating popularity scores:", error);
-            }
-          }
-        },
-        60 * 60 * 1000,
-      ); // Check every hour
-
-      console.log("⏰ Product popularity update job started (daily at 2 AM)");
-    } catch (error) {
-      console.warn(
-        "⚠️ Could not setup product popularity update job:",
-        error.message,
-      );
+      console.warn("⚠️ Could not start background job scheduler:", error.message);
     }
 
     server.listen(PORT, () => {
@@ -0,0 +1,40 @@
+import { dbLibrary } from "../src/database/database.js";
+
+/**
+ * Adds drip scheduling and quiz gates to modules and units (library database).
+ * Run: node scripts/migrate-add-drip-content.js
+ */
+
+async function run() {
+  console.log("💧 Drip content migration\n");
+
+  await dbLibrary.query(`
+    ALTER TABLE modules
+      ADD COLUMN IF NOT EXISTS drip_type VARCHAR(20) NOT NULL DEFAULT 'immediate'
+        CHECK (drip_type IN ('immediate', 'after_enrollment', 'fixed_date')),
+      ADD COLUMN IF NOT EXISTS drip_days INTEGER CHECK (drip_days >= 0),
+      ADD COLUMN IF NOT EXISTS drip_date TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS quiz_gate BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS quiz_pass_percent INTEGER
+        CHECK (quiz_pass_percent BETWEEN 1 AND 100);
+  `);
+  console.log("✅ modules.drip_type, drip_days, drip_date, quiz_gate, quiz_pass_percent");
+
+  await dbLibrary.query(`
+    ALTER TABLE units
+      ADD COLUMN IF NOT EXISTS drip_type VARCHAR(20) NOT NULL DEFAULT 'immediate'
+        CHECK (drip_type IN ('immediate', 'after_enrollment', 'fixed_date')),
+      ADD COLUMN IF NOT EXISTS drip_days INTEGER CHECK (drip_days >= 0),
+      ADD COLUMN IF NOT EXISTS drip_date TIMESTAMP;
+  `);
+  console.log("✅ units.drip_type, drip_days, drip_date");
+  console.log("ℹ️  Existing modules and units stay 'immediate' (no change for learners).");
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
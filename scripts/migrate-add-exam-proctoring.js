@@ -0,0 +1,72 @@
+import { dbLibrary } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds exam proctoring: exams.proctoring_policy, attempt integrity columns and
+ * exam_proctoring_events (library database).
+ * Run: node scripts/migrate-add-exam-proctoring.js
+ */
+
+async function tableExists(tableName) {
+  const result = await dbLibrary.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🛡️  Exam proctoring migration\n");
+
+  await dbLibrary.query(`ALTER TABLE exams ADD COLUMN IF NOT EXISTS proctoring_policy JSONB;`);
+  console.log("✅ exams.proctoring_policy");
+
+  await dbLibrary.query(`
+    ALTER TABLE exam_attempts
+      ADD COLUMN IF NOT EXISTS violation_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS auto_submitted BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS start_ip VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS client_session_id VARCHAR(100);
+  `);
+  console.log("✅ exam_attempts integrity columns");
+
+  if (await tableExists("exam_proctoring_events")) {
+    console.log("⚠️  exam_proctoring_events already exists — skipping");
+  } else {
+    await dbLibrary.query(`
+      CREATE TABLE exam_proctoring_events (
+        id SERIAL PRIMARY KEY,
+        attempt_id INTEGER NOT NULL REFERENCES exam_attempts(id) ON DELETE CASCADE,
+        exam_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        event_type VARCHAR(40) NOT NULL,
+        source VARCHAR(10) NOT NULL DEFAULT 'client' CHECK (source IN ('client', 'server')),
+        is_violation BOOLEAN NOT NULL DEFAULT false,
+        details JSONB,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        session_id VARCHAR(100),
+        occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await dbLibrary.query(
+      `CREATE INDEX idx_exam_proctoring_events_attempt ON exam_proctoring_events (attempt_id, occurred_at);`
+    );
+    await dbLibrary.query(
+      `CREATE INDEX idx_exam_proctoring_events_exam ON exam_proctoring_events (exam_id);`
+    );
+    console.log("✅ exam_proctoring_events");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
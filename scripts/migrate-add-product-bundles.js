@@ -0,0 +1,131 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds learning-path bundles: product_bundles, product_bundle_items, bundle_purchases,
+ * and the "bundle" product type on carts, sales pages and invoices.
+ * Run: node scripts/migrate-add-product-bundles.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+// product_type is VARCHAR + CHECK when created by the migration scripts,
+// or a Sequelize ENUM when created by sync
+async function allowBundleProductType(table, values) {
+  const enumType = `enum_${table}_product_type`;
+  const list = [...values, "bundle"].map((v) => `'${v}'`).join(", ");
+  await db.query(`
+    DO $$ BEGIN
+      IF EXISTS (SELECT 1 FROM pg_type WHERE typname = '${enumType}') THEN
+        ALTER TYPE "${enumType}" ADD VALUE IF NOT EXISTS 'bundle';
+      ELSE
+        ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_product_type_check;
+        ALTER TABLE ${table} ADD CONSTRAINT ${table}_product_type_check
+          CHECK (product_type IN (${list}));
+      END IF;
+    END $$;
+  `);
+  console.log(`✅ ${table}.product_type accepts 'bundle'`);
+}
+
+async function run() {
+  console.log("📦 Product bundles migration\n");
+
+  if (await tableExists("product_bundles")) {
+    console.log("⚠️  product_bundles already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE product_bundles (
+        id SERIAL PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) NOT NULL UNIQUE,
+        description TEXT,
+        image_url TEXT,
+        price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        price_usd DECIMAL(10, 2),
+        currency VARCHAR(5) NOT NULL DEFAULT 'NGN',
+        category VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+        sales_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_product_bundles_owner ON product_bundles (owner_type, owner_id);`);
+    await db.query(`CREATE INDEX idx_product_bundles_status ON product_bundles (status);`);
+    console.log("✅ product_bundles");
+  }
+
+  if (await tableExists("product_bundle_items")) {
+    console.log("⚠️  product_bundle_items already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE product_bundle_items (
+        id SERIAL PRIMARY KEY,
+        bundle_id INTEGER NOT NULL REFERENCES product_bundles(id) ON DELETE CASCADE,
+        product_type VARCHAR(20) NOT NULL CHECK (product_type IN ('course', 'ebook', 'digital_download', 'community')),
+        product_id INTEGER NOT NULL,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_bundle_product UNIQUE (bundle_id, product_type, product_id)
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_product_bundle_items_product ON product_bundle_items (product_type, product_id);`
+    );
+    console.log("✅ product_bundle_items");
+  }
+
+  if (await tableExists("bundle_purchases")) {
+    console.log("⚠️  bundle_purchases already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE bundle_purchases (
+        id SERIAL PRIMARY KEY,
+        bundle_id INTEGER NOT NULL REFERENCES product_bundles(id),
+        student_id INTEGER NOT NULL,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(5) NOT NULL DEFAULT 'NGN',
+        commission_rate DECIMAL(5, 2) NOT NULL,
+        wsp_commission DECIMAL(10, 2) NOT NULL,
+        tutor_earnings DECIMAL(10, 2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'refunded')),
+        transaction_ref VARCHAR(100) NOT NULL UNIQUE,
+        granted_products JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_bundle_purchases_student ON bundle_purchases (student_id);`);
+    await db.query(`CREATE INDEX idx_bundle_purchases_bundle ON bundle_purchases (bundle_id);`);
+    await db.query(`CREATE INDEX idx_bundle_purchases_owner ON bundle_purchases (owner_type, owner_id);`);
+    console.log("✅ bundle_purchases");
+  }
+
+  const productTypes = ["course", "ebook", "digital_download", "community", "membership"];
+  await allowBundleProductType("store_cart_items", productTypes);
+  await allowBundleProductType("product_sales_pages", productTypes);
+  await allowBundleProductType("invoices", [...productTypes, "coaching_session", "coaching_hours"]);
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+import { dbLibrary } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds quiz_questions.answer_config and creates quiz_answer_grades (library database).
+ * Run: node scripts/migrate-add-quiz-grading.js
+ */
+
+async function tableExists(tableName) {
+  const result = await dbLibrary.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("📝 Quiz grading migration\n");
+
+  await dbLibrary.query(
+    `ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS answer_config JSONB;`
+  );
+  console.log("✅ quiz_questions.answer_config");
+
+  if (await tableExists("quiz_answer_grades")) {
+    console.log("⚠️  quiz_answer_grades already exists — skipping");
+  } else {
+    await dbLibrary.query(`
+      CREATE TABLE quiz_answer_grades (
+        id SERIAL PRIMARY KEY,
+        attempt_id INTEGER NOT NULL REFERENCES quiz_attempts(id) ON DELETE CASCADE,
+        question_id INTEGER NOT NULL,
+        points_awarded DECIMAL(6, 2),
+        max_points DECIMAL(6, 2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'auto'
+          CHECK (status IN ('auto', 'pending', 'graded')),
+        feedback TEXT,
+        graded_by INTEGER,
+        graded_by_type VARCHAR(30),
+        graded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (attempt_id, question_id)
+      );
+    `);
+    await dbLibrary.query(
+      `CREATE INDEX idx_quiz_answer_grades_status ON quiz_answer_grades (status);`
+    );
+    console.log("✅ quiz_answer_grades");
+  }
+
+  console.log(
+    "\nℹ️  Attempts submitted before this migration keep their scores; their per-question view is recomputed on read."
+  );
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
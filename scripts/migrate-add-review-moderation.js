@@ -0,0 +1,82 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds review moderation: moderation and tutor reply columns on product_reviews,
+ * the "flagged" status and review_reports.
+ * Run: node scripts/migrate-add-review-moderation.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🛡️  Review moderation migration\n");
+
+  await db.query(`
+    ALTER TABLE product_reviews
+      ADD COLUMN IF NOT EXISTS moderation_flags JSONB,
+      ADD COLUMN IF NOT EXISTS moderation_reasons JSONB,
+      ADD COLUMN IF NOT EXISTS moderation_note TEXT,
+      ADD COLUMN IF NOT EXISTS moderated_by INTEGER,
+      ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS report_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS tutor_reply TEXT,
+      ADD COLUMN IF NOT EXISTS tutor_replied_at TIMESTAMP;
+  `);
+  console.log("✅ product_reviews moderation / tutor reply columns");
+
+  // The status column is VARCHAR + CHECK when created by migrate-add-product-reviews.js,
+  // or a Sequelize ENUM when created by sync
+  await db.query(`
+    DO $$ BEGIN
+      IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_product_reviews_status') THEN
+        ALTER TYPE "enum_product_reviews_status" ADD VALUE IF NOT EXISTS 'flagged';
+      ELSE
+        ALTER TABLE product_reviews DROP CONSTRAINT IF EXISTS product_reviews_status_check;
+        ALTER TABLE product_reviews ADD CONSTRAINT product_reviews_status_check
+          CHECK (status IN ('pending', 'approved', 'rejected', 'hidden', 'flagged'));
+      END IF;
+    END $$;
+  `);
+  console.log("✅ product_reviews.status accepts 'flagged'");
+
+  if (await tableExists("review_reports")) {
+    console.log("⚠️  review_reports already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE review_reports (
+        id SERIAL PRIMARY KEY,
+        review_id INTEGER NOT NULL REFERENCES product_reviews(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL,
+        reason VARCHAR(20) NOT NULL CHECK (reason IN ('spam', 'offensive', 'harassment', 'fake', 'off_topic', 'personal_info', 'other')),
+        details TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+        resolved_by INTEGER,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_review_student_report UNIQUE (review_id, student_id)
+      );
+    `);
+    await db.query(`CREATE INDEX idx_review_reports_review ON review_reports (review_id);`);
+    await db.query(`CREATE INDEX idx_review_reports_status ON review_reports (status);`);
+    console.log("✅ review_reports");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
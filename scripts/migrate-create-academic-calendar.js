@@ -0,0 +1,101 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds the academic calendar (academic_calendar_events), weekly timetable
+ * (timetable_slots) and iCalendar feed tokens (calendar_feed_tokens).
+ * Run: node scripts/migrate-create-academic-calendar.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🗓️  Academic calendar migration\n");
+
+  if (await tableExists("academic_calendar_events")) {
+    console.log("⚠️  academic_calendar_events already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE academic_calendar_events (
+        id SERIAL PRIMARY KEY,
+        semester_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('lecture_weeks', 'ca_window', 'exam_period', 'holiday', 'registration', 'other')),
+        title VARCHAR(200) NOT NULL,
+        description TEXT,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date)
+      );
+      CREATE INDEX academic_calendar_events_semester_id_start_date
+        ON academic_calendar_events (semester_id, start_date);
+    `);
+    console.log("✅ academic_calendar_events");
+  }
+
+  if (await tableExists("timetable_slots")) {
+    console.log("⚠️  timetable_slots already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE timetable_slots (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER NOT NULL,
+        academic_year VARCHAR(20) NOT NULL,
+        semester VARCHAR(20) NOT NULL,
+        day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        mode VARCHAR(20) NOT NULL DEFAULT 'in_person' CHECK (mode IN ('in_person', 'online')),
+        venue VARCHAR(200),
+        online_link VARCHAR(500),
+        staff_id INTEGER,
+        notes VARCHAR(500),
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_time > start_time)
+      );
+      CREATE INDEX timetable_slots_academic_year_semester_day_of_week
+        ON timetable_slots (academic_year, semester, day_of_week);
+      CREATE INDEX timetable_slots_course_id ON timetable_slots (course_id);
+    `);
+    console.log("✅ timetable_slots");
+  }
+
+  if (await tableExists("calendar_feed_tokens")) {
+    console.log("⚠️  calendar_feed_tokens already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE calendar_feed_tokens (
+        id SERIAL PRIMARY KEY,
+        user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('student', 'staff')),
+        user_id INTEGER NOT NULL,
+        token VARCHAR(64) NOT NULL UNIQUE,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_type, user_id)
+      );
+    `);
+    console.log("✅ calendar_feed_tokens");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds affiliate programs: affiliate_programs, affiliate_links, affiliate_clicks and
+ * affiliate_referrals.
+ * Run: node scripts/migrate-create-affiliate-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+const PRODUCT_TYPES =
+  "'course', 'ebook', 'digital_download', 'community', 'membership', 'bundle'";
+
+async function run() {
+  console.log("🤝 Affiliate programs migration\n");
+
+  if (await tableExists("affiliate_programs")) {
+    console.log("⚠️  affiliate_programs already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE affiliate_programs (
+        id SERIAL PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        product_type VARCHAR(20) NOT NULL CHECK (product_type IN (${PRODUCT_TYPES})),
+        product_id INTEGER NOT NULL,
+        commission_rate DECIMAL(5, 2) NOT NULL,
+        cookie_days INTEGER NOT NULL DEFAULT 30,
+        hold_days INTEGER NOT NULL DEFAULT 14,
+        audience VARCHAR(20) NOT NULL DEFAULT 'all' CHECK (audience IN ('all', 'learners', 'tutors')),
+        terms TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_affiliate_program_product UNIQUE (product_type, product_id)
+      );
+    `);
+    await db.query(`CREATE INDEX idx_affiliate_programs_owner ON affiliate_programs (owner_type, owner_id);`);
+    await db.query(`CREATE INDEX idx_affiliate_programs_status ON affiliate_programs (status);`);
+    console.log("✅ affiliate_programs");
+  }
+
+  if (await tableExists("affiliate_links")) {
+    console.log("⚠️  affiliate_links already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE affiliate_links (
+        id SERIAL PRIMARY KEY,
+        program_id INTEGER NOT NULL REFERENCES affiliate_programs(id) ON DELETE CASCADE,
+        affiliate_type VARCHAR(20) NOT NULL CHECK (affiliate_type IN ('student', 'sole_tutor', 'organization')),
+        affiliate_id INTEGER NOT NULL,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+        clicks_count INTEGER NOT NULL DEFAULT 0,
+        conversions_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT unique_affiliate_link_per_program UNIQUE (program_id, affiliate_type, affiliate_id)
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_affiliate_links_affiliate ON affiliate_links (affiliate_type, affiliate_id);`
+    );
+    console.log("✅ affiliate_links");
+  }
+
+  if (await tableExists("affiliate_clicks")) {
+    console.log("⚠️  affiliate_clicks already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE affiliate_clicks (
+        id SERIAL PRIMARY KEY,
+        link_id INTEGER NOT NULL REFERENCES affiliate_links(id) ON DELETE CASCADE,
+        program_id INTEGER NOT NULL REFERENCES affiliate_programs(id) ON DELETE CASCADE,
+        visitor_token VARCHAR(64) NOT NULL,
+        student_id INTEGER,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('sales_page', 'product_link')),
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        referrer TEXT,
+        converted BOOLEAN NOT NULL DEFAULT false,
+        clicked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_affiliate_clicks_link ON affiliate_clicks (link_id);`);
+    await db.query(
+      `CREATE INDEX idx_affiliate_clicks_program_date ON affiliate_clicks (program_id, clicked_at);`
+    );
+    await db.query(`CREATE INDEX idx_affiliate_clicks_visitor ON affiliate_clicks (visitor_token);`);
+    await db.query(`CREATE INDEX idx_affiliate_clicks_student ON affiliate_clicks (student_id);`);
+    console.log("✅ affiliate_clicks");
+  }
+
+  if (await tableExists("affiliate_referrals")) {
+    console.log("⚠️  affiliate_referrals already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE affiliate_referrals (
+        id SERIAL PRIMARY KEY,
+        program_id INTEGER NOT NULL REFERENCES affiliate_programs(id),
+        link_id INTEGER NOT NULL REFERENCES affiliate_links(id),
+        click_id INTEGER,
+        affiliate_type VARCHAR(20) NOT NULL CHECK (affiliate_type IN ('student', 'sole_tutor', 'organization')),
+        affiliate_id INTEGER NOT NULL,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        product_type VARCHAR(20) NOT NULL CHECK (product_type IN (${PRODUCT_TYPES})),
+        product_id INTEGER NOT NULL,
+        order_amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(5) NOT NULL DEFAULT 'NGN',
+        commission_rate DECIMAL(5, 2) NOT NULL,
+        commission_amount DECIMAL(10, 2) NOT NULL,
+        payment_reference VARCHAR(255) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'cancelled')),
+        hold_until TIMESTAMP NOT NULL,
+        paid_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        cancel_reason VARCHAR(255),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_affiliate_referrals_program ON affiliate_referrals (program_id);`);
+    await db.query(`CREATE INDEX idx_affiliate_referrals_link ON affiliate_referrals (link_id);`);
+    await db.query(
+      `CREATE INDEX idx_affiliate_referrals_affiliate ON affiliate_referrals (affiliate_type, affiliate_id);`
+    );
+    await db.query(
+      `CREATE INDEX idx_affiliate_referrals_owner ON affiliate_referrals (owner_type, owner_id);`
+    );
+    await db.query(
+      `CREATE INDEX idx_affiliate_referrals_release ON affiliate_referrals (status, hold_until);`
+    );
+    console.log("✅ affiliate_referrals");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+import { dbLibrary } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates assignments and assignment_submissions (library database).
+ * Run: node scripts/migrate-create-assignments.js
+ */
+
+async function tableExists(tableName) {
+  const result = await dbLibrary.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("📝 Assignments migration\n");
+
+  if (await tableExists("assignments")) {
+    console.log("⚠️  assignments already exists — skipping");
+  } else {
+    await dbLibrary.query(`
+      CREATE TABLE assignments (
+        id SERIAL PRIMARY KEY,
+        module_id INTEGER NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        instructions TEXT,
+        submission_type VARCHAR(20) NOT NULL DEFAULT 'file_or_text'
+          CHECK (submission_type IN ('file', 'text', 'file_or_text')),
+        max_points DECIMAL(6,2) NOT NULL DEFAULT 100 CHECK (max_points > 0),
+        rubric JSONB NOT NULL DEFAULT '[]'::jsonb,
+        due_at TIMESTAMP,
+        late_policy VARCHAR(20) NOT NULL DEFAULT 'accept'
+          CHECK (late_policy IN ('reject', 'accept', 'penalty')),
+        late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0
+          CHECK (late_penalty_percent BETWEEN 0 AND 100),
+        late_cutoff_at TIMESTAMP,
+        max_attempts INTEGER NOT NULL DEFAULT 1 CHECK (max_attempts >= 1),
+        status VARCHAR(20) NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'published', 'archived')),
+        created_by INTEGER NOT NULL,
+        created_by_type VARCHAR(30),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await dbLibrary.query(`CREATE INDEX idx_assignments_module ON assignments (module_id);`);
+    console.log("✅ assignments");
+  }
+
+  if (await tableExists("assignment_submissions")) {
+    console.log("⚠️  assignment_submissions already exists — skipping");
+  } else {
+    await dbLibrary.query(`
+      CREATE TABLE assignment_submissions (
+        id SERIAL PRIMARY KEY,
+        assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL,
+        attempt_number INTEGER NOT NULL DEFAULT 1,
+        text_content TEXT,
+        files JSONB NOT NULL DEFAULT '[]'::jsonb,
+        submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        is_late BOOLEAN NOT NULL DEFAULT FALSE,
+        days_late INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(30) NOT NULL DEFAULT 'submitted'
+          CHECK (status IN ('submitted', 'graded', 'resubmission_requested')),
+        rubric_scores JSONB NOT NULL DEFAULT '[]'::jsonb,
+        raw_score DECIMAL(6,2),
+        late_penalty DECIMAL(6,2) NOT NULL DEFAULT 0,
+        score DECIMAL(6,2),
+        feedback TEXT,
+        graded_by INTEGER,
+        graded_by_type VARCHAR(30),
+        graded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (assignment_id, student_id, attempt_number)
+      );
+    `);
+    await dbLibrary.query(
+      `CREATE INDEX idx_assignment_submissions_status ON assignment_submissions (assignment_id, status);`
+    );
+    console.log("✅ assignment_submissions");
+  }
+
+  console.log("ℹ️  Create a private Supabase storage bucket named ASSIGNMENTS_BUCKET (default: assignment-submissions).");
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds attendance records for staff video calls and coaching sessions (attendance_records).
+ * Run: node scripts/migrate-create-attendance.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🙋 Attendance migration\n");
+
+  if (await tableExists("attendance_records")) {
+    console.log("⚠️  attendance_records already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE attendance_records (
+        id SERIAL PRIMARY KEY,
+        session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('video_call', 'coaching_session')),
+        session_id VARCHAR(64) NOT NULL,
+        course_id INTEGER,
+        user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('staff', 'student')),
+        user_id INTEGER NOT NULL,
+        first_joined_at TIMESTAMP,
+        last_left_at TIMESTAMP,
+        duration_seconds INTEGER NOT NULL DEFAULT 0,
+        intervals JSONB NOT NULL DEFAULT '[]'::jsonb,
+        status VARCHAR(20) CHECK (status IN ('present', 'late', 'absent', 'excused')),
+        note VARCHAR(500),
+        marked_by INTEGER,
+        marked_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (session_type, session_id, user_type, user_id)
+      );
+      CREATE INDEX attendance_records_course_id_user_id
+        ON attendance_records (course_id, user_id);
+    `);
+    console.log("✅ attendance_records");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
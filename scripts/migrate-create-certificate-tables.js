@@ -0,0 +1,90 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates course certificate tables.
+ * Run: node scripts/migrate-create-certificate-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🎓 Certificate tables migration\n");
+
+  if (await tableExists("certificate_templates")) {
+    console.log("⚠️  certificate_templates already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE certificate_templates (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER NOT NULL UNIQUE,
+        owner_type VARCHAR(50) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        title VARCHAR(150) NOT NULL DEFAULT 'Certificate of Completion',
+        body_text TEXT,
+        signatory_name VARCHAR(150),
+        signatory_title VARCHAR(150),
+        accent_color VARCHAR(7) NOT NULL DEFAULT '#1F3A93',
+        show_logo BOOLEAN NOT NULL DEFAULT TRUE,
+        is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_certificate_templates_owner ON certificate_templates (owner_type, owner_id);`
+    );
+    console.log("✅ certificate_templates");
+  }
+
+  if (await tableExists("course_certificates")) {
+    console.log("⚠️  course_certificates already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE course_certificates (
+        id SERIAL PRIMARY KEY,
+        serial VARCHAR(32) NOT NULL UNIQUE,
+        student_id INTEGER NOT NULL,
+        course_id INTEGER NOT NULL,
+        course_progress_id INTEGER,
+        owner_type VARCHAR(50) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization', 'wpu')),
+        owner_id INTEGER,
+        learner_name VARCHAR(255) NOT NULL,
+        course_title VARCHAR(255) NOT NULL,
+        issuer_name VARCHAR(255) NOT NULL,
+        completed_at TIMESTAMP NOT NULL,
+        issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+        revoked_at TIMESTAMP,
+        revoked_by INTEGER,
+        revocation_reason TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (student_id, course_id)
+      );
+    `);
+    await db.query(`CREATE INDEX idx_course_certificates_course ON course_certificates (course_id);`);
+    await db.query(
+      `CREATE INDEX idx_course_certificates_owner ON course_certificates (owner_type, owner_id);`
+    );
+    await db.query(`CREATE INDEX idx_course_certificates_status ON course_certificates (status);`);
+    console.log("✅ course_certificates");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates coupon tables and adds discount columns used at checkout.
+ * Run: node scripts/migrate-create-coupon-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🏷️  Coupon tables migration\n");
+
+  if (await tableExists("coupons")) {
+    console.log("⚠️  coupons already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE coupons (
+        id SERIAL PRIMARY KEY,
+        owner_type VARCHAR(50) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255),
+        discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+        discount_value DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(10),
+        product_type VARCHAR(30) CHECK (product_type IN ('course', 'ebook', 'digital_download', 'community', 'membership')),
+        product_id INTEGER,
+        max_redemptions INTEGER,
+        max_redemptions_per_learner INTEGER NOT NULL DEFAULT 1,
+        redemption_count INTEGER NOT NULL DEFAULT 0,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_coupons_owner ON coupons (owner_type, owner_id);`);
+    await db.query(`CREATE INDEX idx_coupons_product ON coupons (product_type, product_id);`);
+    await db.query(`CREATE INDEX idx_coupons_status ON coupons (status);`);
+    console.log("✅ coupons");
+  }
+
+  if (await tableExists("coupon_redemptions")) {
+    console.log("⚠️  coupon_redemptions already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE coupon_redemptions (
+        id SERIAL PRIMARY KEY,
+        coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+        student_id INTEGER NOT NULL,
+        product_type VARCHAR(30) NOT NULL CHECK (product_type IN ('course', 'ebook', 'digital_download', 'community', 'membership')),
+        product_id INTEGER NOT NULL,
+        original_amount DECIMAL(10, 2) NOT NULL,
+        discount_amount DECIMAL(10, 2) NOT NULL,
+        final_amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(10) NOT NULL DEFAULT 'NGN',
+        payment_reference VARCHAR(255),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_coupon_redemptions_coupon ON coupon_redemptions (coupon_id);`);
+    await db.query(`CREATE INDEX idx_coupon_redemptions_student ON coupon_redemptions (coupon_id, student_id);`);
+    await db.query(`CREATE INDEX idx_coupon_redemptions_product ON coupon_redemptions (product_type, product_id);`);
+    console.log("✅ coupon_redemptions");
+  }
+
+  await db.query(`
+    ALTER TABLE marketplace_transactions
+      ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS coupon_id INTEGER;
+  `);
+  console.log("✅ marketplace_transactions.discount_amount / coupon_id");
+
+  await db.query(`ALTER TABLE store_carts ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);`);
+  console.log("✅ store_carts.coupon_code");
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
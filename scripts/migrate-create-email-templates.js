@@ -0,0 +1,87 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds editable email templates (email_templates, email_template_versions) and
+ * tutor/organization email branding (email_brandings).
+ * Run: node scripts/migrate-create-email-templates.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("✉️  Email templates migration\n");
+
+  if (await tableExists("email_templates")) {
+    console.log("⚠️  email_templates already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE email_templates (
+        id SERIAL PRIMARY KEY,
+        template_key VARCHAR(100) NOT NULL UNIQUE,
+        active_version INTEGER,
+        updated_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log("✅ email_templates");
+  }
+
+  if (await tableExists("email_template_versions")) {
+    console.log("⚠️  email_template_versions already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE email_template_versions (
+        id SERIAL PRIMARY KEY,
+        template_key VARCHAR(100) NOT NULL,
+        version INTEGER NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        html_body TEXT NOT NULL,
+        note VARCHAR(255),
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (template_key, version)
+      );
+    `);
+    console.log("✅ email_template_versions");
+  }
+
+  if (await tableExists("email_brandings")) {
+    console.log("⚠️  email_brandings already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE email_brandings (
+        id SERIAL PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        sender_name VARCHAR(100),
+        logo_url VARCHAR(500),
+        primary_color VARCHAR(7),
+        secondary_color VARCHAR(7),
+        footer_text TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (owner_type, owner_id)
+      );
+    `);
+    console.log("✅ email_brandings");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
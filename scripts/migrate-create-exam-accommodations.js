@@ -0,0 +1,67 @@
+import { dbLibrary } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates exam_accommodations and adds attempt time limits (library database).
+ * Run: node scripts/migrate-create-exam-accommodations.js
+ */
+
+async function tableExists(tableName) {
+  const result = await dbLibrary.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("⏱️  Exam accommodations migration\n");
+
+  if (await tableExists("exam_accommodations")) {
+    console.log("⚠️  exam_accommodations already exists — skipping");
+  } else {
+    await dbLibrary.query(`
+      CREATE TABLE exam_accommodations (
+        id SERIAL PRIMARY KEY,
+        exam_id INTEGER NOT NULL REFERENCES exams(id) ON DELETE CASCADE,
+        name VARCHAR(150),
+        student_ids INTEGER[] NOT NULL,
+        extra_time_percent INTEGER NOT NULL DEFAULT 0 CHECK (extra_time_percent BETWEEN 0 AND 300),
+        start_at TIMESTAMP,
+        end_at TIMESTAMP,
+        extra_attempts INTEGER NOT NULL DEFAULT 0 CHECK (extra_attempts >= 0),
+        reason TEXT,
+        created_by INTEGER NOT NULL,
+        created_by_type VARCHAR(30),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await dbLibrary.query(
+      `CREATE INDEX idx_exam_accommodations_exam ON exam_accommodations (exam_id);`
+    );
+    await dbLibrary.query(
+      `CREATE INDEX idx_exam_accommodations_students ON exam_accommodations USING GIN (student_ids);`
+    );
+    console.log("✅ exam_accommodations");
+  }
+
+  await dbLibrary.query(`
+    ALTER TABLE exam_attempts
+      ADD COLUMN IF NOT EXISTS time_limit_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS due_at TIMESTAMP;
+  `);
+  console.log("✅ exam_attempts.time_limit_minutes, due_at");
+  console.log("ℹ️  Attempts started before this migration have no due_at and are not time-limited.");
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
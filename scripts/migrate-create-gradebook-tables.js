@@ -0,0 +1,138 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates grading_scales, gradebook_configs, gradebook_entries and grade_audit_logs.
+ * Run: node scripts/migrate-create-gradebook-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("📊 Gradebook migration\n");
+
+  if (await tableExists("grading_scales")) {
+    console.log("⚠️  grading_scales already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE grading_scales (
+        id SERIAL PRIMARY KEY,
+        program_id INTEGER UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        bands JSONB NOT NULL,
+        pass_mark DECIMAL(5, 2) NOT NULL DEFAULT 40,
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // Only one default scale (program_id NULL)
+    await db.query(
+      `CREATE UNIQUE INDEX idx_grading_scales_default ON grading_scales ((program_id IS NULL)) WHERE program_id IS NULL;`
+    );
+    console.log("✅ grading_scales");
+  }
+
+  if (await tableExists("gradebook_configs")) {
+    console.log("⚠️  gradebook_configs already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE gradebook_configs (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER NOT NULL,
+        academic_year VARCHAR(20) NOT NULL,
+        semester VARCHAR(20) NOT NULL,
+        first_ca_weight DECIMAL(5, 2) NOT NULL DEFAULT 10,
+        second_ca_weight DECIMAL(5, 2) NOT NULL DEFAULT 10,
+        third_ca_weight DECIMAL(5, 2) NOT NULL DEFAULT 10,
+        exam_weight DECIMAL(5, 2) NOT NULL DEFAULT 70,
+        sources JSONB NOT NULL DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+        last_synced_at TIMESTAMP,
+        published_at TIMESTAMP,
+        published_by_type VARCHAR(30),
+        published_by_id INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (course_id, academic_year, semester)
+      );
+    `);
+    console.log("✅ gradebook_configs");
+  }
+
+  if (await tableExists("gradebook_entries")) {
+    console.log("⚠️  gradebook_entries already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE gradebook_entries (
+        id SERIAL PRIMARY KEY,
+        course_reg_id INTEGER NOT NULL UNIQUE,
+        gradebook_config_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        course_id INTEGER NOT NULL,
+        academic_year VARCHAR(20) NOT NULL,
+        semester VARCHAR(20) NOT NULL,
+        first_ca DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        second_ca DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        third_ca DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        exam_score DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        total DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        grade VARCHAR(5),
+        grade_point DECIMAL(3, 2),
+        remark VARCHAR(50),
+        overridden_fields JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+        published_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_gradebook_entries_config ON gradebook_entries (gradebook_config_id);`);
+    await db.query(
+      `CREATE INDEX idx_gradebook_entries_student ON gradebook_entries (student_id, academic_year, semester);`
+    );
+    console.log("✅ gradebook_entries");
+  }
+
+  if (await tableExists("grade_audit_logs")) {
+    console.log("⚠️  grade_audit_logs already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE grade_audit_logs (
+        id SERIAL PRIMARY KEY,
+        gradebook_entry_id INTEGER NOT NULL,
+        course_reg_id INTEGER NOT NULL,
+        student_id INTEGER NOT NULL,
+        course_id INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('sync', 'override', 'clear_override', 'publish')),
+        field VARCHAR(20),
+        old_value DECIMAL(5, 2),
+        new_value DECIMAL(5, 2),
+        reason TEXT,
+        changed_by_type VARCHAR(30),
+        changed_by_id INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_grade_audit_logs_entry ON grade_audit_logs (gradebook_entry_id);`);
+    await db.query(`CREATE INDEX idx_grade_audit_logs_course ON grade_audit_logs (course_id);`);
+    console.log("✅ grade_audit_logs");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
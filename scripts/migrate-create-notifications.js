@@ -0,0 +1,99 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds the notification center: notifications table, and the new category / channel
+ * columns and tutor user types on email_preferences.
+ * Run: node scripts/migrate-create-notifications.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+const RECIPIENT_TYPES = ["student", "staff", "sole_tutor", "organization", "organization_user"];
+
+const PREFERENCE_COLUMNS = [
+  "receive_purchase_notifications",
+  "receive_sale_notifications",
+  "receive_booking_notifications",
+  "receive_payout_notifications",
+  "receive_mention_notifications",
+  "in_app_enabled",
+  "realtime_enabled",
+  "email_enabled",
+];
+
+async function run() {
+  console.log("🔔 Notification center migration\n");
+
+  if (await tableExists("notifications")) {
+    console.log("⚠️  notifications already exists — skipping");
+  } else {
+    const types = RECIPIENT_TYPES.map((t) => `'${t}'`).join(", ");
+    await db.query(`
+      CREATE TABLE notifications (
+        id SERIAL PRIMARY KEY,
+        recipient_type VARCHAR(30) NOT NULL CHECK (recipient_type IN (${types})),
+        recipient_id INTEGER NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        category VARCHAR(20) NOT NULL CHECK (category IN ('purchase', 'sale', 'grade', 'exam', 'booking', 'payout', 'mention')),
+        title VARCHAR(200) NOT NULL,
+        body TEXT,
+        link VARCHAR(500),
+        data JSONB,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_notifications_recipient ON notifications (recipient_type, recipient_id, read_at);`
+    );
+    await db.query(`CREATE INDEX idx_notifications_created ON notifications (created_at);`);
+    console.log("✅ notifications");
+  }
+
+  if (!(await tableExists("email_preferences"))) {
+    console.log("⚠️  email_preferences does not exist — skipping (created with all columns on first sync)");
+  } else {
+    // user_type is a Sequelize ENUM when created by sync, VARCHAR + CHECK otherwise
+    const list = RECIPIENT_TYPES.map((t) => `'${t}'`).join(", ");
+    const addValues = RECIPIENT_TYPES.map(
+      (t) => `ALTER TYPE "enum_email_preferences_user_type" ADD VALUE IF NOT EXISTS '${t}';`
+    ).join("\n        ");
+    await db.query(`
+      DO $$ BEGIN
+        IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_email_preferences_user_type') THEN
+        ${addValues}
+        ELSE
+          ALTER TABLE email_preferences DROP CONSTRAINT IF EXISTS email_preferences_user_type_check;
+          ALTER TABLE email_preferences ADD CONSTRAINT email_preferences_user_type_check
+            CHECK (user_type IN (${list}));
+        END IF;
+      END $$;
+    `);
+    console.log("✅ email_preferences.user_type accepts tutor and organization accounts");
+
+    for (const column of PREFERENCE_COLUMNS) {
+      await db.query(
+        `ALTER TABLE email_preferences ADD COLUMN IF NOT EXISTS ${column} BOOLEAN NOT NULL DEFAULT true;`
+      );
+    }
+    console.log("✅ email_preferences notification columns");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
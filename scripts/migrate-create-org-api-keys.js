@@ -0,0 +1,60 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds organization API keys for the /api/v1/org API: org_api_keys.
+ * Run: node scripts/migrate-create-org-api-keys.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🔑 Organization API keys migration\n");
+
+  if (await tableExists("org_api_keys")) {
+    console.log("⚠️  org_api_keys already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE org_api_keys (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_hash VARCHAR(64) NOT NULL UNIQUE,
+        key_hint VARCHAR(8) NOT NULL,
+        scopes JSONB NOT NULL DEFAULT '[]'::jsonb,
+        rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute BETWEEN 1 AND 600),
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(45),
+        usage_count INTEGER NOT NULL DEFAULT 0,
+        created_by_type VARCHAR(20) NOT NULL CHECK (created_by_type IN ('organization', 'organization_user')),
+        created_by_id INTEGER NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_by_type VARCHAR(20) CHECK (revoked_by_type IN ('organization', 'organization_user', 'admin')),
+        revoked_by_id INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_org_api_keys_organization ON org_api_keys (organization_id);`);
+    console.log("✅ org_api_keys");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
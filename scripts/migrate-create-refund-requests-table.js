@@ -0,0 +1,95 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates refund_requests and adds credit note columns to invoices.
+ * Run: node scripts/migrate-create-refund-requests-table.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("💸 Refund requests migration\n");
+
+  if (await tableExists("refund_requests")) {
+    console.log("⚠️  refund_requests already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE refund_requests (
+        id SERIAL PRIMARY KEY,
+        kind VARCHAR(20) NOT NULL DEFAULT 'refund' CHECK (kind IN ('refund', 'chargeback')),
+        student_id INTEGER,
+        product_type VARCHAR(30) NOT NULL CHECK (product_type IN ('course', 'ebook', 'digital_download', 'membership', 'event_ticket')),
+        product_id INTEGER NOT NULL,
+        product_name VARCHAR(255),
+        purchase_id INTEGER NOT NULL,
+        payment_reference VARCHAR(255),
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('wpu', 'sole_tutor', 'organization')),
+        owner_id INTEGER,
+        amount_paid DECIMAL(10, 2) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(10) NOT NULL DEFAULT 'NGN',
+        reason TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'processed', 'failed')),
+        refund_method VARCHAR(20) CHECK (refund_method IN ('wallet', 'flutterwave', 'none')),
+        requested_by_type VARCHAR(20) NOT NULL DEFAULT 'student' CHECK (requested_by_type IN ('student', 'tutor', 'admin', 'system')),
+        requested_by_id INTEGER,
+        reviewed_by_type VARCHAR(20) CHECK (reviewed_by_type IN ('tutor', 'admin', 'system')),
+        reviewed_by_id INTEGER,
+        reviewed_at TIMESTAMP,
+        review_note TEXT,
+        processed_at TIMESTAMP,
+        tutor_debit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        credit_note_id INTEGER,
+        provider_refund_id VARCHAR(100),
+        failure_reason TEXT,
+        metadata JSONB,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_refund_requests_student ON refund_requests (student_id);`);
+    await db.query(`CREATE INDEX idx_refund_requests_owner ON refund_requests (owner_type, owner_id);`);
+    await db.query(`CREATE INDEX idx_refund_requests_purchase ON refund_requests (product_type, purchase_id);`);
+    await db.query(`CREATE INDEX idx_refund_requests_status ON refund_requests (status);`);
+    console.log("✅ refund_requests");
+  }
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS unique_open_refund_request
+      ON refund_requests (product_type, purchase_id)
+      WHERE status IN ('requested', 'approved', 'failed', 'processed');
+  `);
+  console.log("✅ refund_requests one open request per purchase");
+
+  await db.query(`
+    DO $$ BEGIN
+      CREATE TYPE "enum_invoices_document_type" AS ENUM ('invoice', 'credit_note');
+    EXCEPTION WHEN duplicate_object THEN NULL;
+    END $$;
+  `);
+  await db.query(`
+    ALTER TABLE invoices
+      ADD COLUMN IF NOT EXISTS document_type "enum_invoices_document_type" NOT NULL DEFAULT 'invoice',
+      ADD COLUMN IF NOT EXISTS original_invoice_id INTEGER;
+  `);
+  await db.query(`CREATE INDEX IF NOT EXISTS idx_invoices_original_invoice ON invoices (original_invoice_id);`);
+  console.log("✅ invoices.document_type / original_invoice_id");
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
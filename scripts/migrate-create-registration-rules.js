@@ -0,0 +1,72 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds course registration rules: prerequisites / co-requisites (course_requisites)
+ * and semester credit load limits per program (credit_load_rules).
+ * Run: node scripts/migrate-create-registration-rules.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("📚 Registration rules migration\n");
+
+  if (await tableExists("course_requisites")) {
+    console.log("⚠️  course_requisites already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE course_requisites (
+        id SERIAL PRIMARY KEY,
+        course_id INTEGER NOT NULL,
+        required_course_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL DEFAULT 'prerequisite' CHECK (type IN ('prerequisite', 'corequisite')),
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (course_id, required_course_id),
+        CHECK (course_id <> required_course_id)
+      );
+      CREATE INDEX course_requisites_required_course_id ON course_requisites (required_course_id);
+    `);
+    console.log("✅ course_requisites");
+  }
+
+  if (await tableExists("credit_load_rules")) {
+    console.log("⚠️  credit_load_rules already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE credit_load_rules (
+        id SERIAL PRIMARY KEY,
+        program_id INTEGER,
+        semester VARCHAR(20) CHECK (semester IN ('1ST', '2ND')),
+        min_units INTEGER CHECK (min_units >= 0),
+        max_units INTEGER CHECK (max_units >= 0),
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK (min_units IS NULL OR max_units IS NULL OR min_units <= max_units)
+      );
+      CREATE UNIQUE INDEX credit_load_rules_program_semester
+        ON credit_load_rules (COALESCE(program_id, 0), COALESCE(semester, ''));
+    `);
+    console.log("✅ credit_load_rules");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds scheduled reminders: reminder_logs table, the "reminder" notification category,
+ * and the session reminder toggle and timezone on email_preferences.
+ * Run after migrate-create-notifications.js: node scripts/migrate-create-reminders.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+const CATEGORIES = ["purchase", "sale", "grade", "exam", "booking", "payout", "mention", "reminder"];
+
+async function run() {
+  console.log("⏰ Scheduled reminders migration\n");
+
+  if (await tableExists("reminder_logs")) {
+    console.log("⚠️  reminder_logs already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE reminder_logs (
+        id SERIAL PRIMARY KEY,
+        target_type VARCHAR(30) NOT NULL CHECK (target_type IN ('exam', 'coaching_session', 'audio_session', 'event')),
+        target_id INTEGER NOT NULL,
+        lead_hours INTEGER NOT NULL,
+        recipient_key VARCHAR(255) NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(
+      `CREATE UNIQUE INDEX unique_reminder ON reminder_logs (target_type, target_id, lead_hours, recipient_key, starts_at);`
+    );
+    await db.query(`CREATE INDEX idx_reminder_logs_created ON reminder_logs (created_at);`);
+    console.log("✅ reminder_logs");
+  }
+
+  if (!(await tableExists("notifications"))) {
+    console.log("⚠️  notifications does not exist — run migrate-create-notifications.js first");
+  } else {
+    // category is a Sequelize ENUM when created by sync, VARCHAR + CHECK otherwise
+    const list = CATEGORIES.map((c) => `'${c}'`).join(", ");
+    await db.query(`
+      DO $$ BEGIN
+        IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_notifications_category') THEN
+          ALTER TYPE "enum_notifications_category" ADD VALUE IF NOT EXISTS 'reminder';
+        ELSE
+          ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_category_check;
+          ALTER TABLE notifications ADD CONSTRAINT notifications_category_check
+            CHECK (category IN (${list}));
+        END IF;
+      END $$;
+    `);
+    console.log("✅ notifications.category accepts reminder");
+  }
+
+  if (!(await tableExists("email_preferences"))) {
+    console.log("⚠️  email_preferences does not exist — skipping (created with all columns on first sync)");
+  } else {
+    await db.query(
+      `ALTER TABLE email_preferences ADD COLUMN IF NOT EXISTS receive_session_reminders BOOLEAN NOT NULL DEFAULT true;`
+    );
+    await db.query(`ALTER TABLE email_preferences ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);`);
+    console.log("✅ email_preferences reminder and timezone columns");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
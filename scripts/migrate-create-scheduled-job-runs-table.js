@@ -0,0 +1,58 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates the background job run history table.
+ * Run: node scripts/migrate-create-scheduled-job-runs-table.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("⏰ Scheduled job runs migration\n");
+
+  if (await tableExists("scheduled_job_runs")) {
+    console.log("⚠️  scheduled_job_runs already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE scheduled_job_runs (
+        id SERIAL PRIMARY KEY,
+        job_name VARCHAR(100) NOT NULL,
+        trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'catch_up', 'manual')),
+        status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'skipped')),
+        attempt INTEGER NOT NULL DEFAULT 1,
+        started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP,
+        duration_ms INTEGER,
+        result JSONB,
+        error_message TEXT,
+        triggered_by INTEGER,
+        instance_id VARCHAR(100),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_scheduled_job_runs_job ON scheduled_job_runs (job_name, started_at DESC);`
+    );
+    await db.query(`CREATE INDEX idx_scheduled_job_runs_status ON scheduled_job_runs (status);`);
+    console.log("✅ scheduled_job_runs");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Creates transcripts and academic_standings.
+ * Run: node scripts/migrate-create-transcript-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🎓 Transcripts migration\n");
+
+  if (await tableExists("transcripts")) {
+    console.log("⚠️  transcripts already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE transcripts (
+        id SERIAL PRIMARY KEY,
+        verification_code VARCHAR(32) NOT NULL UNIQUE,
+        student_id INTEGER NOT NULL,
+        student_name VARCHAR(255) NOT NULL,
+        matric_number VARCHAR(100),
+        program_title VARCHAR(255),
+        cgpa DECIMAL(4, 2) NOT NULL DEFAULT 0,
+        total_units INTEGER NOT NULL DEFAULT 0,
+        snapshot JSONB NOT NULL,
+        content_hash VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'revoked')),
+        issued_by_type VARCHAR(30),
+        issued_by_id INTEGER,
+        issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP,
+        revoked_by INTEGER,
+        revocation_reason TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_transcripts_student_hash ON transcripts (student_id, content_hash);`);
+    console.log("✅ transcripts");
+  }
+
+  if (await tableExists("academic_standings")) {
+    console.log("⚠️  academic_standings already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE academic_standings (
+        id SERIAL PRIMARY KEY,
+        student_id INTEGER NOT NULL,
+        academic_year VARCHAR(20) NOT NULL,
+        level VARCHAR(5),
+        gpa DECIMAL(4, 2),
+        cgpa DECIMAL(4, 2),
+        carry_over_units INTEGER NOT NULL DEFAULT 0,
+        carry_over_courses JSONB NOT NULL DEFAULT '[]',
+        standing VARCHAR(20) NOT NULL CHECK (standing IN ('good', 'probation', 'withdrawn')),
+        reason TEXT,
+        decided_by_type VARCHAR(20) NOT NULL DEFAULT 'system' CHECK (decided_by_type IN ('system', 'admin')),
+        decided_by_id INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (student_id, academic_year)
+      );
+    `);
+    console.log("✅ academic_standings");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
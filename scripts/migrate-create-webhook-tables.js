@@ -0,0 +1,90 @@
+import { db } from "../src/database/database.js";
+import { QueryTypes } from "sequelize";
+
+/**
+ * Adds outbound webhooks: tutor_webhooks and webhook_deliveries.
+ * Run: node scripts/migrate-create-webhook-tables.js
+ */
+
+async function tableExists(tableName) {
+  const result = await db.query(
+    `SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = :tableName
+    ) AS exists;`,
+    { type: QueryTypes.SELECT, replacements: { tableName } }
+  );
+  return !!result?.[0]?.exists;
+}
+
+async function run() {
+  console.log("🪝 Outbound webhooks migration\n");
+
+  if (await tableExists("tutor_webhooks")) {
+    console.log("⚠️  tutor_webhooks already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE tutor_webhooks (
+        id SERIAL PRIMARY KEY,
+        owner_type VARCHAR(20) NOT NULL CHECK (owner_type IN ('sole_tutor', 'organization')),
+        owner_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        description VARCHAR(255),
+        events JSONB NOT NULL DEFAULT '[]'::jsonb,
+        secret VARCHAR(100) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        disabled_reason VARCHAR(255),
+        last_delivery_at TIMESTAMP,
+        last_success_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`CREATE INDEX idx_tutor_webhooks_owner ON tutor_webhooks (owner_type, owner_id);`);
+    await db.query(`CREATE INDEX idx_tutor_webhooks_status ON tutor_webhooks (status);`);
+    console.log("✅ tutor_webhooks");
+  }
+
+  if (await tableExists("webhook_deliveries")) {
+    console.log("⚠️  webhook_deliveries already exists — skipping");
+  } else {
+    await db.query(`
+      CREATE TABLE webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES tutor_webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        event_id VARCHAR(64) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP,
+        last_attempt_at TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        error_message VARCHAR(500),
+        duration_ms INTEGER,
+        replay_of INTEGER,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(
+      `CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);`
+    );
+    await db.query(
+      `CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);`
+    );
+    await db.query(`CREATE INDEX idx_webhook_deliveries_event ON webhook_deliveries (event_id);`);
+    console.log("✅ webhook_deliveries");
+  }
+
+  console.log("\n✅ Migration complete");
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -82,6 +82,68 @@ export const Config = {
     enabled: process.env.EMAIL_ENABLED === "true" || true,
   },
 
+  // Background jobs (services/jobSchedulerService.js)
+  jobs: {
+    // Set to "false" on instances that should only serve HTTP
+    enabled: process.env.JOBS_ENABLED !== "false",
+    // "bull" (Redis, default when reachable) or "local" (in-process + Postgres locks)
+    driver: process.env.JOBS_DRIVER || "auto",
+    // IANA timezone for cron schedules; defaults to the server timezone
+    timezone: process.env.JOBS_TIMEZONE || undefined,
+  },
+
+  // Scheduled reminders (services/reminderService.js)
+  reminders: {
+    // Hours before the start time to remind attendees, comma separated
+    leadHours: (process.env.REMINDER_LEAD_HOURS || "24,1")
+      .split(",")
+      .map((h) => parseInt(h))
+      .filter((h) => h > 0),
+  },
+
+  // Academic calendar and timetable (services/timetableService.js)
+  calendar: {
+    // IANA timezone of weekly timetable times and calendar dates
+    timezone: process.env.ACADEMIC_TIMEZONE || "Africa/Lagos",
+  },
+
+  // Live class attendance (services/attendanceService.js)
+  attendance: {
+    // Share of a class (0-100) a student must be in to count as present
+    presentPercent: Number(process.env.ATTENDANCE_PRESENT_PERCENT || 50),
+    // Joining more than this many minutes after the class started counts as late
+    lateAfterMinutes: Number(process.env.ATTENDANCE_LATE_AFTER_MINUTES || 10),
+  },
+
+  // Similarity check of theory answers and assignment text (services/similarityService.js)
+  similarity: {
+    // Pairs at or above this Jaccard similarity (0-1) of word shingles are flagged
+    threshold: Number(process.env.SIMILARITY_THRESHOLD || 0.4),
+    // Answers with fewer words are not compared; short answers overlap naturally
+    minWords: Number(process.env.SIMILARITY_MIN_WORDS || 25),
+  },
+
+  // Refunds (services/refundService.js)
+  refunds: {
+    // When true, purchases paid by card through Flutterwave are refunded to the card;
+    // otherwise learners are refunded to their wallet (guest orders then need a manual refund)
+    toCardEnabled: process.env.REFUNDS_TO_CARD_ENABLED === "true",
+    // Learners can request a refund this many days after purchase (event tickets follow the event policy)
+    requestWindowDays: parseInt(process.env.REFUND_REQUEST_WINDOW_DAYS) || 14,
+  },
+
+  // End-of-session standing (services/studentLevelProgressionService.js)
+  academicStanding: {
+    // When false, students advance a level after registering both semesters (no CGPA checks)
+    enabled: process.env.ACADEMIC_STANDING_RULES_ENABLED === "true",
+    // CGPA below this puts the student on probation (repeats the level)
+    probationCgpa: parseFloat(process.env.ACADEMIC_PROBATION_CGPA) || 1.5,
+    // CGPA below this, or a second probation in a row, withdraws the student
+    withdrawalCgpa: parseFloat(process.env.ACADEMIC_WITHDRAWAL_CGPA) || 1.0,
+    // More outstanding carry-over units than this also means probation
+    maxCarryOverUnits: parseInt(process.env.ACADEMIC_MAX_CARRY_OVER_UNITS) || 24,
+  },
+
   // Tutor payout transfer PIN: when true, payouts are blocked until PIN is set + email verification
   transferPin: {
     enforce: process.env.TRANSFER_PIN_ENFORCE === "true",
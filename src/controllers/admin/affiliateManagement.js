@@ -0,0 +1,164 @@
+/**
+ * Admin Affiliate Management Controller
+ * Platform-wide affiliate report, referral list and manual cancellation of held commissions
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import { AffiliateProgram } from "../../models/marketplace/affiliateProgram.js";
+import { AffiliateLink } from "../../models/marketplace/affiliateLink.js";
+import { AffiliateClick } from "../../models/marketplace/affiliateClick.js";
+import { AffiliateReferral } from "../../models/marketplace/affiliateReferral.js";
+import {
+  AFFILIATE_REFERRAL_STATUSES,
+  summarizeReferrals,
+  parseDateRange,
+  formatReferral,
+} from "../../services/affiliateService.js";
+
+/**
+ * Affiliate totals: programs, affiliates, clicks, conversions and commission per currency
+ * GET /api/admin/affiliates/report?start_date=&end_date=&owner_type=&owner_id=
+ */
+export const getAffiliateReport = TryCatchFunction(async (req, res) => {
+  const { owner_type, owner_id } = req.query;
+
+  const programWhere = {};
+  if (owner_type) programWhere.owner_type = owner_type;
+  if (owner_id) programWhere.owner_id = parseInt(owner_id);
+
+  const programs = await AffiliateProgram.findAll({ where: programWhere, attributes: ["id", "status"] });
+  const programIds = programs.map((p) => p.id);
+  const inPrograms = { program_id: { [Op.in]: programIds } };
+
+  const [affiliates, clicks, referrals] = await Promise.all([
+    AffiliateLink.count({ where: inPrograms }),
+    AffiliateClick.count({ where: { ...inPrograms, ...parseDateRange(req.query, "clicked_at") } }),
+    summarizeReferrals({ ...inPrograms, ...parseDateRange(req.query, "created_at") }, "affiliate_type"),
+  ]);
+
+  // Merge the per-affiliate-type summaries into platform totals
+  const byCurrency = {};
+  let conversions = 0;
+  for (const group of Object.values(referrals)) {
+    conversions += group.conversions;
+    for (const [currency, totals] of Object.entries(group.by_currency)) {
+      const target = (byCurrency[currency] ??= { sales: 0, pending: 0, paid: 0, cancelled: 0 });
+      for (const key of Object.keys(target)) {
+        target[key] = parseFloat((target[key] + totals[key]).toFixed(2));
+      }
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliate report retrieved successfully",
+    data: {
+      programs: programs.length,
+      active_programs: programs.filter((p) => p.status === "active").length,
+      affiliates,
+      clicks,
+      conversions,
+      conversion_rate: clicks ? parseFloat(((conversions / clicks) * 100).toFixed(2)) : 0,
+      by_currency: byCurrency,
+      by_affiliate_type: referrals,
+    },
+  });
+});
+
+/**
+ * All referrals
+ * GET /api/admin/affiliates/referrals?status=&owner_type=&owner_id=&affiliate_type=&affiliate_id=&start_date=&end_date=
+ */
+export const getAllAffiliateReferrals = TryCatchFunction(async (req, res) => {
+  const {
+    status,
+    owner_type,
+    owner_id,
+    affiliate_type,
+    affiliate_id,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const where = { ...parseDateRange(req.query, "created_at") };
+  if (status) {
+    if (!AFFILIATE_REFERRAL_STATUSES.includes(status)) {
+      throw new ErrorClass(`status must be one of: ${AFFILIATE_REFERRAL_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+  if (owner_type) where.owner_type = owner_type;
+  if (owner_id) where.owner_id = parseInt(owner_id);
+  if (affiliate_type) where.affiliate_type = affiliate_type;
+  if (affiliate_id) where.affiliate_id = parseInt(affiliate_id);
+
+  const { count, rows } = await AffiliateReferral.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Referrals retrieved successfully",
+    data: {
+      referrals: rows.map((referral) => ({
+        ...formatReferral(referral),
+        owner_type: referral.owner_type,
+        owner_id: referral.owner_id,
+        student_id: referral.student_id,
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Cancel a held commission (e.g. fraudulent referral)
+ * PUT /api/admin/affiliates/referrals/:id/cancel
+ * Body: { reason }
+ */
+export const cancelAffiliateReferral = TryCatchFunction(async (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+  if (!reason) {
+    throw new ErrorClass("reason is required", 400);
+  }
+
+  const referral = await AffiliateReferral.findByPk(req.params.id);
+  if (!referral) {
+    throw new ErrorClass("Referral not found", 404);
+  }
+  if (referral.status !== "pending") {
+    throw new ErrorClass(`Only pending commissions can be cancelled (status: ${referral.status})`, 400);
+  }
+
+  await referral.update({
+    status: "cancelled",
+    cancelled_at: new Date(),
+    cancel_reason: reason.slice(0, 255),
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "cancelled_affiliate_referral",
+    "affiliate_referral",
+    referral.id,
+    `Cancelled affiliate commission #${referral.id}`,
+    { reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Commission cancelled",
+    data: { referral: formatReferral(referral) },
+  });
+});
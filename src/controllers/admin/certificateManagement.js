@@ -0,0 +1,135 @@
+/**
+ * Admin Certificate Management Controller
+ * Search issued course certificates and revoke/reinstate them
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import { CourseCertificate } from "../../models/marketplace/courseCertificate.js";
+import { formatCertificate } from "../../services/certificateService.js";
+
+/**
+ * Get all certificates with filters
+ * GET /api/admin/certificates
+ */
+export const getAllCertificates = TryCatchFunction(async (req, res) => {
+  const { status, course_id, student_id, search, page = 1, limit = 20 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = {};
+  if (status) where.status = status;
+  if (course_id) where.course_id = parseInt(course_id);
+  if (student_id) where.student_id = parseInt(student_id);
+  if (search) {
+    where[Op.or] = [
+      { serial: { [Op.iLike]: `%${search}%` } },
+      { learner_name: { [Op.iLike]: `%${search}%` } },
+      { course_title: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  const { count, rows } = await CourseCertificate.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: [["issued_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Certificates retrieved successfully",
+    data: {
+      certificates: rows.map(formatCertificate),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Revoke a certificate
+ * PUT /api/admin/certificates/:id/revoke
+ */
+export const revokeCertificate = TryCatchFunction(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorClass("A revocation reason is required", 400);
+  }
+
+  const certificate = await CourseCertificate.findByPk(req.params.id);
+  if (!certificate) {
+    throw new ErrorClass("Certificate not found", 404);
+  }
+  if (certificate.status === "revoked") {
+    throw new ErrorClass("Certificate is already revoked", 400);
+  }
+
+  await certificate.update({
+    status: "revoked",
+    revoked_at: new Date(),
+    revoked_by: req.user.id,
+    revocation_reason: String(reason).trim(),
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "revoked_certificate",
+    "course_certificate",
+    certificate.id,
+    `Revoked certificate ${certificate.serial}`,
+    { serial: certificate.serial, reason: certificate.revocation_reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Certificate revoked successfully",
+    data: {
+      certificate: formatCertificate(certificate),
+    },
+  });
+});
+
+/**
+ * Reinstate a revoked certificate
+ * PUT /api/admin/certificates/:id/reinstate
+ */
+export const reinstateCertificate = TryCatchFunction(async (req, res) => {
+  const certificate = await CourseCertificate.findByPk(req.params.id);
+  if (!certificate) {
+    throw new ErrorClass("Certificate not found", 404);
+  }
+  if (certificate.status !== "revoked") {
+    throw new ErrorClass("Certificate is not revoked", 400);
+  }
+
+  await certificate.update({
+    status: "active",
+    revoked_at: null,
+    revoked_by: null,
+    revocation_reason: null,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "reinstated_certificate",
+    "course_certificate",
+    certificate.id,
+    `Reinstated certificate ${certificate.serial}`,
+    { serial: certificate.serial }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Certificate reinstated successfully",
+    data: {
+      certificate: formatCertificate(certificate),
+    },
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Admin Org API Key Management Controller
+ * List organization API keys platform-wide and revoke a leaked or abused key
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import { OrgApiKey } from "../../models/marketplace/orgApiKey.js";
+import { formatApiKey } from "../marketplace/orgApiKeys.js";
+
+/**
+ * GET /api/admin/org-api-keys?organization_id=&status=&page=1&limit=20
+ */
+export const getAllOrgApiKeys = TryCatchFunction(async (req, res) => {
+  const { organization_id, status, page = 1, limit = 20 } = req.query;
+
+  const where = {};
+  if (organization_id) where.organization_id = parseInt(organization_id);
+  if (status) where.status = status;
+
+  const { count, rows } = await OrgApiKey.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "API keys retrieved successfully",
+    data: {
+      api_keys: rows.map((apiKey) => ({
+        ...formatApiKey(apiKey),
+        organization_id: apiKey.organization_id,
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * PUT /api/admin/org-api-keys/:id/revoke
+ * Body: { reason }
+ */
+export const revokeOrgApiKey = TryCatchFunction(async (req, res) => {
+  const reason = req.body?.reason ? String(req.body.reason).trim() : "";
+  if (!reason) {
+    throw new ErrorClass("reason is required", 400);
+  }
+
+  const apiKey = await OrgApiKey.findByPk(req.params.id);
+  if (!apiKey) {
+    throw new ErrorClass("API key not found", 404);
+  }
+  if (apiKey.status === "revoked") {
+    throw new ErrorClass("API key is already revoked", 400);
+  }
+
+  await apiKey.update({
+    status: "revoked",
+    revoked_at: new Date(),
+    revoked_by_type: "admin",
+    revoked_by_id: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "revoked_org_api_key",
+    "org_api_key",
+    apiKey.id,
+    `Revoked API key #${apiKey.id} of organization #${apiKey.organization_id}`,
+    { reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked",
+    data: { api_key: formatApiKey(apiKey) },
+  });
+});
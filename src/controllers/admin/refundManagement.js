@@ -0,0 +1,225 @@
+/**
+ * Admin Refund Management Controller
+ * Review all refund requests, approve/reject/retry them and record chargebacks
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import { RefundRequest } from "../../models/marketplace/refundRequest.js";
+import {
+  processRefund,
+  rejectRefundRequest,
+  recordChargeback,
+  formatRefundRequest,
+} from "../../services/refundService.js";
+
+const REFUND_METHODS = ["wallet", "flutterwave"];
+
+async function findRefundRequest(id) {
+  const request = await RefundRequest.findByPk(id);
+  if (!request) {
+    throw new ErrorClass("Refund request not found", 404);
+  }
+  return request;
+}
+
+function parseRefundMethod(value) {
+  if (value == null || value === "") return undefined;
+  if (!REFUND_METHODS.includes(value)) {
+    throw new ErrorClass(`refund_method must be one of: ${REFUND_METHODS.join(", ")}`, 400);
+  }
+  return value;
+}
+
+/**
+ * Get all refund requests with filters
+ * GET /api/admin/refunds
+ */
+export const getAllRefundRequests = TryCatchFunction(async (req, res) => {
+  const {
+    status,
+    kind,
+    product_type,
+    student_id,
+    owner_type,
+    owner_id,
+    search,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (kind) where.kind = kind;
+  if (product_type) where.product_type = product_type;
+  if (student_id) where.student_id = parseInt(student_id);
+  if (owner_type) where.owner_type = owner_type;
+  if (owner_id) where.owner_id = parseInt(owner_id);
+  if (search) {
+    where[Op.or] = [
+      { product_name: { [Op.iLike]: `%${search}%` } },
+      { payment_reference: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  const { count, rows } = await RefundRequest.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Refund requests retrieved successfully",
+    data: {
+      refunds: rows.map(formatRefundRequest),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Approve and process a refund request
+ * PUT /api/admin/refunds/:id/approve
+ * Body: { refund_method?: "wallet" | "flutterwave", note? }
+ */
+export const approveRefundRequest = TryCatchFunction(async (req, res) => {
+  const request = await findRefundRequest(req.params.id);
+
+  if (request.status !== "requested") {
+    throw new ErrorClass(`Refund request is already ${request.status}`, 400);
+  }
+
+  await processRefund(request, {
+    actorType: "admin",
+    actorId: req.user.id,
+    refundMethod: parseRefundMethod(req.body?.refund_method),
+    note: req.body?.note,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "approved_refund",
+    "refund_request",
+    request.id,
+    `Approved ${request.product_type} refund #${request.id} (${request.amount} ${request.currency})`,
+    { refund_method: request.refund_method }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Refund approved and processed",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
+
+/**
+ * Reject a refund request
+ * PUT /api/admin/refunds/:id/reject
+ */
+export const rejectAdminRefundRequest = TryCatchFunction(async (req, res) => {
+  const { note } = req.body || {};
+
+  if (!note || !String(note).trim()) {
+    throw new ErrorClass("A note explaining the rejection is required", 400);
+  }
+
+  const request = await findRefundRequest(req.params.id);
+  await rejectRefundRequest(request, { actorType: "admin", actorId: req.user.id, note });
+
+  await logAdminActivity(
+    req.user.id,
+    "rejected_refund",
+    "refund_request",
+    request.id,
+    `Rejected ${request.product_type} refund #${request.id}`,
+    { note: String(note).trim() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Refund request rejected",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
+
+/**
+ * Retry a failed refund (e.g. card refund declined, or switch it to the wallet)
+ * PUT /api/admin/refunds/:id/retry
+ * Body: { refund_method?: "wallet" | "flutterwave" }
+ */
+export const retryRefundRequest = TryCatchFunction(async (req, res) => {
+  const request = await findRefundRequest(req.params.id);
+
+  if (request.status !== "failed") {
+    throw new ErrorClass("Only failed refunds can be retried", 400);
+  }
+
+  await processRefund(request, {
+    actorType: "admin",
+    actorId: req.user.id,
+    refundMethod: parseRefundMethod(req.body?.refund_method),
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "retried_refund",
+    "refund_request",
+    request.id,
+    `Retried ${request.product_type} refund #${request.id}`,
+    { refund_method: request.refund_method }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Refund processed",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
+
+/**
+ * Record a chargeback
+ * POST /api/admin/refunds/chargebacks
+ * Body: { product_type, purchase_id, reason, provider_reference? }
+ */
+export const createChargeback = TryCatchFunction(async (req, res) => {
+  const { product_type, purchase_id, reason, provider_reference } = req.body;
+
+  if (!purchase_id) {
+    throw new ErrorClass("purchase_id is required", 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorClass("A reason is required", 400);
+  }
+
+  const request = await recordChargeback({
+    productType: product_type,
+    purchaseId: parseInt(purchase_id),
+    reason,
+    providerReference: provider_reference,
+    adminId: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "recorded_chargeback",
+    "refund_request",
+    request.id,
+    `Recorded chargeback on ${product_type} purchase #${purchase_id}`,
+    { provider_reference: provider_reference || null }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Chargeback recorded and sale reversed",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Admin Review Management Controller
+ * Moderation queue for product reviews: held and reported reviews, approve/reject/flag for abuse
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import { db } from "../../database/database.js";
+import { ProductReview } from "../../models/marketplace/productReview.js";
+import { ReviewReport } from "../../models/marketplace/reviewReport.js";
+import { Students } from "../../models/auth/student.js";
+import {
+  REVIEW_STATUSES,
+  parseAbuseReasons,
+  formatTutorReply,
+} from "../../services/reviewModerationService.js";
+
+const studentInclude = {
+  model: Students,
+  as: "student",
+  attributes: ["id", "fname", "lname", "email", "profile_image"],
+};
+
+function formatModerationReview(review) {
+  return {
+    id: review.id,
+    product_type: review.product_type,
+    product_id: review.product_id,
+    rating: review.rating,
+    title: review.title,
+    comment: review.comment,
+    status: review.status,
+    is_verified_purchase: review.is_verified_purchase,
+    helpful_count: review.helpful_count,
+    report_count: review.report_count,
+    moderation_flags: review.moderation_flags || [],
+    moderation_reasons: review.moderation_reasons || [],
+    moderation_note: review.moderation_note,
+    moderated_by: review.moderated_by,
+    moderated_at: review.moderated_at,
+    tutor_reply: formatTutorReply(review),
+    created_at: review.created_at,
+    student: review.student
+      ? {
+          id: review.student.id,
+          name: `${review.student.fname} ${review.student.lname || ""}`.trim(),
+          email: review.student.email,
+          profile_image: review.student.profile_image,
+        }
+      : null,
+  };
+}
+
+async function findReview(id) {
+  const review = await ProductReview.findByPk(id, { include: [studentInclude] });
+  if (!review) {
+    throw new ErrorClass("Review not found", 404);
+  }
+  return review;
+}
+
+/**
+ * Apply a moderation decision and close the review's open reports
+ * (dismissed when the review is kept, resolved when it is taken down)
+ */
+async function moderateReview(review, adminId, { status, reasons = null, note = null }) {
+  const now = new Date();
+  const transaction = await db.transaction();
+
+  try {
+    await review.update(
+      {
+        status,
+        moderation_reasons: reasons,
+        moderation_note: note ? String(note).trim() : null,
+        moderated_by: adminId,
+        moderated_at: now,
+      },
+      { transaction }
+    );
+    await ReviewReport.update(
+      {
+        status: status === "approved" ? "dismissed" : "resolved",
+        resolved_by: adminId,
+        resolved_at: now,
+      },
+      { where: { review_id: review.id, status: "open" }, transaction }
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Get the moderation queue / all reviews
+ * GET /api/admin/reviews?status=pending&reported=true
+ */
+export const getAllReviews = TryCatchFunction(async (req, res) => {
+  const {
+    status,
+    reported,
+    product_type,
+    product_id,
+    student_id,
+    search,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const where = {};
+  if (status) {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new ErrorClass(`status must be one of: ${REVIEW_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+  if (reported === "true") where.report_count = { [Op.gt]: 0 };
+  if (product_type) where.product_type = product_type;
+  if (product_id) where.product_id = parseInt(product_id);
+  if (student_id) where.student_id = parseInt(student_id);
+  if (search) {
+    where[Op.or] = [
+      { title: { [Op.iLike]: `%${search}%` } },
+      { comment: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+
+  const { count, rows } = await ProductReview.findAndCountAll({
+    where,
+    include: [studentInclude],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [
+      ["report_count", "DESC"],
+      ["created_at", "ASC"],
+    ],
+  });
+
+  const counts = await ProductReview.findAll({
+    attributes: ["status", [db.fn("COUNT", db.col("id")), "count"]],
+    group: ["status"],
+    raw: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Reviews retrieved successfully",
+    data: {
+      reviews: rows.map(formatModerationReview),
+      status_counts: counts.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.count);
+        return acc;
+      }, {}),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Get one review with its learner reports
+ * GET /api/admin/reviews/:id
+ */
+export const getReviewDetails = TryCatchFunction(async (req, res) => {
+  const review = await findReview(req.params.id);
+
+  const reports = await ReviewReport.findAll({
+    where: { review_id: review.id },
+    include: [
+      {
+        model: Students,
+        as: "reporter",
+        attributes: ["id", "fname", "lname", "email"],
+      },
+    ],
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Review retrieved successfully",
+    data: {
+      review: formatModerationReview(review),
+      reports: reports.map((report) => ({
+        id: report.id,
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        resolved_by: report.resolved_by,
+        resolved_at: report.resolved_at,
+        created_at: report.created_at,
+        reporter: report.reporter
+          ? {
+              id: report.reporter.id,
+              name: `${report.reporter.fname} ${report.reporter.lname || ""}`.trim(),
+              email: report.reporter.email,
+            }
+          : null,
+      })),
+    },
+  });
+});
+
+/**
+ * Approve (publish) a review
+ * PUT /api/admin/reviews/:id/approve
+ * Body: { note? }
+ */
+export const approveReview = TryCatchFunction(async (req, res) => {
+  const review = await findReview(req.params.id);
+  await moderateReview(review, req.user.id, { status: "approved", note: req.body?.note });
+
+  await logAdminActivity(
+    req.user.id,
+    "approved_review",
+    "product_review",
+    review.id,
+    `Approved ${review.product_type} review #${review.id}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Review approved",
+    data: { review: formatModerationReview(review) },
+  });
+});
+
+/**
+ * Reject a review (not published; the learner can see it was rejected)
+ * PUT /api/admin/reviews/:id/reject
+ * Body: { reasons?: [...], note? }
+ */
+export const rejectReview = TryCatchFunction(async (req, res) => {
+  const reasons = parseAbuseReasons(req.body?.reasons, { required: false });
+  const note = req.body?.note;
+  if (reasons.length === 0 && !(note && String(note).trim())) {
+    throw new ErrorClass("Give a reason or a note for the rejection", 400);
+  }
+
+  const review = await findReview(req.params.id);
+  await moderateReview(review, req.user.id, {
+    status: "rejected",
+    reasons: reasons.length ? reasons : null,
+    note,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "rejected_review",
+    "product_review",
+    review.id,
+    `Rejected ${review.product_type} review #${review.id}`,
+    { reasons }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Review rejected",
+    data: { review: formatModerationReview(review) },
+  });
+});
+
+/**
+ * Flag a review for abuse and take it down
+ * PUT /api/admin/reviews/:id/flag
+ * Body: { reasons: [...], note? }
+ */
+export const flagReview = TryCatchFunction(async (req, res) => {
+  const reasons = parseAbuseReasons(req.body?.reasons);
+
+  const review = await findReview(req.params.id);
+  await moderateReview(review, req.user.id, {
+    status: "flagged",
+    reasons,
+    note: req.body?.note,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "flagged_review",
+    "product_review",
+    review.id,
+    `Flagged ${review.product_type} review #${review.id} for abuse (${reasons.join(", ")})`,
+    { reasons }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Review flagged for abuse",
+    data: { review: formatModerationReview(review) },
+  });
+});
+
+/**
+ * Remove an inappropriate tutor reply
+ * DELETE /api/admin/reviews/:id/reply
+ */
+export const removeReviewReply = TryCatchFunction(async (req, res) => {
+  const review = await findReview(req.params.id);
+  if (!review.tutor_reply) {
+    throw new ErrorClass("This review has no reply", 400);
+  }
+
+  await review.update({ tutor_reply: null, tutor_replied_at: null });
+
+  await logAdminActivity(
+    req.user.id,
+    "removed_review_reply",
+    "product_review",
+    review.id,
+    `Removed the tutor reply on review #${review.id}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Reply removed",
+    data: { review: formatModerationReview(review) },
+  });
+});
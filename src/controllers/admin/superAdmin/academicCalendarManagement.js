@@ -0,0 +1,376 @@
+import { Op } from "sequelize";
+import { AcademicCalendarEvent, CALENDAR_EVENT_TYPES, TimetableSlot } from "../../../models/calendar/index.js";
+import { Semester } from "../../../models/auth/semester.js";
+import { Courses } from "../../../models/course/courses.js";
+import { Staff } from "../../../models/auth/staff.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import {
+  parseTime,
+  findSlotConflicts,
+  findClashes,
+  formatSlot,
+} from "../../../services/timetableService.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEMESTERS = ["1ST", "2ND"];
+const SLOT_MODES = ["in_person", "online"];
+
+function parseDate(value, field) {
+  if (!DATE_PATTERN.test(String(value ?? "")) || Number.isNaN(Date.parse(value))) {
+    throw new ErrorClass(`${field} must be a date like 2026-10-05`, 400);
+  }
+  return value;
+}
+
+function validateEvent(values) {
+  if (!CALENDAR_EVENT_TYPES.includes(values.type)) {
+    throw new ErrorClass(`type must be one of: ${CALENDAR_EVENT_TYPES.join(", ")}`, 400);
+  }
+  if (!values.title || !String(values.title).trim()) {
+    throw new ErrorClass("title is required", 400);
+  }
+  parseDate(values.start_date, "start_date");
+  parseDate(values.end_date, "end_date");
+  if (values.end_date < values.start_date) {
+    throw new ErrorClass("end_date cannot be before start_date", 400);
+  }
+}
+
+/**
+ * Validated slot values from a request body, merged over the current slot on update
+ */
+async function readSlot(body, current = {}) {
+  const merged = { ...current, ...body };
+  const values = {
+    course_id: parseInt(merged.course_id),
+    academic_year: merged.academic_year ? String(merged.academic_year).trim() : null,
+    semester: merged.semester ? String(merged.semester).toUpperCase() : null,
+    day_of_week: parseInt(merged.day_of_week),
+    start_time: parseTime(merged.start_time, "start_time"),
+    end_time: parseTime(merged.end_time, "end_time"),
+    mode: merged.mode || "in_person",
+    venue: merged.venue ? String(merged.venue).trim().slice(0, 200) : null,
+    online_link: merged.online_link ? String(merged.online_link).trim() : null,
+    staff_id: merged.staff_id ? parseInt(merged.staff_id) : null,
+    notes: merged.notes ? String(merged.notes).trim().slice(0, 500) : null,
+  };
+
+  if (!values.course_id || !values.academic_year || !values.semester) {
+    throw new ErrorClass("course_id, academic_year and semester are required", 400);
+  }
+  if (!SEMESTERS.includes(values.semester)) {
+    throw new ErrorClass('semester must be "1ST" or "2ND"', 400);
+  }
+  if (!(values.day_of_week >= 1 && values.day_of_week <= 7)) {
+    throw new ErrorClass("day_of_week must be 1 (Monday) to 7 (Sunday)", 400);
+  }
+  if (values.end_time <= values.start_time) {
+    throw new ErrorClass("end_time must be after start_time", 400);
+  }
+  if (!SLOT_MODES.includes(values.mode)) {
+    throw new ErrorClass(`mode must be one of: ${SLOT_MODES.join(", ")}`, 400);
+  }
+  if (values.mode === "in_person" && !values.venue) {
+    throw new ErrorClass("venue is required for in-person classes", 400);
+  }
+  if (values.mode === "online") {
+    let url;
+    try {
+      url = new URL(values.online_link);
+    } catch (error) {
+      throw new ErrorClass("online_link must be a valid URL for online classes", 400);
+    }
+    if (!["https:", "http:"].includes(url.protocol)) {
+      throw new ErrorClass("online_link must be a valid URL for online classes", 400);
+    }
+  }
+
+  const [course, staff] = await Promise.all([
+    Courses.findByPk(values.course_id, { attributes: ["id", "course_code"] }),
+    values.staff_id ? Staff.findByPk(values.staff_id, { attributes: ["id"] }) : null,
+  ]);
+  if (!course) {
+    throw new ErrorClass("Course not found", 404);
+  }
+  if (values.staff_id && !staff) {
+    throw new ErrorClass("Staff not found", 404);
+  }
+
+  return { values, course };
+}
+
+/**
+ * Venue and lecturer double-bookings block the change; student clashes are returned as warnings
+ */
+async function checkSlotConflicts(values, excludeId) {
+  const conflicts = await findSlotConflicts(values, excludeId);
+  const blocking = [...conflicts.venue, ...conflicts.staff];
+  if (blocking.length) {
+    throw new ErrorClass(`Timetable clash: ${blocking.map((c) => c.message).join("; ")}`, 409);
+  }
+  return conflicts.students;
+}
+
+async function loadSlot(id) {
+  const slot = await TimetableSlot.findByPk(id, {
+    include: [
+      { model: Courses, as: "course", attributes: ["id", "title", "course_code", "staff_id"] },
+      { model: Staff, as: "staff", attributes: ["id", "full_name"] },
+    ],
+  });
+  if (!slot) {
+    throw new ErrorClass("Timetable slot not found", 404);
+  }
+  return slot;
+}
+
+/**
+ * GET /api/admin/semesters/:id/calendar
+ */
+export const getSemesterCalendar = TryCatchFunction(async (req, res) => {
+  const semester = await Semester.findByPk(req.params.id);
+  if (!semester) {
+    throw new ErrorClass("Semester not found", 404);
+  }
+  const events = await AcademicCalendarEvent.findAll({
+    where: { semester_id: semester.id },
+    order: [["start_date", "ASC"], ["id", "ASC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Academic calendar retrieved successfully",
+    data: { semester, events },
+  });
+});
+
+/**
+ * POST /api/admin/semesters/:id/calendar
+ * Body: { type, title, description?, start_date, end_date }
+ */
+export const createCalendarEvent = TryCatchFunction(async (req, res) => {
+  const semester = await Semester.findByPk(req.params.id);
+  if (!semester) {
+    throw new ErrorClass("Semester not found", 404);
+  }
+  const { type, title, description, start_date, end_date } = req.body || {};
+  validateEvent({ type, title, start_date, end_date });
+
+  const event = await AcademicCalendarEvent.create({
+    semester_id: semester.id,
+    type,
+    title: String(title).trim(),
+    description: description ? String(description).trim() : null,
+    start_date,
+    end_date,
+    created_by: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "created_calendar_event",
+    "academic_calendar_event",
+    event.id,
+    `Added "${event.title}" (${type}) to ${semester.academic_year} ${semester.semester} semester`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Calendar event created",
+    data: { event },
+  });
+});
+
+/**
+ * PUT /api/admin/calendar-events/:id
+ */
+export const updateCalendarEvent = TryCatchFunction(async (req, res) => {
+  const event = await AcademicCalendarEvent.findByPk(req.params.id);
+  if (!event) {
+    throw new ErrorClass("Calendar event not found", 404);
+  }
+
+  const body = req.body || {};
+  const values = {
+    type: body.type ?? event.type,
+    title: body.title ?? event.title,
+    description: body.description !== undefined ? body.description : event.description,
+    start_date: body.start_date ?? event.start_date,
+    end_date: body.end_date ?? event.end_date,
+  };
+  validateEvent(values);
+  await event.update({
+    ...values,
+    title: String(values.title).trim(),
+    description: values.description ? String(values.description).trim() : null,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_calendar_event",
+    "academic_calendar_event",
+    event.id,
+    `Updated calendar event "${event.title}"`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar event updated",
+    data: { event },
+  });
+});
+
+/**
+ * DELETE /api/admin/calendar-events/:id
+ */
+export const deleteCalendarEvent = TryCatchFunction(async (req, res) => {
+  const event = await AcademicCalendarEvent.findByPk(req.params.id);
+  if (!event) {
+    throw new ErrorClass("Calendar event not found", 404);
+  }
+  await event.destroy();
+
+  await logAdminActivity(
+    req.user.id,
+    "deleted_calendar_event",
+    "academic_calendar_event",
+    event.id,
+    `Deleted calendar event "${event.title}"`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar event deleted",
+  });
+});
+
+/**
+ * Timetable of an offering, with clashes between slots
+ * GET /api/admin/timetable?academic_year=2025/2026&semester=1ST&course_id=&program_id=&staff_id=
+ */
+export const getTimetable = TryCatchFunction(async (req, res) => {
+  const { academic_year, semester, course_id, program_id, staff_id } = req.query;
+  if (!academic_year || !semester) {
+    throw new ErrorClass("academic_year and semester are required", 400);
+  }
+
+  const where = { academic_year: String(academic_year), semester: String(semester).toUpperCase() };
+  if (course_id) where.course_id = parseInt(course_id);
+  if (staff_id) {
+    where[Op.or] = [
+      { staff_id: parseInt(staff_id) },
+      { staff_id: null, "$course.staff_id$": parseInt(staff_id) },
+    ];
+  }
+  const courseWhere = program_id ? { program_id: parseInt(program_id) } : undefined;
+
+  const slots = await TimetableSlot.findAll({
+    where,
+    include: [
+      {
+        model: Courses,
+        as: "course",
+        attributes: ["id", "title", "course_code", "staff_id"],
+        where: courseWhere,
+      },
+      { model: Staff, as: "staff", attributes: ["id", "full_name"] },
+    ],
+    order: [["day_of_week", "ASC"], ["start_time", "ASC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Timetable retrieved successfully",
+    data: {
+      slots: slots.map(formatSlot),
+      clashes: findClashes(slots),
+    },
+  });
+});
+
+/**
+ * POST /api/admin/timetable
+ * Body: { course_id, academic_year, semester, day_of_week, start_time, end_time, mode, venue?, online_link?, staff_id?, notes? }
+ */
+export const createTimetableSlot = TryCatchFunction(async (req, res) => {
+  const { values, course } = await readSlot(req.body || {});
+  const warnings = await checkSlotConflicts(values);
+
+  const created = await TimetableSlot.create({ ...values, created_by: req.user.id });
+  const slot = await loadSlot(created.id);
+
+  await logAdminActivity(
+    req.user.id,
+    "created_timetable_slot",
+    "timetable_slot",
+    slot.id,
+    `Scheduled ${course.course_code} on day ${values.day_of_week} ${values.start_time}-${values.end_time} (${values.academic_year} ${values.semester})`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Timetable slot created",
+    data: { slot: formatSlot(slot), warnings },
+  });
+});
+
+/**
+ * PUT /api/admin/timetable/:id (partial)
+ */
+export const updateTimetableSlot = TryCatchFunction(async (req, res) => {
+  const slot = await loadSlot(req.params.id);
+  const { values, course } = await readSlot(req.body || {}, {
+    course_id: slot.course_id,
+    academic_year: slot.academic_year,
+    semester: slot.semester,
+    day_of_week: slot.day_of_week,
+    start_time: slot.start_time,
+    end_time: slot.end_time,
+    mode: slot.mode,
+    venue: slot.venue,
+    online_link: slot.online_link,
+    staff_id: slot.staff_id,
+    notes: slot.notes,
+  });
+  const warnings = await checkSlotConflicts(values, slot.id);
+
+  await slot.update(values);
+  const updated = await loadSlot(slot.id);
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_timetable_slot",
+    "timetable_slot",
+    slot.id,
+    `Updated timetable slot of ${course.course_code}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Timetable slot updated",
+    data: { slot: formatSlot(updated), warnings },
+  });
+});
+
+/**
+ * DELETE /api/admin/timetable/:id
+ */
+export const deleteTimetableSlot = TryCatchFunction(async (req, res) => {
+  const slot = await loadSlot(req.params.id);
+  await slot.destroy();
+
+  await logAdminActivity(
+    req.user.id,
+    "deleted_timetable_slot",
+    "timetable_slot",
+    slot.id,
+    `Removed timetable slot of ${slot.course?.course_code || `course ${slot.course_id}`}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Timetable slot deleted",
+  });
+});
@@ -88,6 +88,7 @@ async function respondAfterAllocatingStudent(
       allocated: result.allocated,
       skipped: result.skipped,
       errors: result.errors?.length ? result.errors : undefined,
+      blocked: result.blocked?.length ? result.blocked : undefined,
       message: hasMessage ? result.message : undefined,
     },
   });
@@ -471,11 +472,16 @@ export const allocateCoursesToAllStudentsEndpoint = TryCatchFunction(
           allocated: allocationResult.allocated,
           skipped: allocationResult.skipped,
           errors: allocationResult.errors?.length || 0,
+          blocked: allocationResult.blocked?.length || 0,
         },
         errors:
           allocationResult.errors && allocationResult.errors.length > 0
             ? allocationResult.errors
             : undefined,
+        blocked:
+          allocationResult.blocked && allocationResult.blocked.length > 0
+            ? allocationResult.blocked
+            : undefined,
       },
     });
   }
@@ -0,0 +1,343 @@
+/**
+ * Admin Email Template Management Controller
+ * Edit the subject/body of platform email templates, preview them with sample data,
+ * and browse / roll back the version history
+ */
+
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import { EmailTemplate } from "../../../models/email/emailTemplate.js";
+import { EmailTemplateVersion } from "../../../models/email/emailTemplateVersion.js";
+import {
+  EMAIL_TEMPLATES,
+  BRANDING_VARIABLES,
+  getActiveTemplate,
+  getDefaultTemplate,
+  getEmailBranding,
+  findUnknownPlaceholders,
+  renderEmail,
+  clearEmailTemplateCache,
+} from "../../../services/emailTemplateService.js";
+
+const MAX_SUBJECT = 255;
+const MAX_BODY = 200_000;
+
+function getTemplateDefinition(key) {
+  const definition = EMAIL_TEMPLATES[key];
+  if (!definition) {
+    throw new ErrorClass("Email template not found", 404);
+  }
+  return definition;
+}
+
+function validateContent(key, subject, htmlBody) {
+  if (typeof subject !== "string" || !subject.trim()) {
+    throw new ErrorClass("subject is required", 400);
+  }
+  if (subject.length > MAX_SUBJECT) {
+    throw new ErrorClass(`subject must be at most ${MAX_SUBJECT} characters`, 400);
+  }
+  if (typeof htmlBody !== "string" || !htmlBody.trim()) {
+    throw new ErrorClass("html_body is required", 400);
+  }
+  if (htmlBody.length > MAX_BODY) {
+    throw new ErrorClass(`html_body must be at most ${MAX_BODY} characters`, 400);
+  }
+  const unknown = findUnknownPlaceholders(key, subject, htmlBody);
+  if (unknown.length) {
+    throw new ErrorClass(
+      `Unknown placeholders: ${unknown.join(", ")}. Available: ${[
+        ...EMAIL_TEMPLATES[key].variables,
+        ...BRANDING_VARIABLES,
+      ].join(", ")}`,
+      400
+    );
+  }
+}
+
+function formatVersion(version, activeVersion) {
+  return {
+    version: version.version,
+    subject: version.subject,
+    note: version.note,
+    created_by: version.created_by,
+    created_at: version.created_at,
+    active: version.version === activeVersion,
+  };
+}
+
+/**
+ * GET /api/admin/email-templates
+ */
+export const getAllEmailTemplates = TryCatchFunction(async (req, res) => {
+  const rows = await EmailTemplate.findAll();
+  const byKey = Object.fromEntries(rows.map((row) => [row.template_key, row]));
+
+  res.status(200).json({
+    success: true,
+    message: "Email templates retrieved successfully",
+    data: {
+      templates: Object.entries(EMAIL_TEMPLATES).map(([key, definition]) => ({
+        key,
+        name: definition.name,
+        customized: !!byKey[key]?.active_version,
+        active_version: byKey[key]?.active_version || null,
+        updated_at: byKey[key]?.updated_at || null,
+      })),
+    },
+  });
+});
+
+/**
+ * Active subject/body, the file default, and the placeholders that can be used
+ * GET /api/admin/email-templates/:key
+ */
+export const getEmailTemplate = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  const definition = getTemplateDefinition(key);
+  clearEmailTemplateCache(key);
+  const [active, defaults] = await Promise.all([getActiveTemplate(key), getDefaultTemplate(key)]);
+
+  res.status(200).json({
+    success: true,
+    message: "Email template retrieved successfully",
+    data: {
+      template: {
+        key,
+        name: definition.name,
+        subject: active.subject,
+        html_body: active.html_body,
+        active_version: active.version,
+        customized: active.version !== null,
+        variables: definition.variables,
+        branding_variables: BRANDING_VARIABLES,
+        sample_data: definition.sample,
+        default: { subject: defaults.subject, html_body: defaults.html_body },
+      },
+    },
+  });
+});
+
+/**
+ * Save a new version and make it active
+ * PUT /api/admin/email-templates/:key
+ * Body: { subject, html_body, note? }
+ */
+export const updateEmailTemplate = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  getTemplateDefinition(key);
+  const { subject, html_body, note } = req.body || {};
+  validateContent(key, subject, html_body);
+
+  const version = await EmailTemplate.sequelize.transaction(async (transaction) => {
+    const [template] = await EmailTemplate.findOrCreate({
+      where: { template_key: key },
+      defaults: { template_key: key },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const latest = (await EmailTemplateVersion.max("version", { where: { template_key: key }, transaction })) || 0;
+    const created = await EmailTemplateVersion.create(
+      {
+        template_key: key,
+        version: latest + 1,
+        subject: subject.trim(),
+        html_body,
+        note: note ? String(note).trim().slice(0, 255) : null,
+        created_by: req.user.id,
+      },
+      { transaction }
+    );
+    await template.update({ active_version: created.version, updated_by: req.user.id }, { transaction });
+    return created;
+  });
+  clearEmailTemplateCache(key);
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_email_template",
+    "email_template",
+    version.id,
+    `Saved version ${version.version} of email template "${key}"`,
+    { template_key: key, version: version.version }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Email template saved",
+    data: { version: formatVersion(version, version.version) },
+  });
+});
+
+/**
+ * Render with sample data. Unsaved subject/html_body can be previewed before saving,
+ * and a tutor/organization's branding applied.
+ * POST /api/admin/email-templates/:key/preview
+ * Body: { subject?, html_body?, data?, version?, owner_type?, owner_id? }
+ */
+export const previewEmailTemplate = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  const definition = getTemplateDefinition(key);
+  const { subject, html_body, data = {}, version, owner_type, owner_id } = req.body || {};
+
+  let template = null;
+  if (version !== undefined && version !== null) {
+    const saved = await EmailTemplateVersion.findOne({ where: { template_key: key, version } });
+    if (!saved) {
+      throw new ErrorClass("Version not found", 404);
+    }
+    template = { subject: saved.subject, html_body: saved.html_body, version: saved.version };
+  } else if (subject !== undefined || html_body !== undefined) {
+    const active = await getActiveTemplate(key);
+    template = { subject: subject ?? active.subject, html_body: html_body ?? active.html_body, version: null };
+    validateContent(key, template.subject, template.html_body);
+  }
+
+  let branding = null;
+  if (owner_type || owner_id) {
+    if (!["sole_tutor", "organization"].includes(owner_type)) {
+      throw new ErrorClass("owner_type must be sole_tutor or organization", 400);
+    }
+    branding = await getEmailBranding({ ownerType: owner_type, ownerId: parseInt(owner_id) });
+  }
+
+  const rendered = await renderEmail(
+    key,
+    { ...definition.sample, ...(data && typeof data === "object" ? data : {}) },
+    { template, branding, useTutorLearnerBranding: !!branding }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Email preview rendered",
+    data: { preview: { subject: rendered.subject, html: rendered.htmlBody, version: rendered.version } },
+  });
+});
+
+/**
+ * GET /api/admin/email-templates/:key/versions?page=1&limit=20
+ */
+export const getEmailTemplateVersions = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  getTemplateDefinition(key);
+  const { page = 1, limit = 20 } = req.query;
+
+  const [template, { count, rows }] = await Promise.all([
+    EmailTemplate.findOne({ where: { template_key: key } }),
+    EmailTemplateVersion.findAndCountAll({
+      where: { template_key: key },
+      attributes: { exclude: ["html_body"] },
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      order: [["version", "DESC"]],
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Email template versions retrieved successfully",
+    data: {
+      active_version: template?.active_version || null,
+      versions: rows.map((row) => formatVersion(row, template?.active_version)),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * GET /api/admin/email-templates/:key/versions/:version
+ */
+export const getEmailTemplateVersion = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  getTemplateDefinition(key);
+  const version = await EmailTemplateVersion.findOne({
+    where: { template_key: key, version: parseInt(req.params.version) },
+  });
+  if (!version) {
+    throw new ErrorClass("Version not found", 404);
+  }
+  const template = await EmailTemplate.findOne({ where: { template_key: key } });
+
+  res.status(200).json({
+    success: true,
+    message: "Email template version retrieved successfully",
+    data: {
+      version: { ...formatVersion(version, template?.active_version), html_body: version.html_body },
+    },
+  });
+});
+
+/**
+ * Make an older version active again
+ * POST /api/admin/email-templates/:key/versions/:version/rollback
+ */
+export const rollbackEmailTemplate = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  getTemplateDefinition(key);
+  const version = await EmailTemplateVersion.findOne({
+    where: { template_key: key, version: parseInt(req.params.version) },
+  });
+  if (!version) {
+    throw new ErrorClass("Version not found", 404);
+  }
+
+  const [template] = await EmailTemplate.findOrCreate({
+    where: { template_key: key },
+    defaults: { template_key: key },
+  });
+  const previous = template.active_version;
+  await template.update({ active_version: version.version, updated_by: req.user.id });
+  clearEmailTemplateCache(key);
+
+  await logAdminActivity(
+    req.user.id,
+    "rolled_back_email_template",
+    "email_template",
+    version.id,
+    `Rolled back email template "${key}" to version ${version.version}`,
+    { template_key: key, from_version: previous, to_version: version.version }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Email template rolled back to version ${version.version}`,
+    data: { version: formatVersion(version, version.version) },
+  });
+});
+
+/**
+ * Go back to the default file. Saved versions are kept.
+ * DELETE /api/admin/email-templates/:key
+ */
+export const resetEmailTemplate = TryCatchFunction(async (req, res) => {
+  const key = req.params.key;
+  getTemplateDefinition(key);
+  const template = await EmailTemplate.findOne({ where: { template_key: key } });
+  if (!template?.active_version) {
+    throw new ErrorClass("Email template already uses the default", 400);
+  }
+
+  const previous = template.active_version;
+  await template.update({ active_version: null, updated_by: req.user.id });
+  clearEmailTemplateCache(key);
+
+  await logAdminActivity(
+    req.user.id,
+    "reset_email_template",
+    "email_template",
+    template.id,
+    `Reset email template "${key}" to the default`,
+    { template_key: key, from_version: previous }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Email template reset to the default",
+  });
+});
@@ -0,0 +1,147 @@
+import { GradingScale, DEFAULT_GRADE_BANDS } from "../../../models/grading/index.js";
+import { Program } from "../../../models/program/program.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import { validateGradeBands } from "../../../services/gradebookService.js";
+
+function parsePassMark(value) {
+  const passMark = Number(value);
+  if (!Number.isFinite(passMark) || passMark < 0 || passMark > 100) {
+    throw new ErrorClass("pass_mark must be between 0 and 100", 400);
+  }
+  return passMark;
+}
+
+/**
+ * Get all grading scales (program_id null = default scale)
+ */
+export const getAllGradingScales = TryCatchFunction(async (req, res) => {
+  const scales = await GradingScale.findAll({
+    include: [{ model: Program, as: "program", attributes: ["id", "title"] }],
+    order: [["id", "ASC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Grading scales retrieved successfully",
+    data: {
+      scales,
+      built_in_default: scales.some((s) => s.program_id === null)
+        ? null
+        : { name: "Default", pass_mark: 40, bands: DEFAULT_GRADE_BANDS },
+    },
+  });
+});
+
+/**
+ * Create a grading scale for a program, or the default scale when program_id is omitted
+ */
+export const createGradingScale = TryCatchFunction(async (req, res) => {
+  const { program_id, name, bands, pass_mark } = req.body;
+  const programId = program_id ? parseInt(program_id) : null;
+
+  if (!name || !String(name).trim()) {
+    throw new ErrorClass("Name is required", 400);
+  }
+
+  if (programId) {
+    const program = await Program.findByPk(programId);
+    if (!program) {
+      throw new ErrorClass("Program not found", 404);
+    }
+  }
+
+  const existing = await GradingScale.findOne({ where: { program_id: programId } });
+  if (existing) {
+    throw new ErrorClass(
+      programId ? "This program already has a grading scale" : "A default grading scale already exists",
+      409
+    );
+  }
+
+  const scale = await GradingScale.create({
+    program_id: programId,
+    name: String(name).trim(),
+    bands: bands ? validateGradeBands(bands) : DEFAULT_GRADE_BANDS,
+    pass_mark: pass_mark !== undefined ? parsePassMark(pass_mark) : 40,
+    created_by: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "created_grading_scale",
+    "grading_scale",
+    scale.id,
+    `Created grading scale "${scale.name}"${programId ? ` for program ${programId}` : " (default)"}`
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Grading scale created successfully",
+    data: scale,
+  });
+});
+
+/**
+ * Update a grading scale
+ * Published results keep their grade; new grades use the updated bands.
+ */
+export const updateGradingScale = TryCatchFunction(async (req, res) => {
+  const scale = await GradingScale.findByPk(req.params.id);
+  if (!scale) {
+    throw new ErrorClass("Grading scale not found", 404);
+  }
+
+  const { name, bands, pass_mark } = req.body;
+  const updates = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new ErrorClass("Name cannot be empty", 400);
+    updates.name = String(name).trim();
+  }
+  if (bands !== undefined) updates.bands = validateGradeBands(bands);
+  if (pass_mark !== undefined) updates.pass_mark = parsePassMark(pass_mark);
+
+  const oldValues = { name: scale.name, bands: scale.bands, pass_mark: scale.pass_mark };
+  await scale.update(updates);
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_grading_scale",
+    "grading_scale",
+    scale.id,
+    `Updated grading scale "${scale.name}"`,
+    { old_values: oldValues, new_values: updates }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Grading scale updated successfully",
+    data: scale,
+  });
+});
+
+/**
+ * Delete a grading scale (the program falls back to the default scale)
+ */
+export const deleteGradingScale = TryCatchFunction(async (req, res) => {
+  const scale = await GradingScale.findByPk(req.params.id);
+  if (!scale) {
+    throw new ErrorClass("Grading scale not found", 404);
+  }
+
+  await scale.destroy();
+
+  await logAdminActivity(
+    req.user.id,
+    "deleted_grading_scale",
+    "grading_scale",
+    scale.id,
+    `Deleted grading scale "${scale.name}"`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Grading scale deleted successfully",
+  });
+});
@@ -0,0 +1,94 @@
+import { ScheduledJobRun } from "../../../models/admin/scheduledJobRun.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import { getScheduledJob } from "../../../services/scheduledJobDefinitions.js";
+import {
+  getJobsOverview,
+  getSchedulerMode,
+  triggerJob,
+  formatJobRun,
+} from "../../../services/jobSchedulerService.js";
+
+/**
+ * List background jobs with schedule and last run
+ * GET /api/admin/jobs
+ */
+export const getAllJobs = TryCatchFunction(async (req, res) => {
+  const jobs = await getJobsOverview();
+
+  res.status(200).json({
+    success: true,
+    message: "Background jobs retrieved successfully",
+    data: {
+      scheduler_mode: getSchedulerMode(),
+      jobs,
+    },
+  });
+});
+
+/**
+ * Run history for one job
+ * GET /api/admin/jobs/:name/runs
+ */
+export const getJobRuns = TryCatchFunction(async (req, res) => {
+  const { name } = req.params;
+  const { page = 1, limit = 20, status } = req.query;
+
+  if (!getScheduledJob(name)) {
+    throw new ErrorClass("Job not found", 404);
+  }
+
+  const where = { job_name: name };
+  if (status) where.status = status;
+
+  const { count, rows } = await ScheduledJobRun.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["started_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Job runs retrieved successfully",
+    data: {
+      runs: rows.map(formatJobRun),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Trigger a job now (outside its schedule)
+ * POST /api/admin/jobs/:name/run
+ */
+export const runJobNow = TryCatchFunction(async (req, res) => {
+  const { name } = req.params;
+
+  if (!getScheduledJob(name)) {
+    throw new ErrorClass("Job not found", 404);
+  }
+
+  const result = await triggerJob(name, req.user.id);
+
+  await logAdminActivity(
+    req.user.id,
+    "triggered_job",
+    "scheduled_job",
+    null,
+    `Manually triggered background job ${name}`,
+    { job_name: name, mode: result.mode }
+  );
+
+  res.status(202).json({
+    success: true,
+    message: "Job triggered. Check the run history for the result.",
+    data: result,
+  });
+});
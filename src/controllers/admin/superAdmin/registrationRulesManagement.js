@@ -0,0 +1,309 @@
+import { CourseRequisite } from "../../../models/course/courseRequisite.js";
+import { CreditLoadRule } from "../../../models/course/creditLoadRule.js";
+import { Courses } from "../../../models/course/courses.js";
+import { Program } from "../../../models/program/program.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import { REQUISITE_TYPES } from "../../../services/courseRegistrationRulesService.js";
+
+const SEMESTERS = ["1ST", "2ND"];
+
+function parseUnits(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const units = Number(value);
+  if (!Number.isInteger(units) || units < 0) {
+    throw new ErrorClass(`${field} must be a whole number of units`, 400);
+  }
+  return units;
+}
+
+function validateLoad(minUnits, maxUnits) {
+  if (minUnits === null && maxUnits === null) {
+    throw new ErrorClass("Provide min_units, max_units or both", 400);
+  }
+  if (minUnits !== null && maxUnits !== null && minUnits > maxUnits) {
+    throw new ErrorClass("min_units cannot be greater than max_units", 400);
+  }
+}
+
+/**
+ * True when requiredCourseId already (indirectly) needs courseId as a prerequisite
+ */
+async function createsPrerequisiteCycle(courseId, requiredCourseId) {
+  const seen = new Set();
+  let frontier = [requiredCourseId];
+  while (frontier.length) {
+    if (frontier.includes(courseId)) return true;
+    frontier.forEach((id) => seen.add(id));
+    const rows = await CourseRequisite.findAll({
+      where: { course_id: frontier, type: "prerequisite" },
+      attributes: ["required_course_id"],
+      raw: true,
+    });
+    frontier = [...new Set(rows.map((r) => r.required_course_id))].filter((id) => !seen.has(id));
+  }
+  return false;
+}
+
+/**
+ * Prerequisites and co-requisites of a course
+ * GET /api/admin/courses/:id/requisites
+ */
+export const getCourseRequisites = TryCatchFunction(async (req, res) => {
+  const course = await Courses.findByPk(req.params.id, {
+    attributes: ["id", "title", "course_code", "course_unit"],
+  });
+  if (!course) {
+    throw new ErrorClass("Course not found", 404);
+  }
+
+  const [requisites, requiredBy] = await Promise.all([
+    CourseRequisite.findAll({
+      where: { course_id: course.id },
+      include: [
+        { model: Courses, as: "requiredCourse", attributes: ["id", "title", "course_code", "course_unit"] },
+      ],
+      order: [["type", "ASC"], ["id", "ASC"]],
+    }),
+    CourseRequisite.findAll({
+      where: { required_course_id: course.id },
+      include: [{ model: Courses, as: "course", attributes: ["id", "title", "course_code"] }],
+      order: [["id", "ASC"]],
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Course requisites retrieved successfully",
+    data: { course, requisites, required_by: requiredBy },
+  });
+});
+
+/**
+ * Add a prerequisite or co-requisite
+ * POST /api/admin/courses/:id/requisites
+ * Body: { required_course_id, type: "prerequisite" | "corequisite" }
+ */
+export const addCourseRequisite = TryCatchFunction(async (req, res) => {
+  const courseId = parseInt(req.params.id);
+  const { required_course_id, type = "prerequisite" } = req.body || {};
+  const requiredCourseId = parseInt(required_course_id);
+
+  if (!requiredCourseId) {
+    throw new ErrorClass("required_course_id is required", 400);
+  }
+  if (!REQUISITE_TYPES.includes(type)) {
+    throw new ErrorClass(`type must be one of: ${REQUISITE_TYPES.join(", ")}`, 400);
+  }
+  if (requiredCourseId === courseId) {
+    throw new ErrorClass("A course cannot require itself", 400);
+  }
+
+  const [course, requiredCourse] = await Promise.all([
+    Courses.findByPk(courseId, { attributes: ["id", "course_code"] }),
+    Courses.findByPk(requiredCourseId, { attributes: ["id", "course_code"] }),
+  ]);
+  if (!course || !requiredCourse) {
+    throw new ErrorClass("Course not found", 404);
+  }
+
+  const existing = await CourseRequisite.findOne({
+    where: { course_id: courseId, required_course_id: requiredCourseId },
+  });
+  if (existing) {
+    throw new ErrorClass(
+      `${requiredCourse.course_code} is already a ${existing.type} of ${course.course_code}`,
+      409
+    );
+  }
+  if (type === "prerequisite" && (await createsPrerequisiteCycle(courseId, requiredCourseId))) {
+    throw new ErrorClass(
+      `${requiredCourse.course_code} already requires ${course.course_code}: prerequisites cannot form a loop`,
+      400
+    );
+  }
+
+  const requisite = await CourseRequisite.create({
+    course_id: courseId,
+    required_course_id: requiredCourseId,
+    type,
+    created_by: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "added_course_requisite",
+    "course",
+    courseId,
+    `Added ${requiredCourse.course_code} as a ${type} of ${course.course_code}`,
+    { required_course_id: requiredCourseId, type }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Course requisite added",
+    data: { requisite },
+  });
+});
+
+/**
+ * DELETE /api/admin/courses/:id/requisites/:requisiteId
+ */
+export const removeCourseRequisite = TryCatchFunction(async (req, res) => {
+  const requisite = await CourseRequisite.findOne({
+    where: { id: req.params.requisiteId, course_id: req.params.id },
+  });
+  if (!requisite) {
+    throw new ErrorClass("Course requisite not found", 404);
+  }
+
+  await requisite.destroy();
+
+  await logAdminActivity(
+    req.user.id,
+    "removed_course_requisite",
+    "course",
+    requisite.course_id,
+    `Removed ${requisite.type} (course ${requisite.required_course_id}) from course ${requisite.course_id}`,
+    { required_course_id: requisite.required_course_id, type: requisite.type }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Course requisite removed",
+  });
+});
+
+/**
+ * Credit load rules (program_id / semester null = applies to all)
+ * GET /api/admin/credit-load-rules
+ */
+export const getCreditLoadRules = TryCatchFunction(async (req, res) => {
+  const where = {};
+  if (req.query.program_id) where.program_id = parseInt(req.query.program_id);
+
+  const rules = await CreditLoadRule.findAll({
+    where,
+    include: [{ model: Program, as: "program", attributes: ["id", "title"] }],
+    order: [["program_id", "ASC"], ["semester", "ASC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Credit load rules retrieved successfully",
+    data: { rules },
+  });
+});
+
+/**
+ * POST /api/admin/credit-load-rules
+ * Body: { program_id?, semester?, min_units?, max_units? }
+ */
+export const createCreditLoadRule = TryCatchFunction(async (req, res) => {
+  const { program_id, semester, min_units, max_units } = req.body || {};
+  const programId = program_id ? parseInt(program_id) : null;
+  const semesterStr = semester ? String(semester).toUpperCase() : null;
+  const minUnits = parseUnits(min_units, "min_units");
+  const maxUnits = parseUnits(max_units, "max_units");
+
+  if (semesterStr && !SEMESTERS.includes(semesterStr)) {
+    throw new ErrorClass('semester must be "1ST" or "2ND"', 400);
+  }
+  validateLoad(minUnits, maxUnits);
+
+  if (programId) {
+    const program = await Program.findByPk(programId);
+    if (!program) {
+      throw new ErrorClass("Program not found", 404);
+    }
+  }
+
+  const existing = await CreditLoadRule.findOne({
+    where: { program_id: programId, semester: semesterStr },
+  });
+  if (existing) {
+    throw new ErrorClass("A credit load rule already exists for this program and semester", 409);
+  }
+
+  const rule = await CreditLoadRule.create({
+    program_id: programId,
+    semester: semesterStr,
+    min_units: minUnits,
+    max_units: maxUnits,
+    created_by: req.user.id,
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "created_credit_load_rule",
+    "credit_load_rule",
+    rule.id,
+    `Created credit load rule${programId ? ` for program ${programId}` : " (default)"}${semesterStr ? ` (${semesterStr} semester)` : ""}`,
+    { min_units: minUnits, max_units: maxUnits }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Credit load rule created",
+    data: { rule },
+  });
+});
+
+/**
+ * PUT /api/admin/credit-load-rules/:id
+ * Body: { min_units?, max_units? } (null clears a limit)
+ */
+export const updateCreditLoadRule = TryCatchFunction(async (req, res) => {
+  const rule = await CreditLoadRule.findByPk(req.params.id);
+  if (!rule) {
+    throw new ErrorClass("Credit load rule not found", 404);
+  }
+
+  const { min_units, max_units } = req.body || {};
+  const minUnits = min_units !== undefined ? parseUnits(min_units, "min_units") : rule.min_units;
+  const maxUnits = max_units !== undefined ? parseUnits(max_units, "max_units") : rule.max_units;
+  validateLoad(minUnits, maxUnits);
+
+  await rule.update({ min_units: minUnits, max_units: maxUnits });
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_credit_load_rule",
+    "credit_load_rule",
+    rule.id,
+    `Updated credit load rule ${rule.id}`,
+    { min_units: minUnits, max_units: maxUnits }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Credit load rule updated",
+    data: { rule },
+  });
+});
+
+/**
+ * DELETE /api/admin/credit-load-rules/:id
+ */
+export const deleteCreditLoadRule = TryCatchFunction(async (req, res) => {
+  const rule = await CreditLoadRule.findByPk(req.params.id);
+  if (!rule) {
+    throw new ErrorClass("Credit load rule not found", 404);
+  }
+
+  await rule.destroy();
+
+  await logAdminActivity(
+    req.user.id,
+    "deleted_credit_load_rule",
+    "credit_load_rule",
+    rule.id,
+    `Deleted credit load rule ${rule.id}`
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Credit load rule deleted",
+  });
+});
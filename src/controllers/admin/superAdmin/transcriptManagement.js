@@ -0,0 +1,163 @@
+import { Students } from "../../../models/auth/student.js";
+import { AcademicStanding, Transcript } from "../../../models/grading/index.js";
+import { ErrorClass } from "../../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../../utils/tryCatch/index.js";
+import { logAdminActivity } from "../../../middlewares/adminAuthorize.js";
+import {
+  computeAcademicRecord,
+  issueTranscript,
+  generateTranscriptPDF,
+  formatTranscript,
+} from "../../../services/transcriptService.js";
+
+const STANDINGS = ["good", "probation", "withdrawn"];
+
+/**
+ * Get a student's academic record (GPA per semester, CGPA, carry-overs, standings, transcripts)
+ */
+export const getStudentAcademicRecord = TryCatchFunction(async (req, res) => {
+  const studentId = parseInt(req.params.id);
+
+  const record = await computeAcademicRecord(studentId);
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: studentId },
+    order: [["academic_year", "ASC"]],
+  });
+  const transcripts = await Transcript.findAll({
+    where: { student_id: studentId },
+    order: [["issued_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Academic record retrieved successfully",
+    data: { ...record, standings, transcripts: transcripts.map(formatTranscript) },
+  });
+});
+
+/**
+ * Download a transcript for a student
+ */
+export const downloadStudentTranscript = TryCatchFunction(async (req, res) => {
+  const studentId = parseInt(req.params.id);
+
+  const transcript = await issueTranscript(studentId, { type: "admin", id: req.user.id });
+  const pdfBuffer = await generateTranscriptPDF(transcript);
+
+  await logAdminActivity(
+    req.user.id,
+    "downloaded_transcript",
+    "transcript",
+    transcript.id,
+    `Downloaded transcript ${transcript.verification_code} for student ${studentId}`
+  );
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="transcript-${transcript.verification_code}.pdf"`
+  );
+  res.setHeader("Content-Length", pdfBuffer.length);
+
+  res.send(pdfBuffer);
+});
+
+/**
+ * Revoke an issued transcript (verification will report it as revoked)
+ */
+export const revokeTranscript = TryCatchFunction(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorClass("A revocation reason is required", 400);
+  }
+
+  const transcript = await Transcript.findByPk(req.params.id);
+  if (!transcript) {
+    throw new ErrorClass("Transcript not found", 404);
+  }
+  if (transcript.status === "revoked") {
+    throw new ErrorClass("Transcript is already revoked", 400);
+  }
+
+  await transcript.update({
+    status: "revoked",
+    revoked_at: new Date(),
+    revoked_by: req.user.id,
+    revocation_reason: String(reason).trim(),
+  });
+
+  await logAdminActivity(
+    req.user.id,
+    "revoked_transcript",
+    "transcript",
+    transcript.id,
+    `Revoked transcript ${transcript.verification_code}`,
+    { verification_code: transcript.verification_code, reason: transcript.revocation_reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Transcript revoked successfully",
+    data: { transcript: formatTranscript(transcript) },
+  });
+});
+
+/**
+ * Set or override a student's standing for a session
+ * Does not change the student's level; update it separately if needed.
+ */
+export const updateAcademicStanding = TryCatchFunction(async (req, res) => {
+  const studentId = parseInt(req.params.id);
+  const { academic_year, standing, reason } = req.body;
+
+  if (!academic_year) {
+    throw new ErrorClass("academic_year is required", 400);
+  }
+  if (!STANDINGS.includes(standing)) {
+    throw new ErrorClass(`standing must be one of: ${STANDINGS.join(", ")}`, 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorClass("A reason is required", 400);
+  }
+
+  const student = await Students.findByPk(studentId, { attributes: ["id", "level"] });
+  if (!student) {
+    throw new ErrorClass("Student not found", 404);
+  }
+
+  const existing = await AcademicStanding.findOne({
+    where: { student_id: studentId, academic_year },
+  });
+  const oldStanding = existing?.standing || null;
+  const values = {
+    standing,
+    reason: String(reason).trim(),
+    decided_by_type: "admin",
+    decided_by_id: req.user.id,
+  };
+
+  const record = existing
+    ? await existing.update(values)
+    : await AcademicStanding.create({
+        student_id: studentId,
+        academic_year,
+        level: student.level,
+        ...values,
+      });
+
+  await logAdminActivity(
+    req.user.id,
+    "updated_academic_standing",
+    "student",
+    studentId,
+    `Set ${academic_year} standing to ${standing}`,
+    { old_standing: oldStanding, new_standing: standing, reason: values.reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Academic standing updated successfully",
+    data: record,
+  });
+});
@@ -0,0 +1,436 @@
+import multer from "multer";
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Assignment } from "../../models/modules/assignment.js";
+import { AssignmentSubmissions } from "../../models/modules/assignment_submissions.js";
+import { Modules } from "../../models/modules/modules.js";
+import { Courses } from "../../models/course/courses.js";
+import { Students } from "../../models/auth/student.js";
+import { canAccessCourse } from "../../utils/examAccessControl.js";
+import {
+  ASSIGNMENT_FILE_TYPES,
+  MAX_SUBMISSION_FILES,
+  MAX_SUBMISSION_FILE_MB,
+  validateAssignment,
+  getSubmissionWindow,
+  uploadSubmissionFiles,
+  signSubmissionFiles,
+  formatAssignment,
+  formatSubmission,
+} from "../../services/assignmentService.js";
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SUBMISSION_FILE_MB * 1024 * 1024,
+    files: MAX_SUBMISSION_FILES,
+  },
+  fileFilter: (req, file, cb) => {
+    if (ASSIGNMENT_FILE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new ErrorClass(
+          "Invalid file type. Allowed: PDF, Word, PowerPoint, Excel, ZIP, text, CSV, JPEG and PNG",
+          400
+        ),
+        false
+      );
+    }
+  },
+});
+
+// Middleware export with error handling
+export const uploadSubmissionFilesMiddleware = (req, res, next) => {
+  upload.array("files", MAX_SUBMISSION_FILES)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof ErrorClass) return next(err);
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(new ErrorClass(`Each file must be under ${MAX_SUBMISSION_FILE_MB}MB`, 400));
+    }
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+      return next(
+        new ErrorClass(`Upload up to ${MAX_SUBMISSION_FILES} files in the "files" field`, 400)
+      );
+    }
+    return next(new ErrorClass(err.message || "File upload failed", 400));
+  });
+};
+
+export function canManageAssignments(userType) {
+  return [
+    "staff",
+    "admin",
+    "super_admin",
+    "sole_tutor",
+    "organization",
+    "organization_user",
+  ].includes(userType);
+}
+
+function getUser(req) {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new ErrorClass("Unauthorized or invalid user id", 401);
+  }
+  return { id: userId, type: userType };
+}
+
+export async function loadAssignment(assignmentId) {
+  const id = Number(assignmentId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ErrorClass("Invalid assignment id", 400);
+  }
+  const assignment = await Assignment.findByPk(id);
+  if (!assignment) {
+    throw new ErrorClass("Assignment not found", 404);
+  }
+  const module = await Modules.findByPk(assignment.module_id);
+  if (!module) {
+    throw new ErrorClass("Module not found", 404);
+  }
+  return { assignment, module };
+}
+
+export async function assertAssignmentManager(req, courseId) {
+  const user = getUser(req);
+  if (!canManageAssignments(user.type)) {
+    throw new ErrorClass("Only tutors, staff, and admins can manage assignments", 403);
+  }
+  const hasAccess = await canAccessCourse(user.type, user.id, courseId, req.user);
+  if (!hasAccess) {
+    throw new ErrorClass("You don't have permission to manage assignments for this course", 403);
+  }
+  return user;
+}
+
+async function isEnrolled(studentId, courseId) {
+  const enrollment = await Courses.findOne({
+    where: { id: courseId },
+    attributes: ["id"],
+    include: [
+      {
+        model: Students,
+        as: "students",
+        where: { id: studentId },
+        attributes: ["id"],
+        required: true,
+      },
+    ],
+  });
+  return !!enrollment;
+}
+
+async function assertEnrolledStudent(req, courseId) {
+  const user = getUser(req);
+  if (user.type !== "student") {
+    throw new ErrorClass("Only students can submit assignments", 403);
+  }
+  if (!(await isEnrolled(user.id, courseId))) {
+    throw new ErrorClass("You are not enrolled in this course", 403);
+  }
+  return user;
+}
+
+async function findStudentSubmissions(assignmentId, studentId) {
+  return AssignmentSubmissions.findAll({
+    where: { assignment_id: assignmentId, student_id: studentId },
+    order: [["attempt_number", "ASC"]],
+  });
+}
+
+/**
+ * Create an assignment in a module
+ * POST /api/assignments
+ * Body: { module_id, title, instructions?, submission_type?, due_at?, late_policy?,
+ *         late_penalty_percent?, late_cutoff_at?, max_attempts?, rubric?, max_points?, status? }
+ */
+export const createAssignment = TryCatchFunction(async (req, res) => {
+  const moduleId = Number(req.body?.module_id);
+  if (!Number.isInteger(moduleId) || moduleId <= 0) {
+    throw new ErrorClass("module_id is required", 400);
+  }
+  const module = await Modules.findByPk(moduleId);
+  if (!module) {
+    throw new ErrorClass("Module not found", 404);
+  }
+  const user = await assertAssignmentManager(req, module.course_id);
+
+  const values = validateAssignment(req.body || {});
+  const assignment = await Assignment.create({
+    ...values,
+    module_id: module.id,
+    created_by: user.id,
+    created_by_type: user.type,
+  });
+
+  res.status(201).json({
+    status: true,
+    code: 201,
+    message: "Assignment created",
+    data: formatAssignment(assignment),
+  });
+});
+
+/**
+ * Update an assignment (partial)
+ * PUT /api/assignments/:assignmentId
+ * The rubric is locked once a submission has been graded.
+ */
+export const updateAssignment = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  await assertAssignmentManager(req, module.course_id);
+
+  const values = validateAssignment(req.body || {}, assignment);
+  const rubricChanged =
+    values.rubric !== undefined &&
+    JSON.stringify(values.rubric) !== JSON.stringify(assignment.rubric || []);
+  const pointsChanged =
+    values.max_points !== undefined && values.max_points !== Number(assignment.max_points);
+  if (rubricChanged || pointsChanged) {
+    const graded = await AssignmentSubmissions.count({
+      where: { assignment_id: assignment.id, status: "graded" },
+    });
+    if (graded > 0) {
+      throw new ErrorClass("The rubric and max_points cannot change once submissions are graded", 400);
+    }
+  }
+  await assignment.update(values);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Assignment updated",
+    data: formatAssignment(assignment),
+  });
+});
+
+/**
+ * Delete an assignment without submissions
+ * DELETE /api/assignments/:assignmentId
+ */
+export const deleteAssignment = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  await assertAssignmentManager(req, module.course_id);
+
+  const submissions = await AssignmentSubmissions.count({
+    where: { assignment_id: assignment.id },
+  });
+  if (submissions > 0) {
+    throw new ErrorClass("This assignment has submissions. Archive it instead", 400);
+  }
+  await assignment.destroy();
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Assignment deleted",
+  });
+});
+
+/**
+ * List assignments of a course or module
+ * GET /api/assignments?course_id=|module_id=
+ * Staff see every assignment with submission counts; students see published ones with
+ * their latest submission.
+ */
+export const listAssignments = TryCatchFunction(async (req, res) => {
+  const user = getUser(req);
+  const moduleId = Number(req.query?.module_id);
+  let courseId = Number(req.query?.course_id);
+
+  let moduleIds;
+  if (Number.isInteger(moduleId) && moduleId > 0) {
+    const module = await Modules.findByPk(moduleId);
+    if (!module) throw new ErrorClass("Module not found", 404);
+    courseId = module.course_id;
+    moduleIds = [module.id];
+  } else if (Number.isInteger(courseId) && courseId > 0) {
+    const modules = await Modules.findAll({ where: { course_id: courseId }, attributes: ["id"] });
+    moduleIds = modules.map((m) => m.id);
+  } else {
+    throw new ErrorClass("course_id or module_id is required", 400);
+  }
+
+  const isStudent = user.type === "student";
+  if (isStudent) {
+    await assertEnrolledStudent(req, courseId);
+  } else {
+    await assertAssignmentManager(req, courseId);
+  }
+
+  const assignments = moduleIds.length
+    ? await Assignment.findAll({
+        where: {
+          module_id: { [Op.in]: moduleIds },
+          ...(isStudent ? { status: "published" } : {}),
+        },
+        order: [
+          ["due_at", "ASC NULLS LAST"],
+          ["id", "ASC"],
+        ],
+      })
+    : [];
+  const assignmentIds = assignments.map((a) => a.id);
+
+  const submissions = assignmentIds.length
+    ? await AssignmentSubmissions.findAll({
+        where: {
+          assignment_id: { [Op.in]: assignmentIds },
+          ...(isStudent ? { student_id: user.id } : {}),
+        },
+        attributes: ["id", "assignment_id", "student_id", "attempt_number", "status", "score", "submitted_at", "is_late"],
+        order: [["attempt_number", "ASC"]],
+      })
+    : [];
+
+  const data = assignments.map((assignment) => {
+    const rows = submissions.filter((s) => s.assignment_id === assignment.id);
+    if (isStudent) {
+      const latest = rows[rows.length - 1] || null;
+      return {
+        ...formatAssignment(assignment),
+        my_submission: latest
+          ? {
+              id: latest.id,
+              attempt_number: latest.attempt_number,
+              status: latest.status,
+              score: latest.score === null ? null : Number(latest.score),
+              submitted_at: latest.submitted_at,
+              is_late: latest.is_late,
+            }
+          : null,
+        can_submit: getSubmissionWindow(assignment, rows).allowed,
+      };
+    }
+
+    const latestByStudent = new Map();
+    for (const row of rows) latestByStudent.set(row.student_id, row);
+    const latest = [...latestByStudent.values()];
+    return {
+      ...formatAssignment(assignment),
+      submissions: {
+        students: latest.length,
+        awaiting_grading: latest.filter((s) => s.status === "submitted").length,
+        graded: latest.filter((s) => s.status === "graded").length,
+      },
+    };
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Assignments retrieved",
+    data,
+  });
+});
+
+/**
+ * Get one assignment
+ * GET /api/assignments/:assignmentId
+ */
+export const getAssignment = TryCatchFunction(async (req, res) => {
+  const user = getUser(req);
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+
+  if (user.type !== "student") {
+    await assertAssignmentManager(req, module.course_id);
+    return res.status(200).json({
+      status: true,
+      code: 200,
+      message: "Assignment retrieved",
+      data: { ...formatAssignment(assignment), course_id: module.course_id },
+    });
+  }
+
+  await assertEnrolledStudent(req, module.course_id);
+  if (assignment.status !== "published") {
+    throw new ErrorClass("Assignment not found", 404);
+  }
+  const submissions = await findStudentSubmissions(assignment.id, user.id);
+  const window = getSubmissionWindow(assignment, submissions);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Assignment retrieved",
+    data: {
+      ...formatAssignment(assignment),
+      course_id: module.course_id,
+      submission_window: window,
+      attempts_used: submissions.length,
+    },
+  });
+});
+
+/**
+ * Submit (or resubmit) an assignment
+ * POST /api/assignments/:assignmentId/submissions
+ * multipart/form-data: files[] (up to 5) and/or text_content
+ */
+export const submitAssignment = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  const student = await assertEnrolledStudent(req, module.course_id);
+
+  const files = req.files || [];
+  const text = req.body?.text_content ? String(req.body.text_content).trim() : "";
+  if (assignment.submission_type === "file" && files.length === 0) {
+    throw new ErrorClass("This assignment needs at least one file", 400);
+  }
+  if (assignment.submission_type === "text" && (!text || files.length > 0)) {
+    throw new ErrorClass("This assignment takes a text answer (text_content) only", 400);
+  }
+  if (assignment.submission_type === "file_or_text" && !text && files.length === 0) {
+    throw new ErrorClass("Add a file or a text answer", 400);
+  }
+
+  const previous = await findStudentSubmissions(assignment.id, student.id);
+  const now = new Date();
+  const window = getSubmissionWindow(assignment, previous, now);
+  if (!window.allowed) {
+    throw new ErrorClass(window.reason, 400);
+  }
+
+  const attemptNumber = previous.length + 1;
+  const stored = await uploadSubmissionFiles(assignment.id, student.id, attemptNumber, files);
+  const submission = await AssignmentSubmissions.create({
+    assignment_id: assignment.id,
+    student_id: student.id,
+    attempt_number: attemptNumber,
+    text_content: text || null,
+    files: stored,
+    submitted_at: now,
+    is_late: window.is_late,
+    days_late: window.days_late,
+  });
+
+  res.status(201).json({
+    status: true,
+    code: 201,
+    message: window.is_late ? "Assignment submitted late" : "Assignment submitted",
+    data: formatSubmission(submission, { files: await signSubmissionFiles(stored) }),
+  });
+});
+
+/**
+ * My submissions to an assignment, oldest first
+ * GET /api/assignments/:assignmentId/submissions/mine
+ */
+export const getMySubmissions = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  const student = await assertEnrolledStudent(req, module.course_id);
+
+  const submissions = await findStudentSubmissions(assignment.id, student.id);
+  const data = await Promise.all(
+    submissions.map(async (s) => formatSubmission(s, { files: await signSubmissionFiles(s.files) }))
+  );
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Submissions retrieved",
+    data,
+  });
+});
@@ -0,0 +1,339 @@
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Assignment } from "../../models/modules/assignment.js";
+import { AssignmentSubmissions } from "../../models/modules/assignment_submissions.js";
+import { Modules } from "../../models/modules/modules.js";
+import { Courses } from "../../models/course/courses.js";
+import { Students } from "../../models/auth/student.js";
+import {
+  scoreSubmission,
+  signSubmissionFiles,
+  formatAssignment,
+  formatSubmission,
+} from "../../services/assignmentService.js";
+import { notify } from "../../services/notificationService.js";
+import {
+  getSubmissionSimilarity,
+  getAssignmentSimilarityReport,
+} from "../../services/similarityService.js";
+import { Config } from "../../config/config.js";
+import { loadAssignment, assertAssignmentManager } from "./assignment.js";
+
+async function loadStudentMap(studentIds) {
+  if (studentIds.length === 0) return new Map();
+  const students = await Students.findAll({
+    where: { id: { [Op.in]: studentIds } },
+    attributes: ["id", "fname", "mname", "lname", "email", "matric_number"],
+  });
+  return new Map(
+    students.map((s) => [
+      s.id,
+      {
+        id: s.id,
+        name: [s.fname, s.mname, s.lname].filter(Boolean).join(" "),
+        email: s.email,
+        matric_number: s.matric_number,
+      },
+    ])
+  );
+}
+
+// Latest submission of each student, from rows ordered by attempt_number
+function latestPerStudent(submissions) {
+  const latest = new Map();
+  for (const submission of submissions) {
+    latest.set(`${submission.assignment_id}:${submission.student_id}`, submission);
+  }
+  return [...latest.values()];
+}
+
+async function loadSubmission(req) {
+  const id = Number(req.params.submissionId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ErrorClass("Invalid submission id", 400);
+  }
+  const submission = await AssignmentSubmissions.findByPk(id);
+  if (!submission) {
+    throw new ErrorClass("Submission not found", 404);
+  }
+  const { assignment, module } = await loadAssignment(submission.assignment_id);
+  return { submission, assignment, module };
+}
+
+async function assertLatestSubmission(submission) {
+  const newer = await AssignmentSubmissions.count({
+    where: {
+      assignment_id: submission.assignment_id,
+      student_id: submission.student_id,
+      attempt_number: { [Op.gt]: submission.attempt_number },
+    },
+  });
+  if (newer > 0) {
+    throw new ErrorClass("Only the student's latest submission can be graded", 400);
+  }
+}
+
+/**
+ * Submissions waiting for grading, oldest first
+ * GET /api/assignments/grading-queue?assignment_id=|course_id=
+ */
+export const getAssignmentGradingQueue = TryCatchFunction(async (req, res) => {
+  const assignmentId = Number(req.query?.assignment_id);
+  const courseId = Number(req.query?.course_id);
+
+  let assignments = [];
+  if (Number.isInteger(assignmentId) && assignmentId > 0) {
+    const { assignment, module } = await loadAssignment(assignmentId);
+    await assertAssignmentManager(req, module.course_id);
+    assignments = [assignment];
+  } else if (Number.isInteger(courseId) && courseId > 0) {
+    await assertAssignmentManager(req, courseId);
+    const modules = await Modules.findAll({ where: { course_id: courseId }, attributes: ["id"] });
+    assignments = await Assignment.findAll({
+      where: { module_id: { [Op.in]: modules.map((m) => m.id) } },
+    });
+  } else {
+    throw new ErrorClass("assignment_id or course_id is required", 400);
+  }
+
+  const assignmentMap = new Map(assignments.map((a) => [a.id, a]));
+  const submissions = assignments.length
+    ? await AssignmentSubmissions.findAll({
+        where: { assignment_id: { [Op.in]: [...assignmentMap.keys()] } },
+        order: [["attempt_number", "ASC"]],
+      })
+    : [];
+  const pending = latestPerStudent(submissions)
+    .filter((s) => s.status === "submitted")
+    .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+  const studentMap = await loadStudentMap([...new Set(pending.map((s) => s.student_id))]);
+
+  const items = pending.map((submission) => {
+    const assignment = assignmentMap.get(submission.assignment_id);
+    return {
+      submission_id: submission.id,
+      assignment_id: assignment.id,
+      assignment_title: assignment.title,
+      due_at: assignment.due_at,
+      student: studentMap.get(submission.student_id) || { id: submission.student_id },
+      attempt_number: submission.attempt_number,
+      submitted_at: submission.submitted_at,
+      is_late: submission.is_late,
+      days_late: submission.days_late,
+      file_count: (submission.files || []).length,
+      has_text: !!submission.text_content,
+    };
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Grading queue retrieved",
+    data: {
+      total_pending: items.length,
+      items,
+    },
+  });
+});
+
+/**
+ * Latest submission of every student for an assignment
+ * GET /api/assignments/:assignmentId/submissions
+ */
+export const listAssignmentSubmissions = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  await assertAssignmentManager(req, module.course_id);
+
+  const submissions = await AssignmentSubmissions.findAll({
+    where: { assignment_id: assignment.id },
+    order: [["attempt_number", "ASC"]],
+  });
+  const latest = latestPerStudent(submissions);
+  const studentMap = await loadStudentMap(latest.map((s) => s.student_id));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Submissions retrieved",
+    data: {
+      assignment: formatAssignment(assignment),
+      submissions: latest.map((s) =>
+        formatSubmission(s, { student: studentMap.get(s.student_id) || { id: s.student_id } })
+      ),
+    },
+  });
+});
+
+/**
+ * Flagged pairs among students' latest text submissions
+ * GET /api/assignments/:assignmentId/similarity
+ */
+export const getAssignmentSimilarity = TryCatchFunction(async (req, res) => {
+  const { assignment, module } = await loadAssignment(req.params.assignmentId);
+  await assertAssignmentManager(req, module.course_id);
+
+  const report = await getAssignmentSimilarityReport(assignment.id);
+  const studentMap = await loadStudentMap([
+    ...new Set(report.pairs.flatMap((p) => [p.a.student_id, p.b.student_id])),
+  ]);
+  const withStudent = (side) => ({
+    ...side,
+    student: studentMap.get(side.student_id) || { id: side.student_id },
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Similarity report retrieved",
+    data: {
+      assignment_id: assignment.id,
+      threshold: Config.similarity.threshold,
+      submissions_compared: report.submissions_compared,
+      pairs: report.pairs.map((p) => ({ ...p, a: withStudent(p.a), b: withStudent(p.b) })),
+    },
+  });
+});
+
+/**
+ * One submission with its files (signed URLs) and the student's other attempts
+ * Staff also get other students' text submissions that are similar to this one.
+ * GET /api/assignments/submissions/:submissionId
+ * Auth: course staff/tutors, or the student who submitted it
+ */
+export const getSubmission = TryCatchFunction(async (req, res) => {
+  const { submission, assignment, module } = await loadSubmission(req);
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+  const isStudent = userType === "student";
+
+  if (isStudent) {
+    if (submission.student_id !== userId) {
+      throw new ErrorClass("Submission not found", 404);
+    }
+  } else {
+    await assertAssignmentManager(req, module.course_id);
+  }
+
+  const attempts = await AssignmentSubmissions.findAll({
+    where: { assignment_id: assignment.id, student_id: submission.student_id },
+    attributes: ["id", "attempt_number", "status", "score", "submitted_at", "is_late"],
+    order: [["attempt_number", "ASC"]],
+  });
+  const similarityMatches = isStudent ? [] : await getSubmissionSimilarity(submission);
+  const studentMap = await loadStudentMap([
+    submission.student_id,
+    ...similarityMatches.map((m) => m.student_id),
+  ]);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Submission retrieved",
+    data: {
+      assignment: formatAssignment(assignment),
+      submission: formatSubmission(submission, {
+        files: await signSubmissionFiles(submission.files),
+        student: studentMap.get(submission.student_id) || { id: submission.student_id },
+      }),
+      attempts: attempts.map((a) => ({
+        id: a.id,
+        attempt_number: a.attempt_number,
+        status: a.status,
+        score: a.score === null ? null : Number(a.score),
+        submitted_at: a.submitted_at,
+        is_late: a.is_late,
+      })),
+      ...(isStudent
+        ? {}
+        : {
+            similarity_matches: similarityMatches.map((m) => ({
+              ...m,
+              student: studentMap.get(m.student_id) || { id: m.student_id },
+            })),
+          }),
+    },
+  });
+});
+
+/**
+ * Grade (or regrade) the latest submission
+ * PUT /api/assignments/submissions/:submissionId/grade
+ * Body: { rubric_scores: [{ criterion_id, score, comment? }], feedback? }
+ *       or { score, feedback? } for an assignment without a rubric
+ */
+export const gradeSubmission = TryCatchFunction(async (req, res) => {
+  const { submission, assignment, module } = await loadSubmission(req);
+  const grader = await assertAssignmentManager(req, module.course_id);
+  await assertLatestSubmission(submission);
+
+  const { rubric_scores, score, feedback } = req.body || {};
+  const scored = scoreSubmission(assignment, submission, { rubric_scores, score });
+  await submission.update({
+    ...scored,
+    feedback: feedback !== undefined ? (feedback ? String(feedback).trim() : null) : submission.feedback,
+    status: "graded",
+    graded_by: grader.id,
+    graded_by_type: grader.type,
+    graded_at: new Date(),
+  });
+
+  const course = await Courses.findByPk(module.course_id, { attributes: ["id", "title"] });
+  notify("student", submission.student_id, "grade.posted", {
+    course_id: module.course_id,
+    course_title: course?.title,
+    assessment_type: "Assignment",
+    assessment_title: assignment.title,
+    score: Number(submission.score),
+    total_score: Number(assignment.max_points),
+  }).catch((err) => console.error("Assignment grade notification error:", err.message));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Submission graded",
+    data: formatSubmission(submission),
+  });
+});
+
+/**
+ * Send the latest submission back for another attempt
+ * The resubmission is allowed even past the deadline or attempt limit, and is not late.
+ * POST /api/assignments/submissions/:submissionId/request-resubmission
+ * Body: { feedback }
+ */
+export const requestResubmission = TryCatchFunction(async (req, res) => {
+  const { submission, assignment, module } = await loadSubmission(req);
+  const grader = await assertAssignmentManager(req, module.course_id);
+  await assertLatestSubmission(submission);
+
+  const feedback = req.body?.feedback ? String(req.body.feedback).trim() : "";
+  if (!feedback) {
+    throw new ErrorClass("feedback is required so the student knows what to change", 400);
+  }
+  if (submission.status === "resubmission_requested") {
+    throw new ErrorClass("A resubmission has already been requested", 400);
+  }
+
+  await submission.update({
+    status: "resubmission_requested",
+    feedback,
+    graded_by: grader.id,
+    graded_by_type: grader.type,
+  });
+
+  const course = await Courses.findByPk(module.course_id, { attributes: ["id", "title"] });
+  notify("student", submission.student_id, "assignment.resubmission_requested", {
+    assignment_id: assignment.id,
+    assignment_title: assignment.title,
+    course_title: course?.title,
+    feedback,
+  }).catch((err) => console.error("Resubmission notification error:", err.message));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Resubmission requested",
+    data: formatSubmission(submission),
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Academic calendar, timetable and iCalendar feeds for students and staff
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Courses } from "../../models/course/courses.js";
+import { AcademicCalendarEvent } from "../../models/calendar/index.js";
+import {
+  resolveTerm,
+  findSemester,
+  getStudentTimetable,
+  getStaffTimetable,
+  getTermExams,
+  formatSlot,
+  buildUserCalendar,
+  getCalendarFeedToken,
+  findCalendarFeedOwner,
+} from "../../services/timetableService.js";
+
+const CALENDAR_USER_TYPES = ["student", "staff"];
+
+function getCalendarUser(req) {
+  const userType = req.user?.userType;
+  const userId = Number(req.user?.id);
+  if (!CALENDAR_USER_TYPES.includes(userType) || !userId) {
+    throw new ErrorClass("Only students and staff have a timetable", 403);
+  }
+  return { userType, userId };
+}
+
+function readTerm(req) {
+  return resolveTerm(req.query.academic_year || req.query.academicYear, req.query.semester);
+}
+
+function feedUrls(req, token) {
+  const publicBase =
+    process.env.PUBLIC_API_URL?.replace(/\/$/, "") ||
+    `${req.protocol}://${req.get("host") || "localhost"}`;
+  const url = `${publicBase}/api/calendar/feed/${token}.ics`;
+  return { feed_url: url, webcal_url: url.replace(/^https?:/, "webcal:") };
+}
+
+function sendIcs(res, ics, filename) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(ics);
+}
+
+/**
+ * Academic calendar of a semester (current by default)
+ * GET /api/calendar/academic?academic_year=2025/2026&semester=1ST
+ */
+export const getAcademicCalendar = TryCatchFunction(async (req, res) => {
+  const { academicYear, semester } = await readTerm(req);
+  const semesterRow = await findSemester(academicYear, semester);
+  const events = semesterRow
+    ? await AcademicCalendarEvent.findAll({
+        where: { semester_id: semesterRow.id },
+        order: [["start_date", "ASC"], ["id", "ASC"]],
+      })
+    : [];
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Academic calendar fetched successfully",
+    data: {
+      academic_year: academicYear,
+      semester,
+      semester_id: semesterRow?.id || null,
+      start_date: semesterRow?.start_date || null,
+      end_date: semesterRow?.end_date || null,
+      registration_deadline: semesterRow?.registration_deadline || null,
+      events,
+    },
+  });
+});
+
+/**
+ * My weekly timetable, clashes and exams
+ * Students: registered courses. Staff: slots they teach.
+ * GET /api/calendar/timetable?academic_year=2025/2026&semester=1ST
+ */
+export const getMyTimetable = TryCatchFunction(async (req, res) => {
+  const { userType, userId } = getCalendarUser(req);
+  const { academicYear, semester } = await readTerm(req);
+  const timetable =
+    userType === "staff"
+      ? await getStaffTimetable(userId, academicYear, semester)
+      : await getStudentTimetable(userId, academicYear, semester);
+
+  const [exams, courses] = await Promise.all([
+    getTermExams(timetable.courseIds, academicYear, semester),
+    Courses.findAll({ where: { id: timetable.courseIds }, attributes: ["id", "title", "course_code"] }),
+  ]);
+  const courseById = new Map(courses.map((c) => [c.id, c]));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Timetable fetched successfully",
+    data: {
+      academic_year: academicYear,
+      semester,
+      slots: timetable.slots.map(formatSlot),
+      clashes: timetable.clashes,
+      unscheduled_courses: courses
+        .filter((c) => !timetable.slots.some((s) => s.course_id === c.id))
+        .map((c) => ({ id: c.id, title: c.title, course_code: c.course_code })),
+      exams: exams.map((exam) => ({
+        id: exam.id,
+        title: exam.title,
+        course_id: exam.course_id,
+        course_code: courseById.get(exam.course_id)?.course_code || null,
+        start_at: exam.start_at,
+        end_at: exam.end_at,
+        duration_minutes: exam.duration_minutes,
+      })),
+    },
+  });
+});
+
+/**
+ * Download my timetable, exams and academic calendar as .ics
+ * GET /api/calendar/timetable.ics?academic_year=2025/2026&semester=1ST
+ */
+export const downloadMyTimetableIcs = TryCatchFunction(async (req, res) => {
+  const { userType, userId } = getCalendarUser(req);
+  const { academicYear, semester } = await readTerm(req);
+  const ics = await buildUserCalendar(userType, userId, { academicYear, semester });
+  sendIcs(res, ics, `timetable-${academicYear.replace(/\//g, "-")}-${semester}.ics`);
+});
+
+/**
+ * Subscription URL for calendar apps (created on first call)
+ * GET /api/calendar/feed
+ */
+export const getMyCalendarFeed = TryCatchFunction(async (req, res) => {
+  const { userType, userId } = getCalendarUser(req);
+  const token = await getCalendarFeedToken(userType, userId);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Calendar feed fetched successfully",
+    data: feedUrls(req, token),
+  });
+});
+
+/**
+ * New subscription URL; the old one stops working
+ * POST /api/calendar/feed/reset
+ */
+export const resetMyCalendarFeed = TryCatchFunction(async (req, res) => {
+  const { userType, userId } = getCalendarUser(req);
+  const token = await getCalendarFeedToken(userType, userId, { reset: true });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Calendar feed URL reset",
+    data: feedUrls(req, token),
+  });
+});
+
+/**
+ * Public iCalendar feed (the token is the credential)
+ * GET /api/calendar/feed/:token.ics
+ */
+export const getCalendarFeed = TryCatchFunction(async (req, res) => {
+  const owner = await findCalendarFeedOwner(req.params.token);
+  if (!owner) {
+    throw new ErrorClass("Calendar feed not found", 404);
+  }
+
+  const ics = await buildUserCalendar(owner.userType, owner.userId);
+  res.setHeader("Cache-Control", "private, max-age=900");
+  sendIcs(res, ics, "timetable.ics");
+});
@@ -10,6 +10,7 @@ import { checkSchoolFeesPayment } from "../../services/paymentVerificationServic
 import { checkAndProgressStudentLevel } from "../../services/studentLevelProgressionService.js";
 import { getWalletBalance } from "../../services/walletBalanceService.js";
 import { levelStringFromCourse } from "../../utils/courseCatalogLevel.js";
+import { assertRegistrationRules } from "../../services/courseRegistrationRulesService.js";
 
 /**
  * STUDENT REGISTER FOR COURSE(S)
@@ -53,6 +54,12 @@ export const registerCourse = TryCatchFunction(async (req, res) => {
   // Check and progress student level if eligible (before registration)
   // This checks if student has completed both semesters of previous academic year
   const levelProgression = await checkAndProgressStudentLevel(studentId, academic_year);
+  if (levelProgression.standing === "withdrawn") {
+    throw new ErrorClass(
+      `You cannot register for courses. ${levelProgression.reason}. Please contact the academic office.`,
+      403
+    );
+  }
   
   // Reload student to get updated level if progression occurred
   if (levelProgression.progressed) {
@@ -175,7 +182,7 @@ export const registerCourse = TryCatchFunction(async (req, res) => {
   // If there are errors, return them
   if (errors.length > 0) {
     throw new ErrorClass(
-      `Some courses cannot be registered: ${errors.map((e) => e.course_code).join(", ")}`,
+      `Some courses cannot be registered: ${errors.map((e) => `${e.course_code} (${e.error})`).join(", ")}`,
       400
     );
   }
@@ -184,6 +191,12 @@ export const registerCourse = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("No valid courses to register", 400);
   }
 
+  // Prerequisites, co-requisites, carry-overs and semester credit load
+  const rules = await assertRegistrationRules(student, courses, {
+    academicYear: academic_year,
+    semester,
+  });
+
   // Check wallet balance if total amount > 0
   if (totalAmount > 0) {
     // Get wallet balance (with automatic migration of old balances)
@@ -296,6 +309,8 @@ export const registerCourse = TryCatchFunction(async (req, res) => {
       currency: student.currency || "NGN",
       course_count: registrations.length,
       courses: registrations,
+      // e.g. still below the minimum credit load
+      warnings: rules.warnings,
       payment: totalAmount > 0 && courseOrder && funding
         ? {
             order_id: courseOrder.id,
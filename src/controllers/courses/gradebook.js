@@ -0,0 +1,248 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { canAccessCourse } from "../../utils/examAccessControl.js";
+import { Students } from "../../models/auth/student.js";
+import { Courses } from "../../models/course/courses.js";
+import {
+  GradebookConfig,
+  GradebookEntry,
+  GradeAuditLog,
+} from "../../models/grading/index.js";
+import {
+  getGradingScaleForProgram,
+  getOrCreateGradebookConfig,
+  validateGradebookConfig,
+  syncGradebook,
+  overrideGradebookEntry,
+  publishGradebook,
+  formatGradebookConfig,
+  formatGradebookEntry,
+} from "../../services/gradebookService.js";
+
+const STAFF_TYPES = [
+  "staff",
+  "admin",
+  "super_admin",
+  "sole_tutor",
+  "organization",
+  "organization_user",
+];
+
+// Resolves the course and checks the requester manages it
+async function loadManagedCourse(req) {
+  const courseId = Number(req.params.courseId);
+  if (!Number.isInteger(courseId) || courseId <= 0) {
+    throw new ErrorClass("Invalid course id", 400);
+  }
+
+  const userType = req.user?.userType;
+  const userId = Number(req.user?.id);
+  if (!STAFF_TYPES.includes(userType)) {
+    throw new ErrorClass("Only course staff can manage the gradebook", 403);
+  }
+
+  const course = await Courses.findByPk(courseId, {
+    attributes: ["id", "title", "course_code", "program_id"],
+  });
+  if (!course) throw new ErrorClass("Course not found", 404);
+
+  const allowed = await canAccessCourse(userType, userId, courseId, req.user);
+  if (!allowed) {
+    throw new ErrorClass("You do not have access to this course", 403);
+  }
+
+  return { course, actor: { type: userType, id: userId } };
+}
+
+function readOffering(req) {
+  const academicYear =
+    req.query.academic_year || req.query.academicYear || req.body?.academic_year;
+  const semester = req.query.semester || req.body?.semester;
+  return { academicYear, semester };
+}
+
+async function loadEntry(req, courseId) {
+  const entry = await GradebookEntry.findOne({
+    where: { id: Number(req.params.entryId), course_id: courseId },
+  });
+  if (!entry) throw new ErrorClass("Gradebook entry not found", 404);
+  return entry;
+}
+
+// Gradebook for a course offering (config, scale and one row per registered student)
+export const getGradebook = TryCatchFunction(async (req, res) => {
+  const { course } = await loadManagedCourse(req);
+  const { academicYear, semester } = readOffering(req);
+  const config = await getOrCreateGradebookConfig(course.id, academicYear, semester);
+  const scale = await getGradingScaleForProgram(course.program_id);
+
+  const entries = await GradebookEntry.findAll({
+    where: { gradebook_config_id: config.id },
+    order: [["student_id", "ASC"]],
+  });
+  const students = await Students.findAll({
+    where: { id: entries.map((e) => e.student_id) },
+    attributes: ["id", "fname", "lname", "matric_number", "email"],
+  });
+  const studentsById = new Map(students.map((s) => [s.id, s]));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Gradebook fetched successfully",
+    data: {
+      course,
+      config: formatGradebookConfig(config),
+      grading_scale: {
+        id: scale.id,
+        name: scale.name,
+        pass_mark: Number(scale.pass_mark),
+        bands: scale.bands,
+      },
+      entries: entries.map((entry) => {
+        const s = studentsById.get(entry.student_id);
+        return formatGradebookEntry(
+          entry,
+          s
+            ? {
+                id: s.id,
+                name: `${s.fname || ""} ${s.lname || ""}`.trim(),
+                matric_number: s.matric_number,
+                email: s.email,
+              }
+            : null
+        );
+      }),
+    },
+  });
+});
+
+// Update weights and score sources
+export const updateGradebookConfig = TryCatchFunction(async (req, res) => {
+  const { course } = await loadManagedCourse(req);
+  const { academicYear, semester } = readOffering(req);
+  const config = await getOrCreateGradebookConfig(course.id, academicYear, semester);
+
+  const updates = await validateGradebookConfig(course.id, req.body || {}, config);
+  await config.update(updates);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Gradebook settings updated. Sync to apply them.",
+    data: formatGradebookConfig(config),
+  });
+});
+
+// Pull graded exam and quiz attempts into the gradebook
+export const syncCourseGradebook = TryCatchFunction(async (req, res) => {
+  const { course, actor } = await loadManagedCourse(req);
+  const { academicYear, semester } = readOffering(req);
+  const config = await getOrCreateGradebookConfig(course.id, academicYear, semester);
+
+  const summary = await syncGradebook(config, actor);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Gradebook synced successfully",
+    data: { config: formatGradebookConfig(config), summary },
+  });
+});
+
+// Override one or more components for a student (reason required)
+export const overrideGradebookEntryScores = TryCatchFunction(async (req, res) => {
+  const { course, actor } = await loadManagedCourse(req);
+  const entry = await loadEntry(req, course.id);
+  const config = await GradebookConfig.findByPk(entry.gradebook_config_id);
+
+  const { reason, ...values } = req.body || {};
+  await overrideGradebookEntry(entry, config, values, reason, actor);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Scores updated",
+    data: formatGradebookEntry(entry),
+  });
+});
+
+// Audit trail for one gradebook entry
+export const getGradebookEntryHistory = TryCatchFunction(async (req, res) => {
+  const { course } = await loadManagedCourse(req);
+  const entry = await loadEntry(req, course.id);
+
+  const history = await GradeAuditLog.findAll({
+    where: { gradebook_entry_id: entry.id },
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Grade history fetched successfully",
+    data: history,
+  });
+});
+
+// Publish draft results to course_reg and email students
+export const publishCourseGradebook = TryCatchFunction(async (req, res) => {
+  const { course, actor } = await loadManagedCourse(req);
+  const { academicYear, semester } = readOffering(req);
+  const config = await GradebookConfig.findOne({
+    where: { course_id: course.id, academic_year: academicYear, semester },
+  });
+  if (!config) throw new ErrorClass("Gradebook not found. Sync it first.", 404);
+
+  const result = await publishGradebook(config, actor);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: `Published ${result.published} result(s)`,
+    data: { config: formatGradebookConfig(config), ...result },
+  });
+});
+
+// Student: my published results (optional ?academicYear=&semester=)
+export const getMyResults = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can view results", 403);
+  }
+
+  const { academicYear, semester } = readOffering(req);
+  const entries = await GradebookEntry.findAll({
+    where: {
+      student_id: Number(req.user.id),
+      status: "published",
+      ...(academicYear ? { academic_year: academicYear } : {}),
+      ...(semester ? { semester } : {}),
+    },
+    order: [
+      ["academic_year", "DESC"],
+      ["semester", "ASC"],
+    ],
+  });
+
+  const courses = await Courses.findAll({
+    where: { id: entries.map((e) => e.course_id) },
+    attributes: ["id", "title", "course_code", "course_unit"],
+  });
+  const coursesById = new Map(courses.map((c) => [c.id, c]));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Results fetched successfully",
+    data: entries.map((entry) => {
+      const { overridden_fields, course_reg_id, student, ...result } =
+        formatGradebookEntry(entry);
+      return {
+        ...result,
+        academic_year: entry.academic_year,
+        semester: entry.semester,
+        course: coursesById.get(entry.course_id) || null,
+      };
+    }),
+  });
+});
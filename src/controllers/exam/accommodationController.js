@@ -0,0 +1,193 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { ExamAccommodation } from "../../models/exams/index.js";
+import { CourseReg } from "../../models/course_reg.js";
+import { Students } from "../../models/auth/student.js";
+import { Op } from "sequelize";
+import { canModifyExam, getCreatorId } from "../../utils/examAccessControl.js";
+import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import {
+  validateAccommodationInput,
+  formatAccommodation,
+} from "../../services/examAccommodationService.js";
+
+function canManageExams(userType) {
+  return [
+    "staff",
+    "admin",
+    "super_admin",
+    "sole_tutor",
+    "organization",
+    "organization_user",
+  ].includes(userType);
+}
+
+async function getManagedExam(req) {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+  const examId = Number(req.params.examId);
+
+  if (!canManageExams(userType)) {
+    throw new ErrorClass(
+      "Only authorized tutors, staff, and admins can manage accommodations",
+      403
+    );
+  }
+
+  const accessCheck = await canModifyExam(userType, userId, examId, req.user);
+  if (!accessCheck.exam) {
+    throw new ErrorClass("Exam not found", 404);
+  }
+  if (!accessCheck.allowed) {
+    throw new ErrorClass("Access denied", 403);
+  }
+  return accessCheck.exam;
+}
+
+// Every student must be registered for the exam's course and session
+async function assertStudentsRegistered(exam, studentIds) {
+  const registrations = await CourseReg.findAll({
+    where: {
+      student_id: { [Op.in]: studentIds },
+      course_id: exam.course_id,
+      academic_year: exam.academic_year,
+      semester: exam.semester,
+    },
+    attributes: ["student_id"],
+  });
+  const registered = new Set(registrations.map((r) => r.student_id));
+  const missing = studentIds.filter((id) => !registered.has(id));
+  if (missing.length) {
+    throw new ErrorClass(
+      `Students not registered for this course in ${exam.academic_year} ${exam.semester}: ${missing.join(", ")}`,
+      400
+    );
+  }
+}
+
+async function logAccommodationActivity(req, action, accommodation) {
+  if (req.user?.userType !== "admin") return;
+  try {
+    await logAdminActivity(req.user.id, action, "exam_accommodation", accommodation.id, {
+      exam_id: accommodation.exam_id,
+      student_ids: accommodation.student_ids,
+    });
+  } catch (logError) {
+    console.error("Error logging admin activity:", logError);
+  }
+}
+
+/**
+ * LIST ACCOMMODATIONS
+ * GET /api/exams/:examId/accommodations
+ */
+export const getExamAccommodations = TryCatchFunction(async (req, res) => {
+  const exam = await getManagedExam(req);
+
+  const accommodations = await ExamAccommodation.findAll({
+    where: { exam_id: exam.id },
+    order: [["created_at", "DESC"]],
+  });
+
+  // Fetch student data separately (different database)
+  const studentIds = [...new Set(accommodations.flatMap((a) => a.student_ids || []))];
+  const students = studentIds.length
+    ? await Students.findAll({
+        where: { id: { [Op.in]: studentIds } },
+        attributes: ["id", "fname", "lname", "matric_number", "email"],
+      })
+    : [];
+  const studentMap = new Map(students.map((s) => [s.id, s.toJSON()]));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Accommodations retrieved successfully",
+    data: accommodations.map((a) => ({
+      ...formatAccommodation(a),
+      students: (a.student_ids || []).map((id) => studentMap.get(id) || { id }),
+    })),
+  });
+});
+
+/**
+ * CREATE ACCOMMODATION
+ * POST /api/exams/:examId/accommodations
+ * Body: { student_ids, name, extra_time_percent, start_at, end_at, extra_attempts, reason }
+ */
+export const createExamAccommodation = TryCatchFunction(async (req, res) => {
+  const exam = await getManagedExam(req);
+  const values = validateAccommodationInput(req.body || {});
+  await assertStudentsRegistered(exam, values.student_ids);
+
+  const accommodation = await ExamAccommodation.create({
+    ...values,
+    exam_id: exam.id,
+    created_by: getCreatorId(req.user.userType, Number(req.user.id)),
+    created_by_type: req.user.userType,
+  });
+
+  await logAccommodationActivity(req, "created_exam_accommodation", accommodation);
+
+  res.status(201).json({
+    status: true,
+    code: 201,
+    message: "Accommodation created successfully",
+    data: formatAccommodation(accommodation),
+  });
+});
+
+/**
+ * UPDATE ACCOMMODATION
+ * PUT /api/exams/:examId/accommodations/:accommodationId
+ * Applies to attempts started after the change; attempts in progress keep their time limit.
+ */
+export const updateExamAccommodation = TryCatchFunction(async (req, res) => {
+  const exam = await getManagedExam(req);
+
+  const accommodation = await ExamAccommodation.findOne({
+    where: { id: Number(req.params.accommodationId), exam_id: exam.id },
+  });
+  if (!accommodation) {
+    throw new ErrorClass("Accommodation not found", 404);
+  }
+
+  const values = validateAccommodationInput(req.body || {}, accommodation);
+  if (values.student_ids) {
+    await assertStudentsRegistered(exam, values.student_ids);
+  }
+
+  await accommodation.update({ ...values, updated_at: new Date() });
+  await logAccommodationActivity(req, "updated_exam_accommodation", accommodation);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Accommodation updated successfully",
+    data: formatAccommodation(accommodation),
+  });
+});
+
+/**
+ * DELETE ACCOMMODATION
+ * DELETE /api/exams/:examId/accommodations/:accommodationId
+ */
+export const deleteExamAccommodation = TryCatchFunction(async (req, res) => {
+  const exam = await getManagedExam(req);
+
+  const accommodation = await ExamAccommodation.findOne({
+    where: { id: Number(req.params.accommodationId), exam_id: exam.id },
+  });
+  if (!accommodation) {
+    throw new ErrorClass("Accommodation not found", 404);
+  }
+
+  await accommodation.destroy();
+  await logAccommodationActivity(req, "deleted_exam_accommodation", accommodation);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Accommodation deleted successfully",
+  });
+});
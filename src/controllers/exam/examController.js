@@ -23,6 +23,7 @@ import {
 } from "../../utils/examAccessControl.js";
 import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
 import { dbLibrary } from "../../database/database.js";
+import { normalizeProctoringPolicy } from "../../services/examProctoringService.js";
 
 function canManageExams(userType) {
   return [
@@ -66,6 +67,7 @@ export const createExam = TryCatchFunction(async (req, res) => {
     objective_count = 0,
     theory_count = 0,
     manual_question_ids, // Array of question_bank_ids for manual mode
+    proctoring_policy,
   } = req.body;
 
   console.log("📋 Request body:", {
@@ -111,6 +113,7 @@ export const createExam = TryCatchFunction(async (req, res) => {
     selection_mode,
     objective_count,
     theory_count,
+    proctoring_policy: normalizeProctoringPolicy(proctoring_policy),
     created_by: creatorId,
   });
 
@@ -356,6 +359,7 @@ export const updateExam = TryCatchFunction(async (req, res) => {
     exam_type,
     objective_count,
     theory_count,
+    proctoring_policy,
   } = req.body;
 
   const updates = {};
@@ -370,6 +374,8 @@ export const updateExam = TryCatchFunction(async (req, res) => {
   if (exam_type !== undefined) updates.exam_type = exam_type;
   if (objective_count !== undefined) updates.objective_count = objective_count;
   if (theory_count !== undefined) updates.theory_count = theory_count;
+  if (proctoring_policy !== undefined)
+    updates.proctoring_policy = normalizeProctoringPolicy(proctoring_policy);
 
   await exam.update(updates);
 
@@ -13,6 +13,12 @@ import {
 import { Courses } from "../../models/course/courses.js";
 import { Students } from "../../models/auth/student.js";
 import { Op } from "sequelize";
+import { getIntegrityReport } from "../../services/examProctoringService.js";
+import {
+  getAttemptSimilarity,
+  getExamSimilarityReport,
+} from "../../services/similarityService.js";
+import { Config } from "../../config/config.js";
 import {
   getPaginationParams,
   paginatedResponse,
@@ -202,13 +208,114 @@ export const getAttemptForGrading = TryCatchFunction(async (req, res) => {
     attributes: ["id", "fname", "lname", "matric_number", "email"],
   });
 
+  const integrityReport = await getIntegrityReport(attempt, attempt.exam);
+
+  // Theory answers that overlap heavily with other students' answers to the same question
+  const similarity = await getAttemptSimilarity(attempt);
+  const matchedStudentIds = [
+    ...new Set([...similarity.values()].flat().map((m) => m.student_id)),
+  ];
+  const matchedStudents = matchedStudentIds.length
+    ? await Students.findAll({
+        where: { id: matchedStudentIds },
+        attributes: ["id", "fname", "lname", "matric_number"],
+      })
+    : [];
+  const matchedStudentsMap = {};
+  matchedStudents.forEach((s) => {
+    matchedStudentsMap[s.id] = s.toJSON();
+  });
+
+  const data = attempt.toJSON();
+  data.theoryAnswers = (data.theoryAnswers || []).map((answer) => ({
+    ...answer,
+    similarity_matches: (similarity.get(answer.id) || []).map((match) => ({
+      ...match,
+      student: matchedStudentsMap[match.student_id] || null,
+    })),
+  }));
+
   res.status(200).json({
     status: true,
     code: 200,
     message: "Attempt retrieved for grading",
     data: {
-      ...attempt.toJSON(),
+      ...data,
       student: student ? student.toJSON() : null,
+      integrity_report: integrityReport,
+      similarity_report: {
+        threshold: Config.similarity.threshold,
+        flagged_answers: similarity.size,
+      },
+    },
+  });
+});
+
+/**
+ * THEORY ANSWER SIMILARITY REPORT (Staff and Admin)
+ * GET /api/exams/:examId/similarity
+ * Pairs of students' answers to the same theory question at or above the similarity threshold
+ */
+export const getExamSimilarity = TryCatchFunction(async (req, res) => {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+  const examId = Number(req.params.examId);
+
+  if (!canManageExams(userType)) {
+    throw new ErrorClass(
+      "Only authorized tutors, staff, and admins can access grading",
+      403
+    );
+  }
+
+  const exam = await Exam.findByPk(examId);
+  if (!exam) {
+    throw new ErrorClass("Exam not found", 404);
+  }
+
+  // Verify user can access the course (admin can access all, staff only their own)
+  const hasAccess = await canAccessCourse(
+    userType,
+    userId,
+    exam.course_id,
+    req.user
+  );
+  if (!hasAccess) {
+    throw new ErrorClass("Access denied", 403);
+  }
+
+  const questions = await getExamSimilarityReport(examId);
+
+  // Fetch student data separately (different database)
+  const studentIds = [
+    ...new Set(
+      questions.flatMap((q) => q.pairs.flatMap((p) => [p.a.student_id, p.b.student_id]))
+    ),
+  ];
+  const students = studentIds.length
+    ? await Students.findAll({
+        where: { id: studentIds },
+        attributes: ["id", "fname", "lname", "matric_number"],
+      })
+    : [];
+  const studentsMap = {};
+  students.forEach((s) => {
+    studentsMap[s.id] = s.toJSON();
+  });
+  const withStudent = (side) => ({ ...side, student: studentsMap[side.student_id] || null });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Similarity report retrieved successfully",
+    data: {
+      exam_id: examId,
+      threshold: Config.similarity.threshold,
+      flagged_pairs: questions.reduce((sum, q) => sum + q.pairs.length, 0),
+      questions: questions.map((q) => ({
+        ...q,
+        pairs: q.pairs.map((p) => ({ ...p, a: withStudent(p.a), b: withStudent(p.b) })),
+      })),
     },
   });
 });
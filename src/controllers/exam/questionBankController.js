@@ -11,6 +11,23 @@ import {
   getCreatorId,
 } from "../../utils/examAccessControl.js";
 import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import multer from "multer";
+import { IMPORT_FORMATS, detectFormat } from "../../services/questionBankFormats.js";
+import {
+  importQuestionBank,
+  exportQuestionBank,
+  normalizeImportDefaults,
+} from "../../services/questionBankImportService.js";
+
+// Question files (GIFT, QTI XML, CSV) are read into memory and parsed as text
+const uploadQuestionFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+  },
+});
+
+export const uploadQuestionFileMiddleware = uploadQuestionFile.single("file");
 
 function canManageExams(userType) {
   return [
@@ -624,3 +641,126 @@ export const getQuestionById = TryCatchFunction(async (req, res) => {
     data: question,
   });
 });
+
+/**
+ * IMPORT QUESTIONS (GIFT, QTI 2.1 XML, CSV)
+ * POST /api/exams/bank/import
+ * multipart: file, course_id, format?, dry_run?, tags?, topic?, difficulty?, status?
+ * (or JSON with `content` instead of a file)
+ */
+export const importBankQuestions = TryCatchFunction(async (req, res) => {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+
+  if (!canManageExams(userType)) {
+    throw new ErrorClass(
+      "Only authorized tutors, staff, and admins can import questions",
+      403
+    );
+  }
+
+  const { course_id, format, dry_run, tags, topic, difficulty, status, content } =
+    req.body || {};
+  const courseId = Number(course_id);
+  if (!Number.isInteger(courseId) || courseId <= 0) {
+    throw new ErrorClass("course_id is required", 400);
+  }
+
+  const importFormat = detectFormat(format, req.file?.originalname);
+  if (!IMPORT_FORMATS.includes(importFormat)) {
+    throw new ErrorClass(
+      `format must be one of: ${IMPORT_FORMATS.join(", ")} (or use a .gift, .txt, .xml or .csv file)`,
+      400
+    );
+  }
+
+  const fileContent = req.file ? req.file.buffer.toString("utf8") : content;
+  if (!fileContent) {
+    throw new ErrorClass("Upload a file or send its content", 400);
+  }
+
+  // Verify user can access the course (admin can access all, staff only their own)
+  const hasAccess = await canAccessCourse(userType, userId, courseId, req.user);
+  if (!hasAccess) {
+    throw new ErrorClass("Course not found or access denied", 403);
+  }
+
+  const dryRun = dry_run === true || dry_run === "true" || dry_run === "1";
+  const result = await importQuestionBank({
+    courseId,
+    content: fileContent,
+    format: importFormat,
+    dryRun,
+    defaults: normalizeImportDefaults({ tags, topic, difficulty, status }),
+    creatorId: getCreatorId(userType, userId),
+  });
+
+  // Log admin activity if imported by admin
+  if (userType === "admin" && !dryRun && result.summary.imported > 0) {
+    try {
+      await logAdminActivity(userId, "imported_questions", "question", null, {
+        course_id: courseId,
+        format: importFormat,
+        imported: result.summary.imported,
+      });
+    } catch (logError) {
+      console.error("Error logging admin activity:", logError);
+    }
+  }
+
+  const { summary } = result;
+  res.status(dryRun || summary.imported === 0 ? 200 : 201).json({
+    status: true,
+    code: dryRun || summary.imported === 0 ? 200 : 201,
+    message: dryRun
+      ? `Preview: ${summary.valid} of ${summary.total} questions can be imported`
+      : `Imported ${summary.imported} of ${summary.total} questions`,
+    data: result,
+  });
+});
+
+/**
+ * EXPORT QUESTIONS (GIFT, QTI 2.1 XML, CSV)
+ * GET /api/exams/bank/export?course_id=X&format=gift|qti|csv
+ * Optional filters: question_type, difficulty, status, topic, tag
+ */
+export const exportBankQuestions = TryCatchFunction(async (req, res) => {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+
+  if (!canManageExams(userType)) {
+    throw new ErrorClass(
+      "Only authorized tutors, staff, and admins can export questions",
+      403
+    );
+  }
+
+  const { course_id, format = "csv", question_type, difficulty, status, topic, tag } =
+    req.query;
+  const courseId = Number(course_id);
+  if (!Number.isInteger(courseId) || courseId <= 0) {
+    throw new ErrorClass("course_id is required", 400);
+  }
+
+  // Verify user can access the course (admin can access all, staff only their own)
+  const hasAccess = await canAccessCourse(userType, userId, courseId, req.user);
+  if (!hasAccess) {
+    throw new ErrorClass("Course not found or access denied", 403);
+  }
+
+  const exported = await exportQuestionBank(courseId, String(format).toLowerCase(), {
+    question_type,
+    difficulty,
+    status,
+    topic,
+    tag,
+  });
+
+  res.setHeader("Content-Type", exported.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="question-bank-course-${courseId}.${exported.extension}"`
+  );
+  res.setHeader("X-Question-Count", exported.count);
+  res.send(exported.content);
+});
@@ -9,12 +9,14 @@ import {
   QuestionBank,
   QuestionObjective,
   QuestionTheory,
+  ExamAccommodation,
 } from "../../models/exams/index.js";
 import { CourseReg } from "../../models/course_reg.js";
 import { Semester } from "../../models/auth/semester.js";
 import {
   startExamAttempt,
   getAttemptQuestions,
+  finalizeExamAttempt,
 } from "../../services/examAttemptService.js";
 import { Op } from "sequelize";
 import {
@@ -22,6 +24,15 @@ import {
   paginatedResponse,
 } from "../../utils/pagination.js";
 import { storeExamStartIP } from "../../middlewares/ipTracker.js";
+import {
+  getExamRules,
+  isAttemptOverdue,
+} from "../../services/examAccommodationService.js";
+import {
+  recordProctoringEvents,
+  getProctoringContext,
+  getProctoringPolicy,
+} from "../../services/examProctoringService.js";
 import {
   verifyExamPaymentRequirements,
   checkSchoolFeesPayment,
@@ -29,6 +40,18 @@ import {
   getCurrentAcademicYear,
 } from "../../services/paymentVerificationService.js";
 
+// What the exam page needs to know to monitor the attempt (null when proctoring is off)
+function formatStudentPolicy(exam, attempt) {
+  const policy = getProctoringPolicy(exam);
+  if (!policy.enabled) return null;
+  return {
+    counted_events: policy.counted_events,
+    action: policy.action,
+    max_violations: policy.max_violations,
+    violation_count: attempt.violation_count || 0,
+  };
+}
+
 /**
  * GET AVAILABLE EXAMS (Student)
  * GET /api/student/exams
@@ -127,12 +150,33 @@ export const getStudentExams = TryCatchFunction(async (req, res) => {
     }
   }
 
+  // Show each exam with the student's own duration and windows when accommodated
+  const accommodations = filteredExams.length
+    ? await ExamAccommodation.findAll({
+        where: {
+          exam_id: { [Op.in]: filteredExams.map((e) => e.id) },
+          student_ids: { [Op.contains]: [studentId] },
+        },
+      })
+    : [];
+  const examsWithRules = filteredExams.map((exam) => {
+    const rules = getExamRules(
+      exam,
+      accommodations.filter((a) => a.exam_id === exam.id)
+    );
+    return {
+      ...exam.toJSON(),
+      effective_duration_minutes: rules.duration_minutes,
+      accommodation: rules.accommodation,
+    };
+  });
+
   // Return filtered results with correct pagination info
   res
     .status(200)
     .json(
       paginatedResponse(
-        filteredExams,
+        examsWithRules,
         filteredExams.length,
         page,
         limit,
@@ -194,116 +238,58 @@ export const startExam = TryCatchFunction(async (req, res) => {
     throw new ErrorClass(paymentVerification.errors.join(" "), 403);
   }
 
-  // Check time window
-  const now = new Date();
-  if (exam.start_at && now < new Date(exam.start_at)) {
-    throw new ErrorClass("Exam has not started yet", 403);
-  }
-  if (exam.end_at && now > new Date(exam.end_at)) {
-    throw new ErrorClass("Exam has ended", 403);
-  }
-
-  // Check attempt limit (default: max 3 attempts per exam)
-  const MAX_ATTEMPTS = exam.max_attempts || 3;
-  const existingAttempts = await ExamAttempt.count({
-    where: {
-      exam_id: examId,
-      student_id: studentId,
-    },
-  });
-
-  if (existingAttempts >= MAX_ATTEMPTS) {
-    throw new ErrorClass(
-      `Maximum attempt limit reached (${MAX_ATTEMPTS} attempts allowed)`,
-      403
-    );
-  }
-
-  // Check for existing in-progress attempt
-  const inProgressAttempt = await ExamAttempt.findOne({
-    where: {
-      exam_id: examId,
-      student_id: studentId,
-      status: "in_progress",
-    },
-  });
-
-  if (inProgressAttempt) {
-    // Return existing attempt instead of creating new one
-    const items = await getAttemptQuestions(inProgressAttempt.id);
-    const questions = items.map((item) => ({
-      exam_item_id: item.id,
-      order: item.order,
-      question_type: item.question?.question_type,
-      question_text:
-        item.question?.objective?.question_text ||
-        item.question?.theory?.question_text,
-      options: item.question?.objective?.options || null,
-      max_marks:
-        item.question?.objective?.marks ||
-        item.question?.theory?.max_marks ||
-        null,
-      image_url:
-        item.question?.objective?.image_url ||
-        item.question?.theory?.image_url ||
-        null,
-      video_url:
-        item.question?.objective?.video_url ||
-        item.question?.theory?.video_url ||
-        null,
-    }));
-
-    return res.status(200).json({
-      status: true,
-      code: 200,
-      message: "Resuming existing exam attempt",
-      data: {
-        attempt_id: inProgressAttempt.id,
-        exam_id: inProgressAttempt.exam_id,
-        started_at: inProgressAttempt.started_at,
-        duration_minutes: exam.duration_minutes,
-        remaining_attempts: MAX_ATTEMPTS - existingAttempts,
-        questions,
-      },
-    });
-  }
-
-  // Start new attempt (handles random selection if needed)
-  const { attempt, isNew } = await startExamAttempt(examId, studentId);
+  // Start or resume the attempt. The service checks the window, attempt limit and
+  // time limit, including any accommodations for this student
+  const { attempt, isNew, rules, attemptsUsed } = await startExamAttempt(
+    examId,
+    studentId
+  );
 
   // Store exam start IP for security tracking
-  const startIP =
-    req.ip || req.headers["x-forwarded-for"] || req.connection.remoteAddress;
-  await storeExamStartIP(attempt.id, startIP);
+  if (isNew) {
+    const startIP =
+      req.ip || req.headers["x-forwarded-for"] || req.connection.remoteAddress;
+    await storeExamStartIP(attempt.id, startIP);
+    await attempt.update({ start_ip: startIP });
+  }
 
   // Get questions for this attempt (student view - no correct answers)
   const items = await getAttemptQuestions(attempt.id);
   const questions = items.map((item) => ({
     exam_item_id: item.id,
     order: item.order,
-    question_type: item.question.question_type,
+    question_type: item.question?.question_type,
     question_text:
-      item.question.objective?.question_text ||
-      item.question.theory?.question_text,
-    options: item.question.objective?.options || null,
+      item.question?.objective?.question_text ||
+      item.question?.theory?.question_text,
+    options: item.question?.objective?.options || null,
     max_marks:
-      item.question.objective?.marks || item.question.theory?.max_marks,
+      item.question?.objective?.marks ||
+      item.question?.theory?.max_marks ||
+      null,
     image_url:
-      item.question.objective?.image_url || item.question.theory?.image_url,
+      item.question?.objective?.image_url ||
+      item.question?.theory?.image_url ||
+      null,
     video_url:
-      item.question.objective?.video_url || item.question.theory?.video_url,
+      item.question?.objective?.video_url ||
+      item.question?.theory?.video_url ||
+      null,
   }));
 
   res.status(200).json({
     status: true,
     code: 200,
-    message: isNew ? "Exam started successfully" : "Exam resumed",
+    message: isNew ? "Exam started successfully" : "Resuming existing exam attempt",
     data: {
       attempt_id: attempt.id,
       exam_id: exam.id,
       started_at: attempt.started_at,
-      duration_minutes: exam.duration_minutes,
-      remaining_attempts: MAX_ATTEMPTS - existingAttempts - 1,
+      duration_minutes: attempt.time_limit_minutes || exam.duration_minutes,
+      due_at: attempt.due_at,
+      remaining_attempts: Math.max(0, rules.max_attempts - attemptsUsed),
+      accommodation: rules.accommodation,
+      proctoring: formatStudentPolicy(exam, attempt),
       questions,
     },
   });
@@ -340,6 +326,23 @@ export const submitAnswer = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("Exam already submitted", 400);
   }
 
+  // Time limit (including any extra time), with a short grace period for network delay
+  if (isAttemptOverdue(attempt)) {
+    await finalizeExamAttempt(attempt);
+    throw new ErrorClass("Time is up. Your exam has been submitted", 403);
+  }
+
+  // Server-side integrity checks (IP change, second exam session) and policy enforcement
+  const { proctoring } = await recordProctoringEvents(
+    attempt,
+    attempt.exam,
+    [],
+    getProctoringContext(req)
+  );
+  if (proctoring?.auto_submitted) {
+    throw new ErrorClass(proctoring.warning, 403);
+  }
+
   // Get exam item
   const examItem = await ExamItem.findByPk(exam_item_id, {
     include: [
@@ -387,7 +390,7 @@ export const submitAnswer = TryCatchFunction(async (req, res) => {
       status: true,
       code: 200,
       message: "Answer saved",
-      data: { is_correct: isCorrect, awarded_score: awardedScore },
+      data: { is_correct: isCorrect, awarded_score: awardedScore, proctoring },
     });
   } else {
     // Upsert theory answer
@@ -403,6 +406,7 @@ export const submitAnswer = TryCatchFunction(async (req, res) => {
       status: true,
       code: 200,
       message: "Answer saved (pending grading)",
+      data: { proctoring },
     });
   }
 });
@@ -432,47 +436,7 @@ export const submitExam = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("Exam already submitted", 400);
   }
 
-  // Calculate total score from objective answers
-  const objectiveAnswers = await ExamAnswerObjective.findAll({
-    where: { attempt_id: attemptId },
-  });
-
-  const objectiveScore = objectiveAnswers.reduce(
-    (sum, ans) => sum + Number(ans.awarded_score || 0),
-    0
-  );
-
-  // Theory answers are not graded yet, so max_score will be updated when graded
-  const theoryAnswers = await ExamAnswerTheory.findAll({
-    where: { attempt_id: attemptId },
-    include: [
-      {
-        model: ExamItem,
-        as: "examItem",
-        include: [
-          {
-            model: QuestionBank,
-            as: "question",
-            include: [{ model: QuestionTheory, as: "theory" }],
-          },
-        ],
-      },
-    ],
-  });
-
-  const maxTheoryScore = theoryAnswers.reduce(
-    (sum, ans) => sum + Number(ans.examItem?.question?.theory?.max_marks || 0),
-    0
-  );
-
-  const totalObjectiveMaxScore = objectiveAnswers.length * 1; // Assuming 1 mark per objective question (can be dynamic)
-
-  await attempt.update({
-    submitted_at: new Date(),
-    status: theoryAnswers.length > 0 ? "submitted" : "graded",
-    total_score: objectiveScore,
-    max_score: totalObjectiveMaxScore + maxTheoryScore,
-  });
+  const { total_score: objectiveScore } = await finalizeExamAttempt(attempt);
 
   res.status(200).json({
     status: true,
@@ -622,3 +586,48 @@ export const getStudentAttemptHistory = TryCatchFunction(async (req, res) => {
       )
     );
 });
+
+/**
+ * REPORT PROCTORING EVENTS (Student - exam page)
+ * POST /api/exams/student/exams/attempts/:attemptId/proctoring-events
+ * Body: { events: [{ type, occurred_at, details }] }; header X-Exam-Session-Id
+ */
+export const reportProctoringEvents = TryCatchFunction(async (req, res) => {
+  const studentId = Number(req.user?.id);
+  const userType = req.user?.userType;
+  const attemptId = Number(req.params.attemptId);
+
+  if (userType !== "student") {
+    throw new ErrorClass("Only students can report proctoring events", 403);
+  }
+
+  const attempt = await ExamAttempt.findByPk(attemptId, {
+    include: [{ model: Exam, as: "exam" }],
+  });
+
+  if (!attempt || attempt.student_id !== studentId) {
+    throw new ErrorClass("Attempt not found or access denied", 403);
+  }
+
+  if (attempt.status !== "in_progress") {
+    throw new ErrorClass("Exam already submitted", 400);
+  }
+
+  const { events } = req.body || {};
+
+  const { recorded, proctoring } = await recordProctoringEvents(
+    attempt,
+    attempt.exam,
+    events,
+    getProctoringContext(req)
+  );
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: proctoring?.auto_submitted
+      ? "Exam submitted automatically"
+      : "Proctoring events recorded",
+    data: { recorded, attempt_status: attempt.status, proctoring },
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Affiliate Controller
+ * Learners and tutors join product affiliate programs, get referral links and follow
+ * their clicks and commissions. Mounted twice: /affiliate (learners) and
+ * /tutor/affiliate (tutors and organizations).
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { AffiliateProgram } from "../../models/marketplace/affiliateProgram.js";
+import { AffiliateLink } from "../../models/marketplace/affiliateLink.js";
+import { AffiliateReferral } from "../../models/marketplace/affiliateReferral.js";
+import { ProductSalesPage } from "../../models/marketplace/productSalesPage.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  AFFILIATE_REFERRAL_STATUSES,
+  getAffiliateProduct,
+  canJoinProgram,
+  generateAffiliateCode,
+  buildShareInfo,
+  summarizeReferrals,
+  countClicks,
+  formatProgram,
+  formatReferral,
+} from "../../services/affiliateService.js";
+
+/**
+ * Who is acting as the affiliate
+ * @returns {{ affiliateType: string, affiliateId: number }}
+ */
+function getAffiliateIdentity(req) {
+  if (req.tutor) {
+    const { tutorId, tutorType } = getTutorInfo(req);
+    return { affiliateType: tutorType, affiliateId: tutorId };
+  }
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only learners and tutors can be affiliates", 403);
+  }
+  return { affiliateType: "student", affiliateId: req.user.id };
+}
+
+async function getSalesPageSlug(productType, productId) {
+  const page = await ProductSalesPage.findOne({
+    where: { product_type: productType, product_id: productId, status: "published" },
+    attributes: ["slug"],
+  });
+  return page?.slug || null;
+}
+
+/**
+ * Affiliate programs the caller can join
+ * GET /api/marketplace/affiliate/programs?product_type=course
+ */
+export const browseAffiliatePrograms = TryCatchFunction(async (req, res) => {
+  const { affiliateType, affiliateId } = getAffiliateIdentity(req);
+  const { product_type, page = 1, limit = 20 } = req.query;
+
+  const where = {
+    status: "active",
+    audience: { [Op.in]: ["all", affiliateType === "student" ? "learners" : "tutors"] },
+  };
+  if (product_type) where.product_type = product_type;
+  if (affiliateType !== "student") {
+    where[Op.not] = { owner_type: affiliateType, owner_id: affiliateId };
+  }
+
+  const { count, rows } = await AffiliateProgram.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["commission_rate", "DESC"], ["created_at", "DESC"]],
+  });
+
+  const joined = await AffiliateLink.findAll({
+    where: {
+      affiliate_type: affiliateType,
+      affiliate_id: affiliateId,
+      program_id: { [Op.in]: rows.map((p) => p.id) },
+    },
+    attributes: ["program_id", "code", "status"],
+  });
+  const linkByProgram = new Map(joined.map((link) => [link.program_id, link]));
+  const products = await Promise.all(
+    rows.map((p) => getAffiliateProduct(p.product_type, p.product_id))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliate programs retrieved successfully",
+    data: {
+      programs: rows
+        .map((program, index) => ({
+          ...formatProgram(program, products[index]),
+          joined: linkByProgram.has(program.id),
+          code: linkByProgram.get(program.id)?.code || null,
+        }))
+        .filter((program) => program.product?.is_published),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Join a program and get a referral code (returns the existing link when already joined)
+ * POST /api/marketplace/affiliate/programs/:id/join
+ */
+export const joinAffiliateProgram = TryCatchFunction(async (req, res) => {
+  const { affiliateType, affiliateId } = getAffiliateIdentity(req);
+
+  const program = await AffiliateProgram.findByPk(req.params.id);
+  if (!program) {
+    throw new ErrorClass("Affiliate program not found", 404);
+  }
+  if (!canJoinProgram(program, affiliateType, affiliateId)) {
+    throw new ErrorClass("You cannot join this affiliate program", 403);
+  }
+  const product = await getAffiliateProduct(program.product_type, program.product_id);
+  if (!product?.is_published) {
+    throw new ErrorClass("This product is not available", 400);
+  }
+
+  let link = await AffiliateLink.findOne({
+    where: { program_id: program.id, affiliate_type: affiliateType, affiliate_id: affiliateId },
+  });
+  const created = !link;
+  if (!link) {
+    link = await AffiliateLink.create({
+      program_id: program.id,
+      affiliate_type: affiliateType,
+      affiliate_id: affiliateId,
+      code: await generateAffiliateCode(),
+    });
+  }
+  if (link.status !== "active") {
+    throw new ErrorClass("Your affiliate link for this product has been disabled", 403);
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? "Joined affiliate program" : "You already joined this program",
+    data: {
+      link: {
+        id: link.id,
+        code: link.code,
+        status: link.status,
+        share: buildShareInfo(
+          product,
+          link.code,
+          await getSalesPageSlug(program.product_type, program.product_id)
+        ),
+      },
+      program: formatProgram(program, product),
+    },
+  });
+});
+
+/**
+ * The caller's affiliate links with clicks, conversions and commission
+ * GET /api/marketplace/affiliate/links
+ */
+export const getMyAffiliateLinks = TryCatchFunction(async (req, res) => {
+  const { affiliateType, affiliateId } = getAffiliateIdentity(req);
+
+  const links = await AffiliateLink.findAll({
+    where: { affiliate_type: affiliateType, affiliate_id: affiliateId },
+    include: [{ model: AffiliateProgram, as: "program" }],
+    order: [["created_at", "DESC"]],
+  });
+  const linkIds = links.map((l) => l.id);
+
+  const [clicks, referrals] = await Promise.all([
+    linkIds.length ? countClicks({ link_id: { [Op.in]: linkIds } }, "link_id") : {},
+    linkIds.length ? summarizeReferrals({ link_id: { [Op.in]: linkIds } }, "link_id") : {},
+  ]);
+
+  const data = await Promise.all(
+    links.map(async (link) => {
+      const { program } = link;
+      const product = await getAffiliateProduct(program.product_type, program.product_id);
+      return {
+        id: link.id,
+        code: link.code,
+        status: link.status,
+        share: buildShareInfo(
+          product,
+          link.code,
+          await getSalesPageSlug(program.product_type, program.product_id)
+        ),
+        program: formatProgram(program, product),
+        clicks: clicks[link.id] || 0,
+        conversions: referrals[link.id]?.conversions || 0,
+        by_currency: referrals[link.id]?.by_currency || {},
+      };
+    })
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliate links retrieved successfully",
+    data: { links: data },
+  });
+});
+
+/**
+ * The caller's commissions
+ * GET /api/marketplace/affiliate/referrals?status=pending
+ */
+export const getMyAffiliateReferrals = TryCatchFunction(async (req, res) => {
+  const { affiliateType, affiliateId } = getAffiliateIdentity(req);
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const where = { affiliate_type: affiliateType, affiliate_id: affiliateId };
+  if (status) {
+    if (!AFFILIATE_REFERRAL_STATUSES.includes(status)) {
+      throw new ErrorClass(`status must be one of: ${AFFILIATE_REFERRAL_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+
+  const [{ count, rows }, totals] = await Promise.all([
+    AffiliateReferral.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      order: [["created_at", "DESC"]],
+    }),
+    summarizeReferrals({ affiliate_type: affiliateType, affiliate_id: affiliateId }, "affiliate_type"),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Referrals retrieved successfully",
+    data: {
+      // Buyers are not identified to affiliates
+      referrals: rows.map((referral) => {
+        const data = formatReferral(referral);
+        delete data.payment_reference;
+        return data;
+      }),
+      totals: totals[affiliateType]?.by_currency || {},
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
@@ -0,0 +1,348 @@
+/**
+ * Bundle Purchase Controller
+ * Public bundle pages and learner purchase of learning-path bundles (wallet payment)
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { db } from "../../database/database.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
+import { BundlePurchase } from "../../models/marketplace/bundlePurchase.js";
+import { Students } from "../../models/auth/student.js";
+import { Funding } from "../../models/payment/funding.js";
+import { GeneralSetup } from "../../models/settings/generalSetup.js";
+import { SoleTutor } from "../../models/marketplace/soleTutor.js";
+import { Organization } from "../../models/marketplace/organization.js";
+import { getWalletBalance } from "../../services/walletBalanceService.js";
+import { checkProductAccess } from "../../services/membershipAccessService.js";
+import { processBundlePurchase } from "../../services/revenueSharingService.js";
+import {
+  BUNDLE_REF_PREFIX,
+  loadBundleProducts,
+  assertBundlePublishable,
+  resolveBundlePrice,
+  grantBundleProducts,
+  formatBundle,
+} from "../../services/bundleService.js";
+import {
+  trackAffiliateClick,
+  recordAffiliateConversion,
+} from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
+import { createInvoiceForPurchase } from "./invoice.js";
+
+async function getBundleOwner(bundle) {
+  if (bundle.owner_type === "sole_tutor") {
+    const tutor = await SoleTutor.findByPk(bundle.owner_id, {
+      attributes: ["id", "fname", "lname", "profile_image", "bio"],
+    });
+    return tutor
+      ? {
+          id: tutor.id,
+          name: `${tutor.fname} ${tutor.lname || ""}`.trim(),
+          image: tutor.profile_image,
+          bio: tutor.bio,
+        }
+      : null;
+  }
+  const organization = await Organization.findByPk(bundle.owner_id, {
+    attributes: ["id", "name", "logo", "description"],
+  });
+  return organization
+    ? {
+        id: organization.id,
+        name: organization.name,
+        image: organization.logo,
+        bio: organization.description,
+      }
+    : null;
+}
+
+/**
+ * Get a published bundle by slug (public). Signed-in learners also see which
+ * included products they already have.
+ * GET /api/marketplace/bundles/slug/:slug?ref=<affiliate code>
+ */
+export const getBundleBySlug = TryCatchFunction(async (req, res) => {
+  const bundle = await ProductBundle.findOne({
+    where: { slug: req.params.slug, status: "published" },
+  });
+  if (!bundle) {
+    throw new ErrorClass("Bundle not found", 404);
+  }
+
+  const products = await loadBundleProducts(bundle.id);
+  const data = formatBundle(bundle, products);
+
+  if (req.user?.userType === "student") {
+    const access = await Promise.all(
+      products.map((p) => checkProductAccess(req.user.id, p.product_type, p.product_id))
+    );
+    data.products = data.products.map((p, index) => ({
+      ...p,
+      has_access: !!access[index]?.has_access,
+    }));
+    data.purchased = !!(await BundlePurchase.findOne({
+      where: { bundle_id: bundle.id, student_id: req.user.id, status: "completed" },
+    }));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle retrieved successfully",
+    data: {
+      bundle: { ...data, tutor: await getBundleOwner(bundle) },
+      affiliate: await trackAffiliateClick(req, res, {
+        productType: "bundle",
+        productId: bundle.id,
+        source: "product_link",
+      }),
+      purchase_url: "/api/marketplace/bundles/purchase",
+      add_to_cart_url: "/api/marketplace/store/cart/add",
+    },
+  });
+});
+
+/**
+ * Purchase a bundle with the wallet and get every included product
+ * POST /api/marketplace/bundles/purchase
+ * Body: { bundle_id }
+ */
+export const purchaseBundle = TryCatchFunction(async (req, res) => {
+  const { bundle_id } = req.body;
+  const studentId = req.user?.id;
+
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can purchase bundles", 403);
+  }
+  if (!bundle_id) {
+    throw new ErrorClass("Bundle ID is required", 400);
+  }
+
+  const bundle = await ProductBundle.findByPk(bundle_id);
+  if (!bundle || bundle.status !== "published") {
+    throw new ErrorClass("Bundle not found or not available", 404);
+  }
+
+  const products = await loadBundleProducts(bundle.id);
+  assertBundlePublishable(products);
+
+  const student = await Students.findByPk(studentId);
+  if (!student) {
+    throw new ErrorClass("Student not found", 404);
+  }
+
+  const existingPurchase = await BundlePurchase.findOne({
+    where: { bundle_id: bundle.id, student_id: studentId, status: "completed" },
+  });
+  if (existingPurchase) {
+    throw new ErrorClass("You already own this bundle", 400);
+  }
+
+  const access = await Promise.all(
+    products.map((p) => checkProductAccess(studentId, p.product_type, p.product_id))
+  );
+  if (access.every((a) => a?.is_owned)) {
+    throw new ErrorClass("You already own every product in this bundle", 400);
+  }
+
+  // USD wallets pay the USD price, everyone else the NGN price
+  const studentCurrency = (student.currency || "NGN").toUpperCase();
+  const { amount: bundlePrice, currency: bundleCurrency } = resolveBundlePrice(
+    bundle,
+    studentCurrency
+  );
+
+  // Get exchange rate from system settings (USD to NGN)
+  const generalSetup = await GeneralSetup.findOne({
+    order: [["id", "DESC"]],
+  });
+  const exchangeRate = parseFloat(generalSetup?.rate || "1500"); // Default 1500 if not set
+
+  // Convert bundle price to student's currency if they differ
+  let priceInStudentCurrency = bundlePrice;
+  if (bundleCurrency !== studentCurrency) {
+    if (bundleCurrency === "USD" && studentCurrency === "NGN") {
+      priceInStudentCurrency = bundlePrice * exchangeRate;
+    } else if (bundleCurrency === "NGN" && studentCurrency === "USD") {
+      priceInStudentCurrency = bundlePrice / exchangeRate;
+    }
+    priceInStudentCurrency = Math.round(priceInStudentCurrency * 100) / 100;
+  }
+
+  const { balance: walletBalance } = await getWalletBalance(studentId, true);
+  if (walletBalance < priceInStudentCurrency) {
+    const requiredDisplay =
+      bundleCurrency !== studentCurrency
+        ? `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${bundlePrice} ${bundleCurrency})`
+        : `${priceInStudentCurrency.toFixed(2)} ${studentCurrency}`;
+    throw new ErrorClass(
+      `Insufficient wallet balance. Required: ${requiredDisplay}, Available: ${walletBalance.toFixed(2)} ${studentCurrency}. Please fund your wallet first.`,
+      400
+    );
+  }
+
+  const txRef = `${BUNDLE_REF_PREFIX}${bundle.id}-${Date.now()}`;
+  const today = new Date().toISOString().split("T")[0];
+  const newBalance = walletBalance - priceInStudentCurrency;
+
+  const transaction = await db.transaction();
+  let granted;
+  let result;
+  try {
+    if (priceInStudentCurrency > 0) {
+      await Funding.create(
+        {
+          student_id: studentId,
+          amount: priceInStudentCurrency,
+          type: "Debit",
+          service_name: "Marketplace Bundle Purchase",
+          ref: txRef,
+          date: today,
+          semester: null,
+          academic_year: null,
+          currency: studentCurrency,
+          balance: newBalance.toString(),
+        },
+        { transaction }
+      );
+      await student.update({ wallet_balance: newBalance }, { transaction });
+    }
+
+    granted = await grantBundleProducts(products, studentId, txRef, transaction);
+
+    result = await processBundlePurchase(
+      {
+        bundle,
+        student_id: studentId,
+        price: bundlePrice,
+        currency: bundleCurrency,
+        payment_reference: txRef,
+        granted_products: granted,
+      },
+      transaction
+    );
+
+    await bundle.increment("sales_count", { transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  const invoice = await createInvoiceForPurchase({
+    student_id: studentId,
+    product_type: "bundle",
+    product_id: bundle.id,
+    product_name: bundle.title,
+    unit_price: bundlePrice,
+    subtotal: bundlePrice,
+    discount_amount: 0,
+    total_amount: bundlePrice,
+    currency: bundleCurrency,
+    payment_method: "wallet",
+    payment_reference: txRef,
+    tutor_id: bundle.owner_id,
+    tutor_type: bundle.owner_type,
+    notes: `Includes: ${products.map((p) => p.title).join(", ")}`,
+  });
+
+  await recordAffiliateConversion(req, {
+    productType: "bundle",
+    productId: bundle.id,
+    studentId,
+    amount: bundlePrice,
+    currency: bundleCurrency,
+    paymentReference: txRef,
+  });
+
+  const learner = webhookLearner(student);
+  const purchaseEvent = {
+    product_type: "bundle",
+    product_id: bundle.id,
+    product_title: bundle.title,
+    learner,
+    amount: bundlePrice,
+    currency: bundleCurrency,
+    payment_reference: txRef,
+    invoice_id: invoice?.id || null,
+    items: granted,
+  };
+  await emitWebhookEvent(bundle.owner_type, bundle.owner_id, "purchase.completed", purchaseEvent);
+  await notifyPurchaseCompleted(bundle.owner_type, bundle.owner_id, purchaseEvent);
+  for (const item of granted) {
+    if (item.product_type !== "course" || item.already_owned) continue;
+    const course = products.find(
+      (p) => p.product_type === "course" && p.product_id === item.product_id
+    );
+    await emitWebhookEvent(bundle.owner_type, bundle.owner_id, "enrollment.created", {
+      course_id: item.product_id,
+      course_title: course?.title || null,
+      learner,
+      source: "bundle",
+      enrolled_at: new Date().toISOString(),
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Bundle purchased successfully",
+    data: {
+      purchase: {
+        id: result.purchase.id,
+        bundle_id: bundle.id,
+        price: bundlePrice,
+        currency: bundleCurrency,
+        transaction_ref: txRef,
+        invoice_id: invoice?.id || null,
+      },
+      granted_products: granted,
+      wallet: {
+        previous_balance: walletBalance,
+        new_balance: newBalance,
+        debited: priceInStudentCurrency,
+        currency: studentCurrency,
+        bundle_price_original:
+          bundleCurrency !== studentCurrency
+            ? { amount: bundlePrice, currency: bundleCurrency }
+            : null,
+      },
+    },
+  });
+});
+
+/**
+ * Bundles the learner has bought
+ * GET /api/marketplace/bundles/my-purchases
+ */
+export const getMyBundlePurchases = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can view bundle purchases", 403);
+  }
+
+  const purchases = await BundlePurchase.findAll({
+    where: { student_id: req.user.id },
+    include: [{ model: ProductBundle, as: "bundle" }],
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle purchases retrieved successfully",
+    data: {
+      purchases: purchases.map((purchase) => ({
+        id: purchase.id,
+        bundle_id: purchase.bundle_id,
+        title: purchase.bundle?.title || null,
+        slug: purchase.bundle?.slug || null,
+        image_url: purchase.bundle?.image_url || null,
+        price: parseFloat(purchase.price),
+        currency: purchase.currency,
+        status: purchase.status,
+        products: purchase.granted_products || [],
+        purchased_at: purchase.created_at,
+      })),
+    },
+  });
+});
@@ -5,6 +5,7 @@ import { TutorAvailability } from "../../models/marketplace/tutorAvailability.js
 import { CoachingBookingRequest } from "../../models/marketplace/coachingBookingRequest.js";
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
+import { notifyBooking } from "../../services/notificationService.js";
 import { Op, Sequelize } from "sequelize";
 
 /**
@@ -385,6 +386,7 @@ export const createBookingRequest = TryCatchFunction(async (req, res) => {
     student_note: student_note?.trim() || null,
     expires_at: expiresAt,
   });
+  await notifyBooking(booking, "tutor", "booking.requested");
 
   res.status(201).json({
     success: true,
@@ -541,6 +543,7 @@ export const cancelBookingRequest = TryCatchFunction(async (req, res) => {
   booking.status = "cancelled";
   booking.cancelled_at = new Date();
   await booking.save();
+  await notifyBooking(booking, "tutor", "booking.cancelled", { cancelled_by: "learner" });
 
   res.status(200).json({
     success: true,
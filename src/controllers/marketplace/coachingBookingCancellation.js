@@ -14,6 +14,7 @@ import { refundHours } from "./coachingHours.js";
 import { streamVideoService } from "../../service/streamVideoService.js";
 import { db } from "../../database/database.js";
 import { applyLegacyWalletMirror } from "../../utils/tutorWallet.js";
+import { notifyBooking } from "../../services/notificationService.js";
 
 const TWENTY_FOUR_HOURS_MS = 24 * 60 * 60 * 1000;
 
@@ -226,6 +227,11 @@ async function processCancellation(booking, cancelledBy) {
 
     await dbTransaction.commit();
 
+    await notifyBooking(booking, cancelledBy === "student" ? "tutor" : "student", "booking.cancelled", {
+      cancelled_by: cancelledBy === "student" ? "learner" : "tutor",
+      refunded: !!purchase,
+    });
+
     return {
       booking_id: booking.id,
       session_id: session.id,
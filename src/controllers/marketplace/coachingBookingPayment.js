@@ -19,6 +19,7 @@ import { checkAndDeductHours } from "./coachingHours.js";
 import { Config } from "../../config/config.js";
 import { db } from "../../database/database.js";
 import { applyLegacyWalletMirror } from "../../utils/tutorWallet.js";
+import { notifyBooking } from "../../services/notificationService.js";
 
 /**
  * Process payment and create session after booking is accepted.
@@ -332,6 +333,7 @@ export const processBookingPayment = TryCatchFunction(async (req, res) => {
     });
 
     await dbTransaction.commit();
+    await notifyBooking(booking, "tutor", "booking.confirmed", { start_time: session.start_time });
 
     res.status(201).json({
       success: true,
@@ -3,6 +3,7 @@ import { ErrorClass } from "../../utils/errorClass/index.js";
 import { CoachingBookingRequest } from "../../models/marketplace/coachingBookingRequest.js";
 import { TutorCoachingProfile } from "../../models/marketplace/tutorCoachingProfile.js";
 import { Students } from "../../models/auth/student.js";
+import { notifyBooking } from "../../services/notificationService.js";
 import { Op } from "sequelize";
 
 function getTutorInfo(req) {
@@ -198,6 +199,7 @@ export const acceptBookingRequest = TryCatchFunction(async (req, res) => {
   booking.final_price = finalPrice;
   if (tutor_note) booking.tutor_note = tutor_note.trim();
   await booking.save();
+  await notifyBooking(booking, "student", "booking.accepted");
 
   res.status(200).json({
     success: true,
@@ -247,6 +249,7 @@ export const declineBookingRequest = TryCatchFunction(async (req, res) => {
   booking.declined_at = new Date();
   if (tutor_note) booking.tutor_note = tutor_note.trim();
   await booking.save();
+  await notifyBooking(booking, "student", "booking.declined");
 
   res.status(200).json({
     success: true,
@@ -348,6 +351,7 @@ export const counterProposeBooking = TryCatchFunction(async (req, res) => {
   booking.expires_at = new Date(now.getTime() + 48 * 60 * 60 * 1000);
 
   await booking.save();
+  await notifyBooking(booking, "student", "booking.counter_proposed", { expires_at: booking.expires_at });
 
   res.status(200).json({
     success: true,
@@ -417,6 +421,7 @@ export const acceptCounterProposal = TryCatchFunction(async (req, res) => {
   booking.accepted_at = new Date();
   booking.final_price = finalPrice;
   await booking.save();
+  await notifyBooking(booking, "tutor", "booking.counter_accepted");
 
   res.status(200).json({
     success: true,
@@ -466,6 +471,7 @@ export const declineCounterProposal = TryCatchFunction(async (req, res) => {
   booking.declined_at = new Date();
   if (student_note) booking.student_note = student_note.trim();
   await booking.save();
+  await notifyBooking(booking, "tutor", "booking.declined");
 
   res.status(200).json({
     success: true,
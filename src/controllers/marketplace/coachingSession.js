@@ -8,6 +8,10 @@ import { CoachingSettings } from "../../models/marketplace/coachingSettings.js";
 import { Students } from "../../models/auth/student.js";
 import { streamVideoService } from "../../service/streamVideoService.js";
 import { Config } from "../../config/config.js";
+import {
+  registerAttendee,
+  closeOpenAttendance,
+} from "../../services/attendanceService.js";
 import { emailService } from "../../services/emailService.js";
 import { checkAndDeductHours, refundHours } from "./coachingHours.js";
 import { db } from "../../database/database.js";
@@ -971,6 +975,7 @@ export const endSession = TryCatchFunction(async (req, res) => {
     actual_end_time: now,
     hours_used: actualDurationHours,
   });
+  await closeOpenAttendance("coaching_session", session.id, now);
 
   // Adjust hours balance if actual duration is less than reserved
   const reservedHours = parseFloat(session.hours_reserved);
@@ -1092,6 +1097,14 @@ export const getStudentJoinToken = TryCatchFunction(async (req, res) => {
   // Generate token (1 hour TTL)
   const token = streamVideoService.generateUserToken(studentId, 3600);
 
+  // Open the attendance record; Stream webhooks fill in join/leave times
+  await registerAttendee({
+    sessionType: "coaching_session",
+    sessionId: session.id,
+    userType: "student",
+    userId: studentId,
+  });
+
   res.json({
     success: true,
     data: {
@@ -14,6 +14,7 @@ import { Students } from "../../models/auth/student.js";
 import { supabase } from "../../utils/supabase.js";
 import multer from "multer";
 import { Op } from "sequelize";
+import { notifyCommunityMentions } from "../../services/notificationService.js";
 
 // Helper function to get author info (handles both tutors and students)
 async function getAuthorInfo(authorId, community, authorType = null) {
@@ -568,6 +569,18 @@ export const createPost = TryCatchFunction(async (req, res) => {
     authorName = "Unknown";
   }
 
+  // Not awaited: mention emails must not hold up the response (never throws)
+  if (postStatus === "published") {
+    notifyCommunityMentions({
+      communityId: community.id,
+      communityName: community.name,
+      mentionedIds: mentionedUserIds,
+      author: { type: userType, id: userId, name: authorName },
+      postId: post.id,
+      content,
+    });
+  }
+
   // Ensure image_url is included in response
   const postData = post.toJSON();
 
@@ -1091,6 +1104,15 @@ export const createComment = TryCatchFunction(async (req, res) => {
     authorName = "Unknown";
   }
 
+  notifyCommunityMentions({
+    communityId,
+    mentionedIds: mentionedUserIds,
+    author: { type: userType, id: userId, name: authorName },
+    postId: post.id,
+    commentId: comment.id,
+    content,
+  });
+
   res.status(201).json({
     status: true,
     code: 201,
@@ -19,6 +19,15 @@ import { WspCommission } from "../../models/marketplace/wspCommission.js";
 import { db } from "../../database/database.js";
 import { emailService } from "../../services/emailService.js";
 import { Config } from "../../config/config.js";
+import { calculateRevenue } from "../../services/revenueSharingService.js";
+import {
+  validateCouponForProduct,
+  recordCouponRedemption,
+} from "../../services/couponService.js";
+import { recordAffiliateConversion } from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
+import { createInvoiceForPurchase } from "./invoice.js";
 
 /**
  * Purchase community subscription
@@ -26,6 +35,7 @@ import { Config } from "../../config/config.js";
  */
 export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) => {
   const { id } = req.params;
+  const { coupon_code } = req.body || {};
   const studentId = req.user?.id;
 
   if (req.user?.userType !== "student") {
@@ -72,13 +82,26 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
   const studentCurrency = (student.currency || "NGN").toUpperCase();
   const communityPrice = parseFloat(community.price);
 
+  // Apply coupon to the first billing period only (renewals use community.price)
+  const couponResult = coupon_code
+    ? await validateCouponForProduct({
+        code: coupon_code,
+        studentId,
+        productType: "community",
+        productId: parseInt(id),
+        price: communityPrice,
+        currency: communityCurrency,
+      })
+    : null;
+  const payablePrice = couponResult ? couponResult.final_price : communityPrice;
+
   // Convert price to student's currency if needed
-  let priceInStudentCurrency = communityPrice;
+  let priceInStudentCurrency = payablePrice;
   if (communityCurrency !== studentCurrency) {
     if (communityCurrency === "USD" && studentCurrency === "NGN") {
-      priceInStudentCurrency = communityPrice * exchangeRate;
+      priceInStudentCurrency = payablePrice * exchangeRate;
     } else if (communityCurrency === "NGN" && studentCurrency === "USD") {
-      priceInStudentCurrency = communityPrice / exchangeRate;
+      priceInStudentCurrency = payablePrice / exchangeRate;
     }
     priceInStudentCurrency = Math.round(priceInStudentCurrency * 100) / 100;
   }
@@ -89,7 +112,7 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
   if (walletBalance < priceInStudentCurrency) {
     let requiredDisplay;
     if (communityCurrency !== studentCurrency) {
-      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${communityPrice} ${communityCurrency})`;
+      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${payablePrice} ${communityCurrency})`;
     } else {
       requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency}`;
     }
@@ -102,8 +125,10 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
 
   // No commission for communities
   const commissionRate = 0;
-  const wspCommission = 0;
-  const tutorEarnings = priceInStudentCurrency;
+  const { wspCommission, tutorEarnings } = calculateRevenue(
+    priceInStudentCurrency,
+    commissionRate
+  );
 
   // Generate transaction reference
   const txRef = `COMMUNITY-SUB-${id}-${Date.now()}`;
@@ -118,6 +143,22 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
   const transaction = await db.transaction();
 
   try {
+    if (couponResult) {
+      await recordCouponRedemption(
+        {
+          coupon: couponResult.coupon,
+          studentId,
+          productType: "community",
+          productId: parseInt(id),
+          originalAmount: communityPrice,
+          discountAmount: couponResult.discount_amount,
+          currency: communityCurrency,
+          paymentReference: txRef,
+        },
+        transaction
+      );
+    }
+
     // Debit wallet
     const newBalance = walletBalance - priceInStudentCurrency;
 
@@ -259,6 +300,45 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
 
     await transaction.commit();
 
+    const invoice = await createInvoiceForPurchase({
+      student_id: studentId,
+      product_type: "community",
+      product_id: community.id,
+      product_name: community.name,
+      unit_price: communityPrice,
+      subtotal: communityPrice,
+      discount_amount: couponResult?.discount_amount || 0,
+      total_amount: payablePrice,
+      currency: communityCurrency,
+      payment_method: "wallet",
+      payment_reference: txRef,
+      tutor_id: community.tutor_id,
+      tutor_type: community.tutor_type,
+      notes: couponResult
+        ? `Coupon ${couponResult.coupon.code} applied to first billing period`
+        : null,
+    });
+
+    await recordAffiliateConversion(req, {
+      productType: "community",
+      productId: community.id,
+      studentId,
+      amount: priceInStudentCurrency,
+      currency: studentCurrency,
+      paymentReference: txRef,
+    });
+    const purchaseEvent = {
+      product_type: "community",
+      product_id: community.id,
+      product_title: community.name,
+      learner: webhookLearner(student),
+      amount: priceInStudentCurrency,
+      currency: studentCurrency,
+      payment_reference: txRef,
+    };
+    await emitWebhookEvent(community.tutor_type, community.tutor_id, "purchase.completed", purchaseEvent);
+    await notifyPurchaseCompleted(community.tutor_type, community.tutor_id, purchaseEvent);
+
     // Send confirmation email
     const studentName = `${student.fname || ""} ${student.mname || ""} ${student.lname || ""}`.trim() || student.email;
     await emailService.sendEmail({
@@ -285,6 +365,14 @@ export const purchaseCommunitySubscription = TryCatchFunction(async (req, res) =
         subscription,
         member,
         next_billing_date: nextBillingDate,
+        coupon: couponResult
+          ? {
+              code: couponResult.coupon.code,
+              discount_amount: couponResult.discount_amount,
+              currency: communityCurrency,
+            }
+          : null,
+        invoice_id: invoice?.id || null,
       },
     });
   } catch (error) {
@@ -0,0 +1,247 @@
+/**
+ * Course Certificate Controller
+ * Learners list/download completion certificates; tutors manage per-course templates
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { CourseCertificate } from "../../models/marketplace/courseCertificate.js";
+import { CertificateTemplate } from "../../models/marketplace/certificateTemplate.js";
+import { CourseProgress } from "../../models/marketplace/courseProgress.js";
+import { Courses } from "../../models/course/courses.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  issueCourseCertificate,
+  generateCertificatePDF,
+  formatCertificate,
+} from "../../services/certificateService.js";
+
+const TEMPLATE_FIELDS = [
+  "title",
+  "body_text",
+  "signatory_name",
+  "signatory_title",
+  "accent_color",
+  "show_logo",
+  "is_enabled",
+];
+
+function formatTemplate(template) {
+  return {
+    id: template.id,
+    course_id: template.course_id,
+    title: template.title,
+    body_text: template.body_text,
+    signatory_name: template.signatory_name,
+    signatory_title: template.signatory_title,
+    accent_color: template.accent_color,
+    show_logo: template.show_logo,
+    is_enabled: template.is_enabled,
+    updated_at: template.updated_at,
+  };
+}
+
+async function findOwnedCourse(req, courseId) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const course = await Courses.findOne({
+    where: { id: courseId, owner_type: tutorType, owner_id: tutorId },
+    attributes: ["id", "title", "owner_type", "owner_id"],
+  });
+  if (!course) {
+    throw new ErrorClass("Course not found or you don't have permission", 404);
+  }
+  return { course, tutorId, tutorType };
+}
+
+/**
+ * Get my certificates
+ * GET /api/marketplace/certificates/my-certificates
+ */
+export const getMyCertificates = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can view certificates", 403);
+  }
+
+  const certificates = await CourseCertificate.findAll({
+    where: { student_id: req.user.id },
+    order: [["issued_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Certificates retrieved successfully",
+    data: {
+      certificates: certificates.map(formatCertificate),
+    },
+  });
+});
+
+/**
+ * Get (or claim) the certificate for a completed course.
+ * Issues it on first call for completions that happened before certificates existed.
+ * GET /api/marketplace/courses/:courseId/certificate
+ */
+export const getMyCourseCertificate = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can view certificates", 403);
+  }
+
+  const studentId = req.user.id;
+  const courseId = parseInt(req.params.courseId);
+
+  let certificate = await CourseCertificate.findOne({
+    where: { student_id: studentId, course_id: courseId },
+  });
+
+  if (!certificate) {
+    const progress = await CourseProgress.findOne({
+      where: { student_id: studentId, course_id: courseId },
+    });
+    if (!progress?.is_completed) {
+      throw new ErrorClass("Complete the course to receive a certificate", 400);
+    }
+
+    certificate = await issueCourseCertificate({ studentId, courseId, progress });
+    if (!certificate) {
+      throw new ErrorClass("Certificates are not available for this course", 404);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Certificate retrieved successfully",
+    data: {
+      certificate: formatCertificate(certificate),
+    },
+  });
+});
+
+/**
+ * Download certificate PDF
+ * GET /api/marketplace/certificates/:id/download
+ */
+export const downloadCertificate = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can download certificates", 403);
+  }
+
+  const certificate = await CourseCertificate.findByPk(req.params.id);
+
+  if (!certificate) {
+    throw new ErrorClass("Certificate not found", 404);
+  }
+
+  if (certificate.student_id !== req.user.id) {
+    throw new ErrorClass("You don't have permission to download this certificate", 403);
+  }
+
+  if (certificate.status === "revoked") {
+    throw new ErrorClass("This certificate has been revoked", 403);
+  }
+
+  const pdfBuffer = await generateCertificatePDF(certificate);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="certificate-${certificate.serial}.pdf"`
+  );
+  res.setHeader("Content-Length", pdfBuffer.length);
+
+  res.send(pdfBuffer);
+});
+
+/**
+ * Get certificate template for a course (defaults if none saved yet)
+ * GET /api/marketplace/tutor/courses/:courseId/certificate-template
+ */
+export const getCertificateTemplate = TryCatchFunction(async (req, res) => {
+  const { course } = await findOwnedCourse(req, req.params.courseId);
+
+  const template = await CertificateTemplate.findOne({ where: { course_id: course.id } });
+
+  res.status(200).json({
+    success: true,
+    message: "Certificate template retrieved successfully",
+    data: {
+      template: template
+        ? formatTemplate(template)
+        : formatTemplate(CertificateTemplate.build({ course_id: course.id })),
+      is_default: !template,
+    },
+  });
+});
+
+/**
+ * Create or update the certificate template for a course
+ * PUT /api/marketplace/tutor/courses/:courseId/certificate-template
+ */
+export const upsertCertificateTemplate = TryCatchFunction(async (req, res) => {
+  const { course, tutorId, tutorType } = await findOwnedCourse(req, req.params.courseId);
+
+  const updates = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+
+  if (updates.title !== undefined && !String(updates.title).trim()) {
+    throw new ErrorClass("title cannot be empty", 400);
+  }
+  if (updates.accent_color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(updates.accent_color)) {
+    throw new ErrorClass("accent_color must be a hex colour like #1F3A93", 400);
+  }
+
+  let template = await CertificateTemplate.findOne({ where: { course_id: course.id } });
+  if (template) {
+    await template.update(updates);
+  } else {
+    template = await CertificateTemplate.create({
+      ...updates,
+      course_id: course.id,
+      owner_type: tutorType,
+      owner_id: tutorId,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Certificate template saved successfully",
+    data: {
+      template: formatTemplate(template),
+    },
+  });
+});
+
+/**
+ * List certificates issued for a course
+ * GET /api/marketplace/tutor/courses/:courseId/certificates
+ */
+export const getCourseCertificates = TryCatchFunction(async (req, res) => {
+  const { course } = await findOwnedCourse(req, req.params.courseId);
+  const { page = 1, limit = 20, status } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const where = { course_id: course.id };
+  if (status) where.status = status;
+
+  const { count, rows } = await CourseCertificate.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset,
+    order: [["issued_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Certificates retrieved successfully",
+    data: {
+      certificates: rows.map(formatCertificate),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
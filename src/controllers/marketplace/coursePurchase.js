@@ -1,3 +1,4 @@
+import { db } from "../../database/database.js";
 import { Courses } from "../../models/course/courses.js";
 import { Students } from "../../models/auth/student.js";
 import { CourseReg } from "../../models/course_reg.js";
@@ -7,13 +8,25 @@ import { processMarketplacePurchase } from "../../services/revenueSharingService
 import { ErrorClass } from "../../utils/errorClass/index.js";
 import { TryCatchFunction } from "../../utils/tryCatch/index.js";
 import { getWalletBalance } from "../../services/walletBalanceService.js";
+import {
+  validateCouponForProduct,
+  recordCouponRedemption,
+} from "../../services/couponService.js";
+import { recordAffiliateConversion } from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
+import { createInvoiceForPurchase } from "./invoice.js";
+
+function isTutorOwner(course) {
+  return course.owner_type === "sole_tutor" || course.owner_type === "organization";
+}
 
 /**
  * Purchase marketplace course
  * This handles payment processing and revenue distribution
  */
 export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
-  const { course_id } = req.body;
+  const { course_id, coupon_code } = req.body;
   const studentId = req.user?.id;
 
   if (req.user?.userType !== "student") {
@@ -47,6 +60,19 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("Student not found", 404);
   }
 
+  // Apply coupon (discount is computed in the course currency)
+  const couponResult = coupon_code
+    ? await validateCouponForProduct({
+        code: coupon_code,
+        studentId,
+        productType: "course",
+        productId: parseInt(course_id),
+        price: coursePrice,
+        currency: course.currency || "NGN",
+      })
+    : null;
+  const payablePrice = couponResult ? couponResult.final_price : coursePrice;
+
   // Get exchange rate from system settings (USD to NGN)
   const generalSetup = await GeneralSetup.findOne({
     order: [["id", "DESC"]],
@@ -58,14 +84,14 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
   const studentCurrency = (student.currency || "NGN").toUpperCase();
 
   // Convert course price to student's currency if they differ
-  let priceInStudentCurrency = coursePrice;
+  let priceInStudentCurrency = payablePrice;
   if (courseCurrency !== studentCurrency) {
     if (courseCurrency === "USD" && studentCurrency === "NGN") {
       // USD to NGN: multiply by exchange rate
-      priceInStudentCurrency = coursePrice * exchangeRate;
+      priceInStudentCurrency = payablePrice * exchangeRate;
     } else if (courseCurrency === "NGN" && studentCurrency === "USD") {
       // NGN to USD: divide by exchange rate
-      priceInStudentCurrency = coursePrice / exchangeRate;
+      priceInStudentCurrency = payablePrice / exchangeRate;
     }
     // Round to 2 decimal places to avoid floating point precision issues
     priceInStudentCurrency = Math.round(priceInStudentCurrency * 100) / 100;
@@ -112,7 +138,7 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
     let requiredDisplay;
     if (courseCurrency !== studentCurrency) {
       // Show converted amount in student's currency, with original in parentheses
-      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${coursePrice} ${courseCurrency})`;
+      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${payablePrice} ${courseCurrency})`;
     } else {
       // Same currency - just show the amount
       requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency}`;
@@ -131,52 +157,135 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
   // Debit wallet (in student's currency)
   const newBalance = walletBalance - priceInStudentCurrency;
 
-  // Create Funding transaction (Debit) - store in student's currency
-  await Funding.create({
-    student_id: studentId,
-    amount: priceInStudentCurrency, // DECIMAL(10, 2) - supports decimal amounts accurately
-    type: "Debit",
-    service_name: "Marketplace Course Purchase",
-    ref: txRef,
-    date: today,
-    semester: null, // Marketplace courses are not tied to semester
-    academic_year: null, // Marketplace courses are not tied to academic year
-    currency: studentCurrency, // Store in student's currency
-    balance: newBalance.toString(),
-  });
+  // Coupon claim, debit, revenue split and enrollment commit together, so a failed
+  // purchase does not use up the coupon (the claim fails if the usage cap was just reached)
+  const purchaseDate = new Date();
+  const transaction = await db.transaction();
+  let result;
+  try {
+    if (couponResult) {
+      await recordCouponRedemption(
+        {
+          coupon: couponResult.coupon,
+          studentId,
+          productType: "course",
+          productId: parseInt(course_id),
+          originalAmount: coursePrice,
+          discountAmount: couponResult.discount_amount,
+          currency: courseCurrency,
+          paymentReference: txRef,
+        },
+        transaction
+      );
+    }
 
-  // Update student wallet_balance
-  await student.update({
-    wallet_balance: newBalance,
-  });
+    // Create Funding transaction (Debit) - store in student's currency
+    await Funding.create(
+      {
+        student_id: studentId,
+        amount: priceInStudentCurrency, // DECIMAL(10, 2) - supports decimal amounts accurately
+        type: "Debit",
+        service_name: "Marketplace Course Purchase",
+        ref: txRef,
+        date: today,
+        semester: null, // Marketplace courses are not tied to semester
+        academic_year: null, // Marketplace courses are not tied to academic year
+        currency: studentCurrency, // Store in student's currency
+        balance: newBalance.toString(),
+      },
+      { transaction }
+    );
 
-  // Process marketplace purchase and distribute revenue
-  const result = await processMarketplacePurchase({
-    course_id,
+    // Update student wallet_balance
+    await student.update({ wallet_balance: newBalance }, { transaction });
+
+    // Process marketplace purchase and distribute revenue
+    result = await processMarketplacePurchase(
+      {
+        course_id,
+        student_id: studentId,
+        payment_reference: txRef,
+        payment_method: "wallet", // Always wallet for marketplace purchases
+        discount_amount: couponResult?.discount_amount || 0,
+        coupon_id: couponResult?.coupon.id || null,
+      },
+      transaction
+    );
+
+    // Enroll student in course with lifetime access (not tied to semester)
+    const purchaseDateString = purchaseDate.toISOString().split("T")[0];
+
+    await CourseReg.create(
+      {
+        student_id: studentId,
+        course_id: course_id,
+        academic_year: null, // Lifetime access - not tied to academic year
+        semester: null, // Lifetime access - not tied to semester
+        date: purchaseDateString,
+        registration_status: "marketplace_purchased",
+        course_reg_id: null, // No CourseOrder (marketplace uses MarketplaceTransaction)
+        program_id: null, // Not part of program allocation
+        facaulty_id: null,
+        level: null,
+        first_ca: 0,
+        second_ca: 0,
+        third_ca: 0,
+        exam_score: 0,
+      },
+      { transaction }
+    );
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  const invoice = await createInvoiceForPurchase({
     student_id: studentId,
+    product_type: "course",
+    product_id: course.id,
+    product_name: course.title,
+    unit_price: coursePrice,
+    subtotal: coursePrice,
+    discount_amount: couponResult?.discount_amount || 0,
+    total_amount: payablePrice,
+    currency: courseCurrency,
+    payment_method: "wallet",
     payment_reference: txRef,
-    payment_method: "wallet", // Always wallet for marketplace purchases
+    tutor_id: isTutorOwner(course) ? course.owner_id : null,
+    tutor_type: isTutorOwner(course) ? course.owner_type : null,
+    notes: couponResult ? `Coupon ${couponResult.coupon.code} applied` : null,
   });
 
-  // Enroll student in course with lifetime access (not tied to semester)
-  const purchaseDate = new Date();
-  const purchaseDateString = purchaseDate.toISOString().split("T")[0];
+  await recordAffiliateConversion(req, {
+    productType: "course",
+    productId: course.id,
+    studentId,
+    amount: payablePrice,
+    currency: courseCurrency,
+    paymentReference: txRef,
+  });
 
-  await CourseReg.create({
-    student_id: studentId,
-    course_id: course_id,
-    academic_year: null, // Lifetime access - not tied to academic year
-    semester: null, // Lifetime access - not tied to semester
-    date: purchaseDateString,
-    registration_status: "marketplace_purchased",
-    course_reg_id: null, // No CourseOrder (marketplace uses MarketplaceTransaction)
-    program_id: null, // Not part of program allocation
-    facaulty_id: null,
-    level: null,
-    first_ca: 0,
-    second_ca: 0,
-    third_ca: 0,
-    exam_score: 0,
+  const learner = webhookLearner(student);
+  const purchaseEvent = {
+    product_type: "course",
+    product_id: course.id,
+    product_title: course.title,
+    learner,
+    amount: payablePrice,
+    currency: courseCurrency,
+    payment_reference: txRef,
+    invoice_id: invoice?.id || null,
+  };
+  await emitWebhookEvent(course.owner_type, course.owner_id, "purchase.completed", purchaseEvent);
+  await notifyPurchaseCompleted(course.owner_type, course.owner_id, purchaseEvent);
+  await emitWebhookEvent(course.owner_type, course.owner_id, "enrollment.created", {
+    course_id: course.id,
+    course_title: course.title,
+    learner,
+    source: "purchase",
+    enrolled_at: purchaseDate.toISOString(),
   });
 
   // Build response based on course type
@@ -189,6 +298,7 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
       transaction: {
         id: result.transaction.id,
         course_price: result.revenue.coursePrice,
+        discount_amount: result.revenue.discountAmount,
         wsp_commission: result.revenue.wspCommission,
         tutor_earnings: isWPUCourse ? null : result.revenue.tutorEarnings, // Null for WPU courses
         commission_rate: result.revenue.commissionRate,
@@ -197,6 +307,14 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
           ? "WPU marketplace course - 100% revenue to WPU" 
           : "Regular marketplace course - commission split applied",
       },
+      coupon: couponResult
+        ? {
+            code: couponResult.coupon.code,
+            discount_amount: couponResult.discount_amount,
+            currency: courseCurrency,
+          }
+        : null,
+      invoice_id: invoice?.id || null,
       enrollment: {
         course_id: course_id,
         access_type: "lifetime", // Lifetime access - not tied to semester
@@ -208,7 +326,7 @@ export const purchaseMarketplaceCourse = TryCatchFunction(async (req, res) => {
         debited: priceInStudentCurrency,
         currency: studentCurrency,
         course_price_original: courseCurrency !== studentCurrency ? {
-          amount: coursePrice,
+          amount: payablePrice,
           currency: courseCurrency,
         } : null,
       },
@@ -1,19 +1,31 @@
+import { db } from "../../database/database.js";
 import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
 import { Students } from "../../models/auth/student.js";
 import { DigitalDownloadPurchase } from "../../models/marketplace/digitalDownloadPurchase.js";
 import { Funding } from "../../models/payment/funding.js";
 import { GeneralSetup } from "../../models/settings/generalSetup.js";
-import { processMarketplacePurchase } from "../../services/revenueSharingService.js";
+import {
+  processMarketplacePurchase,
+  calculateDiscountedRevenue,
+} from "../../services/revenueSharingService.js";
 import { ErrorClass } from "../../utils/errorClass/index.js";
 import { TryCatchFunction } from "../../utils/tryCatch/index.js";
 import { getWalletBalance } from "../../services/walletBalanceService.js";
+import {
+  validateCouponForProduct,
+  recordCouponRedemption,
+} from "../../services/couponService.js";
+import { recordAffiliateConversion } from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
+import { createInvoiceForPurchase } from "./invoice.js";
 
 /**
  * Purchase marketplace digital download
  * This handles payment processing and revenue distribution
  */
 export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
-  const { digital_download_id } = req.body;
+  const { digital_download_id, coupon_code } = req.body;
   const studentId = req.user?.id;
 
   if (req.user?.userType !== "student") {
@@ -58,6 +70,19 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("You already own this product", 400);
   }
 
+  // Apply coupon (discount is computed in the product currency)
+  const couponResult = coupon_code
+    ? await validateCouponForProduct({
+        code: coupon_code,
+        studentId,
+        productType: "digital_download",
+        productId: parseInt(digital_download_id),
+        price: productPrice,
+        currency: download.currency || "NGN",
+      })
+    : null;
+  const payablePrice = couponResult ? couponResult.final_price : productPrice;
+
   // Get exchange rate from system settings (USD to NGN)
   const generalSetup = await GeneralSetup.findOne({
     order: [["id", "DESC"]],
@@ -69,14 +94,14 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
   const studentCurrency = (student.currency || "NGN").toUpperCase();
 
   // Convert product price to student's currency if they differ
-  let priceInStudentCurrency = productPrice;
+  let priceInStudentCurrency = payablePrice;
   if (productCurrency !== studentCurrency) {
     if (productCurrency === "USD" && studentCurrency === "NGN") {
       // USD to NGN: multiply by exchange rate
-      priceInStudentCurrency = productPrice * exchangeRate;
+      priceInStudentCurrency = payablePrice * exchangeRate;
     } else if (productCurrency === "NGN" && studentCurrency === "USD") {
       // NGN to USD: divide by exchange rate
-      priceInStudentCurrency = productPrice / exchangeRate;
+      priceInStudentCurrency = payablePrice / exchangeRate;
     }
     // Round to 2 decimal places
     priceInStudentCurrency = Math.round(priceInStudentCurrency * 100) / 100;
@@ -90,7 +115,7 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
   if (walletBalance < priceInStudentCurrency) {
     let requiredDisplay;
     if (productCurrency !== studentCurrency) {
-      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${productPrice} ${productCurrency})`;
+      requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${payablePrice} ${productCurrency})`;
     } else {
       requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency}`;
     }
@@ -108,25 +133,6 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
   // Debit wallet (in student's currency)
   const newBalance = walletBalance - priceInStudentCurrency;
 
-  // Create Funding transaction (Debit) - store in student's currency
-  await Funding.create({
-    student_id: studentId,
-    amount: priceInStudentCurrency,
-    type: "Debit",
-    service_name: "Digital Download Purchase",
-    ref: txRef,
-    date: today,
-    semester: null,
-    academic_year: null,
-    currency: studentCurrency,
-    balance: newBalance.toString(),
-  });
-
-  // Update student wallet_balance
-  await student.update({
-    wallet_balance: newBalance,
-  });
-
   // Process marketplace purchase and distribute revenue
   // Note: processMarketplacePurchase expects course_id, so we need to adapt or create new service
   // For now, we'll handle revenue sharing directly here
@@ -149,43 +155,136 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
     }
   }
 
-  // Calculate revenue split
-  const wspCommission = (productPrice * commissionRate) / 100;
-  const tutorEarnings = productPrice - wspCommission;
+  // Calculate revenue split on the price actually paid
+  const { netPrice, discountAmount, wspCommission, tutorEarnings } =
+    calculateDiscountedRevenue(
+      productPrice,
+      couponResult?.discount_amount || 0,
+      commissionRate
+    );
+
+  // Coupon claim, debit and purchase commit together, so a failed purchase does not use
+  // up the coupon (the claim fails if the usage cap was just reached)
+  const transaction = await db.transaction();
+  try {
+    if (couponResult) {
+      await recordCouponRedemption(
+        {
+          coupon: couponResult.coupon,
+          studentId,
+          productType: "digital_download",
+          productId: parseInt(digital_download_id),
+          originalAmount: productPrice,
+          discountAmount: couponResult.discount_amount,
+          currency: productCurrency,
+          paymentReference: txRef,
+        },
+        transaction
+      );
+    }
+
+    // Create Funding transaction (Debit) - store in student's currency
+    await Funding.create(
+      {
+        student_id: studentId,
+        amount: priceInStudentCurrency,
+        type: "Debit",
+        service_name: "Digital Download Purchase",
+        ref: txRef,
+        date: today,
+        semester: null,
+        academic_year: null,
+        currency: studentCurrency,
+        balance: newBalance.toString(),
+      },
+      { transaction }
+    );
+
+    // Update student wallet_balance
+    await student.update({ wallet_balance: newBalance }, { transaction });
 
-  // Create purchase record
-  await DigitalDownloadPurchase.create({
-    digital_download_id: digital_download_id,
+    // Create purchase record
+    await DigitalDownloadPurchase.create(
+      {
+        digital_download_id: digital_download_id,
+        student_id: studentId,
+        owner_type: ownerType,
+        owner_id: ownerId,
+        price: netPrice,
+        currency: productCurrency,
+        commission_rate: commissionRate,
+        wsp_commission: wspCommission,
+        tutor_earnings: tutorEarnings,
+        transaction_ref: txRef,
+      },
+      { transaction }
+    );
+
+    // Update sales count
+    await download.increment("sales_count", { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  const invoice = await createInvoiceForPurchase({
     student_id: studentId,
-    owner_type: ownerType,
-    owner_id: ownerId,
-    price: productPrice,
+    product_type: "digital_download",
+    product_id: download.id,
+    product_name: download.title,
+    unit_price: productPrice,
+    subtotal: productPrice,
+    discount_amount: discountAmount,
+    total_amount: netPrice,
     currency: productCurrency,
-    commission_rate: commissionRate,
-    wsp_commission: wspCommission,
-    tutor_earnings: tutorEarnings,
-    transaction_ref: txRef,
+    payment_method: "wallet",
+    payment_reference: txRef,
+    tutor_id: ownerId,
+    tutor_type: ownerType,
+    notes: couponResult ? `Coupon ${couponResult.coupon.code} applied` : null,
   });
 
-  // Update sales count
-  await download.update({
-    sales_count: download.sales_count + 1,
+  await recordAffiliateConversion(req, {
+    productType: "digital_download",
+    productId: download.id,
+    studentId,
+    amount: netPrice,
+    currency: productCurrency,
+    paymentReference: txRef,
   });
+  const purchaseEvent = {
+    product_type: "digital_download",
+    product_id: download.id,
+    product_title: download.title,
+    learner: webhookLearner(student),
+    amount: netPrice,
+    currency: productCurrency,
+    payment_reference: txRef,
+  };
+  await emitWebhookEvent(ownerType, ownerId, "purchase.completed", purchaseEvent);
+  await notifyPurchaseCompleted(ownerType, ownerId, purchaseEvent);
 
   // Build response
   res.status(201).json({
     success: true,
-    message: productPrice === 0 
+    message: netPrice === 0 
       ? "Free product added to your library" 
       : "Product purchased successfully",
     data: {
       purchase: {
         digital_download_id: digital_download_id,
         product_type: download.product_type,
-        price: productPrice,
+        price: netPrice,
+        discount_amount: discountAmount,
         currency: productCurrency,
         transaction_ref: txRef,
+        invoice_id: invoice?.id || null,
       },
+      coupon: couponResult
+        ? { code: couponResult.coupon.code, discount_amount: discountAmount }
+        : null,
       revenue: {
         wsp_commission: wspCommission,
         tutor_earnings: tutorEarnings,
@@ -197,7 +296,7 @@ export const purchaseDigitalDownload = TryCatchFunction(async (req, res) => {
         debited: priceInStudentCurrency,
         currency: studentCurrency,
         product_price_original: productCurrency !== studentCurrency ? {
-          amount: productPrice,
+          amount: netPrice,
           currency: productCurrency,
         } : null,
       },
@@ -1,19 +1,31 @@
+import { db } from "../../database/database.js";
 import { EBooks } from "../../models/marketplace/ebooks.js";
 import { Students } from "../../models/auth/student.js";
 import { EBookPurchase } from "../../models/marketplace/ebookPurchase.js";
 import { Funding } from "../../models/payment/funding.js";
 import { GeneralSetup } from "../../models/settings/generalSetup.js";
-import { processMarketplacePurchase } from "../../services/revenueSharingService.js";
+import {
+  processMarketplacePurchase,
+  calculateRevenue,
+} from "../../services/revenueSharingService.js";
 import { ErrorClass } from "../../utils/errorClass/index.js";
 import { TryCatchFunction } from "../../utils/tryCatch/index.js";
 import { getWalletBalance } from "../../services/walletBalanceService.js";
+import {
+  validateCouponForProduct,
+  recordCouponRedemption,
+} from "../../services/couponService.js";
+import { recordAffiliateConversion } from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
+import { createInvoiceForPurchase } from "./invoice.js";
 
 /**
  * Purchase marketplace e-book
  * This handles payment processing and revenue distribution
  */
 export const purchaseEBook = TryCatchFunction(async (req, res) => {
-  const { ebook_id } = req.body;
+  const { ebook_id, coupon_code } = req.body;
   const studentId = req.user?.id;
 
   if (req.user?.userType !== "student") {
@@ -58,6 +70,19 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("You already own this e-book", 400);
   }
 
+  // Apply coupon (discount is computed in the e-book currency)
+  const couponResult = coupon_code
+    ? await validateCouponForProduct({
+        code: coupon_code,
+        studentId,
+        productType: "ebook",
+        productId: parseInt(ebook_id),
+        price: ebookPrice,
+        currency: ebook.currency || "NGN",
+      })
+    : null;
+  const payablePrice = couponResult ? couponResult.final_price : ebookPrice;
+
   // Get exchange rate from system settings (USD to NGN)
   const generalSetup = await GeneralSetup.findOne({
     order: [["id", "DESC"]],
@@ -69,14 +94,14 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
   const studentCurrency = (student.currency || "NGN").toUpperCase();
 
   // Convert e-book price to student's currency if they differ
-  let priceInStudentCurrency = ebookPrice;
+  let priceInStudentCurrency = payablePrice;
   if (ebookCurrency !== studentCurrency) {
     if (ebookCurrency === "USD" && studentCurrency === "NGN") {
       // USD to NGN: multiply by exchange rate
-      priceInStudentCurrency = ebookPrice * exchangeRate;
+      priceInStudentCurrency = payablePrice * exchangeRate;
     } else if (ebookCurrency === "NGN" && studentCurrency === "USD") {
       // NGN to USD: divide by exchange rate
-      priceInStudentCurrency = ebookPrice / exchangeRate;
+      priceInStudentCurrency = payablePrice / exchangeRate;
     }
     // Round to 2 decimal places to avoid floating point precision issues
     priceInStudentCurrency = Math.round(priceInStudentCurrency * 100) / 100;
@@ -91,7 +116,7 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
       // Format amounts for display
       let requiredDisplay;
       if (ebookCurrency !== studentCurrency) {
-        requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${ebookPrice} ${ebookCurrency})`;
+        requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency} (${payablePrice} ${ebookCurrency})`;
       } else {
         requiredDisplay = `${priceInStudentCurrency.toFixed(2)} ${studentCurrency}`;
       }
@@ -109,49 +134,117 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
     // Debit wallet (in student's currency)
     const newBalance = walletBalance - priceInStudentCurrency;
 
-    // Create Funding transaction (Debit) - store in student's currency
-    await Funding.create({
-      student_id: studentId,
-      amount: priceInStudentCurrency,
-      type: "Debit",
-      service_name: "Marketplace E-Book Purchase",
-      ref: txRef,
-      date: today,
-      semester: null,
-      academic_year: null,
-      currency: studentCurrency,
-      balance: newBalance.toString(),
-    });
-
-    // Update student wallet_balance
-    await student.update({
-      wallet_balance: newBalance,
-    });
-
     // Process marketplace purchase and distribute revenue (similar to courses)
     // Note: We'll use the same revenue sharing service but adapt it for e-books
     const commissionRate = parseFloat(process.env.MARKETPLACE_COMMISSION_RATE || "15"); // 15% default
-    const wspCommission = (priceInStudentCurrency * commissionRate) / 100;
-    const tutorEarnings = priceInStudentCurrency - wspCommission;
+    // priceInStudentCurrency is already net of any coupon discount
+    const { wspCommission, tutorEarnings } = calculateRevenue(
+      priceInStudentCurrency,
+      commissionRate
+    );
 
-    // Create e-book purchase record
-    await EBookPurchase.create({
-      ebook_id: ebook_id,
+    // Coupon claim, debit and purchase commit together, so a failed purchase does not use
+    // up the coupon (the claim fails if the usage cap was just reached)
+    const transaction = await db.transaction();
+    try {
+      if (couponResult) {
+        await recordCouponRedemption(
+          {
+            coupon: couponResult.coupon,
+            studentId,
+            productType: "ebook",
+            productId: parseInt(ebook_id),
+            originalAmount: ebookPrice,
+            discountAmount: couponResult.discount_amount,
+            currency: ebookCurrency,
+            paymentReference: txRef,
+          },
+          transaction
+        );
+      }
+
+      // Create Funding transaction (Debit) - store in student's currency
+      await Funding.create(
+        {
+          student_id: studentId,
+          amount: priceInStudentCurrency,
+          type: "Debit",
+          service_name: "Marketplace E-Book Purchase",
+          ref: txRef,
+          date: today,
+          semester: null,
+          academic_year: null,
+          currency: studentCurrency,
+          balance: newBalance.toString(),
+        },
+        { transaction }
+      );
+
+      // Update student wallet_balance
+      await student.update({ wallet_balance: newBalance }, { transaction });
+
+      // Create e-book purchase record
+      await EBookPurchase.create(
+        {
+          ebook_id: ebook_id,
+          student_id: studentId,
+          owner_type: ebook.owner_type,
+          owner_id: ebook.owner_id,
+          price: priceInStudentCurrency,
+          currency: studentCurrency,
+          commission_rate: commissionRate,
+          wsp_commission: wspCommission,
+          tutor_earnings: tutorEarnings,
+          transaction_ref: txRef,
+        },
+        { transaction }
+      );
+
+      // Update e-book sales count
+      await ebook.increment("sales_count", { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const invoice = await createInvoiceForPurchase({
       student_id: studentId,
-      owner_type: ebook.owner_type,
-      owner_id: ebook.owner_id,
-      price: priceInStudentCurrency,
-      currency: studentCurrency,
-      commission_rate: commissionRate,
-      wsp_commission: wspCommission,
-      tutor_earnings: tutorEarnings,
-      transaction_ref: txRef,
+      product_type: "ebook",
+      product_id: ebook.id,
+      product_name: ebook.title,
+      unit_price: ebookPrice,
+      subtotal: ebookPrice,
+      discount_amount: couponResult?.discount_amount || 0,
+      total_amount: payablePrice,
+      currency: ebookCurrency,
+      payment_method: "wallet",
+      payment_reference: txRef,
+      tutor_id: ebook.owner_id,
+      tutor_type: ebook.owner_type,
+      notes: couponResult ? `Coupon ${couponResult.coupon.code} applied` : null,
     });
 
-    // Update e-book sales count
-    await ebook.update({
-      sales_count: ebook.sales_count + 1,
+    await recordAffiliateConversion(req, {
+      productType: "ebook",
+      productId: ebook.id,
+      studentId,
+      amount: priceInStudentCurrency,
+      currency: studentCurrency,
+      paymentReference: txRef,
     });
+    const purchaseEvent = {
+      product_type: "ebook",
+      product_id: ebook.id,
+      product_title: ebook.title,
+      learner: webhookLearner(student),
+      amount: priceInStudentCurrency,
+      currency: studentCurrency,
+      payment_reference: txRef,
+    };
+    await emitWebhookEvent(ebook.owner_type, ebook.owner_id, "purchase.completed", purchaseEvent);
+    await notifyPurchaseCompleted(ebook.owner_type, ebook.owner_id, purchaseEvent);
 
     res.status(201).json({
       success: true,
@@ -162,14 +255,22 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
           price: priceInStudentCurrency,
           currency: studentCurrency,
           transaction_ref: txRef,
+          invoice_id: invoice?.id || null,
         },
+        coupon: couponResult
+          ? {
+              code: couponResult.coupon.code,
+              discount_amount: couponResult.discount_amount,
+              currency: ebookCurrency,
+            }
+          : null,
         wallet: {
           previous_balance: walletBalance,
           new_balance: newBalance,
           debited: priceInStudentCurrency,
           currency: studentCurrency,
           ebook_price_original: ebookCurrency !== studentCurrency ? {
-            amount: ebookPrice,
+            amount: payablePrice,
             currency: ebookCurrency,
           } : null,
         },
@@ -179,24 +280,50 @@ export const purchaseEBook = TryCatchFunction(async (req, res) => {
     // Free e-book - no payment needed
     const txRef = `EBOOK-FREE-${ebook_id}-${Date.now()}`;
 
-    // Create e-book purchase record (free)
-    await EBookPurchase.create({
-      ebook_id: ebook_id,
-      student_id: studentId,
-      owner_type: ebook.owner_type,
-      owner_id: ebook.owner_id,
-      price: 0,
-      currency: studentCurrency,
-      commission_rate: 0,
-      wsp_commission: 0,
-      tutor_earnings: 0,
-      transaction_ref: txRef,
-    });
+    // A 100% coupon makes the e-book free but still counts as a redemption
+    const transaction = await db.transaction();
+    try {
+      if (couponResult) {
+        await recordCouponRedemption(
+          {
+            coupon: couponResult.coupon,
+            studentId,
+            productType: "ebook",
+            productId: parseInt(ebook_id),
+            originalAmount: ebookPrice,
+            discountAmount: couponResult.discount_amount,
+            currency: ebookCurrency,
+            paymentReference: txRef,
+          },
+          transaction
+        );
+      }
 
-    // Update e-book sales count
-    await ebook.update({
-      sales_count: ebook.sales_count + 1,
-    });
+      // Create e-book purchase record (free)
+      await EBookPurchase.create(
+        {
+          ebook_id: ebook_id,
+          student_id: studentId,
+          owner_type: ebook.owner_type,
+          owner_id: ebook.owner_id,
+          price: 0,
+          currency: studentCurrency,
+          commission_rate: 0,
+          wsp_commission: 0,
+          tutor_earnings: 0,
+          transaction_ref: txRef,
+        },
+        { transaction }
+      );
+
+      // Update e-book sales count
+      await ebook.increment("sales_count", { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,161 @@
+/**
+ * Tutor Email Branding Controller
+ * Tutors/organizations set the logo, colors, footer and sender name used on emails
+ * sent to their learners (tutor messages, booking and reminder emails)
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { EmailBranding } from "../../models/marketplace/emailBranding.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import { getEmailBranding, renderEmail, EMAIL_TEMPLATES } from "../../services/emailTemplateService.js";
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_FOOTER = 1000;
+const PREVIEW_TEMPLATES = ["notification", "tutor-learner-message"];
+
+/**
+ * Branding can be managed by the tutor, the organization account or an organization admin user
+ */
+function getBrandingOwner(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  if (req.user.userType === "organization_user" && req.tutor.role !== "admin") {
+    throw new ErrorClass("Only organization admins can manage email branding", 403);
+  }
+  return { ownerType: tutorType, ownerId: tutorId };
+}
+
+function formatBranding(branding) {
+  return {
+    sender_name: branding?.sender_name || null,
+    logo_url: branding?.logo_url || null,
+    primary_color: branding?.primary_color || null,
+    secondary_color: branding?.secondary_color || null,
+    footer_text: branding?.footer_text || null,
+    updated_at: branding?.updated_at || null,
+  };
+}
+
+function normalizeOptionalText(value, field, max) {
+  if (value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new ErrorClass(`${field} must be a string`, 400);
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > max) {
+    throw new ErrorClass(`${field} must be at most ${max} characters`, 400);
+  }
+  return trimmed || null;
+}
+
+function normalizeLogoUrl(value) {
+  const url = normalizeOptionalText(value, "logo_url", 500);
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ErrorClass("logo_url must be a valid URL", 400);
+  }
+  if (parsed.protocol !== "https:") {
+    throw new ErrorClass("logo_url must use https", 400);
+  }
+  return url;
+}
+
+function normalizeColor(value, field) {
+  if (value === null || value === "") return null;
+  if (typeof value !== "string" || !COLOR_PATTERN.test(value)) {
+    throw new ErrorClass(`${field} must be a hex color like #1a73e8`, 400);
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * GET /api/marketplace/tutor/email-branding
+ */
+export const getMyEmailBranding = TryCatchFunction(async (req, res) => {
+  const { ownerType, ownerId } = getBrandingOwner(req);
+  const branding = await EmailBranding.findOne({ where: { owner_type: ownerType, owner_id: ownerId } });
+
+  res.status(200).json({
+    success: true,
+    message: "Email branding retrieved successfully",
+    data: { branding: formatBranding(branding) },
+  });
+});
+
+/**
+ * Create or update (partial). Send null to clear a field.
+ * PUT /api/marketplace/tutor/email-branding
+ * Body: { sender_name?, logo_url?, primary_color?, secondary_color?, footer_text? }
+ */
+export const updateMyEmailBranding = TryCatchFunction(async (req, res) => {
+  const { ownerType, ownerId } = getBrandingOwner(req);
+  const body = req.body || {};
+
+  const updates = {};
+  if (body.sender_name !== undefined) updates.sender_name = normalizeOptionalText(body.sender_name, "sender_name", 100);
+  if (body.logo_url !== undefined) updates.logo_url = normalizeLogoUrl(body.logo_url);
+  if (body.primary_color !== undefined) updates.primary_color = normalizeColor(body.primary_color, "primary_color");
+  if (body.secondary_color !== undefined) {
+    updates.secondary_color = normalizeColor(body.secondary_color, "secondary_color");
+  }
+  if (body.footer_text !== undefined) updates.footer_text = normalizeOptionalText(body.footer_text, "footer_text", MAX_FOOTER);
+  if (!Object.keys(updates).length) {
+    throw new ErrorClass(
+      "Provide at least one of sender_name, logo_url, primary_color, secondary_color, footer_text",
+      400
+    );
+  }
+
+  const [branding] = await EmailBranding.findOrCreate({
+    where: { owner_type: ownerType, owner_id: ownerId },
+    defaults: { owner_type: ownerType, owner_id: ownerId },
+  });
+  await branding.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Email branding updated",
+    data: { branding: formatBranding(branding) },
+  });
+});
+
+/**
+ * Go back to the platform look
+ * DELETE /api/marketplace/tutor/email-branding
+ */
+export const deleteMyEmailBranding = TryCatchFunction(async (req, res) => {
+  const { ownerType, ownerId } = getBrandingOwner(req);
+  await EmailBranding.destroy({ where: { owner_type: ownerType, owner_id: ownerId } });
+
+  res.status(200).json({
+    success: true,
+    message: "Email branding removed",
+  });
+});
+
+/**
+ * Sample email with the saved branding
+ * GET /api/marketplace/tutor/email-branding/preview?template=notification
+ */
+export const previewMyEmailBranding = TryCatchFunction(async (req, res) => {
+  const brandOwner = getBrandingOwner(req);
+  const templateKey = req.query.template || "tutor-learner-message";
+  if (!PREVIEW_TEMPLATES.includes(templateKey)) {
+    throw new ErrorClass(`template must be one of: ${PREVIEW_TEMPLATES.join(", ")}`, 400);
+  }
+
+  const branding = await getEmailBranding(brandOwner);
+  const rendered = await renderEmail(templateKey, EMAIL_TEMPLATES[templateKey].sample, {
+    branding,
+    useTutorLearnerBranding: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Email preview rendered",
+    data: { preview: { subject: rendered.subject, html: rendered.htmlBody } },
+  });
+});
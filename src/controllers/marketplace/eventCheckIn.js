@@ -6,6 +6,7 @@ import { EventTicket } from "../../models/marketplace/eventTicket.js";
 import { EventTicketTier } from "../../models/marketplace/eventTicketTier.js";
 import { getTutorInfo } from "./tutorLearnerManagement.js";
 import { assertEventOwnedByTutor } from "../../services/eventTicketService.js";
+import { emitWebhookEvent } from "../../services/webhookService.js";
 
 export const checkInLookup = TryCatchFunction(async (req, res) => {
   const { tutorId, tutorType } = getTutorInfo(req);
@@ -76,6 +77,18 @@ export const checkInTicket = TryCatchFunction(async (req, res) => {
     checked_in_by: checkerId,
   });
 
+  await emitWebhookEvent(event.owner_type, event.owner_id, "ticket.checked_in", {
+    event_id: event.id,
+    event_title: event.title,
+    ticket_id: ticket.id,
+    ticket_code: ticket.ticket_code,
+    order_id: ticket.order_id,
+    tier_id: ticket.tier_id,
+    holder_name: ticket.holder_name,
+    holder_email: ticket.holder_email,
+    checked_in_at: ticket.checked_in_at,
+  });
+
   res.status(200).json({
     success: true,
     message: "Checked in successfully",
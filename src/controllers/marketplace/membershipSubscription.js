@@ -33,6 +33,9 @@ import { TutorSubscription } from "../../models/marketplace/tutorSubscription.js
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
 import { checkProductAccess as checkAccess } from "../../services/membershipAccessService.js";
+import { recordAffiliateConversion } from "../../services/affiliateService.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import { notifyPurchaseCompleted } from "../../services/notificationService.js";
 
 /**
  * Browse memberships
@@ -686,6 +689,12 @@ export const subscribeToMembership = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("You are already subscribed to this membership", 400);
   }
 
+  // Coming back to a membership the learner had before counts as a renewal
+  const previousSubscription = await MembershipSubscription.findOne({
+    where: { membership_id: membershipId, student_id: studentId },
+    attributes: ["id"],
+  });
+
   // Get student
   const student = await Students.findByPk(studentId);
   if (!student) {
@@ -831,6 +840,46 @@ export const subscribeToMembership = TryCatchFunction(async (req, res) => {
     });
   }
 
+  const learner = webhookLearner(student);
+  if (payment) {
+    await recordAffiliateConversion(req, {
+      productType: "membership",
+      productId: parseInt(membershipId),
+      studentId,
+      amount: price,
+      currency,
+      paymentReference: payment.payment_reference,
+    });
+    const purchaseEvent = {
+      product_type: "membership",
+      product_id: membership.id,
+      product_title: membership.name,
+      learner,
+      amount: price,
+      currency,
+      payment_reference: payment.payment_reference,
+    };
+    await emitWebhookEvent(membership.tutor_type, membership.tutor_id, "purchase.completed", purchaseEvent);
+    await notifyPurchaseCompleted(membership.tutor_type, membership.tutor_id, purchaseEvent);
+  }
+  await emitWebhookEvent(
+    membership.tutor_type,
+    membership.tutor_id,
+    previousSubscription ? "membership.renewed" : "membership.subscribed",
+    {
+      membership_id: membership.id,
+      membership_name: membership.name,
+      subscription_id: subscription.id,
+      learner,
+      tier_name: subscription.tier_name,
+      pricing_type: selectedPricingType,
+      amount: price,
+      currency,
+      start_date: subscription.start_date,
+      end_date: subscription.end_date,
+    }
+  );
+
   res.status(201).json({
     status: true,
     code: 201,
@@ -879,6 +928,21 @@ export const cancelSubscription = TryCatchFunction(async (req, res) => {
   subscription.cancelled_at = new Date();
   await subscription.save();
 
+  const membership = await Membership.findByPk(membershipId, {
+    attributes: ["id", "name", "tutor_type", "tutor_id"],
+  });
+  if (membership) {
+    await emitWebhookEvent(membership.tutor_type, membership.tutor_id, "membership.cancelled", {
+      membership_id: membership.id,
+      membership_name: membership.name,
+      subscription_id: subscription.id,
+      learner: webhookLearner(await Students.findByPk(studentId)),
+      tier_name: subscription.tier_name,
+      cancelled_at: subscription.cancelled_at,
+      end_date: subscription.end_date,
+    });
+  }
+
   res.json({
     status: true,
     code: 200,
@@ -0,0 +1,219 @@
+/**
+ * Organization API (v1) Controller
+ * Handlers for /api/v1/org that have no tutor-dashboard equivalent: key info and enrollments.
+ * Learner and sales reads reuse tutorLearnerManagement / tutorEarnings directly.
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Students } from "../../models/auth/student.js";
+import { Courses } from "../../models/course/courses.js";
+import { CourseReg } from "../../models/course_reg.js";
+import { CourseProgress } from "../../models/marketplace/courseProgress.js";
+import { db } from "../../database/database.js";
+import { emitWebhookEvent, webhookLearner } from "../../services/webhookService.js";
+import {
+  getMarketplaceCourseIdsForTutor,
+  isStudentEnrolledWithTutor,
+} from "../../services/tutorLearnerEnrollmentService.js";
+
+/**
+ * The calling key and its organization
+ * GET /api/v1/org/me
+ */
+export const getApiKeyInfo = TryCatchFunction(async (req, res) => {
+  const { apiKey, tutor: organization } = req;
+
+  res.status(200).json({
+    success: true,
+    message: "API key retrieved successfully",
+    data: {
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        email: organization.email,
+      },
+      api_key: {
+        id: apiKey.id,
+        name: apiKey.name,
+        key_hint: apiKey.key_hint,
+        scopes: apiKey.scopes,
+        rate_limit_per_minute: apiKey.rate_limit_per_minute,
+        expires_at: apiKey.expires_at,
+      },
+    },
+  });
+});
+
+/**
+ * Enrollments in the organization's marketplace courses, with progress
+ * GET /api/v1/org/enrollments?course_id=&student_id=&page=1&limit=50
+ */
+export const listOrgEnrollments = TryCatchFunction(async (req, res) => {
+  const organizationId = req.tutor.id;
+  const { course_id, student_id, page = 1 } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+  let courseIds = await getMarketplaceCourseIdsForTutor(organizationId, "organization");
+  if (course_id) courseIds = courseIds.filter((id) => id === parseInt(course_id));
+
+  const where = {
+    course_id: { [Op.in]: courseIds },
+    registration_status: "marketplace_purchased",
+  };
+  if (student_id) where.student_id = parseInt(student_id);
+
+  const { count, rows } = courseIds.length
+    ? await CourseReg.findAndCountAll({
+        where,
+        include: [
+          { model: Students, as: "student", attributes: ["id", "fname", "lname", "email"] },
+          { model: Courses, as: "course", attributes: ["id", "title", "course_code"] },
+        ],
+        limit,
+        offset: (parseInt(page) - 1) * limit,
+        order: [["id", "DESC"]],
+      })
+    : { count: 0, rows: [] };
+
+  const progress = rows.length
+    ? await CourseProgress.findAll({
+        where: {
+          [Op.or]: rows.map((r) => ({ student_id: r.student_id, course_id: r.course_id })),
+        },
+        attributes: ["student_id", "course_id", "completion_percentage", "is_completed", "completed_at"],
+        raw: true,
+      })
+    : [];
+  const progressByKey = new Map(progress.map((p) => [`${p.student_id}:${p.course_id}`, p]));
+
+  res.status(200).json({
+    success: true,
+    message: "Enrollments retrieved successfully",
+    data: {
+      enrollments: rows.map((reg) => {
+        const p = progressByKey.get(`${reg.student_id}:${reg.course_id}`);
+        return {
+          id: reg.id,
+          learner: webhookLearner(reg.student),
+          course: reg.course
+            ? { id: reg.course.id, title: reg.course.title, course_code: reg.course.course_code }
+            : { id: reg.course_id },
+          enrolled_on: reg.date,
+          progress: {
+            completion_percentage: p ? parseFloat(p.completion_percentage) || 0 : 0,
+            is_completed: p?.is_completed || false,
+            completed_at: p?.completed_at || null,
+          },
+        };
+      }),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit,
+        totalPages: Math.ceil(count / limit),
+      },
+    },
+  });
+});
+
+/**
+ * Enroll one of the organization's existing learners in another of its courses (no payment)
+ * Only learners who already have an enrollment or purchase with the organization can be
+ * enrolled, so a key cannot enroll (or look up) arbitrary platform learners.
+ * POST /api/v1/org/enrollments
+ * Body: { course_id, student_id } or { course_id, email }
+ */
+export const createOrgEnrollment = TryCatchFunction(async (req, res) => {
+  const organizationId = req.tutor.id;
+  const { course_id, student_id, email } = req.body;
+
+  if (!course_id || (!student_id && !email)) {
+    throw new ErrorClass("course_id and either student_id or email are required", 400);
+  }
+
+  const course = await Courses.findOne({
+    where: {
+      id: parseInt(course_id),
+      owner_id: organizationId,
+      owner_type: "organization",
+      is_marketplace: true,
+    },
+  });
+  if (!course) {
+    throw new ErrorClass("Course not found", 404);
+  }
+
+  const enrolledAt = new Date();
+  const { student, enrollment, created } = await db.transaction(async (transaction) => {
+    // Locking the learner serializes concurrent enrollments of the same learner
+    const where = student_id
+      ? { id: parseInt(student_id) }
+      : { email: String(email).trim().toLowerCase() };
+    const student = await Students.findOne({
+      where,
+      attributes: ["id", "fname", "lname", "email"],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    // Same answer for unknown learners and other organizations' learners
+    if (!student || !(await isStudentEnrolledWithTutor(organizationId, "organization", student.id))) {
+      throw new ErrorClass(
+        "Learner not found. Only learners already enrolled with your organization can be enrolled.",
+        404
+      );
+    }
+
+    const existing = await CourseReg.findOne({
+      where: { student_id: student.id, course_id: course.id },
+      transaction,
+    });
+    if (existing) return { student, enrollment: existing, created: false };
+
+    const enrollment = await CourseReg.create(
+      {
+        student_id: student.id,
+        course_id: course.id,
+        academic_year: null,
+        semester: null,
+        date: enrolledAt.toISOString().split("T")[0],
+        registration_status: "marketplace_purchased",
+        course_reg_id: null,
+        program_id: null,
+        facaulty_id: null,
+        level: null,
+        first_ca: 0,
+        second_ca: 0,
+        third_ca: 0,
+        exam_score: 0,
+      },
+      { transaction }
+    );
+    return { student, enrollment, created: true };
+  });
+
+  if (created) {
+    await emitWebhookEvent("organization", organizationId, "enrollment.created", {
+      course_id: course.id,
+      course_title: course.title,
+      learner: webhookLearner(student),
+      source: "api",
+      enrolled_at: enrolledAt.toISOString(),
+    });
+  }
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? "Learner enrolled successfully" : "Learner is already enrolled in this course",
+    data: {
+      enrollment: {
+        id: enrollment.id,
+        learner: webhookLearner(student),
+        course: { id: course.id, title: course.title, course_code: course.course_code },
+        enrolled_on: enrollment.date,
+        already_enrolled: !created,
+      },
+    },
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Organization API Keys Controller
+ * Organizations (and their admin users) issue, list and revoke keys for the /api/v1/org API
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { OrgApiKey } from "../../models/marketplace/orgApiKey.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  API_KEY_SCOPES,
+  generateRawOrgApiKey,
+  hashApiKey,
+} from "../../utils/orgApiKey.js";
+
+const MAX_ACTIVE_KEYS = 20;
+
+/**
+ * Keys can be managed by the organization account or an organization admin user
+ * @returns {{ organizationId: number, actorType: string, actorId: number }}
+ */
+function getKeyManager(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  if (tutorType !== "organization") {
+    throw new ErrorClass("API keys are available to organizations only", 403);
+  }
+  if (req.user.userType === "organization_user" && req.tutor.role !== "admin") {
+    throw new ErrorClass("Only organization admins can manage API keys", 403);
+  }
+  return { organizationId: tutorId, actorType: req.user.userType, actorId: req.user.id };
+}
+
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ErrorClass("scopes must be a non-empty array", 400);
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES[scope]);
+  if (unknown.length) {
+    throw new ErrorClass(
+      `Unknown scopes: ${unknown.join(", ")}. Allowed: ${Object.keys(API_KEY_SCOPES).join(", ")}`,
+      400
+    );
+  }
+  return [...new Set(scopes)];
+}
+
+function normalizeRateLimit(value) {
+  if (value === undefined || value === null) return 60;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 600) {
+    throw new ErrorClass("rate_limit_per_minute must be a whole number between 1 and 600", 400);
+  }
+  return limit;
+}
+
+export function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    key_hint: apiKey.key_hint,
+    scopes: apiKey.scopes,
+    rate_limit_per_minute: apiKey.rate_limit_per_minute,
+    status: apiKey.status,
+    expires_at: apiKey.expires_at,
+    last_used_at: apiKey.last_used_at,
+    last_used_ip: apiKey.last_used_ip,
+    usage_count: apiKey.usage_count,
+    created_at: apiKey.created_at,
+    revoked_at: apiKey.revoked_at,
+  };
+}
+
+/**
+ * Scopes that can be granted
+ * GET /api/marketplace/tutor/api-keys/scopes
+ */
+export const listApiKeyScopes = TryCatchFunction(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "API key scopes retrieved successfully",
+    data: {
+      scopes: Object.entries(API_KEY_SCOPES).map(([name, description]) => ({ name, description })),
+    },
+  });
+});
+
+/**
+ * Issue a key. The full key is only returned here.
+ * POST /api/marketplace/tutor/api-keys
+ * Body: { name, scopes: ["learners:read", ...], rate_limit_per_minute?, expires_in_days? }
+ */
+export const createApiKey = TryCatchFunction(async (req, res) => {
+  const { organizationId, actorType, actorId } = getKeyManager(req);
+  const { name, scopes, rate_limit_per_minute, expires_in_days } = req.body;
+
+  if (!name || !String(name).trim()) {
+    throw new ErrorClass("name is required", 400);
+  }
+
+  let expiresAt = null;
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const days = Number(expires_in_days);
+    if (!Number.isInteger(days) || days < 1 || days > 730) {
+      throw new ErrorClass("expires_in_days must be a whole number between 1 and 730", 400);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const activeCount = await OrgApiKey.count({
+    where: { organization_id: organizationId, status: "active" },
+  });
+  if (activeCount >= MAX_ACTIVE_KEYS) {
+    throw new ErrorClass(`An organization can have at most ${MAX_ACTIVE_KEYS} active API keys`, 400);
+  }
+
+  const rawKey = generateRawOrgApiKey();
+  const apiKey = await OrgApiKey.create({
+    organization_id: organizationId,
+    name: String(name).trim().slice(0, 100),
+    key_hash: hashApiKey(rawKey),
+    key_hint: rawKey.slice(-4),
+    scopes: normalizeScopes(scopes),
+    rate_limit_per_minute: normalizeRateLimit(rate_limit_per_minute),
+    expires_at: expiresAt,
+    created_by_type: actorType,
+    created_by_id: actorId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now; it will not be shown again.",
+    data: { key: rawKey, api_key: formatApiKey(apiKey) },
+  });
+});
+
+/**
+ * GET /api/marketplace/tutor/api-keys?status=active
+ */
+export const listApiKeys = TryCatchFunction(async (req, res) => {
+  const { organizationId } = getKeyManager(req);
+  const where = { organization_id: organizationId };
+  if (req.query.status) where.status = req.query.status;
+
+  const apiKeys = await OrgApiKey.findAll({ where, order: [["created_at", "DESC"]] });
+
+  res.status(200).json({
+    success: true,
+    message: "API keys retrieved successfully",
+    data: { api_keys: apiKeys.map(formatApiKey) },
+  });
+});
+
+async function findOwnedKey(req, organizationId) {
+  const apiKey = await OrgApiKey.findOne({
+    where: { id: req.params.id, organization_id: organizationId },
+  });
+  if (!apiKey) {
+    throw new ErrorClass("API key not found", 404);
+  }
+  return apiKey;
+}
+
+/**
+ * Rename, change scopes or the rate limit of an active key
+ * PUT /api/marketplace/tutor/api-keys/:id
+ */
+export const updateApiKey = TryCatchFunction(async (req, res) => {
+  const { organizationId } = getKeyManager(req);
+  const apiKey = await findOwnedKey(req, organizationId);
+  if (apiKey.status !== "active") {
+    throw new ErrorClass("Revoked keys cannot be changed", 400);
+  }
+
+  const { name, scopes, rate_limit_per_minute } = req.body;
+  const updates = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new ErrorClass("name cannot be empty", 400);
+    updates.name = String(name).trim().slice(0, 100);
+  }
+  if (scopes !== undefined) updates.scopes = normalizeScopes(scopes);
+  if (rate_limit_per_minute !== undefined) {
+    updates.rate_limit_per_minute = normalizeRateLimit(rate_limit_per_minute);
+  }
+
+  await apiKey.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "API key updated successfully",
+    data: { api_key: formatApiKey(apiKey) },
+  });
+});
+
+/**
+ * Revoke a key (takes effect on the next request)
+ * POST /api/marketplace/tutor/api-keys/:id/revoke
+ */
+export const revokeApiKey = TryCatchFunction(async (req, res) => {
+  const { organizationId, actorType, actorId } = getKeyManager(req);
+  const apiKey = await findOwnedKey(req, organizationId);
+  if (apiKey.status === "revoked") {
+    throw new ErrorClass("API key is already revoked", 400);
+  }
+
+  await apiKey.update({
+    status: "revoked",
+    revoked_at: new Date(),
+    revoked_by_type: actorType,
+    revoked_by_id: actorId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked",
+    data: { api_key: formatApiKey(apiKey) },
+  });
+});
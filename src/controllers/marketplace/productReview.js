@@ -13,8 +13,16 @@ import { EBookPurchase } from "../../models/marketplace/ebookPurchase.js";
 import { DigitalDownloadPurchase } from "../../models/marketplace/digitalDownloadPurchase.js";
 import { CommunityPurchase } from "../../models/marketplace/communityPurchase.js";
 import { MembershipSubscription } from "../../models/marketplace/membershipSubscription.js";
+import { ReviewReport } from "../../models/marketplace/reviewReport.js";
 import { Op } from "sequelize";
 import { db } from "../../database/database.js";
+import { getProductReviewStats } from "../../services/productReviewService.js";
+import {
+  REPORT_HOLD_THRESHOLD,
+  screenReviewContent,
+  parseAbuseReasons,
+  formatTutorReply,
+} from "../../services/reviewModerationService.js";
 
 /**
  * Check if student has purchased/accessed the product
@@ -110,6 +118,9 @@ export const createReview = TryCatchFunction(async (req, res) => {
   // Check if student has purchased the product (for verified purchase badge)
   const hasPurchased = await checkProductPurchase(studentId, product_type, parseInt(product_id));
 
+  // Suspicious reviews are held for moderation; the rest are published straight away
+  const moderationFlags = screenReviewContent({ title, comment });
+
   // Create review
   const review = await ProductReview.create({
     student_id: studentId,
@@ -119,7 +130,8 @@ export const createReview = TryCatchFunction(async (req, res) => {
     title: title ? title.trim() : null,
     comment: comment ? comment.trim() : null,
     is_verified_purchase: hasPurchased,
-    status: "approved", // Auto-approve for now (can add moderation later)
+    status: moderationFlags.length ? "pending" : "approved",
+    moderation_flags: moderationFlags.length ? moderationFlags : null,
   });
 
   // Get student info for response
@@ -129,7 +141,10 @@ export const createReview = TryCatchFunction(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: "Review created successfully",
+    message:
+      review.status === "approved"
+        ? "Review created successfully"
+        : "Review submitted and will be published after moderation",
     data: {
       review: {
         id: review.id,
@@ -140,6 +155,7 @@ export const createReview = TryCatchFunction(async (req, res) => {
         comment: review.comment,
         helpful_count: review.helpful_count,
         is_verified_purchase: review.is_verified_purchase,
+        status: review.status,
         created_at: review.created_at,
         student: {
           id: student.id,
@@ -226,30 +242,8 @@ export const getProductReviews = TryCatchFunction(async (req, res) => {
     }, {});
   }
 
-  // Calculate review statistics
-  const stats = await ProductReview.findAll({
-    where,
-    attributes: [
-      [db.fn("COUNT", db.col("id")), "total_reviews"],
-      [db.fn("AVG", db.col("rating")), "average_rating"],
-      [db.fn("COUNT", db.literal("CASE WHEN rating = 5 THEN 1 END")), "five_star"],
-      [db.fn("COUNT", db.literal("CASE WHEN rating = 4 THEN 1 END")), "four_star"],
-      [db.fn("COUNT", db.literal("CASE WHEN rating = 3 THEN 1 END")), "three_star"],
-      [db.fn("COUNT", db.literal("CASE WHEN rating = 2 THEN 1 END")), "two_star"],
-      [db.fn("COUNT", db.literal("CASE WHEN rating = 1 THEN 1 END")), "one_star"],
-    ],
-    raw: true,
-  });
-
-  const statistics = stats[0] || {
-    total_reviews: 0,
-    average_rating: 0,
-    five_star: 0,
-    four_star: 0,
-    three_star: 0,
-    two_star: 0,
-    one_star: 0,
-  };
+  // Calculate review statistics (approved reviews only)
+  const statistics = await getProductReviewStats(product_type, parseInt(product_id));
 
   res.status(200).json({
     success: true,
@@ -270,6 +264,7 @@ export const getProductReviews = TryCatchFunction(async (req, res) => {
               profile_image: review.student.profile_image,
             }
           : null,
+        tutor_reply: formatTutorReply(review),
         user_voted_helpful: userVotes[review.id] === true,
         user_voted_not_helpful: userVotes[review.id] === false,
       })),
@@ -279,17 +274,7 @@ export const getProductReviews = TryCatchFunction(async (req, res) => {
         limit: parseInt(limit),
         totalPages: Math.ceil(count / parseInt(limit)),
       },
-      statistics: {
-        total_reviews: parseInt(statistics.total_reviews || 0),
-        average_rating: parseFloat(statistics.average_rating || 0).toFixed(1),
-        rating_distribution: {
-          five_star: parseInt(statistics.five_star || 0),
-          four_star: parseInt(statistics.four_star || 0),
-          three_star: parseInt(statistics.three_star || 0),
-          two_star: parseInt(statistics.two_star || 0),
-          one_star: parseInt(statistics.one_star || 0),
-        },
-      },
+      statistics,
     },
   });
 });
@@ -305,7 +290,7 @@ export const markReviewHelpful = TryCatchFunction(async (req, res) => {
 
   // Find review
   const review = await ProductReview.findByPk(id);
-  if (!review) {
+  if (!review || review.status !== "approved") {
     throw new ErrorClass("Review not found", 404);
   }
 
@@ -420,9 +405,77 @@ export const getMyReview = TryCatchFunction(async (req, res) => {
         comment: review.comment,
         helpful_count: review.helpful_count,
         is_verified_purchase: review.is_verified_purchase,
+        status: review.status,
+        tutor_reply: formatTutorReply(review),
         created_at: review.created_at,
         updated_at: review.updated_at,
       },
     },
   });
 });
+
+/**
+ * Report a review (spam, abuse, etc.)
+ * POST /api/marketplace/reviews/:id/report
+ * Body: { reason, details? }
+ */
+export const reportReview = TryCatchFunction(async (req, res) => {
+  const studentId = req.user.id;
+  const { id } = req.params;
+  const { details } = req.body || {};
+  const [reason] = parseAbuseReasons(req.body?.reason);
+
+  const review = await ProductReview.findByPk(id);
+  if (!review || review.status !== "approved") {
+    throw new ErrorClass("Review not found", 404);
+  }
+  if (review.student_id === studentId) {
+    throw new ErrorClass("You cannot report your own review", 400);
+  }
+
+  const existingReport = await ReviewReport.findOne({
+    where: { review_id: review.id, student_id: studentId },
+  });
+  if (existingReport) {
+    throw new ErrorClass("You have already reported this review", 400);
+  }
+
+  const transaction = await db.transaction();
+
+  try {
+    await ReviewReport.create(
+      {
+        review_id: review.id,
+        student_id: studentId,
+        reason,
+        details: details ? String(details).trim().slice(0, 1000) : null,
+      },
+      { transaction }
+    );
+    await review.increment("report_count", { transaction });
+
+    // Enough open reports take the review down until an admin looks at it
+    const openReports = await ReviewReport.count({
+      where: { review_id: review.id, status: "open" },
+      transaction,
+    });
+    if (openReports >= REPORT_HOLD_THRESHOLD) {
+      const flags = new Set([...(review.moderation_flags || []), "reported"]);
+      await review.update({ status: "pending", moderation_flags: [...flags] }, { transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Thank you. The review has been reported for moderation",
+    data: {
+      review_id: review.id,
+      reason,
+    },
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Refund Request Controller
+ * Learners request refunds for marketplace purchases; tutors approve or reject
+ * requests for their own products (event tickets are decided by the event refund policy)
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { RefundRequest } from "../../models/marketplace/refundRequest.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  createRefundRequest,
+  rejectRefundRequest,
+  processRefund,
+  formatRefundRequest,
+} from "../../services/refundService.js";
+
+async function findTutorRefundRequest(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const request = await RefundRequest.findOne({
+    where: { id: req.params.id, owner_type: tutorType, owner_id: tutorId },
+  });
+  if (!request) {
+    throw new ErrorClass("Refund request not found", 404);
+  }
+  return { request, tutorId };
+}
+
+/**
+ * Request a refund
+ * POST /api/marketplace/refunds
+ * Body: { product_type, product_id, order_id (event tickets), reason }
+ */
+export const requestRefund = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can request refunds", 403);
+  }
+
+  const { product_type, product_id, order_id, reason } = req.body;
+
+  const request = await createRefundRequest({
+    studentId: req.user.id,
+    productType: product_type,
+    productId: product_id,
+    orderId: order_id,
+    reason,
+  });
+
+  const messages = {
+    requested: "Refund request submitted",
+    processed: "Refund processed",
+    rejected: "Refund request rejected under the event refund policy",
+    failed: "Refund approved but could not be completed. Support will follow up.",
+  };
+
+  res.status(201).json({
+    success: true,
+    message: messages[request.status] || "Refund request submitted",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
+
+/**
+ * List my refund requests
+ * GET /api/marketplace/refunds/my-refunds
+ */
+export const getMyRefundRequests = TryCatchFunction(async (req, res) => {
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can view refund requests", 403);
+  }
+
+  const refunds = await RefundRequest.findAll({
+    where: { student_id: req.user.id },
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Refund requests retrieved successfully",
+    data: { refunds: refunds.map(formatRefundRequest) },
+  });
+});
+
+/**
+ * Refund requests for the tutor's products
+ * GET /api/marketplace/tutor/refunds
+ */
+export const getTutorRefundRequests = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { status, product_type, page = 1, limit = 20 } = req.query;
+
+  const where = { owner_type: tutorType, owner_id: tutorId };
+  if (status) where.status = status;
+  if (product_type) where.product_type = product_type;
+
+  const { count, rows } = await RefundRequest.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Refund requests retrieved successfully",
+    data: {
+      refunds: rows.map(formatRefundRequest),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Approve a refund request (money moves immediately)
+ * POST /api/marketplace/tutor/refunds/:id/approve
+ */
+export const approveTutorRefundRequest = TryCatchFunction(async (req, res) => {
+  const { request, tutorId } = await findTutorRefundRequest(req);
+
+  if (request.status !== "requested") {
+    throw new ErrorClass(`Refund request is already ${request.status}`, 400);
+  }
+
+  await processRefund(request, {
+    actorType: "tutor",
+    actorId: tutorId,
+    note: req.body?.note,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Refund approved and processed",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
+
+/**
+ * Reject a refund request
+ * POST /api/marketplace/tutor/refunds/:id/reject
+ */
+export const rejectTutorRefundRequest = TryCatchFunction(async (req, res) => {
+  const { request, tutorId } = await findTutorRefundRequest(req);
+  const { note } = req.body || {};
+
+  if (!note || !String(note).trim()) {
+    throw new ErrorClass("A note explaining the rejection is required", 400);
+  }
+
+  await rejectRefundRequest(request, { actorType: "tutor", actorId: tutorId, note });
+
+  res.status(200).json({
+    success: true,
+    message: "Refund request rejected",
+    data: { refund: formatRefundRequest(request) },
+  });
+});
@@ -11,6 +11,7 @@ import { EBooks } from "../../models/marketplace/ebooks.js";
 import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
 import { Community } from "../../models/marketplace/community.js";
 import { Membership } from "../../models/marketplace/membership.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
 import { generateSlug, generateUniqueSlug } from "../../utils/slugGenerator.js";
 import { Op } from "sequelize";
 import multer from "multer";
@@ -154,6 +155,16 @@ export async function verifyProductOwnership(productType, productId, tutorId, tu
       });
       return !!membership;
 
+    case "bundle":
+      const bundle = await ProductBundle.findOne({
+        where: {
+          id: productId,
+          owner_type: ownerType,
+          owner_id: ownerId,
+        },
+      });
+      return !!bundle;
+
     default:
       return false;
   }
@@ -191,7 +202,7 @@ export const createSalesPage = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("product_type, product_id, and title are required", 400);
   }
 
-  if (!["course", "ebook", "digital_download", "community", "membership"].includes(product_type)) {
+  if (!["course", "ebook", "digital_download", "community", "membership", "bundle"].includes(product_type)) {
     throw new ErrorClass("Invalid product_type", 400);
   }
 
@@ -10,9 +10,11 @@ import { EBooks } from "../../models/marketplace/ebooks.js";
 import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
 import { Community } from "../../models/marketplace/community.js";
 import { Membership } from "../../models/marketplace/membership.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
 import { getProductReviewStats } from "../../services/productReviewService.js";
+import { loadBundleProducts } from "../../services/bundleService.js";
 import { Op } from "sequelize";
 
 /**
@@ -37,7 +39,7 @@ export const browseStoreProducts = TryCatchFunction(async (req, res) => {
   // Determine which product types to fetch
   const productTypes = product_type
     ? [product_type]
-    : ["course", "ebook", "digital_download", "community", "membership"];
+    : ["course", "ebook", "digital_download", "community", "membership", "bundle"];
 
   // Fetch products from each type
   for (const type of productTypes) {
@@ -194,6 +196,29 @@ export const browseStoreProducts = TryCatchFunction(async (req, res) => {
           ],
         }));
         break;
+
+      case "bundle":
+        where.status = "published";
+        ({ count, rows: products } = await ProductBundle.findAndCountAll({
+          where,
+          limit: parseInt(limit),
+          offset,
+          order: getSortOrder(sort, "product_bundles"),
+          attributes: [
+            "id",
+            "title",
+            "description",
+            "price",
+            "price_usd",
+            "currency",
+            "image_url",
+            "category",
+            "slug",
+            "owner_type",
+            "owner_id",
+          ],
+        }));
+        break;
     }
 
     // Format products and get tutor info
@@ -214,8 +239,8 @@ export const browseStoreProducts = TryCatchFunction(async (req, res) => {
         }
       }
 
-      // Get review stats
-      const reviewStats = await getProductReviewStats(type, product.id);
+      // Get review stats (bundles are reviewed through their products)
+      const reviewStats = type === "bundle" ? null : await getProductReviewStats(type, product.id);
 
       const productData = {
         id: product.id,
@@ -253,6 +278,8 @@ export const browseStoreProducts = TryCatchFunction(async (req, res) => {
         productData.member_count = product.member_count;
       } else if (type === "membership") {
         productData.pricing_type = product.pricing_type;
+      } else if (type === "bundle") {
+        productData.price_usd = product.price_usd ? parseFloat(product.price_usd) : null;
       }
 
       allProducts.push(productData);
@@ -303,7 +330,7 @@ function getSortOrder(sort, tableName) {
     case "price_high":
       return [["price", "DESC"]];
     case "popular":
-      if (tableName === "digital_downloads" || tableName === "ebooks") {
+      if (tableName === "digital_downloads" || tableName === "ebooks" || tableName === "product_bundles") {
         return [["sales_count", "DESC"]];
       }
       return [["id", "DESC"]];
@@ -320,7 +347,7 @@ function getSortOrder(sort, tableName) {
 export const getStoreProduct = TryCatchFunction(async (req, res) => {
   const { type, id } = req.params;
 
-  if (!["course", "ebook", "digital_download", "community", "membership"].includes(type)) {
+  if (!["course", "ebook", "digital_download", "community", "membership", "bundle"].includes(type)) {
     throw new ErrorClass("Invalid product type", 400);
   }
 
@@ -452,6 +479,28 @@ export const getStoreProduct = TryCatchFunction(async (req, res) => {
         ],
       });
       break;
+
+    case "bundle":
+      product = await ProductBundle.findOne({
+        where: {
+          id: parseInt(id),
+          status: "published",
+        },
+        attributes: [
+          "id",
+          "title",
+          "description",
+          "price",
+          "price_usd",
+          "currency",
+          "image_url",
+          "category",
+          "slug",
+          "owner_type",
+          "owner_id",
+        ],
+      });
+      break;
   }
 
   if (!product) {
@@ -474,8 +523,8 @@ export const getStoreProduct = TryCatchFunction(async (req, res) => {
     }
   }
 
-  // Get review stats
-  const reviewStats = await getProductReviewStats(type, product.id);
+  // Get review stats (bundles are reviewed through their products)
+  const reviewStats = type === "bundle" ? null : await getProductReviewStats(type, product.id);
 
   // Format product data
   const productData = {
@@ -526,6 +575,16 @@ export const getStoreProduct = TryCatchFunction(async (req, res) => {
     productData.trial_days = product.trial_days;
   } else if (type === "membership") {
     productData.pricing_type = product.pricing_type;
+  } else if (type === "bundle") {
+    productData.price_usd = product.price_usd ? parseFloat(product.price_usd) : null;
+    productData.products = (await loadBundleProducts(product.id)).map((p) => ({
+      product_type: p.product_type,
+      product_id: p.product_id,
+      title: p.title,
+      price: p.price,
+      currency: p.currency,
+      image_url: p.image_url,
+    }));
   }
 
   res.status(200).json({
@@ -12,9 +12,12 @@ import { EBooks } from "../../models/marketplace/ebooks.js";
 import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
 import { Community } from "../../models/marketplace/community.js";
 import { Membership } from "../../models/marketplace/membership.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
 import { Op } from "sequelize";
 import { db } from "../../database/database.js";
 import crypto from "crypto";
+import { applyCouponToCartItems } from "../../services/couponService.js";
+import { loadBundleProducts } from "../../services/bundleService.js";
 
 /**
  * Generate unique session ID for guest carts
@@ -76,7 +79,7 @@ async function getOrCreateCart(userId = null, sessionId = null) {
 /**
  * Get product details by type and ID
  */
-async function getProductDetails(productType, productId) {
+export async function getProductDetails(productType, productId) {
   switch (productType) {
     case "course":
       const course = await Courses.findOne({
@@ -170,6 +173,24 @@ async function getProductDetails(productType, productId) {
         description: membership.description,
       };
 
+    case "bundle":
+      const bundle = await ProductBundle.findOne({
+        where: {
+          id: productId,
+          status: "published",
+        },
+        attributes: ["id", "title", "price", "currency", "image_url", "description"],
+      });
+      if (!bundle) return null;
+      return {
+        id: bundle.id,
+        title: bundle.title,
+        price: parseFloat(bundle.price || 0),
+        currency: bundle.currency || "NGN",
+        image_url: bundle.image_url,
+        description: bundle.description,
+      };
+
     default:
       return null;
   }
@@ -200,7 +221,7 @@ export const addToCart = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("product_type and product_id are required", 400);
   }
 
-  if (!["course", "ebook", "digital_download", "community", "membership"].includes(product_type)) {
+  if (!["course", "ebook", "digital_download", "community", "membership", "bundle"].includes(product_type)) {
     throw new ErrorClass("Invalid product_type", 400);
   }
 
@@ -226,10 +247,10 @@ export const addToCart = TryCatchFunction(async (req, res) => {
 
   try {
     if (existingItem) {
-      // Update quantity
+      // Update quantity (a bundle is always a single line item)
       await existingItem.update(
         {
-          quantity: existingItem.quantity + parseInt(quantity),
+          quantity: product_type === "bundle" ? 1 : existingItem.quantity + parseInt(quantity),
           price: product.price, // Update price in case it changed
         },
         { transaction }
@@ -241,7 +262,7 @@ export const addToCart = TryCatchFunction(async (req, res) => {
           cart_id: cart.id,
           product_type,
           product_id: parseInt(product_id),
-          quantity: parseInt(quantity),
+          quantity: product_type === "bundle" ? 1 : parseInt(quantity),
           price: product.price,
           currency: product.currency,
         },
@@ -350,7 +371,7 @@ export const getCart = TryCatchFunction(async (req, res) => {
       const itemTotal = parseFloat(item.price) * item.quantity;
       total += itemTotal;
 
-      items.push({
+      const cartItem = {
         id: item.id,
         product_type: item.product_type,
         product_id: item.product_id,
@@ -360,10 +381,44 @@ export const getCart = TryCatchFunction(async (req, res) => {
         quantity: item.quantity,
         subtotal: itemTotal,
         image_url: product.image_url,
-      });
+      };
+
+      // Bundles show what they include but are priced as one line
+      if (item.product_type === "bundle") {
+        cartItem.bundle_products = (await loadBundleProducts(item.product_id)).map((p) => ({
+          product_type: p.product_type,
+          product_id: p.product_id,
+          title: p.title,
+        }));
+      }
+
+      items.push(cartItem);
     }
   }
 
+  // Re-validate any coupon on every read (dates, caps and prices can change)
+  let coupon = null;
+  let totalDiscount = 0;
+  if (cart.coupon_code) {
+    const applied = await applyCouponToCartItems(
+      cart.coupon_code,
+      userId,
+      items
+    );
+    applied.discounts.forEach((discount, index) => {
+      items[index].discount_amount = discount;
+    });
+    totalDiscount = applied.total_discount;
+    coupon = {
+      code: cart.coupon_code,
+      valid: applied.valid,
+      message: applied.message,
+      discount_type: applied.coupon?.discount_type || null,
+      discount_value: applied.coupon ? parseFloat(applied.coupon.discount_value) : null,
+      total_discount: totalDiscount,
+    };
+  }
+
   res.status(200).json({
     success: true,
     message: "Cart retrieved successfully",
@@ -371,15 +426,112 @@ export const getCart = TryCatchFunction(async (req, res) => {
       cart: {
         id: cart.id,
         items,
-        total: parseFloat(total.toFixed(2)),
+        subtotal: parseFloat(total.toFixed(2)),
+        discount: parseFloat(totalDiscount.toFixed(2)),
+        total: parseFloat((total - totalDiscount).toFixed(2)),
         item_count: items.length,
         expires_at: cart.expires_at,
+        coupon,
       },
       session_id: cart.session_id,
     },
   });
 });
 
+/**
+ * Apply coupon code to cart
+ * POST /api/marketplace/store/cart/coupon
+ * Body: { code }
+ */
+export const applyCartCoupon = TryCatchFunction(async (req, res) => {
+  const userId = req.user?.id || null;
+  const sessionId = req.headers["x-session-id"] || req.body.session_id;
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ErrorClass("Coupon code is required", 400);
+  }
+
+  if (!userId && !sessionId) {
+    throw new ErrorClass("Cart not found", 404);
+  }
+
+  const cart = await StoreCart.findOne({
+    where: {
+      ...(userId ? { user_id: userId } : { session_id: sessionId }),
+      status: "active",
+    },
+    include: [
+      {
+        model: StoreCartItem,
+        as: "items",
+      },
+    ],
+  });
+
+  if (!cart || cart.items.length === 0) {
+    throw new ErrorClass("Cart is empty", 400);
+  }
+
+  const applied = await applyCouponToCartItems(
+    code,
+    userId,
+    cart.items.map((item) => ({
+      product_type: item.product_type,
+      product_id: item.product_id,
+      price: parseFloat(item.price),
+      currency: item.currency,
+      quantity: item.quantity,
+    }))
+  );
+
+  if (!applied.valid) {
+    throw new ErrorClass(applied.message, 400);
+  }
+
+  await cart.update({ coupon_code: applied.coupon.code });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon applied to cart",
+    data: {
+      code: applied.coupon.code,
+      total_discount: applied.total_discount,
+    },
+  });
+});
+
+/**
+ * Remove coupon from cart
+ * DELETE /api/marketplace/store/cart/coupon
+ */
+export const removeCartCoupon = TryCatchFunction(async (req, res) => {
+  const userId = req.user?.id || null;
+  const sessionId = req.headers["x-session-id"] || req.query.session_id;
+
+  if (!userId && !sessionId) {
+    throw new ErrorClass("Cart not found", 404);
+  }
+
+  const cart = await StoreCart.findOne({
+    where: {
+      ...(userId ? { user_id: userId } : { session_id: sessionId }),
+      status: "active",
+    },
+  });
+
+  if (!cart) {
+    throw new ErrorClass("Cart not found", 404);
+  }
+
+  await cart.update({ coupon_code: null });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon removed from cart",
+  });
+});
+
 /**
  * Remove item from cart
  * DELETE /api/marketplace/store/cart/item/:id
@@ -463,6 +615,10 @@ export const updateCartItem = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("Item not found in cart", 404);
   }
 
+  if (item.product_type === "bundle" && parseInt(quantity) !== 1) {
+    throw new ErrorClass("A bundle can only be bought once per cart", 400);
+  }
+
   await item.update({ quantity: parseInt(quantity) });
 
   res.status(200).json({
@@ -575,10 +731,13 @@ export const mergeCart = TryCatchFunction(async (req, res) => {
       });
 
       if (existingItem) {
-        // Update quantity if item already exists
+        // Update quantity if item already exists (a bundle stays a single line item)
         await existingItem.update(
           {
-            quantity: existingItem.quantity + guestItem.quantity,
+            quantity:
+              guestItem.product_type === "bundle"
+                ? 1
+                : existingItem.quantity + guestItem.quantity,
           },
           { transaction }
         );
@@ -598,6 +757,11 @@ export const mergeCart = TryCatchFunction(async (req, res) => {
       }
     }
 
+    // Carry a guest coupon over unless the user cart already has one
+    if (guestCart.coupon_code && !userCart.coupon_code) {
+      await userCart.update({ coupon_code: guestCart.coupon_code }, { transaction });
+    }
+
     // Mark guest cart as converted
     await guestCart.update({ status: "converted" }, { transaction });
 
@@ -7,6 +7,7 @@ import { TryCatchFunction } from "../../utils/tryCatch/index.js";
 import { ErrorClass } from "../../utils/errorClass/index.js";
 import { StoreCart } from "../../models/marketplace/storeCart.js";
 import { StoreCartItem } from "../../models/marketplace/storeCartItem.js";
+import { db } from "../../database/database.js";
 
 /**
  * Initiate checkout
@@ -61,6 +62,7 @@ export const initiateCheckout = TryCatchFunction(async (req, res) => {
       data: {
         cart_id: userCart.id,
         items_count: userCart.items.length,
+        coupon_code: userCart.coupon_code,
         checkout_url: `/api/marketplace/store/checkout/process`,
       },
     });
@@ -114,7 +116,10 @@ export const initiateCheckout = TryCatchFunction(async (req, res) => {
       if (existingItem) {
         await existingItem.update(
           {
-            quantity: existingItem.quantity + guestItem.quantity,
+            quantity:
+              guestItem.product_type === "bundle"
+                ? 1
+                : existingItem.quantity + guestItem.quantity,
           },
           { transaction }
         );
@@ -133,6 +138,10 @@ export const initiateCheckout = TryCatchFunction(async (req, res) => {
       }
     }
 
+    if (guestCart.coupon_code && !userCart.coupon_code) {
+      await userCart.update({ coupon_code: guestCart.coupon_code }, { transaction });
+    }
+
     await guestCart.update({ status: "converted" }, { transaction });
     await transaction.commit();
   } catch (error) {
@@ -147,6 +156,7 @@ export const initiateCheckout = TryCatchFunction(async (req, res) => {
     data: {
       cart_id: userCart.id,
       items_count: guestCart.items.length,
+      coupon_code: userCart.coupon_code,
       checkout_url: `/api/marketplace/store/checkout/process`,
     },
   });
@@ -0,0 +1,262 @@
+/**
+ * Tutor Affiliate Program Controller
+ * Tutors/organizations enable affiliates on their products, manage affiliate links and
+ * see clicks, conversions and commission owed
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { db } from "../../database/database.js";
+import { AffiliateProgram } from "../../models/marketplace/affiliateProgram.js";
+import { AffiliateLink } from "../../models/marketplace/affiliateLink.js";
+import { AffiliateReferral } from "../../models/marketplace/affiliateReferral.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  AFFILIATE_PRODUCT_TYPES,
+  AFFILIATE_REFERRAL_STATUSES,
+  getAffiliateProduct,
+  normalizeProgramSettings,
+  summarizeReferrals,
+  countClicks,
+  parseDateRange,
+  formatProgram,
+  formatReferral,
+} from "../../services/affiliateService.js";
+
+async function findOwnedProgram(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const program = await AffiliateProgram.findByPk(req.params.id);
+  if (!program || program.owner_type !== tutorType || program.owner_id !== tutorId) {
+    throw new ErrorClass("Affiliate program not found", 404);
+  }
+  return program;
+}
+
+/**
+ * Enable affiliates on a product
+ * POST /api/marketplace/tutor/affiliate-programs
+ * Body: { product_type, product_id, commission_rate, cookie_days?, hold_days?, audience?, terms? }
+ */
+export const createAffiliateProgram = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { product_type, product_id } = req.body;
+
+  if (!AFFILIATE_PRODUCT_TYPES.includes(product_type)) {
+    throw new ErrorClass(`product_type must be one of: ${AFFILIATE_PRODUCT_TYPES.join(", ")}`, 400);
+  }
+  const product = await getAffiliateProduct(product_type, parseInt(product_id));
+  if (!product) {
+    throw new ErrorClass("Product not found", 404);
+  }
+  if (product.owner_type !== tutorType || product.owner_id !== tutorId) {
+    throw new ErrorClass("You can only run affiliate programs for your own products", 403);
+  }
+
+  const existing = await AffiliateProgram.findOne({
+    where: { product_type, product_id: product.product_id },
+  });
+  if (existing) {
+    throw new ErrorClass("This product already has an affiliate program; update it instead", 409);
+  }
+
+  const program = await AffiliateProgram.create({
+    owner_type: tutorType,
+    owner_id: tutorId,
+    product_type,
+    product_id: product.product_id,
+    ...normalizeProgramSettings(req.body),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Affiliate program created successfully",
+    data: { program: formatProgram(program, product) },
+  });
+});
+
+/**
+ * List the tutor's affiliate programs with click/conversion/commission totals
+ * GET /api/marketplace/tutor/affiliate-programs?status=active&product_type=course
+ */
+export const listAffiliatePrograms = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { status, product_type } = req.query;
+
+  const where = { owner_type: tutorType, owner_id: tutorId };
+  if (status) where.status = status;
+  if (product_type) where.product_type = product_type;
+
+  const programs = await AffiliateProgram.findAll({ where, order: [["created_at", "DESC"]] });
+  const programIds = programs.map((p) => p.id);
+
+  const [clicks, referrals, affiliates, products] = await Promise.all([
+    programIds.length ? countClicks({ program_id: { [Op.in]: programIds } }, "program_id") : {},
+    programIds.length
+      ? summarizeReferrals({ program_id: { [Op.in]: programIds } }, "program_id")
+      : {},
+    programIds.length
+      ? AffiliateLink.count({
+          where: { program_id: { [Op.in]: programIds } },
+          group: ["program_id"],
+        })
+      : [],
+    Promise.all(programs.map((p) => getAffiliateProduct(p.product_type, p.product_id))),
+  ]);
+  const affiliateCounts = Object.fromEntries(
+    affiliates.map((row) => [row.program_id, parseInt(row.count)])
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliate programs retrieved successfully",
+    data: {
+      programs: programs.map((program, index) => ({
+        ...formatProgram(program, products[index]),
+        affiliates: affiliateCounts[program.id] || 0,
+        clicks: clicks[program.id] || 0,
+        conversions: referrals[program.id]?.conversions || 0,
+        by_currency: referrals[program.id]?.by_currency || {},
+      })),
+    },
+  });
+});
+
+/**
+ * Update program settings (pause with status: "paused")
+ * PUT /api/marketplace/tutor/affiliate-programs/:id
+ * Rate changes apply to new purchases only
+ */
+export const updateAffiliateProgram = TryCatchFunction(async (req, res) => {
+  const program = await findOwnedProgram(req);
+  await program.update(normalizeProgramSettings(req.body, program));
+
+  const product = await getAffiliateProduct(program.product_type, program.product_id);
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliate program updated successfully",
+    data: { program: formatProgram(program, product) },
+  });
+});
+
+/**
+ * Affiliates of a program with their clicks, conversions and commission
+ * GET /api/marketplace/tutor/affiliate-programs/:id/affiliates?start_date=&end_date=
+ */
+export const getProgramAffiliates = TryCatchFunction(async (req, res) => {
+  const program = await findOwnedProgram(req);
+
+  const links = await AffiliateLink.findAll({
+    where: { program_id: program.id },
+    order: [["created_at", "ASC"]],
+  });
+  const [clicks, referrals] = await Promise.all([
+    countClicks({ program_id: program.id, ...parseDateRange(req.query, "clicked_at") }, "link_id"),
+    summarizeReferrals(
+      { program_id: program.id, ...parseDateRange(req.query, "created_at") },
+      "link_id"
+    ),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Affiliates retrieved successfully",
+    data: {
+      program: formatProgram(program),
+      affiliates: links.map((link) => ({
+        link_id: link.id,
+        affiliate_type: link.affiliate_type,
+        affiliate_id: link.affiliate_id,
+        code: link.code,
+        status: link.status,
+        joined_at: link.created_at,
+        clicks: clicks[link.id] || 0,
+        conversions: referrals[link.id]?.conversions || 0,
+        by_currency: referrals[link.id]?.by_currency || {},
+      })),
+    },
+  });
+});
+
+/**
+ * Disable or re-enable one affiliate's link
+ * PUT /api/marketplace/tutor/affiliate-programs/:id/affiliates/:linkId
+ * Body: { status: "active" | "disabled" }
+ */
+export const updateAffiliateLinkStatus = TryCatchFunction(async (req, res) => {
+  const program = await findOwnedProgram(req);
+  const { status } = req.body;
+  if (!["active", "disabled"].includes(status)) {
+    throw new ErrorClass("status must be active or disabled", 400);
+  }
+
+  const link = await AffiliateLink.findOne({
+    where: { id: req.params.linkId, program_id: program.id },
+  });
+  if (!link) {
+    throw new ErrorClass("Affiliate not found", 404);
+  }
+  await link.update({ status });
+
+  res.status(200).json({
+    success: true,
+    message: status === "disabled" ? "Affiliate disabled" : "Affiliate enabled",
+    data: { link_id: link.id, status: link.status },
+  });
+});
+
+/**
+ * Referrals (commissions) on the tutor's products
+ * GET /api/marketplace/tutor/affiliate-programs/referrals?status=pending&program_id=&start_date=&end_date=
+ */
+export const getTutorAffiliateReferrals = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { status, program_id, page = 1, limit = 20 } = req.query;
+
+  const where = {
+    owner_type: tutorType,
+    owner_id: tutorId,
+    ...parseDateRange(req.query, "created_at"),
+  };
+  if (status) {
+    if (!AFFILIATE_REFERRAL_STATUSES.includes(status)) {
+      throw new ErrorClass(`status must be one of: ${AFFILIATE_REFERRAL_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+  if (program_id) where.program_id = parseInt(program_id);
+
+  const { count, rows } = await AffiliateReferral.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  // Commission still to be paid out of the tutor's wallet, per currency
+  const payable = await AffiliateReferral.findAll({
+    where: { owner_type: tutorType, owner_id: tutorId, status: "pending" },
+    attributes: ["currency", [db.fn("SUM", db.col("commission_amount")), "amount"]],
+    group: ["currency"],
+    raw: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Referrals retrieved successfully",
+    data: {
+      referrals: rows.map(formatReferral),
+      payable: payable.map((row) => ({
+        currency: row.currency,
+        amount: parseFloat(row.amount || 0),
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tutor Analytics Controller
+ * Time-series revenue, refunds, learners, course completion and sales page funnels
+ * for the tutor's products, with previous-period comparison and CSV export
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  ANALYTICS_REPORTS,
+  resolveAnalyticsRange,
+  getAnalyticsOverview,
+  getAnalyticsReport,
+  analyticsReportToCsv,
+} from "../../services/tutorAnalyticsService.js";
+
+function getOwner(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  return { ownerType: tutorType, ownerId: tutorId };
+}
+
+/**
+ * Headline totals with comparison against the previous period
+ * GET /api/marketplace/tutor/analytics/overview?period=this_month
+ */
+export const getAnalyticsOverviewHandler = TryCatchFunction(async (req, res) => {
+  const range = resolveAnalyticsRange(req.query);
+  const data = await getAnalyticsOverview(getOwner(req), range);
+
+  res.status(200).json({
+    success: true,
+    message: "Analytics overview retrieved successfully",
+    data,
+  });
+});
+
+/**
+ * One report as a time series (or per-page table for funnels)
+ * GET /api/marketplace/tutor/analytics/:report?period=last_30_days&interval=day
+ */
+export const getAnalyticsReportHandler = TryCatchFunction(async (req, res) => {
+  const { report } = req.params;
+  if (!ANALYTICS_REPORTS.includes(report)) {
+    throw new ErrorClass(`report must be one of: ${ANALYTICS_REPORTS.join(", ")}`, 400);
+  }
+
+  const range = resolveAnalyticsRange(req.query);
+  const data = await getAnalyticsReport(getOwner(req), report, range);
+
+  res.status(200).json({
+    success: true,
+    message: "Analytics retrieved successfully",
+    data: { report, ...data },
+  });
+});
+
+/**
+ * Download a report as CSV
+ * GET /api/marketplace/tutor/analytics/:report/export?period=last_month
+ * For report=completion, table=courses exports the per-course completion rates.
+ */
+export const exportAnalyticsReport = TryCatchFunction(async (req, res) => {
+  const { report } = req.params;
+  if (!ANALYTICS_REPORTS.includes(report)) {
+    throw new ErrorClass(`report must be one of: ${ANALYTICS_REPORTS.join(", ")}`, 400);
+  }
+
+  const range = resolveAnalyticsRange(req.query);
+  const data = await getAnalyticsReport(getOwner(req), report, range);
+  const courses = report === "completion" && req.query.table === "courses";
+  const csv = analyticsReportToCsv(data, { courses });
+
+  const filename = `${courses ? "course-completion" : report}-${data.range.start_date}-to-${data.range.end_date}.csv`;
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200).send(csv);
+});
@@ -0,0 +1,324 @@
+/**
+ * Tutor Bundle Management Controller
+ * Tutors/organizations package their courses, ebooks, digital downloads and communities
+ * into learning-path bundles with their own price and slug
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { db } from "../../database/database.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
+import { ProductBundleItem } from "../../models/marketplace/productBundleItem.js";
+import { BundlePurchase } from "../../models/marketplace/bundlePurchase.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import { generateProductSlug } from "../../utils/slugGenerator.js";
+import {
+  normalizeBundleItems,
+  getBundleProduct,
+  loadBundleProducts,
+  assertBundlePublishable,
+  assertBundleOwnedByTutor,
+  formatBundle,
+} from "../../services/bundleService.js";
+
+/**
+ * Validate price (NGN) and price_usd; paid bundles need both, like paid courses
+ */
+function normalizeBundlePricing(body, existing = null) {
+  const price = body.price !== undefined ? parseFloat(body.price || 0) : parseFloat(existing?.price || 0);
+  const priceUsd =
+    body.price_usd !== undefined
+      ? body.price_usd === null || body.price_usd === ""
+        ? null
+        : parseFloat(body.price_usd)
+      : existing?.price_usd != null
+        ? parseFloat(existing.price_usd)
+        : null;
+
+  if (Number.isNaN(price) || price < 0) {
+    throw new ErrorClass("price must be a number of at least 0", 400);
+  }
+  if (priceUsd !== null && (Number.isNaN(priceUsd) || priceUsd < 0)) {
+    throw new ErrorClass("price_usd must be a number of at least 0", 400);
+  }
+  if (price > 0 && !(priceUsd > 0)) {
+    throw new ErrorClass("Paid bundles must include a valid USD price (price_usd)", 400);
+  }
+  return { price, price_usd: priceUsd };
+}
+
+async function findOwnedBundle(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const bundle = await ProductBundle.findByPk(req.params.id);
+  assertBundleOwnedByTutor(bundle, tutorId, tutorType);
+  return bundle;
+}
+
+async function replaceBundleItems(bundleId, items, transaction) {
+  await ProductBundleItem.destroy({ where: { bundle_id: bundleId }, transaction });
+  await ProductBundleItem.bulkCreate(
+    items.map((item) => ({ ...item, bundle_id: bundleId })),
+    { transaction }
+  );
+}
+
+/**
+ * Create a bundle (draft)
+ * POST /api/marketplace/tutor/bundles
+ * Body: { title, description?, image_url?, category?, price, price_usd, slug?, items: [{ product_type, product_id }] }
+ */
+export const createBundle = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { title, description, image_url, category, slug, items = [] } = req.body;
+
+  if (!title || !String(title).trim()) {
+    throw new ErrorClass("title is required", 400);
+  }
+  const pricing = normalizeBundlePricing(req.body);
+  const bundleItems = items.length ? await normalizeBundleItems(items, tutorType, tutorId) : [];
+
+  const bundleSlug = await generateProductSlug(
+    slug || title,
+    async (s) => !!(await ProductBundle.findOne({ where: { slug: s } }))
+  );
+
+  const transaction = await db.transaction();
+  let bundle;
+  try {
+    bundle = await ProductBundle.create(
+      {
+        owner_type: tutorType,
+        owner_id: tutorId,
+        title: String(title).trim(),
+        slug: bundleSlug,
+        description: description || null,
+        image_url: image_url || null,
+        category: category || null,
+        ...pricing,
+        currency: "NGN",
+        status: "draft",
+      },
+      { transaction }
+    );
+    if (bundleItems.length) {
+      await replaceBundleItems(bundle.id, bundleItems, transaction);
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  const products = await loadBundleProducts(bundle.id);
+
+  res.status(201).json({
+    success: true,
+    message: "Bundle created successfully",
+    data: { bundle: formatBundle(bundle, products) },
+  });
+});
+
+/**
+ * List the tutor's bundles
+ * GET /api/marketplace/tutor/bundles?status=published&search=
+ */
+export const listMyBundles = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { status, search, page = 1, limit = 20 } = req.query;
+
+  const where = { owner_type: tutorType, owner_id: tutorId };
+  if (status) where.status = status;
+  if (search) where.title = { [Op.iLike]: `%${search}%` };
+
+  const { count, rows } = await ProductBundle.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  const bundles = await Promise.all(
+    rows.map(async (bundle) => formatBundle(bundle, await loadBundleProducts(bundle.id)))
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Bundles retrieved successfully",
+    data: {
+      bundles,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Get one bundle with its sales
+ * GET /api/marketplace/tutor/bundles/:id
+ */
+export const getMyBundle = TryCatchFunction(async (req, res) => {
+  const bundle = await findOwnedBundle(req);
+  const products = await loadBundleProducts(bundle.id);
+
+  const sales = await BundlePurchase.findAll({
+    where: { bundle_id: bundle.id, status: "completed" },
+    attributes: [
+      "currency",
+      [db.fn("COUNT", db.col("id")), "count"],
+      [db.fn("SUM", db.col("price")), "gross"],
+      [db.fn("SUM", db.col("tutor_earnings")), "earnings"],
+    ],
+    group: ["currency"],
+    raw: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle retrieved successfully",
+    data: {
+      bundle: formatBundle(bundle, products),
+      sales: sales.map((row) => ({
+        currency: row.currency,
+        count: parseInt(row.count),
+        gross: parseFloat(row.gross || 0),
+        earnings: parseFloat(row.earnings || 0),
+      })),
+    },
+  });
+});
+
+/**
+ * Update a bundle. Sending items replaces the product list (in the order given).
+ * PUT /api/marketplace/tutor/bundles/:id
+ */
+export const updateBundle = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const bundle = await findOwnedBundle(req);
+
+  const updates = {};
+  for (const key of ["description", "image_url", "category"]) {
+    if (req.body[key] !== undefined) updates[key] = req.body[key] || null;
+  }
+  if (req.body.title !== undefined) {
+    if (!String(req.body.title || "").trim()) {
+      throw new ErrorClass("title cannot be empty", 400);
+    }
+    updates.title = String(req.body.title).trim();
+  }
+  if (req.body.price !== undefined || req.body.price_usd !== undefined) {
+    Object.assign(updates, normalizeBundlePricing(req.body, bundle));
+  }
+  if (req.body.slug && req.body.slug !== bundle.slug) {
+    updates.slug = await generateProductSlug(req.body.slug, async (s) => {
+      const existing = await ProductBundle.findOne({ where: { slug: s } });
+      return existing && existing.id !== bundle.id;
+    });
+  }
+
+  const bundleItems =
+    req.body.items !== undefined
+      ? await normalizeBundleItems(req.body.items, tutorType, tutorId)
+      : null;
+
+  // A published bundle must stay sellable
+  if (bundle.status === "published" && bundleItems) {
+    assertBundlePublishable(
+      await Promise.all(bundleItems.map((item) => getBundleProduct(item.product_type, item.product_id)))
+    );
+  }
+
+  const transaction = await db.transaction();
+  try {
+    await bundle.update(updates, { transaction });
+    if (bundleItems) {
+      await replaceBundleItems(bundle.id, bundleItems, transaction);
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  const products = await loadBundleProducts(bundle.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle updated successfully",
+    data: { bundle: formatBundle(bundle, products) },
+  });
+});
+
+/**
+ * Publish a bundle (at least two products, all published)
+ * POST /api/marketplace/tutor/bundles/:id/publish
+ */
+export const publishBundle = TryCatchFunction(async (req, res) => {
+  const bundle = await findOwnedBundle(req);
+  const products = await loadBundleProducts(bundle.id);
+  assertBundlePublishable(products);
+
+  if (parseFloat(bundle.price || 0) > 0 && !(parseFloat(bundle.price_usd || 0) > 0)) {
+    throw new ErrorClass("Set a USD price (price_usd) before publishing", 400);
+  }
+
+  await bundle.update({ status: "published" });
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle published",
+    data: { bundle: formatBundle(bundle, products) },
+  });
+});
+
+/**
+ * Take a bundle off sale (buyers keep their products)
+ * POST /api/marketplace/tutor/bundles/:id/unpublish
+ */
+export const unpublishBundle = TryCatchFunction(async (req, res) => {
+  const bundle = await findOwnedBundle(req);
+  await bundle.update({ status: "draft" });
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle unpublished",
+    data: { bundle: formatBundle(bundle, await loadBundleProducts(bundle.id)) },
+  });
+});
+
+/**
+ * Delete a bundle. Bundles that have been sold are archived instead.
+ * DELETE /api/marketplace/tutor/bundles/:id
+ */
+export const deleteBundle = TryCatchFunction(async (req, res) => {
+  const bundle = await findOwnedBundle(req);
+
+  const purchaseCount = await BundlePurchase.count({ where: { bundle_id: bundle.id } });
+  if (purchaseCount > 0) {
+    await bundle.update({ status: "archived" });
+    return res.status(200).json({
+      success: true,
+      message: "Bundle has sales, so it was archived instead of deleted",
+      data: { id: bundle.id, status: "archived" },
+    });
+  }
+
+  const transaction = await db.transaction();
+  try {
+    await ProductBundleItem.destroy({ where: { bundle_id: bundle.id }, transaction });
+    await bundle.destroy({ transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Bundle deleted successfully",
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * Tutor Coupon Controller
+ * Tutors/organizations manage discount codes; learners preview them before purchase
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Coupon } from "../../models/marketplace/coupon.js";
+import { CouponRedemption } from "../../models/marketplace/couponRedemption.js";
+import { Students } from "../../models/auth/student.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import { getProductDetails } from "./storeCart.js";
+import { db } from "../../database/database.js";
+import {
+  COUPON_PRODUCT_TYPES,
+  normalizeCouponCode,
+  getProductOwner,
+  validateCouponForProduct,
+  formatCoupon,
+} from "../../services/couponService.js";
+
+/**
+ * Validate and normalise coupon fields from the request body.
+ * `existing` is passed on update so partial payloads are checked against current values.
+ */
+async function buildCouponAttributes(body, tutorId, tutorType, existing = null) {
+  const attrs = {};
+
+  if (body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+      throw new ErrorClass(
+        "Coupon code must be 3-50 characters (letters, numbers, - or _)",
+        400
+      );
+    }
+    attrs.code = code;
+  }
+
+  if (body.description !== undefined) attrs.description = body.description || null;
+
+  const discountType = body.discount_type ?? existing?.discount_type;
+  if (!["percentage", "fixed"].includes(discountType)) {
+    throw new ErrorClass("discount_type must be 'percentage' or 'fixed'", 400);
+  }
+  if (body.discount_type !== undefined) attrs.discount_type = discountType;
+
+  const discountValue = parseFloat(body.discount_value ?? existing?.discount_value);
+  if (!Number.isFinite(discountValue) || discountValue <= 0) {
+    throw new ErrorClass("discount_value must be greater than 0", 400);
+  }
+  if (discountType === "percentage" && discountValue > 100) {
+    throw new ErrorClass("Percentage discount cannot exceed 100", 400);
+  }
+  if (body.discount_value !== undefined) attrs.discount_value = discountValue;
+
+  if (discountType === "fixed") {
+    const currency = (body.currency ?? existing?.currency ?? "").toString().toUpperCase();
+    if (!currency) {
+      throw new ErrorClass("currency is required for fixed amount coupons", 400);
+    }
+    attrs.currency = currency;
+  } else {
+    attrs.currency = null;
+  }
+
+  const productType =
+    body.product_type !== undefined ? body.product_type || null : existing?.product_type;
+  const productId =
+    body.product_id !== undefined
+      ? body.product_id
+        ? parseInt(body.product_id)
+        : null
+      : existing?.product_id;
+
+  if (productType && !COUPON_PRODUCT_TYPES.includes(productType)) {
+    throw new ErrorClass("Invalid product_type", 400);
+  }
+  if (productId && !productType) {
+    throw new ErrorClass("product_type is required when product_id is set", 400);
+  }
+  if (productId) {
+    const owner = await getProductOwner(productType, productId);
+    if (!owner || owner.owner_type !== tutorType || owner.owner_id !== tutorId) {
+      throw new ErrorClass("Product not found or you don't own it", 404);
+    }
+  }
+  if (body.product_type !== undefined || body.product_id !== undefined) {
+    attrs.product_type = productType;
+    attrs.product_id = productId;
+  }
+
+  if (body.max_redemptions !== undefined) {
+    const max = body.max_redemptions === null ? null : parseInt(body.max_redemptions);
+    if (max !== null && (!Number.isInteger(max) || max < 1)) {
+      throw new ErrorClass("max_redemptions must be a positive integer", 400);
+    }
+    attrs.max_redemptions = max;
+  }
+
+  if (body.max_redemptions_per_learner !== undefined) {
+    const perLearner = parseInt(body.max_redemptions_per_learner);
+    if (!Number.isInteger(perLearner) || perLearner < 1) {
+      throw new ErrorClass("max_redemptions_per_learner must be a positive integer", 400);
+    }
+    attrs.max_redemptions_per_learner = perLearner;
+  }
+
+  if (body.starts_at !== undefined) attrs.starts_at = body.starts_at || null;
+  if (body.ends_at !== undefined) attrs.ends_at = body.ends_at || null;
+
+  const startsAt = attrs.starts_at !== undefined ? attrs.starts_at : existing?.starts_at;
+  const endsAt = attrs.ends_at !== undefined ? attrs.ends_at : existing?.ends_at;
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    throw new ErrorClass("ends_at must be after starts_at", 400);
+  }
+
+  if (body.status !== undefined) {
+    if (!["active", "inactive"].includes(body.status)) {
+      throw new ErrorClass("status must be 'active' or 'inactive'", 400);
+    }
+    attrs.status = body.status;
+  }
+
+  return attrs;
+}
+
+async function findOwnedCoupon(id, tutorId, tutorType) {
+  const coupon = await Coupon.findOne({
+    where: { id, owner_type: tutorType, owner_id: tutorId },
+  });
+  if (!coupon) {
+    throw new ErrorClass("Coupon not found", 404);
+  }
+  return coupon;
+}
+
+/**
+ * Create coupon
+ * POST /api/marketplace/tutor/coupons
+ */
+export const createCoupon = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+
+  if (!req.body.code || !req.body.discount_type || req.body.discount_value === undefined) {
+    throw new ErrorClass("code, discount_type and discount_value are required", 400);
+  }
+
+  const attrs = await buildCouponAttributes(req.body, tutorId, tutorType);
+
+  const existing = await Coupon.findOne({ where: { code: attrs.code } });
+  if (existing) {
+    throw new ErrorClass("This coupon code is already in use", 409);
+  }
+
+  const coupon = await Coupon.create({
+    ...attrs,
+    owner_type: tutorType,
+    owner_id: tutorId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Coupon created successfully",
+    data: { coupon: formatCoupon(coupon) },
+  });
+});
+
+/**
+ * List my coupons
+ * GET /api/marketplace/tutor/coupons
+ */
+export const listCoupons = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { page = 1, limit = 20, status, search, product_type } = req.query;
+
+  const where = { owner_type: tutorType, owner_id: tutorId };
+  if (status) where.status = status;
+  if (product_type) where.product_type = product_type;
+  if (search) where.code = { [Op.iLike]: `%${search}%` };
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const { count, rows } = await Coupon.findAndCountAll({
+    where,
+    order: [["created_at", "DESC"]],
+    limit: parseInt(limit),
+    offset,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupons retrieved successfully",
+    data: {
+      coupons: rows.map(formatCoupon),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Get coupon with redemption totals
+ * GET /api/marketplace/tutor/coupons/:id
+ */
+export const getCoupon = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const coupon = await findOwnedCoupon(req.params.id, tutorId, tutorType);
+
+  const totals = await CouponRedemption.findAll({
+    where: { coupon_id: coupon.id },
+    attributes: [
+      "currency",
+      [db.fn("COUNT", db.col("id")), "redemptions"],
+      [db.fn("SUM", db.col("discount_amount")), "total_discount"],
+      [db.fn("SUM", db.col("final_amount")), "total_revenue"],
+    ],
+    group: ["currency"],
+    raw: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon retrieved successfully",
+    data: {
+      coupon: formatCoupon(coupon),
+      totals: totals.map((t) => ({
+        currency: t.currency,
+        redemptions: parseInt(t.redemptions || 0),
+        total_discount: parseFloat(t.total_discount || 0),
+        total_revenue: parseFloat(t.total_revenue || 0),
+      })),
+    },
+  });
+});
+
+/**
+ * Update coupon
+ * PUT /api/marketplace/tutor/coupons/:id
+ */
+export const updateCoupon = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const coupon = await findOwnedCoupon(req.params.id, tutorId, tutorType);
+
+  if (req.body.code !== undefined && coupon.redemption_count > 0) {
+    throw new ErrorClass("The code of a coupon that has been redeemed cannot be changed", 400);
+  }
+
+  const attrs = await buildCouponAttributes(req.body, tutorId, tutorType, coupon);
+
+  if (attrs.code && attrs.code !== coupon.code) {
+    const clash = await Coupon.findOne({ where: { code: attrs.code } });
+    if (clash) {
+      throw new ErrorClass("This coupon code is already in use", 409);
+    }
+  }
+
+  await coupon.update(attrs);
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon updated successfully",
+    data: { coupon: formatCoupon(coupon) },
+  });
+});
+
+/**
+ * Delete coupon (deactivated instead when it has redemptions, to keep history)
+ * DELETE /api/marketplace/tutor/coupons/:id
+ */
+export const deleteCoupon = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const coupon = await findOwnedCoupon(req.params.id, tutorId, tutorType);
+
+  if (coupon.redemption_count > 0) {
+    await coupon.update({ status: "inactive" });
+    return res.status(200).json({
+      success: true,
+      message: "Coupon has redemptions and was deactivated instead of deleted",
+      data: { coupon: formatCoupon(coupon) },
+    });
+  }
+
+  await coupon.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon deleted successfully",
+  });
+});
+
+/**
+ * List redemptions of a coupon
+ * GET /api/marketplace/tutor/coupons/:id/redemptions
+ */
+export const getCouponRedemptions = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const coupon = await findOwnedCoupon(req.params.id, tutorId, tutorType);
+  const { page = 1, limit = 20 } = req.query;
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const { count, rows } = await CouponRedemption.findAndCountAll({
+    where: { coupon_id: coupon.id },
+    include: [
+      {
+        model: Students,
+        as: "student",
+        attributes: ["id", "fname", "lname", "email"],
+      },
+    ],
+    order: [["created_at", "DESC"]],
+    limit: parseInt(limit),
+    offset,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon redemptions retrieved successfully",
+    data: {
+      redemptions: rows.map((r) => ({
+        id: r.id,
+        product_type: r.product_type,
+        product_id: r.product_id,
+        original_amount: parseFloat(r.original_amount),
+        discount_amount: parseFloat(r.discount_amount),
+        final_amount: parseFloat(r.final_amount),
+        currency: r.currency,
+        payment_reference: r.payment_reference,
+        created_at: r.created_at,
+        student: r.student
+          ? {
+              id: r.student.id,
+              name: `${r.student.fname || ""} ${r.student.lname || ""}`.trim(),
+              email: r.student.email,
+            }
+          : null,
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Preview a coupon against a product before purchase
+ * POST /api/marketplace/coupons/validate
+ * Body: { code, product_type, product_id }
+ */
+export const validateCoupon = TryCatchFunction(async (req, res) => {
+  const { code, product_type, product_id } = req.body;
+  const studentId = req.user?.userType === "student" ? req.user.id : null;
+
+  if (!code || !product_type || !product_id) {
+    throw new ErrorClass("code, product_type and product_id are required", 400);
+  }
+  if (!COUPON_PRODUCT_TYPES.includes(product_type)) {
+    throw new ErrorClass("Invalid product_type", 400);
+  }
+
+  const product = await getProductDetails(product_type, parseInt(product_id));
+  if (!product) {
+    throw new ErrorClass("Product not found or not available", 404);
+  }
+
+  const result = await validateCouponForProduct({
+    code,
+    studentId,
+    productType: product_type,
+    productId: parseInt(product_id),
+    price: product.price,
+    currency: product.currency,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Coupon is valid",
+    data: {
+      code: result.coupon.code,
+      discount_type: result.coupon.discount_type,
+      discount_value: parseFloat(result.coupon.discount_value),
+      original_price: product.price,
+      discount_amount: result.discount_amount,
+      final_price: result.final_price,
+      currency: product.currency,
+    },
+  });
+});
@@ -60,16 +60,19 @@ export const getEarningsSummary = TryCatchFunction(async (req, res) => {
           total_revenue: allTimeStats.totalRevenue,
           total_earnings: allTimeStats.totalEarnings,
           transactions: allTimeStats.totalTransactions,
+          total_discounts: allTimeStats.totalDiscounts,
         },
         last_30_days: {
           total_revenue: last30DaysStats.totalRevenue,
           total_earnings: last30DaysStats.totalEarnings,
           transactions: last30DaysStats.totalTransactions,
+          total_discounts: last30DaysStats.totalDiscounts,
         },
         last_7_days: {
           total_revenue: last7DaysStats.totalRevenue,
           total_earnings: last7DaysStats.totalEarnings,
           transactions: last7DaysStats.totalTransactions,
+          total_discounts: last7DaysStats.totalDiscounts,
         },
       },
       commission_rate: parseFloat(tutor.commission_rate || 15),
@@ -153,6 +156,8 @@ export const getTransactions = TryCatchFunction(async (req, res) => {
         }
       : null,
     course_price: parseFloat(tx.course_price || 0),
+    discount_amount: parseFloat(tx.discount_amount || 0),
+    coupon_id: tx.coupon_id,
     tutor_earnings: parseFloat(tx.tutor_earnings || 0),
     wsp_commission: parseFloat(tx.wsp_commission || 0),
     commission_rate: parseFloat(tx.commission_rate || 0),
@@ -235,6 +240,8 @@ export const getTransactionById = TryCatchFunction(async (req, res) => {
         }
       : null,
     course_price: parseFloat(transaction.course_price || 0),
+    discount_amount: parseFloat(transaction.discount_amount || 0),
+    coupon_id: transaction.coupon_id,
     tutor_earnings: parseFloat(transaction.tutor_earnings || 0),
     wsp_commission: parseFloat(transaction.wsp_commission || 0),
     commission_rate: parseFloat(transaction.commission_rate || 0),
@@ -15,6 +15,7 @@ import {
   formatTierPublic,
   tierAvailable,
 } from "../../services/eventTicketService.js";
+import { refundCancelledEventOrders } from "../../services/refundService.js";
 
 const coverUploader = multer({
   storage: multer.memoryStorage(),
@@ -328,12 +329,32 @@ export const cancelEvent = TryCatchFunction(async (req, res) => {
   if (!event) throw new ErrorClass("Event not found", 404);
   await assertEventOwnedByTutor(event, tutorId, tutorType);
 
+  if (event.status === "cancelled") {
+    throw new ErrorClass("Event is already cancelled", 400);
+  }
+
+  const { reason, refund_paid_orders = true } = req.body || {};
+
   await event.update({ status: "cancelled" });
 
+  // Host cancellations are refunded in full (refund_policy only covers attendee requests)
+  let paidOrders = 0;
+  if (refund_paid_orders !== false && refund_paid_orders !== "false") {
+    paidOrders = await EventTicketOrder.count({
+      where: { event_id: event.id, status: "paid" },
+    });
+    refundCancelledEventOrders(event, { tutorId, reason })
+      .then((summary) => console.log(`Event ${event.id} cancellation refunds:`, summary))
+      .catch((err) => console.error("Event cancellation refunds error:", err.message));
+  }
+
   res.status(200).json({
     success: true,
     message: "Event cancelled",
-    data: { event: formatEventPublic(event) },
+    data: {
+      event: formatEventPublic(event),
+      refunds_queued: paidOrders,
+    },
   });
 });
 
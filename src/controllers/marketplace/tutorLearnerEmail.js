@@ -127,6 +127,7 @@ export const sendEmailToLearner = TryCatchFunction(async (req, res) => {
     cc: ccList,
     bcc: bccList,
     replyTo,
+    brandOwner: { ownerType: tutorType, ownerId: tutorId },
   });
 
   try {
@@ -6,6 +6,10 @@ import { Courses } from "../../models/course/courses.js";
 import { Op } from "sequelize";
 import multer from "multer";
 import { supabase } from "../../utils/supabase.js";
+import {
+  normalizeDripSettings,
+  formatDripSettings,
+} from "../../services/dripContentService.js";
 
 // Configure multer for video uploads
 const uploadVideo = multer({
@@ -68,6 +72,7 @@ export const createModule = TryCatchFunction(async (req, res) => {
   if (!title) {
     throw new ErrorClass("Title is required", 400);
   }
+  const dripSettings = normalizeDripSettings(req.body, null, { allowQuizGate: true });
 
   // Verify tutor owns the course
   await verifyTutorCourseAccess(tutor, userType, parseInt(courseId));
@@ -78,6 +83,7 @@ export const createModule = TryCatchFunction(async (req, res) => {
     title: title.trim(),
     description: description || "",
     status: status,
+    ...dripSettings,
     created_by: tutor.id,
     updated_by: tutor.id,
   });
@@ -92,6 +98,7 @@ export const createModule = TryCatchFunction(async (req, res) => {
         title: moduleRecord.title,
         description: moduleRecord.description,
         status: moduleRecord.status,
+        ...formatDripSettings(moduleRecord, { includeQuizGate: true }),
         created_at: moduleRecord.created_at,
       },
     },
@@ -134,6 +141,7 @@ export const getModulesByCourse = TryCatchFunction(async (req, res) => {
       title: moduleJson.title,
       description: moduleJson.description,
       status: moduleJson.status,
+      ...formatDripSettings(moduleJson, { includeQuizGate: true }),
       units_count: moduleJson.units?.length || 0,
       created_at: moduleJson.created_at,
       updated_at: moduleJson.updated_at,
@@ -173,6 +181,7 @@ export const updateModule = TryCatchFunction(async (req, res) => {
   if (title !== undefined) updates.title = title.trim();
   if (description !== undefined) updates.description = description;
   if (status !== undefined) updates.status = status;
+  Object.assign(updates, normalizeDripSettings(req.body, moduleRecord, { allowQuizGate: true }));
   updates.updated_by = tutor.id;
 
   await moduleRecord.update(updates);
@@ -187,6 +196,7 @@ export const updateModule = TryCatchFunction(async (req, res) => {
         title: moduleRecord.title,
         description: moduleRecord.description,
         status: moduleRecord.status,
+        ...formatDripSettings(moduleRecord, { includeQuizGate: true }),
         updated_at: moduleRecord.updated_at,
       },
     },
@@ -251,6 +261,7 @@ export const createUnit = TryCatchFunction(async (req, res) => {
   if (!title) {
     throw new ErrorClass("Title is required", 400);
   }
+  const dripSettings = normalizeDripSettings(req.body);
 
   // Get module
   const moduleRecord = await Modules.findByPk(parseInt(moduleId));
@@ -270,6 +281,7 @@ export const createUnit = TryCatchFunction(async (req, res) => {
     order: order,
     status: status,
     duration_min: duration_min || null,
+    ...dripSettings,
     created_by: tutor.id,
     updated_by: tutor.id,
   });
@@ -287,6 +299,7 @@ export const createUnit = TryCatchFunction(async (req, res) => {
         order: unit.order,
         status: unit.status,
         duration_min: unit.duration_min,
+        ...formatDripSettings(unit),
         created_at: unit.created_at,
       },
     },
@@ -334,6 +347,7 @@ export const getUnitsByModule = TryCatchFunction(async (req, res) => {
         order: unit.order,
         status: unit.status,
         duration_min: unit.duration_min,
+        ...formatDripSettings(unit),
         created_at: unit.created_at,
         updated_at: unit.updated_at,
       })),
@@ -374,6 +388,7 @@ export const updateUnit = TryCatchFunction(async (req, res) => {
   if (order !== undefined) updates.order = order;
   if (status !== undefined) updates.status = status;
   if (duration_min !== undefined) updates.duration_min = duration_min;
+  Object.assign(updates, normalizeDripSettings(req.body, unit));
   updates.updated_by = tutor.id;
 
   await unit.update(updates);
@@ -391,6 +406,7 @@ export const updateUnit = TryCatchFunction(async (req, res) => {
         order: unit.order,
         status: unit.status,
         duration_min: unit.duration_min,
+        ...formatDripSettings(unit),
         updated_at: unit.updated_at,
       },
     },
@@ -14,6 +14,8 @@ import crypto from "crypto";
 import { applyLegacyWalletMirror } from "../../utils/tutorWallet.js";
 import { assertTransferPinForPayout } from "./tutorTransferPin.js";
 import { fetchNgnPlatformPayoutFee } from "../../services/platformPayoutConfigService.js";
+import { emitWebhookEvent } from "../../services/webhookService.js";
+import { notify } from "../../services/notificationService.js";
 
 /** Safe numeric parse for Sequelize DECIMAL / string values (avoids JS string concat bugs). */
 function num(v) {
@@ -33,6 +35,23 @@ function getFlutterwaveTransferAmount(payout) {
   return gross;
 }
 
+/** Notify the tutor (webhooks and notification center) that a payout reached their bank account. */
+async function emitPayoutCompleted(payout) {
+  const data = {
+    payout_id: payout.id,
+    amount: num(payout.amount),
+    wallet_currency: payout.metadata?.wallet_currency || "NGN",
+    currency: payout.currency,
+    converted_amount: payout.converted_amount ? num(payout.converted_amount) : null,
+    transfer_fee: payout.transfer_fee ? num(payout.transfer_fee) : null,
+    net_amount: payout.net_amount ? num(payout.net_amount) : null,
+    reference: payout.flutterwave_reference,
+    completed_at: payout.completed_at,
+  };
+  await emitWebhookEvent(payout.tutor_type, payout.tutor_id, "payout.completed", data);
+  await notify(payout.tutor_type, payout.tutor_id, "payout.completed", data);
+}
+
 /**
  * If Flutterwave already sent money but the DB transaction failed, persist success without refunding.
  */
@@ -117,6 +136,7 @@ async function recoverPayoutAfterBankSuccess(payoutId, transferResult) {
 
     await t.commit();
     console.log(`✅ Recovered payout ${payoutId} DB state after successful bank transfer`);
+    await emitPayoutCompleted(lockedPayout);
   } catch (e) {
     await t.rollback();
     throw e;
@@ -723,6 +743,7 @@ async function processPayoutTransfer(payoutId) {
         }
 
         await updateTransaction.commit();
+        await emitPayoutCompleted(lockedPayout);
       } else {
         // Transfer failed - update failure reason and refund wallet
         const failureReason = transferResult.message || "Transfer processing failed";
@@ -952,6 +973,13 @@ async function refundPayout(payout, transaction) {
 
   await transaction.commit();
   console.log(`✅ Refunded payout ${payout.id}: ${refundAmount} to tutor ${payout.tutor_id}`);
+
+  await notify(payout.tutor_type, payout.tutor_id, "payout.failed", {
+    payout_id: payout.id,
+    amount: refundAmount,
+    wallet_currency: walletCurrency,
+    failure_reason: payout.failure_reason || null,
+  });
 }
 
 /**
@@ -1076,6 +1104,9 @@ export const getPayout = TryCatchFunction(async (req, res) => {
               status: newStatus,
               completed_at: newStatus === "successful" ? new Date() : null,
             });
+            if (newStatus === "successful") {
+              await emitPayoutCompleted(payout);
+            }
           }
         }
       } catch (error) {
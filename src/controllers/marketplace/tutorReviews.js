@@ -0,0 +1,189 @@
+/**
+ * Tutor Review Controller
+ * Tutors/organizations see the published reviews of their products and post one public reply per review
+ */
+
+import { Op } from "sequelize";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { ProductReview } from "../../models/marketplace/productReview.js";
+import { Students } from "../../models/auth/student.js";
+import { Courses } from "../../models/course/courses.js";
+import { EBooks } from "../../models/marketplace/ebooks.js";
+import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
+import { Community } from "../../models/marketplace/community.js";
+import { Membership } from "../../models/marketplace/membership.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import { getProductOwner } from "../../services/couponService.js";
+import {
+  normalizeTutorReply,
+  formatTutorReply,
+} from "../../services/reviewModerationService.js";
+
+/**
+ * Product ids owned by the tutor, per product type
+ */
+async function getOwnedProductIds(tutorId, tutorType) {
+  const ownerWhere = { owner_type: tutorType, owner_id: tutorId };
+  const tutorWhere = { tutor_type: tutorType, tutor_id: tutorId };
+  const [courses, ebooks, downloads, communities, memberships] = await Promise.all([
+    Courses.findAll({ where: ownerWhere, attributes: ["id"] }),
+    EBooks.findAll({ where: ownerWhere, attributes: ["id"] }),
+    DigitalDownloads.findAll({ where: ownerWhere, attributes: ["id"] }),
+    Community.findAll({ where: tutorWhere, attributes: ["id"] }),
+    Membership.findAll({ where: tutorWhere, attributes: ["id"] }),
+  ]);
+
+  return {
+    course: courses.map((p) => p.id),
+    ebook: ebooks.map((p) => p.id),
+    digital_download: downloads.map((p) => p.id),
+    community: communities.map((p) => p.id),
+    membership: memberships.map((p) => p.id),
+  };
+}
+
+/**
+ * Find a published review of one of the tutor's products
+ */
+async function findOwnedReview(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+
+  const review = await ProductReview.findByPk(req.params.id);
+  if (!review || review.status !== "approved") {
+    throw new ErrorClass("Review not found", 404);
+  }
+
+  const owner = await getProductOwner(review.product_type, review.product_id);
+  if (!owner || owner.owner_type !== tutorType || owner.owner_id !== tutorId) {
+    throw new ErrorClass("You can only reply to reviews of your own products", 403);
+  }
+
+  return review;
+}
+
+function formatTutorReview(review) {
+  return {
+    id: review.id,
+    product_type: review.product_type,
+    product_id: review.product_id,
+    rating: review.rating,
+    title: review.title,
+    comment: review.comment,
+    helpful_count: review.helpful_count,
+    is_verified_purchase: review.is_verified_purchase,
+    created_at: review.created_at,
+    student: review.student
+      ? {
+          id: review.student.id,
+          name: `${review.student.fname} ${review.student.lname || ""}`.trim(),
+          profile_image: review.student.profile_image,
+        }
+      : null,
+    tutor_reply: formatTutorReply(review),
+  };
+}
+
+/**
+ * Get published reviews of the tutor's products
+ * GET /api/marketplace/tutor/reviews?product_type=course&product_id=1&replied=false
+ */
+export const getTutorReviews = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const { product_type, product_id, replied, page = 1, limit = 20 } = req.query;
+
+  const ownedIds = await getOwnedProductIds(tutorId, tutorType);
+  let productFilters = Object.entries(ownedIds)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([type, ids]) => ({ product_type: type, product_id: { [Op.in]: ids } }));
+
+  if (product_type) {
+    productFilters = productFilters.filter((f) => f.product_type === product_type);
+  }
+  if (product_id) {
+    const id = parseInt(product_id);
+    productFilters = productFilters
+      .filter((f) => f.product_id[Op.in].includes(id))
+      .map((f) => ({ ...f, product_id: id }));
+  }
+
+  if (productFilters.length === 0) {
+    return res.status(200).json({
+      success: true,
+      message: "Reviews retrieved successfully",
+      data: {
+        reviews: [],
+        pagination: { total: 0, page: parseInt(page), limit: parseInt(limit), totalPages: 0 },
+      },
+    });
+  }
+
+  const where = { status: "approved", [Op.or]: productFilters };
+  if (replied === "true") where.tutor_reply = { [Op.ne]: null };
+  if (replied === "false") where.tutor_reply = null;
+
+  const { count, rows } = await ProductReview.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+    include: [
+      {
+        model: Students,
+        as: "student",
+        attributes: ["id", "fname", "lname", "profile_image"],
+      },
+    ],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Reviews retrieved successfully",
+    data: {
+      reviews: rows.map(formatTutorReview),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Post or edit the public reply to a review
+ * PUT /api/marketplace/tutor/reviews/:id/reply
+ * Body: { reply }
+ */
+export const replyToReview = TryCatchFunction(async (req, res) => {
+  const review = await findOwnedReview(req);
+  const reply = normalizeTutorReply(req.body?.reply);
+
+  await review.update({ tutor_reply: reply, tutor_replied_at: new Date() });
+
+  res.status(200).json({
+    success: true,
+    message: "Reply saved successfully",
+    data: {
+      review_id: review.id,
+      tutor_reply: formatTutorReply(review),
+    },
+  });
+});
+
+/**
+ * Remove the reply from a review
+ * DELETE /api/marketplace/tutor/reviews/:id/reply
+ */
+export const deleteReviewReply = TryCatchFunction(async (req, res) => {
+  const review = await findOwnedReview(req);
+
+  await review.update({ tutor_reply: null, tutor_replied_at: null });
+
+  res.status(200).json({
+    success: true,
+    message: "Reply removed successfully",
+    data: { review_id: review.id },
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tutor Webhooks Controller
+ * Tutors/organizations register HTTPS endpoints for event notifications, inspect the
+ * delivery log, replay deliveries and send test pings
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { TutorWebhook } from "../../models/marketplace/tutorWebhook.js";
+import { WebhookDelivery } from "../../models/marketplace/webhookDelivery.js";
+import { getTutorInfo } from "./tutorLearnerManagement.js";
+import {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_OWNER,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  normalizeWebhookEvents,
+  sendTestPing,
+  replayDelivery,
+  formatWebhook,
+  formatDelivery,
+} from "../../services/webhookService.js";
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+async function findOwnedWebhook(req) {
+  const { tutorId, tutorType } = getTutorInfo(req);
+  const webhook = await TutorWebhook.findByPk(req.params.id);
+  if (!webhook || webhook.owner_type !== tutorType || webhook.owner_id !== tutorId) {
+    throw new ErrorClass("Webhook not found", 404);
+  }
+  return webhook;
+}
+
+/**
+ * Events that can be subscribed to
+ * GET /api/marketplace/tutor/webhooks/events
+ */
+export const listWebhookEvents = TryCatchFunction(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Webhook events retrieved successfully",
+    data: {
+      events: Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description })),
+    },
+  });
+});
+
+/**
+ * Register an endpoint. The signing secret is only returned here and on rotation.
+ * POST /api/marketplace/tutor/webhooks
+ * Body: { url, events: ["purchase.completed", ...], description? }
+ */
+export const createWebhook = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+
+  const count = await TutorWebhook.count({ where: { owner_type: tutorType, owner_id: tutorId } });
+  if (count >= MAX_WEBHOOKS_PER_OWNER) {
+    throw new ErrorClass(`You can register at most ${MAX_WEBHOOKS_PER_OWNER} webhooks`, 400);
+  }
+
+  const webhook = await TutorWebhook.create({
+    owner_type: tutorType,
+    owner_id: tutorId,
+    url: validateWebhookUrl(req.body.url),
+    events: normalizeWebhookEvents(req.body.events),
+    description: req.body.description ? String(req.body.description).trim().slice(0, 255) : null,
+    secret: generateWebhookSecret(),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Webhook created. Store the secret now; it will not be shown again.",
+    data: { webhook: formatWebhook(webhook, { includeSecret: true }) },
+  });
+});
+
+/**
+ * List the tutor's webhooks
+ * GET /api/marketplace/tutor/webhooks
+ */
+export const listWebhooks = TryCatchFunction(async (req, res) => {
+  const { tutorId, tutorType } = getTutorInfo(req);
+
+  const webhooks = await TutorWebhook.findAll({
+    where: { owner_type: tutorType, owner_id: tutorId },
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Webhooks retrieved successfully",
+    data: { webhooks: webhooks.map((webhook) => formatWebhook(webhook)) },
+  });
+});
+
+/**
+ * GET /api/marketplace/tutor/webhooks/:id
+ */
+export const getWebhook = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook retrieved successfully",
+    data: { webhook: formatWebhook(webhook) },
+  });
+});
+
+/**
+ * Update url, events, description or status. Re-enabling clears the failure counter.
+ * PUT /api/marketplace/tutor/webhooks/:id
+ */
+export const updateWebhook = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+  const { url, events, description, status } = req.body;
+
+  const updates = {};
+  if (url !== undefined) updates.url = validateWebhookUrl(url);
+  if (events !== undefined) updates.events = normalizeWebhookEvents(events);
+  if (description !== undefined) {
+    updates.description = description ? String(description).trim().slice(0, 255) : null;
+  }
+  if (status !== undefined) {
+    if (!["active", "disabled"].includes(status)) {
+      throw new ErrorClass("status must be active or disabled", 400);
+    }
+    updates.status = status;
+    if (status === "active") {
+      updates.consecutive_failures = 0;
+      updates.disabled_reason = null;
+    } else if (webhook.status === "active") {
+      updates.disabled_reason = "Disabled by owner";
+    }
+  }
+
+  await webhook.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook updated successfully",
+    data: { webhook: formatWebhook(webhook) },
+  });
+});
+
+/**
+ * Delete a webhook and its delivery log
+ * DELETE /api/marketplace/tutor/webhooks/:id
+ */
+export const deleteWebhook = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+
+  await WebhookDelivery.destroy({ where: { webhook_id: webhook.id } });
+  await webhook.destroy();
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook deleted successfully",
+  });
+});
+
+/**
+ * Replace the signing secret (the old one stops working immediately)
+ * POST /api/marketplace/tutor/webhooks/:id/rotate-secret
+ */
+export const rotateWebhookSecret = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+  await webhook.update({ secret: generateWebhookSecret() });
+
+  res.status(200).json({
+    success: true,
+    message: "Secret rotated. Store the new secret now; it will not be shown again.",
+    data: { webhook: formatWebhook(webhook, { includeSecret: true }) },
+  });
+});
+
+/**
+ * Send a signed "ping" event and return the endpoint's response. Works on disabled webhooks.
+ * POST /api/marketplace/tutor/webhooks/:id/test
+ */
+export const testWebhook = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+  const delivery = await sendTestPing(webhook);
+
+  res.status(200).json({
+    success: true,
+    message:
+      delivery.status === "succeeded" ? "Test delivery succeeded" : "Test delivery failed",
+    data: { delivery: formatDelivery(delivery, { includeBody: true }) },
+  });
+});
+
+/**
+ * Delivery log
+ * GET /api/marketplace/tutor/webhooks/:id/deliveries?status=failed&event=purchase.completed
+ */
+export const listWebhookDeliveries = TryCatchFunction(async (req, res) => {
+  const webhook = await findOwnedWebhook(req);
+  const { status, event, page = 1, limit = 20 } = req.query;
+
+  const where = { webhook_id: webhook.id };
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw new ErrorClass(`status must be one of: ${DELIVERY_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+  if (event) where.event = event;
+
+  const { count, rows } = await WebhookDelivery.findAndCountAll({
+    where,
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit),
+    order: [["created_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Deliveries retrieved successfully",
+    data: {
+      deliveries: rows.map((delivery) => formatDelivery(delivery)),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / parseInt(limit)),
+      },
+    },
+  });
+});
+
+async function findOwnedDelivery(req) {
+  const webhook = await findOwnedWebhook(req);
+  const delivery = await WebhookDelivery.findOne({
+    where: { id: req.params.deliveryId, webhook_id: webhook.id },
+  });
+  if (!delivery) {
+    throw new ErrorClass("Delivery not found", 404);
+  }
+  return { webhook, delivery };
+}
+
+/**
+ * One delivery with its payload and the last response body
+ * GET /api/marketplace/tutor/webhooks/:id/deliveries/:deliveryId
+ */
+export const getWebhookDelivery = TryCatchFunction(async (req, res) => {
+  const { delivery } = await findOwnedDelivery(req);
+
+  res.status(200).json({
+    success: true,
+    message: "Delivery retrieved successfully",
+    data: { delivery: formatDelivery(delivery, { includeBody: true }) },
+  });
+});
+
+/**
+ * Send a delivery again (new delivery, same event id and payload)
+ * POST /api/marketplace/tutor/webhooks/:id/deliveries/:deliveryId/replay
+ */
+export const replayWebhookDelivery = TryCatchFunction(async (req, res) => {
+  const { webhook, delivery } = await findOwnedDelivery(req);
+  if (webhook.status !== "active") {
+    throw new ErrorClass("Enable the webhook before replaying deliveries", 400);
+  }
+  if (delivery.status === "pending") {
+    throw new ErrorClass("This delivery is still being retried", 400);
+  }
+
+  const replay = await replayDelivery(delivery);
+
+  res.status(201).json({
+    success: true,
+    message:
+      replay.status === "succeeded"
+        ? "Replay delivered"
+        : replay.status === "pending"
+          ? "Replay failed; it will be retried"
+          : "Replay failed",
+    data: { delivery: formatDelivery(replay, { includeBody: true }) },
+  });
+});
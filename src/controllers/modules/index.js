@@ -25,6 +25,13 @@ import { Students } from "../../models/auth/student.js";
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
 import { OrganizationUser } from "../../models/marketplace/organizationUser.js";
+import {
+  normalizeDripSettings,
+  stripDripFields,
+  getLearnerLocks,
+  applyModuleLocks,
+  applyUnitLock,
+} from "../../services/dripContentService.js";
 
 // Helper function to normalize userType (handle admin with super_admin role)
 function normalizeUserType(req) {
@@ -43,6 +50,19 @@ function normalizeUserType(req) {
   return userType;
 }
 
+// Student access to a course: enrolled via course_reg OR active membership access
+async function hasStudentCourseAccess(studentId, courseId) {
+  const [rows] = await db.query(
+    "SELECT 1 FROM course_reg WHERE course_id = :courseId AND student_id = :studentId LIMIT 1",
+    { replacements: { courseId, studentId } }
+  );
+  if (Array.isArray(rows) && rows.length > 0) {
+    return true;
+  }
+  const membershipAccess = await checkProductAccess(studentId, "course", courseId);
+  return !!membershipAccess?.has_access;
+}
+
 // Helper function to extract base64 images from HTML and upload to Supabase
 const processHtmlImages = async (htmlContent, unitId) => {
   if (!htmlContent) return htmlContent;
@@ -110,6 +130,7 @@ export const createModule = TryCatchFunction(async (req, res) => {
   if (!course_id || !title) {
     throw new ErrorClass("course_id and title are required", 400);
   }
+  const dripSettings = normalizeDripSettings(req.body, null, { allowQuizGate: true });
 
   const course = await Courses.findByPk(course_id);
   if (!course) {
@@ -143,6 +164,7 @@ export const createModule = TryCatchFunction(async (req, res) => {
     title,
     description: description ?? "",
     status: status ?? "draft",
+    ...dripSettings,
     created_by: creatorId,
     updated_by: creatorId,
   });
@@ -207,22 +229,7 @@ export const getModulesByCourse = TryCatchFunction(async (req, res) => {
   }
   // Student path: enrolled via course_reg OR active membership access
   else {
-    const [rows] = await db.query(
-      "SELECT 1 FROM course_reg WHERE course_id = :courseId AND student_id = :studentId LIMIT 1",
-      { replacements: { courseId, studentId: userId } }
-    );
-    if (Array.isArray(rows) && rows.length > 0) {
-      authorized = true;
-    } else {
-      const membershipAccess = await checkProductAccess(
-        userId,
-        "course",
-        courseId
-      );
-      if (membershipAccess?.has_access) {
-        authorized = true;
-      }
-    }
+    authorized = await hasStudentCourseAccess(userId, courseId);
   }
   if (!authorized) {
     throw new ErrorClass("You do not have access to this course", 403);
@@ -240,6 +247,19 @@ export const getModulesByCourse = TryCatchFunction(async (req, res) => {
     ],
     order: [["created_at", "ASC"], ["id", "ASC"]],
   });
+
+  // Learners get drip-locked modules/units as outlines with lock metadata
+  if (userType === "student") {
+    const locks = await getLearnerLocks(modules, userId, courseId);
+    return res.status(200).json({
+      status: true,
+      code: 200,
+      message: "Modules fetched successfully",
+      data: modules.map((moduleRecord) => applyModuleLocks(moduleRecord, locks)),
+      enrolled_at: locks.enrolled_at,
+    });
+  }
+
   res.status(200).json({
     status: true,
     code: 200,
@@ -288,6 +308,8 @@ export const updateModule = TryCatchFunction(async (req, res) => {
   // Protect immutable fields
   delete updates.id;
   delete updates.course_id;
+  const dripSettings = normalizeDripSettings(updates, moduleRecord, { allowQuizGate: true });
+  Object.assign(stripDripFields(updates), dripSettings);
   updates.updated_by = getCreatorId(userType, userId);
 
   const originalValues = {
@@ -466,6 +488,7 @@ export const createUnit = TryCatchFunction(async (req, res) => {
   if (!module_id || !title) {
     throw new ErrorClass("module_id and title are required", 400);
   }
+  const dripSettings = normalizeDripSettings(req.body);
 
   const moduleRecord = await Modules.findByPk(module_id);
   if (!moduleRecord) {
@@ -511,6 +534,7 @@ export const createUnit = TryCatchFunction(async (req, res) => {
     content_type: content_type ?? "html",
     order: order ?? 1,
     status: status ?? "draft",
+    ...dripSettings,
     created_by: creatorId,
     updated_by: creatorId,
   });
@@ -608,12 +632,12 @@ export const getUnitsByModule = TryCatchFunction(async (req, res) => {
     throw new ErrorClass("Course not found", 404);
   }
 
-  // Verify user can access the course (admin can access all, staff only their own)
-  const hasAccess = await canAccessCourse(
-    userType,
-    userId,
-    moduleRecord.course_id
-  );
+  // Verify user can access the course (admin can access all, staff only their own,
+  // students when enrolled)
+  const hasAccess =
+    userType === "student"
+      ? await hasStudentCourseAccess(userId, moduleRecord.course_id)
+      : await canAccessCourse(userType, userId, moduleRecord.course_id);
   if (!hasAccess) {
     throw new ErrorClass(
       "You do not have permission to view units for this course",
@@ -621,11 +645,29 @@ export const getUnitsByModule = TryCatchFunction(async (req, res) => {
     );
   }
 
-  const units = await Units.findAll({
+  let units = await Units.findAll({
     where: { module_id: moduleId },
     order: [["created_at", "ASC"], ["id", "ASC"]],
   });
 
+  // Drip locks depend on the whole course (enrollment date, earlier quiz gates)
+  if (userType === "student") {
+    const courseModules = await Modules.findAll({
+      where: { course_id: moduleRecord.course_id },
+      include: [
+        {
+          model: Units,
+          as: "units",
+          required: false,
+          attributes: ["id", "drip_type", "drip_days", "drip_date"],
+        },
+      ],
+      order: [["created_at", "ASC"], ["id", "ASC"]],
+    });
+    const locks = await getLearnerLocks(courseModules, userId, moduleRecord.course_id);
+    units = units.map((unit) => applyUnitLock(unit, locks.units.get(unit.id) || null));
+  }
+
   // Track module view activity for students
   if (userType === "student") {
     trackLearnerActivity(
@@ -690,6 +732,8 @@ export const updateUnit = TryCatchFunction(async (req, res) => {
 
   delete updates.id;
   delete updates.module_id;
+  const dripSettings = normalizeDripSettings(updates, unit);
+  Object.assign(stripDripFields(updates), dripSettings);
   updates.updated_by = getCreatorId(userType, userId);
 
   const originalValues = {
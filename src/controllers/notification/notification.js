@@ -0,0 +1,229 @@
+import { Notification } from "../../models/notification/notification.js";
+import { EmailPreference } from "../../models/email/emailPreference.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import {
+  RECIPIENT_TYPES,
+  NOTIFICATION_CATEGORIES,
+  CHANNEL_PREFERENCES,
+  formatNotification,
+  inboxWhere,
+  isValidTimezone,
+} from "../../services/notificationService.js";
+
+// Columns of EmailPreference that predate the notification center
+const LEGACY_PREFERENCES = [
+  "receive_course_notifications",
+  "receive_quiz_reminders",
+  "receive_announcements",
+  "receive_discussion_notifications",
+];
+
+function getInboxUser(req) {
+  const userId = Number(req.user?.id);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new ErrorClass("Unauthorized", 401);
+  }
+  if (!RECIPIENT_TYPES.includes(req.user.userType)) {
+    throw new ErrorClass("Notifications are not available for this account type", 403);
+  }
+  return req.user;
+}
+
+function formatPreferences(prefs) {
+  const categories = {};
+  for (const [category, column] of Object.entries(NOTIFICATION_CATEGORIES)) {
+    categories[category] = prefs[column] !== false;
+  }
+  const channels = {
+    in_app: prefs.in_app_enabled !== false,
+    realtime: prefs.realtime_enabled !== false,
+    email: prefs.email_enabled !== false,
+  };
+  const other = {};
+  for (const column of LEGACY_PREFERENCES) other[column] = prefs[column] !== false;
+  return { categories, channels, other, timezone: prefs.timezone || null };
+}
+
+/**
+ * Inbox
+ * GET /api/notifications?page=1&limit=20&unread_only=true&category=booking
+ */
+export const getNotifications = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const { page = 1, limit = 20, unread_only, category } = req.query;
+  const pageSize = Math.min(parseInt(limit) || 20, 100);
+
+  const where = { ...inboxWhere(user) };
+  if (unread_only === "true") where.read_at = null;
+  if (category) {
+    if (!NOTIFICATION_CATEGORIES[category]) {
+      throw new ErrorClass(
+        `category must be one of: ${Object.keys(NOTIFICATION_CATEGORIES).join(", ")}`,
+        400
+      );
+    }
+    where.category = category;
+  }
+
+  const [{ count, rows }, unread] = await Promise.all([
+    Notification.findAndCountAll({
+      where,
+      limit: pageSize,
+      offset: (parseInt(page) - 1) * pageSize,
+      order: [["created_at", "DESC"]],
+    }),
+    Notification.count({ where: { ...inboxWhere(user), read_at: null } }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Notifications retrieved successfully",
+    data: {
+      notifications: rows.map(formatNotification),
+      unread_count: unread,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: pageSize,
+        totalPages: Math.ceil(count / pageSize),
+      },
+    },
+  });
+});
+
+/**
+ * GET /api/notifications/unread-count
+ */
+export const getUnreadCount = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const count = await Notification.count({ where: { ...inboxWhere(user), read_at: null } });
+
+  res.status(200).json({
+    success: true,
+    message: "Unread count retrieved successfully",
+    data: { count },
+  });
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ */
+export const markNotificationRead = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const notification = await Notification.findOne({
+    where: { id: req.params.id, ...inboxWhere(user) },
+  });
+  if (!notification) {
+    throw new ErrorClass("Notification not found", 404);
+  }
+  if (!notification.read_at) {
+    await notification.update({ read_at: new Date() });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification marked as read",
+    data: { notification: formatNotification(notification) },
+  });
+});
+
+/**
+ * PUT /api/notifications/read-all
+ * Body: { category? }
+ */
+export const markAllNotificationsRead = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const where = { ...inboxWhere(user), read_at: null };
+  if (req.body?.category) where.category = req.body.category;
+
+  const [updated] = await Notification.update({ read_at: new Date() }, { where });
+
+  res.status(200).json({
+    success: true,
+    message: "Notifications marked as read",
+    data: { updated },
+  });
+});
+
+/**
+ * DELETE /api/notifications/:id
+ */
+export const deleteNotification = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const deleted = await Notification.destroy({
+    where: { id: req.params.id, ...inboxWhere(user) },
+  });
+  if (!deleted) {
+    throw new ErrorClass("Notification not found", 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Notification deleted",
+  });
+});
+
+/**
+ * Channel and category preferences (stored on EmailPreference)
+ * GET /api/notifications/preferences
+ */
+export const getNotificationPreferences = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const [prefs] = await EmailPreference.findOrCreate({
+    where: { user_id: Number(user.id), user_type: user.userType },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Notification preferences retrieved successfully",
+    data: { preferences: formatPreferences(prefs) },
+  });
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Body: { categories?: { booking: false, ... }, channels?: { email: false, ... }, other?: { receive_announcements: false }, timezone? }
+ */
+export const updateNotificationPreferences = TryCatchFunction(async (req, res) => {
+  const user = getInboxUser(req);
+  const { categories = {}, channels = {}, other = {}, timezone } = req.body || {};
+
+  const updates = {};
+  for (const [category, value] of Object.entries(categories)) {
+    if (!NOTIFICATION_CATEGORIES[category]) {
+      throw new ErrorClass(`Unknown category: ${category}`, 400);
+    }
+    updates[NOTIFICATION_CATEGORIES[category]] = !!value;
+  }
+  for (const [channel, value] of Object.entries(channels)) {
+    const column = `${channel}_enabled`;
+    if (!CHANNEL_PREFERENCES.includes(column)) {
+      throw new ErrorClass(`Unknown channel: ${channel}. Allowed: in_app, realtime, email`, 400);
+    }
+    updates[column] = !!value;
+  }
+  for (const [column, value] of Object.entries(other)) {
+    if (!LEGACY_PREFERENCES.includes(column)) {
+      throw new ErrorClass(`Unknown preference: ${column}`, 400);
+    }
+    updates[column] = !!value;
+  }
+  if (timezone !== undefined) {
+    if (timezone !== null && (typeof timezone !== "string" || !isValidTimezone(timezone))) {
+      throw new ErrorClass("timezone must be an IANA timezone, e.g. Africa/Lagos, or null", 400);
+    }
+    updates.timezone = timezone;
+  }
+
+  const [prefs] = await EmailPreference.findOrCreate({
+    where: { user_id: Number(user.id), user_type: user.userType },
+  });
+  await prefs.update(updates);
+
+  res.status(200).json({
+    success: true,
+    message: "Notification preferences updated",
+    data: { preferences: formatPreferences(prefs) },
+  });
+});
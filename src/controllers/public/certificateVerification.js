@@ -0,0 +1,42 @@
+/**
+ * Public Certificate Verification
+ * Anyone holding a certificate serial (or scanning its QR code) can check it
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { CourseCertificate } from "../../models/marketplace/courseCertificate.js";
+
+/**
+ * Verify a certificate by serial
+ * GET /api/public/certificates/:serial
+ */
+export const verifyCertificate = TryCatchFunction(async (req, res) => {
+  const serial = String(req.params.serial || "").trim().toUpperCase();
+
+  const certificate = await CourseCertificate.findOne({ where: { serial } });
+
+  if (!certificate) {
+    throw new ErrorClass("Certificate not found", 404);
+  }
+
+  const isValid = certificate.status === "active";
+
+  res.status(200).json({
+    success: true,
+    message: isValid ? "Certificate is valid" : "Certificate has been revoked",
+    data: {
+      certificate: {
+        serial: certificate.serial,
+        valid: isValid,
+        status: certificate.status,
+        learner_name: certificate.learner_name,
+        course_title: certificate.course_title,
+        issuer_name: certificate.issuer_name,
+        completed_at: certificate.completed_at,
+        issued_at: certificate.issued_at,
+        revoked_at: certificate.revoked_at,
+      },
+    },
+  });
+});
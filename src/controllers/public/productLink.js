@@ -13,11 +13,12 @@ import { Community } from "../../models/marketplace/community.js";
 import { Membership } from "../../models/marketplace/membership.js";
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
+import { trackAffiliateClick } from "../../services/affiliateService.js";
 import { Op } from "sequelize";
 
 /**
  * Get product by slug (public endpoint)
- * GET /api/public/product/:slug
+ * GET /api/public/product/:slug?ref=<affiliate code>
  */
 export const getProductBySlug = TryCatchFunction(async (req, res) => {
   const { slug } = req.params;
@@ -257,11 +258,18 @@ export const getProductBySlug = TryCatchFunction(async (req, res) => {
     productData.pricing_type = product.pricing_type;
   }
 
+  const affiliate = await trackAffiliateClick(req, res, {
+    productType,
+    productId: product.id,
+    source: "product_link",
+  });
+
   res.status(200).json({
     success: true,
     message: "Product retrieved successfully",
     data: {
       product: productData,
+      affiliate,
       purchase_url: `/purchase/${productType}/${product.id}`,
       login_url: "/login",
       register_url: "/register",
@@ -12,9 +12,11 @@ import { EBooks } from "../../models/marketplace/ebooks.js";
 import { DigitalDownloads } from "../../models/marketplace/digitalDownloads.js";
 import { Community } from "../../models/marketplace/community.js";
 import { Membership } from "../../models/marketplace/membership.js";
+import { ProductBundle } from "../../models/marketplace/productBundle.js";
 import { SoleTutor } from "../../models/marketplace/soleTutor.js";
 import { Organization } from "../../models/marketplace/organization.js";
 import { getProductReviewStats } from "../../services/productReviewService.js";
+import { trackAffiliateClick } from "../../services/affiliateService.js";
 import { Op, QueryTypes } from "sequelize";
 import { db } from "../../database/database.js";
 
@@ -127,6 +129,26 @@ async function getProductForSalesPage(productType, productId) {
         ],
       });
 
+    case "bundle":
+      return await ProductBundle.findOne({
+        where: {
+          id: productId,
+          status: "published",
+        },
+        attributes: [
+          "id",
+          "title",
+          "description",
+          "price",
+          "currency",
+          "image_url",
+          "category",
+          "slug",
+          "owner_type",
+          "owner_id",
+        ],
+      });
+
     default:
       return null;
   }
@@ -165,7 +187,7 @@ async function trackView(salesPageId, req) {
 
 /**
  * Get public sales page by slug
- * GET /api/marketplace/public/sales/:slug
+ * GET /api/marketplace/public/sales/:slug?ref=<affiliate code>
  */
 export const getSalesPageBySlug = TryCatchFunction(async (req, res) => {
   const { slug } = req.params;
@@ -221,14 +243,23 @@ export const getSalesPageBySlug = TryCatchFunction(async (req, res) => {
     }
   }
 
-  // Get review stats
-  const reviewStats = await getProductReviewStats(salesPage.product_type, salesPage.product_id);
+  // Get review stats (bundles are reviewed through their products)
+  const reviewStats =
+    salesPage.product_type === "bundle"
+      ? null
+      : await getProductReviewStats(salesPage.product_type, salesPage.product_id);
 
   // Track view (async, don't wait)
   trackView(salesPage.id, req).catch((error) => {
     console.error("Error tracking view:", error);
   });
 
+  const affiliate = await trackAffiliateClick(req, res, {
+    productType: salesPage.product_type,
+    productId: salesPage.product_id,
+    source: "sales_page",
+  });
+
   // Build CTA URL
   const ctaUrl = salesPage.call_to_action_url || `/api/marketplace/store/products/${salesPage.product_type}/${salesPage.product_id}`;
 
@@ -274,6 +305,7 @@ export const getSalesPageBySlug = TryCatchFunction(async (req, res) => {
           : null,
         reviews: reviewStats,
       },
+      affiliate,
       purchase_url: `/api/marketplace/store/products/${salesPage.product_type}/${salesPage.product_id}`,
       add_to_cart_url: `/api/marketplace/store/cart/add`,
       login_url: "/api/auth/login",
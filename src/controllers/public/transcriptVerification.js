@@ -0,0 +1,44 @@
+/**
+ * Public Transcript Verification
+ * Anyone holding a transcript verification code (or scanning its QR code) can check it
+ */
+
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Transcript } from "../../models/grading/index.js";
+
+/**
+ * Verify a transcript by code
+ * GET /api/public/transcripts/:code
+ */
+export const verifyTranscript = TryCatchFunction(async (req, res) => {
+  const code = String(req.params.code || "").trim().toUpperCase();
+
+  const transcript = await Transcript.findOne({ where: { verification_code: code } });
+
+  if (!transcript) {
+    throw new ErrorClass("Transcript not found", 404);
+  }
+
+  const isValid = transcript.status === "active";
+
+  res.status(200).json({
+    success: true,
+    message: isValid ? "Transcript is valid" : "Transcript has been revoked",
+    data: {
+      transcript: {
+        verification_code: transcript.verification_code,
+        valid: isValid,
+        status: transcript.status,
+        student_name: transcript.student_name,
+        matric_number: transcript.matric_number,
+        program_title: transcript.program_title,
+        cgpa: Number(transcript.cgpa),
+        total_units: transcript.total_units,
+        content_hash: transcript.content_hash,
+        issued_at: transcript.issued_at,
+        revoked_at: transcript.revoked_at,
+      },
+    },
+  });
+});
@@ -6,6 +6,7 @@ import { QuizQuestions } from "../../models/modules/quiz_questions.js";
 import { QuizOptions } from "../../models/modules/quiz_options.js";
 import { QuizAttempts } from "../../models/modules/quiz_attempts.js";
 import { QuizAnswers } from "../../models/modules/quiz_answers.js";
+import { QuizAnswerGrades } from "../../models/modules/quiz_answer_grades.js";
 import { Courses } from "../../models/course/courses.js";
 import { Modules } from "../../models/modules/modules.js";
 import { Staff } from "../../models/auth/staff.js";
@@ -21,6 +22,27 @@ import {
   getCreatorId,
 } from "../../utils/examAccessControl.js";
 import { logAdminActivity } from "../../middlewares/adminAuthorize.js";
+import {
+  normalizeAnswerConfig,
+  scoreQuestion,
+  gradeQuizAttempt,
+} from "../../services/quizGradingService.js";
+import { getModuleLock } from "../../services/dripContentService.js";
+
+// Attempts that count as finished (graded = no answers waiting for a tutor)
+const FINISHED_ATTEMPT_STATUSES = ["submitted", "graded"];
+// Question types answered in text rather than by picking options
+const TEXT_QUESTION_TYPES = ["short_answer", "essay"];
+
+// 403 with the drip lock when a learner reaches a quiz of a module not released yet
+function sendModuleLocked(res, lock) {
+  return res.status(403).json({
+    status: false,
+    code: 403,
+    message: "This quiz's module is not available yet",
+    lock,
+  });
+}
 
 function canManageQuizzes(userType) {
   return [
@@ -150,15 +172,32 @@ export const addQuizQuestionsBatch = TryCatchFunction(async (req, res) => {
     const createdQuestions = [];
 
     for (const q of questions) {
-      const { html, text, type = "single_choice", points = 1, options } = q;
+      const {
+        html,
+        text,
+        type = "single_choice",
+        points = 1,
+        options = [],
+        correct_answer,
+        answer_config,
+      } = q;
       const questionText = html || text; // HTML preferred, fallback to plain text
-      if (!questionText || !Array.isArray(options) || options.length < 2) {
+      const isTextQuestion = TEXT_QUESTION_TYPES.includes(type);
+      if (!questionText) {
+        throw new ErrorClass(
+          "Each question requires html (preferred) or text",
+          400
+        );
+      }
+      if (!isTextQuestion && (!Array.isArray(options) || options.length < 2)) {
         throw new ErrorClass(
-          "Each question requires html (preferred) or text, and at least 2 options",
+          "Choice questions require at least 2 options",
           400
         );
       }
-      const numCorrect = options.filter((o) => !!o.is_correct).length;
+      const numCorrect = isTextQuestion
+        ? 0
+        : options.filter((o) => !!o.is_correct).length;
       if (type === "single_choice" && numCorrect !== 1) {
         throw new ErrorClass(
           "single_choice questions must have exactly one correct option",
@@ -192,17 +231,21 @@ export const addQuizQuestionsBatch = TryCatchFunction(async (req, res) => {
           question_text: questionText,
           question_type,
           points,
+          correct_answer: isTextQuestion ? correct_answer || null : null,
+          answer_config: normalizeAnswerConfig(question_type, answer_config),
           created_by: getCreatorId(userType, userId),
         },
         { transaction: trx }
       );
 
-      const optionPayload = options.map((o) => ({
-        question_id: question.id,
-        option_text: o.text,
-        is_correct: !!o.is_correct,
-      }));
-      await QuizOptions.bulkCreate(optionPayload, { transaction: trx });
+      if (!isTextQuestion) {
+        const optionPayload = options.map((o) => ({
+          question_id: question.id,
+          option_text: o.text,
+          is_correct: !!o.is_correct,
+        }));
+        await QuizOptions.bulkCreate(optionPayload, { transaction: trx });
+      }
 
       const created = await QuizQuestions.findByPk(question.id, {
         include: [{ model: QuizOptions, as: "options" }],
@@ -506,6 +549,10 @@ export const getQuiz = TryCatchFunction(async (req, res) => {
       {
         model: QuizQuestions,
         as: "questions",
+        // Hide answer keys from learners
+        attributes: canManageQuizzes(userType)
+          ? undefined
+          : { exclude: ["correct_answer", "answer_config"] },
         include: [
           {
             model: QuizOptions,
@@ -572,6 +619,8 @@ export const getQuiz = TryCatchFunction(async (req, res) => {
     if (!enrollment) {
       throw new ErrorClass("You are not enrolled in this course", 403);
     }
+    const lock = await getModuleLock(module, userId);
+    if (lock) return sendModuleLocked(res, lock);
   } else {
     throw new ErrorClass("Unauthorized access", 403);
   }
@@ -642,6 +691,8 @@ export const startQuizAttempt = TryCatchFunction(async (req, res) => {
   if (!enrollment) {
     throw new ErrorClass("You are not enrolled in this course", 403);
   }
+  const lock = await getModuleLock(module, studentId);
+  if (lock) return sendModuleLocked(res, lock);
 
   const existing = await QuizAttempts.findOne({
     where: { quiz_id: quizId, student_id: studentId, status: "in_progress" },
@@ -683,7 +734,11 @@ export const startQuizAttempt = TryCatchFunction(async (req, res) => {
   // Enforce attempts_allowed limit against submitted attempts
   if (typeof quiz.attempts_allowed === "number" && quiz.attempts_allowed > 0) {
     const submittedCount = await QuizAttempts.count({
-      where: { quiz_id: quizId, student_id: studentId, status: "submitted" },
+      where: {
+        quiz_id: quizId,
+        student_id: studentId,
+        status: FINISHED_ATTEMPT_STATUSES,
+      },
     });
     if (submittedCount >= quiz.attempts_allowed) {
       throw new ErrorClass("Maximum attempts reached", 403);
@@ -875,64 +930,16 @@ export const submitQuizAttempt = TryCatchFunction(async (req, res) => {
     expired = remainingSeconds <= 0;
   }
 
-  const questions = await QuizQuestions.findAll({
-    where: { quiz_id: attempt.quiz_id },
-    include: [{ model: QuizOptions, as: "options" }],
-  });
-
-  console.log("questions", questions);
-
-  const answers = await QuizAnswers.findAll({
-    where: { attempt_id: attemptId },
-  });
-
-  console.log("answers", answers);
-  console.log("Answers length:", answers ? answers.length : "null");
-  console.log("About to start grading process...");
-
-  let total = 0;
-  let max = 0;
-
-  const questionIdToAnswers = new Map();
-  for (const ans of answers) {
-    const arr = questionIdToAnswers.get(ans.question_id) || [];
-    arr.push(ans);
-    questionIdToAnswers.set(ans.question_id, arr);
-  }
-
-  for (const q of questions) {
-    max += Number(q.points || 0);
-    const selected = (questionIdToAnswers.get(q.id) || []).map(
-      (a) => a.selected_option_id
-    );
-    const correctOptionIds = q.options
-      .filter((o) => o.is_correct)
-      .map((o) => o.id);
-
-    // Simple grading: full points only if sets match exactly
-    const selectedSet = new Set(selected);
-    const correctSet = new Set(correctOptionIds);
-    const isCorrect =
-      selected.length === correctOptionIds.length &&
-      [...selectedSet].every((id) => correctSet.has(id));
-
-    if (isCorrect) total += Number(q.points || 0);
-  }
-
-  console.log("Grading complete - Total:", total, "Max:", max);
-  console.log("Attempt object:", attempt ? "exists" : "null");
-  console.log("Attempt ID:", attempt?.id);
-
   await attempt.update({
     status: "submitted",
-    total_score: total,
-    max_possible_score: max,
     submitted_at: new Date(),
   });
 
-  console.log("Attempt updated successfully");
+  // Per-question scoring; essays wait in the grading queue
+  const { total_score: total, max_possible_score: max, pending } =
+    await gradeQuizAttempt(attempt);
 
-  console.log("attempt", attempt);
+  console.log("Grading complete - Total:", total, "Max:", max, "Pending:", pending);
 
   res.status(200).json({
     status: true,
@@ -940,8 +947,10 @@ export const submitQuizAttempt = TryCatchFunction(async (req, res) => {
     message: "Attempt submitted",
     data: {
       attempt_id: attempt.id,
+      status: attempt.status,
       total_score: total,
       max_possible_score: max,
+      pending_grading: pending,
     },
     remaining_seconds: remainingSeconds,
     expired,
@@ -1045,7 +1054,7 @@ export const getQuizStats = TryCatchFunction(async (req, res) => {
 
   // Overall stats over submitted attempts
   const submittedAttempts = await QuizAttempts.findAll({
-    where: { quiz_id: quizId, status: "submitted" },
+    where: { quiz_id: quizId, status: FINISHED_ATTEMPT_STATUSES },
     attributes: [
       "id",
       "student_id",
@@ -1271,7 +1280,11 @@ export const getMyLatestQuizAttempt = TryCatchFunction(async (req, res) => {
 
   // Get latest attempt for this student+quiz (prefer submitted, else in_progress by most recent start)
   let attempt = await QuizAttempts.findOne({
-    where: { quiz_id: quizId, student_id: studentId, status: "submitted" },
+    where: {
+      quiz_id: quizId,
+      student_id: studentId,
+      status: FINISHED_ATTEMPT_STATUSES,
+    },
     order: [["submitted_at", "DESC"]],
   });
 
@@ -1311,31 +1324,42 @@ export const getMyLatestQuizAttempt = TryCatchFunction(async (req, res) => {
     where: { attempt_id: attempt.id },
   });
 
-  const questionIdToSelected = new Map();
+  const answersByQuestionId = new Map();
   for (const ans of answers) {
-    const arr = questionIdToSelected.get(ans.question_id) || [];
-    if (typeof ans.selected_option_id === "number")
-      arr.push(ans.selected_option_id);
-    questionIdToSelected.set(ans.question_id, arr);
+    const arr = answersByQuestionId.get(ans.question_id) || [];
+    arr.push(ans);
+    answersByQuestionId.set(ans.question_id, arr);
   }
 
+  // Stored per-question grades (older attempts have none and are scored on the fly)
+  const grades = await QuizAnswerGrades.findAll({
+    where: { attempt_id: attempt.id },
+  });
+  const gradeByQuestionId = new Map(grades.map((g) => [g.question_id, g]));
+  const isFinished = FINISHED_ATTEMPT_STATUSES.includes(attempt.status);
+
   let totalScore = 0;
   let maxPossible = 0;
 
   const questionViews = questions.map((q) => {
     const optionList = optionsByQuestionId.get(q.id) || [];
-    const correctIds = optionList.filter((o) => o.is_correct).map((o) => o.id);
-    const selectedIds = questionIdToSelected.get(q.id) || [];
-    const selectedSet = new Set(selectedIds);
-    const correctSet = new Set(correctIds);
-    const isCorrect =
-      selectedIds.length === correctIds.length &&
-      [...selectedSet].every((id) => correctSet.has(id));
+    const answerRows = answersByQuestionId.get(q.id) || [];
+    const selectedIds = answerRows
+      .map((a) => a.selected_option_id)
+      .filter((id) => typeof id === "number");
+    const answerText =
+      answerRows.find((a) => a.answer_text !== null && a.answer_text !== undefined)
+        ?.answer_text ?? null;
 
     const points = Number(q.points || 0);
+    const grade =
+      gradeByQuestionId.get(q.id) ||
+      scoreQuestion({ ...q.toJSON(), options: optionList }, answerRows);
+    const earned =
+      grade.points_awarded === null ? null : Number(grade.points_awarded);
+
     maxPossible += points;
-    const earned = isCorrect ? points : 0;
-    totalScore += earned;
+    totalScore += earned || 0;
 
     return {
       id: q.id,
@@ -1347,9 +1371,13 @@ export const getMyLatestQuizAttempt = TryCatchFunction(async (req, res) => {
         option_text: opt.option_text,
         is_correct: !!opt.is_correct,
       })),
+      correct_answer: isFinished && q.question_type === "short_answer" ? q.correct_answer : undefined,
       student_selected_option_ids: selectedIds,
-      is_student_correct: isCorrect,
+      student_answer_text: answerText,
+      is_student_correct: earned !== null && earned === points && points > 0,
       points_earned: earned,
+      grading_status: grade.status,
+      feedback: grade.feedback || null,
     };
   });
 
@@ -1381,6 +1409,9 @@ export const getMyLatestQuizAttempt = TryCatchFunction(async (req, res) => {
         total_score: totalScore,
         max_possible_score: maxPossible,
         percentage,
+        pending_grading: questionViews.filter(
+          (q) => q.grading_status === "pending"
+        ).length,
       },
     },
   });
@@ -1461,6 +1492,8 @@ export const updateQuizAttempt = TryCatchFunction(async (req, res) => {
           type, // allow alias from creation flow
           points,
           options,
+          correct_answer,
+          answer_config,
         } = q || {};
 
         if (deleteQuestion === true && questionId) {
@@ -1513,6 +1546,13 @@ export const updateQuizAttempt = TryCatchFunction(async (req, res) => {
           if (typeof targetType === "string")
             updateFields.question_type = targetType;
           if (typeof points !== "undefined") updateFields.points = points;
+          if (typeof correct_answer !== "undefined")
+            updateFields.correct_answer = correct_answer || null;
+          if (typeof answer_config !== "undefined")
+            updateFields.answer_config = normalizeAnswerConfig(
+              targetType,
+              answer_config
+            );
           if (Object.keys(updateFields).length > 0) {
             await questionRecord.update(updateFields, { transaction: trx });
           }
@@ -1527,6 +1567,8 @@ export const updateQuizAttempt = TryCatchFunction(async (req, res) => {
               question_text: questionText,
               question_type: targetType,
               points: typeof points !== "undefined" ? points : 1,
+              correct_answer: correct_answer || null,
+              answer_config: normalizeAnswerConfig(targetType, answer_config),
               created_by: userId,
             },
             { transaction: trx }
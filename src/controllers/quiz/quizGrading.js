@@ -0,0 +1,309 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { Quiz } from "../../models/modules/quiz.js";
+import { QuizQuestions } from "../../models/modules/quiz_questions.js";
+import { QuizOptions } from "../../models/modules/quiz_options.js";
+import { QuizAttempts } from "../../models/modules/quiz_attempts.js";
+import { QuizAnswers } from "../../models/modules/quiz_answers.js";
+import { QuizAnswerGrades } from "../../models/modules/quiz_answer_grades.js";
+import { Modules } from "../../models/modules/modules.js";
+import { Students } from "../../models/auth/student.js";
+import { Op } from "sequelize";
+import { canAccessCourse } from "../../utils/examAccessControl.js";
+import { gradeQuizAnswer } from "../../services/quizGradingService.js";
+
+function canGradeQuizzes(userType) {
+  return [
+    "staff",
+    "admin",
+    "super_admin",
+    "sole_tutor",
+    "organization",
+    "organization_user",
+  ].includes(userType);
+}
+
+function getGrader(req) {
+  const userId = Number(req.user?.id);
+  const userType = req.user?.userType;
+
+  if (!canGradeQuizzes(userType)) {
+    throw new ErrorClass("Only tutors, staff, and admins can grade quizzes", 403);
+  }
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new ErrorClass("Unauthorized or invalid user id", 401);
+  }
+  return { id: userId, type: userType };
+}
+
+async function assertQuizAccess(req, quiz) {
+  const module = await Modules.findByPk(quiz.module_id);
+  if (!module) {
+    throw new ErrorClass("Module not found", 404);
+  }
+  const hasAccess = await canAccessCourse(
+    req.user.userType,
+    Number(req.user.id),
+    module.course_id,
+    req.user
+  );
+  if (!hasAccess) {
+    throw new ErrorClass("You don't have permission to grade this quiz", 403);
+  }
+  return module;
+}
+
+async function loadStudentMap(studentIds) {
+  if (studentIds.length === 0) return new Map();
+  const students = await Students.findAll({
+    where: { id: { [Op.in]: studentIds } },
+    attributes: ["id", "fname", "mname", "lname", "email", "matric_number"],
+  });
+  return new Map(
+    students.map((s) => [
+      s.id,
+      {
+        id: s.id,
+        name: [s.fname, s.mname, s.lname].filter(Boolean).join(" "),
+        email: s.email,
+        matric_number: s.matric_number,
+      },
+    ])
+  );
+}
+
+/**
+ * List answers waiting for manual grading
+ * GET /api/quiz/grading-queue?quiz_id=|course_id=
+ * Oldest submissions come first.
+ */
+export const getQuizGradingQueue = TryCatchFunction(async (req, res) => {
+  const grader = getGrader(req);
+  const quizId = Number(req.query?.quiz_id);
+  const courseId = Number(req.query?.course_id);
+
+  let quizzes = [];
+  if (Number.isInteger(quizId) && quizId > 0) {
+    const quiz = await Quiz.findByPk(quizId);
+    if (!quiz) {
+      throw new ErrorClass("Quiz not found", 404);
+    }
+    await assertQuizAccess(req, quiz);
+    quizzes = [quiz];
+  } else if (Number.isInteger(courseId) && courseId > 0) {
+    const hasAccess = await canAccessCourse(grader.type, grader.id, courseId, req.user);
+    if (!hasAccess) {
+      throw new ErrorClass("You don't have permission to grade this course", 403);
+    }
+    const modules = await Modules.findAll({
+      where: { course_id: courseId },
+      attributes: ["id"],
+    });
+    quizzes = await Quiz.findAll({
+      where: { module_id: { [Op.in]: modules.map((m) => m.id) } },
+    });
+  } else {
+    throw new ErrorClass("quiz_id or course_id is required", 400);
+  }
+
+  const quizMap = new Map(quizzes.map((q) => [q.id, q]));
+  const attempts = quizzes.length
+    ? await QuizAttempts.findAll({
+        where: { quiz_id: { [Op.in]: [...quizMap.keys()] }, status: "submitted" },
+        order: [["submitted_at", "ASC"]],
+      })
+    : [];
+  const attemptMap = new Map(attempts.map((a) => [a.id, a]));
+
+  const pending = attempts.length
+    ? await QuizAnswerGrades.findAll({
+        where: { attempt_id: { [Op.in]: [...attemptMap.keys()] }, status: "pending" },
+        include: [
+          {
+            model: QuizQuestions,
+            as: "question",
+            attributes: ["id", "question_text", "question_type", "points", "correct_answer"],
+          },
+        ],
+      })
+    : [];
+
+  const answers = pending.length
+    ? await QuizAnswers.findAll({
+        where: {
+          attempt_id: { [Op.in]: pending.map((g) => g.attempt_id) },
+          question_id: { [Op.in]: pending.map((g) => g.question_id) },
+        },
+      })
+    : [];
+  const answerText = new Map(
+    answers.map((a) => [`${a.attempt_id}:${a.question_id}`, a.answer_text])
+  );
+
+  const studentMap = await loadStudentMap([...new Set(attempts.map((a) => a.student_id))]);
+
+  const items = pending
+    .map((grade) => {
+      const attempt = attemptMap.get(grade.attempt_id);
+      const quiz = quizMap.get(attempt.quiz_id);
+      return {
+        attempt_id: attempt.id,
+        quiz_id: quiz.id,
+        quiz_title: quiz.title,
+        student: studentMap.get(attempt.student_id) || { id: attempt.student_id },
+        submitted_at: attempt.submitted_at,
+        question_id: grade.question_id,
+        question_text: grade.question?.question_text,
+        question_type: grade.question?.question_type,
+        max_points: Number(grade.max_points),
+        model_answer: grade.question?.correct_answer || null,
+        answer_text: answerText.get(`${grade.attempt_id}:${grade.question_id}`) ?? null,
+      };
+    })
+    .sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Grading queue retrieved",
+    data: {
+      total_pending: items.length,
+      attempts_pending: new Set(items.map((i) => i.attempt_id)).size,
+      items,
+    },
+  });
+});
+
+/**
+ * Get a submitted attempt with every answer and its grade
+ * GET /api/quiz/attempts/:attemptId/grading
+ */
+export const getQuizAttemptForGrading = TryCatchFunction(async (req, res) => {
+  getGrader(req);
+  const attemptId = Number(req.params.attemptId);
+  if (!Number.isInteger(attemptId) || attemptId <= 0) {
+    throw new ErrorClass("Invalid attempt id", 400);
+  }
+
+  const attempt = await QuizAttempts.findByPk(attemptId);
+  if (!attempt) {
+    throw new ErrorClass("Attempt not found", 404);
+  }
+  const quiz = await Quiz.findByPk(attempt.quiz_id);
+  if (!quiz) {
+    throw new ErrorClass("Quiz not found", 404);
+  }
+  await assertQuizAccess(req, quiz);
+
+  const questions = await QuizQuestions.findAll({
+    where: { quiz_id: quiz.id },
+    include: [{ model: QuizOptions, as: "options" }],
+    order: [["id", "ASC"]],
+  });
+  const answers = await QuizAnswers.findAll({ where: { attempt_id: attempt.id } });
+  const grades = await QuizAnswerGrades.findAll({ where: { attempt_id: attempt.id } });
+  const gradeMap = new Map(grades.map((g) => [g.question_id, g]));
+  const studentMap = await loadStudentMap([attempt.student_id]);
+
+  const items = questions.map((question) => {
+    const rows = answers.filter((a) => a.question_id === question.id);
+    const grade = gradeMap.get(question.id);
+    return {
+      question_id: question.id,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      points: Number(question.points || 0),
+      correct_answer: question.correct_answer || null,
+      options: (question.options || []).map((o) => ({
+        id: o.id,
+        text: o.option_text,
+        is_correct: o.is_correct,
+      })),
+      selected_option_ids: rows
+        .map((a) => a.selected_option_id)
+        .filter((id) => typeof id === "number"),
+      answer_text: rows.find((a) => a.answer_text)?.answer_text ?? null,
+      points_awarded:
+        grade?.points_awarded === null || grade?.points_awarded === undefined
+          ? null
+          : Number(grade.points_awarded),
+      grading_status: grade?.status || null,
+      feedback: grade?.feedback || null,
+      graded_at: grade?.graded_at || null,
+    };
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Attempt retrieved",
+    data: {
+      attempt: {
+        id: attempt.id,
+        quiz_id: quiz.id,
+        quiz_title: quiz.title,
+        status: attempt.status,
+        submitted_at: attempt.submitted_at,
+        total_score: attempt.total_score === null ? null : Number(attempt.total_score),
+        max_possible_score:
+          attempt.max_possible_score === null ? null : Number(attempt.max_possible_score),
+        pending_grading: grades.filter((g) => g.status === "pending").length,
+      },
+      student: studentMap.get(attempt.student_id) || { id: attempt.student_id },
+      questions: items,
+    },
+  });
+});
+
+/**
+ * Grade one answer by hand (essays, unmatched short answers, or overrides)
+ * PATCH /api/quiz/attempts/:attemptId/questions/:questionId/grade
+ * Body: { points_awarded, feedback }
+ */
+export const gradeQuizAnswerHandler = TryCatchFunction(async (req, res) => {
+  const grader = getGrader(req);
+  const attemptId = Number(req.params.attemptId);
+  const questionId = Number(req.params.questionId);
+  if (!Number.isInteger(attemptId) || attemptId <= 0) {
+    throw new ErrorClass("Invalid attempt id", 400);
+  }
+  if (!Number.isInteger(questionId) || questionId <= 0) {
+    throw new ErrorClass("Invalid question id", 400);
+  }
+
+  const attempt = await QuizAttempts.findByPk(attemptId);
+  if (!attempt) {
+    throw new ErrorClass("Attempt not found", 404);
+  }
+  const quiz = await Quiz.findByPk(attempt.quiz_id);
+  if (!quiz) {
+    throw new ErrorClass("Quiz not found", 404);
+  }
+  await assertQuizAccess(req, quiz);
+
+  const question = await QuizQuestions.findOne({
+    where: { id: questionId, quiz_id: quiz.id },
+  });
+  if (!question) {
+    throw new ErrorClass("Question not found in this quiz", 404);
+  }
+
+  const { points_awarded, feedback } = req.body || {};
+  const result = await gradeQuizAnswer(attempt, question, { points_awarded, feedback }, grader);
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: result.pending > 0 ? "Answer graded" : "Answer graded, attempt fully graded",
+    data: {
+      attempt_id: attempt.id,
+      question_id: question.id,
+      points_awarded: Number(result.grade.points_awarded),
+      feedback: result.grade.feedback,
+      attempt_status: attempt.status,
+      total_score: result.total_score,
+      max_possible_score: result.max_possible_score,
+      pending_grading: result.pending,
+    },
+  });
+});
@@ -14,6 +14,11 @@ import { checkAndProgressStudentLevel } from "../../services/studentLevelProgres
 import { getWalletBalance } from "../../services/walletBalanceService.js";
 import { allocateCoursesForSingleStudent } from "../../services/automaticCourseAllocationService.js";
 import { levelStringFromCourse } from "../../utils/courseCatalogLevel.js";
+import {
+  assertRegistrationRules,
+  checkRegistrationRules,
+} from "../../services/courseRegistrationRulesService.js";
+import { getStudentTimetable, findCourseClashes } from "../../services/timetableService.js";
 
 // Helper function to get course price for semester
 const getCoursePriceForSemester = async (courseId, academicYear, semester) => {
@@ -364,6 +369,12 @@ export const registerAllocatedCourses = TryCatchFunction(async (req, res) => {
   const academicYear = currentSemester.academic_year?.toString();
   const semester = currentSemester.semester?.toString();
   const levelProgression = await checkAndProgressStudentLevel(studentId, academicYear);
+  if (levelProgression.standing === "withdrawn") {
+    throw new ErrorClass(
+      `You cannot register for courses. ${levelProgression.reason}. Please contact the academic office.`,
+      403
+    );
+  }
   
   // Reload student to get updated level if progression occurred
   if (levelProgression.progressed) {
@@ -405,7 +416,7 @@ export const registerAllocatedCourses = TryCatchFunction(async (req, res) => {
       {
         model: Courses,
         as: "course",
-        attributes: ["id", "title", "course_code", "price", "currency", "course_level"],
+        attributes: ["id", "title", "course_code", "price", "currency", "course_level", "course_unit"],
       },
     ],
   });
@@ -427,6 +438,13 @@ export const registerAllocatedCourses = TryCatchFunction(async (req, res) => {
     );
   }
 
+  // Prerequisites, co-requisites, carry-overs and semester credit load
+  const rules = await assertRegistrationRules(
+    student,
+    allocatedCourses.map((allocation) => allocation.course),
+    { academicYear, semester }
+  );
+
   // Get exchange rate for currency conversion
   const generalSetup = await GeneralSetup.findOne({
     order: [["id", "DESC"]],
@@ -585,6 +603,104 @@ export const registerAllocatedCourses = TryCatchFunction(async (req, res) => {
         new_balance: walletBalance - totalAmount,
       },
       registered_count: allocatedCourses.length,
+      // e.g. still below the minimum credit load
+      warnings: rules.warnings,
+    },
+  });
+});
+
+/**
+ * Check selected allocations against the registration rules without registering
+ * POST /api/courses/register-allocated/check
+ * Body: { allocation_ids: number[] }
+ */
+export const checkAllocatedCourseRules = TryCatchFunction(async (req, res) => {
+  const studentId = Number(req.user?.id);
+  const { allocation_ids } = req.body;
+
+  if (req.user?.userType !== "student") {
+    throw new ErrorClass("Only students can register for courses", 403);
+  }
+  if (!Array.isArray(allocation_ids)) {
+    throw new ErrorClass("Provide allocation_ids as an array.", 400);
+  }
+
+  const student = await Students.findByPk(studentId, { attributes: ["id", "program_id"] });
+  if (!student) {
+    throw new ErrorClass("Student not found", 404);
+  }
+
+  const today = new Date().toISOString().split("T")[0];
+  let currentSemester = await Semester.findOne({
+    where: {
+      [Op.and]: [
+        Semester.sequelize.literal(`DATE(start_date) <= '${today}'`),
+        Semester.sequelize.literal(`DATE(end_date) >= '${today}'`),
+      ],
+    },
+    order: [["id", "DESC"]],
+  });
+  if (!currentSemester) {
+    currentSemester = await Semester.findOne({
+      where: Semester.sequelize.where(
+        Semester.sequelize.fn("UPPER", Semester.sequelize.col("status")),
+        "ACTIVE"
+      ),
+      order: [["id", "DESC"]],
+    });
+  }
+  if (!currentSemester) {
+    throw new ErrorClass("No active semester found", 404);
+  }
+
+  const academicYear = currentSemester.academic_year?.toString();
+  const semester = currentSemester.semester?.toString();
+  const allocations = allocation_ids.length
+    ? await CourseReg.findAll({
+        where: {
+          id: allocation_ids,
+          student_id: studentId,
+          academic_year: academicYear,
+          semester,
+          registration_status: "allocated",
+        },
+        include: [
+          {
+            model: Courses,
+            as: "course",
+            attributes: ["id", "title", "course_code", "course_unit"],
+          },
+        ],
+      })
+    : [];
+
+  const result = await checkRegistrationRules(
+    student,
+    allocations.map((allocation) => allocation.course),
+    { academicYear, semester }
+  );
+
+  // Timetable clashes with registered / other selected courses (warnings, not blocking)
+  const requestedIds = allocations.map((allocation) => allocation.course_id);
+  const { courseIds: registeredIds } = await getStudentTimetable(studentId, academicYear, semester);
+  const clashes = (
+    await findCourseClashes([...new Set([...registeredIds, ...requestedIds])], academicYear, semester)
+  ).filter((clash) => clash.course_ids.some((id) => requestedIds.includes(id)));
+
+  res.status(200).json({
+    success: true,
+    message: result.violations.length
+      ? "Some registration rules are not met"
+      : "The selected courses can be registered",
+    data: {
+      academic_year: academicYear,
+      semester,
+      can_register: result.violations.length === 0,
+      violations: result.violations,
+      warnings: result.warnings,
+      credit_load: result.credit_load,
+      carry_overs: result.carry_overs,
+      timetable_clashes: clashes,
     },
   });
 });
@@ -0,0 +1,69 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { AcademicStanding, Transcript } from "../../models/grading/index.js";
+import {
+  computeAcademicRecord,
+  issueTranscript,
+  generateTranscriptPDF,
+  formatTranscript,
+} from "../../services/transcriptService.js";
+
+function requireStudent(req) {
+  const studentId = Number(req.user?.id);
+  if (req.user?.userType !== "student" || !Number.isInteger(studentId) || studentId <= 0) {
+    throw new ErrorClass("Only students can access this endpoint", 403);
+  }
+  return studentId;
+}
+
+// GPA per semester, CGPA, carry-overs and session standings
+export const getMyAcademicRecord = TryCatchFunction(async (req, res) => {
+  const studentId = requireStudent(req);
+
+  const record = await computeAcademicRecord(studentId);
+  const standings = await AcademicStanding.findAll({
+    where: { student_id: studentId },
+    order: [["academic_year", "ASC"]],
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Academic record fetched successfully",
+    data: { ...record, standings },
+  });
+});
+
+// Transcripts issued to me
+export const getMyTranscripts = TryCatchFunction(async (req, res) => {
+  const studentId = requireStudent(req);
+
+  const transcripts = await Transcript.findAll({
+    where: { student_id: studentId },
+    order: [["issued_at", "DESC"]],
+  });
+
+  res.status(200).json({
+    status: true,
+    code: 200,
+    message: "Transcripts fetched successfully",
+    data: transcripts.map(formatTranscript),
+  });
+});
+
+// Download a transcript of my current record (a new verification code is issued when the record changed)
+export const downloadMyTranscript = TryCatchFunction(async (req, res) => {
+  const studentId = requireStudent(req);
+
+  const transcript = await issueTranscript(studentId, { type: "student", id: studentId });
+  const pdfBuffer = await generateTranscriptPDF(transcript);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="transcript-${transcript.verification_code}.pdf"`
+  );
+  res.setHeader("Content-Length", pdfBuffer.length);
+
+  res.send(pdfBuffer);
+});
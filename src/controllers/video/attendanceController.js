@@ -0,0 +1,232 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { ErrorClass } from "../../utils/errorClass/index.js";
+import { canAccessCourse } from "../../utils/examAccessControl.js";
+import { VideoCall } from "../../models/video/videoCall.js";
+import { Courses } from "../../models/course/courses.js";
+import { CourseReg } from "../../models/course_reg.js";
+import { Students } from "../../models/auth/student.js";
+import { AttendanceRecord, ATTENDANCE_STATUSES } from "../../models/attendance/index.js";
+import {
+  sessionWindow,
+  resolveStatus,
+  formatAttendanceRecord,
+  markAttendance,
+  findTermForDate,
+  getCourseAttendance,
+} from "../../services/attendanceService.js";
+import { academicRegistrationFilter } from "../../services/gradebookService.js";
+import { resolveTerm } from "../../services/timetableService.js";
+
+const STUDENT_ATTRIBUTES = ["id", "fname", "lname", "matric_number", "email"];
+
+function formatStudent(student) {
+  return {
+    id: student.id,
+    name: `${student.fname || ""} ${student.lname || ""}`.trim(),
+    matric_number: student.matric_number,
+    email: student.email,
+  };
+}
+
+async function findOfferingStudentIds(courseId, academicYear, semester) {
+  const regs = await CourseReg.findAll({
+    where: {
+      course_id: courseId,
+      academic_year: academicYear,
+      semester,
+      ...academicRegistrationFilter(),
+    },
+    attributes: ["student_id"],
+    raw: true,
+  });
+  return [...new Set(regs.map((r) => r.student_id))];
+}
+
+// The host, course staff and admins manage a call's attendance
+async function loadManagedCall(req) {
+  const call = await VideoCall.findByPk(req.params.id);
+  if (!call) {
+    throw new ErrorClass("Call not found", 404);
+  }
+
+  const userType = req.user?.userType;
+  const userId = Number(req.user?.id);
+  const isHost = userType === "staff" && Number(call.created_by) === userId;
+  const isCourseStaff =
+    userType !== "student" &&
+    !!call.course_id &&
+    (await canAccessCourse(userType, userId, call.course_id, req.user));
+  if (!isHost && !isCourseStaff) {
+    throw new ErrorClass("Only the host or course staff can manage attendance", 403);
+  }
+
+  return { call, userId };
+}
+
+/**
+ * Attendance records of a call and the students expected at it: students registered in
+ * the course for the semester the call falls in, plus anyone else who joined
+ */
+async function loadCallRoster(call) {
+  const records = await AttendanceRecord.findAll({
+    where: { session_type: "video_call", session_id: call.id },
+  });
+
+  let studentIds = [];
+  if (call.course_id) {
+    const term = await findTermForDate(call.starts_at || call.created_at);
+    if (term) {
+      studentIds = await findOfferingStudentIds(call.course_id, term.academicYear, term.semester);
+    }
+  }
+  for (const record of records) {
+    if (record.user_type === "student" && !studentIds.includes(record.user_id)) {
+      studentIds.push(record.user_id);
+    }
+  }
+
+  return { records, studentIds };
+}
+
+/**
+ * Attendance of a call
+ * GET /api/video/calls/:id/attendance
+ * Auth: Host or course staff
+ */
+export const getCallAttendance = TryCatchFunction(async (req, res) => {
+  const { call } = await loadManagedCall(req);
+  const { records, studentIds } = await loadCallRoster(call);
+  const window = sessionWindow(records, { startsAt: call.starts_at, endedAt: call.ended_at });
+
+  const students = await Students.findAll({
+    where: { id: studentIds },
+    attributes: STUDENT_ATTRIBUTES,
+  });
+  const studentById = new Map(students.map((s) => [s.id, s]));
+
+  const summary = Object.fromEntries(ATTENDANCE_STATUSES.map((status) => [status, 0]));
+  const attendees = studentIds.map((studentId) => {
+    const record =
+      records.find((r) => r.user_type === "student" && r.user_id === studentId) ||
+      AttendanceRecord.build({ user_type: "student", user_id: studentId });
+    const student = studentById.get(studentId);
+    summary[resolveStatus(record, window)] += 1;
+    return formatAttendanceRecord(record, window, student ? formatStudent(student) : null);
+  });
+
+  res.json({
+    success: true,
+    data: {
+      call: {
+        id: call.id,
+        title: call.title,
+        courseId: call.course_id,
+        startedAt: window.start ? new Date(window.start) : null,
+        endedAt: call.ended_at,
+      },
+      summary,
+      attendees,
+    },
+  });
+});
+
+/**
+ * Mark attendance by hand (or clear a mark with status null)
+ * PUT /api/video/calls/:id/attendance
+ * Body: { marks: [{ student_id, status: "present"|"late"|"absent"|"excused"|null, note? }] }
+ * Auth: Host or course staff
+ */
+export const markCallAttendance = TryCatchFunction(async (req, res) => {
+  const { call, userId } = await loadManagedCall(req);
+  const marks = req.body?.marks;
+  if (!Array.isArray(marks) || marks.length === 0) {
+    throw new ErrorClass("marks must be a non-empty array", 400);
+  }
+
+  const { studentIds } = await loadCallRoster(call);
+  for (const mark of marks) {
+    const studentId = Number(mark?.student_id);
+    if (!Number.isInteger(studentId) || !studentIds.includes(studentId)) {
+      throw new ErrorClass(`Student ${mark?.student_id} is not on this call's register`, 400);
+    }
+    if (mark.status !== null && !ATTENDANCE_STATUSES.includes(mark.status)) {
+      throw new ErrorClass(`status must be one of: ${ATTENDANCE_STATUSES.join(", ")}, or null`, 400);
+    }
+  }
+
+  const saved = await markAttendance(
+    { type: "video_call", id: call.id, courseId: call.course_id },
+    marks,
+    userId
+  );
+
+  res.json({
+    success: true,
+    message: `Attendance updated for ${saved.length} student(s)`,
+  });
+});
+
+/**
+ * Attendance percentage in a course offering (current semester by default)
+ * Staff get every registered student; students get their own record.
+ * GET /api/video/attendance/courses/:courseId?academic_year=2025/2026&semester=1ST
+ */
+export const getCourseAttendanceReport = TryCatchFunction(async (req, res) => {
+  const courseId = Number(req.params.courseId);
+  if (!Number.isInteger(courseId) || courseId <= 0) {
+    throw new ErrorClass("Invalid course id", 400);
+  }
+  const userType = req.user?.userType;
+  const userId = Number(req.user?.id);
+
+  const course = await Courses.findByPk(courseId, { attributes: ["id", "title", "course_code"] });
+  if (!course) {
+    throw new ErrorClass("Course not found", 404);
+  }
+  const { academicYear, semester } = await resolveTerm(
+    req.query.academic_year || req.query.academicYear,
+    req.query.semester
+  );
+  const studentIds = await findOfferingStudentIds(courseId, academicYear, semester);
+
+  if (userType === "student") {
+    if (!studentIds.includes(userId)) {
+      throw new ErrorClass("You are not registered in this course", 403);
+    }
+    const attendance = await getCourseAttendance(courseId, academicYear, semester, [userId]);
+    return res.json({
+      success: true,
+      data: {
+        course,
+        academicYear,
+        semester,
+        sessions: attendance.sessions,
+        attendance: attendance.students.get(userId),
+      },
+    });
+  }
+
+  const allowed = await canAccessCourse(userType, userId, courseId, req.user);
+  if (!allowed) {
+    throw new ErrorClass("You do not have access to this course", 403);
+  }
+
+  const [attendance, students] = await Promise.all([
+    getCourseAttendance(courseId, academicYear, semester, studentIds),
+    Students.findAll({ where: { id: studentIds }, attributes: STUDENT_ATTRIBUTES }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      course,
+      academicYear,
+      semester,
+      sessions: attendance.sessions,
+      students: students.map((student) => ({
+        student: formatStudent(student),
+        ...attendance.students.get(student.id),
+      })),
+    },
+  });
+});
@@ -0,0 +1,21 @@
+import { TryCatchFunction } from "../../utils/tryCatch/index.js";
+import { streamVideoService } from "../../service/streamVideoService.js";
+import { handleStreamEvent } from "../../services/attendanceService.js";
+
+/**
+ * Stream Video webhook endpoint
+ * POST /api/webhooks/stream
+ *
+ * Records join/leave times for attendance (call.session_participant_joined / _left)
+ * and closes open attendance when a call ends (call.session_ended / call.ended).
+ * Other events are acknowledged and ignored.
+ */
+export const streamWebhook = TryCatchFunction(async (req, res) => {
+  const signature = req.headers["x-signature"];
+  if (!streamVideoService.verifyWebhook(req.rawBody, signature)) {
+    return res.status(401).json({ message: "Invalid webhook signature" });
+  }
+
+  const handled = await handleStreamEvent(req.body);
+  res.status(200).json({ message: "Webhook received", handled });
+});
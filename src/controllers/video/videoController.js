@@ -4,6 +4,11 @@ import { VideoCallParticipant } from "../../models/video/videoCallParticipant.js
 import { streamVideoService } from "../../service/streamVideoService.js";
 import { db } from "../../database/database.js";
 import { Config } from "../../config/config.js";
+import { AttendanceRecord } from "../../models/attendance/index.js";
+import {
+  registerAttendee,
+  closeOpenAttendance,
+} from "../../services/attendanceService.js";
 
 /**
  * Create a new video call
@@ -251,6 +256,15 @@ export async function generateToken(req, res) {
       },
     });
 
+    // Open the attendance record; Stream webhooks fill in join/leave times
+    await registerAttendee({
+      sessionType: "video_call",
+      sessionId: call.id,
+      courseId: call.course_id,
+      userType,
+      userId,
+    });
+
     res.json({
       success: true,
       data: {
@@ -413,6 +427,7 @@ export async function endCall(req, res) {
 
     // Update ended_at
     await call.update({ ended_at: new Date() });
+    await closeOpenAttendance("video_call", call.id, call.ended_at);
 
     res.json({
       success: true,
@@ -459,6 +474,10 @@ export async function deleteCall(req, res) {
       where: { call_id: call.id },
     });
 
+    await AttendanceRecord.destroy({
+      where: { session_type: "video_call", session_id: call.id },
+    });
+
     // Delete the call record
     await call.destroy();
 
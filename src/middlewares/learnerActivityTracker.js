@@ -6,6 +6,9 @@
 import { LearnerActivityLog } from "../models/marketplace/learnerActivityLog.js";
 import { CourseProgress } from "../models/marketplace/courseProgress.js";
 import { Courses } from "../models/course/courses.js";
+import { Students } from "../models/auth/student.js";
+import { issueCourseCertificate } from "../services/certificateService.js";
+import { emitWebhookEvent, webhookLearner } from "../services/webhookService.js";
 import { getIPGeolocation, parseUserAgent } from "../services/ipGeolocationService.js";
 import { db } from "../database/database.js";
 
@@ -152,6 +155,23 @@ export async function trackLearnerActivity(options, req = null) {
 /**
  * Update course progress
  */
+/**
+ * course.completed webhook for tutor/organization courses
+ */
+async function emitCourseCompleted(studentId, courseId, tutorId, tutorType, progress) {
+  if (tutorType !== "sole_tutor" && tutorType !== "organization") return;
+  const [course, student] = await Promise.all([
+    Courses.findByPk(courseId, { attributes: ["id", "title"] }),
+    Students.findByPk(studentId, { attributes: ["id", "fname", "lname", "email"] }),
+  ]);
+  await emitWebhookEvent(tutorType, tutorId, "course.completed", {
+    course_id: courseId,
+    course_title: course?.title || null,
+    learner: webhookLearner(student),
+    completed_at: progress.completed_at,
+  });
+}
+
 async function updateCourseProgress(
   studentId,
   courseId,
@@ -163,6 +183,7 @@ async function updateCourseProgress(
   durationSeconds,
   engagementMetrics = null
 ) {
+  let justCompleted = false;
   try {
     // Get or create progress record
     let progress = await CourseProgress.findOne({
@@ -370,6 +391,7 @@ async function updateCourseProgress(
       ) {
         progress.is_completed = true;
         progress.completed_at = new Date();
+        justCompleted = true;
 
         // Log course completion
         await LearnerActivityLog.create({
@@ -383,6 +405,15 @@ async function updateCourseProgress(
     }
 
     await progress.save();
+
+    if (justCompleted) {
+      issueCourseCertificate({ studentId, courseId, progress }).catch((err) => {
+        console.error("Error issuing course certificate:", err.message);
+      });
+      emitCourseCompleted(studentId, courseId, tutorId, tutorType, progress).catch((err) => {
+        console.error("Error sending course.completed webhook:", err.message);
+      });
+    }
   } catch (error) {
     console.error("Error updating course progress:", error.message);
   }
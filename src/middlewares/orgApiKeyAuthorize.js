@@ -0,0 +1,76 @@
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { OrgApiKey } from "../models/marketplace/orgApiKey.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { hashApiKey, readApiKeyFromRequest } from "../utils/orgApiKey.js";
+
+/**
+ * Middleware to authenticate an organization API key (/api/v1/org).
+ * Sets req.apiKey, and req.tutor / req.user as for an organization login so the
+ * tutor controllers can be reused unchanged.
+ */
+export const orgApiKeyAuthorize = async (req, res, next) => {
+  try {
+    const rawKey = readApiKeyFromRequest(req);
+    if (!rawKey) {
+      throw new ErrorClass("API key required", 401);
+    }
+
+    const apiKey = await OrgApiKey.findOne({
+      where: {
+        key_hash: hashApiKey(rawKey),
+        status: "active",
+        [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }],
+      },
+    });
+    if (!apiKey) {
+      throw new ErrorClass("Invalid, expired or revoked API key", 401);
+    }
+
+    const organization = await Organization.findByPk(apiKey.organization_id);
+    if (!organization || organization.status !== "active") {
+      throw new ErrorClass("Organization account is not active", 403);
+    }
+
+    // Last-used tracking must not slow down or fail the request
+    OrgApiKey.update(
+      {
+        last_used_at: new Date(),
+        last_used_ip: req.ip || null,
+        usage_count: db.literal("usage_count + 1"),
+      },
+      { where: { id: apiKey.id }, silent: true }
+    ).catch((error) => console.error("Error tracking API key usage:", error.message));
+
+    req.apiKey = apiKey;
+    req.tutor = organization;
+    req.user = { id: organization.id, userType: "organization" };
+
+    next();
+  } catch (error) {
+    if (error instanceof ErrorClass) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      message: "Authentication failed",
+    });
+  }
+};
+
+/**
+ * Middleware to require a scope on the API key
+ */
+export const requireApiScope = (scope) => (req, res, next) => {
+  if (!req.apiKey?.scopes?.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This API key does not have the ${scope} scope`,
+    });
+  }
+  next();
+};
@@ -80,6 +80,21 @@ export const answerLimiter = rateLimit({
   store: createRedisStore("rl:answer:"),
 });
 
+// Proctoring event limiter - 120 batches per 30 minutes (clients send events in batches)
+export const proctoringEventLimiter = rateLimit({
+  windowMs: 30 * 60 * 1000,
+  max: 120,
+  message: {
+    status: false,
+    code: 429,
+    message: "Too many proctoring reports. Please batch events.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRedisStore("rl:proctoring:"),
+  keyGenerator: (req) => `user_${req.user?.id || "guest"}_attempt_${req.params.attemptId}`,
+});
+
 // Auth limiter - 10 login attempts per 15 minutes
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -108,3 +123,18 @@ export const questionCreationLimiter = rateLimit({
   legacyHeaders: false,
   store: createRedisStore("rl:question:"),
 });
+
+// Organization API keys - per-key limit set on the key (rate_limit_per_minute)
+export const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey?.rate_limit_per_minute || 60,
+  message: {
+    status: false,
+    code: 429,
+    message: "API key rate limit exceeded. Please slow down.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createRedisStore("rl:api_key:"),
+  keyGenerator: (req) => `key_${req.apiKey?.id || "none"}`,
+});
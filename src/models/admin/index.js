@@ -1,3 +1,4 @@
 export { WpuAdmin, WspAdmin } from "./wspAdmin.js";
 export { AdminActivityLog } from "./adminActivityLog.js";
+export { ScheduledJobRun } from "./scheduledJobRun.js";
 
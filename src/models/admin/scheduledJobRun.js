@@ -0,0 +1,85 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Scheduled Job Run Model
+ * One row per execution attempt of a background job (see services/jobSchedulerService.js)
+ */
+export const ScheduledJobRun = db.define(
+  "ScheduledJobRun",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    job_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Name from the job registry (e.g. exchange-rate-refresh)",
+    },
+    trigger: {
+      type: DataTypes.ENUM("schedule", "catch_up", "manual"),
+      allowNull: false,
+      defaultValue: "schedule",
+      comment: "catch_up = run missed while no instance was up",
+    },
+    status: {
+      type: DataTypes.ENUM("running", "completed", "failed", "skipped"),
+      allowNull: false,
+      defaultValue: "running",
+      comment: "skipped = another instance held the job lock",
+    },
+    attempt: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Summary returned by the job handler",
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    triggered_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID for manual runs",
+    },
+    instance_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "hostname:pid of the process that ran the job",
+    },
+  },
+  {
+    tableName: "scheduled_job_runs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["job_name", "started_at"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
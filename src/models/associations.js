@@ -3,6 +3,8 @@ import { Students } from "./auth/student.js";
 import { Staff } from "./auth/staff.js";
 import { Courses } from "./course/courses.js";
 import { CourseSemesterPricing } from "./course/courseSemesterPricing.js";
+import { CourseRequisite } from "./course/courseRequisite.js";
+import { CreditLoadRule } from "./course/creditLoadRule.js";
 import { CourseReg } from "./course_reg.js";
 import { Semester } from "./auth/semester.js";
 import { Modules } from "./modules/modules.js";
@@ -12,6 +14,9 @@ import { QuizQuestions } from "./modules/quiz_questions.js";
 import { QuizOptions } from "./modules/quiz_options.js";
 import { QuizAttempts } from "./modules/quiz_attempts.js";
 import { QuizAnswers } from "./modules/quiz_answers.js";
+import { QuizAnswerGrades } from "./modules/quiz_answer_grades.js";
+import { Assignment } from "./modules/assignment.js";
+import { AssignmentSubmissions } from "./modules/assignment_submissions.js";
 import { EmailLog } from "./email/emailLog.js";
 import { EmailPreference } from "./email/emailPreference.js";
 import { Program } from "./program/program.js";
@@ -74,6 +79,7 @@ import {
   MembershipTierChange,
   ProductReview,
   ReviewHelpfulVote,
+  ReviewReport,
   StoreCart,
   StoreCartItem,
   ProductSalesPage,
@@ -98,7 +104,30 @@ import {
   EventTicketTier,
   EventTicketOrder,
   EventTicket,
+  Coupon,
+  CouponRedemption,
+  CertificateTemplate,
+  CourseCertificate,
+  RefundRequest,
+  ProductBundle,
+  ProductBundleItem,
+  BundlePurchase,
+  AffiliateProgram,
+  AffiliateLink,
+  AffiliateClick,
+  AffiliateReferral,
+  TutorWebhook,
+  WebhookDelivery,
 } from "./marketplace/index.js";
+import {
+  GradingScale,
+  GradebookConfig,
+  GradebookEntry,
+  GradeAuditLog,
+  Transcript,
+  AcademicStanding,
+} from "./grading/index.js";
+import { TimetableSlot } from "./calendar/index.js";
 
 export const setupAssociations = () => {
   // Staff teaches Courses
@@ -218,6 +247,43 @@ export const setupAssociations = () => {
     as: "attempt",
   });
 
+  // QuizAttempts -> QuizAnswerGrades (One-to-Many)
+  QuizAttempts.hasMany(QuizAnswerGrades, {
+    foreignKey: "attempt_id",
+    as: "grades",
+    onDelete: "CASCADE",
+  });
+  QuizAnswerGrades.belongsTo(QuizAttempts, {
+    foreignKey: "attempt_id",
+    as: "attempt",
+  });
+  QuizAnswerGrades.belongsTo(QuizQuestions, {
+    foreignKey: "question_id",
+    as: "question",
+  });
+
+  // Assignment associations - Modules -> Assignment (One-to-Many)
+  Modules.hasMany(Assignment, {
+    foreignKey: "module_id",
+    as: "assignments",
+    onDelete: "CASCADE",
+  });
+  Assignment.belongsTo(Modules, {
+    foreignKey: "module_id",
+    as: "module",
+  });
+
+  // Assignment -> AssignmentSubmissions (One-to-Many)
+  Assignment.hasMany(AssignmentSubmissions, {
+    foreignKey: "assignment_id",
+    as: "submissions",
+    onDelete: "CASCADE",
+  });
+  AssignmentSubmissions.belongsTo(Assignment, {
+    foreignKey: "assignment_id",
+    as: "assignment",
+  });
+
   // Email associations
   // Students -> EmailLogs (One-to-Many)
   Students.hasMany(EmailLog, {
@@ -1184,6 +1250,20 @@ export const setupAssociations = () => {
     as: "student",
   });
 
+  // Product Reviews -> Reports
+  ProductReview.hasMany(ReviewReport, {
+    foreignKey: "review_id",
+    as: "reports",
+  });
+  ReviewReport.belongsTo(ProductReview, {
+    foreignKey: "review_id",
+    as: "review",
+  });
+  ReviewReport.belongsTo(Students, {
+    foreignKey: "student_id",
+    as: "reporter",
+  });
+
   // Store Cart associations
   // Students -> Store Carts
   Students.hasMany(StoreCart, {
@@ -1518,4 +1598,234 @@ export const setupAssociations = () => {
     foreignKey: "tier_id",
     as: "tier",
   });
+
+  // ============================================
+  // COUPON ASSOCIATIONS
+  // ============================================
+  Coupon.hasMany(CouponRedemption, {
+    foreignKey: "coupon_id",
+    as: "redemptions",
+  });
+  CouponRedemption.belongsTo(Coupon, {
+    foreignKey: "coupon_id",
+    as: "coupon",
+  });
+  CouponRedemption.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+  MarketplaceTransaction.belongsTo(Coupon, {
+    foreignKey: "coupon_id",
+    constraints: false,
+    as: "coupon",
+  });
+
+  // ============================================
+  // PRODUCT BUNDLE ASSOCIATIONS
+  // ============================================
+  ProductBundle.hasMany(ProductBundleItem, {
+    foreignKey: "bundle_id",
+    as: "items",
+  });
+  ProductBundleItem.belongsTo(ProductBundle, {
+    foreignKey: "bundle_id",
+    as: "bundle",
+  });
+  ProductBundle.hasMany(BundlePurchase, {
+    foreignKey: "bundle_id",
+    as: "purchases",
+  });
+  BundlePurchase.belongsTo(ProductBundle, {
+    foreignKey: "bundle_id",
+    as: "bundle",
+  });
+  BundlePurchase.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+
+  // ============================================
+  // AFFILIATE ASSOCIATIONS
+  // ============================================
+  AffiliateProgram.hasMany(AffiliateLink, {
+    foreignKey: "program_id",
+    as: "links",
+  });
+  AffiliateLink.belongsTo(AffiliateProgram, {
+    foreignKey: "program_id",
+    as: "program",
+  });
+  AffiliateLink.hasMany(AffiliateClick, {
+    foreignKey: "link_id",
+    as: "clicks",
+  });
+  AffiliateClick.belongsTo(AffiliateLink, {
+    foreignKey: "link_id",
+    as: "link",
+  });
+  AffiliateProgram.hasMany(AffiliateReferral, {
+    foreignKey: "program_id",
+    as: "referrals",
+  });
+  AffiliateReferral.belongsTo(AffiliateProgram, {
+    foreignKey: "program_id",
+    as: "program",
+  });
+  AffiliateLink.hasMany(AffiliateReferral, {
+    foreignKey: "link_id",
+    as: "referrals",
+  });
+  AffiliateReferral.belongsTo(AffiliateLink, {
+    foreignKey: "link_id",
+    as: "link",
+  });
+  AffiliateReferral.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+
+  // ============================================
+  // WEBHOOK ASSOCIATIONS
+  // ============================================
+  TutorWebhook.hasMany(WebhookDelivery, {
+    foreignKey: "webhook_id",
+    as: "deliveries",
+  });
+  WebhookDelivery.belongsTo(TutorWebhook, {
+    foreignKey: "webhook_id",
+    as: "webhook",
+  });
+
+  // ============================================
+  // CERTIFICATE ASSOCIATIONS
+  // ============================================
+  Courses.hasOne(CertificateTemplate, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "certificateTemplate",
+  });
+  CertificateTemplate.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  CourseCertificate.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  CourseCertificate.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+
+  // ============================================
+  // REFUND ASSOCIATIONS
+  // ============================================
+  RefundRequest.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+  RefundRequest.belongsTo(Invoice, {
+    foreignKey: "credit_note_id",
+    constraints: false,
+    as: "creditNote",
+  });
+  Invoice.belongsTo(Invoice, {
+    foreignKey: "original_invoice_id",
+    constraints: false,
+    as: "originalInvoice",
+  });
+
+  // ============================================
+  // GRADEBOOK ASSOCIATIONS
+  // ============================================
+  GradingScale.belongsTo(Program, {
+    foreignKey: "program_id",
+    constraints: false,
+    as: "program",
+  });
+  GradebookConfig.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  GradebookConfig.hasMany(GradebookEntry, {
+    foreignKey: "gradebook_config_id",
+    constraints: false,
+    as: "entries",
+  });
+  GradebookEntry.belongsTo(GradebookConfig, {
+    foreignKey: "gradebook_config_id",
+    constraints: false,
+    as: "config",
+  });
+  GradebookEntry.belongsTo(CourseReg, {
+    foreignKey: "course_reg_id",
+    constraints: false,
+    as: "courseReg",
+  });
+  GradebookEntry.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+  GradebookEntry.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  GradebookEntry.hasMany(GradeAuditLog, {
+    foreignKey: "gradebook_entry_id",
+    constraints: false,
+    as: "auditLogs",
+  });
+  Transcript.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+  AcademicStanding.belongsTo(Students, {
+    foreignKey: "student_id",
+    constraints: false,
+    as: "student",
+  });
+
+  // ============================================
+  // REGISTRATION RULES ASSOCIATIONS
+  // ============================================
+  CourseRequisite.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  CourseRequisite.belongsTo(Courses, {
+    foreignKey: "required_course_id",
+    constraints: false,
+    as: "requiredCourse",
+  });
+  CreditLoadRule.belongsTo(Program, {
+    foreignKey: "program_id",
+    constraints: false,
+    as: "program",
+  });
+
+  // ============================================
+  // TIMETABLE ASSOCIATIONS
+  // ============================================
+  TimetableSlot.belongsTo(Courses, {
+    foreignKey: "course_id",
+    constraints: false,
+    as: "course",
+  });
+  TimetableSlot.belongsTo(Staff, {
+    foreignKey: "staff_id",
+    constraints: false,
+    as: "staff",
+  });
 };
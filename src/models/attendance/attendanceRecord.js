@@ -0,0 +1,98 @@
+/**
+ * Attendance Record Model
+ * One row per person per live class (staff video call or coaching session).
+ * The row is opened when the person gets a join token; Stream webhooks then add
+ * join/leave intervals: [{ connection, joined_at, left_at }] (one per device connection).
+ * status is only set when staff mark attendance by hand; otherwise it is worked out
+ * from the intervals (services/attendanceService.js).
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const ATTENDANCE_SESSION_TYPES = ["video_call", "coaching_session"];
+export const ATTENDANCE_STATUSES = ["present", "late", "absent", "excused"];
+
+export const AttendanceRecord = db.define(
+  "AttendanceRecord",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    session_type: {
+      type: DataTypes.ENUM(...ATTENDANCE_SESSION_TYPES),
+      allowNull: false,
+    },
+    session_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: "video_calls.id (UUID) or coaching_sessions.id",
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Course of the video call, if any",
+    },
+    user_type: {
+      type: DataTypes.ENUM("staff", "student"),
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    first_joined_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_left_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    duration_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Time in the call, overlapping connections counted once",
+    },
+    intervals: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    status: {
+      type: DataTypes.ENUM(...ATTENDANCE_STATUSES),
+      allowNull: true,
+      comment: "Manual mark; null = from join/leave times",
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    marked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    marked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "attendance_records",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["session_type", "session_id", "user_type", "user_id"],
+      },
+      {
+        fields: ["course_id", "user_id"],
+      },
+    ],
+  }
+);
@@ -0,0 +1 @@
+export { AttendanceRecord, ATTENDANCE_SESSION_TYPES, ATTENDANCE_STATUSES } from "./attendanceRecord.js";
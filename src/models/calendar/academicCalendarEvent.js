@@ -0,0 +1,70 @@
+/**
+ * Academic Calendar Event Model
+ * Dated periods of a semester: lecture weeks, CA windows, exam period, holidays...
+ * Dates are whole days in Config.calendar.timezone. Holidays are left out of the
+ * weekly timetable in calendar feeds.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const CALENDAR_EVENT_TYPES = [
+  "lecture_weeks",
+  "ca_window",
+  "exam_period",
+  "holiday",
+  "registration",
+  "other",
+];
+
+export const AcademicCalendarEvent = db.define(
+  "AcademicCalendarEvent",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    semester_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.ENUM(...CALENDAR_EVENT_TYPES),
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: "Inclusive",
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "academic_calendar_events",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["semester_id", "start_date"],
+      },
+    ],
+  }
+);
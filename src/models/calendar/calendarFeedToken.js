@@ -0,0 +1,48 @@
+/**
+ * Calendar Feed Token Model
+ * Secret token in a user's iCalendar feed URL (calendar apps cannot send a JWT).
+ * Resetting the token replaces the row, so old URLs stop working.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const CalendarFeedToken = db.define(
+  "CalendarFeedToken",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    user_type: {
+      type: DataTypes.ENUM("student", "staff"),
+      allowNull: false,
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "calendar_feed_tokens",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["user_type", "user_id"],
+      },
+    ],
+  }
+);
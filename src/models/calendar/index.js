@@ -0,0 +1,3 @@
+export { AcademicCalendarEvent, CALENDAR_EVENT_TYPES } from "./academicCalendarEvent.js";
+export { TimetableSlot } from "./timetableSlot.js";
+export { CalendarFeedToken } from "./calendarFeedToken.js";
@@ -0,0 +1,87 @@
+/**
+ * Timetable Slot Model
+ * One weekly class of a course offering (academic_year + semester, as in course_reg).
+ * Times are local clock times in Config.calendar.timezone.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const TimetableSlot = db.define(
+  "TimetableSlot",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    academic_year: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "e.g. 2025/2026",
+    },
+    semester: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "'1ST' or '2ND'",
+    },
+    day_of_week: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "1 = Monday ... 7 = Sunday",
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false,
+    },
+    mode: {
+      type: DataTypes.ENUM("in_person", "online"),
+      allowNull: false,
+      defaultValue: "in_person",
+    },
+    venue: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+    },
+    online_link: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    staff_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Teaching staff; null = the course's staff",
+    },
+    notes: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "timetable_slots",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["academic_year", "semester", "day_of_week"],
+      },
+      {
+        fields: ["course_id"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,53 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Registration rule between two courses (services/courseRegistrationRulesService.js).
+ * prerequisite: required_course_id must already be passed.
+ * corequisite: required_course_id must be passed, or registered in the same semester.
+ */
+export const CourseRequisite = db.define(
+  "CourseRequisite",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Course that has the requirement",
+    },
+    required_course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Course that must be passed / taken alongside",
+    },
+    type: {
+      type: DataTypes.ENUM("prerequisite", "corequisite"),
+      allowNull: false,
+      defaultValue: "prerequisite",
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "course_requisites",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["course_id", "required_course_id"],
+      },
+      {
+        fields: ["required_course_id"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,52 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Minimum / maximum credit units (Courses.course_unit) a student may register in a semester.
+ * program_id / semester null = applies to every program / both semesters; the most
+ * specific matching rule wins.
+ */
+export const CreditLoadRule = db.define(
+  "CreditLoadRule",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    semester: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "'1ST' or '2ND'; null = both",
+    },
+    min_units: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    max_units: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "credit_load_rules",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    // One rule per program/semester (unique on COALESCE in the migration, nulls included)
+    indexes: [
+      {
+        fields: ["program_id", "semester"],
+      },
+    ],
+  }
+);
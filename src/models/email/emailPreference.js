@@ -15,7 +15,7 @@ export const EmailPreference = db.define(
       comment: "ID of the user (student or staff)",
     },
     user_type: {
-      type: DataTypes.ENUM("student", "staff"),
+      type: DataTypes.ENUM("student", "staff", "sole_tutor", "organization", "organization_user"),
       allowNull: false,
       defaultValue: "student",
       comment: "Type of user",
@@ -56,6 +56,65 @@ export const EmailPreference = db.define(
       defaultValue: true,
       comment: "Receive notifications for discussion replies",
     },
+    receive_purchase_notifications: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Receive confirmations of own marketplace purchases",
+    },
+    receive_sale_notifications: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Tutors: receive a notification for each sale",
+    },
+    receive_booking_notifications: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Receive coaching booking requests and status changes",
+    },
+    receive_payout_notifications: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Tutors: receive payout completed / failed notifications",
+    },
+    receive_mention_notifications: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Receive notifications when mentioned in a community",
+    },
+    receive_session_reminders: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Receive reminders before coaching sessions, audio sessions and events",
+    },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: "IANA timezone for dates in notifications; UTC (or the event's timezone) when null",
+    },
+    in_app_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Channel: keep notifications in the in-app inbox",
+    },
+    realtime_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Channel: push notifications live over Socket.IO",
+    },
+    email_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Channel: send notification emails",
+    },
   },
   {
     tableName: "email_preferences",
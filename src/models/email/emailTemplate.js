@@ -0,0 +1,39 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Admin override of a file template in src/templates/emails (services/emailTemplateService.js).
+ * Points at the active EmailTemplateVersion; no row, or a null version, means the file is used.
+ */
+export const EmailTemplate = db.define(
+  "EmailTemplate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    template_key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: "File name without .html, e.g. welcome, exam-reminder",
+    },
+    active_version: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Version in email_template_versions that is sent; null = default file",
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin who last saved, rolled back or reset the template",
+    },
+  },
+  {
+    tableName: "email_templates",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  }
+);
@@ -0,0 +1,56 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Saved revision of an email template. Rows are never changed: a rollback makes an
+ * older version active again, and the next save gets a new version number.
+ */
+export const EmailTemplateVersion = db.define(
+  "EmailTemplateVersion",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    template_key: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: "Subject template, may use {{placeholders}}",
+    },
+    html_body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Change description",
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "email_template_versions",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ["template_key", "version"],
+      },
+    ],
+  }
+);
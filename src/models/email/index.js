@@ -1,3 +1,5 @@
 export { EmailLog } from "./emailLog.js";
 export { EmailPreference } from "./emailPreference.js";
 
+export { EmailTemplate } from "./emailTemplate.js";
+export { EmailTemplateVersion } from "./emailTemplateVersion.js";
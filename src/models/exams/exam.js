@@ -87,6 +87,12 @@ export const Exam = dbLibrary.define(
       defaultValue: 3,
       comment: "Maximum number of attempts allowed per student (null = unlimited)",
     },
+    proctoring_policy: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment:
+        "{ enabled, counted_events, action: 'warn'|'auto_submit', max_violations } (null = proctoring off)",
+    },
     created_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -0,0 +1,74 @@
+import { DataTypes } from "sequelize";
+import { dbLibrary } from "../../database/database.js";
+
+export const ExamAccommodation = dbLibrary.define(
+  "exam_accommodations",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    exam_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to exams.id",
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+      comment: "e.g. 'Extra time (disability support)', 'Resit window - medical'",
+    },
+    student_ids: {
+      type: DataTypes.ARRAY(DataTypes.INTEGER),
+      allowNull: false,
+      comment: "Students covered (one for a personal accommodation, several for a group)",
+    },
+    extra_time_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Added to the exam duration, e.g. 25 = 25% more time",
+    },
+    start_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Alternate window start (null = no alternate window)",
+    },
+    end_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Alternate window end",
+    },
+    extra_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    created_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "exam_accommodations",
+    timestamps: false,
+    indexes: [{ fields: ["exam_id"] }],
+  }
+);
@@ -57,6 +57,38 @@ export const ExamAttempt = dbLibrary.define(
       allowNull: true,
       comment: "staff_id who finalized grading",
     },
+    time_limit_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Duration allowed for this attempt, including any extra time",
+    },
+    due_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "started_at + time_limit_minutes; answers are refused after this",
+    },
+    violation_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Proctoring events that count against the exam's policy",
+    },
+    start_ip: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: "IP address the attempt was started from",
+    },
+    client_session_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "First exam client session seen; others are reported as concurrent sessions",
+    },
+    auto_submitted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Submitted by the proctoring policy rather than the student",
+    },
   },
   {
     tableName: "exam_attempts",
@@ -0,0 +1,78 @@
+import { DataTypes } from "sequelize";
+import { dbLibrary } from "../../database/database.js";
+
+export const ExamProctoringEvent = dbLibrary.define(
+  "exam_proctoring_events",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true,
+    },
+    attempt_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to exam_attempts.id",
+    },
+    exam_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to exams.id",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to students.id in LMS DB (soft reference)",
+    },
+    event_type: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      comment:
+        "tab_blur, tab_focus, fullscreen_exit, fullscreen_enter, copy, paste, ip_change, concurrent_session, ...",
+    },
+    source: {
+      type: DataTypes.ENUM("client", "server"),
+      allowNull: false,
+      defaultValue: "client",
+      comment: "client = reported by the exam page, server = detected by the API",
+    },
+    is_violation: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Counted against the exam's proctoring policy",
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+    ip_address: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    session_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Exam client session that reported the event",
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: "Client time of the event (server time for server events)",
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "exam_proctoring_events",
+    timestamps: false,
+    indexes: [{ fields: ["attempt_id", "occurred_at"] }, { fields: ["exam_id"] }],
+  }
+);
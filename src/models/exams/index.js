@@ -7,6 +7,8 @@ export { ExamItem } from "./examItem.js";
 export { ExamAttempt } from "./examAttempt.js";
 export { ExamAnswerObjective } from "./examAnswerObjective.js";
 export { ExamAnswerTheory } from "./examAnswerTheory.js";
+export { ExamProctoringEvent } from "./examProctoringEvent.js";
+export { ExamAccommodation } from "./examAccommodation.js";
 
 // Import for associations
 import { QuestionBank } from "./questionBank.js";
@@ -17,6 +19,8 @@ import { ExamItem } from "./examItem.js";
 import { ExamAttempt } from "./examAttempt.js";
 import { ExamAnswerObjective } from "./examAnswerObjective.js";
 import { ExamAnswerTheory } from "./examAnswerTheory.js";
+import { ExamProctoringEvent } from "./examProctoringEvent.js";
+import { ExamAccommodation } from "./examAccommodation.js";
 import { Students } from "../auth/student.js";
 
 // Associations
@@ -93,6 +97,26 @@ export function setupExamAssociations() {
     as: "examItem",
   });
 
+  // ExamAttempt has many proctoring events
+  ExamAttempt.hasMany(ExamProctoringEvent, {
+    foreignKey: "attempt_id",
+    as: "proctoringEvents",
+  });
+  ExamProctoringEvent.belongsTo(ExamAttempt, {
+    foreignKey: "attempt_id",
+    as: "attempt",
+  });
+
+  // Exam has many accommodations (per-student or group overrides)
+  Exam.hasMany(ExamAccommodation, {
+    foreignKey: "exam_id",
+    as: "accommodations",
+  });
+  ExamAccommodation.belongsTo(Exam, {
+    foreignKey: "exam_id",
+    as: "exam",
+  });
+
   // ExamAttempt belongsTo Student (cross-DB soft reference - no DB constraint)
   ExamAttempt.belongsTo(Students, {
     foreignKey: "student_id",
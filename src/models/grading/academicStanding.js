@@ -0,0 +1,83 @@
+/**
+ * Academic Standing Model
+ * End-of-session decision for a student (one row per academic year), taken when the
+ * student first registers in the following session.
+ * standing: good (progressed) | probation (repeats the level) | withdrawn (cannot register)
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const AcademicStanding = db.define(
+  "AcademicStanding",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    academic_year: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "Session the decision is about",
+    },
+    level: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      comment: "Level during that session",
+    },
+    gpa: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: true,
+      comment: "Session GPA",
+    },
+    cgpa: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: true,
+    },
+    carry_over_units: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    carry_over_courses: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "[{ course_id, course_code, course_unit }]",
+    },
+    standing: {
+      type: DataTypes.ENUM("good", "probation", "withdrawn"),
+      allowNull: false,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    decided_by_type: {
+      type: DataTypes.ENUM("system", "admin"),
+      allowNull: false,
+      defaultValue: "system",
+    },
+    decided_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "academic_standings",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["student_id", "academic_year"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,73 @@
+/**
+ * Grade Audit Log Model
+ * Every change to a gradebook mark: sync from exams/quizzes, manual override, publish.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const GradeAuditLog = db.define(
+  "GradeAuditLog",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    gradebook_entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    course_reg_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    action: {
+      type: DataTypes.ENUM("sync", "override", "clear_override", "publish"),
+      allowNull: false,
+    },
+    field: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "first_ca | second_ca | third_ca | exam_score (null for publish)",
+    },
+    old_value: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+    },
+    new_value: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    changed_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    changed_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "grade_audit_logs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      { fields: ["gradebook_entry_id"] },
+      { fields: ["course_id"] },
+    ],
+  }
+);
@@ -0,0 +1,91 @@
+/**
+ * Gradebook Config Model
+ * Weighting and score sources for one course offering (course + academic year + semester).
+ * Weights are the maximum marks of each course_reg column and must add up to 100.
+ * sources: { first_ca: { type: "quiz", ids: [..] }, exam_score: { type: "exam", ids: [..] }, ... }
+ * A component without a source is entered manually.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const GradebookConfig = db.define(
+  "GradebookConfig",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    academic_year: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    semester: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    first_ca_weight: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 10,
+    },
+    second_ca_weight: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 10,
+    },
+    third_ca_weight: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 10,
+    },
+    exam_weight: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 70,
+    },
+    sources: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+    status: {
+      type: DataTypes.ENUM("draft", "published"),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    last_synced_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    published_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    published_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "gradebook_configs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["course_id", "academic_year", "semester"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,108 @@
+/**
+ * Gradebook Entry Model
+ * One row per course registration. Holds the working (unpublished) marks;
+ * publishing copies them into course_reg and makes the grade visible to the student.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const GRADE_COMPONENTS = ["first_ca", "second_ca", "third_ca", "exam_score"];
+
+export const GradebookEntry = db.define(
+  "GradebookEntry",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    course_reg_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+    },
+    gradebook_config_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    academic_year: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    semester: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    first_ca: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    second_ca: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    third_ca: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    exam_score: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    grade: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+    },
+    grade_point: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true,
+    },
+    remark: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    overridden_fields: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Components set by hand; sync leaves them alone",
+    },
+    status: {
+      type: DataTypes.ENUM("draft", "published"),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    published_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "gradebook_entries",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      { fields: ["gradebook_config_id"] },
+      { fields: ["student_id", "academic_year", "semester"] },
+    ],
+  }
+);
@@ -0,0 +1,60 @@
+/**
+ * Grading Scale Model
+ * Letter-grade bands per program (program_id null = institution default).
+ * bands: [{ grade: "A", min: 70, point: 5, remark: "Excellent" }, ...]
+ * A total gets the band with the highest min it reaches.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const DEFAULT_GRADE_BANDS = [
+  { grade: "A", min: 70, point: 5, remark: "Excellent" },
+  { grade: "B", min: 60, point: 4, remark: "Very Good" },
+  { grade: "C", min: 50, point: 3, remark: "Good" },
+  { grade: "D", min: 45, point: 2, remark: "Fair" },
+  { grade: "E", min: 40, point: 1, remark: "Pass" },
+  { grade: "F", min: 0, point: 0, remark: "Fail" },
+];
+
+export const GradingScale = db.define(
+  "GradingScale",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      unique: true,
+      comment: "Null = default scale for programs without their own",
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+    bands: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_GRADE_BANDS,
+    },
+    pass_mark: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 40,
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+  },
+  {
+    tableName: "grading_scales",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+  }
+);
@@ -0,0 +1,6 @@
+export { GradingScale, DEFAULT_GRADE_BANDS } from "./gradingScale.js";
+export { GradebookConfig } from "./gradebookConfig.js";
+export { GradebookEntry, GRADE_COMPONENTS } from "./gradebookEntry.js";
+export { GradeAuditLog } from "./gradeAuditLog.js";
+export { Transcript } from "./transcript.js";
+export { AcademicStanding } from "./academicStanding.js";
@@ -0,0 +1,108 @@
+/**
+ * Transcript Model
+ * An issued academic transcript. The full record (courses, GPA per semester, CGPA)
+ * is snapshotted at issue time; content_hash is the SHA-256 of that snapshot and is
+ * printed on the PDF next to the verification code.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const Transcript = db.define(
+  "Transcript",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    verification_code: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: "Public verification code (e.g. TRN-2026-7K3QX9M2)",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    student_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    matric_number: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    program_title: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    cgpa: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total_units: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: "Academic record at issue time (see transcriptService.computeAcademicRecord)",
+    },
+    content_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("active", "revoked"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    issued_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: "student | admin",
+    },
+    issued_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID",
+    },
+    revocation_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "transcripts",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["verification_code"],
+      },
+      {
+        fields: ["student_id", "content_hash"],
+      },
+    ],
+  }
+);
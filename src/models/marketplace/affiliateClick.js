@@ -0,0 +1,82 @@
+/**
+ * Affiliate Click Model
+ * A visit to a product or sales page through an affiliate link
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const AffiliateClick = db.define(
+  "AffiliateClick",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    link_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Affiliate Link ID",
+    },
+    program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Affiliate Program ID",
+    },
+    visitor_token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: "Random token stored in the visitor's affiliate cookie",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Student ID if signed in when clicking",
+    },
+    source: {
+      type: DataTypes.ENUM("sales_page", "product_link"),
+      allowNull: false,
+      comment: "Page the click landed on",
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    user_agent: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    referrer: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "HTTP referrer URL",
+    },
+    converted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Whether a purchase was attributed to this click",
+    },
+  },
+  {
+    tableName: "affiliate_clicks",
+    timestamps: true,
+    createdAt: "clicked_at",
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ["link_id"],
+      },
+      {
+        fields: ["program_id", "clicked_at"],
+      },
+      {
+        fields: ["visitor_token"],
+      },
+      {
+        fields: ["student_id"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,71 @@
+/**
+ * Affiliate Link Model
+ * A learner's or tutor's referral code for one affiliate program
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const AffiliateLink = db.define(
+  "AffiliateLink",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Affiliate Program ID",
+    },
+    affiliate_type: {
+      type: DataTypes.ENUM("student", "sole_tutor", "organization"),
+      allowNull: false,
+      comment: "Who earns the commission",
+    },
+    affiliate_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Student, sole tutor or organization ID",
+    },
+    code: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      unique: true,
+      comment: "Referral code sent as ?ref= on product and sales page links",
+    },
+    status: {
+      type: DataTypes.ENUM("active", "disabled"),
+      allowNull: false,
+      defaultValue: "active",
+      comment: "Disabled links are no longer tracked",
+    },
+    clicks_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    conversions_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    tableName: "affiliate_links",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["program_id", "affiliate_type", "affiliate_id"],
+        name: "unique_affiliate_link_per_program",
+      },
+      {
+        fields: ["affiliate_type", "affiliate_id"],
+      },
+    ],
+  }
+);
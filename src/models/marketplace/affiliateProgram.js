@@ -0,0 +1,98 @@
+/**
+ * Affiliate Program Model
+ * Affiliate settings a tutor/organization enables on one of their products
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const AffiliateProgram = db.define(
+  "AffiliateProgram",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+      comment: "Product owner type",
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Product owner ID",
+    },
+    product_type: {
+      type: DataTypes.ENUM(
+        "course",
+        "ebook",
+        "digital_download",
+        "community",
+        "membership",
+        "bundle"
+      ),
+      allowNull: false,
+      comment: "Type of product",
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID of the product",
+    },
+    commission_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      comment: "Affiliate commission, % of the price paid",
+    },
+    cookie_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      comment: "Days after a click during which a purchase is attributed to it",
+    },
+    hold_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 14,
+      comment: "Days a commission is held before it is credited (refund window)",
+    },
+    audience: {
+      type: DataTypes.ENUM("all", "learners", "tutors"),
+      allowNull: false,
+      defaultValue: "all",
+      comment: "Who can join as an affiliate",
+    },
+    terms: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "Terms shown to affiliates",
+    },
+    status: {
+      type: DataTypes.ENUM("active", "paused"),
+      allowNull: false,
+      defaultValue: "active",
+      comment: "Paused programs record no new clicks or commissions",
+    },
+  },
+  {
+    tableName: "affiliate_programs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["product_type", "product_id"],
+        name: "unique_affiliate_program_product",
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,143 @@
+/**
+ * Affiliate Referral Model
+ * A purchase attributed to an affiliate link and the commission it earns.
+ * Commissions stay pending until hold_until, then are paid to the affiliate's wallet
+ * (or cancelled if the purchase is refunded first).
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const AffiliateReferral = db.define(
+  "AffiliateReferral",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    program_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Affiliate Program ID",
+    },
+    link_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Affiliate Link ID",
+    },
+    click_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Click the purchase was attributed to",
+    },
+    affiliate_type: {
+      type: DataTypes.ENUM("student", "sole_tutor", "organization"),
+      allowNull: false,
+    },
+    affiliate_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+      comment: "Product owner (pays the commission)",
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Buyer",
+    },
+    product_type: {
+      type: DataTypes.ENUM(
+        "course",
+        "ebook",
+        "digital_download",
+        "community",
+        "membership",
+        "bundle"
+      ),
+      allowNull: false,
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    order_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Price paid, in currency",
+    },
+    currency: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: "NGN",
+    },
+    commission_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      comment: "Program rate at the time of purchase",
+    },
+    commission_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Commission in currency",
+    },
+    payment_reference: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      comment: "Reference of the purchase (wallet debit ref)",
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "paid", "cancelled"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    hold_until: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "Commission is paid on or after this date",
+    },
+    paid_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    cancel_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "affiliate_referrals",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["program_id"],
+      },
+      {
+        fields: ["link_id"],
+      },
+      {
+        fields: ["affiliate_type", "affiliate_id"],
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+      {
+        fields: ["status", "hold_until"],
+      },
+    ],
+  }
+);
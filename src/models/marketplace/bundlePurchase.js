@@ -0,0 +1,96 @@
+/**
+ * Bundle Purchase Model
+ * A learner's purchase of a product bundle and its revenue split.
+ * The included products are granted through their own access records
+ * (course_reg, ebook_purchases, ...) referencing transaction_ref.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const BundlePurchase = db.define(
+  "BundlePurchase",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    bundle_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to product_bundles table",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "FK to students table - who purchased",
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Price student paid for the bundle",
+    },
+    currency: {
+      type: DataTypes.STRING(5),
+      allowNull: false,
+      defaultValue: "NGN",
+    },
+    commission_rate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      comment: "WPU commission percentage at time of purchase",
+    },
+    wsp_commission: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Amount WPU receives as commission",
+    },
+    tutor_earnings: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Amount tutor/organization receives",
+    },
+    status: {
+      type: DataTypes.ENUM("completed", "refunded"),
+      allowNull: false,
+      defaultValue: "completed",
+    },
+    transaction_ref: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: "Unique transaction reference",
+    },
+    granted_products: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Products granted by this purchase: [{ product_type, product_id, already_owned }]",
+    },
+  },
+  {
+    tableName: "bundle_purchases",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["student_id"],
+      },
+      {
+        fields: ["bundle_id"],
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+    ],
+  }
+);
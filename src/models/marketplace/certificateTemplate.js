@@ -0,0 +1,84 @@
+/**
+ * Certificate Template Model
+ * Per-course certificate wording and branding set by the course owner
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const CertificateTemplate = db.define(
+  "CertificateTemplate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      comment: "Course this template belongs to (one template per course)",
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING(150),
+      allowNull: false,
+      defaultValue: "Certificate of Completion",
+    },
+    body_text: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment:
+        "Text under the learner name. Placeholders: {{learner_name}}, {{course_title}}, {{issuer_name}}, {{completion_date}}",
+    },
+    signatory_name: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+    },
+    signatory_title: {
+      type: DataTypes.STRING(150),
+      allowNull: true,
+    },
+    accent_color: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      defaultValue: "#1F3A93",
+      comment: "Hex colour used for the border and headings",
+    },
+    show_logo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Include the organization logo / tutor photo",
+    },
+    is_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "When false, no certificates are issued for this course",
+    },
+  },
+  {
+    tableName: "certificate_templates",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["course_id"],
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+    ],
+  }
+);
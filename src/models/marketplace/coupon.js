@@ -0,0 +1,113 @@
+/**
+ * Coupon Model
+ * Discount codes created by tutors/organizations and applied by learners at checkout
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const Coupon = db.define(
+  "Coupon",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+      comment: "Type of tutor who owns the coupon",
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID of sole tutor or organization",
+    },
+    code: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: "Code entered by learners (stored uppercase)",
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    discount_type: {
+      type: DataTypes.ENUM("percentage", "fixed"),
+      allowNull: false,
+      comment: "percentage = % off the price, fixed = amount off in coupon currency",
+    },
+    discount_value: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Percentage (1-100) or fixed amount",
+    },
+    currency: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: "Currency of a fixed discount (null for percentage coupons)",
+    },
+    product_type: {
+      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership"),
+      allowNull: true,
+      comment: "Restrict to a product type (null = store-wide)",
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Restrict to a single product (requires product_type)",
+    },
+    max_redemptions: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Total usage cap (null = unlimited)",
+    },
+    max_redemptions_per_learner: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: "How many times one learner can use the coupon",
+    },
+    redemption_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("active", "inactive"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+  },
+  {
+    tableName: "coupons",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["code"],
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+      {
+        fields: ["product_type", "product_id"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,78 @@
+/**
+ * Coupon Redemption Model
+ * One row per purchase that used a coupon
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const CouponRedemption = db.define(
+  "CouponRedemption",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    coupon_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: "coupons", key: "id" },
+      onDelete: "CASCADE",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    product_type: {
+      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership"),
+      allowNull: false,
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    original_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Product price before discount (product currency)",
+    },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Discount applied (product currency)",
+    },
+    final_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Price after discount (product currency)",
+    },
+    currency: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: "NGN",
+    },
+    payment_reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: "Wallet/payment reference of the purchase",
+    },
+  },
+  {
+    tableName: "coupon_redemptions",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ["coupon_id"],
+      },
+      {
+        fields: ["coupon_id", "student_id"],
+      },
+      {
+        fields: ["product_type", "product_id"],
+      },
+    ],
+  }
+);
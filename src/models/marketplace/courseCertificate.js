@@ -0,0 +1,109 @@
+/**
+ * Course Certificate Model
+ * Issued when a learner completes a course. Names are snapshotted at issue time
+ * so later profile/course edits do not change an issued certificate.
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const CourseCertificate = db.define(
+  "CourseCertificate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    serial: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: "Public verification serial (e.g. CERT-2026-7K3QX9M2)",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    course_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    course_progress_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization", "wpu"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    learner_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    course_title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    issuer_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    status: {
+      type: DataTypes.ENUM("active", "revoked"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin ID who revoked the certificate",
+    },
+    revocation_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "course_certificates",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["serial"],
+      },
+      {
+        unique: true,
+        fields: ["student_id", "course_id"],
+      },
+      {
+        fields: ["course_id"],
+      },
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
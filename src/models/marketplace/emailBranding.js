@@ -0,0 +1,62 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Logo, colors and footer a tutor/organization applies to emails sent to their learners
+ * (tutor messages, booking and reminder emails). See services/emailTemplateService.js.
+ */
+export const EmailBranding = db.define(
+  "EmailBranding",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    sender_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Email \"from\" name; defaults to the platform sender name",
+    },
+    logo_url: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: "HTTPS image shown in the email header; organizations fall back to their logo",
+    },
+    primary_color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      comment: "#rrggbb",
+    },
+    secondary_color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      comment: "#rrggbb, second color of the header gradient",
+    },
+    footer_text: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "Plain text footer (address, links); replaces the platform footer",
+    },
+  },
+  {
+    tableName: "email_brandings",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["owner_type", "owner_id"],
+      },
+    ],
+  }
+);
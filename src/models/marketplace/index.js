@@ -56,9 +56,18 @@ export { CurrencyConversion } from "./currencyConversion.js";
 // Product Reviews exports
 export { ProductReview } from "./productReview.js";
 export { ReviewHelpfulVote } from "./reviewHelpfulVote.js";
+export { ReviewReport } from "./reviewReport.js";
 // Store exports
 export { StoreCart } from "./storeCart.js";
 export { StoreCartItem } from "./storeCartItem.js";
+// Coupon exports
+export { Coupon } from "./coupon.js";
+export { CouponRedemption } from "./couponRedemption.js";
+// Certificate exports
+export { CertificateTemplate } from "./certificateTemplate.js";
+export { CourseCertificate } from "./courseCertificate.js";
+// Refund exports
+export { RefundRequest } from "./refundRequest.js";
 // Sales Page exports
 export { ProductSalesPage } from "./productSalesPage.js";
 export { SalesPageView } from "./salesPageView.js";
@@ -88,4 +97,19 @@ export { TicketedEvent } from "./ticketedEvent.js";
 export { EventTicketTier } from "./eventTicketTier.js";
 export { EventTicketOrder } from "./eventTicketOrder.js";
 export { EventTicket } from "./eventTicket.js";
-
+// Product bundles
+export { ProductBundle } from "./productBundle.js";
+export { ProductBundleItem } from "./productBundleItem.js";
+export { BundlePurchase } from "./bundlePurchase.js";
+// Affiliates
+export { AffiliateProgram } from "./affiliateProgram.js";
+export { AffiliateLink } from "./affiliateLink.js";
+export { AffiliateClick } from "./affiliateClick.js";
+export { AffiliateReferral } from "./affiliateReferral.js";
+// Webhooks
+export { TutorWebhook } from "./tutorWebhook.js";
+export { WebhookDelivery } from "./webhookDelivery.js";
+// Org API keys
+export { OrgApiKey } from "./orgApiKey.js";
+// Email branding
+export { EmailBranding } from "./emailBranding.js";
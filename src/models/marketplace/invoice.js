@@ -33,7 +33,8 @@ export const Invoice = db.define(
         "community",
         "membership",
         "coaching_session",
-        "coaching_hours"
+        "coaching_hours",
+        "bundle"
       ),
       allowNull: false,
       comment: "Type of product purchased",
@@ -150,6 +151,17 @@ export const Invoice = db.define(
       allowNull: true,
       comment: "Type of tutor",
     },
+    document_type: {
+      type: DataTypes.ENUM("invoice", "credit_note"),
+      allowNull: false,
+      defaultValue: "invoice",
+      comment: "credit_note = negative document issued on refund",
+    },
+    original_invoice_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Invoice a credit note reverses",
+    },
   },
   {
     tableName: "invoices",
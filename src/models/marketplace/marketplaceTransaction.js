@@ -34,6 +34,17 @@ export const MarketplaceTransaction = db.define(
       allowNull: false,
       comment: "Price student paid for course",
     },
+    discount_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Coupon discount taken off the list price (course_price is after discount)",
+    },
+    coupon_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "FK to coupons table - coupon redeemed on this purchase",
+    },
     currency: {
       type: DataTypes.STRING(5),
       allowNull: false,
@@ -0,0 +1,102 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * Scoped API keys that let an organization call the /api/v1/org REST API.
+ * Only the SHA-256 hash is stored; the key is shown once when created.
+ */
+export const OrgApiKey = db.define(
+  "OrgApiKey",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    organization_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "Label chosen by the organization, e.g. 'Salesforce sync'",
+    },
+    key_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: "SHA-256 hex of the full key",
+    },
+    key_hint: {
+      type: DataTypes.STRING(8),
+      allowNull: false,
+      comment: "Last 4 characters (safe to show in lists)",
+    },
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "learners:read, sales:read, enrollments:write",
+    },
+    rate_limit_per_minute: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60,
+      validate: { min: 1, max: 600 },
+    },
+    status: {
+      type: DataTypes.ENUM("active", "revoked"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    usage_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    created_by_type: {
+      type: DataTypes.ENUM("organization", "organization_user"),
+      allowNull: false,
+    },
+    created_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    revoked_by_type: {
+      type: DataTypes.ENUM("organization", "organization_user", "admin"),
+      allowNull: true,
+    },
+    revoked_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "org_api_keys",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["organization_id"],
+      },
+    ],
+  }
+);
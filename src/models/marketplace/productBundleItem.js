@@ -0,0 +1,55 @@
+/**
+ * Product Bundle Item Model
+ * A product included in a bundle
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const ProductBundleItem = db.define(
+  "ProductBundleItem",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    bundle_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Product Bundle ID",
+    },
+    product_type: {
+      type: DataTypes.ENUM("course", "ebook", "digital_download", "community"),
+      allowNull: false,
+      comment: "Type of product",
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID of the product",
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Position in the learning path",
+    },
+  },
+  {
+    tableName: "product_bundle_items",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["bundle_id", "product_type", "product_id"],
+        name: "unique_bundle_product",
+      },
+      {
+        fields: ["product_type", "product_id"],
+      },
+    ],
+  }
+);
@@ -55,10 +55,50 @@ export const ProductReview = db.define(
       comment: "Number of users who found this review helpful",
     },
     status: {
-      type: DataTypes.ENUM("pending", "approved", "rejected", "hidden"),
+      type: DataTypes.ENUM("pending", "approved", "rejected", "hidden", "flagged"),
       allowNull: false,
       defaultValue: "pending",
-      comment: "Review moderation status (pending = auto-approved for now, can add moderation later)",
+      comment:
+        "Review moderation status (pending = held for moderation, flagged = removed by an admin for abuse). Only approved reviews are public",
+    },
+    moderation_flags: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Why the review was held automatically (e.g. ['profanity', 'links', 'reported'])",
+    },
+    moderation_reasons: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Abuse reasons chosen by the admin when rejecting or flagging",
+    },
+    moderation_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "Admin note from the last moderation decision",
+    },
+    moderated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin who made the last moderation decision",
+    },
+    moderated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    report_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Number of learner reports",
+    },
+    tutor_reply: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "Public reply from the product owner",
+    },
+    tutor_replied_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
     },
     is_verified_purchase: {
       type: DataTypes.BOOLEAN,
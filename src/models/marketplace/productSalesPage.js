@@ -15,7 +15,7 @@ export const ProductSalesPage = db.define(
       autoIncrement: true,
     },
     product_type: {
-      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership"),
+      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership", "bundle"),
       allowNull: false,
       comment: "Type of product",
     },
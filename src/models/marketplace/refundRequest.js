@@ -0,0 +1,166 @@
+/**
+ * Refund Request Model
+ * Learner refund requests and admin-recorded chargebacks for marketplace purchases.
+ * purchase_id points at the record the money was taken for (see product_type comment).
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const RefundRequest = db.define(
+  "RefundRequest",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    kind: {
+      type: DataTypes.ENUM("refund", "chargeback"),
+      allowNull: false,
+      defaultValue: "refund",
+      comment: "chargeback = money already returned by the card network (no wallet credit)",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Null for guest event ticket orders",
+    },
+    product_type: {
+      type: DataTypes.ENUM(
+        "course",
+        "ebook",
+        "digital_download",
+        "membership",
+        "event_ticket"
+      ),
+      allowNull: false,
+      comment:
+        "purchase_id is marketplace_transactions / ebook_purchases / digital_download_purchases / membership_payments / event_ticket_orders",
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    product_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    purchase_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    payment_reference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("wpu", "sole_tutor", "organization"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: "Amount to return to the learner (less than amount_paid for partial refunds)",
+    },
+    currency: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: "NGN",
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("requested", "approved", "rejected", "processed", "failed"),
+      allowNull: false,
+      defaultValue: "requested",
+    },
+    refund_method: {
+      type: DataTypes.ENUM("wallet", "flutterwave", "none"),
+      allowNull: true,
+      comment: "Where the money went; none for chargebacks",
+    },
+    requested_by_type: {
+      type: DataTypes.ENUM("student", "tutor", "admin", "system"),
+      allowNull: false,
+      defaultValue: "student",
+    },
+    requested_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reviewed_by_type: {
+      type: DataTypes.ENUM("tutor", "admin", "system"),
+      allowNull: true,
+    },
+    reviewed_by_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    tutor_debit_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Amount taken back from the tutor wallet",
+    },
+    credit_note_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "FK to invoices (document_type = credit_note)",
+    },
+    provider_refund_id: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: "Flutterwave refund id (or chargeback reference)",
+    },
+    failure_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "refund_requests",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      { fields: ["student_id"] },
+      { fields: ["owner_type", "owner_id"] },
+      { fields: ["product_type", "purchase_id"] },
+      {
+        // One open or processed request per purchase (rejected ones do not count)
+        unique: true,
+        fields: ["product_type", "purchase_id"],
+        name: "unique_open_refund_request",
+        where: { status: ["requested", "approved", "failed", "processed"] },
+      },
+      { fields: ["status"] },
+    ],
+  }
+);
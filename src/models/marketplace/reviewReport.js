@@ -0,0 +1,79 @@
+/**
+ * Review Report Model
+ * Learner reports of product reviews (spam, abuse, etc.) for admin moderation
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const ReviewReport = db.define(
+  "ReviewReport",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    review_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID of the reported product review",
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "ID of student who reported the review",
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        "spam",
+        "offensive",
+        "harassment",
+        "fake",
+        "off_topic",
+        "personal_info",
+        "other"
+      ),
+      allowNull: false,
+    },
+    details: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("open", "resolved", "dismissed"),
+      allowNull: false,
+      defaultValue: "open",
+      comment: "resolved = the review was removed, dismissed = the review was kept",
+    },
+    resolved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Admin who closed the report",
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "review_reports",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["review_id"],
+      },
+      {
+        fields: ["status"],
+      },
+      {
+        unique: true,
+        fields: ["review_id", "student_id"],
+        name: "unique_review_student_report",
+        comment: "One report per student per review",
+      },
+    ],
+  }
+);
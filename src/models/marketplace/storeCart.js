@@ -36,6 +36,11 @@ export const StoreCart = db.define(
       defaultValue: "active",
       comment: "Cart status",
     },
+    coupon_code: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: "Coupon code applied to the cart (re-validated on every read)",
+    },
   },
   {
     tableName: "store_carts",
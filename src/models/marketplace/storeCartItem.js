@@ -20,7 +20,7 @@ export const StoreCartItem = db.define(
       comment: "Store Cart ID",
     },
     product_type: {
-      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership"),
+      type: DataTypes.ENUM("course", "ebook", "digital_download", "community", "membership", "bundle"),
       allowNull: false,
       comment: "Type of product",
     },
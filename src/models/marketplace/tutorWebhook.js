@@ -0,0 +1,83 @@
+/**
+ * Tutor Webhook Model
+ * An HTTPS endpoint a tutor/organization registers to receive signed event notifications
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const TutorWebhook = db.define(
+  "TutorWebhook",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    owner_type: {
+      type: DataTypes.ENUM("sole_tutor", "organization"),
+      allowNull: false,
+    },
+    owner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Sole tutor or organization ID",
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Subscribed event names",
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: "HMAC-SHA256 signing secret",
+    },
+    status: {
+      type: DataTypes.ENUM("active", "disabled"),
+      allowNull: false,
+      defaultValue: "active",
+    },
+    consecutive_failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Deliveries that exhausted their retries since the last success",
+    },
+    disabled_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    last_delivery_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    last_success_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "tutor_webhooks",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["owner_type", "owner_id"],
+      },
+      {
+        fields: ["status"],
+      },
+    ],
+  }
+);
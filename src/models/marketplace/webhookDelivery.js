@@ -0,0 +1,100 @@
+/**
+ * Webhook Delivery Model
+ * One event sent (or to be sent) to a tutor webhook, with its retry state and the last response
+ */
+
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+export const WebhookDelivery = db.define(
+  "WebhookDelivery",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    webhook_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Tutor Webhook ID",
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    event_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: "Same for every delivery (and replay) of one event, for receiver de-duplication",
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: "Request body sent to the endpoint",
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "succeeded", "failed"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "When the next attempt is due (null once succeeded/failed)",
+    },
+    last_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "HTTP status of the last attempt",
+    },
+    response_body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: "First 2 KB of the last response",
+    },
+    error_message: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    replay_of: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: "Delivery this one replays",
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "webhook_deliveries",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        fields: ["webhook_id", "created_at"],
+      },
+      {
+        fields: ["status", "next_attempt_at"],
+      },
+      {
+        fields: ["event_id"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,88 @@
+import { dbLibrary } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+// Course assignment attached to a module. Graded out of max_points, which is the sum of
+// the rubric criteria when a rubric is set: [{ id, title, description, max_points }]
+export const Assignment = dbLibrary.define(
+  "assignment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    module_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    instructions: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    submission_type: {
+      type: DataTypes.ENUM("file", "text", "file_or_text"),
+      allowNull: false,
+      defaultValue: "file_or_text",
+    },
+    max_points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 100,
+    },
+    rubric: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    due_at: {
+      type: DataTypes.DATE,
+      allowNull: true, // null means no deadline
+    },
+    late_policy: {
+      type: DataTypes.ENUM("reject", "accept", "penalty"),
+      allowNull: false,
+      defaultValue: "accept",
+    },
+    late_penalty_percent: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Deducted per started day late when late_policy is penalty",
+    },
+    late_cutoff_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "No submissions after this, even late ones",
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: "Submissions a student may make; more than 1 allows resubmission",
+    },
+    status: {
+      type: DataTypes.ENUM("draft", "published", "archived"),
+      allowNull: false,
+      defaultValue: "draft",
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    created_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "assignments",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [{ fields: ["module_id"] }],
+  }
+);
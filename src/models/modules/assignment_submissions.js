@@ -0,0 +1,105 @@
+import { dbLibrary } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+// One row per submission; a resubmission is a new row with the next attempt_number.
+// files: [{ path, name, size, mime_type }] in the assignments storage bucket.
+// rubric_scores: [{ criterion_id, score, comment }]
+export const AssignmentSubmissions = dbLibrary.define(
+  "assignment_submissions",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    student_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    attempt_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    text_content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    files: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    submitted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    is_late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    days_late: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    status: {
+      type: DataTypes.ENUM("submitted", "graded", "resubmission_requested"),
+      allowNull: false,
+      defaultValue: "submitted",
+    },
+    rubric_scores: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+    raw_score: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true,
+    },
+    late_penalty: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    score: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true, // null until graded
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    graded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    graded_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    graded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "assignment_submissions",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: "updated_at",
+    indexes: [
+      {
+        unique: true,
+        fields: ["assignment_id", "student_id", "attempt_number"],
+      },
+      { fields: ["assignment_id", "status"] },
+    ],
+  }
+);
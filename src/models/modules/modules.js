@@ -43,6 +43,30 @@ export const Modules = dbLibrary.define(
       type: DataTypes.INTEGER,
       allowNull: false,
     },
+    // Drip release: immediate, N days after enrollment, or on a fixed date
+    drip_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "immediate",
+    },
+    drip_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    drip_date: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Later modules stay locked until this module's published quizzes are completed
+    quiz_gate: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    quiz_pass_percent: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
   },
   {
     tableName: "modules",
@@ -0,0 +1,72 @@
+import { dbLibrary } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+// Score per question per attempt (quiz_answers can hold several rows per question for multi-select)
+export const QuizAnswerGrades = dbLibrary.define(
+  "quiz_answer_grades",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    attempt_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    question_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    points_awarded: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: true, // null while waiting for manual grading
+    },
+    max_points: {
+      type: DataTypes.DECIMAL(6, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    status: {
+      type: DataTypes.ENUM("auto", "pending", "graded"),
+      allowNull: false,
+      defaultValue: "auto",
+      comment: "auto = scored on submit, pending = needs a tutor, graded = scored by a tutor",
+    },
+    feedback: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    graded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    graded_by_type: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+    },
+    graded_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    tableName: "quiz_answer_grades",
+    timestamps: false,
+    freezeTableName: true,
+    indexes: [
+      { unique: true, fields: ["attempt_id", "question_id"] },
+      { fields: ["status"] },
+    ],
+  }
+);
@@ -36,6 +36,12 @@ export const QuizQuestions = dbLibrary.define(
       type: DataTypes.TEXT,
       allowNull: true, // For short answer and essay
     },
+    answer_config: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      // multiple_choice: { scoring: "partial" | "all_or_nothing" }
+      // short_answer: { accepted, case_sensitive, regex, numeric: { value, tolerance } }
+    },
     image_url: {
       type: DataTypes.STRING,
       allowNull: true,
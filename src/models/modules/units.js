@@ -65,6 +65,20 @@ export const Units = dbLibrary.define(
       type: DataTypes.INTEGER,
       allowNull: true,
     },
+    // Drip release within an unlocked module (see Modules.drip_type)
+    drip_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "immediate",
+    },
+    drip_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    drip_date: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     tableName: "units",
@@ -0,0 +1,2 @@
+export { Notification } from "./notification.js";
+export { ReminderLog } from "./reminderLog.js";
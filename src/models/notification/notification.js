@@ -0,0 +1,71 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * In-app inbox entry created by the notification center (services/notificationService.js).
+ * One row per recipient; the same row is pushed over Socket.IO and (optionally) emailed.
+ */
+export const Notification = db.define(
+  "Notification",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    recipient_type: {
+      type: DataTypes.ENUM("student", "staff", "sole_tutor", "organization", "organization_user"),
+      allowNull: false,
+    },
+    recipient_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: "Template key, e.g. purchase.completed, grade.posted, booking.accepted",
+    },
+    category: {
+      type: DataTypes.ENUM("purchase", "sale", "grade", "exam", "booking", "payout", "mention", "reminder"),
+      allowNull: false,
+      comment: "Preference group the event belongs to",
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    link: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: "Frontend path to open, relative to the app URL",
+    },
+    data: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: "Event payload (ids) for the frontend",
+    },
+    read_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "notifications",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ["recipient_type", "recipient_id", "read_at"],
+      },
+      {
+        fields: ["created_at"],
+      },
+    ],
+  }
+);
@@ -0,0 +1,57 @@
+import { db } from "../../database/database.js";
+import { DataTypes } from "sequelize";
+
+/**
+ * One row per reminder sent by the reminder job (services/reminderService.js).
+ * The unique key is claimed before sending, so a reminder is never sent twice,
+ * even after a restart or when two job runners overlap.
+ */
+export const ReminderLog = db.define(
+  "ReminderLog",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    target_type: {
+      type: DataTypes.ENUM("exam", "coaching_session", "audio_session", "event"),
+      allowNull: false,
+    },
+    target_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    lead_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: "Reminder window this row belongs to (e.g. 24 or 1 hours before start)",
+    },
+    recipient_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: "<recipient type>:<id>, or email:<address> for guests without an account",
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: "Start time the reminder was sent for; a rescheduled target is reminded again",
+    },
+  },
+  {
+    tableName: "reminder_logs",
+    timestamps: true,
+    createdAt: "created_at",
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ["target_type", "target_id", "lead_hours", "recipient_key", "starts_at"],
+        name: "unique_reminder",
+      },
+      {
+        fields: ["created_at"],
+      },
+    ],
+  }
+);
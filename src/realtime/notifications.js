@@ -0,0 +1,42 @@
+/**
+ * Socket.io handler for the notification center
+ * Every authenticated socket joins its own notification room; the notification
+ * service pushes "notification:new" and "notification:unread" into it.
+ */
+
+let ioInstance = null;
+
+export function notificationRoom(userType, userId) {
+  return `notify:${userType}:${Number(userId)}`;
+}
+
+/**
+ * Setup notification socket handlers
+ * @param {SocketIOServer} io - Socket.io server instance
+ */
+export function setupNotificationsSocket(io) {
+  ioInstance = io;
+
+  io.on("connection", (socket) => {
+    // socket.user is set by the chat auth middleware, socket.userId by coaching messaging
+    const userId = Number(socket.user?.id ?? socket.userId);
+    const userType = socket.user?.userType ?? socket.userType;
+    if (!Number.isInteger(userId) || userId <= 0 || !userType) return;
+
+    socket.join(notificationRoom(userType, userId));
+
+    // Organization users also receive the organization's notifications (sales, payouts)
+    const organizationId = Number(socket.user?.organizationId);
+    if (userType === "organization_user" && organizationId > 0) {
+      socket.join(notificationRoom("organization", organizationId));
+    }
+  });
+}
+
+/**
+ * Emit to a recipient's room. No-op before the socket server is set up (scripts, jobs).
+ */
+export function emitToRecipient(recipientType, recipientId, event, payload) {
+  if (!ioInstance) return;
+  ioInstance.to(notificationRoom(recipientType, recipientId)).emit(event, payload);
+}
@@ -529,6 +529,194 @@ router.put("/tutor-kyc/:id/approve", adminAuthorize, approveKyc);
 router.put("/tutor-kyc/:id/reject", adminAuthorize, rejectKyc);
 router.put("/tutor-kyc/:id/request-resubmission", adminAuthorize, requestKycResubmission);
 
+// ============================================
+// BACKGROUND JOBS (Super Admin Only)
+// ============================================
+import {
+  getAllJobs,
+  getJobRuns,
+  runJobNow,
+} from "../controllers/admin/superAdmin/jobManagement.js";
+
+router.get("/jobs", adminAuthorize, requireSuperAdmin, getAllJobs);
+router.get("/jobs/:name/runs", adminAuthorize, requireSuperAdmin, getJobRuns);
+router.post("/jobs/:name/run", adminAuthorize, requireSuperAdmin, runJobNow);
+
+// ============================================
+// COURSE CERTIFICATES (Admin Only)
+// ============================================
+import {
+  getAllCertificates,
+  revokeCertificate,
+  reinstateCertificate,
+} from "../controllers/admin/certificateManagement.js";
+
+router.get("/certificates", adminAuthorize, getAllCertificates);
+router.put("/certificates/:id/revoke", adminAuthorize, revokeCertificate);
+router.put("/certificates/:id/reinstate", adminAuthorize, reinstateCertificate);
+
+// ============================================
+// REFUNDS & CHARGEBACKS (Admin Only)
+// ============================================
+import {
+  getAllRefundRequests,
+  approveRefundRequest,
+  rejectAdminRefundRequest,
+  retryRefundRequest,
+  createChargeback,
+} from "../controllers/admin/refundManagement.js";
+
+router.get("/refunds", adminAuthorize, getAllRefundRequests);
+router.post("/refunds/chargebacks", adminAuthorize, requireSuperAdmin, createChargeback);
+router.put("/refunds/:id/approve", adminAuthorize, approveRefundRequest);
+router.put("/refunds/:id/reject", adminAuthorize, rejectAdminRefundRequest);
+router.put("/refunds/:id/retry", adminAuthorize, retryRefundRequest);
+
+// ============================================
+// PRODUCT REVIEW MODERATION (Admin Only)
+// ============================================
+import {
+  getAllReviews,
+  getReviewDetails,
+  approveReview,
+  rejectReview,
+  flagReview,
+  removeReviewReply,
+} from "../controllers/admin/reviewManagement.js";
+
+router.get("/reviews", adminAuthorize, getAllReviews);
+router.get("/reviews/:id", adminAuthorize, getReviewDetails);
+router.put("/reviews/:id/approve", adminAuthorize, approveReview);
+router.put("/reviews/:id/reject", adminAuthorize, rejectReview);
+router.put("/reviews/:id/flag", adminAuthorize, flagReview);
+router.delete("/reviews/:id/reply", adminAuthorize, removeReviewReply);
+
+// ============================================
+// AFFILIATES (Admin Only)
+// ============================================
+import {
+  getAffiliateReport,
+  getAllAffiliateReferrals,
+  cancelAffiliateReferral,
+} from "../controllers/admin/affiliateManagement.js";
+
+router.get("/affiliates/report", adminAuthorize, getAffiliateReport);
+router.get("/affiliates/referrals", adminAuthorize, getAllAffiliateReferrals);
+router.put("/affiliates/referrals/:id/cancel", adminAuthorize, cancelAffiliateReferral);
+
+// ============================================
+// ORGANIZATION API KEYS (Admin Only)
+// ============================================
+import {
+  getAllOrgApiKeys,
+  revokeOrgApiKey,
+} from "../controllers/admin/orgApiKeyManagement.js";
+
+router.get("/org-api-keys", adminAuthorize, getAllOrgApiKeys);
+router.put("/org-api-keys/:id/revoke", adminAuthorize, revokeOrgApiKey);
+
+// ============================================
+// EMAIL TEMPLATES (Super Admin Only)
+// ============================================
+import {
+  getAllEmailTemplates,
+  getEmailTemplate,
+  updateEmailTemplate,
+  previewEmailTemplate,
+  getEmailTemplateVersions,
+  getEmailTemplateVersion,
+  rollbackEmailTemplate,
+  resetEmailTemplate,
+} from "../controllers/admin/superAdmin/emailTemplateManagement.js";
+
+router.get("/email-templates", adminAuthorize, requireSuperAdmin, getAllEmailTemplates);
+router.get("/email-templates/:key", adminAuthorize, requireSuperAdmin, getEmailTemplate);
+router.put("/email-templates/:key", adminAuthorize, requireSuperAdmin, updateEmailTemplate);
+router.delete("/email-templates/:key", adminAuthorize, requireSuperAdmin, resetEmailTemplate);
+router.post("/email-templates/:key/preview", adminAuthorize, requireSuperAdmin, previewEmailTemplate);
+router.get("/email-templates/:key/versions", adminAuthorize, requireSuperAdmin, getEmailTemplateVersions);
+router.get("/email-templates/:key/versions/:version", adminAuthorize, requireSuperAdmin, getEmailTemplateVersion);
+router.post(
+  "/email-templates/:key/versions/:version/rollback",
+  adminAuthorize,
+  requireSuperAdmin,
+  rollbackEmailTemplate
+);
+
+// ============================================
+// GRADING SCALES (Super Admin Only)
+// ============================================
+import {
+  getAllGradingScales,
+  createGradingScale,
+  updateGradingScale,
+  deleteGradingScale,
+} from "../controllers/admin/superAdmin/gradingScaleManagement.js";
+
+router.get("/grading-scales", adminAuthorize, requireSuperAdmin, getAllGradingScales);
+router.post("/grading-scales", adminAuthorize, requireSuperAdmin, createGradingScale);
+router.put("/grading-scales/:id", adminAuthorize, requireSuperAdmin, updateGradingScale);
+router.delete("/grading-scales/:id", adminAuthorize, requireSuperAdmin, deleteGradingScale);
+
+// ============================================
+// REGISTRATION RULES (Super Admin Only)
+// ============================================
+import {
+  getCourseRequisites,
+  addCourseRequisite,
+  removeCourseRequisite,
+  getCreditLoadRules,
+  createCreditLoadRule,
+  updateCreditLoadRule,
+  deleteCreditLoadRule,
+} from "../controllers/admin/superAdmin/registrationRulesManagement.js";
+
+router.get("/courses/:id/requisites", adminAuthorize, requireSuperAdmin, getCourseRequisites);
+router.post("/courses/:id/requisites", adminAuthorize, requireSuperAdmin, addCourseRequisite);
+router.delete("/courses/:id/requisites/:requisiteId", adminAuthorize, requireSuperAdmin, removeCourseRequisite);
+router.get("/credit-load-rules", adminAuthorize, requireSuperAdmin, getCreditLoadRules);
+router.post("/credit-load-rules", adminAuthorize, requireSuperAdmin, createCreditLoadRule);
+router.put("/credit-load-rules/:id", adminAuthorize, requireSuperAdmin, updateCreditLoadRule);
+router.delete("/credit-load-rules/:id", adminAuthorize, requireSuperAdmin, deleteCreditLoadRule);
+
+// ============================================
+// ACADEMIC CALENDAR & TIMETABLE (Super Admin Only)
+// ============================================
+import {
+  getSemesterCalendar,
+  createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  getTimetable,
+  createTimetableSlot,
+  updateTimetableSlot,
+  deleteTimetableSlot,
+} from "../controllers/admin/superAdmin/academicCalendarManagement.js";
+
+router.get("/semesters/:id/calendar", adminAuthorize, requireSuperAdmin, getSemesterCalendar);
+router.post("/semesters/:id/calendar", adminAuthorize, requireSuperAdmin, createCalendarEvent);
+router.put("/calendar-events/:id", adminAuthorize, requireSuperAdmin, updateCalendarEvent);
+router.delete("/calendar-events/:id", adminAuthorize, requireSuperAdmin, deleteCalendarEvent);
+router.get("/timetable", adminAuthorize, requireSuperAdmin, getTimetable);
+router.post("/timetable", adminAuthorize, requireSuperAdmin, createTimetableSlot);
+router.put("/timetable/:id", adminAuthorize, requireSuperAdmin, updateTimetableSlot);
+router.delete("/timetable/:id", adminAuthorize, requireSuperAdmin, deleteTimetableSlot);
+
+// ============================================
+// TRANSCRIPTS & ACADEMIC STANDING (Super Admin Only)
+// ============================================
+import {
+  getStudentAcademicRecord,
+  downloadStudentTranscript,
+  revokeTranscript,
+  updateAcademicStanding,
+} from "../controllers/admin/superAdmin/transcriptManagement.js";
+
+router.get("/students/:id/academic-record", adminAuthorize, requireSuperAdmin, getStudentAcademicRecord);
+router.get("/students/:id/transcript/download", adminAuthorize, requireSuperAdmin, downloadStudentTranscript);
+router.put("/students/:id/academic-standing", adminAuthorize, requireSuperAdmin, updateAcademicStanding);
+router.put("/transcripts/:id/revoke", adminAuthorize, requireSuperAdmin, revokeTranscript);
+
 // ============================================
 // AI CONTENT GENERATION (Admin Access)
 // ============================================
@@ -0,0 +1,47 @@
+import { Router } from "express";
+import { authorize } from "../middlewares/authorize.js";
+import {
+  uploadSubmissionFilesMiddleware,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  listAssignments,
+  getAssignment,
+  submitAssignment,
+  getMySubmissions,
+} from "../controllers/assignments/assignment.js";
+import {
+  getAssignmentGradingQueue,
+  listAssignmentSubmissions,
+  getSubmission,
+  gradeSubmission,
+  requestResubmission,
+  getAssignmentSimilarity,
+} from "../controllers/assignments/assignmentGrading.js";
+
+const router = Router();
+
+router.post("/", authorize, createAssignment);
+router.get("/", authorize, listAssignments);
+router.get("/grading-queue", authorize, getAssignmentGradingQueue);
+router.get("/submissions/:submissionId", authorize, getSubmission);
+router.put("/submissions/:submissionId/grade", authorize, gradeSubmission);
+router.post(
+  "/submissions/:submissionId/request-resubmission",
+  authorize,
+  requestResubmission
+);
+router.get("/:assignmentId", authorize, getAssignment);
+router.put("/:assignmentId", authorize, updateAssignment);
+router.delete("/:assignmentId", authorize, deleteAssignment);
+router.post(
+  "/:assignmentId/submissions",
+  authorize,
+  uploadSubmissionFilesMiddleware,
+  submitAssignment
+);
+router.get("/:assignmentId/submissions/mine", authorize, getMySubmissions);
+router.get("/:assignmentId/submissions", authorize, listAssignmentSubmissions);
+router.get("/:assignmentId/similarity", authorize, getAssignmentSimilarity);
+
+export default router;
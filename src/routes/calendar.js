@@ -0,0 +1,26 @@
+import { Router } from "express";
+import { authorize } from "../middlewares/authorize.js";
+import {
+  getAcademicCalendar,
+  getMyTimetable,
+  downloadMyTimetableIcs,
+  getMyCalendarFeed,
+  resetMyCalendarFeed,
+  getCalendarFeed,
+} from "../controllers/calendar/timetable.js";
+
+const router = Router();
+
+// Academic calendar of a semester (?academic_year=2025/2026&semester=1ST, default current)
+router.get("/academic", authorize, getAcademicCalendar);
+
+// Timetable (students: registered courses, staff: slots they teach)
+router.get("/timetable", authorize, getMyTimetable);
+router.get("/timetable.ics", authorize, downloadMyTimetableIcs);
+
+// iCalendar subscription (calendar apps cannot send a JWT: the token is in the URL)
+router.get("/feed", authorize, getMyCalendarFeed);
+router.post("/feed/reset", authorize, resetMyCalendarFeed);
+router.get("/feed/:token.ics", getCalendarFeed);
+
+export default router;
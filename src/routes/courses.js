@@ -12,6 +12,7 @@ import {
 import {
   getMyAllocatedCourses,
   registerAllocatedCourses,
+  checkAllocatedCourseRules,
 } from "../controllers/student/courseAllocation.js";
 import {
   getMySchoolFees,
@@ -24,6 +25,20 @@ import {
   sendHeartbeat,
   trackBatch,
 } from "../controllers/student/activityTracking.js";
+import {
+  getGradebook,
+  updateGradebookConfig,
+  syncCourseGradebook,
+  overrideGradebookEntryScores,
+  getGradebookEntryHistory,
+  publishCourseGradebook,
+  getMyResults,
+} from "../controllers/courses/gradebook.js";
+import {
+  getMyAcademicRecord,
+  getMyTranscripts,
+  downloadMyTranscript,
+} from "../controllers/student/transcript.js";
 import { authorize } from "../middlewares/authorize.js";
 
 const router = Router();
@@ -49,6 +64,22 @@ router.get("/staff/:startYear/:endYear", authorize, getStaffCourses);
 // Get one course by id (staff owner or student enrolled)
 router.get("/single/:courseId", authorize, getCourseById);
 
+// Published results (student)
+router.get("/results", authorize, getMyResults);
+
+// GPA/CGPA and transcripts (student)
+router.get("/academic-record", authorize, getMyAcademicRecord);
+router.get("/transcripts", authorize, getMyTranscripts);
+router.get("/transcripts/download", authorize, downloadMyTranscript);
+
+// Gradebook (course staff). Offering via ?academicYear=2024/2025&semester=1ST
+router.get("/:courseId/gradebook", authorize, getGradebook);
+router.put("/:courseId/gradebook/config", authorize, updateGradebookConfig);
+router.post("/:courseId/gradebook/sync", authorize, syncCourseGradebook);
+router.post("/:courseId/gradebook/publish", authorize, publishCourseGradebook);
+router.put("/:courseId/gradebook/entries/:entryId", authorize, overrideGradebookEntryScores);
+router.get("/:courseId/gradebook/entries/:entryId/history", authorize, getGradebookEntryHistory);
+
 // Student-accessible participants (lecturer + classmates) for a course
 router.get("/:courseId/participants", authorize, getCourseParticipants);
 
@@ -64,6 +95,7 @@ router.get("/semesters", authorize, getAvailableSemesters);
 // Course allocation endpoints (for allocated courses)
 router.get("/allocated", authorize, getMyAllocatedCourses);
 router.post("/register-allocated", authorize, registerAllocatedCourses);
+router.post("/register-allocated/check", authorize, checkAllocatedCourseRules);
 
 // School fees endpoints (student)
 router.get("/school-fees", authorize, getMySchoolFees);
@@ -14,6 +14,9 @@ import {
   updateTheoryQuestion,
   deleteQuestion,
   getQuestionById,
+  importBankQuestions,
+  exportBankQuestions,
+  uploadQuestionFileMiddleware,
 } from "../controllers/exam/questionBankController.js";
 import {
   getStudentExams,
@@ -22,19 +25,28 @@ import {
   submitExam,
   getAttemptDetails,
   getStudentAttemptHistory,
+  reportProctoringEvents,
 } from "../controllers/exam/studentExamController.js";
 import {
   getExamAttempts,
   getAttemptForGrading,
+  getExamSimilarity,
   gradeTheoryAnswer,
   bulkGradeTheory,
   getExamStatistics,
 } from "../controllers/exam/gradingController.js";
+import {
+  getExamAccommodations,
+  createExamAccommodation,
+  updateExamAccommodation,
+  deleteExamAccommodation,
+} from "../controllers/exam/accommodationController.js";
 import { authorize } from "../middlewares/authorize.js";
 import {
   examLimiter,
   examStartLimiter,
   answerLimiter,
+  proctoringEventLimiter,
   questionCreationLimiter,
 } from "../middlewares/rateLimiter.js";
 import { cacheMiddleware } from "../middlewares/cacheMiddleware.js";
@@ -49,6 +61,27 @@ router.get("/:examId", authorize, cacheMiddleware(120), getExamById); // Get exa
 router.put("/:examId", authorize, examLimiter, updateExam); // Update exam
 router.delete("/:examId", authorize, examLimiter, deleteExam); // Delete exam
 
+// Accommodations (per-student or group extra time, alternate window, extra attempts)
+router.get("/:examId/accommodations", authorize, getExamAccommodations); // List accommodations
+router.post(
+  "/:examId/accommodations",
+  authorize,
+  examLimiter,
+  createExamAccommodation
+); // Create accommodation
+router.put(
+  "/:examId/accommodations/:accommodationId",
+  authorize,
+  examLimiter,
+  updateExamAccommodation
+); // Update accommodation
+router.delete(
+  "/:examId/accommodations/:accommodationId",
+  authorize,
+  examLimiter,
+  deleteExamAccommodation
+); // Delete accommodation
+
 // Question Bank
 router.get(
   "/bank/questions",
@@ -68,6 +101,14 @@ router.post(
   questionCreationLimiter,
   createTheoryQuestion
 ); // Create theory question
+router.post(
+  "/bank/import",
+  authorize,
+  questionCreationLimiter,
+  uploadQuestionFileMiddleware,
+  importBankQuestions
+); // Import questions from GIFT, QTI or CSV (dry_run=true to preview)
+router.get("/bank/export", authorize, exportBankQuestions); // Export questions as GIFT, QTI or CSV
 router.get("/bank/questions/:questionId", authorize, getQuestionById); // Get question by ID
 router.put(
   "/bank/questions/objective/:questionId",
@@ -109,11 +150,18 @@ router.post(
   examLimiter,
   submitExam
 ); // Submit exam
+router.post(
+  "/student/exams/attempts/:attemptId/proctoring-events",
+  authorize,
+  proctoringEventLimiter,
+  reportProctoringEvents
+); // Report proctoring events (tab blur, fullscreen exit, copy/paste)
 router.get("/student/exams/attempts/:attemptId", authorize, getAttemptDetails); // Get attempt details (no cache - changes during exam)
 
 // Grading
 router.get("/:examId/attempts", authorize, getExamAttempts); // Get all attempts for an exam
 router.get("/attempts/:attemptId/grade", authorize, getAttemptForGrading); // Get attempt for grading
+router.get("/:examId/similarity", authorize, getExamSimilarity); // Theory answer similarity report
 router.post(
   "/answers/theory/:answerId/grade",
   authorize,
@@ -26,6 +26,11 @@ import {
   requireOrganization,
 } from "../middlewares/tutorAuthorize.js";
 import { getDashboard } from "../controllers/marketplace/tutorDashboard.js";
+import {
+  getAnalyticsOverviewHandler,
+  getAnalyticsReportHandler,
+  exportAnalyticsReport,
+} from "../controllers/marketplace/tutorAnalytics.js";
 import {
   getMyCourses,
   getCourseById,
@@ -153,7 +158,67 @@ import {
   getProductReviews,
   markReviewHelpful,
   getMyReview,
+  reportReview,
 } from "../controllers/marketplace/productReview.js";
+import {
+  getTutorReviews,
+  replyToReview,
+  deleteReviewReply,
+} from "../controllers/marketplace/tutorReviews.js";
+import {
+  createBundle,
+  listMyBundles,
+  getMyBundle,
+  updateBundle,
+  publishBundle,
+  unpublishBundle,
+  deleteBundle,
+} from "../controllers/marketplace/tutorBundleManagement.js";
+import {
+  getBundleBySlug,
+  purchaseBundle,
+  getMyBundlePurchases,
+} from "../controllers/marketplace/bundlePurchase.js";
+import {
+  createAffiliateProgram,
+  listAffiliatePrograms,
+  updateAffiliateProgram,
+  getProgramAffiliates,
+  updateAffiliateLinkStatus,
+  getTutorAffiliateReferrals,
+} from "../controllers/marketplace/tutorAffiliatePrograms.js";
+import {
+  browseAffiliatePrograms,
+  joinAffiliateProgram,
+  getMyAffiliateLinks,
+  getMyAffiliateReferrals,
+} from "../controllers/marketplace/affiliates.js";
+import {
+  listWebhookEvents,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  listWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from "../controllers/marketplace/tutorWebhooks.js";
+import {
+  listApiKeyScopes,
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+} from "../controllers/marketplace/orgApiKeys.js";
+import {
+  getMyEmailBranding,
+  updateMyEmailBranding,
+  deleteMyEmailBranding,
+  previewMyEmailBranding,
+} from "../controllers/marketplace/emailBranding.js";
 import {
   addToCart,
   getCart,
@@ -161,7 +226,33 @@ import {
   updateCartItem,
   clearCart,
   mergeCart,
+  applyCartCoupon,
+  removeCartCoupon,
 } from "../controllers/marketplace/storeCart.js";
+import {
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions,
+  validateCoupon,
+} from "../controllers/marketplace/tutorCoupons.js";
+import {
+  getMyCertificates,
+  getMyCourseCertificate,
+  downloadCertificate,
+  getCertificateTemplate,
+  upsertCertificateTemplate,
+  getCourseCertificates,
+} from "../controllers/marketplace/courseCertificates.js";
+import {
+  requestRefund,
+  getMyRefundRequests,
+  getTutorRefundRequests,
+  approveTutorRefundRequest,
+  rejectTutorRefundRequest,
+} from "../controllers/marketplace/refundRequests.js";
 import {
   browseStoreProducts,
   getStoreProduct,
@@ -568,6 +659,78 @@ router.post("/reviews", authorize, createReview);
 router.get("/reviews", authorize, getProductReviews);
 router.get("/reviews/my-review", authorize, getMyReview);
 router.post("/reviews/:id/helpful", authorize, markReviewHelpful);
+router.post("/reviews/:id/report", authorize, reportReview);
+
+// Tutor replies to reviews of their products
+router.get("/tutor/reviews", tutorAuthorize, getTutorReviews);
+router.put("/tutor/reviews/:id/reply", tutorAuthorize, replyToReview);
+router.delete("/tutor/reviews/:id/reply", tutorAuthorize, deleteReviewReply);
+
+// Product bundles (learning paths) - tutor management
+router.post("/tutor/bundles", tutorAuthorize, createBundle);
+router.get("/tutor/bundles", tutorAuthorize, listMyBundles);
+router.get("/tutor/bundles/:id", tutorAuthorize, getMyBundle);
+router.put("/tutor/bundles/:id", tutorAuthorize, updateBundle);
+router.delete("/tutor/bundles/:id", tutorAuthorize, deleteBundle);
+router.post("/tutor/bundles/:id/publish", tutorAuthorize, publishBundle);
+router.post("/tutor/bundles/:id/unpublish", tutorAuthorize, unpublishBundle);
+
+// Product bundles - learners
+router.get("/bundles/my-purchases", authorize, getMyBundlePurchases);
+router.get("/bundles/slug/:slug", optionalAuthorize, getBundleBySlug);
+router.post("/bundles/purchase", authorize, purchaseBundle);
+
+// Affiliate programs - product owners
+router.post("/tutor/affiliate-programs", tutorAuthorize, createAffiliateProgram);
+router.get("/tutor/affiliate-programs", tutorAuthorize, listAffiliatePrograms);
+router.get("/tutor/affiliate-programs/referrals", tutorAuthorize, getTutorAffiliateReferrals);
+router.put("/tutor/affiliate-programs/:id", tutorAuthorize, updateAffiliateProgram);
+router.get("/tutor/affiliate-programs/:id/affiliates", tutorAuthorize, getProgramAffiliates);
+router.put(
+  "/tutor/affiliate-programs/:id/affiliates/:linkId",
+  tutorAuthorize,
+  updateAffiliateLinkStatus,
+);
+
+// Affiliates - learners (/affiliate) and tutors (/tutor/affiliate)
+router.get("/affiliate/programs", authorize, browseAffiliatePrograms);
+router.post("/affiliate/programs/:id/join", authorize, joinAffiliateProgram);
+router.get("/affiliate/links", authorize, getMyAffiliateLinks);
+router.get("/affiliate/referrals", authorize, getMyAffiliateReferrals);
+router.get("/tutor/affiliate/programs", tutorAuthorize, browseAffiliatePrograms);
+router.post("/tutor/affiliate/programs/:id/join", tutorAuthorize, joinAffiliateProgram);
+router.get("/tutor/affiliate/links", tutorAuthorize, getMyAffiliateLinks);
+router.get("/tutor/affiliate/referrals", tutorAuthorize, getMyAffiliateReferrals);
+
+// Outbound webhooks
+router.get("/tutor/webhooks/events", tutorAuthorize, listWebhookEvents);
+router.post("/tutor/webhooks", tutorAuthorize, createWebhook);
+router.get("/tutor/webhooks", tutorAuthorize, listWebhooks);
+router.get("/tutor/webhooks/:id", tutorAuthorize, getWebhook);
+router.put("/tutor/webhooks/:id", tutorAuthorize, updateWebhook);
+router.delete("/tutor/webhooks/:id", tutorAuthorize, deleteWebhook);
+router.post("/tutor/webhooks/:id/rotate-secret", tutorAuthorize, rotateWebhookSecret);
+router.post("/tutor/webhooks/:id/test", tutorAuthorize, testWebhook);
+router.get("/tutor/webhooks/:id/deliveries", tutorAuthorize, listWebhookDeliveries);
+router.get("/tutor/webhooks/:id/deliveries/:deliveryId", tutorAuthorize, getWebhookDelivery);
+router.post(
+  "/tutor/webhooks/:id/deliveries/:deliveryId/replay",
+  tutorAuthorize,
+  replayWebhookDelivery,
+);
+
+// Organization API keys (for /api/v1/org)
+router.get("/tutor/api-keys/scopes", tutorAuthorize, listApiKeyScopes);
+router.post("/tutor/api-keys", tutorAuthorize, createApiKey);
+router.get("/tutor/api-keys", tutorAuthorize, listApiKeys);
+router.put("/tutor/api-keys/:id", tutorAuthorize, updateApiKey);
+router.post("/tutor/api-keys/:id/revoke", tutorAuthorize, revokeApiKey);
+
+// Email branding (logo, colors, footer on emails to learners)
+router.get("/tutor/email-branding", tutorAuthorize, getMyEmailBranding);
+router.put("/tutor/email-branding", tutorAuthorize, updateMyEmailBranding);
+router.delete("/tutor/email-branding", tutorAuthorize, deleteMyEmailBranding);
+router.get("/tutor/email-branding/preview", tutorAuthorize, previewMyEmailBranding);
 
 // Registration
 router.post("/register/sole-tutor", registerSoleTutor);
@@ -629,6 +792,15 @@ router.get("/categories", getCategories);
 // Course Purchase (Student only)
 router.post("/courses/purchase", authorize, purchaseMarketplaceCourse);
 
+// Course Completion Certificates (Student only)
+router.get("/certificates/my-certificates", authorize, getMyCertificates);
+router.get("/certificates/:id/download", authorize, downloadCertificate);
+router.get("/courses/:courseId/certificate", authorize, getMyCourseCertificate);
+
+// Refund Requests (Student only)
+router.post("/refunds", authorize, requestRefund);
+router.get("/refunds/my-refunds", authorize, getMyRefundRequests);
+
 // Browse all marketplace courses (Student only - shows available courses to purchase)
 // This must come last because it's less specific than /courses/my-courses
 router.get("/courses", authorize, browseMarketplaceCourses);
@@ -693,6 +865,11 @@ router.post("/invoices/:id/send", authorize, sendInvoiceEmail);
 // Dashboard
 router.get("/tutor/dashboard", tutorAuthorize, getDashboard);
 
+// Analytics (time series, funnels, CSV export)
+router.get("/tutor/analytics/overview", tutorAuthorize, getAnalyticsOverviewHandler);
+router.get("/tutor/analytics/:report", tutorAuthorize, getAnalyticsReportHandler);
+router.get("/tutor/analytics/:report/export", tutorAuthorize, exportAnalyticsReport);
+
 // Profile Management
 router.get("/tutor/profile", tutorAuthorize, getProfile);
 router.put("/tutor/profile", tutorAuthorize, updateProfile);
@@ -1321,6 +1498,51 @@ router.put("/store/cart/item/:id", optionalAuthorize, updateCartItem);
 router.delete("/store/cart/item/:id", optionalAuthorize, removeFromCart);
 router.delete("/store/cart", optionalAuthorize, clearCart);
 router.post("/store/cart/merge", authorize, mergeCart); // Requires auth to merge guest cart
+router.post("/store/cart/coupon", optionalAuthorize, applyCartCoupon);
+router.delete("/store/cart/coupon", optionalAuthorize, removeCartCoupon);
+
+// Coupon preview before a single-product purchase
+router.post("/coupons/validate", optionalAuthorize, validateCoupon);
+
+// ============================================
+// COUPONS (TUTOR)
+// ============================================
+router.post("/tutor/coupons", tutorAuthorize, createCoupon);
+router.get("/tutor/coupons", tutorAuthorize, listCoupons);
+router.get("/tutor/coupons/:id", tutorAuthorize, getCoupon);
+router.put("/tutor/coupons/:id", tutorAuthorize, updateCoupon);
+router.delete("/tutor/coupons/:id", tutorAuthorize, deleteCoupon);
+router.get(
+  "/tutor/coupons/:id/redemptions",
+  tutorAuthorize,
+  getCouponRedemptions,
+);
+
+// ============================================
+// COURSE CERTIFICATES (TUTOR)
+// ============================================
+router.get(
+  "/tutor/courses/:courseId/certificate-template",
+  tutorAuthorize,
+  getCertificateTemplate,
+);
+router.put(
+  "/tutor/courses/:courseId/certificate-template",
+  tutorAuthorize,
+  upsertCertificateTemplate,
+);
+router.get(
+  "/tutor/courses/:courseId/certificates",
+  tutorAuthorize,
+  getCourseCertificates,
+);
+
+// ============================================
+// REFUND REQUESTS (TUTOR)
+// ============================================
+router.get("/tutor/refunds", tutorAuthorize, getTutorRefundRequests);
+router.post("/tutor/refunds/:id/approve", tutorAuthorize, approveTutorRefundRequest);
+router.post("/tutor/refunds/:id/reject", tutorAuthorize, rejectTutorRefundRequest);
 
 // Store Checkout
 router.post("/store/checkout", optionalAuthorize, initiateCheckout);
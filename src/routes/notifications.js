@@ -0,0 +1,24 @@
+import { Router } from "express";
+import { authorize } from "../middlewares/authorize.js";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../controllers/notification/notification.js";
+
+const router = Router();
+
+// In-app inbox for students, staff, tutors and organizations
+router.get("/", authorize, getNotifications);
+router.get("/unread-count", authorize, getUnreadCount);
+router.get("/preferences", authorize, getNotificationPreferences);
+router.put("/preferences", authorize, updateNotificationPreferences);
+router.put("/read-all", authorize, markAllNotificationsRead);
+router.put("/:id/read", authorize, markNotificationRead);
+router.delete("/:id", authorize, deleteNotification);
+
+export default router;
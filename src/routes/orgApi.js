@@ -0,0 +1,52 @@
+import { Router } from "express";
+import { orgApiKeyAuthorize, requireApiScope } from "../middlewares/orgApiKeyAuthorize.js";
+import { apiKeyLimiter } from "../middlewares/rateLimiter.js";
+import {
+  getApiKeyInfo,
+  listOrgEnrollments,
+  createOrgEnrollment,
+} from "../controllers/marketplace/orgApi.js";
+import {
+  getMyLearners,
+  getLearnerDetails,
+  getLearnerActivity,
+  getLearnerCourseProgress,
+} from "../controllers/marketplace/tutorLearnerManagement.js";
+import {
+  getEarningsSummary,
+  getTransactions,
+  getTransactionById,
+} from "../controllers/marketplace/tutorEarnings.js";
+
+/**
+ * Organization REST API, version 1 (mounted at /api/v1/org).
+ * Authenticated with an organization API key; each key has its own per-minute limit.
+ */
+const router = Router();
+
+router.use(orgApiKeyAuthorize, apiKeyLimiter);
+
+router.get("/me", getApiKeyInfo);
+
+// Learners
+const learnersRead = requireApiScope("learners:read");
+router.get("/learners", learnersRead, getMyLearners);
+router.get("/learners/:learnerId", learnersRead, getLearnerDetails);
+router.get("/learners/:learnerId/activity", learnersRead, getLearnerActivity);
+router.get(
+  "/learners/:learnerId/courses/:courseId/progress",
+  learnersRead,
+  getLearnerCourseProgress,
+);
+
+// Enrollments
+router.get("/enrollments", learnersRead, listOrgEnrollments);
+router.post("/enrollments", requireApiScope("enrollments:write"), createOrgEnrollment);
+
+// Sales
+const salesRead = requireApiScope("sales:read");
+router.get("/sales/summary", salesRead, getEarningsSummary);
+router.get("/sales/transactions", salesRead, getTransactions);
+router.get("/sales/transactions/:id", salesRead, getTransactionById);
+
+export default router;
@@ -13,16 +13,28 @@ import {
   getMyLatestQuizAttempt,
   deleteQuiz,
 } from "../controllers/quiz/quiz.js";
+import {
+  getQuizGradingQueue,
+  getQuizAttemptForGrading,
+  gradeQuizAnswerHandler,
+} from "../controllers/quiz/quizGrading.js";
 
 const router = Router();
 
 router.post("/create-quiz", authorize, createQuiz);
 router.post("/:quizId/questions-batch", authorize, addQuizQuestionsBatch);
 router.get("/", authorize, getStudentQuizzes);
+router.get("/grading-queue", authorize, getQuizGradingQueue);
 router.get("/:quizId", authorize, getQuiz);
 router.post("/:quizId/attempts", authorize, startQuizAttempt);
 router.post("/attempts/:attemptId/answers", authorize, saveQuizAnswers);
 router.post("/attempts/:attemptId/submit", authorize, submitQuizAttempt);
+router.get("/attempts/:attemptId/grading", authorize, getQuizAttemptForGrading);
+router.patch(
+  "/attempts/:attemptId/questions/:questionId/grade",
+  authorize,
+  gradeQuizAnswerHandler
+);
 router.get("/:quizId/my-latest", authorize, getMyLatestQuizAttempt);
 router.get("/:quizId/stats", authorize, getQuizStats);
 router.patch("/:quizId/update", authorize, updateQuizAttempt);
@@ -7,6 +7,11 @@ import {
   endCall,
   deleteCall,
 } from "../controllers/video/videoController.js";
+import {
+  getCallAttendance,
+  markCallAttendance,
+  getCourseAttendanceReport,
+} from "../controllers/video/attendanceController.js";
 import { authorize } from "../middlewares/authorize.js";
 
 const router = express.Router();
@@ -32,4 +37,13 @@ router.post("/calls/:id/end", endCall);
 // Delete a call (host only)
 router.delete("/calls/:id", deleteCall);
 
+// Attendance of a call (host or course staff)
+router.get("/calls/:id/attendance", getCallAttendance);
+
+// Mark attendance by hand (host or course staff)
+router.put("/calls/:id/attendance", markCallAttendance);
+
+// Attendance percentage in a course (staff: all students, students: own)
+router.get("/attendance/courses/:courseId", getCourseAttendanceReport);
+
 export default router;
@@ -3,6 +3,7 @@ import {
   flutterwaveWebhook,
   flutterwaveWebhookSetup,
 } from "../controllers/payment/flutterwaveWebhook.js";
+import { streamWebhook } from "../controllers/video/streamWebhook.js";
 
 const router = Router();
 
@@ -12,5 +13,8 @@ router.get("/flutterwave/setup", flutterwaveWebhookSetup);
 // Flutterwave webhook (no auth required - uses signature verification)
 router.post("/flutterwave", flutterwaveWebhook);
 
+// Stream Video webhook (attendance; verified with the Stream API secret)
+router.post("/stream", streamWebhook);
+
 export default router;
 
@@ -3,8 +3,7 @@
  * Runs daily to mark expired guest carts (older than 2 days) as expired
  * 
  * Usage:
- * - Add to app.js: import { cleanupExpiredCarts } from './src/scripts/cleanupExpiredCarts.js';
- * - Schedule: setInterval(() => cleanupExpiredCarts(), 24 * 60 * 60 * 1000); // Daily
+ * - Scheduled as "expired-cart-cleanup" in src/services/scheduledJobDefinitions.js
  */
 
 import { StoreCart } from "../models/marketplace/storeCart.js";
@@ -3,8 +3,7 @@
  * Runs hourly to fetch and update exchange rates from external API
  * 
  * Usage:
- * - Add to app.js: import { updateExchangeRates } from './src/scripts/updateExchangeRates.js';
- * - Schedule: setInterval(() => updateExchangeRates(), 60 * 60 * 1000); // Every hour
+ * - Scheduled as "exchange-rate-refresh" in src/services/scheduledJobDefinitions.js
  */
 
 import { updateExchangeRates } from "../services/currencyExchangeRateService.js";
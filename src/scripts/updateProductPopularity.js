@@ -3,8 +3,7 @@
  * Runs daily to recalculate popularity scores for all products
  * 
  * Usage:
- * - Add to app.js: import { updateAllProductPopularity } from './src/services/productPopularityService.js';
- * - Schedule: setInterval(() => updateAllProductPopularity(), 24 * 60 * 60 * 1000); // Daily
+ * - Scheduled as "product-popularity-update" in src/services/scheduledJobDefinitions.js
  */
 
 import { updateAllProductPopularity } from "../services/productPopularityService.js";
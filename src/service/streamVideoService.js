@@ -88,6 +88,18 @@ class StreamVideoService {
     const call = this.getClient().video.call(callType, callId);
     await call.end();
   }
+
+  /**
+   * Verify a webhook from Stream (HMAC of the raw body with the API secret)
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} signature - X-Signature header
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, signature) {
+    const client = this.getClient();
+    if (!client || !rawBody || !signature) return false;
+    return client.verifyWebhook(rawBody, signature);
+  }
 }
 
 export const streamVideoService = new StreamVideoService();
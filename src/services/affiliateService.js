@@ -0,0 +1,643 @@
+/**
+ * Affiliate Service
+ * Referral links for tutor products: click tracking, last-click attribution of purchases
+ * and the commission lifecycle.
+ *
+ * A click on a product page or sales page with ?ref=<code> is recorded and its token is
+ * stored in the visitor's affiliate cookie (also returned in the response for clients that
+ * cannot use cookies). When a learner buys the product, the most recent click for that
+ * product within the program's cookie window wins, matched by cookie token or by the
+ * learner's own signed-in clicks.
+ *
+ * The commission is a percentage of the price paid. It is held as "pending" for
+ * hold_days so refunds can cancel it, then the release job debits the product owner's
+ * wallet and credits the affiliate's (learner wallet or tutor wallet).
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { applyLegacyWalletMirror } from "../utils/tutorWallet.js";
+import { AffiliateProgram } from "../models/marketplace/affiliateProgram.js";
+import { AffiliateLink } from "../models/marketplace/affiliateLink.js";
+import { AffiliateClick } from "../models/marketplace/affiliateClick.js";
+import { AffiliateReferral } from "../models/marketplace/affiliateReferral.js";
+import { Courses } from "../models/course/courses.js";
+import { EBooks } from "../models/marketplace/ebooks.js";
+import { DigitalDownloads } from "../models/marketplace/digitalDownloads.js";
+import { Community } from "../models/marketplace/community.js";
+import { Membership } from "../models/marketplace/membership.js";
+import { ProductBundle } from "../models/marketplace/productBundle.js";
+import { SoleTutor } from "../models/marketplace/soleTutor.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { TutorWalletTransaction } from "../models/marketplace/tutorWalletTransaction.js";
+import { Students } from "../models/auth/student.js";
+import { Funding } from "../models/payment/funding.js";
+import { GeneralSetup } from "../models/settings/generalSetup.js";
+import { getWalletBalance } from "./walletBalanceService.js";
+
+export const AFFILIATE_PRODUCT_TYPES = [
+  "course",
+  "ebook",
+  "digital_download",
+  "community",
+  "membership",
+  "bundle",
+];
+export const AFFILIATE_AUDIENCES = ["all", "learners", "tutors"];
+export const AFFILIATE_REFERRAL_STATUSES = ["pending", "paid", "cancelled"];
+
+export const AFFILIATE_COOKIE = "wsp_aff";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COOKIE_TOKENS = 10;
+const MAX_COOKIE_DAYS = 365;
+const MAX_HOLD_DAYS = 180;
+const RELEASE_BATCH_SIZE = 200;
+
+/**
+ * Look up a product that can have an affiliate program
+ * @returns {Promise<Object|null>} { product_type, product_id, title, slug, owner_type, owner_id, is_published }
+ */
+export async function getAffiliateProduct(productType, productId) {
+  let product = null;
+  let isPublished = false;
+
+  switch (productType) {
+    case "course":
+      product = await Courses.findOne({
+        where: { id: productId, is_marketplace: true },
+        attributes: ["id", "title", "slug", "owner_type", "owner_id", "marketplace_status"],
+      });
+      isPublished = product?.marketplace_status === "published";
+      break;
+    case "ebook":
+    case "digital_download": {
+      const Model = productType === "ebook" ? EBooks : DigitalDownloads;
+      product = await Model.findByPk(productId, {
+        attributes: ["id", "title", "slug", "owner_type", "owner_id", "status"],
+      });
+      isPublished = product?.status === "published";
+      break;
+    }
+    case "community":
+    case "membership": {
+      const Model = productType === "community" ? Community : Membership;
+      product = await Model.findByPk(productId, {
+        attributes: ["id", "name", "slug", "tutor_type", "tutor_id", "status"],
+      });
+      isPublished = product?.status === (productType === "community" ? "published" : "active");
+      break;
+    }
+    case "bundle":
+      product = await ProductBundle.findByPk(productId, {
+        attributes: ["id", "title", "slug", "owner_type", "owner_id", "status"],
+      });
+      isPublished = product?.status === "published";
+      break;
+    default:
+      return null;
+  }
+
+  if (!product) return null;
+  return {
+    product_type: productType,
+    product_id: product.id,
+    title: product.title || product.name,
+    slug: product.slug,
+    owner_type: product.owner_type || product.tutor_type,
+    owner_id: product.owner_id || product.tutor_id,
+    is_published: isPublished,
+  };
+}
+
+/**
+ * Validate program settings from a tutor request body
+ * @param {Object} body
+ * @param {Object} [existing] - program being updated (fields not sent are kept)
+ */
+export function normalizeProgramSettings(body, existing = null) {
+  const values = {};
+  const sent = (field) => body[field] !== undefined;
+
+  if (sent("commission_rate") || !existing) {
+    const rate = Number(body.commission_rate);
+    if (body.commission_rate === undefined || Number.isNaN(rate) || rate <= 0 || rate > 90) {
+      throw new ErrorClass("commission_rate must be a percentage above 0 and at most 90", 400);
+    }
+    values.commission_rate = Math.round(rate * 100) / 100;
+  }
+
+  for (const [field, max] of [
+    ["cookie_days", MAX_COOKIE_DAYS],
+    ["hold_days", MAX_HOLD_DAYS],
+  ]) {
+    if (sent(field)) {
+      const days = Number(body[field]);
+      const min = field === "cookie_days" ? 1 : 0;
+      if (!Number.isInteger(days) || days < min || days > max) {
+        throw new ErrorClass(`${field} must be a whole number between ${min} and ${max}`, 400);
+      }
+      values[field] = days;
+    }
+  }
+
+  if (sent("audience")) {
+    if (!AFFILIATE_AUDIENCES.includes(body.audience)) {
+      throw new ErrorClass(`audience must be one of: ${AFFILIATE_AUDIENCES.join(", ")}`, 400);
+    }
+    values.audience = body.audience;
+  }
+
+  if (sent("status")) {
+    if (!["active", "paused"].includes(body.status)) {
+      throw new ErrorClass("status must be active or paused", 400);
+    }
+    values.status = body.status;
+  }
+
+  if (sent("terms")) {
+    values.terms = body.terms ? String(body.terms).trim() : null;
+  }
+
+  return values;
+}
+
+/**
+ * Whether an affiliate (student / sole_tutor / organization) may join a program
+ */
+export function canJoinProgram(program, affiliateType, affiliateId) {
+  if (program.status !== "active") return false;
+  if (program.owner_type === affiliateType && program.owner_id === affiliateId) return false;
+  if (program.audience === "learners") return affiliateType === "student";
+  if (program.audience === "tutors") return affiliateType !== "student";
+  return true;
+}
+
+export async function generateAffiliateCode() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = crypto.randomBytes(5).toString("hex").toUpperCase();
+    const exists = await AffiliateLink.findOne({ where: { code }, attributes: ["id"] });
+    if (!exists) return code;
+  }
+  throw new ErrorClass("Could not generate a referral code, please try again", 500);
+}
+
+/**
+ * What an affiliate needs to build share links: the ?ref= query to append to the product
+ * or sales page URL, and the public product link (/p/:slug) where the product has one
+ */
+export function buildShareInfo(product, code, salesPageSlug = null) {
+  const query = `?ref=${encodeURIComponent(code)}`;
+  return {
+    query,
+    product_slug: product?.slug || null,
+    product_page:
+      product?.slug && product.product_type !== "bundle" ? `/p/${product.slug}${query}` : null,
+    sales_page_slug: salesPageSlug,
+  };
+}
+
+function readCookieTokens(req) {
+  const value = req.cookies?.[AFFILIATE_COOKIE];
+  return value ? String(value).split(".").filter(Boolean) : [];
+}
+
+/**
+ * Record a click when the request carries ?ref=<code> for a product with an active program.
+ * Never throws: tracking must not break the page.
+ * @returns {Promise<{ code, token, expires_at }|null>}
+ */
+export async function trackAffiliateClick(req, res, { productType, productId, source }) {
+  const code = req.query?.ref ? String(req.query.ref).trim().toUpperCase() : null;
+  if (!code) return null;
+
+  try {
+    const link = await AffiliateLink.findOne({
+      where: { code, status: "active" },
+      include: [
+        {
+          model: AffiliateProgram,
+          as: "program",
+          where: { product_type: productType, product_id: productId, status: "active" },
+        },
+      ],
+    });
+    if (!link) return null;
+
+    const token = crypto.randomBytes(16).toString("hex");
+    const studentId = req.user?.userType === "student" ? req.user.id : null;
+
+    await AffiliateClick.create({
+      link_id: link.id,
+      program_id: link.program_id,
+      visitor_token: token,
+      student_id: studentId,
+      source,
+      ip_address: req.ip || req.headers["x-forwarded-for"] || null,
+      user_agent: req.headers["user-agent"] || null,
+      referrer: req.headers["referer"] || req.headers["referrer"] || null,
+    });
+    await link.increment("clicks_count");
+
+    // Newest token first; older ones are kept so clicks on other products still count
+    const cookieDays = link.program.cookie_days;
+    const tokens = [token, ...readCookieTokens(req)].slice(0, MAX_COOKIE_TOKENS);
+    res.cookie(AFFILIATE_COOKIE, tokens.join("."), {
+      maxAge: MAX_COOKIE_DAYS * DAY_MS,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+    });
+
+    return {
+      code,
+      token,
+      expires_at: new Date(Date.now() + cookieDays * DAY_MS),
+    };
+  } catch (error) {
+    console.error("Error tracking affiliate click:", error);
+    return null;
+  }
+}
+
+/**
+ * Attribute a completed purchase to the last eligible affiliate click and record a
+ * pending commission. Call after the purchase has been saved.
+ * Never throws: attribution must not fail a purchase that has already been paid for.
+ *
+ * @param {Object} req - Express request (affiliate cookie, body.affiliate_token, X-Affiliate-Token)
+ * @param {Object} sale
+ * @param {string} sale.productType
+ * @param {number} sale.productId
+ * @param {number} sale.studentId
+ * @param {number} sale.amount - price paid
+ * @param {string} sale.currency - currency of amount
+ * @param {string} sale.paymentReference
+ * @returns {Promise<Object|null>} AffiliateReferral or null
+ */
+export async function recordAffiliateConversion(
+  req,
+  { productType, productId, studentId, amount, currency, paymentReference }
+) {
+  try {
+    const paid = parseFloat(amount || 0);
+    if (paid <= 0 || !paymentReference) return null;
+
+    const program = await AffiliateProgram.findOne({
+      where: { product_type: productType, product_id: parseInt(productId), status: "active" },
+    });
+    if (!program) return null;
+
+    const tokens = [
+      ...readCookieTokens(req),
+      req.body?.affiliate_token,
+      req.get?.("X-Affiliate-Token"),
+    ]
+      .filter(Boolean)
+      .map(String);
+
+    const since = new Date(Date.now() - program.cookie_days * DAY_MS);
+    const clicks = await AffiliateClick.findAll({
+      where: {
+        program_id: program.id,
+        clicked_at: { [Op.gte]: since },
+        [Op.or]: [
+          ...(tokens.length ? [{ visitor_token: { [Op.in]: tokens } }] : []),
+          { student_id: studentId },
+        ],
+      },
+      include: [{ model: AffiliateLink, as: "link", where: { status: "active" } }],
+      order: [["clicked_at", "DESC"]],
+      limit: 20,
+    });
+
+    // Last click wins; learners cannot earn commission on their own purchases
+    const click = clicks.find(
+      (c) => !(c.link.affiliate_type === "student" && c.link.affiliate_id === studentId)
+    );
+    if (!click) return null;
+
+    const rate = parseFloat(program.commission_rate);
+    const commission = Math.round(paid * rate) / 100;
+    if (commission <= 0) return null;
+
+    const referral = await AffiliateReferral.create({
+      program_id: program.id,
+      link_id: click.link_id,
+      click_id: click.id,
+      affiliate_type: click.link.affiliate_type,
+      affiliate_id: click.link.affiliate_id,
+      owner_type: program.owner_type,
+      owner_id: program.owner_id,
+      student_id: studentId,
+      product_type: productType,
+      product_id: parseInt(productId),
+      order_amount: paid,
+      currency: (currency || "NGN").toUpperCase(),
+      commission_rate: rate,
+      commission_amount: commission,
+      payment_reference: paymentReference,
+      status: "pending",
+      hold_until: new Date(Date.now() + program.hold_days * DAY_MS),
+    });
+
+    await click.update({ converted: true });
+    await click.link.increment("conversions_count");
+
+    return referral;
+  } catch (error) {
+    console.error("Error recording affiliate conversion:", error);
+    return null;
+  }
+}
+
+/**
+ * Cancel the pending commission of a refunded purchase
+ * @returns {Promise<number>} number of referrals cancelled
+ */
+export async function cancelAffiliateReferrals(paymentReference, reason, transaction = null) {
+  if (!paymentReference) return 0;
+  const [cancelled] = await AffiliateReferral.update(
+    { status: "cancelled", cancelled_at: new Date(), cancel_reason: reason },
+    { where: { payment_reference: paymentReference, status: "pending" }, transaction }
+  );
+  return cancelled;
+}
+
+function tutorWalletField(currency) {
+  if (currency === "USD") return "wallet_balance_usd";
+  if (currency === "GBP") return "wallet_balance_gbp";
+  return "wallet_balance_primary";
+}
+
+/**
+ * Credit (positive amount) or debit (negative amount) a tutor wallet in the referral currency
+ */
+async function adjustTutorWallet(tutorType, tutorId, amount, referral, serviceName, transaction) {
+  const Model = tutorType === "sole_tutor" ? SoleTutor : Organization;
+  const tutor = await Model.findByPk(tutorId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!tutor) {
+    throw new ErrorClass(`${tutorType} ${tutorId} not found`, 404);
+  }
+
+  const currency = referral.currency;
+  const walletField = tutorWalletField(currency);
+  const walletBefore = parseFloat(tutor[walletField] || 0);
+  const walletAfter = parseFloat((walletBefore + amount).toFixed(2));
+  const updates = { [walletField]: walletAfter };
+  if (walletField === "wallet_balance_primary") {
+    applyLegacyWalletMirror(updates, walletAfter);
+  }
+  await tutor.update(updates, { transaction });
+
+  await TutorWalletTransaction.create(
+    {
+      tutor_id: tutorId,
+      tutor_type: tutorType,
+      transaction_type: amount >= 0 ? "credit" : "debit",
+      amount: Math.abs(amount),
+      currency,
+      service_name: serviceName,
+      transaction_reference: `AFFILIATE-${referral.id}`,
+      balance_before: walletBefore,
+      balance_after: walletAfter,
+      related_id: referral.id,
+      related_type: "affiliate_referral",
+      status: "successful",
+      notes: `${referral.product_type} #${referral.product_id} sale ${referral.payment_reference}`,
+    },
+    { transaction }
+  );
+}
+
+/**
+ * Credit a learner affiliate's wallet, converting to the wallet currency when needed
+ */
+async function creditStudentAffiliate(referral, transaction) {
+  const student = await Students.findByPk(referral.affiliate_id, { transaction });
+  if (!student) {
+    throw new ErrorClass(`Student ${referral.affiliate_id} not found`, 404);
+  }
+
+  let amount = parseFloat(referral.commission_amount);
+  const studentCurrency = (student.currency || "NGN").toUpperCase();
+  if (studentCurrency !== referral.currency) {
+    const generalSetup = await GeneralSetup.findOne({ order: [["id", "DESC"]] });
+    const exchangeRate = parseFloat(generalSetup?.rate || "1500");
+    if (referral.currency === "USD" && studentCurrency === "NGN") {
+      amount = amount * exchangeRate;
+    } else if (referral.currency === "NGN" && studentCurrency === "USD") {
+      amount = amount / exchangeRate;
+    }
+    amount = Math.round(amount * 100) / 100;
+  }
+
+  const { balance: currentBalance } = await getWalletBalance(student.id, true);
+  const newBalance = currentBalance + amount;
+
+  await Funding.create(
+    {
+      student_id: student.id,
+      amount,
+      type: "Credit",
+      service_name: "Affiliate Commission",
+      ref: `AFFILIATE-${referral.id}`,
+      date: new Date().toISOString().split("T")[0],
+      semester: null,
+      academic_year: null,
+      currency: studentCurrency,
+      balance: newBalance.toString(),
+    },
+    { transaction }
+  );
+  await student.update({ wallet_balance: newBalance }, { transaction });
+}
+
+/**
+ * Pay one held commission: debit the product owner, credit the affiliate
+ */
+async function payReferral(referralId) {
+  const transaction = await db.transaction();
+  try {
+    const referral = await AffiliateReferral.findByPk(referralId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    if (!referral || referral.status !== "pending") {
+      await transaction.rollback();
+      return false;
+    }
+
+    const commission = parseFloat(referral.commission_amount);
+    await adjustTutorWallet(
+      referral.owner_type,
+      referral.owner_id,
+      -commission,
+      referral,
+      "Affiliate Commission Paid",
+      transaction
+    );
+
+    if (referral.affiliate_type === "student") {
+      await creditStudentAffiliate(referral, transaction);
+    } else {
+      await adjustTutorWallet(
+        referral.affiliate_type,
+        referral.affiliate_id,
+        commission,
+        referral,
+        "Affiliate Commission",
+        transaction
+      );
+    }
+
+    await referral.update({ status: "paid", paid_at: new Date() }, { transaction });
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Pay every commission whose hold period has ended (scheduled job)
+ */
+export async function releaseDueAffiliateCommissions(now = new Date()) {
+  const due = await AffiliateReferral.findAll({
+    where: { status: "pending", hold_until: { [Op.lte]: now } },
+    attributes: ["id"],
+    order: [["hold_until", "ASC"]],
+    limit: RELEASE_BATCH_SIZE,
+  });
+
+  let released = 0;
+  const failed = [];
+  for (const { id } of due) {
+    try {
+      if (await payReferral(id)) released++;
+    } catch (error) {
+      console.error(`Affiliate commission ${id} release failed:`, error.message);
+      failed.push(id);
+    }
+  }
+
+  return { success: failed.length === 0, checked: due.length, released, failed };
+}
+
+/**
+ * Click, conversion and commission totals per program or per link
+ * @param {Object} where - AffiliateReferral filter (program/link/owner/affiliate and date)
+ * @returns {Promise<Object>} { [groupId]: { by_currency: { CUR: { pending, paid, cancelled, sales } } } }
+ */
+export async function summarizeReferrals(where, groupBy) {
+  const rows = await AffiliateReferral.findAll({
+    where,
+    attributes: [
+      groupBy,
+      "currency",
+      "status",
+      [db.fn("COUNT", db.col("id")), "count"],
+      [db.fn("SUM", db.col("order_amount")), "sales"],
+      [db.fn("SUM", db.col("commission_amount")), "commission"],
+    ],
+    group: [groupBy, "currency", "status"],
+    raw: true,
+  });
+
+  const summary = {};
+  for (const row of rows) {
+    const group = (summary[row[groupBy]] ??= { conversions: 0, by_currency: {} });
+    const cur = (group.by_currency[row.currency] ??= {
+      sales: 0,
+      pending: 0,
+      paid: 0,
+      cancelled: 0,
+    });
+    const commission = parseFloat(row.commission || 0);
+    cur[row.status] = parseFloat((cur[row.status] + commission).toFixed(2));
+    if (row.status !== "cancelled") {
+      group.conversions += parseInt(row.count);
+      cur.sales = parseFloat((cur.sales + parseFloat(row.sales || 0)).toFixed(2));
+    }
+  }
+  return summary;
+}
+
+/**
+ * Click counts per program or link within an optional date range
+ */
+export async function countClicks(where, groupBy) {
+  const rows = await AffiliateClick.findAll({
+    where,
+    attributes: [groupBy, [db.fn("COUNT", db.col("id")), "count"]],
+    group: [groupBy],
+    raw: true,
+  });
+  return Object.fromEntries(rows.map((row) => [row[groupBy], parseInt(row.count)]));
+}
+
+/**
+ * Optional start_date / end_date (YYYY-MM-DD, inclusive) filter on a date column
+ */
+export function parseDateRange(query, column) {
+  const { start_date, end_date } = query;
+  if (!start_date && !end_date) return {};
+
+  const range = {};
+  if (start_date) {
+    const start = new Date(`${start_date}T00:00:00.000Z`);
+    if (Number.isNaN(start.getTime())) throw new ErrorClass("Invalid start_date", 400);
+    range[Op.gte] = start;
+  }
+  if (end_date) {
+    const end = new Date(`${end_date}T00:00:00.000Z`);
+    if (Number.isNaN(end.getTime())) throw new ErrorClass("Invalid end_date", 400);
+    range[Op.lt] = new Date(end.getTime() + DAY_MS);
+  }
+  return { [column]: range };
+}
+
+export function formatReferral(referral) {
+  return {
+    id: referral.id,
+    program_id: referral.program_id,
+    link_id: referral.link_id,
+    affiliate_type: referral.affiliate_type,
+    affiliate_id: referral.affiliate_id,
+    product_type: referral.product_type,
+    product_id: referral.product_id,
+    order_amount: parseFloat(referral.order_amount),
+    currency: referral.currency,
+    commission_rate: parseFloat(referral.commission_rate),
+    commission_amount: parseFloat(referral.commission_amount),
+    payment_reference: referral.payment_reference,
+    status: referral.status,
+    hold_until: referral.hold_until,
+    paid_at: referral.paid_at,
+    cancelled_at: referral.cancelled_at,
+    cancel_reason: referral.cancel_reason,
+    created_at: referral.created_at,
+  };
+}
+
+export function formatProgram(program, product = null) {
+  return {
+    id: program.id,
+    product_type: program.product_type,
+    product_id: program.product_id,
+    product: product
+      ? { title: product.title, slug: product.slug, is_published: product.is_published }
+      : null,
+    commission_rate: parseFloat(program.commission_rate),
+    cookie_days: program.cookie_days,
+    hold_days: program.hold_days,
+    audience: program.audience,
+    terms: program.terms,
+    status: program.status,
+    created_at: program.created_at,
+    updated_at: program.updated_at,
+  };
+}
@@ -0,0 +1,367 @@
+/**
+ * Assignment Service
+ * Validation of assignment settings and rubrics, the submission window (deadline, late
+ * policy, attempts and resubmission requests), rubric scoring with late penalties, and
+ * storage of submission files in Supabase.
+ *
+ * Files live in a private bucket; only object paths are stored and reads get short-lived
+ * signed URLs.
+ */
+
+import crypto from "crypto";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { supabase } from "../utils/supabase.js";
+
+export const SUBMISSION_TYPES = ["file", "text", "file_or_text"];
+export const LATE_POLICIES = ["reject", "accept", "penalty"];
+export const ASSIGNMENT_STATUSES = ["draft", "published", "archived"];
+export const MAX_SUBMISSION_FILES = 5;
+export const MAX_SUBMISSION_FILE_MB = 20;
+export const ASSIGNMENT_FILE_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/zip",
+  "application/x-zip-compressed",
+  "text/plain",
+  "text/csv",
+  "image/jpeg",
+  "image/png",
+];
+
+const BUCKET = process.env.ASSIGNMENTS_BUCKET || "assignment-submissions";
+const SIGNED_URL_SECONDS = 3600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+function parseOptionalDate(value, field) {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorClass(`${field} must be a valid date`, 400);
+  }
+  return date;
+}
+
+/**
+ * Validate rubric criteria; criteria without an id get one
+ * @returns {Array} [{ id, title, description, max_points }]
+ */
+export function normalizeRubric(rubric) {
+  if (!Array.isArray(rubric)) {
+    throw new ErrorClass("rubric must be an array of criteria", 400);
+  }
+  const ids = new Set();
+  return rubric.map((criterion, index) => {
+    const title = String(criterion?.title || "").trim();
+    if (!title) {
+      throw new ErrorClass(`Rubric criterion ${index + 1} needs a title`, 400);
+    }
+    const maxPoints = Number(criterion.max_points);
+    if (!Number.isFinite(maxPoints) || maxPoints <= 0 || maxPoints > 1000) {
+      throw new ErrorClass(`Rubric criterion "${title}": max_points must be between 0 and 1000`, 400);
+    }
+    const id = String(criterion.id || `c${index + 1}`).slice(0, 40);
+    if (ids.has(id)) {
+      throw new ErrorClass(`Rubric criterion id "${id}" is used twice`, 400);
+    }
+    ids.add(id);
+    return {
+      id,
+      title: title.slice(0, 200),
+      description: criterion.description ? String(criterion.description).trim() : null,
+      max_points: round2(maxPoints),
+    };
+  });
+}
+
+/**
+ * Validate assignment settings, merged over the current assignment on update
+ * @returns {Object} fields to save
+ */
+export function validateAssignment(body, current = null) {
+  const updates = {};
+
+  if (body.title !== undefined || !current) {
+    const title = String(body.title || "").trim();
+    if (!title) throw new ErrorClass("title is required", 400);
+    updates.title = title.slice(0, 255);
+  }
+  if (body.instructions !== undefined) {
+    updates.instructions = body.instructions ? String(body.instructions) : null;
+  }
+  if (body.submission_type !== undefined) {
+    if (!SUBMISSION_TYPES.includes(body.submission_type)) {
+      throw new ErrorClass(`submission_type must be one of: ${SUBMISSION_TYPES.join(", ")}`, 400);
+    }
+    updates.submission_type = body.submission_type;
+  }
+  if (body.status !== undefined) {
+    if (!ASSIGNMENT_STATUSES.includes(body.status)) {
+      throw new ErrorClass(`status must be one of: ${ASSIGNMENT_STATUSES.join(", ")}`, 400);
+    }
+    updates.status = body.status;
+  }
+  if (body.due_at !== undefined) updates.due_at = parseOptionalDate(body.due_at, "due_at");
+  if (body.late_cutoff_at !== undefined) {
+    updates.late_cutoff_at = parseOptionalDate(body.late_cutoff_at, "late_cutoff_at");
+  }
+  if (body.late_policy !== undefined) {
+    if (!LATE_POLICIES.includes(body.late_policy)) {
+      throw new ErrorClass(`late_policy must be one of: ${LATE_POLICIES.join(", ")}`, 400);
+    }
+    updates.late_policy = body.late_policy;
+  }
+  if (body.late_penalty_percent !== undefined) {
+    const percent = Number(body.late_penalty_percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new ErrorClass("late_penalty_percent must be between 0 and 100", 400);
+    }
+    updates.late_penalty_percent = percent;
+  }
+  if (body.max_attempts !== undefined) {
+    const attempts = Number(body.max_attempts);
+    if (!Number.isInteger(attempts) || attempts < 1 || attempts > 20) {
+      throw new ErrorClass("max_attempts must be a whole number between 1 and 20", 400);
+    }
+    updates.max_attempts = attempts;
+  }
+
+  if (body.rubric !== undefined) {
+    updates.rubric = normalizeRubric(body.rubric || []);
+  }
+  const rubric = updates.rubric ?? current?.rubric ?? [];
+  if (rubric.length) {
+    updates.max_points = round2(rubric.reduce((sum, c) => sum + Number(c.max_points), 0));
+  } else if (body.max_points !== undefined || body.rubric !== undefined) {
+    const maxPoints = Number(body.max_points ?? current?.max_points ?? 100);
+    if (!Number.isFinite(maxPoints) || maxPoints <= 0 || maxPoints > 1000) {
+      throw new ErrorClass("max_points must be between 0 and 1000", 400);
+    }
+    updates.max_points = round2(maxPoints);
+  }
+
+  const dueAt = updates.due_at !== undefined ? updates.due_at : current?.due_at;
+  const cutoff = updates.late_cutoff_at !== undefined ? updates.late_cutoff_at : current?.late_cutoff_at;
+  const policy = updates.late_policy || current?.late_policy || "accept";
+  if (cutoff && !dueAt) {
+    throw new ErrorClass("late_cutoff_at needs a due_at", 400);
+  }
+  if (cutoff && new Date(cutoff) < new Date(dueAt)) {
+    throw new ErrorClass("late_cutoff_at cannot be before due_at", 400);
+  }
+  if (cutoff && policy === "reject") {
+    throw new ErrorClass('late_cutoff_at only applies when late_policy is "accept" or "penalty"', 400);
+  }
+
+  return updates;
+}
+
+/**
+ * Whether a student may submit now
+ * A resubmission requested by staff is always allowed and never late; otherwise the
+ * attempt limit, the latest submission's status and the deadline apply.
+ * @returns {{ allowed: boolean, reason: string|null, is_late: boolean, days_late: number }}
+ */
+export function getSubmissionWindow(assignment, submissions, now = new Date()) {
+  const latest = submissions[submissions.length - 1] || null;
+  const result = (allowed, reason = null, daysLate = 0) => ({
+    allowed,
+    reason,
+    is_late: daysLate > 0,
+    days_late: daysLate,
+  });
+
+  if (assignment.status !== "published") {
+    return result(false, "This assignment is not open for submissions");
+  }
+  if (latest?.status === "resubmission_requested") {
+    return result(true);
+  }
+  if (submissions.length >= assignment.max_attempts) {
+    return result(false, "You have used all your submissions for this assignment");
+  }
+  if (latest?.status === "graded") {
+    return result(false, "Your submission has already been graded");
+  }
+
+  if (!assignment.due_at || now <= new Date(assignment.due_at)) {
+    return result(true);
+  }
+  if (assignment.late_policy === "reject") {
+    return result(false, "The deadline for this assignment has passed");
+  }
+  if (assignment.late_cutoff_at && now > new Date(assignment.late_cutoff_at)) {
+    return result(false, "Late submissions for this assignment have closed");
+  }
+  const daysLate = Math.ceil((now.getTime() - new Date(assignment.due_at).getTime()) / DAY_MS);
+  return result(true, null, daysLate);
+}
+
+/**
+ * Score a submission from rubric scores (or a single score without a rubric),
+ * then apply the late penalty
+ * @returns {Object} fields to save on the submission
+ */
+export function scoreSubmission(assignment, submission, { rubric_scores, score }) {
+  const rubric = assignment.rubric || [];
+  let rubricScores = [];
+  let rawScore;
+
+  if (rubric.length) {
+    if (!Array.isArray(rubric_scores)) {
+      throw new ErrorClass("rubric_scores is required for an assignment with a rubric", 400);
+    }
+    const byCriterion = new Map(rubric_scores.map((s) => [String(s?.criterion_id), s]));
+    for (const id of byCriterion.keys()) {
+      if (!rubric.some((c) => c.id === id)) {
+        throw new ErrorClass(`Unknown rubric criterion "${id}"`, 400);
+      }
+    }
+    rubricScores = rubric.map((criterion) => {
+      const entry = byCriterion.get(criterion.id);
+      const value = Number(entry?.score);
+      if (!entry || !Number.isFinite(value) || value < 0 || value > Number(criterion.max_points)) {
+        throw new ErrorClass(
+          `Score for "${criterion.title}" must be between 0 and ${Number(criterion.max_points)}`,
+          400
+        );
+      }
+      return {
+        criterion_id: criterion.id,
+        score: round2(value),
+        comment: entry.comment ? String(entry.comment).trim() : null,
+      };
+    });
+    rawScore = round2(rubricScores.reduce((sum, s) => sum + s.score, 0));
+  } else {
+    rawScore = Number(score);
+    if (!Number.isFinite(rawScore) || rawScore < 0 || rawScore > Number(assignment.max_points)) {
+      throw new ErrorClass(`score must be between 0 and ${Number(assignment.max_points)}`, 400);
+    }
+    rawScore = round2(rawScore);
+  }
+
+  let latePenalty = 0;
+  if (submission.is_late && assignment.late_policy === "penalty") {
+    const percent = Math.min(100, submission.days_late * Number(assignment.late_penalty_percent));
+    latePenalty = round2((rawScore * percent) / 100);
+  }
+
+  return {
+    rubric_scores: rubricScores,
+    raw_score: rawScore,
+    late_penalty: latePenalty,
+    score: round2(rawScore - latePenalty),
+  };
+}
+
+/**
+ * Upload submission files
+ * @returns {Promise<Array>} [{ path, name, size, mime_type }]
+ */
+export async function uploadSubmissionFiles(assignmentId, studentId, attemptNumber, files) {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const safeName = String(file.originalname || "file")
+        .replace(/[^a-zA-Z0-9._-]/g, "_")
+        .slice(-100);
+      const path = `assignments/${assignmentId}/students/${studentId}/attempt_${attemptNumber}/${crypto
+        .randomBytes(6)
+        .toString("hex")}_${safeName}`;
+
+      const { error } = await supabase.storage.from(BUCKET).upload(path, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false,
+      });
+      if (error) {
+        throw new ErrorClass(`Upload failed: ${error.message}`, 500);
+      }
+      stored.push({ path, name: file.originalname, size: file.size, mime_type: file.mimetype });
+    }
+  } catch (error) {
+    await removeSubmissionFiles(stored);
+    throw error;
+  }
+  return stored;
+}
+
+export async function removeSubmissionFiles(files) {
+  const paths = (files || []).map((f) => f.path).filter(Boolean);
+  if (!paths.length) return;
+  const { error } = await supabase.storage.from(BUCKET).remove(paths);
+  if (error) console.error("Failed to remove assignment files:", error.message);
+}
+
+/**
+ * Submission files with signed download URLs
+ */
+export async function signSubmissionFiles(files) {
+  return Promise.all(
+    (files || []).map(async (file) => {
+      const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrl(file.path, SIGNED_URL_SECONDS);
+      return {
+        name: file.name,
+        size: file.size,
+        mime_type: file.mime_type,
+        url: error ? null : data.signedUrl,
+        expires_in: SIGNED_URL_SECONDS,
+      };
+    })
+  );
+}
+
+export function formatAssignment(assignment) {
+  return {
+    id: assignment.id,
+    module_id: assignment.module_id,
+    title: assignment.title,
+    instructions: assignment.instructions,
+    submission_type: assignment.submission_type,
+    max_points: Number(assignment.max_points),
+    rubric: (assignment.rubric || []).map((c) => ({ ...c, max_points: Number(c.max_points) })),
+    due_at: assignment.due_at,
+    late_policy: assignment.late_policy,
+    late_penalty_percent: Number(assignment.late_penalty_percent),
+    late_cutoff_at: assignment.late_cutoff_at,
+    max_attempts: assignment.max_attempts,
+    status: assignment.status,
+    created_at: assignment.created_at,
+    updated_at: assignment.updated_at,
+  };
+}
+
+const decimalOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * @param {Object} options - files: signed files (omit to leave files out), student
+ */
+export function formatSubmission(submission, { files, student } = {}) {
+  return {
+    id: submission.id,
+    assignment_id: submission.assignment_id,
+    student_id: submission.student_id,
+    ...(student ? { student } : {}),
+    attempt_number: submission.attempt_number,
+    text_content: submission.text_content,
+    ...(files ? { files } : { file_count: (submission.files || []).length }),
+    submitted_at: submission.submitted_at,
+    is_late: submission.is_late,
+    days_late: submission.days_late,
+    status: submission.status,
+    rubric_scores: submission.rubric_scores || [],
+    raw_score: decimalOrNull(submission.raw_score),
+    late_penalty: Number(submission.late_penalty || 0),
+    score: decimalOrNull(submission.score),
+    feedback: submission.feedback,
+    graded_at: submission.graded_at,
+  };
+}
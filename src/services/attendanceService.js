@@ -0,0 +1,407 @@
+/**
+ * Live class attendance
+ * Join/leave times per participant of staff video calls and coaching sessions, from
+ * Stream webhooks, plus manual marks by staff. Feeds per-course attendance percentages
+ * and the "attendance" gradebook source.
+ *
+ * Stream only knows the numeric user id we sign tokens with, so a person is matched to
+ * the record opened when they got their join token (registerAttendee).
+ */
+
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { Config } from "../config/config.js";
+import { VideoCall } from "../models/video/videoCall.js";
+import { CoachingSession } from "../models/marketplace/coachingSession.js";
+import { CoachingParticipant } from "../models/marketplace/coachingParticipant.js";
+import { Semester } from "../models/auth/semester.js";
+import { AttendanceRecord } from "../models/attendance/index.js";
+
+// Statuses that count towards the attendance percentage
+const ATTENDED_STATUSES = ["present", "late"];
+const HOST_ROLES = ["host", "admin"];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Seconds covered by closed intervals, overlapping connections counted once
+ */
+export function attendedSeconds(intervals) {
+  const ranges = (intervals || [])
+    .map((i) => [toTime(i.joined_at), toTime(i.left_at)])
+    .filter(([start, end]) => start && end && end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+  for (const [start, end] of ranges) {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) total += currentEnd - currentStart;
+      currentStart = start;
+      currentEnd = end;
+    } else if (end > currentEnd) {
+      currentEnd = end;
+    }
+  }
+  if (currentEnd !== null) total += currentEnd - currentStart;
+  return Math.round(total / 1000);
+}
+
+/**
+ * Open a record for someone about to join (called by the join-token endpoints)
+ */
+export async function registerAttendee({ sessionType, sessionId, courseId = null, userType, userId }) {
+  if (!["staff", "student"].includes(userType) || !userId) return null;
+  const [record] = await AttendanceRecord.findOrCreate({
+    where: {
+      session_type: sessionType,
+      session_id: String(sessionId),
+      user_type: userType,
+      user_id: Number(userId),
+    },
+    defaults: { course_id: courseId },
+  });
+  return record;
+}
+
+/**
+ * Video call or coaching session behind a Stream call id
+ */
+export async function findStreamSession(streamCallId) {
+  const call = await VideoCall.findOne({ where: { stream_call_id: streamCallId } });
+  if (call) {
+    return {
+      type: "video_call",
+      id: call.id,
+      courseId: call.course_id,
+      endedAt: call.ended_at,
+      model: call,
+    };
+  }
+
+  const session = await CoachingSession.findOne({ where: { stream_call_id: streamCallId } });
+  if (session) {
+    return {
+      type: "coaching_session",
+      id: String(session.id),
+      courseId: null,
+      endedAt: session.actual_end_time,
+      model: session,
+    };
+  }
+  return null;
+}
+
+/**
+ * Lock the record of a Stream user in a session and apply changes to its intervals
+ * A staff member and a student can share a numeric id; the Stream role decides then.
+ */
+async function updateIntervals(session, streamUser, change) {
+  const userId = Number(streamUser?.id);
+  if (!Number.isInteger(userId) || userId <= 0) return null;
+
+  const transaction = await db.transaction();
+  try {
+    const records = await AttendanceRecord.findAll({
+      where: { session_type: session.type, session_id: String(session.id), user_id: userId },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const preferredType = HOST_ROLES.includes(streamUser.role) ? "staff" : "student";
+    const record = records.find((r) => r.user_type === preferredType) || records[0];
+    if (!record) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const intervals = (record.intervals || []).map((i) => ({ ...i }));
+    if (!change(intervals)) {
+      await transaction.rollback();
+      return record;
+    }
+
+    const joins = intervals.map((i) => toTime(i.joined_at)).filter(Boolean);
+    const leaves = intervals.map((i) => toTime(i.left_at)).filter(Boolean);
+    record.set({
+      intervals,
+      first_joined_at: joins.length ? new Date(Math.min(...joins)) : null,
+      last_left_at: leaves.length ? new Date(Math.max(...leaves)) : null,
+      duration_seconds: attendedSeconds(intervals),
+    });
+    record.changed("intervals", true);
+    await record.save({ transaction });
+    await transaction.commit();
+
+    if (session.type === "coaching_session" && record.user_type === "student") {
+      await syncCoachingParticipant(session.id, record);
+    }
+    return record;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+// Keep the invite row's joined_at / left_at (shown to tutors) in step
+async function syncCoachingParticipant(sessionId, record) {
+  await CoachingParticipant.update(
+    { joined_at: record.first_joined_at, left_at: record.last_left_at },
+    { where: { session_id: Number(sessionId), student_id: record.user_id } }
+  );
+}
+
+export async function recordJoin(session, participant, at) {
+  const connection = participant?.user_session_id;
+  const joinedAt = new Date(participant?.joined_at || at || Date.now());
+  return updateIntervals(session, { id: participant?.user?.id, role: participant?.role }, (intervals) => {
+    if (connection && intervals.some((i) => i.connection === connection)) return false; // redelivery
+    intervals.push({ connection: connection || null, joined_at: joinedAt.toISOString(), left_at: null });
+    return true;
+  });
+}
+
+export async function recordLeave(session, participant, at) {
+  const connection = participant?.user_session_id;
+  const leftAt = new Date(at || Date.now());
+  return updateIntervals(session, { id: participant?.user?.id, role: participant?.role }, (intervals) => {
+    const open =
+      intervals.find((i) => !i.left_at && connection && i.connection === connection) ||
+      intervals.find((i) => !i.left_at && !connection);
+    if (!open) return false;
+    open.left_at = leftAt.toISOString();
+    return true;
+  });
+}
+
+/**
+ * Close every open interval of a session at its end time (missed leave events)
+ */
+export async function closeOpenAttendance(sessionType, sessionId, endedAt = new Date()) {
+  const records = await AttendanceRecord.findAll({
+    where: { session_type: sessionType, session_id: String(sessionId) },
+  });
+  const end = new Date(endedAt).toISOString();
+  for (const record of records) {
+    const intervals = (record.intervals || []).map((i) => ({ ...i }));
+    const open = intervals.filter((i) => !i.left_at);
+    if (!open.length) continue;
+    open.forEach((i) => {
+      i.left_at = end;
+    });
+    record.set({
+      intervals,
+      last_left_at: new Date(end),
+      duration_seconds: attendedSeconds(intervals),
+    });
+    record.changed("intervals", true);
+    await record.save();
+    if (sessionType === "coaching_session" && record.user_type === "student") {
+      await syncCoachingParticipant(sessionId, record);
+    }
+  }
+}
+
+/**
+ * Apply a Stream webhook event
+ * @returns {Promise<boolean>} false when the event is not about one of our classes
+ */
+export async function handleStreamEvent(event) {
+  const streamCallId = String(event?.call_cid || "").split(":").pop();
+  if (!streamCallId) return false;
+  const session = await findStreamSession(streamCallId);
+  if (!session) return false;
+
+  switch (event.type) {
+    case "call.session_participant_joined":
+      await recordJoin(session, event.participant, event.created_at);
+      return true;
+    case "call.session_participant_left":
+      await recordLeave(session, event.participant, event.created_at);
+      return true;
+    case "call.session_ended":
+      await closeOpenAttendance(session.type, session.id, event.created_at);
+      return true;
+    case "call.ended": {
+      const endedAt = new Date(event.call?.ended_at || event.created_at || Date.now());
+      if (session.type === "video_call" && !session.endedAt) {
+        await session.model.update({ ended_at: endedAt });
+      }
+      await closeOpenAttendance(session.type, session.id, endedAt);
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Start and end of a class: first join (or scheduled start) to end (or last leave)
+ */
+export function sessionWindow(records, { startsAt = null, endedAt = null } = {}) {
+  const joins = records.map((r) => toTime(r.first_joined_at)).filter(Boolean);
+  const leaves = records.map((r) => toTime(r.last_left_at)).filter(Boolean);
+  const start = joins.length ? Math.min(...joins) : toTime(startsAt);
+  const end = toTime(endedAt) || (leaves.length ? Math.max(...leaves) : null);
+  return { start, end };
+}
+
+/**
+ * Attendance status of one record
+ * Manual marks win. Otherwise: absent below Config.attendance.presentPercent of the
+ * class, late when the first join is more than lateAfterMinutes after the start.
+ */
+export function resolveStatus(record, window) {
+  if (record?.status) return record.status;
+  if (!record?.first_joined_at) return "absent";
+
+  const length = window.start && window.end ? (window.end - window.start) / 1000 : 0;
+  if (length > 0 && record.duration_seconds < (length * Config.attendance.presentPercent) / 100) {
+    return "absent";
+  }
+  const lateBy = window.start ? toTime(record.first_joined_at) - window.start : 0;
+  if (lateBy > Config.attendance.lateAfterMinutes * 60 * 1000) return "late";
+  return "present";
+}
+
+export function formatAttendanceRecord(record, window, person = null) {
+  return {
+    user_type: record.user_type,
+    user_id: record.user_id,
+    ...(person ? { [record.user_type]: person } : {}),
+    status: resolveStatus(record, window),
+    marked_manually: !!record.status,
+    note: record.note || null,
+    first_joined_at: record.first_joined_at || null,
+    last_left_at: record.last_left_at || null,
+    duration_minutes: Math.round((record.duration_seconds || 0) / 60),
+    joins: (record.intervals || []).length,
+  };
+}
+
+/**
+ * Set or clear manual marks for students of a session
+ * @param {Array} marks - [{ student_id, status, note? }]; status null clears the mark
+ */
+export async function markAttendance(session, marks, markedBy) {
+  const now = new Date();
+  const saved = [];
+  for (const mark of marks) {
+    const [record] = await AttendanceRecord.findOrCreate({
+      where: {
+        session_type: session.type,
+        session_id: String(session.id),
+        user_type: "student",
+        user_id: Number(mark.student_id),
+      },
+      defaults: { course_id: session.courseId },
+    });
+    const updates = {
+      status: mark.status || null,
+      marked_by: mark.status ? markedBy : null,
+      marked_at: mark.status ? now : null,
+    };
+    if (mark.note !== undefined) {
+      updates.note = mark.note ? String(mark.note).trim().slice(0, 500) : null;
+    }
+    await record.update(updates);
+    saved.push(record);
+  }
+  return saved;
+}
+
+/**
+ * Semester date range of an offering, as [start, end) instants
+ */
+async function findTermRange(academicYear, semester) {
+  const row = await Semester.findOne({
+    where: { academic_year: academicYear, semester },
+    order: [["id", "DESC"]],
+  });
+  if (!row?.start_date || !row?.end_date) return null;
+  const end = new Date(row.end_date);
+  end.setDate(end.getDate() + 1);
+  return { start: new Date(row.start_date), end };
+}
+
+/**
+ * Semester (academic_year + semester) a date falls in, if any
+ */
+export async function findTermForDate(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  const row = await Semester.findOne({
+    where: { start_date: { [Op.lte]: date }, end_date: { [Op.gte]: day } },
+    order: [["id", "DESC"]],
+  });
+  return row ? { academicYear: String(row.academic_year), semester: String(row.semester).toUpperCase() } : null;
+}
+
+/**
+ * Attendance of students across the course's video calls in an offering
+ * A call counts once it has ended or has manual marks. Excused calls are left out
+ * of a student's total.
+ * @returns {Promise<{ sessions: Array, students: Map<number, Object> }>}
+ */
+export async function getCourseAttendance(courseId, academicYear, semester, studentIds) {
+  const students = new Map(
+    studentIds.map((id) => [
+      Number(id),
+      { present: 0, late: 0, absent: 0, excused: 0, attended: 0, total: 0, percentage: null, sessions: [] },
+    ])
+  );
+
+  const range = await findTermRange(academicYear, semester);
+  if (!range) return { sessions: [], students };
+
+  const calls = await VideoCall.findAll({
+    where: {
+      course_id: courseId,
+      [Op.or]: [
+        { starts_at: { [Op.gte]: range.start, [Op.lt]: range.end } },
+        { starts_at: null, created_at: { [Op.gte]: range.start, [Op.lt]: range.end } },
+      ],
+    },
+    order: [["created_at", "ASC"]],
+  });
+  if (!calls.length) return { sessions: [], students };
+
+  const records = await AttendanceRecord.findAll({
+    where: { session_type: "video_call", session_id: calls.map((c) => c.id) },
+  });
+  const recordsByCall = new Map();
+  for (const record of records) {
+    if (!recordsByCall.has(record.session_id)) recordsByCall.set(record.session_id, []);
+    recordsByCall.get(record.session_id).push(record);
+  }
+
+  const sessions = [];
+  for (const call of calls) {
+    const callRecords = recordsByCall.get(call.id) || [];
+    if (!call.ended_at && !callRecords.some((r) => r.status)) continue;
+
+    const window = sessionWindow(callRecords, { startsAt: call.starts_at, endedAt: call.ended_at });
+    sessions.push({
+      id: call.id,
+      title: call.title,
+      started_at: window.start ? new Date(window.start) : null,
+      ended_at: call.ended_at,
+    });
+
+    for (const [studentId, summary] of students) {
+      const record = callRecords.find((r) => r.user_type === "student" && r.user_id === studentId);
+      const status = record ? resolveStatus(record, window) : "absent";
+      summary[status] += 1;
+      if (status !== "excused") summary.total += 1;
+      if (ATTENDED_STATUSES.includes(status)) summary.attended += 1;
+      summary.sessions.push({ call_id: call.id, status });
+    }
+  }
+
+  for (const summary of students.values()) {
+    summary.percentage = summary.total ? round2((summary.attended / summary.total) * 100) : null;
+  }
+  return { sessions, students };
+}
@@ -6,6 +6,7 @@ import { Semester } from "../models/auth/semester.js";
 import { CourseSemesterPricing } from "../models/course/courseSemesterPricing.js";
 import { GeneralSetup } from "../models/settings/generalSetup.js";
 import { levelStringFromCourse } from "../utils/courseCatalogLevel.js";
+import { selectAllocatableCourses } from "./courseRegistrationRulesService.js";
 
 function assertSemesterStr(semester) {
   const semesterStr = semester?.toString().toUpperCase();
@@ -19,6 +20,8 @@ function assertSemesterStr(semester) {
 
 /**
  * Auto-allocation for one student row (WPU courses matching program, level, semester).
+ * Outstanding carry-overs offered this semester are added; courses that break the
+ * registration rules are reported in `blocked` (courseRegistrationRulesService).
  * @param {import("sequelize").Model} student - must include id, program_id, facaulty_id, level, currency
  */
 async function allocateMatchingWpuCoursesForStudent(
@@ -29,7 +32,7 @@ async function allocateMatchingWpuCoursesForStudent(
   allocationDate,
   today
 ) {
-  const results = { allocated: 0, skipped: 0, errors: [] };
+  const results = { allocated: 0, skipped: 0, errors: [], blocked: [] };
 
   if (!student.program_id || !student.level) {
     results.skipped++;
@@ -52,14 +55,30 @@ async function allocateMatchingWpuCoursesForStudent(
 
   const matchingCourses = await Courses.findAll({
     where: courseWhere,
-    attributes: ["id", "price", "title", "course_code", "currency", "course_level"],
+    attributes: ["id", "price", "title", "course_code", "currency", "course_level", "course_unit"],
   });
 
-  if (matchingCourses.length === 0) {
+  let allocatableCourses;
+  try {
+    const selection = await selectAllocatableCourses(
+      student,
+      matchingCourses,
+      academicYearStr,
+      semesterStr
+    );
+    allocatableCourses = selection.courses;
+    results.skipped += selection.blocked.length;
+    results.blocked.push(...selection.blocked.map((b) => ({ student_id: student.id, ...b })));
+  } catch (error) {
+    results.errors.push({ student_id: student.id, error: error.message });
+    return results;
+  }
+
+  if (allocatableCourses.length === 0) {
     return results;
   }
 
-  for (const course of matchingCourses) {
+  for (const course of allocatableCourses) {
     try {
       const existing = await CourseReg.findOne({
         where: {
@@ -161,7 +180,7 @@ export async function allocateCoursesForSingleStudent(studentId, academicYear, s
   });
 
   if (!student) {
-    return { allocated: 0, skipped: 0, errors: [], message: "Student not found" };
+    return { allocated: 0, skipped: 0, errors: [], blocked: [], message: "Student not found" };
   }
 
   const allocationDate = new Date();
@@ -183,13 +202,14 @@ export async function allocateCoursesForSingleStudent(studentId, academicYear, s
  *
  * @param {number|string} academicYear - Academic year (will be converted to string)
  * @param {string} semester - Semester ("1ST" or "2ND")
- * @returns {Promise<{allocated: number, skipped: number, errors: Array}>}
+ * @returns {Promise<{allocated: number, skipped: number, errors: Array, blocked: Array}>}
  */
 export async function allocateCoursesToAllStudents(academicYear, semester) {
   const results = {
     allocated: 0,
     skipped: 0,
     errors: [],
+    blocked: [],
   };
 
   const academicYearStr = academicYear?.toString();
@@ -229,6 +249,7 @@ export async function allocateCoursesToAllStudents(academicYear, semester) {
     results.allocated += part.allocated;
     results.skipped += part.skipped;
     results.errors.push(...part.errors);
+    results.blocked.push(...part.blocked);
   }
 
   return results;
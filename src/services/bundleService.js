@@ -0,0 +1,370 @@
+/**
+ * Bundle Service
+ * Learning-path bundles: validation of the products a tutor puts in a bundle, bundle
+ * pricing per wallet currency, and granting the included products to a buyer.
+ *
+ * Buying a bundle creates the same access records as buying each product on its own
+ * (course_reg, ebook_purchases, digital_download_purchases, community_subscriptions), so
+ * checkProductAccess and the product access endpoints need no bundle-specific logic.
+ * Those records carry a zero price; the money is recorded once on bundle_purchases.
+ */
+
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { Courses } from "../models/course/courses.js";
+import { CourseReg } from "../models/course_reg.js";
+import { EBooks } from "../models/marketplace/ebooks.js";
+import { EBookPurchase } from "../models/marketplace/ebookPurchase.js";
+import { DigitalDownloads } from "../models/marketplace/digitalDownloads.js";
+import { DigitalDownloadPurchase } from "../models/marketplace/digitalDownloadPurchase.js";
+import { Community } from "../models/marketplace/community.js";
+import { CommunitySubscription } from "../models/marketplace/communitySubscription.js";
+import { CommunityMember } from "../models/marketplace/communityMember.js";
+import { ProductBundleItem } from "../models/marketplace/productBundleItem.js";
+
+export const BUNDLE_PRODUCT_TYPES = ["course", "ebook", "digital_download", "community"];
+export const BUNDLE_STATUSES = ["draft", "published", "archived"];
+
+// Prefix of every payment reference created for a bundle purchase (see tutorAnalyticsService)
+export const BUNDLE_REF_PREFIX = "BUNDLE-";
+
+const MAX_BUNDLE_ITEMS = 50;
+
+/**
+ * Look up a product that can go in a bundle
+ * @returns {Promise<Object|null>} { product_type, product_id, title, price, currency, image_url, owner_type, owner_id, is_published }
+ */
+export async function getBundleProduct(productType, productId) {
+  switch (productType) {
+    case "course": {
+      const course = await Courses.findOne({
+        where: { id: productId, is_marketplace: true },
+        attributes: ["id", "title", "price", "currency", "image_url", "marketplace_status", "owner_type", "owner_id"],
+      });
+      if (!course) return null;
+      return {
+        product_type: "course",
+        product_id: course.id,
+        title: course.title,
+        price: parseFloat(course.price || 0),
+        currency: course.currency || "NGN",
+        image_url: course.image_url,
+        owner_type: course.owner_type,
+        owner_id: course.owner_id,
+        is_published: course.marketplace_status === "published",
+      };
+    }
+    case "ebook":
+    case "digital_download": {
+      const Model = productType === "ebook" ? EBooks : DigitalDownloads;
+      const product = await Model.findByPk(productId, {
+        attributes: ["id", "title", "price", "currency", "cover_image", "status", "owner_type", "owner_id"],
+      });
+      if (!product) return null;
+      return {
+        product_type: productType,
+        product_id: product.id,
+        title: product.title,
+        price: parseFloat(product.price || 0),
+        currency: product.currency || "NGN",
+        image_url: product.cover_image,
+        owner_type: product.owner_type,
+        owner_id: product.owner_id,
+        is_published: product.status === "published",
+      };
+    }
+    case "community": {
+      const community = await Community.findByPk(productId, {
+        attributes: ["id", "name", "price", "currency", "image_url", "status", "tutor_type", "tutor_id"],
+      });
+      if (!community) return null;
+      return {
+        product_type: "community",
+        product_id: community.id,
+        title: community.name,
+        price: parseFloat(community.price || 0),
+        currency: community.currency || "NGN",
+        image_url: community.image_url,
+        owner_type: community.tutor_type,
+        owner_id: community.tutor_id,
+        is_published: community.status === "published",
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate the product list sent by a tutor. Every product must belong to the tutor.
+ * @param {Array<{ product_type, product_id }>} items - in learning-path order
+ * @returns {Promise<Array<{ product_type, product_id, sort_order }>>}
+ */
+export async function normalizeBundleItems(items, ownerType, ownerId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ErrorClass("items must be a non-empty array of { product_type, product_id }", 400);
+  }
+  if (items.length > MAX_BUNDLE_ITEMS) {
+    throw new ErrorClass(`A bundle can hold at most ${MAX_BUNDLE_ITEMS} products`, 400);
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const item of items) {
+    const productType = item?.product_type;
+    const productId = parseInt(item?.product_id);
+    if (!BUNDLE_PRODUCT_TYPES.includes(productType) || !Number.isInteger(productId)) {
+      throw new ErrorClass(
+        `Each item needs a product_type (${BUNDLE_PRODUCT_TYPES.join(", ")}) and a product_id`,
+        400
+      );
+    }
+    const key = `${productType}:${productId}`;
+    if (seen.has(key)) {
+      throw new ErrorClass(`${productType} ${productId} is listed more than once`, 400);
+    }
+    seen.add(key);
+
+    const product = await getBundleProduct(productType, productId);
+    if (!product || product.owner_type !== ownerType || product.owner_id !== ownerId) {
+      throw new ErrorClass(`${productType} ${productId} not found or not yours`, 404);
+    }
+    normalized.push({ product_type: productType, product_id: productId, sort_order: normalized.length });
+  }
+  return normalized;
+}
+
+/**
+ * Included products of a bundle with their current details, in learning-path order.
+ * Products that no longer exist are left out.
+ */
+export async function loadBundleProducts(bundleId) {
+  const items = await ProductBundleItem.findAll({
+    where: { bundle_id: bundleId },
+    order: [["sort_order", "ASC"], ["id", "ASC"]],
+  });
+  const products = await Promise.all(
+    items.map((item) => getBundleProduct(item.product_type, item.product_id))
+  );
+  return products.filter(Boolean);
+}
+
+/**
+ * A bundle can be published once it has at least two products and all of them are published
+ */
+export function assertBundlePublishable(products) {
+  if (products.length < 2) {
+    throw new ErrorClass("A bundle needs at least two products before it can be published", 400);
+  }
+  const unpublished = products.filter((p) => !p.is_published);
+  if (unpublished.length) {
+    throw new ErrorClass(
+      `Publish these products first: ${unpublished.map((p) => p.title).join(", ")}`,
+      400
+    );
+  }
+}
+
+/**
+ * Price charged for a bundle: USD wallets pay price_usd when the tutor set one,
+ * everyone else pays price in the bundle currency (converted by the caller if needed)
+ * @returns {{ amount: number, currency: string }}
+ */
+export function resolveBundlePrice(bundle, walletCurrency) {
+  const priceUsd = parseFloat(bundle.price_usd || 0);
+  if ((walletCurrency || "").toUpperCase() === "USD" && priceUsd > 0) {
+    return { amount: priceUsd, currency: "USD" };
+  }
+  return {
+    amount: parseFloat(bundle.price || 0),
+    currency: (bundle.currency || "NGN").toUpperCase(),
+  };
+}
+
+/**
+ * Bundle JSON for store pages, carts and tutors
+ */
+export function formatBundle(bundle, products = []) {
+  const currency = bundle.currency || "NGN";
+  const itemsValue = products
+    .filter((p) => p.currency === currency)
+    .reduce((sum, p) => sum + p.price, 0);
+  const price = parseFloat(bundle.price || 0);
+
+  return {
+    id: bundle.id,
+    title: bundle.title,
+    slug: bundle.slug,
+    description: bundle.description,
+    image_url: bundle.image_url,
+    category: bundle.category,
+    price,
+    price_usd: bundle.price_usd ? parseFloat(bundle.price_usd) : null,
+    currency,
+    status: bundle.status,
+    items_value: parseFloat(itemsValue.toFixed(2)),
+    savings: itemsValue > price ? parseFloat((itemsValue - price).toFixed(2)) : 0,
+    products: products.map((p) => ({
+      product_type: p.product_type,
+      product_id: p.product_id,
+      title: p.title,
+      price: p.price,
+      currency: p.currency,
+      image_url: p.image_url,
+    })),
+    created_at: bundle.created_at,
+    updated_at: bundle.updated_at,
+  };
+}
+
+async function grantCourse(product, studentId, transaction) {
+  const existing = await CourseReg.findOne({
+    where: { student_id: studentId, course_id: product.product_id },
+    transaction,
+  });
+  if (existing) return false;
+
+  await CourseReg.create(
+    {
+      student_id: studentId,
+      course_id: product.product_id,
+      academic_year: null,
+      semester: null,
+      date: new Date().toISOString().split("T")[0],
+      registration_status: "marketplace_purchased",
+      course_reg_id: null,
+      program_id: null,
+      facaulty_id: null,
+      level: null,
+      first_ca: 0,
+      second_ca: 0,
+      third_ca: 0,
+      exam_score: 0,
+    },
+    { transaction }
+  );
+  return true;
+}
+
+async function grantPurchaseRecord(Model, foreignKey, product, studentId, txRef, transaction) {
+  const existing = await Model.findOne({
+    where: { student_id: studentId, [foreignKey]: product.product_id },
+    transaction,
+  });
+  if (existing) return false;
+
+  await Model.create(
+    {
+      [foreignKey]: product.product_id,
+      student_id: studentId,
+      owner_type: product.owner_type,
+      owner_id: product.owner_id,
+      price: 0,
+      currency: product.currency,
+      commission_rate: 0,
+      wsp_commission: 0,
+      tutor_earnings: 0,
+      transaction_ref: `${txRef}-${product.product_type}-${product.product_id}`,
+    },
+    { transaction }
+  );
+  return true;
+}
+
+// One billing period of community access; the learner renews at the community price afterwards
+async function grantCommunity(product, studentId, txRef, transaction) {
+  const existing = await CommunitySubscription.findOne({
+    where: { student_id: studentId, community_id: product.product_id, status: "active" },
+    transaction,
+  });
+  if (existing) return false;
+
+  const now = new Date();
+  const nextBillingDate = new Date(now);
+  nextBillingDate.setMonth(nextBillingDate.getMonth() + 1);
+
+  await CommunitySubscription.create(
+    {
+      community_id: product.product_id,
+      student_id: studentId,
+      price: product.price,
+      currency: product.currency,
+      status: "active",
+      start_date: now,
+      next_billing_date: nextBillingDate,
+      auto_renew: false,
+      payment_reference: txRef,
+    },
+    { transaction }
+  );
+
+  const memberValues = {
+    status: "active",
+    subscription_status: "active",
+    subscription_start_date: now,
+    subscription_end_date: nextBillingDate,
+    next_billing_date: nextBillingDate,
+  };
+  const [member, created] = await CommunityMember.findOrCreate({
+    where: { community_id: product.product_id, student_id: studentId },
+    defaults: { ...memberValues, role: "member", joined_at: now },
+    transaction,
+  });
+  if (!created) {
+    await member.update({ ...memberValues, access_blocked_at: null }, { transaction });
+  }
+  await Community.increment("member_count", {
+    where: { id: product.product_id },
+    transaction,
+  });
+  return true;
+}
+
+/**
+ * Give a buyer every product of a bundle. Products the learner already has are skipped.
+ * @returns {Promise<Array<{ product_type, product_id, title, already_owned }>>}
+ */
+export async function grantBundleProducts(products, studentId, txRef, transaction = null) {
+  const granted = [];
+  for (const product of products) {
+    let created;
+    switch (product.product_type) {
+      case "course":
+        created = await grantCourse(product, studentId, transaction);
+        break;
+      case "ebook":
+        created = await grantPurchaseRecord(EBookPurchase, "ebook_id", product, studentId, txRef, transaction);
+        break;
+      case "digital_download":
+        created = await grantPurchaseRecord(
+          DigitalDownloadPurchase,
+          "digital_download_id",
+          product,
+          studentId,
+          txRef,
+          transaction
+        );
+        break;
+      case "community":
+        created = await grantCommunity(product, studentId, txRef, transaction);
+        break;
+      default:
+        continue;
+    }
+    granted.push({
+      product_type: product.product_type,
+      product_id: product.product_id,
+      title: product.title,
+      already_owned: !created,
+    });
+  }
+  return granted;
+}
+
+/**
+ * Throw unless the bundle belongs to the tutor
+ */
+export function assertBundleOwnedByTutor(bundle, tutorId, tutorType) {
+  if (!bundle || bundle.owner_type !== tutorType || bundle.owner_id !== tutorId) {
+    throw new ErrorClass("Bundle not found", 404);
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Certificate Service
+ * Issues course completion certificates and renders them as PDF
+ */
+
+import crypto from "crypto";
+import axios from "axios";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { CourseCertificate } from "../models/marketplace/courseCertificate.js";
+import { CertificateTemplate } from "../models/marketplace/certificateTemplate.js";
+import { Courses } from "../models/course/courses.js";
+import { Students } from "../models/auth/student.js";
+import { SoleTutor } from "../models/marketplace/soleTutor.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { joinFrontendUrl } from "../utils/frontendUrl.js";
+
+const SERIAL_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const DEFAULT_ISSUER_NAME = "WPU Learning Management System";
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+const DEFAULT_BODY_TEXT =
+  "has successfully completed the course {{course_title}} offered by {{issuer_name}} on {{completion_date}}.";
+
+/**
+ * Generate a certificate serial
+ * Format: CERT-YYYY-XXXXXXXX (e.g., CERT-2026-7K3QX9M2)
+ */
+export function generateCertificateSerial() {
+  const random = Array.from({ length: 8 }, () =>
+    SERIAL_ALPHABET.charAt(crypto.randomInt(0, SERIAL_ALPHABET.length))
+  ).join("");
+  return `CERT-${new Date().getFullYear()}-${random}`;
+}
+
+/**
+ * Public page where anyone can verify a certificate (encoded in the QR code)
+ */
+export function getCertificateVerificationUrl(serial) {
+  return joinFrontendUrl(process.env.FRONTEND_URL, `certificates/verify/${serial}`);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+function renderTemplateText(text, values) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+/**
+ * Resolve display name and branding image for a course owner
+ * @returns {Promise<{name: string, logoUrl: string|null}>}
+ */
+async function getIssuer(ownerType, ownerId) {
+  if (ownerType === "organization" && ownerId) {
+    const org = await Organization.findByPk(ownerId, { attributes: ["id", "name", "logo"] });
+    if (org) return { name: org.name, logoUrl: org.logo || null };
+  }
+  if (ownerType === "sole_tutor" && ownerId) {
+    const tutor = await SoleTutor.findByPk(ownerId, {
+      attributes: ["id", "fname", "lname", "profile_image"],
+    });
+    if (tutor) {
+      return {
+        name: `${tutor.fname} ${tutor.lname || ""}`.trim(),
+        logoUrl: tutor.profile_image || null,
+      };
+    }
+  }
+  return { name: DEFAULT_ISSUER_NAME, logoUrl: null };
+}
+
+/**
+ * Logos and profile images are tutor-controlled URLs: only fetch files from our own
+ * Supabase storage, over https, without redirects and with a size cap
+ */
+function isStorageImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const storageHost = new URL(process.env.SUPABASE_URL).host;
+    return (
+      parsed.protocol === "https:" &&
+      parsed.host === storageHost &&
+      parsed.pathname.startsWith("/storage/v1/object/")
+    );
+  } catch {
+    return false;
+  }
+}
+
+async function fetchImageBuffer(url) {
+  if (!url) return null;
+  if (!isStorageImageUrl(url)) {
+    console.warn("Certificate logo skipped: not a storage URL");
+    return null;
+  }
+  try {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 5000,
+      maxRedirects: 0,
+      maxContentLength: MAX_LOGO_BYTES,
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error("Certificate logo fetch failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Issue a certificate for a completed course (idempotent).
+ * Returns the existing certificate if one was already issued, or null when the
+ * course owner has disabled certificates for the course.
+ *
+ * @param {Object} params
+ * @param {number} params.studentId
+ * @param {number} params.courseId
+ * @param {Object} [params.progress] - CourseProgress row (for completed_at)
+ */
+export async function issueCourseCertificate({ studentId, courseId, progress = null }) {
+  const existing = await CourseCertificate.findOne({
+    where: { student_id: studentId, course_id: courseId },
+  });
+  if (existing) return existing;
+
+  const course = await Courses.findByPk(courseId, {
+    attributes: ["id", "title", "owner_type", "owner_id"],
+  });
+  if (!course) return null;
+
+  const template = await CertificateTemplate.findOne({ where: { course_id: courseId } });
+  if (template && !template.is_enabled) return null;
+
+  const student = await Students.findByPk(studentId, {
+    attributes: ["id", "fname", "mname", "lname"],
+  });
+  if (!student) return null;
+
+  const ownerType = ["sole_tutor", "organization"].includes(course.owner_type)
+    ? course.owner_type
+    : "wpu";
+  const issuer = await getIssuer(ownerType, course.owner_id);
+
+  const attributes = {
+    student_id: studentId,
+    course_id: courseId,
+    course_progress_id: progress?.id || null,
+    owner_type: ownerType,
+    owner_id: ownerType === "wpu" ? null : course.owner_id,
+    learner_name: [student.fname, student.mname, student.lname].filter(Boolean).join(" "),
+    course_title: course.title,
+    issuer_name: issuer.name,
+    completed_at: progress?.completed_at || new Date(),
+    issued_at: new Date(),
+  };
+
+  // Retry on the (unlikely) serial collision; a student/course collision means a
+  // concurrent request already issued it, so return that one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await CourseCertificate.create({
+        ...attributes,
+        serial: generateCertificateSerial(),
+      });
+    } catch (error) {
+      if (error.name !== "SequelizeUniqueConstraintError") throw error;
+      const issued = await CourseCertificate.findOne({
+        where: { student_id: studentId, course_id: courseId },
+      });
+      if (issued) return issued;
+    }
+  }
+
+  throw new Error("Could not generate a unique certificate serial");
+}
+
+/**
+ * Generate certificate PDF
+ * Returns PDF buffer
+ */
+export async function generateCertificatePDF(certificate) {
+  const template = await CertificateTemplate.findOne({
+    where: { course_id: certificate.course_id },
+  });
+  const issuer = await getIssuer(certificate.owner_type, certificate.owner_id);
+  const accent = template?.accent_color || "#1F3A93";
+  const logo = template?.show_logo === false ? null : await fetchImageBuffer(issuer.logoUrl);
+
+  const verificationUrl = getCertificateVerificationUrl(certificate.serial);
+  const qrBuffer = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 240 });
+
+  // Small margin: every element below is positioned explicitly, and pdfkit would
+  // otherwise start a new page for the footer lines
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 20 });
+  const chunks = [];
+
+  doc.on("data", (chunk) => chunks.push(chunk));
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 160;
+
+  // Border
+  doc.lineWidth(6).strokeColor(accent).rect(25, 25, width - 50, height - 50).stroke();
+  doc.lineWidth(1).rect(38, 38, width - 76, height - 76).stroke();
+
+  // Branding
+  if (logo) {
+    try {
+      doc.image(logo, width / 2 - 35, 60, { fit: [70, 70], align: "center" });
+    } catch (error) {
+      // Unsupported image format — render without the logo
+      console.error("Certificate logo render failed:", error.message);
+    }
+  }
+
+  doc
+    .fillColor(accent)
+    .font("Helvetica-Bold")
+    .fontSize(32)
+    .text((template?.title || "Certificate of Completion").toUpperCase(), 80, 145, {
+      width: contentWidth,
+      align: "center",
+    });
+
+  doc
+    .moveDown(0.8)
+    .fillColor("#333333")
+    .font("Helvetica")
+    .fontSize(14)
+    .text("This is to certify that", { width: contentWidth, align: "center" });
+
+  doc
+    .moveDown(0.6)
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(28)
+    .text(certificate.learner_name, { width: contentWidth, align: "center" });
+
+  const bodyText = renderTemplateText(template?.body_text || DEFAULT_BODY_TEXT, {
+    learner_name: certificate.learner_name,
+    course_title: certificate.course_title,
+    issuer_name: certificate.issuer_name,
+    completion_date: formatDate(certificate.completed_at),
+  });
+  doc
+    .moveDown(0.6)
+    .fillColor("#333333")
+    .font("Helvetica")
+    .fontSize(14)
+    .text(bodyText, { width: contentWidth, align: "center" });
+
+  // Signature block
+  const footerY = height - 150;
+  doc.lineWidth(1).strokeColor("#999999").moveTo(80, footerY + 30).lineTo(300, footerY + 30).stroke();
+  doc
+    .fillColor("#000000")
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .text(template?.signatory_name || certificate.issuer_name, 80, footerY + 38, { width: 220 });
+  if (template?.signatory_title) {
+    doc.font("Helvetica").fontSize(10).text(template.signatory_title, 80, doc.y, { width: 220 });
+  }
+
+  // Verification
+  doc.image(qrBuffer, width - 170, footerY - 10, { fit: [90, 90] });
+  doc
+    .fillColor("#555555")
+    .font("Helvetica")
+    .fontSize(8)
+    .text(`Serial: ${certificate.serial}`, width - 330, footerY + 84, { width: 250, align: "right" })
+    .text(`Issued: ${formatDate(certificate.issued_at)}`, { width: 250, align: "right" })
+    .text(`Verify at ${verificationUrl}`, 80, height - 58, { width: contentWidth, align: "center" });
+
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+/**
+ * Shape a certificate for API responses
+ */
+export function formatCertificate(certificate) {
+  return {
+    id: certificate.id,
+    serial: certificate.serial,
+    student_id: certificate.student_id,
+    course_id: certificate.course_id,
+    learner_name: certificate.learner_name,
+    course_title: certificate.course_title,
+    issuer_name: certificate.issuer_name,
+    completed_at: certificate.completed_at,
+    issued_at: certificate.issued_at,
+    status: certificate.status,
+    revoked_at: certificate.revoked_at,
+    revocation_reason: certificate.revocation_reason,
+    verification_url: getCertificateVerificationUrl(certificate.serial),
+  };
+}
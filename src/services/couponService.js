@@ -0,0 +1,354 @@
+/**
+ * Coupon Service
+ * Validates coupon codes against products and records redemptions
+ */
+
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { Coupon } from "../models/marketplace/coupon.js";
+import { CouponRedemption } from "../models/marketplace/couponRedemption.js";
+import { Courses } from "../models/course/courses.js";
+import { EBooks } from "../models/marketplace/ebooks.js";
+import { DigitalDownloads } from "../models/marketplace/digitalDownloads.js";
+import { Community } from "../models/marketplace/community.js";
+import { Membership } from "../models/marketplace/membership.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { getExchangeRate } from "./currencyExchangeRateService.js";
+
+export const COUPON_PRODUCT_TYPES = [
+  "course",
+  "ebook",
+  "digital_download",
+  "community",
+  "membership",
+];
+
+export function normalizeCouponCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Resolve the tutor that owns a product
+ * @returns {Promise<{owner_type: string, owner_id: number}|null>}
+ */
+export async function getProductOwner(productType, productId) {
+  switch (productType) {
+    case "course": {
+      const course = await Courses.findByPk(productId, {
+        attributes: ["id", "owner_type", "owner_id"],
+      });
+      return course ? { owner_type: course.owner_type, owner_id: course.owner_id } : null;
+    }
+    case "ebook": {
+      const ebook = await EBooks.findByPk(productId, {
+        attributes: ["id", "owner_type", "owner_id"],
+      });
+      return ebook ? { owner_type: ebook.owner_type, owner_id: ebook.owner_id } : null;
+    }
+    case "digital_download": {
+      const download = await DigitalDownloads.findByPk(productId, {
+        attributes: ["id", "owner_type", "owner_id"],
+      });
+      return download
+        ? { owner_type: download.owner_type, owner_id: download.owner_id }
+        : null;
+    }
+    case "community": {
+      const community = await Community.findByPk(productId, {
+        attributes: ["id", "tutor_type", "tutor_id"],
+      });
+      return community
+        ? { owner_type: community.tutor_type, owner_id: community.tutor_id }
+        : null;
+    }
+    case "membership": {
+      const membership = await Membership.findByPk(productId, {
+        attributes: ["id", "tutor_type", "tutor_id"],
+      });
+      return membership
+        ? { owner_type: membership.tutor_type, owner_id: membership.tutor_id }
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check the coupon itself (status, dates, usage cap) without looking at a product
+ */
+export function assertCouponUsable(coupon, now = new Date()) {
+  if (!coupon || coupon.status !== "active") {
+    throw new ErrorClass("Invalid or inactive coupon code", 400);
+  }
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    throw new ErrorClass("This coupon is not active yet", 400);
+  }
+  if (coupon.ends_at && now > new Date(coupon.ends_at)) {
+    throw new ErrorClass("This coupon has expired", 400);
+  }
+  if (
+    coupon.max_redemptions !== null &&
+    coupon.max_redemptions !== undefined &&
+    coupon.redemption_count >= coupon.max_redemptions
+  ) {
+    throw new ErrorClass("This coupon has reached its usage limit", 400);
+  }
+}
+
+/**
+ * Whether a coupon's scope covers the given product
+ */
+export function couponCoversProduct(coupon, owner, productType, productId) {
+  if (!owner) return false;
+  if (coupon.owner_type !== owner.owner_type || coupon.owner_id !== owner.owner_id) {
+    return false;
+  }
+  if (coupon.product_type && coupon.product_type !== productType) return false;
+  if (coupon.product_id && coupon.product_id !== parseInt(productId)) return false;
+  return true;
+}
+
+/**
+ * Work out the discount for a price, in the price's currency
+ * @returns {Promise<number>} discount amount (never more than the price)
+ */
+export async function calculateCouponDiscount(coupon, price, priceCurrency) {
+  const amount = parseFloat(price || 0);
+  if (amount <= 0) return 0;
+
+  let discount;
+  if (coupon.discount_type === "percentage") {
+    discount = (amount * parseFloat(coupon.discount_value)) / 100;
+  } else {
+    const couponCurrency = (coupon.currency || priceCurrency || "NGN").toUpperCase();
+    const target = (priceCurrency || "NGN").toUpperCase();
+    let value = parseFloat(coupon.discount_value);
+    if (couponCurrency !== target) {
+      const rate = await getExchangeRate(couponCurrency, target);
+      if (!rate) {
+        throw new ErrorClass(
+          `This coupon (${couponCurrency}) cannot be applied to products priced in ${target}`,
+          400
+        );
+      }
+      value = value * rate;
+    }
+    discount = value;
+  }
+
+  discount = Math.min(discount, amount);
+  return Math.round(discount * 100) / 100;
+}
+
+/**
+ * Validate a coupon code for a single product purchase
+ *
+ * @param {Object} params
+ * @param {string} params.code - Coupon code entered by the learner
+ * @param {number|null} params.studentId - Learner (null for guest cart previews)
+ * @param {string} params.productType
+ * @param {number} params.productId
+ * @param {number} params.price - Product list price
+ * @param {string} params.currency - Product currency
+ * @returns {Promise<{coupon: Object, discount_amount: number, final_price: number}>}
+ */
+export async function validateCouponForProduct({
+  code,
+  studentId = null,
+  productType,
+  productId,
+  price,
+  currency,
+}) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) {
+    throw new ErrorClass("Coupon code is required", 400);
+  }
+
+  const coupon = await Coupon.findOne({ where: { code: normalized } });
+  assertCouponUsable(coupon);
+
+  const owner = await getProductOwner(productType, productId);
+  if (!couponCoversProduct(coupon, owner, productType, productId)) {
+    throw new ErrorClass("This coupon cannot be applied to this product", 400);
+  }
+
+  if (studentId) {
+    const used = await CouponRedemption.count({
+      where: { coupon_id: coupon.id, student_id: studentId },
+    });
+    if (used >= coupon.max_redemptions_per_learner) {
+      throw new ErrorClass("You have already used this coupon", 400);
+    }
+  }
+
+  const listPrice = parseFloat(price || 0);
+  const discountAmount = await calculateCouponDiscount(coupon, listPrice, currency);
+
+  return {
+    coupon,
+    discount_amount: discountAmount,
+    final_price: Math.round((listPrice - discountAmount) * 100) / 100,
+  };
+}
+
+/**
+ * Apply a coupon to store cart lines.
+ * Lines the coupon does not cover keep their price; an unusable coupon yields
+ * `valid: false` with the reason instead of throwing, so the cart still renders.
+ *
+ * @param {string} code - Coupon code saved on the cart
+ * @param {number|null} studentId - Cart owner (null for guest carts)
+ * @param {Array<{product_type, product_id, price, currency, quantity}>} items
+ * @returns {Promise<{valid: boolean, message: string|null, coupon: Object|null, discounts: number[], total_discount: number}>}
+ */
+export async function applyCouponToCartItems(code, studentId, items) {
+  const noDiscount = items.map(() => 0);
+
+  try {
+    const coupon = await Coupon.findOne({ where: { code: normalizeCouponCode(code) } });
+    assertCouponUsable(coupon);
+
+    if (studentId) {
+      const used = await CouponRedemption.count({
+        where: { coupon_id: coupon.id, student_id: studentId },
+      });
+      if (used >= coupon.max_redemptions_per_learner) {
+        throw new ErrorClass("You have already used this coupon", 400);
+      }
+    }
+
+    const discounts = [];
+    for (const item of items) {
+      const owner = await getProductOwner(item.product_type, item.product_id);
+      if (!couponCoversProduct(coupon, owner, item.product_type, item.product_id)) {
+        discounts.push(0);
+        continue;
+      }
+      const unitDiscount = await calculateCouponDiscount(coupon, item.price, item.currency);
+      discounts.push(Math.round(unitDiscount * (item.quantity || 1) * 100) / 100);
+    }
+
+    const totalDiscount = discounts.reduce((sum, d) => sum + d, 0);
+    if (totalDiscount <= 0) {
+      return {
+        valid: false,
+        message: "This coupon does not apply to any item in your cart",
+        coupon,
+        discounts: noDiscount,
+        total_discount: 0,
+      };
+    }
+
+    return {
+      valid: true,
+      message: null,
+      coupon,
+      discounts,
+      total_discount: Math.round(totalDiscount * 100) / 100,
+    };
+  } catch (error) {
+    if (!(error instanceof ErrorClass)) throw error;
+    return {
+      valid: false,
+      message: error.message,
+      coupon: null,
+      discounts: noDiscount,
+      total_discount: 0,
+    };
+  }
+}
+
+/**
+ * Record a redemption and bump the coupon's usage counter.
+ * The counter update is conditional so concurrent checkouts cannot exceed the cap, and the
+ * per-learner limit is re-checked after it. Pass the purchase's transaction: the coupon row
+ * stays locked until it commits (which is what makes the per-learner check safe), and a
+ * purchase that fails afterwards gives the redemption back.
+ */
+export async function recordCouponRedemption(
+  {
+    coupon,
+    studentId,
+    productType,
+    productId,
+    originalAmount,
+    discountAmount,
+    currency,
+    paymentReference,
+  },
+  transaction = null
+) {
+  const [updated] = await Coupon.update(
+    { redemption_count: db.literal("redemption_count + 1") },
+    {
+      where: {
+        id: coupon.id,
+        [Op.or]: [
+          { max_redemptions: null },
+          { redemption_count: { [Op.lt]: db.col("max_redemptions") } },
+        ],
+      },
+      transaction,
+    }
+  );
+
+  if (!updated) {
+    throw new ErrorClass("This coupon has reached its usage limit", 400);
+  }
+
+  // Counted again under the coupon row lock taken by the update above: a concurrent
+  // checkout by the same learner waits for this one and then sees its redemption
+  if (studentId) {
+    const used = await CouponRedemption.count({
+      where: { coupon_id: coupon.id, student_id: studentId },
+      transaction,
+    });
+    if (used >= coupon.max_redemptions_per_learner) {
+      throw new ErrorClass("You have already used this coupon", 400);
+    }
+  }
+
+  return CouponRedemption.create(
+    {
+      coupon_id: coupon.id,
+      student_id: studentId,
+      product_type: productType,
+      product_id: productId,
+      original_amount: parseFloat(originalAmount),
+      discount_amount: parseFloat(discountAmount),
+      final_amount: parseFloat(originalAmount) - parseFloat(discountAmount),
+      currency: (currency || "NGN").toUpperCase(),
+      payment_reference: paymentReference || null,
+    },
+    { transaction }
+  );
+}
+
+export function formatCoupon(coupon) {
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description,
+    discount_type: coupon.discount_type,
+    discount_value: parseFloat(coupon.discount_value),
+    currency: coupon.currency,
+    product_type: coupon.product_type,
+    product_id: coupon.product_id,
+    scope: coupon.product_id
+      ? "product"
+      : coupon.product_type
+        ? "product_type"
+        : "store",
+    max_redemptions: coupon.max_redemptions,
+    max_redemptions_per_learner: coupon.max_redemptions_per_learner,
+    redemption_count: coupon.redemption_count,
+    starts_at: coupon.starts_at,
+    ends_at: coupon.ends_at,
+    status: coupon.status,
+    created_at: coupon.created_at,
+  };
+}
@@ -0,0 +1,307 @@
+/**
+ * Course registration rules
+ * Checked when a student registers courses (courseRegistration.registerCourse,
+ * courseAllocation.registerAllocatedCourses) and when WPU courses are auto-allocated:
+ *
+ * - already_passed: a passed course is not taken again
+ * - prerequisite: the required course must have been passed (CourseRequisite)
+ * - corequisite: the required course must have been passed, or be taken the same semester
+ * - carry_over: failed courses offered this semester are registered before new ones
+ * - max_units: semester credit load (Courses.course_unit, CreditLoadRule)
+ * - min_units: a warning only; students may register one course at a time, so the
+ *   load is below the minimum until the semester's last registration
+ *
+ * Passed / failed courses come from the academic record (transcriptService).
+ */
+
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Courses } from "../models/course/courses.js";
+import { CourseRequisite } from "../models/course/courseRequisite.js";
+import { CreditLoadRule } from "../models/course/creditLoadRule.js";
+import { computeAcademicRecord } from "./transcriptService.js";
+import { academicRegistrationFilter } from "./gradebookService.js";
+
+export const REQUISITE_TYPES = ["prerequisite", "corequisite"];
+
+const units = (course) => Number(course?.course_unit || 0);
+const label = (course) => course?.course_code || course?.title || `course ${course?.id}`;
+
+/**
+ * Credit load rule for a program/semester: the most specific match wins
+ * (program + semester, program, semester, then the default rule)
+ * @returns {Promise<{ id: number|null, min_units: number|null, max_units: number|null }>}
+ */
+export async function getCreditLoadRule(programId, semester) {
+  const semesterStr = semester ? semester.toString().toUpperCase() : null;
+  const rules = await CreditLoadRule.findAll({
+    where: {
+      program_id: programId ? { [Op.or]: [programId, null] } : null,
+      semester: semesterStr ? { [Op.or]: [semesterStr, null] } : null,
+    },
+  });
+  const score = (rule) => (rule.program_id ? 2 : 0) + (rule.semester ? 1 : 0);
+  const rule = rules.sort((a, b) => score(b) - score(a))[0];
+
+  return {
+    id: rule?.id || null,
+    min_units: rule?.min_units ?? null,
+    max_units: rule?.max_units ?? null,
+  };
+}
+
+/**
+ * Everything the rules need about a student for one semester
+ * @param {import("sequelize").Model} student - must include id, program_id
+ * @param {string} academicYear
+ * @param {string} semester
+ */
+export async function getRegistrationContext(student, academicYear, semester) {
+  const semesterStr = semester?.toString().toUpperCase();
+  const [record, semesterRegs, creditLoad] = await Promise.all([
+    computeAcademicRecord(student.id),
+    CourseReg.findAll({
+      where: {
+        student_id: student.id,
+        academic_year: academicYear?.toString(),
+        semester: semesterStr,
+        ...academicRegistrationFilter(),
+      },
+      attributes: ["id", "course_id", "registration_status"],
+      include: [
+        {
+          model: Courses,
+          as: "course",
+          attributes: ["id", "title", "course_code", "course_unit"],
+        },
+      ],
+    }),
+    getCreditLoadRule(student.program_id, semesterStr),
+  ]);
+
+  const passedCourseIds = new Set();
+  for (const term of record.semesters) {
+    for (const course of term.courses) {
+      if (course.passed) passedCourseIds.add(course.course_id);
+    }
+  }
+
+  // Outstanding carry-overs that are offered in this semester
+  const carryOverIds = record.summary.carry_overs.map((c) => c.course_id);
+  const offered = carryOverIds.length
+    ? await Courses.findAll({
+        where: { id: carryOverIds, semester: semesterStr },
+        attributes: ["id", "title", "course_code", "course_unit", "course_level", "price", "currency"],
+      })
+    : [];
+  const offeredIds = new Set(offered.map((c) => c.id));
+
+  return {
+    academicYear: academicYear?.toString(),
+    semester: semesterStr,
+    passedCourseIds,
+    carryOvers: record.summary.carry_overs.filter((c) => offeredIds.has(c.course_id)),
+    carryOverCourses: offered,
+    registered: semesterRegs.filter((r) => r.registration_status !== "allocated"),
+    allocated: semesterRegs.filter((r) => r.registration_status === "allocated"),
+    creditLoad,
+  };
+}
+
+/**
+ * Requisites of the given courses, with the required course
+ */
+export async function getRequisites(courseIds) {
+  if (!courseIds.length) return [];
+  const requisites = await CourseRequisite.findAll({
+    where: { course_id: courseIds },
+    include: [
+      {
+        model: Courses,
+        as: "requiredCourse",
+        attributes: ["id", "title", "course_code", "course_unit"],
+      },
+    ],
+  });
+  return requisites.map((r) => ({
+    course_id: r.course_id,
+    required_course_id: r.required_course_id,
+    type: r.type,
+    required_course: r.requiredCourse || null,
+  }));
+}
+
+/**
+ * Check the courses a student wants to register this semester
+ * @param {import("sequelize").Model} student - must include id, program_id
+ * @param {Array<import("sequelize").Model>} courses - Courses rows (id, course_code, title, course_unit)
+ * @param {{ academicYear: string, semester: string, context?: Object }} options
+ * @returns {Promise<{ violations: Array<{ course_id: number|null, course_code: string|null, rule: string, message: string }>, warnings: Array, credit_load: Object, carry_overs: Array }>}
+ *   warnings have the violation shape but do not block registration (min_units)
+ */
+export async function checkRegistrationRules(student, courses, { academicYear, semester, context }) {
+  const ctx = context || (await getRegistrationContext(student, academicYear, semester));
+  const requestedIds = new Set(courses.map((c) => c.id));
+  const registeredIds = new Set(ctx.registered.map((r) => r.course_id));
+  const violations = [];
+  const warnings = [];
+  const violation = (course, rule, message, list = violations) =>
+    list.push({
+      course_id: course?.id ?? null,
+      course_code: course?.course_code ?? null,
+      rule,
+      message,
+    });
+
+  const requisites = await getRequisites([...requestedIds]);
+  for (const course of courses) {
+    if (ctx.passedCourseIds.has(course.id)) {
+      violation(course, "already_passed", `${label(course)} has already been passed`);
+      continue;
+    }
+    for (const requisite of requisites.filter((r) => r.course_id === course.id)) {
+      const required = requisite.required_course || { id: requisite.required_course_id };
+      if (ctx.passedCourseIds.has(requisite.required_course_id)) continue;
+      if (requisite.type === "prerequisite") {
+        violation(course, "prerequisite", `${label(course)} requires ${label(required)} to be passed first`);
+      } else if (
+        !registeredIds.has(requisite.required_course_id) &&
+        !requestedIds.has(requisite.required_course_id)
+      ) {
+        violation(
+          course,
+          "corequisite",
+          `${label(course)} must be taken together with ${label(required)}: register both this semester`
+        );
+      }
+    }
+  }
+
+  // New courses only after this semester's carry-overs
+  const takesNewCourse = courses.some((c) => !ctx.carryOvers.some((co) => co.course_id === c.id));
+  if (takesNewCourse) {
+    for (const carryOver of ctx.carryOvers) {
+      if (registeredIds.has(carryOver.course_id) || requestedIds.has(carryOver.course_id)) continue;
+      violation(
+        { id: carryOver.course_id, course_code: carryOver.course_code },
+        "carry_over",
+        `Carry-over ${carryOver.course_code || carryOver.title} (failed in ${carryOver.academic_year} ${carryOver.semester} semester) must be registered this semester`
+      );
+    }
+  }
+
+  const currentUnits = ctx.registered
+    .filter((r) => !requestedIds.has(r.course_id))
+    .reduce((sum, r) => sum + units(r.course), 0);
+  const requestedUnits = courses.reduce((sum, c) => sum + units(c), 0);
+  const totalUnits = currentUnits + requestedUnits;
+  const { min_units, max_units } = ctx.creditLoad;
+  if (max_units !== null && totalUnits > max_units) {
+    violation(
+      null,
+      "max_units",
+      `Credit load of ${totalUnits} units exceeds the maximum of ${max_units} units for this semester`
+    );
+  }
+  if (min_units !== null && totalUnits < min_units) {
+    violation(
+      null,
+      "min_units",
+      `Credit load of ${totalUnits} units is below the minimum of ${min_units} units for this semester`,
+      warnings
+    );
+  }
+
+  return {
+    violations,
+    warnings,
+    credit_load: {
+      registered_units: currentUnits,
+      requested_units: requestedUnits,
+      total_units: totalUnits,
+      min_units,
+      max_units,
+    },
+    carry_overs: ctx.carryOvers,
+  };
+}
+
+/**
+ * One readable message for a list of violations
+ */
+export function formatViolations(violations) {
+  return `Registration rules not met: ${violations.map((v) => v.message).join("; ")}`;
+}
+
+/**
+ * checkRegistrationRules, throwing a 400 with every violation when any rule is broken
+ */
+export async function assertRegistrationRules(student, courses, options) {
+  const result = await checkRegistrationRules(student, courses, options);
+  if (result.violations.length) {
+    throw new ErrorClass(formatViolations(result.violations), 400);
+  }
+  return result;
+}
+
+/**
+ * Filter auto-allocated courses through the rules. Outstanding carry-overs offered this
+ * semester come first; courses already passed, with an unpassed prerequisite, or past the
+ * maximum credit load are left out (co-requisites and the minimum load are checked when
+ * the student registers).
+ * @param {import("sequelize").Model} student
+ * @param {Array<import("sequelize").Model>} courses - Matching WPU courses for the level
+ * @returns {Promise<{ courses: Array, blocked: Array<{ course_id: number, course_code: string, rule: string, message: string }> }>}
+ */
+export async function selectAllocatableCourses(student, courses, academicYear, semester) {
+  const ctx = await getRegistrationContext(student, academicYear, semester);
+  const candidates = [
+    ...ctx.carryOverCourses,
+    ...courses.filter((c) => !ctx.carryOverCourses.some((co) => co.id === c.id)),
+  ];
+  const requisites = await getRequisites(candidates.map((c) => c.id));
+  const blocked = [];
+  const block = (course, rule, message) =>
+    blocked.push({ course_id: course.id, course_code: course.course_code, rule, message });
+
+  let load = [...ctx.registered, ...ctx.allocated].reduce((sum, r) => sum + units(r.course), 0);
+  const existingIds = new Set([...ctx.registered, ...ctx.allocated].map((r) => r.course_id));
+  const selected = [];
+  for (const course of candidates) {
+    if (existingIds.has(course.id)) {
+      selected.push(course);
+      continue;
+    }
+    if (ctx.passedCourseIds.has(course.id)) {
+      block(course, "already_passed", `${label(course)} has already been passed`);
+      continue;
+    }
+    const missing = requisites.find(
+      (r) =>
+        r.course_id === course.id &&
+        r.type === "prerequisite" &&
+        !ctx.passedCourseIds.has(r.required_course_id)
+    );
+    if (missing) {
+      block(
+        course,
+        "prerequisite",
+        `${label(course)} requires ${label(missing.required_course || { id: missing.required_course_id })} to be passed first`
+      );
+      continue;
+    }
+    if (ctx.creditLoad.max_units !== null && load + units(course) > ctx.creditLoad.max_units) {
+      block(
+        course,
+        "max_units",
+        `${label(course)} would exceed the maximum of ${ctx.creditLoad.max_units} units for this semester`
+      );
+      continue;
+    }
+    load += units(course);
+    selected.push(course);
+  }
+
+  return { courses: selected, blocked };
+}
@@ -0,0 +1,292 @@
+/**
+ * Drip Content Service
+ * Scheduled release of course modules and units for learners:
+ *   - immediate        available as soon as the learner has the course
+ *   - after_enrollment available drip_days after the learner's enrollment date
+ *   - fixed_date       available from drip_date
+ * A module with quiz_gate keeps every later module locked until the learner has completed
+ * its published quizzes (with at least quiz_pass_percent when set).
+ *
+ * Locked items are still listed so the UI can show them with a countdown; their content
+ * is removed.
+ */
+
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { MarketplaceTransaction } from "../models/marketplace/marketplaceTransaction.js";
+import { CourseReg } from "../models/course_reg.js";
+import { CourseProgress } from "../models/marketplace/courseProgress.js";
+import { Modules } from "../models/modules/modules.js";
+import { Quiz } from "../models/modules/quiz.js";
+import { QuizAttempts } from "../models/modules/quiz_attempts.js";
+
+export const DRIP_TYPES = ["immediate", "after_enrollment", "fixed_date"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DRIP_DAYS = 3650;
+const LOCKED_UNIT_FIELDS = ["content", "video_url", "photo_url"];
+
+/**
+ * Validate drip fields from a module or unit request body
+ * @param {Object} body
+ * @param {Object} [existing] - record being updated (fields not sent are kept)
+ * @param {{ allowQuizGate?: boolean }} [options] - quiz gates are module-only
+ * @returns {Object} attributes to store (empty when no drip field was sent)
+ */
+export function normalizeDripSettings(body, existing = null, { allowQuizGate = false } = {}) {
+  const values = {};
+  const sent = (field) => body[field] !== undefined;
+
+  if (sent("drip_type") || sent("drip_days") || sent("drip_date")) {
+    const dripType = body.drip_type ?? existing?.drip_type ?? "immediate";
+    if (!DRIP_TYPES.includes(dripType)) {
+      throw new ErrorClass(`drip_type must be one of: ${DRIP_TYPES.join(", ")}`, 400);
+    }
+    values.drip_type = dripType;
+    values.drip_days = null;
+    values.drip_date = null;
+
+    if (dripType === "after_enrollment") {
+      const days = Number(body.drip_days ?? existing?.drip_days);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_DRIP_DAYS) {
+        throw new ErrorClass(
+          `drip_days must be a whole number between 0 and ${MAX_DRIP_DAYS} for after_enrollment`,
+          400
+        );
+      }
+      values.drip_days = days;
+    } else if (dripType === "fixed_date") {
+      const date = new Date(body.drip_date ?? existing?.drip_date);
+      if (!(body.drip_date ?? existing?.drip_date) || Number.isNaN(date.getTime())) {
+        throw new ErrorClass("drip_date must be a valid date for fixed_date", 400);
+      }
+      values.drip_date = date;
+    }
+  }
+
+  if (allowQuizGate) {
+    if (sent("quiz_gate")) {
+      values.quiz_gate = body.quiz_gate === true || body.quiz_gate === "true";
+    }
+    if (sent("quiz_pass_percent")) {
+      const percent = body.quiz_pass_percent;
+      if (percent === null || percent === "") {
+        values.quiz_pass_percent = null;
+      } else {
+        const number = Number(percent);
+        if (!Number.isInteger(number) || number < 1 || number > 100) {
+          throw new ErrorClass("quiz_pass_percent must be a whole number between 1 and 100", 400);
+        }
+        values.quiz_pass_percent = number;
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Remove drip fields from a raw update body so they only go through normalizeDripSettings
+ */
+export function stripDripFields(updates) {
+  for (const field of ["drip_type", "drip_days", "drip_date", "quiz_gate", "quiz_pass_percent"]) {
+    delete updates[field];
+  }
+  return updates;
+}
+
+/**
+ * Drip settings as returned to tutors/staff
+ */
+export function formatDripSettings(record, { includeQuizGate = false } = {}) {
+  const settings = {
+    drip_type: record.drip_type || "immediate",
+    drip_days: record.drip_days ?? null,
+    drip_date: record.drip_date ?? null,
+  };
+  if (includeQuizGate) {
+    settings.quiz_gate = !!record.quiz_gate;
+    settings.quiz_pass_percent = record.quiz_pass_percent ?? null;
+  }
+  return settings;
+}
+
+/**
+ * When the learner got the course: first completed marketplace purchase, else the
+ * registration date, else when they first opened it (membership access). Null when
+ * none is known yet, in which case relative drips count from now.
+ */
+export async function getEnrollmentDate(studentId, courseId) {
+  const [purchase, registration, progress] = await Promise.all([
+    MarketplaceTransaction.findOne({
+      where: { student_id: studentId, course_id: courseId, payment_status: "completed" },
+      order: [["created_at", "ASC"]],
+      attributes: ["created_at"],
+    }),
+    CourseReg.findOne({
+      where: { student_id: studentId, course_id: courseId },
+      attributes: ["registered_at", "allocated_at"],
+    }),
+    CourseProgress.findOne({
+      where: { student_id: studentId, course_id: courseId },
+      attributes: ["started_at", "created_at"],
+    }),
+  ]);
+
+  const candidates = [
+    purchase?.created_at,
+    registration?.registered_at,
+    registration?.allocated_at,
+    progress?.started_at,
+    progress?.created_at,
+  ]
+    .filter(Boolean)
+    .map((d) => new Date(d));
+
+  return candidates.length ? new Date(Math.min(...candidates)) : null;
+}
+
+function getReleaseDate(item, enrolledAt) {
+  switch (item.drip_type) {
+    case "after_enrollment":
+      return new Date(enrolledAt.getTime() + (item.drip_days || 0) * DAY_MS);
+    case "fixed_date":
+      return item.drip_date ? new Date(item.drip_date) : null;
+    default:
+      return null;
+  }
+}
+
+function scheduleLock(releaseAt, now) {
+  if (!releaseAt || releaseAt <= now) return null;
+  return {
+    reason: "scheduled",
+    available_at: releaseAt,
+    seconds_until_available: Math.ceil((releaseAt - now) / 1000),
+  };
+}
+
+/**
+ * Quiz completion per gating module: { [moduleId]: { quiz_ids, completed } }
+ */
+async function getQuizGateStatus(gateModules, studentId) {
+  const status = {};
+  if (gateModules.length === 0) return status;
+
+  const quizzes = await Quiz.findAll({
+    where: { module_id: { [Op.in]: gateModules.map((m) => m.id) }, status: "published" },
+    attributes: ["id", "module_id"],
+  });
+  const attempts = quizzes.length
+    ? await QuizAttempts.findAll({
+        where: {
+          quiz_id: { [Op.in]: quizzes.map((q) => q.id) },
+          student_id: studentId,
+          status: { [Op.in]: ["submitted", "graded"] },
+        },
+        attributes: ["quiz_id", "total_score", "max_possible_score"],
+      })
+    : [];
+
+  // Best score per quiz, as a percentage
+  const bestPercent = new Map();
+  for (const attempt of attempts) {
+    const max = parseFloat(attempt.max_possible_score || 0);
+    const percent = max > 0 ? (parseFloat(attempt.total_score || 0) / max) * 100 : 100;
+    bestPercent.set(attempt.quiz_id, Math.max(bestPercent.get(attempt.quiz_id) ?? -1, percent));
+  }
+
+  for (const moduleRecord of gateModules) {
+    const quizIds = quizzes.filter((q) => q.module_id === moduleRecord.id).map((q) => q.id);
+    const required = moduleRecord.quiz_pass_percent ?? 0;
+    status[moduleRecord.id] = {
+      quiz_ids: quizIds,
+      pass_percent: moduleRecord.quiz_pass_percent ?? null,
+      completed: quizIds.every((id) => bestPercent.has(id) && bestPercent.get(id) >= required),
+    };
+  }
+  return status;
+}
+
+/**
+ * Work out which modules and units are locked for a learner
+ * @param {Array} modules - course modules in display order, with `units` loaded
+ * @returns {Promise<{ enrolled_at: Date|null, modules: Map<number, Object|null>, units: Map<number, Object|null> }>}
+ *          lock metadata per id (null = unlocked)
+ */
+export async function getLearnerLocks(modules, studentId, courseId, now = new Date()) {
+  const enrolledAt = (await getEnrollmentDate(studentId, courseId)) || now;
+  const gateStatus = await getQuizGateStatus(
+    modules.filter((m) => m.quiz_gate),
+    studentId
+  );
+
+  const moduleLocks = new Map();
+  const unitLocks = new Map();
+  let blockingGate = null;
+
+  for (const moduleRecord of modules) {
+    let lock = blockingGate
+      ? {
+          reason: "quiz_required",
+          required_module_id: blockingGate.moduleId,
+          required_quiz_ids: blockingGate.quiz_ids,
+          pass_percent: blockingGate.pass_percent,
+          available_at: null,
+          seconds_until_available: null,
+        }
+      : scheduleLock(getReleaseDate(moduleRecord, enrolledAt), now);
+    moduleLocks.set(moduleRecord.id, lock);
+
+    for (const unit of moduleRecord.units || []) {
+      unitLocks.set(unit.id, lock || scheduleLock(getReleaseDate(unit, enrolledAt), now));
+    }
+
+    // Modules with no published quiz do not block anything
+    const gate = gateStatus[moduleRecord.id];
+    if (!blockingGate && gate && gate.quiz_ids.length > 0 && !gate.completed) {
+      blockingGate = { moduleId: moduleRecord.id, ...gate };
+    }
+  }
+
+  return { enrolled_at: enrolledAt, modules: moduleLocks, units: unitLocks };
+}
+
+/**
+ * Lock on a single module for a learner (null = unlocked), for content reached by id
+ * (e.g. a module's quizzes). Earlier modules' quiz gates apply, as in the course player.
+ */
+export async function getModuleLock(moduleRecord, studentId, now = new Date()) {
+  const modules = await Modules.findAll({
+    where: { course_id: moduleRecord.course_id },
+    attributes: ["id", "drip_type", "drip_days", "drip_date", "quiz_gate", "quiz_pass_percent"],
+    order: [["created_at", "ASC"], ["id", "ASC"]],
+  });
+  const locks = await getLearnerLocks(modules, studentId, moduleRecord.course_id, now);
+  return locks.modules.get(moduleRecord.id) || null;
+}
+
+/**
+ * Unit JSON for a learner: locked units keep their outline but lose their content
+ */
+export function applyUnitLock(unit, lock) {
+  const data = typeof unit.toJSON === "function" ? unit.toJSON() : { ...unit };
+  if (lock) {
+    for (const field of LOCKED_UNIT_FIELDS) data[field] = null;
+  }
+  return { ...data, is_locked: !!lock, lock };
+}
+
+/**
+ * Module JSON (with units) for a learner
+ */
+export function applyModuleLocks(moduleRecord, locks) {
+  const data = typeof moduleRecord.toJSON === "function" ? moduleRecord.toJSON() : { ...moduleRecord };
+  const lock = locks.modules.get(data.id) || null;
+  return {
+    ...data,
+    is_locked: !!lock,
+    lock,
+    units: (moduleRecord.units || []).map((unit) => applyUnitLock(unit, locks.units.get(unit.id) || null)),
+  };
+}
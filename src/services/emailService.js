@@ -1,7 +1,7 @@
 import { SendMailClient } from "zeptomail";
 import { Config } from "../config/config.js";
 import { joinFrontendUrl } from "../utils/frontendUrl.js";
-import { renderTemplate } from "../utils/templateRenderer.js";
+import { renderEmail, getEmailBranding } from "./emailTemplateService.js";
 
 class EmailService {
   constructor() {
@@ -41,6 +41,7 @@ class EmailService {
    * @param {string} options.subject - Email subject
    * @param {string} options.htmlBody - HTML body content
    * @param {boolean} [options.useTutorLearnerBranding] - If true, “from” name is The Nomada (tutor↔learner marketplace); otherwise Pinnacle
+   * @param {string} [options.fromName] - “From” name override (tutor/organization email branding)
    * @returns {Promise<Object>} - Result of email send
    */
   async sendEmail({
@@ -49,6 +50,7 @@ class EmailService {
     subject,
     htmlBody,
     useTutorLearnerBranding = false,
+    fromName = null,
   }) {
     try {
       // Check if email client is initialized
@@ -78,9 +80,8 @@ class EmailService {
         throw new Error("From address not configured");
       }
 
-      const fromDisplayName = useTutorLearnerBranding
-        ? this.fromNameTutorLearner
-        : this.fromName;
+      const fromDisplayName =
+        fromName || (useTutorLearnerBranding ? this.fromNameTutorLearner : this.fromName);
 
       const mailOptions = {
         from: {
@@ -124,7 +125,8 @@ class EmailService {
 
   /**
    * Tutor → learner message via ZeptoMail (To + optional CC/BCC + Reply-To).
-   * Body is plain text; HTML is escaped for safety.
+   * Body is plain text; HTML is escaped for safety. brandOwner applies the
+   * tutor/organization email branding.
    */
   async sendTutorLearnerMessage({
     to,
@@ -135,6 +137,7 @@ class EmailService {
     cc = [],
     bcc = [],
     replyTo = null,
+    brandOwner = null,
   }) {
     try {
       if (!this.client) {
@@ -153,24 +156,19 @@ class EmailService {
         throw new Error("From address not configured");
       }
 
-      const escapeHtml = (s) =>
-        String(s)
-          .replace(/&/g, "&amp;")
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;")
-          .replace(/"/g, "&quot;");
-
-      const safeTutor = escapeHtml(tutorName || "Your instructor");
-      const safeBody = escapeHtml(messageText || "");
-      const htmlBody = `<!DOCTYPE html>
-<html><body style="font-family:system-ui,-apple-system,sans-serif;line-height:1.5;color:#1a1a1a">
-<p>Message from <strong>${safeTutor}</strong> (your instructor on The Nomada):</p>
-<div style="white-space:pre-wrap;border-left:3px solid #e5e7eb;padding:12px 16px;margin:16px 0;background:#fafafa">${safeBody}</div>
-<hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0"/>
-<p style="font-size:12px;color:#6b7280">This email was sent through The Nomada. Replies go to your instructor if your mail client supports it.</p>
-</body></html>`;
+      const branding = await getEmailBranding(brandOwner);
+      const { subject: renderedSubject, htmlBody } = await renderEmail(
+        "tutor-learner-message",
+        {
+          subject: String(subject).trim(),
+          learnerName: (toName && String(toName).trim()) || to,
+          tutorName: tutorName || "Your instructor",
+          message: messageText || "",
+        },
+        { branding, useTutorLearnerBranding: true }
+      );
 
-      const textbody = `Message from ${tutorName || "Your instructor"}:\n\n${messageText || ""}\n\n---\nSent via The Nomada`;
+      const textbody = `Message from ${tutorName || "Your instructor"}:\n\n${messageText || ""}\n\n---\nSent via ${branding?.name || this.fromNameTutorLearner}`;
 
       const toPayload = [
         {
@@ -195,10 +193,10 @@ class EmailService {
       const mailOptions = {
         from: {
           address: this.fromAddress,
-          name: this.fromNameTutorLearner,
+          name: branding?.sender_name || this.fromNameTutorLearner,
         },
         to: toPayload,
-        subject: String(subject).trim(),
+        subject: renderedSubject,
         htmlbody: htmlBody,
         textbody,
       };
@@ -249,18 +247,17 @@ class EmailService {
    */
   async sendWelcomeEmail(user, userType = "student") {
     try {
-      const htmlBody = await renderTemplate("welcome", {
+      const { subject, htmlBody } = await renderEmail("welcome", {
         userName: user.name || user.email,
         userEmail: user.email,
         userType: userType,
         loginUrl: joinFrontendUrl(Config.frontendUrl, "login"),
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: user.email,
         name: user.name,
-        subject: "Welcome to Pinnacle",
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -277,18 +274,17 @@ class EmailService {
    */
   async sendPasswordResetEmail(user, resetToken, resetUrl) {
     try {
-      const htmlBody = await renderTemplate("password-reset", {
+      const { subject, htmlBody } = await renderEmail("password-reset", {
         userName: user.name || user.email,
         resetUrl: resetUrl,
         resetToken: resetToken,
         expiryTime: "1 hour",
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: user.email,
         name: user.name,
-        subject: "Password Reset Request - Pinnacle",
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -304,20 +300,19 @@ class EmailService {
    */
   async sendCourseEnrollmentEmail(student, course) {
     try {
-      const htmlBody = await renderTemplate("course-enrollment", {
+      const { subject, htmlBody } = await renderEmail("course-enrollment", {
         studentName: student.name || student.email,
         courseName: course.title || course.name,
         courseCode: course.code,
         instructor: course.instructor || "TBA",
         startDate: course.start_date || "To be announced",
         courseUrl: joinFrontendUrl(Config.frontendUrl, `courses/${course.id}`),
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: student.email,
         name: student.name,
-        subject: `Course Enrollment Confirmed: ${course.title || course.name}`,
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -333,7 +328,7 @@ class EmailService {
    */
   async sendExamReminderEmail(student, exam) {
     try {
-      const htmlBody = await renderTemplate("exam-reminder", {
+      const { subject, htmlBody } = await renderEmail("exam-reminder", {
         studentName: student.name || student.email,
         examTitle: exam.title,
         examDate: exam.exam_date,
@@ -341,13 +336,12 @@ class EmailService {
         duration: exam.duration_minutes,
         courseName: exam.course?.title || "Your Course",
         examUrl: joinFrontendUrl(Config.frontendUrl, `exams/${exam.id}`),
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: student.email,
         name: student.name,
-        subject: `Exam Reminder: ${exam.title}`,
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -363,7 +357,7 @@ class EmailService {
    */
   async sendGradeNotificationEmail(student, gradeInfo) {
     try {
-      const htmlBody = await renderTemplate("grade-notification", {
+      const { subject, htmlBody } = await renderEmail("grade-notification", {
         studentName: student.name || student.email,
         courseName: gradeInfo.courseName,
         assessmentType: gradeInfo.assessmentType, // 'Exam', 'Quiz', 'Assignment'
@@ -372,13 +366,12 @@ class EmailService {
         totalScore: gradeInfo.totalScore,
         grade: gradeInfo.grade,
         viewUrl: joinFrontendUrl(Config.frontendUrl, "grades"),
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: student.email,
         name: student.name,
-        subject: `New Grade Posted: ${gradeInfo.assessmentTitle}`,
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -387,6 +380,42 @@ class EmailService {
     }
   }
 
+  /**
+   * Email copy of a notification-center notification (booking, payout, mention, ...)
+   * @param {Object} recipient - { email, name }
+   * @param {Object} notification - { title, message, actionUrl, actionLabel }
+   * @param {boolean} [useTutorLearnerBranding] - Marketplace ("The Nomada") sender name
+   * @param {{ ownerType: string, ownerId: number }} [brandOwner] - Tutor/organization whose email branding applies
+   */
+  async sendNotificationEmail(recipient, notification, useTutorLearnerBranding = false, brandOwner = null) {
+    try {
+      const branding = await getEmailBranding(brandOwner);
+      const { subject, htmlBody } = await renderEmail(
+        "notification",
+        {
+          title: notification.title,
+          recipientName: recipient.name || recipient.email,
+          message: notification.message,
+          actionUrl: notification.actionUrl || Config.frontendUrl,
+          actionLabel: notification.actionLabel || "Open",
+        },
+        { branding, useTutorLearnerBranding }
+      );
+
+      return await this.sendEmail({
+        to: recipient.email,
+        name: recipient.name,
+        subject,
+        htmlBody,
+        useTutorLearnerBranding,
+        fromName: branding?.sender_name,
+      });
+    } catch (error) {
+      console.error("Error sending notification email:", error);
+      throw error;
+    }
+  }
+
   /**
    * Send admin welcome email
    * @param {Object} admin - Admin information
@@ -394,7 +423,7 @@ class EmailService {
    */
   async sendAdminWelcomeEmail(admin, temporaryPassword) {
     try {
-      const htmlBody = await renderTemplate("admin-welcome", {
+      const { subject, htmlBody } = await renderEmail("admin-welcome", {
         fname: admin.fname,
         lname: admin.lname,
         email: admin.email,
@@ -402,13 +431,12 @@ class EmailService {
         roleDisplay: admin.role === "super_admin" ? "Super Admin" : "WSP Admin",
         isSuperAdmin: admin.role === "super_admin",
         loginUrl: joinFrontendUrl(Config.adminFrontendUrl, "login"),
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: admin.email,
         name: `${admin.fname} ${admin.lname}`,
-        subject: "Welcome to WSP Admin System - Your Account is Ready!",
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -431,7 +459,7 @@ class EmailService {
         loginUrl = joinFrontendUrl(Config.adminFrontendUrl, "login");
       }
 
-      const htmlBody = await renderTemplate("password-changed", {
+      const { subject, htmlBody } = await renderEmail("password-changed", {
         fname: user.fname,
         lname: user.lname,
         changedAt: new Date().toLocaleString("en-US", {
@@ -447,13 +475,12 @@ class EmailService {
         changedBy: changeInfo.changedBy || null,
         isAdminReset: !!changeInfo.changedBy,
         loginUrl,
-        currentYear: new Date().getFullYear(),
       });
 
       return await this.sendEmail({
         to: user.email,
         name: `${user.fname} ${user.lname}`,
-        subject: "Your Password Has Been Changed",
+        subject,
         htmlBody,
       });
     } catch (error) {
@@ -0,0 +1,251 @@
+/**
+ * Email templates and branding
+ * The HTML files in src/templates/emails are the defaults. Admins can save a new
+ * subject/body for any of them (email_template_versions) and roll back to an older
+ * version or the file. Tutors/organizations can set a logo, colors and footer
+ * (EmailBranding) that is applied to emails sent to their learners.
+ */
+
+import { EmailTemplate } from "../models/email/emailTemplate.js";
+import { EmailTemplateVersion } from "../models/email/emailTemplateVersion.js";
+import { EmailBranding } from "../models/marketplace/emailBranding.js";
+import { SoleTutor } from "../models/marketplace/soleTutor.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { Config } from "../config/config.js";
+import { loadTemplateFile, renderString, extractPlaceholders } from "../utils/templateRenderer.js";
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Available in every template; filled from the sender's branding (or the platform defaults)
+export const BRANDING_VARIABLES = [
+  "brandName",
+  "brandLogoUrl",
+  "brandHeader",
+  "brandFooter",
+  "brandPrimaryColor",
+  "brandSecondaryColor",
+];
+
+const DEFAULT_COLORS = { primary: "#667eea", secondary: "#764ba2" };
+
+/**
+ * Templates admins can edit. subject is the default subject template.
+ * escapeHtml: data values are HTML-escaped in the body (free text from users).
+ */
+export const EMAIL_TEMPLATES = {
+  welcome: {
+    name: "Welcome",
+    subject: "Welcome to Pinnacle",
+    variables: ["userName", "userEmail", "userType", "loginUrl", "currentYear"],
+    sample: { userName: "Ada Obi", userEmail: "ada@example.com", userType: "student", loginUrl: "https://app.example.com/login" },
+  },
+  "password-reset": {
+    name: "Password reset",
+    subject: "Password Reset Request - Pinnacle",
+    variables: ["userName", "resetUrl", "resetToken", "expiryTime", "currentYear"],
+    sample: { userName: "Ada Obi", resetUrl: "https://app.example.com/reset-password?token=abc123", resetToken: "abc123", expiryTime: "1 hour" },
+  },
+  "password-changed": {
+    name: "Password changed",
+    subject: "Your Password Has Been Changed",
+    variables: ["fname", "lname", "changedAt", "ipAddress", "device", "changedBy", "isAdminReset", "loginUrl", "currentYear"],
+    sample: { fname: "Ada", lname: "Obi", changedAt: "Monday, October 19, 2026 at 10:00 AM", ipAddress: "102.89.1.1", device: "Chrome on Windows", changedBy: null, isAdminReset: false, loginUrl: "https://app.example.com/login" },
+  },
+  "course-enrollment": {
+    name: "Course enrollment",
+    subject: "Course Enrollment Confirmed: {{courseName}}",
+    variables: ["studentName", "courseName", "courseCode", "instructor", "startDate", "courseUrl", "currentYear"],
+    sample: { studentName: "Ada Obi", courseName: "Introduction to Economics", courseCode: "ECO101", instructor: "Dr. Bello", startDate: "To be announced", courseUrl: "https://app.example.com/courses/12" },
+  },
+  "exam-reminder": {
+    name: "Exam reminder",
+    subject: "Exam Reminder: {{examTitle}}",
+    variables: ["studentName", "examTitle", "examDate", "examTime", "duration", "courseName", "examUrl", "currentYear"],
+    sample: { studentName: "Ada Obi", examTitle: "Midterm", examDate: "Tue, 20 Oct 2026, 10:00 WAT", examTime: "", duration: 60, courseName: "Introduction to Economics", examUrl: "https://app.example.com/exams/7" },
+  },
+  "grade-notification": {
+    name: "Grade posted",
+    subject: "New Grade Posted: {{assessmentTitle}}",
+    variables: ["studentName", "courseName", "assessmentType", "assessmentTitle", "score", "totalScore", "grade", "viewUrl", "currentYear"],
+    sample: { studentName: "Ada Obi", courseName: "Introduction to Economics", assessmentType: "Exam", assessmentTitle: "Midterm", score: 42, totalScore: 50, grade: "A", viewUrl: "https://app.example.com/grades" },
+  },
+  "admin-welcome": {
+    name: "Admin welcome",
+    subject: "Welcome to WSP Admin System - Your Account is Ready!",
+    variables: ["fname", "lname", "email", "temporaryPassword", "roleDisplay", "isSuperAdmin", "loginUrl", "currentYear"],
+    sample: { fname: "Tunde", lname: "Ade", email: "tunde@example.com", temporaryPassword: "Temp#1234", roleDisplay: "WSP Admin", isSuperAdmin: false, loginUrl: "https://admin.example.com/login" },
+  },
+  notification: {
+    name: "Notification",
+    subject: "{{title}}",
+    escapeHtml: true,
+    variables: ["title", "recipientName", "message", "actionUrl", "actionLabel", "currentYear"],
+    sample: { title: "Coaching booking accepted", recipientName: "Ada Obi", message: "Your session on \"Career planning\" was accepted. Complete payment to confirm it.", actionUrl: "https://app.example.com/coaching/my-booking-requests/77", actionLabel: "Pay and confirm" },
+  },
+  "tutor-learner-message": {
+    name: "Tutor message to learner",
+    subject: "{{subject}}",
+    escapeHtml: true,
+    variables: ["subject", "learnerName", "tutorName", "message", "currentYear"],
+    sample: { subject: "Welcome to the course", learnerName: "Ada Obi", tutorName: "Dr. Bello", message: "Hi Ada,\n\nThe first live class is on Monday." },
+  },
+};
+
+const escapeHtml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const cache = new Map();
+
+export function clearEmailTemplateCache(templateKey) {
+  if (templateKey) cache.delete(templateKey);
+  else cache.clear();
+}
+
+/**
+ * Default subject/body of a template (the file)
+ */
+export async function getDefaultTemplate(templateKey) {
+  const definition = EMAIL_TEMPLATES[templateKey];
+  return { subject: definition.subject, html_body: await loadTemplateFile(templateKey), version: null };
+}
+
+/**
+ * Subject/body that is sent now: the active saved version, else the file
+ */
+export async function getActiveTemplate(templateKey) {
+  const cached = cache.get(templateKey);
+  if (cached && cached.expires > Date.now()) return cached.template;
+
+  let template = null;
+  try {
+    const row = await EmailTemplate.findOne({ where: { template_key: templateKey } });
+    if (row?.active_version) {
+      const version = await EmailTemplateVersion.findOne({
+        where: { template_key: templateKey, version: row.active_version },
+      });
+      if (version) {
+        template = { subject: version.subject, html_body: version.html_body, version: version.version };
+      }
+    }
+  } catch (error) {
+    // Tables may not exist yet: send the file
+    console.error(`Loading email template ${templateKey} failed:`, error.message);
+  }
+  template ??= await getDefaultTemplate(templateKey);
+
+  cache.set(templateKey, { template, expires: Date.now() + CACHE_TTL_MS });
+  return template;
+}
+
+/**
+ * Placeholders in a subject/body that the template does not provide
+ */
+export function findUnknownPlaceholders(templateKey, ...texts) {
+  const allowed = new Set([...EMAIL_TEMPLATES[templateKey].variables, ...BRANDING_VARIABLES]);
+  return [...new Set(texts.flatMap((text) => extractPlaceholders(text || "")))].filter(
+    (name) => !allowed.has(name)
+  );
+}
+
+/**
+ * Branding of a tutor/organization, or null when they have not set any
+ * @param {{ ownerType: string, ownerId: number }} [brandOwner]
+ */
+export async function getEmailBranding(brandOwner) {
+  if (!brandOwner?.ownerType || !brandOwner?.ownerId) return null;
+  try {
+    const [branding, owner] = await Promise.all([
+      EmailBranding.findOne({
+        where: { owner_type: brandOwner.ownerType, owner_id: brandOwner.ownerId },
+      }),
+      brandOwner.ownerType === "organization"
+        ? Organization.findByPk(brandOwner.ownerId, { attributes: ["name", "logo"] })
+        : SoleTutor.findByPk(brandOwner.ownerId, { attributes: ["fname", "lname"] }),
+    ]);
+    if (!branding) return null;
+    const ownerName =
+      brandOwner.ownerType === "organization"
+        ? owner?.name
+        : `${owner?.fname || ""} ${owner?.lname || ""}`.trim();
+    return {
+      name: ownerName || null,
+      sender_name: branding.sender_name || null,
+      logo_url: branding.logo_url || owner?.logo || null,
+      primary_color: branding.primary_color || null,
+      secondary_color: branding.secondary_color || null,
+      footer_text: branding.footer_text || null,
+    };
+  } catch (error) {
+    console.error("Loading email branding failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Branding placeholders for a render. Without branding the platform look is used;
+ * marketplace emails carry the tutor/learner platform name.
+ */
+export function brandingVariables(branding, useTutorLearnerBranding = false) {
+  const name =
+    branding?.name || (useTutorLearnerBranding ? Config.email.fromNameTutorLearner : "Knomada");
+  const primary = branding?.primary_color || DEFAULT_COLORS.primary;
+  const secondary = branding?.secondary_color || branding?.primary_color || DEFAULT_COLORS.secondary;
+  const logoUrl = branding?.logo_url || "";
+
+  const header = logoUrl
+    ? `<img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(name)}" style="max-height:48px;max-width:240px">`
+    : `<h1 style="margin:0;font-size:24px;font-weight:600">🎓 ${escapeHtml(name)}</h1>`;
+  const footer = branding?.footer_text
+    ? `<p style="white-space:pre-line">${escapeHtml(branding.footer_text)}</p>`
+    : `<p style="font-size: 12px; color: #999;">This is an automated email from ${escapeHtml(name)}.<br>© ${new Date().getFullYear()} ${escapeHtml(name)}. All rights reserved.</p>`;
+
+  return {
+    brandName: escapeHtml(name),
+    brandLogoUrl: escapeHtml(logoUrl),
+    brandHeader: header,
+    brandFooter: footer,
+    brandPrimaryColor: primary,
+    brandSecondaryColor: secondary,
+  };
+}
+
+/**
+ * Render the subject and HTML body of an email
+ * @param {string} templateKey - Key of EMAIL_TEMPLATES
+ * @param {Object} data - Template data (raw values)
+ * @param {Object} [options]
+ * @param {Object} [options.branding] - Result of getEmailBranding
+ * @param {boolean} [options.useTutorLearnerBranding] - Marketplace email (platform name)
+ * @param {{ subject: string, html_body: string }} [options.template] - Render this instead of the active template (preview)
+ * @returns {Promise<{ subject: string, htmlBody: string, version: number|null }>}
+ */
+export async function renderEmail(templateKey, data = {}, options = {}) {
+  const definition = EMAIL_TEMPLATES[templateKey];
+  if (!definition) {
+    throw new Error(`Unknown email template: ${templateKey}`);
+  }
+  const template = options.template || (await getActiveTemplate(templateKey));
+  const values = { currentYear: new Date().getFullYear(), ...data };
+  const brand = brandingVariables(options.branding, options.useTutorLearnerBranding);
+
+  const bodyValues = definition.escapeHtml
+    ? Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [key, typeof value === "boolean" ? value : escapeHtml(value)])
+      )
+    : values;
+
+  const subject = renderString(template.subject, values)
+    .replace(/{{[^}]*}}/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    subject,
+    htmlBody: renderString(template.html_body, { ...bodyValues, ...brand }),
+    version: template.version ?? null,
+  };
+}
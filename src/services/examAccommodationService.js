@@ -0,0 +1,175 @@
+/**
+ * Exam Accommodation Service
+ * Per-student and group overrides of an exam's rules: extra time, an alternate window
+ * and extra attempts. When several accommodations cover a student, the largest extra
+ * time and extra attempts apply and every alternate window is open to them.
+ */
+
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { ExamAccommodation } from "../models/exams/index.js";
+
+// Grace period for answers sent just after the deadline (network delay)
+export const DEADLINE_GRACE_SECONDS = 60;
+
+const MAX_EXTRA_TIME_PERCENT = 300;
+const MAX_EXTRA_ATTEMPTS = 10;
+
+/**
+ * Accommodations of an exam that cover a student
+ */
+export async function getStudentAccommodations(examId, studentId) {
+  return ExamAccommodation.findAll({
+    where: { exam_id: examId, student_ids: { [Op.contains]: [studentId] } },
+    order: [["id", "ASC"]],
+  });
+}
+
+/**
+ * Effective rules for a student: duration, attempt limit and the windows they may start in
+ */
+export function getExamRules(exam, accommodations = []) {
+  const extraTimePercent = Math.max(0, ...accommodations.map((a) => a.extra_time_percent || 0));
+  const extraAttempts = Math.max(0, ...accommodations.map((a) => a.extra_attempts || 0));
+  const baseDuration = exam.duration_minutes || 60;
+
+  const windows = [{ start_at: exam.start_at, end_at: exam.end_at, source: "exam" }];
+  for (const accommodation of accommodations) {
+    if (accommodation.start_at || accommodation.end_at) {
+      windows.push({
+        start_at: accommodation.start_at,
+        end_at: accommodation.end_at,
+        source: "accommodation",
+        accommodation_id: accommodation.id,
+      });
+    }
+  }
+
+  return {
+    duration_minutes: Math.ceil(baseDuration * (1 + extraTimePercent / 100)),
+    max_attempts: (exam.max_attempts || 3) + extraAttempts,
+    windows,
+    accommodation: accommodations.length
+      ? {
+          ids: accommodations.map((a) => a.id),
+          extra_time_percent: extraTimePercent,
+          extra_attempts: extraAttempts,
+          alternate_windows: windows.filter((w) => w.source === "accommodation"),
+        }
+      : null,
+  };
+}
+
+export async function getExamRulesForStudent(exam, studentId) {
+  const accommodations = await getStudentAccommodations(exam.id, studentId);
+  return getExamRules(exam, accommodations);
+}
+
+/**
+ * Throw unless one of the student's windows is open
+ */
+export function assertExamWindowOpen(rules, now = new Date()) {
+  const isOpen = (w) =>
+    (!w.start_at || now >= new Date(w.start_at)) && (!w.end_at || now <= new Date(w.end_at));
+  if (rules.windows.some(isOpen)) return;
+
+  const upcoming = rules.windows.some((w) => w.start_at && now < new Date(w.start_at));
+  throw new ErrorClass(upcoming ? "Exam has not started yet" : "Exam has ended", 403);
+}
+
+/**
+ * Whether an attempt is past its time limit (plus grace). Attempts started before
+ * time limits were recorded have no due_at and never expire here.
+ */
+export function isAttemptOverdue(attempt, now = new Date()) {
+  if (!attempt.due_at) return false;
+  return now.getTime() > new Date(attempt.due_at).getTime() + DEADLINE_GRACE_SECONDS * 1000;
+}
+
+function parseOptionalDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorClass(`${field} must be a valid date`, 400);
+  }
+  return date;
+}
+
+function parseBoundedInteger(value, field, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value ?? 0);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new ErrorClass(`${field} must be a whole number between 0 and ${max}`, 400);
+  }
+  return number;
+}
+
+/**
+ * Validate accommodation fields from a request
+ * @param {Object} body
+ * @param {Object} [existing] - accommodation being updated (fields not sent are kept)
+ */
+export function validateAccommodationInput(body, existing = null) {
+  const values = {};
+
+  if (body.student_ids !== undefined || !existing) {
+    const ids = Array.isArray(body.student_ids) ? body.student_ids.map(Number) : [];
+    if (ids.length === 0 || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      throw new ErrorClass("student_ids must be a non-empty array of student ids", 400);
+    }
+    values.student_ids = [...new Set(ids)];
+  }
+
+  if (body.name !== undefined) values.name = body.name ? String(body.name).trim().slice(0, 150) : null;
+  if (body.reason !== undefined) values.reason = body.reason ? String(body.reason).trim() : null;
+
+  const extraTime = parseBoundedInteger(body.extra_time_percent, "extra_time_percent", MAX_EXTRA_TIME_PERCENT);
+  if (extraTime !== undefined) values.extra_time_percent = extraTime;
+  const extraAttempts = parseBoundedInteger(body.extra_attempts, "extra_attempts", MAX_EXTRA_ATTEMPTS);
+  if (extraAttempts !== undefined) values.extra_attempts = extraAttempts;
+
+  const startAt = parseOptionalDate(body.start_at, "start_at");
+  const endAt = parseOptionalDate(body.end_at, "end_at");
+  if (startAt !== undefined) values.start_at = startAt;
+  if (endAt !== undefined) values.end_at = endAt;
+
+  const finalStart = startAt !== undefined ? startAt : existing?.start_at;
+  const finalEnd = endAt !== undefined ? endAt : existing?.end_at;
+  if (finalStart && finalEnd && new Date(finalStart) >= new Date(finalEnd)) {
+    throw new ErrorClass("end_at must be after start_at", 400);
+  }
+
+  const merged = { ...(existing ? existing.toJSON() : {}), ...values };
+  if (
+    !merged.extra_time_percent &&
+    !merged.extra_attempts &&
+    !merged.start_at &&
+    !merged.end_at
+  ) {
+    throw new ErrorClass(
+      "Set at least one of extra_time_percent, start_at/end_at or extra_attempts",
+      400
+    );
+  }
+
+  return values;
+}
+
+export function formatAccommodation(accommodation) {
+  return {
+    id: accommodation.id,
+    exam_id: accommodation.exam_id,
+    name: accommodation.name,
+    student_ids: accommodation.student_ids,
+    extra_time_percent: accommodation.extra_time_percent,
+    start_at: accommodation.start_at,
+    end_at: accommodation.end_at,
+    extra_attempts: accommodation.extra_attempts,
+    reason: accommodation.reason,
+    created_by: accommodation.created_by,
+    created_by_type: accommodation.created_by_type,
+    created_at: accommodation.created_at,
+    updated_at: accommodation.updated_at,
+  };
+}
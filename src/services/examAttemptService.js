@@ -2,14 +2,26 @@ import {
   Exam,
   ExamItem,
   ExamAttempt,
+  ExamAnswerObjective,
+  ExamAnswerTheory,
   QuestionBank,
   QuestionObjective,
   QuestionTheory,
 } from "../models/exams/index.js";
 import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import {
+  getExamRulesForStudent,
+  assertExamWindowOpen,
+  isAttemptOverdue,
+} from "./examAccommodationService.js";
 
 /**
  * Start an exam attempt - selects random questions from bank if needed
+ * Enforces the exam window and attempt limit, including the student's accommodations,
+ * and records the attempt's time limit. An in-progress attempt is resumed unless its
+ * time is up, in which case it is submitted.
+ * @returns {{ attempt, isNew: boolean, rules: Object, attemptsUsed: number }}
  */
 export async function startExamAttempt(examId, studentId) {
   try {
@@ -17,6 +29,11 @@ export async function startExamAttempt(examId, studentId) {
     if (!exam) throw new Error("Exam not found");
     if (exam.visibility !== "published") throw new Error("Exam not available");
 
+    const rules = await getExamRulesForStudent(exam, studentId);
+    const attemptsUsed = await ExamAttempt.count({
+      where: { exam_id: examId, student_id: studentId },
+    });
+
     // Check if student already has an active attempt
     const existingAttempt = await ExamAttempt.findOne({
       where: {
@@ -27,15 +44,32 @@ export async function startExamAttempt(examId, studentId) {
     });
 
     if (existingAttempt) {
-      return { attempt: existingAttempt, isNew: false };
+      if (isAttemptOverdue(existingAttempt)) {
+        await finalizeExamAttempt(existingAttempt);
+        throw new ErrorClass("Time is up. Your previous attempt has been submitted", 403);
+      }
+      return { attempt: existingAttempt, isNew: false, rules, attemptsUsed };
+    }
+
+    assertExamWindowOpen(rules);
+
+    if (attemptsUsed >= rules.max_attempts) {
+      throw new ErrorClass(
+        `Maximum attempt limit reached (${rules.max_attempts} attempts allowed)`,
+        403
+      );
     }
 
     // Create new attempt
+    const startedAt = new Date();
     const attempt = await ExamAttempt.create({
       exam_id: examId,
       student_id: studentId,
-      started_at: new Date(),
+      attempt_no: attemptsUsed + 1,
+      started_at: startedAt,
       status: "in_progress",
+      time_limit_minutes: rules.duration_minutes,
+      due_at: new Date(startedAt.getTime() + rules.duration_minutes * 60 * 1000),
     });
 
     // If random selection mode, pick questions now
@@ -43,7 +77,7 @@ export async function startExamAttempt(examId, studentId) {
       await selectRandomQuestionsForAttempt(exam, attempt);
     }
 
-    return { attempt, isNew: true };
+    return { attempt, isNew: true, rules, attemptsUsed: attemptsUsed + 1 };
   } catch (error) {
     console.error("Error starting exam attempt:", error);
     throw error;
@@ -194,3 +228,54 @@ export async function getAttemptQuestions(attemptId) {
     throw error;
   }
 }
+
+/**
+ * Finalize an attempt: score objective answers and close it
+ * Used when the student submits and when the proctoring policy auto-submits.
+ */
+export async function finalizeExamAttempt(attempt, { autoSubmitted = false } = {}) {
+  // Calculate total score from objective answers
+  const objectiveAnswers = await ExamAnswerObjective.findAll({
+    where: { attempt_id: attempt.id },
+  });
+
+  const objectiveScore = objectiveAnswers.reduce(
+    (sum, ans) => sum + Number(ans.awarded_score || 0),
+    0
+  );
+
+  // Theory answers are not graded yet, so max_score will be updated when graded
+  const theoryAnswers = await ExamAnswerTheory.findAll({
+    where: { attempt_id: attempt.id },
+    include: [
+      {
+        model: ExamItem,
+        as: "examItem",
+        include: [
+          {
+            model: QuestionBank,
+            as: "question",
+            include: [{ model: QuestionTheory, as: "theory" }],
+          },
+        ],
+      },
+    ],
+  });
+
+  const maxTheoryScore = theoryAnswers.reduce(
+    (sum, ans) => sum + Number(ans.examItem?.question?.theory?.max_marks || 0),
+    0
+  );
+
+  const totalObjectiveMaxScore = objectiveAnswers.length * 1; // Assuming 1 mark per objective question (can be dynamic)
+
+  await attempt.update({
+    submitted_at: new Date(),
+    status: theoryAnswers.length > 0 ? "submitted" : "graded",
+    total_score: objectiveScore,
+    max_score: totalObjectiveMaxScore + maxTheoryScore,
+    ...(autoSubmitted ? { auto_submitted: true } : {}),
+  });
+
+  return { total_score: objectiveScore, status: attempt.status };
+}
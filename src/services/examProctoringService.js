@@ -0,0 +1,339 @@
+/**
+ * Exam Proctoring Service
+ * Records integrity events for exam attempts (reported by the exam page or detected by
+ * the API), enforces the exam's proctoring policy and builds per-attempt integrity reports.
+ *
+ * Policy (exams.proctoring_policy):
+ *   { enabled, counted_events: [...], action: "warn" | "auto_submit", max_violations }
+ * Events are always stored; they only count as violations while the policy is enabled.
+ */
+
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { dbLibrary } from "../database/database.js";
+import { ExamProctoringEvent } from "../models/exams/index.js";
+import { finalizeExamAttempt } from "./examAttemptService.js";
+
+export const CLIENT_EVENT_TYPES = [
+  "tab_blur",
+  "tab_focus",
+  "fullscreen_exit",
+  "fullscreen_enter",
+  "copy",
+  "cut",
+  "paste",
+  "context_menu",
+];
+
+// Detected by the API only; clients cannot report these
+export const SERVER_EVENT_TYPES = ["ip_change", "concurrent_session"];
+
+export const PROCTORING_EVENT_TYPES = [...CLIENT_EVENT_TYPES, ...SERVER_EVENT_TYPES];
+
+const DEFAULT_COUNTED_EVENTS = [
+  "tab_blur",
+  "fullscreen_exit",
+  "copy",
+  "cut",
+  "paste",
+  "ip_change",
+  "concurrent_session",
+];
+
+const POLICY_ACTIONS = ["warn", "auto_submit"];
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_DETAILS_LENGTH = 2000;
+
+/**
+ * Validate a proctoring policy sent with an exam
+ * @returns {Object|null} policy to store (null turns proctoring off)
+ */
+export function normalizeProctoringPolicy(policy) {
+  if (policy === undefined || policy === null || policy === false) return null;
+  if (typeof policy !== "object" || Array.isArray(policy)) {
+    throw new ErrorClass("proctoring_policy must be an object", 400);
+  }
+
+  const action = policy.action || "warn";
+  if (!POLICY_ACTIONS.includes(action)) {
+    throw new ErrorClass(`proctoring_policy.action must be one of: ${POLICY_ACTIONS.join(", ")}`, 400);
+  }
+
+  const countedEvents = policy.counted_events ?? DEFAULT_COUNTED_EVENTS;
+  if (!Array.isArray(countedEvents)) {
+    throw new ErrorClass("proctoring_policy.counted_events must be an array", 400);
+  }
+  const unknown = countedEvents.filter((e) => !PROCTORING_EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw new ErrorClass(`Unknown proctoring events: ${unknown.join(", ")}`, 400);
+  }
+
+  let maxViolations = null;
+  if (policy.max_violations !== undefined && policy.max_violations !== null) {
+    maxViolations = Number(policy.max_violations);
+    if (!Number.isInteger(maxViolations) || maxViolations < 1) {
+      throw new ErrorClass("proctoring_policy.max_violations must be a whole number of at least 1", 400);
+    }
+  }
+  if (action === "auto_submit" && !maxViolations) {
+    throw new ErrorClass("proctoring_policy.max_violations is required for auto_submit", 400);
+  }
+
+  return {
+    enabled: policy.enabled !== false,
+    counted_events: [...new Set(countedEvents)],
+    action,
+    max_violations: maxViolations,
+  };
+}
+
+export function getProctoringPolicy(exam) {
+  const policy = exam?.proctoring_policy;
+  if (!policy || policy.enabled === false) {
+    return { enabled: false, counted_events: [], action: "warn", max_violations: null };
+  }
+  return {
+    enabled: true,
+    counted_events: policy.counted_events || DEFAULT_COUNTED_EVENTS,
+    action: policy.action || "warn",
+    max_violations: policy.max_violations ?? null,
+  };
+}
+
+/**
+ * Read the request details used for server-side checks
+ */
+export function getProctoringContext(req) {
+  const sessionId = req.headers["x-exam-session-id"] || req.body?.session_id || null;
+  return {
+    ip: req.ip || req.headers["x-forwarded-for"] || req.connection?.remoteAddress || null,
+    userAgent: req.headers["user-agent"] || null,
+    sessionId: sessionId ? String(sessionId).slice(0, 100) : null,
+  };
+}
+
+function validateClientEvent(event, index) {
+  const type = event?.type;
+  if (!CLIENT_EVENT_TYPES.includes(type)) {
+    throw new ErrorClass(
+      `events[${index}].type must be one of: ${CLIENT_EVENT_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  // Client clocks are trusted for ordering only; future times are clamped to now
+  let occurredAt = event.occurred_at ? new Date(event.occurred_at) : new Date();
+  if (Number.isNaN(occurredAt.getTime()) || occurredAt > new Date()) occurredAt = new Date();
+
+  let details = null;
+  if (event.details !== undefined && event.details !== null) {
+    if (typeof event.details !== "object" || Array.isArray(event.details)) {
+      throw new ErrorClass(`events[${index}].details must be an object`, 400);
+    }
+    if (JSON.stringify(event.details).length > MAX_DETAILS_LENGTH) {
+      throw new ErrorClass(`events[${index}].details is too large`, 400);
+    }
+    details = event.details;
+  }
+
+  return { event_type: type, occurred_at: occurredAt, details };
+}
+
+/**
+ * Compare the request with what the attempt started with (IP, client session)
+ * @returns {Array} server events to record
+ */
+async function detectServerEvents(attempt, context, transaction) {
+  const events = [];
+
+  if (context.ip && attempt.start_ip && context.ip !== attempt.start_ip) {
+    // One event per new IP, not per request
+    const seen = await ExamProctoringEvent.findOne({
+      where: { attempt_id: attempt.id, event_type: "ip_change", ip_address: context.ip },
+      transaction,
+    });
+    if (!seen) {
+      events.push({
+        event_type: "ip_change",
+        details: { start_ip: attempt.start_ip, current_ip: context.ip },
+      });
+    }
+  }
+
+  if (context.sessionId) {
+    if (!attempt.client_session_id) {
+      await attempt.update({ client_session_id: context.sessionId }, { transaction });
+    } else if (attempt.client_session_id !== context.sessionId) {
+      const seen = await ExamProctoringEvent.findOne({
+        where: {
+          attempt_id: attempt.id,
+          event_type: "concurrent_session",
+          session_id: context.sessionId,
+        },
+        transaction,
+      });
+      if (!seen) {
+        events.push({
+          event_type: "concurrent_session",
+          details: { first_session_id: attempt.client_session_id },
+        });
+      }
+    }
+  }
+
+  return events.map((e) => ({ ...e, source: "server", occurred_at: new Date() }));
+}
+
+function describeStatus(attempt, policy, autoSubmitted) {
+  if (!policy.enabled) return null;
+
+  const remaining =
+    policy.max_violations !== null
+      ? Math.max(0, policy.max_violations - attempt.violation_count)
+      : null;
+  let warning = null;
+  if (autoSubmitted) {
+    warning = `Your exam was submitted automatically after ${attempt.violation_count} integrity violations`;
+  } else if (attempt.violation_count > 0) {
+    warning =
+      policy.action === "auto_submit"
+        ? `Integrity violation recorded (${attempt.violation_count} of ${policy.max_violations}). Your exam will be submitted automatically at ${policy.max_violations}.`
+        : `Integrity violation recorded (${attempt.violation_count} so far). Your tutor will see this in the integrity report.`;
+  }
+
+  return {
+    violation_count: attempt.violation_count,
+    max_violations: policy.max_violations,
+    remaining_violations: remaining,
+    action: policy.action,
+    auto_submitted: autoSubmitted,
+    warning,
+  };
+}
+
+/**
+ * Store events for an in-progress attempt and apply the exam's policy
+ * @param {Object} attempt - ExamAttempt (in progress)
+ * @param {Object} exam
+ * @param {Array} clientEvents - [{ type, occurred_at, details }] from the exam page
+ * @param {Object} context - from getProctoringContext
+ * @returns {{ recorded: number, proctoring: Object|null }}
+ */
+export async function recordProctoringEvents(attempt, exam, clientEvents, context) {
+  if (!Array.isArray(clientEvents)) {
+    throw new ErrorClass("events must be an array", 400);
+  }
+  if (clientEvents.length > MAX_EVENTS_PER_REQUEST) {
+    throw new ErrorClass(`Send at most ${MAX_EVENTS_PER_REQUEST} events per request`, 400);
+  }
+  const validated = clientEvents.map(validateClientEvent);
+  const policy = getProctoringPolicy(exam);
+
+  let recorded = 0;
+  const transaction = await dbLibrary.transaction();
+  try {
+    const serverEvents = await detectServerEvents(attempt, context, transaction);
+    const rows = [...validated.map((e) => ({ ...e, source: "client" })), ...serverEvents].map(
+      (e) => ({
+        attempt_id: attempt.id,
+        exam_id: exam.id,
+        student_id: attempt.student_id,
+        event_type: e.event_type,
+        source: e.source,
+        is_violation: policy.enabled && policy.counted_events.includes(e.event_type),
+        details: e.details,
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        session_id: context.sessionId,
+        occurred_at: e.occurred_at,
+      })
+    );
+
+    if (rows.length) {
+      await ExamProctoringEvent.bulkCreate(rows, { transaction });
+      recorded = rows.length;
+    }
+
+    const violations = rows.filter((r) => r.is_violation).length;
+    if (violations) {
+      await attempt.increment("violation_count", { by: violations, transaction });
+      await attempt.reload({ transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  let autoSubmitted = false;
+  if (
+    policy.enabled &&
+    policy.action === "auto_submit" &&
+    attempt.status === "in_progress" &&
+    attempt.violation_count >= policy.max_violations
+  ) {
+    await finalizeExamAttempt(attempt, { autoSubmitted: true });
+    autoSubmitted = true;
+  }
+
+  return { recorded, proctoring: describeStatus(attempt, policy, autoSubmitted) };
+}
+
+/**
+ * Build the integrity report for an attempt
+ */
+export async function getIntegrityReport(attempt, exam) {
+  const policy = getProctoringPolicy(exam);
+  const events = await ExamProctoringEvent.findAll({
+    where: { attempt_id: attempt.id },
+    order: [
+      ["occurred_at", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  const countsByType = {};
+  for (const event of events) {
+    countsByType[event.event_type] = (countsByType[event.event_type] || 0) + 1;
+  }
+
+  const violationCount = attempt.violation_count || 0;
+  // Benign events (tab_focus, fullscreen_enter) never raise the level; with proctoring
+  // off, the default violation types still do
+  const reviewTypes = policy.enabled ? policy.counted_events : DEFAULT_COUNTED_EVENTS;
+  let level = "clean";
+  if (
+    attempt.auto_submitted ||
+    countsByType.concurrent_session ||
+    (policy.max_violations && violationCount >= policy.max_violations)
+  ) {
+    level = "flagged";
+  } else if (
+    violationCount > 0 ||
+    events.some((e) => reviewTypes.includes(e.event_type))
+  ) {
+    level = "review";
+  }
+
+  return {
+    level,
+    policy,
+    violation_count: violationCount,
+    auto_submitted: !!attempt.auto_submitted,
+    start_ip: attempt.start_ip || null,
+    ip_addresses: [...new Set(events.map((e) => e.ip_address).filter(Boolean))],
+    session_count: new Set(events.map((e) => e.session_id).filter(Boolean)).size,
+    counts_by_type: countsByType,
+    total_events: events.length,
+    events: events.map((e) => ({
+      id: e.id,
+      type: e.event_type,
+      source: e.source,
+      is_violation: e.is_violation,
+      occurred_at: e.occurred_at,
+      ip_address: e.ip_address,
+      session_id: e.session_id,
+      details: e.details,
+    })),
+  };
+}
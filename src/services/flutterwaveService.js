@@ -675,3 +675,60 @@ export const getTransferStatus = async (transferId) => {
     );
   }
 };
+
+/**
+ * Refund a card/bank charge back to the customer
+ * @param {string|number} transactionId - Flutterwave transaction ID (not tx_ref)
+ * @param {number} [amount] - Amount to refund; omit for a full refund
+ * @returns {Promise<Object>} Refund details
+ */
+export const refundTransaction = async (transactionId, amount) => {
+  if (!FLUTTERWAVE_SECRET_KEY) {
+    throw new ErrorClass("Flutterwave secret key not configured", 500);
+  }
+
+  try {
+    const proxyConfig = getQuotaGuardAxiosProxyConfig();
+    const response = await axios.post(
+      `${FLUTTERWAVE_BASE_URL}/transactions/${transactionId}/refund`,
+      amount != null ? { amount: parseFloat(amount) } : {},
+      {
+        headers: {
+          Authorization: `Bearer ${FLUTTERWAVE_SECRET_KEY}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 30000,
+        ...(proxyConfig ? { proxy: proxyConfig } : {}),
+      },
+    );
+
+    if (response.data.status === "success" && response.data.data) {
+      return {
+        success: true,
+        refund: {
+          id: response.data.data.id,
+          status: response.data.data.status,
+          amount: parseFloat(response.data.data.amount_refunded),
+          transactionId: response.data.data.tx_id,
+          createdAt: response.data.data.created_at,
+        },
+      };
+    }
+
+    return {
+      success: false,
+      message: response.data.message || "Refund failed",
+    };
+  } catch (error) {
+    console.error("Flutterwave refundTransaction error:", {
+      message: error.message,
+      status: error.response?.status,
+      data: error.response?.data,
+    });
+
+    return {
+      success: false,
+      message: error.response?.data?.message || error.message,
+    };
+  }
+};
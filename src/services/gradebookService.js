@@ -0,0 +1,620 @@
+/**
+ * Gradebook Service
+ * Merges CA marks, exam attempts, quiz attempts and assignment grades into per-course gradebooks,
+ * applies the program grading scale and publishes results into course_reg.
+ *
+ * Exams, quizzes and assignments live in the library DB, so their attempts are read separately
+ * and matched to course registrations by student_id.
+ */
+
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Courses } from "../models/course/courses.js";
+import { Exam, ExamAttempt } from "../models/exams/index.js";
+import { Quiz } from "../models/modules/quiz.js";
+import { QuizAttempts } from "../models/modules/quiz_attempts.js";
+import { Assignment } from "../models/modules/assignment.js";
+import { AssignmentSubmissions } from "../models/modules/assignment_submissions.js";
+import { Modules } from "../models/modules/modules.js";
+import {
+  GradingScale,
+  DEFAULT_GRADE_BANDS,
+  GradebookConfig,
+  GradebookEntry,
+  GradeAuditLog,
+  GRADE_COMPONENTS,
+} from "../models/grading/index.js";
+import { notify } from "./notificationService.js";
+import { getCourseAttendance } from "./attendanceService.js";
+
+// course_reg column -> weight column on GradebookConfig
+export const COMPONENT_WEIGHT_FIELDS = {
+  first_ca: "first_ca_weight",
+  second_ca: "second_ca_weight",
+  third_ca: "third_ca_weight",
+  exam_score: "exam_weight",
+};
+
+// "attendance" uses the course's live class attendance percentage and takes no ids
+const SOURCE_TYPES = ["exam", "quiz", "assignment", "attendance"];
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Grading scale for a program, falling back to the default scale (program_id null)
+ * and then to the built-in bands
+ */
+export async function getGradingScaleForProgram(programId) {
+  if (programId) {
+    const scale = await GradingScale.findOne({ where: { program_id: programId } });
+    if (scale) return scale;
+  }
+  const fallback = await GradingScale.findOne({ where: { program_id: null } });
+  if (fallback) return fallback;
+  return { id: null, program_id: null, name: "Default", bands: DEFAULT_GRADE_BANDS, pass_mark: 40 };
+}
+
+/**
+ * Letter grade, grade point and remark for a total out of 100
+ */
+export function resolveGrade(total, scale) {
+  const bands = [...(scale?.bands || DEFAULT_GRADE_BANDS)].sort(
+    (a, b) => Number(b.min) - Number(a.min)
+  );
+  const band = bands.find((b) => Number(total) >= Number(b.min)) || bands[bands.length - 1];
+  return {
+    grade: band?.grade || null,
+    grade_point: band ? Number(band.point) : null,
+    remark: band?.remark || null,
+  };
+}
+
+/**
+ * Validate grade bands sent by an admin
+ */
+export function validateGradeBands(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new ErrorClass("bands must be a non-empty array", 400);
+  }
+  const seen = new Set();
+  for (const band of bands) {
+    if (!band?.grade || typeof band.grade !== "string" || band.grade.length > 5) {
+      throw new ErrorClass("Each band needs a grade of up to 5 characters", 400);
+    }
+    const min = Number(band.min);
+    const point = Number(band.point);
+    if (!Number.isFinite(min) || min < 0 || min > 100) {
+      throw new ErrorClass(`Band ${band.grade}: min must be between 0 and 100`, 400);
+    }
+    if (!Number.isFinite(point) || point < 0 || point > 10) {
+      throw new ErrorClass(`Band ${band.grade}: point must be between 0 and 10`, 400);
+    }
+    if (seen.has(min)) {
+      throw new ErrorClass("Two bands cannot share the same min", 400);
+    }
+    seen.add(min);
+  }
+  if (!seen.has(0)) {
+    throw new ErrorClass("One band must start at 0", 400);
+  }
+  return bands.map((b) => ({
+    grade: b.grade.trim(),
+    min: Number(b.min),
+    point: Number(b.point),
+    remark: b.remark ? String(b.remark).trim() : null,
+  }));
+}
+
+export async function getOrCreateGradebookConfig(courseId, academicYear, semester) {
+  if (!academicYear || !semester) {
+    throw new ErrorClass("academicYear and semester are required", 400);
+  }
+  const [config] = await GradebookConfig.findOrCreate({
+    where: { course_id: courseId, academic_year: academicYear, semester },
+    defaults: { course_id: courseId, academic_year: academicYear, semester },
+  });
+  return config;
+}
+
+/**
+ * Validate weights and score sources for a course offering
+ * @returns {Object} fields to save on GradebookConfig
+ */
+export async function validateGradebookConfig(courseId, body, current) {
+  const updates = {};
+
+  for (const [component, weightField] of Object.entries(COMPONENT_WEIGHT_FIELDS)) {
+    const value = body[weightField];
+    if (value === undefined) continue;
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+      throw new ErrorClass(`${weightField} must be between 0 and 100`, 400);
+    }
+    updates[weightField] = weight;
+  }
+
+  const totalWeight = Object.values(COMPONENT_WEIGHT_FIELDS).reduce(
+    (sum, field) => sum + Number(updates[field] ?? current[field]),
+    0
+  );
+  if (Math.abs(totalWeight - 100) > 0.001) {
+    throw new ErrorClass(`Weights must add up to 100 (currently ${totalWeight})`, 400);
+  }
+
+  if (body.sources !== undefined) {
+    if (typeof body.sources !== "object" || body.sources === null || Array.isArray(body.sources)) {
+      throw new ErrorClass("sources must be an object keyed by component", 400);
+    }
+
+    const sources = {};
+    for (const [component, source] of Object.entries(body.sources)) {
+      if (!GRADE_COMPONENTS.includes(component)) {
+        throw new ErrorClass(`Unknown component "${component}"`, 400);
+      }
+      if (source === null) continue; // manual entry
+      if (!SOURCE_TYPES.includes(source?.type)) {
+        throw new ErrorClass(`${component}: source type must be "exam", "quiz", "assignment" or "attendance"`, 400);
+      }
+      if (source.type === "attendance") {
+        sources[component] = { type: "attendance" };
+        continue;
+      }
+      const ids = [...new Set((source.ids || []).map(Number))].filter(Number.isInteger);
+      if (ids.length === 0) {
+        throw new ErrorClass(`${component}: at least one ${source.type} id is required`, 400);
+      }
+      await assertSourcesBelongToCourse(courseId, source.type, ids);
+      sources[component] = { type: source.type, ids };
+    }
+    updates.sources = sources;
+  }
+
+  return updates;
+}
+
+async function assertSourcesBelongToCourse(courseId, type, ids) {
+  if (type === "exam") {
+    const count = await Exam.count({ where: { id: ids, course_id: courseId } });
+    if (count !== ids.length) {
+      throw new ErrorClass("One or more exams do not belong to this course", 400);
+    }
+    return;
+  }
+
+  const modules = await Modules.findAll({ where: { course_id: courseId }, attributes: ["id"] });
+  const model = type === "assignment" ? Assignment : Quiz;
+  const count = await model.count({
+    where: { id: ids, module_id: modules.map((m) => m.id) },
+  });
+  if (count !== ids.length) {
+    throw new ErrorClass(
+      `One or more ${type === "assignment" ? "assignments" : "quizzes"} do not belong to this course`,
+      400
+    );
+  }
+}
+
+/**
+ * Best score (as a fraction of max) per student per source id
+ * @returns {Map<number, Map<number, number>>} studentId -> (sourceId -> fraction)
+ */
+async function loadBestScores(type, ids, studentIds) {
+  if (type === "assignment") return loadAssignmentScores(ids, studentIds);
+
+  const attempts =
+    type === "exam"
+      ? await ExamAttempt.findAll({
+          where: { exam_id: ids, student_id: studentIds, status: "graded" },
+          attributes: ["exam_id", "student_id", "total_score", "max_score"],
+        })
+      : await QuizAttempts.findAll({
+          where: {
+            quiz_id: ids,
+            student_id: studentIds,
+            status: { [Op.in]: ["submitted", "graded"] },
+          },
+          attributes: ["quiz_id", "student_id", "total_score", "max_possible_score"],
+        });
+
+  const best = new Map();
+  for (const attempt of attempts) {
+    const sourceId = type === "exam" ? attempt.exam_id : attempt.quiz_id;
+    const max = Number(type === "exam" ? attempt.max_score : attempt.max_possible_score);
+    if (!max || max <= 0) continue;
+    const fraction = Math.min(1, Number(attempt.total_score || 0) / max);
+
+    if (!best.has(attempt.student_id)) best.set(attempt.student_id, new Map());
+    const perStudent = best.get(attempt.student_id);
+    if (!perStudent.has(sourceId) || perStudent.get(sourceId) < fraction) {
+      perStudent.set(sourceId, fraction);
+    }
+  }
+  return best;
+}
+
+/**
+ * Graded assignment scores (after any late penalty) as a fraction of max_points
+ * @returns {Map<number, Map<number, number>>} studentId -> (assignmentId -> fraction)
+ */
+async function loadAssignmentScores(ids, studentIds) {
+  const assignments = await Assignment.findAll({
+    where: { id: ids },
+    attributes: ["id", "max_points"],
+  });
+  const maxPoints = new Map(assignments.map((a) => [a.id, Number(a.max_points)]));
+  const submissions = await AssignmentSubmissions.findAll({
+    where: { assignment_id: ids, student_id: studentIds, status: "graded" },
+    attributes: ["assignment_id", "student_id", "score"],
+  });
+
+  const best = new Map();
+  for (const submission of submissions) {
+    const max = maxPoints.get(submission.assignment_id);
+    if (!max || max <= 0) continue;
+    const fraction = Math.min(1, Number(submission.score || 0) / max);
+
+    if (!best.has(submission.student_id)) best.set(submission.student_id, new Map());
+    const perStudent = best.get(submission.student_id);
+    if (!perStudent.has(submission.assignment_id) || perStudent.get(submission.assignment_id) < fraction) {
+      perStudent.set(submission.assignment_id, fraction);
+    }
+  }
+  return best;
+}
+
+/**
+ * Marks for every sourced component
+ * A missing attempt counts as 0 for that exam/quiz/assignment; so does a course with no classes held
+ * for attendance.
+ * @returns {Object} component -> Map(studentId -> mark)
+ */
+async function computeSourcedMarks(config, studentIds) {
+  const marks = {};
+  for (const [component, source] of Object.entries(config.sources || {})) {
+    if (source?.type === "attendance") {
+      const weight = Number(config[COMPONENT_WEIGHT_FIELDS[component]]);
+      const attendance = await getCourseAttendance(
+        config.course_id,
+        config.academic_year,
+        config.semester,
+        studentIds
+      );
+      marks[component] = new Map(
+        studentIds.map((studentId) => [
+          studentId,
+          round2(((attendance.students.get(studentId)?.percentage || 0) / 100) * weight),
+        ])
+      );
+      continue;
+    }
+    if (!source?.ids?.length) continue;
+    const weight = Number(config[COMPONENT_WEIGHT_FIELDS[component]]);
+    const best = await loadBestScores(source.type, source.ids, studentIds);
+
+    const perStudent = new Map();
+    for (const studentId of studentIds) {
+      const scores = best.get(studentId);
+      const sum = source.ids.reduce((acc, id) => acc + (scores?.get(id) || 0), 0);
+      perStudent.set(studentId, round2((sum / source.ids.length) * weight));
+    }
+    marks[component] = perStudent;
+  }
+  return marks;
+}
+
+function applyTotals(entry, scale) {
+  const total = round2(GRADE_COMPONENTS.reduce((sum, c) => sum + Number(entry[c] || 0), 0));
+  const { grade, grade_point, remark } = resolveGrade(total, scale);
+  entry.set({ total, grade, grade_point, remark });
+}
+
+/**
+ * course_reg filter for academic (graded) registrations: skips cancelled rows and
+ * marketplace purchases, keeps legacy rows without a registration_status
+ */
+export function academicRegistrationFilter() {
+  return {
+    [Op.or]: [
+      { registration_status: null },
+      { registration_status: { [Op.notIn]: ["cancelled", "marketplace_purchased"] } },
+    ],
+  };
+}
+
+/**
+ * Registrations that belong in the gradebook for a course offering
+ */
+async function findOfferingRegistrations(config) {
+  return CourseReg.findAll({
+    where: {
+      course_id: config.course_id,
+      academic_year: config.academic_year,
+      semester: config.semester,
+      ...academicRegistrationFilter(),
+    },
+  });
+}
+
+/**
+ * Pull exam/quiz scores into the gradebook
+ * New entries start from the marks already in course_reg; overridden components are not touched.
+ * Entries whose marks change go back to draft until the gradebook is published again.
+ */
+export async function syncGradebook(config, actor) {
+  const course = await Courses.findByPk(config.course_id, { attributes: ["id", "program_id"] });
+  const scale = await getGradingScaleForProgram(course?.program_id);
+  const registrations = await findOfferingRegistrations(config);
+  const studentIds = registrations.map((r) => r.student_id);
+  const sourced = studentIds.length ? await computeSourcedMarks(config, studentIds) : {};
+
+  const summary = { students: registrations.length, created: 0, updated: 0 };
+  const transaction = await db.transaction();
+  try {
+    for (const reg of registrations) {
+      let entry = await GradebookEntry.findOne({
+        where: { course_reg_id: reg.id },
+        transaction,
+      });
+      if (!entry) {
+        entry = GradebookEntry.build({
+          course_reg_id: reg.id,
+          gradebook_config_id: config.id,
+          student_id: reg.student_id,
+          course_id: config.course_id,
+          academic_year: config.academic_year,
+          semester: config.semester,
+          first_ca: reg.first_ca || 0,
+          second_ca: reg.second_ca || 0,
+          third_ca: reg.third_ca || 0,
+          exam_score: reg.exam_score || 0,
+        });
+        summary.created += 1;
+      }
+
+      const changes = [];
+      for (const [component, perStudent] of Object.entries(sourced)) {
+        if ((entry.overridden_fields || []).includes(component)) continue;
+        const next = perStudent.get(reg.student_id) ?? 0;
+        const previous = Number(entry[component] || 0);
+        if (entry.isNewRecord || previous !== next) {
+          if (!entry.isNewRecord) changes.push({ field: component, previous, next });
+          entry.set(component, next);
+        }
+      }
+
+      applyTotals(entry, scale);
+      if (!entry.isNewRecord && changes.length && entry.status === "published") {
+        entry.set("status", "draft");
+      }
+      const isNew = entry.isNewRecord;
+      await entry.save({ transaction });
+      if (!isNew && changes.length) summary.updated += 1;
+
+      for (const change of changes) {
+        await GradeAuditLog.create(
+          {
+            gradebook_entry_id: entry.id,
+            course_reg_id: reg.id,
+            student_id: reg.student_id,
+            course_id: config.course_id,
+            action: "sync",
+            field: change.field,
+            old_value: change.previous,
+            new_value: change.next,
+            changed_by_type: actor.type,
+            changed_by_id: actor.id,
+          },
+          { transaction }
+        );
+      }
+    }
+
+    await config.update(
+      {
+        last_synced_at: new Date(),
+        ...(summary.updated > 0 && config.status === "published" ? { status: "draft" } : {}),
+      },
+      { transaction }
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return summary;
+}
+
+/**
+ * Set (or clear) components by hand
+ * @param {Object} values - { first_ca: 8, exam_score: null } (null clears the override)
+ */
+export async function overrideGradebookEntry(entry, config, values, reason, actor) {
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorClass("A reason is required for grade overrides", 400);
+  }
+
+  const fields = Object.keys(values || {}).filter((key) => GRADE_COMPONENTS.includes(key));
+  if (fields.length === 0) {
+    throw new ErrorClass(`Provide at least one of: ${GRADE_COMPONENTS.join(", ")}`, 400);
+  }
+
+  const course = await Courses.findByPk(config.course_id, { attributes: ["id", "program_id"] });
+  const scale = await getGradingScaleForProgram(course?.program_id);
+  const overridden = new Set(entry.overridden_fields || []);
+  const logs = [];
+
+  for (const field of fields) {
+    const previous = Number(entry[field] || 0);
+    if (values[field] === null) {
+      if (!overridden.has(field)) continue;
+      overridden.delete(field);
+      logs.push({ action: "clear_override", field, old_value: previous, new_value: previous });
+      continue;
+    }
+
+    const next = Number(values[field]);
+    const max = Number(config[COMPONENT_WEIGHT_FIELDS[field]]);
+    if (!Number.isFinite(next) || next < 0 || next > max) {
+      throw new ErrorClass(`${field} must be between 0 and ${max}`, 400);
+    }
+    entry.set(field, round2(next));
+    overridden.add(field);
+    logs.push({ action: "override", field, old_value: previous, new_value: round2(next) });
+  }
+
+  entry.set("overridden_fields", [...overridden]);
+  applyTotals(entry, scale);
+  if (entry.status === "published") entry.set("status", "draft");
+
+  const transaction = await db.transaction();
+  try {
+    await entry.save({ transaction });
+    for (const log of logs) {
+      await GradeAuditLog.create(
+        {
+          gradebook_entry_id: entry.id,
+          course_reg_id: entry.course_reg_id,
+          student_id: entry.student_id,
+          course_id: entry.course_id,
+          ...log,
+          reason: String(reason).trim(),
+          changed_by_type: actor.type,
+          changed_by_id: actor.id,
+        },
+        { transaction }
+      );
+    }
+    if (config.status === "published") {
+      await config.update({ status: "draft" }, { transaction });
+    }
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return entry;
+}
+
+/**
+ * Publish draft entries: copy marks into course_reg and notify students
+ * course_reg stores whole marks, so each component is rounded on the way in.
+ * @returns {Promise<{ published: number }>}
+ */
+export async function publishGradebook(config, actor) {
+  const entries = await GradebookEntry.findAll({
+    where: { gradebook_config_id: config.id, status: "draft" },
+  });
+  if (entries.length === 0) {
+    throw new ErrorClass("Nothing to publish. Sync the gradebook first.", 400);
+  }
+
+  const now = new Date();
+  const transaction = await db.transaction();
+  try {
+    for (const entry of entries) {
+      await CourseReg.update(
+        {
+          first_ca: Math.round(Number(entry.first_ca)),
+          second_ca: Math.round(Number(entry.second_ca)),
+          third_ca: Math.round(Number(entry.third_ca)),
+          exam_score: Math.round(Number(entry.exam_score)),
+        },
+        { where: { id: entry.course_reg_id }, transaction }
+      );
+      await entry.update({ status: "published", published_at: now }, { transaction });
+      await GradeAuditLog.create(
+        {
+          gradebook_entry_id: entry.id,
+          course_reg_id: entry.course_reg_id,
+          student_id: entry.student_id,
+          course_id: entry.course_id,
+          action: "publish",
+          new_value: entry.total,
+          changed_by_type: actor.type,
+          changed_by_id: actor.id,
+        },
+        { transaction }
+      );
+    }
+    await config.update(
+      {
+        status: "published",
+        published_at: now,
+        published_by_type: actor.type,
+        published_by_id: actor.id,
+      },
+      { transaction }
+    );
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  notifyPublishedGrades(config, entries).catch((err) =>
+    console.error("Grade notification error:", err.message)
+  );
+
+  return { published: entries.length };
+}
+
+async function notifyPublishedGrades(config, entries) {
+  const course = await Courses.findByPk(config.course_id, {
+    attributes: ["id", "title", "course_code"],
+  });
+
+  for (const entry of entries) {
+    await notify("student", entry.student_id, "grade.posted", {
+      course_id: config.course_id,
+      course_title: course?.title,
+      assessment_type: "Course Result",
+      assessment_title: `${course?.course_code || course?.title} (${config.academic_year} ${config.semester})`,
+      score: Number(entry.total),
+      total_score: 100,
+      grade: entry.grade,
+    });
+  }
+}
+
+export function formatGradebookConfig(config) {
+  return {
+    id: config.id,
+    course_id: config.course_id,
+    academic_year: config.academic_year,
+    semester: config.semester,
+    weights: {
+      first_ca: Number(config.first_ca_weight),
+      second_ca: Number(config.second_ca_weight),
+      third_ca: Number(config.third_ca_weight),
+      exam_score: Number(config.exam_weight),
+    },
+    sources: config.sources || {},
+    status: config.status,
+    last_synced_at: config.last_synced_at,
+    published_at: config.published_at,
+  };
+}
+
+export function formatGradebookEntry(entry, student = null) {
+  return {
+    id: entry.id,
+    course_reg_id: entry.course_reg_id,
+    student_id: entry.student_id,
+    student,
+    first_ca: Number(entry.first_ca),
+    second_ca: Number(entry.second_ca),
+    third_ca: Number(entry.third_ca),
+    exam_score: Number(entry.exam_score),
+    total: Number(entry.total),
+    grade: entry.grade,
+    grade_point: entry.grade_point !== null ? Number(entry.grade_point) : null,
+    remark: entry.remark,
+    overridden_fields: entry.overridden_fields || [],
+    status: entry.status,
+    published_at: entry.published_at,
+  };
+}
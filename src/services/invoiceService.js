@@ -13,8 +13,9 @@ import { Op } from "sequelize";
 /**
  * Generate unique invoice number
  * Format: INV-YYYY-MMDD-XXXXX (e.g., INV-2024-1201-00001)
+ * Credit notes use the CN- prefix with their own daily sequence
  */
-export function generateInvoiceNumber() {
+export function generateInvoiceNumber(prefix = "INV") {
   const now = new Date();
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, "0");
@@ -25,18 +26,18 @@ export function generateInvoiceNumber() {
   return Invoice.count({
     where: {
       invoice_number: {
-        [Op.like]: `INV-${dateStr}-%`,
+        [Op.like]: `${prefix}-${dateStr}-%`,
       },
     },
   })
     .then((count) => {
       const sequence = String(count + 1).padStart(5, "0");
-      return `INV-${dateStr}-${sequence}`;
+      return `${prefix}-${dateStr}-${sequence}`;
     })
     .catch(() => {
       // Fallback if count fails
       const random = Math.floor(Math.random() * 10000);
-      return `INV-${dateStr}-${String(random).padStart(5, "0")}`;
+      return `${prefix}-${dateStr}-${String(random).padStart(5, "0")}`;
     });
 }
 
@@ -97,6 +98,53 @@ export async function createInvoice(invoiceData) {
   return invoice;
 }
 
+/**
+ * Create a credit note reversing (part of) an invoice
+ * Amounts are stored negative; the original invoice is marked refunded.
+ * @param {Object} originalInvoice - Invoice being reversed
+ * @param {Object} options - { amount (in invoice currency, defaults to full total), reason }
+ */
+export async function createCreditNote(originalInvoice, { amount, reason } = {}) {
+  const total = parseFloat(originalInvoice.total_amount);
+  const creditAmount = Math.min(
+    total,
+    amount != null ? parseFloat(amount) : total
+  );
+
+  const invoiceNumber = await generateInvoiceNumber("CN");
+
+  const creditNote = await Invoice.create({
+    invoice_number: invoiceNumber,
+    document_type: "credit_note",
+    original_invoice_id: originalInvoice.id,
+    student_id: originalInvoice.student_id,
+    product_type: originalInvoice.product_type,
+    product_id: originalInvoice.product_id,
+    product_name: originalInvoice.product_name,
+    quantity: originalInvoice.quantity,
+    unit_price: -creditAmount,
+    subtotal: -creditAmount,
+    tax_amount: 0,
+    discount_amount: 0,
+    total_amount: -creditAmount,
+    currency: originalInvoice.currency,
+    payment_method: originalInvoice.payment_method,
+    payment_reference: originalInvoice.payment_reference,
+    payment_status: "refunded",
+    invoice_status: "paid",
+    issued_at: new Date(),
+    paid_at: new Date(),
+    tutor_id: originalInvoice.tutor_id,
+    tutor_type: originalInvoice.tutor_type,
+    billing_address: originalInvoice.billing_address,
+    notes: `Credit note for invoice ${originalInvoice.invoice_number}${reason ? ` — ${reason}` : ""}`,
+  });
+
+  await originalInvoice.update({ payment_status: "refunded" });
+
+  return creditNote;
+}
+
 /**
  * Generate PDF invoice
  * Returns PDF buffer
@@ -138,9 +186,13 @@ export async function generateInvoicePDF(invoiceId) {
   doc.on("end", () => {});
 
   // Header
-  doc.fontSize(20).text("INVOICE", { align: "right" });
+  const isCreditNote = invoice.document_type === "credit_note";
+  doc.fontSize(20).text(isCreditNote ? "CREDIT NOTE" : "INVOICE", { align: "right" });
   doc.moveDown();
-  doc.fontSize(12).text(`Invoice #: ${invoice.invoice_number}`, { align: "right" });
+  doc.fontSize(12).text(
+    `${isCreditNote ? "Credit Note" : "Invoice"} #: ${invoice.invoice_number}`,
+    { align: "right" }
+  );
   doc.text(`Date: ${new Date(invoice.issued_at).toLocaleDateString()}`, { align: "right" });
   doc.moveDown(2);
 
@@ -0,0 +1,463 @@
+/**
+ * Job Scheduler Service
+ * Runs the recurring jobs from scheduledJobDefinitions.js.
+ *
+ * Drivers:
+ * - bull (Redis reachable): each job is a Bull repeatable job. Redis keeps the schedule,
+ *   so a run that falls due while no instance is up is processed on the next start.
+ * - local (no Redis): every instance checks the schedules once a minute and runs any job
+ *   whose latest scheduled time has no recorded run (this also catches up missed runs).
+ *
+ * In both drivers a Postgres advisory lock ensures only one instance executes a given job
+ * at a time, and every execution is recorded in scheduled_job_runs.
+ */
+
+import os from "os";
+import Queue from "bull";
+import Redis from "ioredis";
+import cronParser from "cron-parser";
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { Config } from "../config/config.js";
+import { redisClient } from "../config/redis.js";
+import { ScheduledJobRun } from "../models/admin/scheduledJobRun.js";
+import { SCHEDULED_JOBS, getScheduledJob } from "./scheduledJobDefinitions.js";
+
+const QUEUE_NAME = "scheduled-jobs";
+const LOCAL_TICK_MS = 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let mode = null; // "bull" | "local" | null (not started)
+let queue = null;
+let localTimer = null;
+const localRunning = new Set();
+
+function parseCron(cron, currentDate = new Date()) {
+  return cronParser.parseExpression(cron, {
+    currentDate,
+    tz: Config.jobs.timezone,
+  });
+}
+
+/**
+ * Most recent time the job was due (<= now)
+ */
+export function getPreviousRunTime(job, now = new Date()) {
+  return parseCron(job.cron, now).prev().toDate();
+}
+
+export function getNextRunTime(job, now = new Date()) {
+  return parseCron(job.cron, now).next().toDate();
+}
+
+/**
+ * Keep JSONB results small; handlers sometimes return full row lists
+ */
+function summarizeResult(result) {
+  if (result === undefined || result === null) return null;
+  if (typeof result !== "object") return { value: result };
+  try {
+    const json = JSON.stringify(result);
+    return json.length > 10000 ? { truncated: true, preview: json.slice(0, 10000) } : JSON.parse(json);
+  } catch (error) {
+    return { unserializable: true };
+  }
+}
+
+/**
+ * Take the job's session-level advisory lock on a connection of its own, outside the pool,
+ * so a long run neither keeps a transaction open nor holds a connection requests need.
+ * Postgres also releases the lock if the connection drops (e.g. the instance dies).
+ * @returns {Promise<Function|null>} release function, or null if another run holds the lock
+ */
+async function acquireJobLock(job) {
+  const key = `scheduled-job:${job.name}`;
+  const connection = await db.connectionManager.connect(db.config);
+  const close = () => db.connectionManager.disconnect(connection).catch(() => {});
+
+  let locked = false;
+  try {
+    const { rows } = await connection.query(
+      "SELECT pg_try_advisory_lock(hashtext($1)) AS locked",
+      [key]
+    );
+    locked = rows[0]?.locked === true;
+  } catch (error) {
+    await close();
+    throw error;
+  }
+  if (!locked) {
+    await close();
+    return null;
+  }
+
+  return async () => {
+    try {
+      await connection.query("SELECT pg_advisory_unlock(hashtext($1))", [key]);
+    } finally {
+      await close();
+    }
+  };
+}
+
+/**
+ * Execute one job under a Postgres advisory lock and record the run.
+ * Throws when the handler fails so callers (Bull / local retry loop) can retry.
+ *
+ * @param {Object} job - Definition from SCHEDULED_JOBS
+ * @param {Object} options
+ * @param {string} options.trigger - schedule | catch_up | manual
+ * @param {number} [options.attempt]
+ * @param {number} [options.triggeredBy] - Admin ID for manual runs
+ * @param {Date} [options.dueSince] - Skip silently if a run already started at/after this time
+ * @returns {Promise<Object|null>} The ScheduledJobRun row, or null if skipped by dueSince
+ */
+export async function executeJob(job, { trigger, attempt = 1, triggeredBy = null, dueSince = null }) {
+  const releaseLock = await acquireJobLock(job);
+
+  if (!releaseLock) {
+    // Scheduled checks from other instances are expected to collide; only record
+    // skips that someone might be waiting on (manual / queued runs)
+    if (dueSince) return null;
+    console.log(`⏭️  Job ${job.name} is already running on another instance — skipping`);
+    return ScheduledJobRun.create({
+      job_name: job.name,
+      trigger,
+      status: "skipped",
+      attempt,
+      finished_at: new Date(),
+      duration_ms: 0,
+      triggered_by: triggeredBy,
+      instance_id: INSTANCE_ID,
+    });
+  }
+
+  let run = null;
+  try {
+    if (dueSince) {
+      const alreadyRan = await ScheduledJobRun.count({
+        where: {
+          job_name: job.name,
+          status: { [Op.ne]: "skipped" },
+          started_at: { [Op.gte]: dueSince },
+        },
+      });
+      if (alreadyRan > 0) return null;
+    }
+
+    const startedAt = new Date();
+    run = await ScheduledJobRun.create({
+      job_name: job.name,
+      trigger,
+      status: "running",
+      attempt,
+      started_at: startedAt,
+      triggered_by: triggeredBy,
+      instance_id: INSTANCE_ID,
+    });
+
+    console.log(`🔄 Running job ${job.name} (${trigger}, attempt ${attempt})`);
+    const result = await job.handler();
+
+    // Several legacy job functions catch their own errors and return { success: false }
+    if (result && typeof result === "object" && result.success === false) {
+      throw new Error(result.error || result.message || "Job reported failure");
+    }
+
+    const finishedAt = new Date();
+    await run.update({
+      status: "completed",
+      finished_at: finishedAt,
+      duration_ms: finishedAt - startedAt,
+      result: summarizeResult(result),
+    });
+    console.log(`✅ Job ${job.name} completed in ${finishedAt - startedAt}ms`);
+
+    return run;
+  } catch (error) {
+    if (run) {
+      const finishedAt = new Date();
+      await run
+        .update({
+          status: "failed",
+          finished_at: finishedAt,
+          duration_ms: finishedAt - run.started_at,
+          error_message: error.message,
+        })
+        .catch((updateError) =>
+          console.error(`❌ Could not record failure for job ${job.name}:`, updateError.message)
+        );
+    }
+    console.error(`❌ Job ${job.name} failed (attempt ${attempt}):`, error.message);
+    throw error;
+  } finally {
+    await releaseLock().catch((error) =>
+      console.error(`❌ Could not release lock for job ${job.name}:`, error.message)
+    );
+  }
+}
+
+/**
+ * Local driver: run with retries/backoff in-process, without blocking the ticker
+ */
+async function runLocally(job, options) {
+  if (localRunning.has(job.name)) return null;
+  localRunning.add(job.name);
+
+  try {
+    const attempts = Math.max(1, job.attempts || 1);
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const run = await executeJob(job, {
+          ...options,
+          attempt,
+          // Only the first attempt is deduplicated; retries are expected to follow a failed run
+          dueSince: attempt === 1 ? options.dueSince : null,
+        });
+        return run;
+      } catch (error) {
+        if (attempt === attempts) return null;
+        const delay = (job.backoffMs || 0) * Math.pow(2, attempt - 1);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+    return null;
+  } finally {
+    localRunning.delete(job.name);
+  }
+}
+
+async function localTick() {
+  const now = new Date();
+  for (const job of SCHEDULED_JOBS) {
+    let dueAt;
+    try {
+      dueAt = getPreviousRunTime(job, now);
+    } catch (error) {
+      console.error(`❌ Invalid cron for job ${job.name}:`, error.message);
+      continue;
+    }
+
+    // Due if nothing has started since the latest scheduled time; a run more than
+    // one tick late means no instance was up at the time (catch-up)
+    const trigger = now - dueAt > 2 * LOCAL_TICK_MS ? "catch_up" : "schedule";
+    runLocally(job, { trigger, dueSince: dueAt }).catch((error) =>
+      console.error(`❌ Job ${job.name} scheduler error:`, error.message)
+    );
+  }
+}
+
+function createBullQueue() {
+  const redisUrl = process.env.REDIS_URL;
+
+  return new Queue(QUEUE_NAME, {
+    // Bull needs its own connections (blocking + subscriber) with retries disabled per request
+    createClient: (type) => {
+      const options =
+        type === "client" ? {} : { maxRetriesPerRequest: null, enableReadyCheck: false };
+
+      if (redisUrl) {
+        if (redisUrl.startsWith("rediss://")) {
+          options.tls = { rejectUnauthorized: false };
+        }
+        return new Redis(redisUrl, options);
+      }
+
+      return new Redis({
+        host: Config.REDIS_HOST || "localhost",
+        port: Config.REDIS_PORT || 6379,
+        password: Config.REDIS_PASSWORD || undefined,
+        ...options,
+      });
+    },
+    defaultJobOptions: {
+      removeOnComplete: 100,
+      removeOnFail: 200,
+    },
+  });
+}
+
+function bullJobOptions(job) {
+  return {
+    attempts: Math.max(1, job.attempts || 1),
+    backoff: job.backoffMs ? { type: "exponential", delay: job.backoffMs } : undefined,
+  };
+}
+
+async function startBull() {
+  queue = createBullQueue();
+
+  for (const job of SCHEDULED_JOBS) {
+    queue.process(job.name, 1, (bullJob) =>
+      executeJob(job, {
+        trigger: bullJob.data?.trigger || "schedule",
+        attempt: bullJob.attemptsMade + 1,
+        triggeredBy: bullJob.data?.triggered_by || null,
+      }).then((run) => ({ run_id: run?.id || null, status: run?.status || null }))
+    );
+  }
+
+  // Drop repeatables whose schedule changed or whose job was removed from the registry
+  const tz = Config.jobs.timezone || null;
+  const repeatables = await queue.getRepeatableJobs();
+  for (const repeatable of repeatables) {
+    const job = getScheduledJob(repeatable.name);
+    if (!job || job.cron !== repeatable.cron || (repeatable.tz || null) !== tz) {
+      await queue.removeRepeatableByKey(repeatable.key);
+    }
+  }
+
+  for (const job of SCHEDULED_JOBS) {
+    await queue.add(
+      job.name,
+      { trigger: "schedule" },
+      {
+        ...bullJobOptions(job),
+        repeat: { cron: job.cron, ...(tz ? { tz } : {}) },
+      }
+    );
+  }
+
+  queue.on("error", (error) => console.error("❌ Job queue error:", error.message));
+}
+
+async function isRedisReachable() {
+  if (!redisClient) return false;
+  try {
+    await Promise.race([
+      redisClient.ping(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 3000)),
+    ]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Start the scheduler (call once after the database is connected)
+ */
+export async function startJobScheduler() {
+  if (mode) return mode;
+
+  if (!Config.jobs.enabled) {
+    console.log("⚠️ Background jobs disabled on this instance (JOBS_ENABLED=false)");
+    return null;
+  }
+
+  const driver = Config.jobs.driver;
+  const useBull = driver === "bull" || (driver === "auto" && (await isRedisReachable()));
+
+  if (useBull) {
+    try {
+      await startBull();
+      mode = "bull";
+      console.log(`⏰ Job scheduler started (bull, ${SCHEDULED_JOBS.length} jobs)`);
+      return mode;
+    } catch (error) {
+      console.warn("⚠️ Could not start Bull job queue, falling back to local scheduler:", error.message);
+      if (queue) await queue.close().catch(() => {});
+      queue = null;
+    }
+  }
+
+  mode = "local";
+  localTimer = setInterval(localTick, LOCAL_TICK_MS);
+  // First check shortly after boot so missed runs are caught up
+  setTimeout(localTick, 15000);
+  console.log(`⏰ Job scheduler started (local, ${SCHEDULED_JOBS.length} jobs)`);
+  return mode;
+}
+
+/**
+ * Stop scheduling on this instance (running jobs are allowed to finish)
+ */
+export async function stopJobScheduler() {
+  if (localTimer) clearInterval(localTimer);
+  localTimer = null;
+  if (queue) await queue.close().catch(() => {});
+  queue = null;
+  mode = null;
+}
+
+export function getSchedulerMode() {
+  return mode;
+}
+
+/**
+ * Trigger a job outside its schedule.
+ * Bull: queued (any worker instance picks it up). Local: started in the background.
+ */
+export async function triggerJob(name, triggeredBy = null) {
+  const job = getScheduledJob(name);
+  if (!job) return null;
+
+  if (mode === "bull") {
+    const bullJob = await queue.add(
+      job.name,
+      { trigger: "manual", triggered_by: triggeredBy },
+      bullJobOptions(job)
+    );
+    return { mode, queued: true, queue_job_id: bullJob.id };
+  }
+
+  runLocally(job, { trigger: "manual", triggeredBy }).catch((error) =>
+    console.error(`❌ Manual run of ${job.name} failed:`, error.message)
+  );
+  return { mode: mode || "local", queued: true, queue_job_id: null };
+}
+
+export function formatJobRun(run) {
+  return {
+    id: run.id,
+    job_name: run.job_name,
+    trigger: run.trigger,
+    status: run.status,
+    attempt: run.attempt,
+    started_at: run.started_at,
+    finished_at: run.finished_at,
+    duration_ms: run.duration_ms,
+    result: run.result,
+    error_message: run.error_message,
+    triggered_by: run.triggered_by,
+    instance_id: run.instance_id,
+  };
+}
+
+/**
+ * Registry + latest run info for each job (admin overview)
+ */
+export async function getJobsOverview() {
+  const [latestRuns, latestSuccesses] = await Promise.all([
+    Promise.all(
+      SCHEDULED_JOBS.map((job) =>
+        ScheduledJobRun.findOne({
+          where: { job_name: job.name, status: { [Op.ne]: "skipped" } },
+          order: [["started_at", "DESC"]],
+        })
+      )
+    ),
+    ScheduledJobRun.findAll({
+      where: { status: "completed" },
+      attributes: ["job_name", [db.fn("MAX", db.col("finished_at")), "last_success_at"]],
+      group: ["job_name"],
+      raw: true,
+    }),
+  ]);
+
+  const now = new Date();
+  return SCHEDULED_JOBS.map((job, index) => {
+    const lastRun = latestRuns[index];
+    const lastSuccess = latestSuccesses.find((row) => row.job_name === job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      cron: job.cron,
+      timezone: Config.jobs.timezone || null,
+      attempts: job.attempts || 1,
+      next_run_at: getNextRunTime(job, now),
+      last_run: lastRun ? formatJobRun(lastRun) : null,
+      last_success_at: lastSuccess?.last_success_at || null,
+    };
+  });
+}
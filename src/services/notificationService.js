@@ -0,0 +1,520 @@
+/**
+ * Notification center
+ * One entry point (notify) for user-facing notifications. Each event has a template that
+ * decides its category, text and link; delivery honours the recipient's EmailPreference:
+ * the category toggle (receive_*) gates every channel, the channel toggles gate
+ * in-app inbox, realtime Socket.IO push and email separately.
+ */
+
+import { Op } from "sequelize";
+import { Notification } from "../models/notification/notification.js";
+import { EmailPreference } from "../models/email/emailPreference.js";
+import { Students } from "../models/auth/student.js";
+import { Staff } from "../models/auth/staff.js";
+import { SoleTutor } from "../models/marketplace/soleTutor.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { OrganizationUser } from "../models/marketplace/organizationUser.js";
+import { Community } from "../models/marketplace/community.js";
+import { CommunityMember } from "../models/marketplace/communityMember.js";
+import { emailService } from "./emailService.js";
+import { emitToRecipient } from "../realtime/notifications.js";
+import { Config } from "../config/config.js";
+import { joinFrontendUrl } from "../utils/frontendUrl.js";
+
+export const RECIPIENT_TYPES = ["student", "staff", "sole_tutor", "organization", "organization_user"];
+
+/** Category -> EmailPreference toggle */
+export const NOTIFICATION_CATEGORIES = {
+  purchase: "receive_purchase_notifications",
+  sale: "receive_sale_notifications",
+  grade: "receive_grade_notifications",
+  exam: "receive_exam_reminders",
+  booking: "receive_booking_notifications",
+  payout: "receive_payout_notifications",
+  mention: "receive_mention_notifications",
+  reminder: "receive_session_reminders",
+};
+
+export const CHANNEL_PREFERENCES = ["in_app_enabled", "realtime_enabled", "email_enabled"];
+
+// Everything else is marketplace mail and goes out under the tutor/learner sender name
+const LMS_CATEGORIES = ["grade", "exam"];
+
+const money = (amount, currency) =>
+  amount === null || amount === undefined ? "" : `${currency || ""} ${Number(amount).toLocaleString("en-US")}`.trim();
+
+const utc = (date) => new Date(date).toUTCString().replace(" GMT", " UTC");
+
+/**
+ * Format a date for notification text in the recipient's timezone (UTC when unknown or invalid)
+ */
+export function when(date, timeZone) {
+  if (!date) return "";
+  if (!timeZone) return utc(date);
+  try {
+    return new Intl.DateTimeFormat("en-GB", {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone,
+      timeZoneName: "short",
+    }).format(new Date(date));
+  } catch (error) {
+    return utc(date);
+  }
+}
+
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Event templates. build(data, { timezone }) returns { title, body, link }.
+ * email: false (in-app only), true (generic notification email) or a custom sender
+ * called with (recipient, data, { timezone }).
+ */
+export const NOTIFICATION_TEMPLATES = {
+  "purchase.completed": {
+    category: "purchase",
+    email: false, // purchase flows already send their own receipts
+    build: (d) => ({
+      title: "Purchase confirmed",
+      body: `You now have access to "${d.product_title}".`,
+      link: "marketplace/my-purchases",
+    }),
+  },
+  "sale.completed": {
+    category: "sale",
+    email: true,
+    actionLabel: "View sales",
+    build: (d) => ({
+      title: `New sale: ${d.product_title}`,
+      body: `${d.learner?.name || "A learner"} bought "${d.product_title}" for ${money(d.amount, d.currency)}.`,
+      link: "tutor/earnings",
+    }),
+  },
+  "grade.posted": {
+    category: "grade",
+    email: (recipient, d) =>
+      emailService.sendGradeNotificationEmail(recipient, {
+        courseName: d.course_title,
+        assessmentType: d.assessment_type,
+        assessmentTitle: d.assessment_title,
+        score: d.score,
+        totalScore: d.total_score,
+        grade: d.grade,
+      }),
+    build: (d) => ({
+      title: `New grade posted: ${d.assessment_title}`,
+      body: `You scored ${d.score}/${d.total_score}${d.grade ? ` (${d.grade})` : ""} in ${d.course_title || "your course"}.`,
+      link: "grades",
+    }),
+  },
+  "assignment.resubmission_requested": {
+    category: "grade",
+    email: true,
+    actionLabel: "Open assignment",
+    build: (d) => ({
+      title: `Resubmission requested: ${d.assignment_title}`,
+      body: `Your tutor asked you to resubmit "${d.assignment_title}"${d.course_title ? ` in ${d.course_title}` : ""}: ${d.feedback}`,
+      link: `assignments/${d.assignment_id}`,
+    }),
+  },
+  "exam.reminder": {
+    category: "exam",
+    email: (recipient, d, { timezone } = {}) =>
+      emailService.sendExamReminderEmail(recipient, {
+        id: d.exam_id,
+        title: d.exam_title,
+        exam_date: when(d.starts_at, timezone),
+        start_time: "",
+        duration_minutes: d.duration_minutes,
+        course: { title: d.course_title },
+      }),
+    build: (d, { timezone } = {}) => ({
+      title: `Exam reminder: ${d.exam_title}`,
+      body: `${d.exam_title}${d.course_title ? ` (${d.course_title})` : ""} starts ${when(d.starts_at, timezone)}.`,
+      link: `exams/${d.exam_id}`,
+    }),
+  },
+  "booking.requested": {
+    category: "booking",
+    email: true,
+    actionLabel: "Review request",
+    build: (d, { timezone } = {}) => ({
+      title: "New coaching booking request",
+      body: `${d.student_name || "A learner"} requested a session on "${d.topic}" for ${when(d.start_time, timezone)}.`,
+      link: `tutor/coaching/booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.accepted": {
+    category: "booking",
+    email: true,
+    actionLabel: "Pay and confirm",
+    build: (d, { timezone } = {}) => ({
+      title: "Coaching booking accepted",
+      body: `Your session on "${d.topic}" for ${when(d.start_time, timezone)} was accepted. Complete payment to confirm it.`,
+      link: `coaching/my-booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.counter_proposed": {
+    category: "booking",
+    email: true,
+    actionLabel: "Respond",
+    build: (d, { timezone } = {}) => ({
+      title: "New time proposed for your coaching session",
+      body: `The tutor proposed ${when(d.start_time, timezone)} for "${d.topic}". Accept or decline before ${when(d.expires_at, timezone)}.`,
+      link: `coaching/my-booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.counter_accepted": {
+    category: "booking",
+    email: true,
+    build: (d, { timezone } = {}) => ({
+      title: "Proposed time accepted",
+      body: `${d.student_name || "The learner"} accepted ${when(d.start_time, timezone)} for "${d.topic}".`,
+      link: `tutor/coaching/booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.declined": {
+    category: "booking",
+    email: true,
+    build: (d) => ({
+      title: "Coaching booking declined",
+      body: `The booking for "${d.topic}" was declined.`,
+      link: d.for_tutor ? `tutor/coaching/booking-requests/${d.booking_id}` : `coaching/my-booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.cancelled": {
+    category: "booking",
+    email: true,
+    build: (d) => ({
+      title: "Coaching booking cancelled",
+      body: `The ${d.session_id ? "session" : "booking request"} for "${d.topic}" was cancelled by the ${d.cancelled_by}.${d.refunded ? " The learner has been refunded." : ""}`,
+      link: d.for_tutor ? `tutor/coaching/booking-requests/${d.booking_id}` : `coaching/my-booking-requests/${d.booking_id}`,
+    }),
+  },
+  "booking.confirmed": {
+    category: "booking",
+    email: true,
+    build: (d, { timezone } = {}) => ({
+      title: "Coaching session booked",
+      body: `${d.student_name || "A learner"} paid for "${d.topic}". The session starts ${when(d.start_time, timezone)}.`,
+      link: `tutor/coaching/booking-requests/${d.booking_id}`,
+    }),
+  },
+  "payout.completed": {
+    category: "payout",
+    email: true,
+    actionLabel: "View payouts",
+    build: (d) => ({
+      title: "Payout completed",
+      body: `Your payout of ${money(d.amount, d.wallet_currency)} has been sent to your bank account.`,
+      link: "tutor/payouts",
+    }),
+  },
+  "payout.failed": {
+    category: "payout",
+    email: true,
+    actionLabel: "View payouts",
+    build: (d) => ({
+      title: "Payout failed",
+      body: `Your payout of ${money(d.amount, d.wallet_currency)} failed${d.failure_reason ? `: ${d.failure_reason}` : ""}. The amount was returned to your wallet.`,
+      link: "tutor/payouts",
+    }),
+  },
+  "community.mention": {
+    category: "mention",
+    email: true,
+    actionLabel: "View post",
+    build: (d) => ({
+      title: `${d.author_name || "Someone"} mentioned you`,
+      body: `${d.author_name || "Someone"} mentioned you in ${d.community_name || "a community"}${d.excerpt ? `: "${d.excerpt}"` : "."}`,
+      link: `communities/${d.community_id}/posts/${d.post_id}`,
+    }),
+  },
+  "session.reminder": {
+    category: "reminder",
+    email: true,
+    actionLabel: "Open session",
+    build: (d, { timezone } = {}) => ({
+      title: `Reminder: ${d.session_title}`,
+      body: `Your coaching session "${d.session_title}" starts ${when(d.starts_at, timezone)}${d.duration_minutes ? ` (${d.duration_minutes} minutes)` : ""}.`,
+      link: d.for_tutor ? `tutor/coaching/sessions/${d.session_id}` : `coaching/sessions/${d.session_id}`,
+    }),
+  },
+  "audio_session.reminder": {
+    category: "reminder",
+    email: true,
+    actionLabel: "Join session",
+    build: (d, { timezone } = {}) => ({
+      title: `Reminder: ${d.session_title}`,
+      body: `The audio session "${d.session_title}" in ${d.community_name || "your community"} starts ${when(d.starts_at, timezone)}.`,
+      link: `communities/${d.community_id}/audio-sessions/${d.audio_session_id}`,
+    }),
+  },
+  "event.reminder": {
+    category: "reminder",
+    email: true,
+    actionLabel: "View ticket",
+    build: (d, { timezone } = {}) => ({
+      title: `Reminder: ${d.event_title}`,
+      body: `"${d.event_title}" starts ${when(d.starts_at, timezone)}${d.venue_name ? ` at ${d.venue_name}` : ""}.`,
+      link: `events/${d.event_id}`,
+    }),
+  },
+};
+
+async function getPreferences(recipientType, recipientId) {
+  try {
+    return await EmailPreference.findOne({
+      where: { user_id: recipientId, user_type: recipientType },
+    });
+  } catch (error) {
+    // Table or new columns may not exist yet: fall back to the defaults (everything on)
+    return null;
+  }
+}
+
+const prefEnabled = (prefs, key) => (prefs ? prefs[key] !== false : true);
+
+async function getRecipientContact(recipientType, recipientId) {
+  switch (recipientType) {
+    case "student": {
+      const s = await Students.findByPk(recipientId, { attributes: ["fname", "lname", "email"] });
+      return s && { email: s.email, name: `${s.fname || ""} ${s.lname || ""}`.trim() };
+    }
+    case "staff": {
+      const s = await Staff.findByPk(recipientId, { attributes: ["full_name", "email"] });
+      return s && { email: s.email, name: s.full_name };
+    }
+    case "sole_tutor": {
+      const t = await SoleTutor.findByPk(recipientId, { attributes: ["fname", "lname", "email"] });
+      return t && { email: t.email, name: `${t.fname || ""} ${t.lname || ""}`.trim() };
+    }
+    case "organization": {
+      const o = await Organization.findByPk(recipientId, { attributes: ["name", "email"] });
+      return o && { email: o.email, name: o.name };
+    }
+    case "organization_user": {
+      const u = await OrganizationUser.findByPk(recipientId, { attributes: ["fname", "lname", "email"] });
+      return u && { email: u.email, name: `${u.fname || ""} ${u.lname || ""}`.trim() };
+    }
+    default:
+      return null;
+  }
+}
+
+export function formatNotification(notification) {
+  return {
+    id: notification.id,
+    event: notification.event,
+    category: notification.category,
+    title: notification.title,
+    body: notification.body,
+    link: notification.link,
+    data: notification.data,
+    read: !!notification.read_at,
+    read_at: notification.read_at,
+    created_at: notification.created_at,
+  };
+}
+
+/**
+ * Recipients whose notifications make up a user's inbox. Organization users share the
+ * organization's inbox (sales, payouts) in addition to their own notifications.
+ * @param {{ id: number, userType: string, organizationId?: number }} user - JWT payload (req.user)
+ */
+export function inboxRecipients(user) {
+  const recipients = [{ recipient_type: user.userType, recipient_id: Number(user.id) }];
+  if (user.userType === "organization_user" && user.organizationId) {
+    recipients.push({ recipient_type: "organization", recipient_id: Number(user.organizationId) });
+  }
+  return recipients;
+}
+
+export function inboxWhere(user) {
+  return { [Op.or]: inboxRecipients(user) };
+}
+
+async function countUnread(recipientType, recipientId) {
+  return Notification.count({
+    where: { recipient_type: recipientType, recipient_id: recipientId, read_at: null },
+  });
+}
+
+/**
+ * Send a notification. Never throws: a failed notification must not fail the action
+ * that triggered it.
+ * @param {string} recipientType - student | staff | sole_tutor | organization | organization_user
+ * @param {number} recipientId
+ * @param {string} event - Key of NOTIFICATION_TEMPLATES
+ * @param {Object} data - Template data (also stored on the notification)
+ * @param {Object} [options]
+ * @param {{ ownerType: string, ownerId: number }} [options.brandOwner] - Tutor/organization whose
+ *   email branding applies (emails to their learners)
+ * @returns {Promise<Object|null>} Stored notification, or null when skipped / not stored
+ */
+export async function notify(recipientType, recipientId, event, data = {}, options = {}) {
+  try {
+    const template = NOTIFICATION_TEMPLATES[event];
+    if (!template || !RECIPIENT_TYPES.includes(recipientType) || !recipientId) {
+      if (!template) console.warn(`Unknown notification event: ${event}`);
+      return null;
+    }
+
+    const prefs = await getPreferences(recipientType, recipientId);
+    if (!prefEnabled(prefs, NOTIFICATION_CATEGORIES[template.category])) return null;
+
+    // Dates are shown in the recipient's timezone, else the event's own timezone, else UTC
+    const context = { timezone: prefs?.timezone || data.timezone || null };
+    const content = template.build(data, context);
+    let notification = null;
+
+    if (prefEnabled(prefs, "in_app_enabled")) {
+      notification = await Notification.create({
+        recipient_type: recipientType,
+        recipient_id: recipientId,
+        event,
+        category: template.category,
+        title: content.title.slice(0, 200),
+        body: content.body || null,
+        link: content.link || null,
+        data,
+      });
+    }
+
+    if (prefEnabled(prefs, "realtime_enabled")) {
+      emitToRecipient(
+        recipientType,
+        recipientId,
+        "notification:new",
+        notification
+          ? formatNotification(notification)
+          : { id: null, event, category: template.category, ...content, data, read: false, created_at: new Date() }
+      );
+      if (notification) {
+        emitToRecipient(recipientType, recipientId, "notification:unread", {
+          count: await countUnread(recipientType, recipientId),
+        });
+      }
+    }
+
+    if (template.email && prefEnabled(prefs, "email_enabled")) {
+      const recipient = await getRecipientContact(recipientType, recipientId);
+      if (recipient?.email) {
+        const send =
+          typeof template.email === "function"
+            ? template.email(recipient, data, context)
+            : emailService.sendNotificationEmail(
+                recipient,
+                {
+                  title: content.title,
+                  message: content.body,
+                  actionUrl: joinFrontendUrl(Config.frontendUrl, content.link || ""),
+                  actionLabel: template.actionLabel,
+                },
+                !LMS_CATEGORIES.includes(template.category),
+                options.brandOwner
+              );
+        await send.catch((error) =>
+          console.error(`Notification email (${event}) to ${recipientType} ${recipientId} failed:`, error.message)
+        );
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification ${event} to ${recipientType} ${recipientId} failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Tell the learner their purchase went through and the tutor/organization about the sale.
+ * Takes the same data as the purchase.completed webhook.
+ */
+export async function notifyPurchaseCompleted(ownerType, ownerId, data) {
+  if (data.learner?.id) {
+    await notify("student", data.learner.id, "purchase.completed", data);
+  }
+  if (ownerType === "sole_tutor" || ownerType === "organization") {
+    await notify(ownerType, ownerId, "sale.completed", data);
+  }
+}
+
+/**
+ * Booking status change for the tutor/organization or the learner, from a CoachingBookingRequest.
+ * @param {Object} booking - CoachingBookingRequest
+ * @param {"tutor"|"student"} to - Who is notified
+ */
+export async function notifyBooking(booking, to, event, extra = {}) {
+  const countered = booking.status === "counter_proposed" || booking.accepted_by === "student";
+  const data = {
+    booking_id: booking.id,
+    topic: booking.topic,
+    start_time: (countered && booking.counter_proposed_start_time) || booking.proposed_start_time,
+    session_id: booking.session_id || null,
+    for_tutor: to === "tutor",
+    ...extra,
+  };
+  if (to === "tutor") {
+    const student = await Students.findByPk(booking.student_id, { attributes: ["fname", "lname"] }).catch(
+      () => null
+    );
+    data.student_name = student ? `${student.fname || ""} ${student.lname || ""}`.trim() : null;
+    await notify(booking.tutor_type, booking.tutor_id, event, data);
+  } else {
+    await notify("student", booking.student_id, event, data, {
+      brandOwner: { ownerType: booking.tutor_type, ownerId: booking.tutor_id },
+    });
+  }
+}
+
+/**
+ * Notify students @mentioned in a community post/comment. Only active members are
+ * notified, and never the author.
+ */
+export async function notifyCommunityMentions({
+  communityId,
+  communityName,
+  mentionedIds,
+  author,
+  postId,
+  commentId = null,
+  content = "",
+}) {
+  if (!mentionedIds?.length) return;
+  try {
+    const members = await CommunityMember.findAll({
+      where: { community_id: communityId, student_id: { [Op.in]: mentionedIds }, status: "active" },
+      attributes: ["student_id"],
+    });
+    if (!members.length) return;
+    const community = communityName
+      ? { name: communityName }
+      : await Community.findByPk(communityId, { attributes: ["name"] });
+    const excerpt = String(content).replace(/\s+/g, " ").trim().slice(0, 140);
+    for (const { student_id } of members) {
+      if (author.type === "student" && Number(author.id) === student_id) continue;
+      await notify("student", student_id, "community.mention", {
+        community_id: Number(communityId),
+        community_name: community?.name || null,
+        post_id: Number(postId),
+        comment_id: commentId,
+        author_name: author.name,
+        excerpt,
+      });
+    }
+  } catch (error) {
+    console.error("Community mention notifications failed:", error.message);
+  }
+}
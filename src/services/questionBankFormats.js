@@ -0,0 +1,622 @@
+/**
+ * Question Bank Formats
+ * Parses and writes GIFT (Moodle), IMS QTI 2.1 XML and CSV.
+ *
+ * Parsers return one entry per question found in the file:
+ *   { row, question_type, question_text, options, correct_options, marks, difficulty,
+ *     topic, tags, model_answers, errors }
+ * `row` is the line (GIFT, CSV) or item number (QTI) used in error reports.
+ * Parsers only report syntax problems; field validation happens in the import service.
+ */
+
+export const IMPORT_FORMATS = ["gift", "qti", "csv"];
+
+const OPTION_IDS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+
+const blankQuestion = (row) => ({
+  row,
+  question_type: null,
+  question_text: "",
+  options: [],
+  correct_options: [],
+  marks: null,
+  difficulty: null,
+  topic: null,
+  tags: [],
+  model_answers: [],
+  errors: [],
+});
+
+/**
+ * Pick a format from an explicit value or a file name
+ */
+export function detectFormat(format, filename = "") {
+  if (format) return String(format).toLowerCase();
+  const ext = String(filename).toLowerCase().split(".").pop();
+  if (ext === "gift" || ext === "txt") return "gift";
+  if (ext === "xml") return "qti";
+  if (ext === "csv") return "csv";
+  return null;
+}
+
+// ==================== GIFT ====================
+
+const GIFT_SPECIAL = /([~=#{}:\\])/g;
+
+function unescapeGift(text) {
+  return text.replace(/\\([~=#{}:n\\])/g, (_, ch) => (ch === "n" ? "\n" : ch));
+}
+
+function escapeGift(text) {
+  return String(text ?? "")
+    .replace(GIFT_SPECIAL, "\\$1")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Remove [html]/[moodle]/[markdown]/[plain] format markers
+function stripGiftFormat(text) {
+  return text.replace(/^\s*\[(html|moodle|markdown|plain)\]/i, "").trim();
+}
+
+// Index of the first unescaped occurrence of any of the characters
+function findUnescaped(text, chars, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (chars.includes(text[i])) return i;
+  }
+  return -1;
+}
+
+// Split answer block on unescaped ~ and = (keeping the marker)
+function splitGiftAnswers(block) {
+  const parts = [];
+  let current = null;
+  for (let i = 0; i < block.length; i++) {
+    const ch = block[i];
+    if (ch === "\\" && i + 1 < block.length) {
+      if (current) current.text += ch + block[i + 1];
+      i++;
+      continue;
+    }
+    if (ch === "~" || ch === "=") {
+      current = { marker: ch, text: "" };
+      parts.push(current);
+      continue;
+    }
+    if (current) current.text += ch;
+    else if (ch.trim()) return null; // text before the first marker
+  }
+  return parts;
+}
+
+function parseGiftQuestion(source, row) {
+  const question = blankQuestion(row);
+  let text = source.trim();
+
+  // ::Title:: prefix
+  const titleMatch = text.match(/^::((?:\\.|[^:])*?)::/);
+  if (titleMatch) text = text.slice(titleMatch[0].length).trim();
+
+  const open = findUnescaped(text, "{");
+  if (open === -1) {
+    question.errors.push("Missing answer block { ... }");
+    return question;
+  }
+  const close = findUnescaped(text, "}", open + 1);
+  if (close === -1) {
+    question.errors.push("Answer block is not closed with }");
+    return question;
+  }
+
+  const stem = `${text.slice(0, open)} ${text.slice(close + 1)}`.trim();
+  question.question_text = unescapeGift(stripGiftFormat(stem));
+  const block = text.slice(open + 1, close).trim();
+
+  // Essay
+  if (block === "") {
+    question.question_type = "theory";
+    return question;
+  }
+
+  // True/false
+  const tf = block.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (tf) {
+    const isTrue = tf[1].toUpperCase().startsWith("T");
+    question.question_type = "objective";
+    question.options = [
+      { id: "A", text: "True" },
+      { id: "B", text: "False" },
+    ];
+    question.correct_options = [isTrue ? "A" : "B"];
+    return question;
+  }
+
+  if (block.startsWith("#")) {
+    question.errors.push("Numeric GIFT questions are not supported");
+    return question;
+  }
+
+  const answers = splitGiftAnswers(block);
+  if (!answers || answers.length === 0) {
+    question.errors.push("Could not read the answers");
+    return question;
+  }
+  if (answers.some((a) => a.marker === "=" && /->/.test(a.text))) {
+    question.errors.push("Matching GIFT questions are not supported");
+    return question;
+  }
+
+  const cleaned = answers.map((a) => {
+    let answerText = a.text;
+    const feedbackAt = findUnescaped(answerText, "#");
+    if (feedbackAt !== -1) answerText = answerText.slice(0, feedbackAt);
+    let weight = null;
+    const weightMatch = answerText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      answerText = answerText.slice(weightMatch[0].length);
+    }
+    return { marker: a.marker, weight, text: unescapeGift(stripGiftFormat(answerText)) };
+  });
+
+  // Only "=" answers: short answer, imported as theory with model answers
+  if (cleaned.every((a) => a.marker === "=")) {
+    question.question_type = "theory";
+    question.model_answers = cleaned.map((a) => a.text).filter(Boolean);
+    return question;
+  }
+
+  question.question_type = "objective";
+  question.options = cleaned.map((a, i) => ({ id: OPTION_IDS[i] || String(i + 1), text: a.text }));
+  question.correct_options = cleaned
+    .map((a, i) => ((a.marker === "=" || (a.weight ?? 0) > 0) ? question.options[i].id : null))
+    .filter(Boolean);
+  return question;
+}
+
+/**
+ * Parse GIFT text. Supports multiple choice, true/false, essay and short answer,
+ * $CATEGORY (used as topic) and Moodle's "// [tag:name]" comments.
+ */
+export function parseGift(content) {
+  const lines = String(content).replace(/^\uFEFF/, "").split(/\r?\n/);
+  const questions = [];
+  let topic = null;
+  let pendingTags = [];
+  let buffer = [];
+  let startLine = null;
+  let depth = 0;
+
+  const flush = () => {
+    if (buffer.length) {
+      const question = parseGiftQuestion(buffer.join("\n"), startLine);
+      question.topic = topic;
+      question.tags = pendingTags;
+      questions.push(question);
+    }
+    buffer = [];
+    startLine = null;
+    pendingTags = [];
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (depth === 0 && trimmed === "") {
+      flush();
+      return;
+    }
+    if (depth === 0 && trimmed.startsWith("//")) {
+      for (const match of trimmed.matchAll(/\[tag:([^\]]+)\]/gi)) {
+        pendingTags.push(match[1].trim());
+      }
+      return;
+    }
+    if (depth === 0 && buffer.length === 0 && /^\$CATEGORY:/i.test(trimmed)) {
+      const path = trimmed.replace(/^\$CATEGORY:/i, "").trim();
+      topic = path.split("/").filter(Boolean).pop()?.trim() || null;
+      return;
+    }
+
+    if (startLine === null) startLine = index + 1;
+    buffer.push(line);
+
+    // Track open answer blocks so blank lines inside { } do not split questions
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === "\\") i++;
+      else if (line[i] === "{") depth++;
+      else if (line[i] === "}") depth = Math.max(0, depth - 1);
+    }
+  });
+  flush();
+
+  return questions;
+}
+
+/**
+ * Write bank questions as GIFT
+ * @param {Array} questions - normalized export rows (see toExportRow in the service)
+ */
+export function toGift(questions) {
+  const blocks = [];
+  let currentTopic;
+
+  for (const q of questions) {
+    if ((q.topic || null) !== currentTopic) {
+      currentTopic = q.topic || null;
+      if (currentTopic) blocks.push(`$CATEGORY: ${currentTopic}`);
+    }
+
+    const lines = [];
+    if (q.tags?.length) lines.push(`// ${q.tags.map((t) => `[tag:${t}]`).join(" ")}`);
+    const title = `::Q${q.id}::`;
+    if (q.question_type === "objective") {
+      const answers = q.options
+        .map((o) => `${o.id === q.correct_option ? "=" : "~"}${escapeGift(o.text)}`)
+        .join(" ");
+      lines.push(`${title}${escapeGift(q.question_text)} {${answers}}`);
+    } else {
+      lines.push(`${title}${escapeGift(q.question_text)} {}`);
+    }
+    blocks.push(lines.join("\n"));
+  }
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+// ==================== CSV ====================
+
+export const CSV_COLUMNS = [
+  "question_type",
+  "question_text",
+  "option_a",
+  "option_b",
+  "option_c",
+  "option_d",
+  "option_e",
+  "correct_option",
+  "marks",
+  "difficulty",
+  "topic",
+  "tags",
+];
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes, newlines in quotes)
+ * @returns {Array<{ line: number, fields: string[] }>}
+ */
+function readCsvRecords(content) {
+  const text = String(content).replace(/^\uFEFF/, "");
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  return records.filter((r) => r.fields.some((f) => f.trim() !== ""));
+}
+
+/**
+ * Parse CSV with a header row. Option columns are option_a, option_b, ...;
+ * correct_option holds the letter(s) of the right answer; tags are separated by ";" or "|".
+ */
+export function parseCsv(content) {
+  const records = readCsvRecords(content);
+  if (records.length === 0) return [];
+
+  const header = records[0].fields.map((h) => h.trim().toLowerCase());
+  if (!header.includes("question_text")) {
+    const question = blankQuestion(1);
+    question.errors.push("Header row must include a question_text column");
+    return [question];
+  }
+
+  const optionColumns = header
+    .map((name, index) => ({ name, index }))
+    .filter((c) => /^option_[a-z]$/.test(c.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const col = (fields, name) => {
+    const index = header.indexOf(name);
+    return index === -1 ? "" : (fields[index] ?? "").trim();
+  };
+
+  return records.slice(1).map(({ line, fields }) => {
+    const question = blankQuestion(line);
+    const type = col(fields, "question_type").toLowerCase();
+
+    question.question_text = col(fields, "question_text");
+    question.options = optionColumns
+      .map((c) => ({ id: c.name.slice(-1).toUpperCase(), text: (fields[c.index] ?? "").trim() }))
+      .filter((o) => o.text !== "");
+    question.question_type = type || (question.options.length ? "objective" : "theory");
+    question.correct_options = col(fields, "correct_option")
+      .split(/[;|,\s]+/)
+      .map((c) => c.trim().toUpperCase())
+      .filter(Boolean);
+    question.marks = col(fields, "marks") || null;
+    question.difficulty = col(fields, "difficulty").toLowerCase() || null;
+    question.topic = col(fields, "topic") || null;
+    question.tags = col(fields, "tags")
+      .split(/[;|]/)
+      .map((t) => t.trim())
+      .filter(Boolean);
+    question.model_answers = col(fields, "model_answer") ? [col(fields, "model_answer")] : [];
+
+    if (fields.length > header.length && fields.slice(header.length).some((f) => f.trim())) {
+      question.errors.push(`Row has ${fields.length} columns but the header has ${header.length}`);
+    }
+    return question;
+  });
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(questions) {
+  const maxOptions = Math.max(5, ...questions.map((q) => q.options?.length || 0));
+  const optionColumns = OPTION_IDS.slice(0, maxOptions).map((l) => `option_${l.toLowerCase()}`);
+  const header = [
+    "question_type",
+    "question_text",
+    ...optionColumns,
+    "correct_option",
+    "marks",
+    "difficulty",
+    "topic",
+    "tags",
+  ];
+
+  const rows = questions.map((q) => {
+    // Export uses letters so the file can be edited and re-imported
+    const optionCells = optionColumns.map((_, i) => q.options?.[i]?.text ?? "");
+    const correctIndex = (q.options || []).findIndex((o) => o.id === q.correct_option);
+    return [
+      q.question_type,
+      q.question_text,
+      ...optionCells,
+      correctIndex === -1 ? "" : OPTION_IDS[correctIndex],
+      q.marks,
+      q.difficulty,
+      q.topic,
+      (q.tags || []).join(";"),
+    ]
+      .map(csvField)
+      .join(",");
+  });
+
+  return `${[header.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+// ==================== QTI 2.1 ====================
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+
+// Character reference to its character; out-of-range references are left as written
+function decodeCharRef(match, codePoint) {
+  const valid =
+    Number.isSafeInteger(codePoint) &&
+    codePoint <= 0x10ffff &&
+    !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+  return valid ? String.fromCodePoint(codePoint) : match;
+}
+
+function decodeXml(text) {
+  return String(text)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => decodeCharRef(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => decodeCharRef(match, Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n\s*\n+/g, "\n")
+    .trim();
+}
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xmlAttr(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? match[2] ?? match[3] : null;
+}
+
+// Elements are matched without their namespace prefix (qti:choiceInteraction etc.)
+function xmlElements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}\\s*>)`,
+    "g"
+  );
+  return [...xml.matchAll(pattern)].map((m) => ({
+    tag: `<${name}${m[1] || ""}>`,
+    inner: m[2] ?? "",
+    raw: m[0],
+  }));
+}
+
+function parseQtiItem(itemXml, row) {
+  const question = blankQuestion(row);
+  const item = xmlElements(itemXml, "assessmentItem")[0];
+  const title = xmlAttr(item.tag, "title");
+
+  const body = xmlElements(item.inner, "itemBody")[0];
+  if (!body) {
+    question.errors.push("assessmentItem has no itemBody");
+    return question;
+  }
+
+  const choice = xmlElements(body.inner, "choiceInteraction")[0];
+  const extended =
+    xmlElements(body.inner, "extendedTextInteraction")[0] ||
+    xmlElements(body.inner, "textEntryInteraction")[0];
+  const interaction = choice || extended;
+  if (!interaction) {
+    question.errors.push("Only choiceInteraction and extendedTextInteraction items are supported");
+    return question;
+  }
+
+  const prompt = xmlElements(interaction.inner, "prompt")[0];
+  const stem = decodeXml(body.inner.replace(interaction.raw, ""));
+  question.question_text = [stem, prompt ? decodeXml(prompt.inner) : ""].filter(Boolean).join("\n");
+  if (!question.question_text && title) question.question_text = title;
+
+  const correctValues = [];
+  for (const declaration of xmlElements(item.inner, "responseDeclaration")) {
+    if (xmlAttr(declaration.tag, "identifier") !== xmlAttr(interaction.tag, "responseIdentifier")) continue;
+    const correct = xmlElements(declaration.inner, "correctResponse")[0];
+    if (correct) {
+      correctValues.push(...xmlElements(correct.inner, "value").map((v) => decodeXml(v.inner)));
+    }
+  }
+
+  for (const outcome of xmlElements(item.inner, "outcomeDeclaration")) {
+    const identifier = xmlAttr(outcome.tag, "identifier");
+    if (identifier === "MAXSCORE") {
+      const value = xmlElements(outcome.inner, "value")[0];
+      if (value) question.marks = decodeXml(value.inner);
+    } else if (identifier === "SCORE" && question.marks === null) {
+      question.marks = xmlAttr(outcome.tag, "normalMaximum");
+    }
+  }
+
+  if (choice) {
+    question.question_type = "objective";
+    const choices = xmlElements(choice.inner, "simpleChoice");
+    const idMap = new Map();
+    question.options = choices.map((c, i) => {
+      const id = OPTION_IDS[i] || String(i + 1);
+      idMap.set(xmlAttr(c.tag, "identifier"), id);
+      return { id, text: decodeXml(c.inner) };
+    });
+    question.correct_options = correctValues.map((v) => idMap.get(v)).filter(Boolean);
+    if (correctValues.length && question.correct_options.length !== correctValues.length) {
+      question.errors.push("correctResponse refers to an unknown choice");
+    }
+  } else {
+    question.question_type = "theory";
+    question.model_answers = correctValues.filter(Boolean);
+  }
+
+  return question;
+}
+
+/**
+ * Parse IMS QTI 2.1 XML holding one or more assessmentItem elements
+ * (a single item file, or several items in one document)
+ */
+export function parseQti(content) {
+  const xml = String(content).replace(/^\uFEFF/, "");
+  const items = xmlElements(xml, "assessmentItem");
+
+  if (items.length === 0) {
+    const question = blankQuestion(1);
+    question.errors.push("No assessmentItem elements found");
+    return [question];
+  }
+
+  return items.map((item, index) => parseQtiItem(item.raw, index + 1));
+}
+
+function qtiItem(q) {
+  const identifier = `bank-${q.id}`;
+  const title = escapeXml(String(q.question_text).slice(0, 80));
+  const marks = Number(q.marks) || 1;
+  const outcomes = `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${marks}</value></defaultValue>
+  </outcomeDeclaration>`;
+
+  if (q.question_type === "objective") {
+    const choices = q.options
+      .map((o) => `      <simpleChoice identifier="${escapeXml(o.id)}">${escapeXml(o.text)}</simpleChoice>`)
+      .join("\n");
+    return `<assessmentItem xmlns="${QTI_NS}" identifier="${identifier}" title="${title}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${escapeXml(q.correct_option)}</value></correctResponse>
+  </responseDeclaration>
+${outcomes}
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(q.question_text)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>
+</assessmentItem>`;
+  }
+
+  return `<assessmentItem xmlns="${QTI_NS}" identifier="${identifier}" title="${title}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+${outcomes}
+  <itemBody>
+    <extendedTextInteraction responseIdentifier="RESPONSE">
+      <prompt>${escapeXml(q.question_text)}</prompt>
+    </extendedTextInteraction>
+  </itemBody>
+</assessmentItem>`;
+}
+
+/**
+ * Write bank questions as QTI 2.1 assessmentItems in one XML document
+ */
+export function toQti(questions) {
+  const items = questions.map(qtiItem).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<questionBank>
+${items}
+</questionBank>
+`;
+}
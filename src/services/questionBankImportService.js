@@ -0,0 +1,364 @@
+/**
+ * Question Bank Import/Export Service
+ * Bulk import from GIFT, QTI 2.1 and CSV into a course's bank, with per-row validation
+ * and a dry-run preview, and export of a course's bank in the same formats.
+ */
+
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { dbLibrary } from "../database/database.js";
+import {
+  QuestionBank,
+  QuestionObjective,
+  QuestionTheory,
+} from "../models/exams/index.js";
+import {
+  IMPORT_FORMATS,
+  parseGift,
+  parseQti,
+  parseCsv,
+  toGift,
+  toQti,
+  toCsv,
+} from "./questionBankFormats.js";
+
+export const MAX_IMPORT_QUESTIONS = 1000;
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const BANK_STATUSES = ["draft", "approved"];
+const MAX_MARKS = 999.99;
+
+// Type names accepted in CSV files besides objective/theory
+const TYPE_ALIASES = {
+  objective: "objective",
+  multiple_choice: "objective",
+  single_choice: "objective",
+  true_false: "objective",
+  mcq: "objective",
+  theory: "theory",
+  essay: "theory",
+  short_answer: "theory",
+};
+
+const PARSERS = { gift: parseGift, qti: parseQti, csv: parseCsv };
+
+const EXPORTERS = {
+  gift: { write: toGift, contentType: "text/plain; charset=utf-8", extension: "gift.txt" },
+  qti: { write: toQti, contentType: "application/xml; charset=utf-8", extension: "qti.xml" },
+  csv: { write: toCsv, contentType: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const normalizeText = (text) => String(text || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+const duplicateKey = (type, text) => `${type}:${normalizeText(text)}`;
+
+function parseTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[,;|]/);
+  return list.map((t) => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * Validate import options sent with the file
+ */
+export function normalizeImportDefaults({ tags, topic, difficulty, status } = {}) {
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw new ErrorClass(`difficulty must be one of: ${DIFFICULTIES.join(", ")}`, 400);
+  }
+  if (status && !BANK_STATUSES.includes(status)) {
+    throw new ErrorClass(`status must be one of: ${BANK_STATUSES.join(", ")}`, 400);
+  }
+  return {
+    tags: parseTags(tags),
+    topic: topic ? String(topic).trim().slice(0, 200) : null,
+    difficulty: difficulty || "medium",
+    status: status || "approved",
+  };
+}
+
+/**
+ * Check one parsed question and build the rows to insert
+ * @returns {{ row, errors: string[], question: Object }}
+ */
+function validateParsedQuestion(parsed, defaults) {
+  const errors = [...parsed.errors];
+  const type = TYPE_ALIASES[String(parsed.question_type || "").toLowerCase()];
+
+  if (!parsed.errors.length) {
+    if (!type) {
+      errors.push(`Unknown question_type "${parsed.question_type}" (use objective or theory)`);
+    }
+    if (!String(parsed.question_text || "").trim()) {
+      errors.push("question_text is required");
+    }
+  }
+
+  const marks =
+    parsed.marks === null || parsed.marks === undefined || parsed.marks === ""
+      ? type === "theory"
+        ? 5
+        : 1
+      : Number(parsed.marks);
+  if (!Number.isFinite(marks) || marks <= 0 || marks > MAX_MARKS) {
+    errors.push(`marks must be a number between 0 and ${MAX_MARKS}`);
+  }
+
+  const difficulty = parsed.difficulty || defaults.difficulty;
+  if (!DIFFICULTIES.includes(difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+  }
+
+  const topic = parsed.topic || defaults.topic;
+  if (topic && topic.length > 200) {
+    errors.push("topic must be 200 characters or fewer");
+  }
+
+  if (type === "objective" && !parsed.errors.length) {
+    const ids = parsed.options.map((o) => o.id);
+    if (parsed.options.length < 2) {
+      errors.push("At least 2 options are required");
+    } else if (new Set(ids).size !== ids.length) {
+      errors.push("Option identifiers must be unique");
+    }
+    if (parsed.options.some((o) => !String(o.text).trim())) {
+      errors.push("Options cannot be empty");
+    }
+    if (parsed.correct_options.length === 0) {
+      errors.push("A correct option is required");
+    } else if (parsed.correct_options.length > 1) {
+      errors.push(
+        `The question bank supports one correct option; found ${parsed.correct_options.length}`
+      );
+    } else if (!ids.includes(parsed.correct_options[0])) {
+      errors.push(`correct_option "${parsed.correct_options[0]}" does not match any option`);
+    }
+  }
+
+  const tags = [...new Set([...parsed.tags, ...defaults.tags])].map((t) => t.slice(0, 100));
+
+  return {
+    row: parsed.row,
+    errors,
+    question: {
+      question_type: type || parsed.question_type,
+      question_text: String(parsed.question_text || "").trim(),
+      options: type === "objective" ? parsed.options : undefined,
+      correct_option: type === "objective" ? parsed.correct_options[0] || null : undefined,
+      marks: Number.isFinite(marks) ? marks : parsed.marks,
+      difficulty,
+      topic: topic || null,
+      tags,
+      model_answers: parsed.model_answers?.length ? parsed.model_answers : undefined,
+    },
+  };
+}
+
+async function loadExistingKeys(courseId) {
+  const existing = await QuestionBank.findAll({
+    where: { course_id: courseId, status: { [Op.ne]: "archived" } },
+    attributes: ["id", "question_type"],
+    include: [
+      { model: QuestionObjective, as: "objective", attributes: ["question_text"], required: false },
+      { model: QuestionTheory, as: "theory", attributes: ["question_text"], required: false },
+    ],
+  });
+  return new Set(
+    existing.map((q) =>
+      duplicateKey(q.question_type, q.objective?.question_text || q.theory?.question_text)
+    )
+  );
+}
+
+/**
+ * Parse, validate and (unless dry run) import a file into a course's bank
+ * Valid rows are imported; invalid and duplicate rows are reported and skipped.
+ * @param {Object} params
+ * @param {number} params.courseId
+ * @param {string} params.content - file text
+ * @param {string} params.format - gift | qti | csv
+ * @param {boolean} params.dryRun
+ * @param {Object} params.defaults - from normalizeImportDefaults
+ * @param {number} params.creatorId
+ */
+export async function importQuestionBank({ courseId, content, format, dryRun, defaults, creatorId }) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new ErrorClass(`format must be one of: ${IMPORT_FORMATS.join(", ")}`, 400);
+  }
+  if (!content || !String(content).trim()) {
+    throw new ErrorClass("The import file is empty", 400);
+  }
+
+  const parsed = PARSERS[format](content);
+  if (parsed.length === 0) {
+    throw new ErrorClass("No questions found in the file", 400);
+  }
+  if (parsed.length > MAX_IMPORT_QUESTIONS) {
+    throw new ErrorClass(
+      `Files are limited to ${MAX_IMPORT_QUESTIONS} questions; this one has ${parsed.length}`,
+      400
+    );
+  }
+
+  const existingKeys = await loadExistingKeys(courseId);
+  const seenKeys = new Set();
+
+  const rows = parsed.map((entry) => {
+    const result = validateParsedQuestion(entry, defaults);
+    if (result.errors.length) {
+      return { row: result.row, status: "invalid", errors: result.errors, question: result.question };
+    }
+    const key = duplicateKey(result.question.question_type, result.question.question_text);
+    if (existingKeys.has(key) || seenKeys.has(key)) {
+      return {
+        row: result.row,
+        status: "duplicate",
+        errors: [
+          existingKeys.has(key)
+            ? "The same question is already in this course's bank"
+            : "The same question appears earlier in the file",
+        ],
+        question: result.question,
+      };
+    }
+    seenKeys.add(key);
+    return { row: result.row, status: "valid", errors: [], question: result.question };
+  });
+
+  const validRows = rows.filter((r) => r.status === "valid");
+  let imported = 0;
+
+  if (!dryRun && validRows.length) {
+    const transaction = await dbLibrary.transaction();
+    try {
+      for (const row of validRows) {
+        const q = row.question;
+        const bankQuestion = await QuestionBank.create(
+          {
+            course_id: courseId,
+            created_by: creatorId,
+            question_type: q.question_type,
+            difficulty: q.difficulty,
+            topic: q.topic,
+            tags: q.tags,
+            status: defaults.status,
+            source_type: "import",
+          },
+          { transaction }
+        );
+
+        if (q.question_type === "objective") {
+          await QuestionObjective.create(
+            {
+              question_bank_id: bankQuestion.id,
+              question_text: q.question_text,
+              options: q.options,
+              correct_option: q.correct_option,
+              marks: q.marks,
+            },
+            { transaction }
+          );
+        } else {
+          await QuestionTheory.create(
+            {
+              question_bank_id: bankQuestion.id,
+              question_text: q.question_text,
+              max_marks: q.marks,
+              rubric_json: q.model_answers ? { model_answers: q.model_answers } : null,
+            },
+            { transaction }
+          );
+        }
+
+        row.status = "imported";
+        row.question_bank_id = bankQuestion.id;
+        imported++;
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  return {
+    format,
+    dry_run: !!dryRun,
+    summary: {
+      total: rows.length,
+      valid: validRows.length,
+      invalid: rows.filter((r) => r.status === "invalid").length,
+      duplicates: rows.filter((r) => r.status === "duplicate").length,
+      imported,
+    },
+    rows,
+  };
+}
+
+function toExportRow(bankQuestion) {
+  const base = {
+    id: bankQuestion.id,
+    question_type: bankQuestion.question_type,
+    difficulty: bankQuestion.difficulty,
+    topic: bankQuestion.topic,
+    tags: bankQuestion.tags || [],
+  };
+  if (bankQuestion.question_type === "objective" && bankQuestion.objective) {
+    return {
+      ...base,
+      question_text: bankQuestion.objective.question_text,
+      options: bankQuestion.objective.options || [],
+      correct_option: bankQuestion.objective.correct_option,
+      marks: Number(bankQuestion.objective.marks),
+    };
+  }
+  if (bankQuestion.theory) {
+    return {
+      ...base,
+      question_text: bankQuestion.theory.question_text,
+      options: [],
+      correct_option: null,
+      marks: Number(bankQuestion.theory.max_marks),
+    };
+  }
+  return null;
+}
+
+/**
+ * Export a course's bank
+ * @param {Object} filters - question_type, difficulty, status, tag, topic
+ * @returns {{ content: string, contentType: string, extension: string, count: number }}
+ */
+export async function exportQuestionBank(courseId, format, filters = {}) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) {
+    throw new ErrorClass(`format must be one of: ${IMPORT_FORMATS.join(", ")}`, 400);
+  }
+
+  const where = { course_id: courseId };
+  where.status = filters.status || { [Op.ne]: "archived" };
+  if (filters.question_type) where.question_type = filters.question_type;
+  if (filters.difficulty) where.difficulty = filters.difficulty;
+  if (filters.topic) where.topic = filters.topic;
+  if (filters.tag) where.tags = { [Op.contains]: [filters.tag] };
+
+  const questions = await QuestionBank.findAll({
+    where,
+    include: [
+      { model: QuestionObjective, as: "objective", required: false },
+      { model: QuestionTheory, as: "theory", required: false },
+    ],
+    order: [
+      ["topic", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  const rows = questions.map(toExportRow).filter(Boolean);
+
+  return {
+    content: exporter.write(rows),
+    contentType: exporter.contentType,
+    extension: exporter.extension,
+    count: rows.length,
+  };
+}
@@ -0,0 +1,396 @@
+/**
+ * Quiz Grading Service
+ * Scores quiz attempts per question: partial credit for multiple-select, configurable
+ * short-answer matching, and a manual grading queue for essays (and short answers
+ * without an answer key).
+ *
+ * Scores are stored per question in quiz_answer_grades; the attempt total is their sum.
+ * An attempt is "graded" once no question is pending, otherwise it stays "submitted".
+ */
+
+import vm from "node:vm";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { dbLibrary } from "../database/database.js";
+import { QuizQuestions } from "../models/modules/quiz_questions.js";
+import { QuizOptions } from "../models/modules/quiz_options.js";
+import { QuizAnswers } from "../models/modules/quiz_answers.js";
+import { QuizAnswerGrades } from "../models/modules/quiz_answer_grades.js";
+
+const MULTIPLE_CHOICE_SCORING = ["partial", "all_or_nothing"];
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERNS = 10;
+// Regex patterns are only tried on answers up to this length
+const MAX_REGEX_ANSWER_LENGTH = 500;
+// Wall-clock budget for all of an answer's patterns; a pattern that backtracks
+// catastrophically is cut off here instead of blocking the event loop
+const REGEX_TIMEOUT_MS = 50;
+
+// Patterns run in a separate V8 context so the timeout can interrupt them
+const regexContext = vm.createContext({ patterns: [], flags: "", text: "" });
+const regexScript = new vm.Script(`
+  patterns.some((p) => {
+    try {
+      return new RegExp(p, flags).test(text);
+    } catch {
+      return false;
+    }
+  })
+`);
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Whether a pattern repeats a group that itself contains a quantifier, e.g. (a+)+ or (\w*\s?)*
+ * Such patterns can backtrack exponentially on a crafted answer. This only catches the common
+ * shape early for the tutor; matchRegexPatterns' timeout is what protects the server.
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [];
+  let inClass = false;
+  let quantified = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === "]") inClass = false;
+      continue;
+    }
+    if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(quantified);
+      quantified = false;
+    } else if (char === ")") {
+      const next = pattern[i + 1];
+      if (quantified && (next === "+" || next === "*" || next === "{")) return true;
+      quantified = (groups.pop() ?? false) || quantified;
+    } else if (char === "+" || char === "*" || char === "{") {
+      quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate answer_config sent by a tutor for a question type
+ * @returns {Object|null} config to store
+ */
+export function normalizeAnswerConfig(questionType, config) {
+  if (config === undefined || config === null) return null;
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new ErrorClass("answer_config must be an object", 400);
+  }
+
+  if (questionType === "multiple_choice") {
+    const scoring = config.scoring || "partial";
+    if (!MULTIPLE_CHOICE_SCORING.includes(scoring)) {
+      throw new ErrorClass(
+        `answer_config.scoring must be one of: ${MULTIPLE_CHOICE_SCORING.join(", ")}`,
+        400
+      );
+    }
+    return { scoring };
+  }
+
+  if (questionType === "short_answer") {
+    const caseSensitive = !!config.case_sensitive;
+
+    const accepted = (Array.isArray(config.accepted) ? config.accepted : [])
+      .map((a) => String(a ?? "").trim())
+      .filter(Boolean);
+
+    const regex = (Array.isArray(config.regex) ? config.regex : [])
+      .map((p) => String(p ?? ""))
+      .filter(Boolean);
+    if (regex.length > MAX_PATTERNS) {
+      throw new ErrorClass(`At most ${MAX_PATTERNS} regex patterns are allowed`, 400);
+    }
+    for (const pattern of regex) {
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new ErrorClass(`Regex patterns are limited to ${MAX_PATTERN_LENGTH} characters`, 400);
+      }
+      try {
+        new RegExp(pattern, caseSensitive ? "" : "i");
+      } catch (error) {
+        throw new ErrorClass(`Invalid regex "${pattern}": ${error.message}`, 400);
+      }
+      if (hasNestedQuantifier(pattern)) {
+        throw new ErrorClass(
+          `Regex "${pattern}" repeats a group that already has a quantifier, e.g. (a+)+; simplify it`,
+          400
+        );
+      }
+    }
+
+    let numeric = null;
+    if (config.numeric !== undefined && config.numeric !== null) {
+      const value = Number(config.numeric.value);
+      const tolerance = Number(config.numeric.tolerance ?? 0);
+      if (!Number.isFinite(value) || !Number.isFinite(tolerance) || tolerance < 0) {
+        throw new ErrorClass("answer_config.numeric needs a numeric value and a tolerance >= 0", 400);
+      }
+      numeric = { value, tolerance };
+    }
+
+    return { accepted, case_sensitive: caseSensitive, regex, numeric };
+  }
+
+  return null;
+}
+
+function hasAnswerKey(question) {
+  const config = question.answer_config || {};
+  return Boolean(
+    (question.correct_answer && String(question.correct_answer).trim()) ||
+      config.accepted?.length ||
+      config.regex?.length ||
+      config.numeric
+  );
+}
+
+/**
+ * Whether any pattern matches the text, within REGEX_TIMEOUT_MS
+ * Invalid patterns are skipped; a timeout counts as no match.
+ */
+function matchRegexPatterns(patterns, text, caseSensitive) {
+  regexContext.patterns = patterns.map(String);
+  regexContext.flags = caseSensitive ? "" : "i";
+  regexContext.text = text;
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.error("Short answer patterns not applied:", error.message);
+    return false;
+  } finally {
+    regexContext.patterns = [];
+    regexContext.text = "";
+  }
+}
+
+/**
+ * Match a short answer against correct_answer and answer_config
+ * Exact matches ignore surrounding/repeated whitespace (and case unless case_sensitive).
+ * Regex patterns are not anchored; use ^...$ for whole-answer matches. They are skipped
+ * for answers over MAX_REGEX_ANSWER_LENGTH characters and cut off after REGEX_TIMEOUT_MS.
+ */
+export function matchShortAnswer(answerText, correctAnswer, config = {}) {
+  const text = String(answerText ?? "").trim();
+  if (!text) return false;
+
+  const caseSensitive = !!config?.case_sensitive;
+  const normalize = (value) => {
+    const collapsed = String(value).trim().replace(/\s+/g, " ");
+    return caseSensitive ? collapsed : collapsed.toLowerCase();
+  };
+
+  const candidates = [correctAnswer, ...(config?.accepted || [])].filter(
+    (c) => c !== null && c !== undefined && String(c).trim() !== ""
+  );
+  if (candidates.some((c) => normalize(c) === normalize(text))) return true;
+
+  if (
+    config?.regex?.length &&
+    text.length <= MAX_REGEX_ANSWER_LENGTH &&
+    matchRegexPatterns(config.regex.slice(0, MAX_PATTERNS), text, caseSensitive)
+  ) {
+    return true;
+  }
+
+  if (config?.numeric) {
+    const number = Number(text.replace(/,/g, ""));
+    if (
+      Number.isFinite(number) &&
+      Math.abs(number - config.numeric.value) <= (config.numeric.tolerance || 0) + 1e-9
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Score one question from the student's answer rows
+ * @param {Object} question - QuizQuestions row with options
+ * @param {Array} answerRows - quiz_answers rows for this question
+ * @returns {{ points_awarded: number|null, max_points: number, status: "auto"|"pending" }}
+ */
+export function scoreQuestion(question, answerRows = []) {
+  const points = Number(question.points || 0);
+  const type = question.question_type;
+  const text = answerRows.find((a) => a.answer_text !== null && a.answer_text !== undefined)
+    ?.answer_text;
+
+  if (type === "essay" || (type === "short_answer" && !hasAnswerKey(question))) {
+    if (!text || !String(text).trim()) {
+      return { points_awarded: 0, max_points: points, status: "auto" };
+    }
+    return { points_awarded: null, max_points: points, status: "pending" };
+  }
+
+  if (type === "short_answer") {
+    const correct = matchShortAnswer(text, question.correct_answer, question.answer_config || {});
+    return { points_awarded: correct ? points : 0, max_points: points, status: "auto" };
+  }
+
+  const selected = [
+    ...new Set(
+      answerRows
+        .map((a) => a.selected_option_id)
+        .filter((id) => typeof id === "number")
+    ),
+  ];
+  const correctIds = (question.options || []).filter((o) => o.is_correct).map((o) => o.id);
+  const correctSet = new Set(correctIds);
+
+  if (
+    type === "multiple_choice" &&
+    question.answer_config?.scoring !== "all_or_nothing" &&
+    correctIds.length > 0
+  ) {
+    // Each correct option earns its share; each wrong pick cancels one share
+    const hits = selected.filter((id) => correctSet.has(id)).length;
+    const misses = selected.length - hits;
+    const fraction = Math.max(0, (hits - misses) / correctIds.length);
+    return { points_awarded: round2(points * fraction), max_points: points, status: "auto" };
+  }
+
+  const isCorrect =
+    selected.length === correctIds.length && selected.every((id) => correctSet.has(id));
+  return { points_awarded: isCorrect ? points : 0, max_points: points, status: "auto" };
+}
+
+/**
+ * Recompute attempt totals and status from its question grades
+ * @param {Object} [grader] - { id, type } when a tutor finished the grading
+ */
+export async function recalculateAttempt(attempt, { transaction, grader = null } = {}) {
+  const grades = await QuizAnswerGrades.findAll({
+    where: { attempt_id: attempt.id },
+    transaction,
+  });
+
+  const total = round2(grades.reduce((sum, g) => sum + Number(g.points_awarded || 0), 0));
+  const max = round2(grades.reduce((sum, g) => sum + Number(g.max_points || 0), 0));
+  const pending = grades.filter((g) => g.status === "pending").length;
+
+  await attempt.update(
+    {
+      total_score: total,
+      max_possible_score: max,
+      status: pending > 0 ? "submitted" : "graded",
+      graded_at: pending > 0 ? null : attempt.graded_at || new Date(),
+      ...(pending === 0 && grader ? { graded_by: grader.id } : {}),
+    },
+    { transaction }
+  );
+
+  return { total_score: total, max_possible_score: max, pending };
+}
+
+/**
+ * Auto-grade a submitted attempt
+ * Questions already graded by a tutor keep their score.
+ */
+export async function gradeQuizAttempt(attempt) {
+  const questions = await QuizQuestions.findAll({
+    where: { quiz_id: attempt.quiz_id },
+    include: [{ model: QuizOptions, as: "options" }],
+  });
+  const answers = await QuizAnswers.findAll({ where: { attempt_id: attempt.id } });
+
+  const answersByQuestion = new Map();
+  for (const answer of answers) {
+    const list = answersByQuestion.get(answer.question_id) || [];
+    list.push(answer);
+    answersByQuestion.set(answer.question_id, list);
+  }
+
+  const transaction = await dbLibrary.transaction();
+  try {
+    const existing = await QuizAnswerGrades.findAll({
+      where: { attempt_id: attempt.id },
+      transaction,
+    });
+    const existingByQuestion = new Map(existing.map((g) => [g.question_id, g]));
+
+    for (const question of questions) {
+      const current = existingByQuestion.get(question.id);
+      if (current?.status === "graded") continue;
+
+      const score = scoreQuestion(question, answersByQuestion.get(question.id));
+      if (current) {
+        await current.update({ ...score, updated_at: new Date() }, { transaction });
+      } else {
+        await QuizAnswerGrades.create(
+          { attempt_id: attempt.id, question_id: question.id, ...score },
+          { transaction }
+        );
+      }
+    }
+
+    const result = await recalculateAttempt(attempt, { transaction });
+    await transaction.commit();
+    return result;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Grade (or re-grade) one question of a submitted attempt by hand
+ * @param {{ id: number, type: string }} grader
+ */
+export async function gradeQuizAnswer(attempt, question, { points_awarded, feedback }, grader) {
+  if (!["submitted", "graded"].includes(attempt.status)) {
+    throw new ErrorClass("Only submitted attempts can be graded", 400);
+  }
+
+  const maxPoints = Number(question.points || 0);
+  const points = Number(points_awarded);
+  if (points_awarded === undefined || points_awarded === null || !Number.isFinite(points)) {
+    throw new ErrorClass("points_awarded is required", 400);
+  }
+  if (points < 0 || points > maxPoints) {
+    throw new ErrorClass(`points_awarded must be between 0 and ${maxPoints}`, 400);
+  }
+
+  const transaction = await dbLibrary.transaction();
+  try {
+    const values = {
+      points_awarded: round2(points),
+      max_points: maxPoints,
+      status: "graded",
+      feedback: feedback !== undefined ? feedback || null : undefined,
+      graded_by: grader.id,
+      graded_by_type: grader.type,
+      graded_at: new Date(),
+      updated_at: new Date(),
+    };
+    if (values.feedback === undefined) delete values.feedback;
+
+    let grade = await QuizAnswerGrades.findOne({
+      where: { attempt_id: attempt.id, question_id: question.id },
+      transaction,
+    });
+    if (grade) {
+      await grade.update(values, { transaction });
+    } else {
+      grade = await QuizAnswerGrades.create(
+        { attempt_id: attempt.id, question_id: question.id, ...values },
+        { transaction }
+      );
+    }
+
+    const totals = await recalculateAttempt(attempt, { transaction, grader });
+    await transaction.commit();
+    return { grade, ...totals };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
@@ -0,0 +1,962 @@
+/**
+ * Refund Service
+ * Refund requests for marketplace purchases and the reversal of a purchase:
+ * learner wallet credit (or card refund via Flutterwave), tutor wallet debit,
+ * access revocation and a credit note against the original invoice.
+ *
+ * purchase_id on a RefundRequest points at:
+ * - course           -> marketplace_transactions
+ * - ebook            -> ebook_purchases
+ * - digital_download -> digital_download_purchases
+ * - membership       -> membership_payments
+ * - event_ticket     -> event_ticket_orders
+ */
+
+import { Op } from "sequelize";
+import { db } from "../database/database.js";
+import { Config } from "../config/config.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { applyLegacyWalletMirror } from "../utils/tutorWallet.js";
+import { RefundRequest } from "../models/marketplace/refundRequest.js";
+import { MarketplaceTransaction } from "../models/marketplace/marketplaceTransaction.js";
+import { WspCommission } from "../models/marketplace/wspCommission.js";
+import { EBooks } from "../models/marketplace/ebooks.js";
+import { EBookPurchase } from "../models/marketplace/ebookPurchase.js";
+import { DigitalDownloads } from "../models/marketplace/digitalDownloads.js";
+import { DigitalDownloadPurchase } from "../models/marketplace/digitalDownloadPurchase.js";
+import { Membership } from "../models/marketplace/membership.js";
+import { MembershipSubscription } from "../models/marketplace/membershipSubscription.js";
+import { MembershipPayment } from "../models/marketplace/membershipPayment.js";
+import { TicketedEvent } from "../models/marketplace/ticketedEvent.js";
+import { EventTicketOrder } from "../models/marketplace/eventTicketOrder.js";
+import { EventTicket } from "../models/marketplace/eventTicket.js";
+import { EventTicketTier } from "../models/marketplace/eventTicketTier.js";
+import { CourseCertificate } from "../models/marketplace/courseCertificate.js";
+import { SoleTutor } from "../models/marketplace/soleTutor.js";
+import { Organization } from "../models/marketplace/organization.js";
+import { TutorWalletTransaction } from "../models/marketplace/tutorWalletTransaction.js";
+import { Invoice } from "../models/marketplace/invoice.js";
+import { Courses } from "../models/course/courses.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Students } from "../models/auth/student.js";
+import { Funding } from "../models/payment/funding.js";
+import { getWalletBalance } from "./walletBalanceService.js";
+import { refundTransaction } from "./flutterwaveService.js";
+import { createCreditNote } from "./invoiceService.js";
+import { cancelAffiliateReferrals } from "./affiliateService.js";
+
+export const REFUNDABLE_PRODUCT_TYPES = [
+  "course",
+  "ebook",
+  "digital_download",
+  "membership",
+  "event_ticket",
+];
+
+// Requests that still block a new request for the same purchase
+const OPEN_STATUSES = ["requested", "approved", "failed"];
+
+const PURCHASE_MODELS = {
+  course: MarketplaceTransaction,
+  ebook: EBookPurchase,
+  digital_download: DigitalDownloadPurchase,
+  membership: MembershipPayment,
+  event_ticket: EventTicketOrder,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse TicketedEvent.refund_policy
+ * Supported: none | full | full_before_<N>h | full_before_<N>d | partial_<P>_before_<N>h|d
+ * @returns {{ percent: number, cutoffMs: number } | null} null if the value is not understood
+ */
+export function parseRefundPolicy(policy) {
+  const value = (policy || "none").toString().trim().toLowerCase();
+  if (value === "none") return { percent: 0, cutoffMs: 0 };
+  if (value === "full") return { percent: 100, cutoffMs: 0 };
+
+  const match = value.match(/^(full|partial_(\d{1,3}))_before_(\d+)([hd])$/);
+  if (!match) return null;
+
+  const percent = match[1] === "full" ? 100 : Math.min(100, parseInt(match[2], 10));
+  const cutoffMs = parseInt(match[3], 10) * (match[4] === "d" ? 24 : 1) * HOUR_MS;
+  return { percent, cutoffMs };
+}
+
+/**
+ * Apply an event's refund policy to a ticket refund requested now
+ * @returns {{ eligible: boolean, percent: number, reason: string|null } | null}
+ *   null when the policy cannot be evaluated automatically (tutor reviews it)
+ */
+export function evaluateEventRefundPolicy(event, now = new Date()) {
+  const policy = parseRefundPolicy(event.refund_policy);
+  if (!policy) return null;
+
+  if (policy.percent === 0) {
+    return { eligible: false, percent: 0, reason: "This event does not offer refunds" };
+  }
+
+  const deadline = new Date(new Date(event.starts_at).getTime() - policy.cutoffMs);
+  if (now >= deadline) {
+    const hours = Math.round(policy.cutoffMs / HOUR_MS);
+    return {
+      eligible: false,
+      percent: 0,
+      reason: hours
+        ? `Refunds close ${hours} hour(s) before the event starts`
+        : "Refunds are not available once the event has started",
+    };
+  }
+
+  return { eligible: true, percent: policy.percent, reason: null };
+}
+
+async function findOwnerTutor(ownerType, ownerId, options = {}) {
+  if (ownerType === "sole_tutor") return SoleTutor.findByPk(ownerId, options);
+  if (ownerType === "organization") return Organization.findByPk(ownerId, options);
+  return null;
+}
+
+/**
+ * Amount the learner's wallet was actually debited (in the wallet currency)
+ * Falls back to the purchase record when no Funding debit matches the reference.
+ */
+async function getAmountDebited(studentId, ref, fallbackAmount, fallbackCurrency) {
+  const debit = ref
+    ? await Funding.findOne({ where: { student_id: studentId, ref, type: "Debit" } })
+    : null;
+  if (debit) {
+    return { amount: parseFloat(debit.amount), currency: debit.currency || fallbackCurrency };
+  }
+  return { amount: parseFloat(fallbackAmount || 0), currency: fallbackCurrency };
+}
+
+/**
+ * Normalise a purchase record into the fields a refund needs
+ */
+async function describePurchase(productType, record) {
+  if (productType === "course") {
+    const course = await Courses.findByPk(record.course_id, { attributes: ["id", "title"] });
+    const paid = await getAmountDebited(
+      record.student_id,
+      record.payment_reference,
+      record.course_price,
+      record.currency
+    );
+    return {
+      refundable: record.payment_status === "completed",
+      student_id: record.student_id,
+      product_id: record.course_id,
+      product_name: course?.title || null,
+      payment_reference: record.payment_reference,
+      owner_type: record.owner_type,
+      owner_id: record.owner_id,
+      amount_paid: paid.amount,
+      currency: paid.currency,
+      purchased_at: record.created_at,
+    };
+  }
+
+  if (productType === "ebook" || productType === "digital_download") {
+    const isEbook = productType === "ebook";
+    const product = isEbook
+      ? await EBooks.findByPk(record.ebook_id, { attributes: ["id", "title"] })
+      : await DigitalDownloads.findByPk(record.digital_download_id, { attributes: ["id", "title"] });
+    const paid = await getAmountDebited(
+      record.student_id,
+      record.transaction_ref,
+      record.price,
+      record.currency
+    );
+    return {
+      refundable: parseFloat(record.price || 0) > 0,
+      student_id: record.student_id,
+      product_id: isEbook ? record.ebook_id : record.digital_download_id,
+      product_name: product?.title || null,
+      payment_reference: record.transaction_ref,
+      owner_type: record.owner_type,
+      owner_id: record.owner_id,
+      amount_paid: paid.amount,
+      currency: paid.currency,
+      purchased_at: record.created_at,
+    };
+  }
+
+  if (productType === "membership") {
+    const membership = await Membership.findByPk(record.membership_id, {
+      attributes: ["id", "name", "tutor_id", "tutor_type"],
+    });
+    return {
+      refundable: record.status === "completed" && parseFloat(record.amount) > 0,
+      student_id: record.student_id,
+      product_id: record.membership_id,
+      product_name: membership?.name || null,
+      payment_reference: record.payment_reference,
+      owner_type: membership?.tutor_type,
+      owner_id: membership?.tutor_id,
+      amount_paid: parseFloat(record.amount),
+      currency: record.currency,
+      purchased_at: record.paid_at || record.created_at,
+    };
+  }
+
+  // event_ticket
+  const event = await TicketedEvent.findByPk(record.event_id);
+  return {
+    refundable: record.status === "paid" && parseFloat(record.total_amount) > 0,
+    student_id: record.student_id,
+    product_id: record.event_id,
+    product_name: event?.title || null,
+    payment_reference: record.transaction_ref,
+    owner_type: event?.owner_type,
+    owner_id: event?.owner_id,
+    amount_paid: parseFloat(record.total_amount),
+    currency: record.currency,
+    purchased_at: record.paid_at || record.created_at,
+    event,
+  };
+}
+
+/**
+ * Find the learner's purchase a refund request is about
+ * productId is the course / ebook / download / membership id; event tickets use orderId.
+ */
+async function findLearnerPurchase(studentId, productType, productId, orderId) {
+  if (productType === "course") {
+    return MarketplaceTransaction.findOne({
+      where: { student_id: studentId, course_id: productId, payment_status: "completed" },
+      order: [["created_at", "DESC"]],
+    });
+  }
+  if (productType === "ebook") {
+    return EBookPurchase.findOne({
+      where: { student_id: studentId, ebook_id: productId },
+      order: [["created_at", "DESC"]],
+    });
+  }
+  if (productType === "digital_download") {
+    return DigitalDownloadPurchase.findOne({
+      where: { student_id: studentId, digital_download_id: productId },
+      order: [["created_at", "DESC"]],
+    });
+  }
+  if (productType === "membership") {
+    return MembershipPayment.findOne({
+      where: { student_id: studentId, membership_id: productId, status: "completed" },
+      order: [["created_at", "DESC"]],
+    });
+  }
+  return EventTicketOrder.findOne({
+    where: { id: orderId, student_id: studentId },
+  });
+}
+
+async function assertNoExistingRequest(productType, purchaseId) {
+  const existing = await RefundRequest.findOne({
+    where: {
+      product_type: productType,
+      purchase_id: purchaseId,
+      status: { [Op.in]: [...OPEN_STATUSES, "processed"] },
+    },
+  });
+  if (existing) {
+    throw new ErrorClass(
+      existing.status === "processed"
+        ? "This purchase has already been refunded"
+        : "A refund request for this purchase is already in progress",
+      409
+    );
+  }
+}
+
+// The unique_open_refund_request index allows one open or processed request per purchase;
+// a request created at the same moment as another gets the same 409 as the check above
+async function createRequestRow(values) {
+  try {
+    return await RefundRequest.create(values);
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      await assertNoExistingRequest(values.product_type, values.purchase_id);
+    }
+    throw error;
+  }
+}
+
+// Whether the purchase row already records a refund (ebook and download rows are deleted)
+function isPurchaseReversed(productType, purchase) {
+  if (productType === "course") return purchase.payment_status === "refunded";
+  if (productType === "membership" || productType === "event_ticket") {
+    return purchase.status === "refunded";
+  }
+  return false;
+}
+
+/**
+ * Learner asks for a refund
+ * Event tickets are decided immediately by the event's refund_policy
+ * (approved and processed, or rejected); other products wait for the tutor or an admin.
+ */
+export async function createRefundRequest({ studentId, productType, productId, orderId, reason }) {
+  if (!REFUNDABLE_PRODUCT_TYPES.includes(productType)) {
+    throw new ErrorClass(
+      `product_type must be one of: ${REFUNDABLE_PRODUCT_TYPES.join(", ")}`,
+      400
+    );
+  }
+  if (productType === "event_ticket" ? !orderId : !productId) {
+    throw new ErrorClass(
+      productType === "event_ticket" ? "order_id is required" : "product_id is required",
+      400
+    );
+  }
+
+  const purchase = await findLearnerPurchase(
+    studentId,
+    productType,
+    parseInt(productId),
+    parseInt(orderId)
+  );
+  if (!purchase) {
+    throw new ErrorClass("Purchase not found", 404);
+  }
+
+  const details = await describePurchase(productType, purchase);
+  if (!details.refundable) {
+    throw new ErrorClass("This purchase cannot be refunded", 400);
+  }
+
+  if (productType !== "event_ticket") {
+    const windowMs = Config.refunds.requestWindowDays * 24 * HOUR_MS;
+    if (Date.now() - new Date(details.purchased_at).getTime() > windowMs) {
+      throw new ErrorClass(
+        `Refunds can only be requested within ${Config.refunds.requestWindowDays} days of purchase`,
+        400
+      );
+    }
+  }
+
+  await assertNoExistingRequest(productType, purchase.id);
+
+  const request = await createRequestRow({
+    kind: "refund",
+    student_id: studentId,
+    product_type: productType,
+    product_id: details.product_id,
+    product_name: details.product_name,
+    purchase_id: purchase.id,
+    payment_reference: details.payment_reference,
+    owner_type: details.owner_type,
+    owner_id: details.owner_id,
+    amount_paid: details.amount_paid,
+    amount: details.amount_paid,
+    currency: details.currency,
+    reason: reason ? String(reason).trim() : null,
+    status: "requested",
+    requested_by_type: "student",
+    requested_by_id: studentId,
+  });
+
+  if (productType !== "event_ticket") {
+    return request;
+  }
+
+  const decision = evaluateEventRefundPolicy(details.event);
+  if (!decision) {
+    // Custom policy text the backend cannot interpret: leave it for the tutor
+    return request;
+  }
+
+  if (!decision.eligible) {
+    await request.update({
+      status: "rejected",
+      reviewed_by_type: "system",
+      reviewed_at: new Date(),
+      review_note: decision.reason,
+    });
+    return request;
+  }
+
+  const amount = Math.round(details.amount_paid * decision.percent) / 100;
+  await request.update({
+    amount,
+    metadata: { refund_policy: details.event.refund_policy, refund_percent: decision.percent },
+  });
+
+  try {
+    return await processRefund(request, { actorType: "system" });
+  } catch (error) {
+    // processRefund has already marked the request failed; an admin can retry it
+    console.error(`Refund ${request.id} failed:`, error.message);
+    return request.reload();
+  }
+}
+
+/**
+ * Reject a pending request
+ */
+export async function rejectRefundRequest(request, { actorType, actorId, note }) {
+  if (request.status !== "requested") {
+    throw new ErrorClass(`Only requested refunds can be rejected (status: ${request.status})`, 400);
+  }
+  await request.update({
+    status: "rejected",
+    reviewed_by_type: actorType,
+    reviewed_by_id: actorId || null,
+    reviewed_at: new Date(),
+    review_note: note ? String(note).trim() : null,
+  });
+  return request;
+}
+
+function chooseRefundMethod(request, purchase, requestedMethod) {
+  if (request.kind === "chargeback") return "none";
+
+  const flutterwaveId =
+    request.product_type === "event_ticket" && purchase.payment_method === "flutterwave"
+      ? purchase.flutterwave_transaction_id
+      : null;
+
+  if (requestedMethod === "flutterwave" && !flutterwaveId) {
+    throw new ErrorClass("This purchase was not paid by card through Flutterwave", 400);
+  }
+  if (requestedMethod === "wallet" && !request.student_id) {
+    throw new ErrorClass("Guest purchases cannot be refunded to a wallet", 400);
+  }
+  if (requestedMethod) return requestedMethod;
+
+  if (flutterwaveId && Config.refunds.toCardEnabled) return "flutterwave";
+  if (request.student_id) return "wallet";
+
+  throw new ErrorClass(
+    "Guest order paid by card: enable REFUNDS_TO_CARD_ENABLED or refund it manually",
+    400
+  );
+}
+
+async function creditStudentWallet(request, transaction) {
+  const amount = parseFloat(request.amount);
+  if (amount <= 0) return;
+
+  const student = await Students.findByPk(request.student_id, { transaction });
+  if (!student) {
+    throw new ErrorClass("Student not found", 404);
+  }
+
+  const { balance: currentBalance } = await getWalletBalance(request.student_id, true);
+  const newBalance = currentBalance + amount;
+
+  await Funding.create(
+    {
+      student_id: request.student_id,
+      amount,
+      type: "Credit",
+      service_name: "Marketplace Refund",
+      ref: `REFUND-${request.id}-${Date.now()}`,
+      date: new Date().toISOString().split("T")[0],
+      semester: null,
+      academic_year: null,
+      currency: request.currency,
+      balance: newBalance.toString(),
+    },
+    { transaction }
+  );
+
+  await student.update({ wallet_balance: newBalance }, { transaction });
+}
+
+/**
+ * Take back what processMarketplacePurchase credited to the course owner
+ * @returns {number} amount debited from the tutor wallet
+ */
+async function reverseCourseEarnings(request, marketplaceTx, transaction) {
+  const tutorEarnings = parseFloat(marketplaceTx.tutor_earnings || 0);
+  if (tutorEarnings <= 0 || marketplaceTx.owner_type === "wpu") return 0;
+
+  const tutor = await findOwnerTutor(marketplaceTx.owner_type, marketplaceTx.owner_id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  if (!tutor) return 0;
+
+  const currency = (marketplaceTx.currency || "NGN").toUpperCase();
+  let walletField = "wallet_balance_primary";
+  if (currency === "USD") walletField = "wallet_balance_usd";
+  if (currency === "GBP") walletField = "wallet_balance_gbp";
+
+  const walletBefore = parseFloat(tutor[walletField] || 0);
+  const walletAfter = walletBefore - tutorEarnings;
+  // processMarketplacePurchase adds the full course price to total_earnings
+  const updates = {
+    total_earnings: Math.max(
+      0,
+      parseFloat(tutor.total_earnings || 0) - parseFloat(marketplaceTx.course_price || 0)
+    ),
+    [walletField]: walletAfter,
+  };
+  if (walletField === "wallet_balance_primary") {
+    applyLegacyWalletMirror(updates, walletAfter);
+  }
+  await tutor.update(updates, { transaction });
+
+  await TutorWalletTransaction.create(
+    {
+      tutor_id: marketplaceTx.owner_id,
+      tutor_type: marketplaceTx.owner_type,
+      transaction_type: "debit",
+      amount: tutorEarnings,
+      currency,
+      service_name: request.kind === "chargeback" ? "Marketplace Chargeback" : "Marketplace Refund",
+      transaction_reference: `REVERSAL-${marketplaceTx.payment_reference || marketplaceTx.id}`,
+      balance_before: walletBefore,
+      balance_after: walletAfter,
+      related_id: request.id,
+      related_type: "refund_request",
+      status: "successful",
+      notes: `Course sale reversed (${request.kind} #${request.id})`,
+      metadata: {
+        refund_request_id: request.id,
+        marketplace_transaction_id: marketplaceTx.id,
+        course_id: marketplaceTx.course_id,
+      },
+    },
+    { transaction }
+  );
+
+  return tutorEarnings;
+}
+
+/**
+ * Undo the purchase record and revoke access
+ * @returns {number} amount debited from the tutor wallet
+ */
+async function reversePurchase(request, purchase, transaction) {
+  const note = `${request.kind === "chargeback" ? "Chargeback" : "Refund"} #${request.id}`;
+
+  if (request.product_type === "course") {
+    await purchase.update(
+      {
+        payment_status: "refunded",
+        notes: [purchase.notes, note].filter(Boolean).join("\n"),
+      },
+      { transaction }
+    );
+    await WspCommission.destroy({ where: { transaction_id: purchase.id }, transaction });
+    await CourseReg.destroy({
+      where: {
+        student_id: purchase.student_id,
+        course_id: purchase.course_id,
+        registration_status: "marketplace_purchased",
+      },
+      transaction,
+    });
+    await CourseCertificate.update(
+      {
+        status: "revoked",
+        revoked_at: new Date(),
+        revocation_reason: `Course purchase refunded (${note})`,
+      },
+      {
+        where: { student_id: purchase.student_id, course_id: purchase.course_id, status: "active" },
+        transaction,
+      }
+    );
+    return reverseCourseEarnings(request, purchase, transaction);
+  }
+
+  if (request.product_type === "ebook" || request.product_type === "digital_download") {
+    // Access is granted by the purchase row; the refund request keeps the audit trail
+    const product =
+      request.product_type === "ebook"
+        ? await EBooks.findByPk(purchase.ebook_id, { transaction })
+        : await DigitalDownloads.findByPk(purchase.digital_download_id, { transaction });
+    await purchase.destroy({ transaction });
+    if (product && product.sales_count > 0) {
+      await product.update({ sales_count: product.sales_count - 1 }, { transaction });
+    }
+    return 0;
+  }
+
+  if (request.product_type === "membership") {
+    await purchase.update({ status: "refunded" }, { transaction });
+    await MembershipSubscription.update(
+      {
+        status: "cancelled",
+        auto_renew: false,
+        cancelled_at: new Date(),
+        end_date: new Date(),
+        next_payment_date: null,
+      },
+      { where: { id: purchase.subscription_id }, transaction }
+    );
+    return 0;
+  }
+
+  // event_ticket
+  const usedTickets = await EventTicket.count({
+    where: { order_id: purchase.id, status: "used" },
+    transaction,
+  });
+  if (usedTickets > 0 && request.kind !== "chargeback") {
+    throw new ErrorClass("Tickets that have been checked in cannot be refunded", 400);
+  }
+
+  await purchase.update({ status: "refunded" }, { transaction });
+  await EventTicket.update(
+    { status: "cancelled" },
+    { where: { order_id: purchase.id, status: "valid" }, transaction }
+  );
+  await returnTicketInventory(purchase, transaction);
+  return 0;
+}
+
+async function returnTicketInventory(order, transaction) {
+  for (const li of order.line_items || []) {
+    const tier = await EventTicketTier.findByPk(li.tier_id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!tier) continue;
+    await tier.update(
+      { quantity_sold: Math.max(0, tier.quantity_sold - parseInt(li.quantity, 10)) },
+      { transaction }
+    );
+  }
+
+  const event = await TicketedEvent.findByPk(order.event_id, { transaction });
+  if (event?.status === "sold_out") {
+    await event.update({ status: "published" }, { transaction });
+  }
+}
+
+async function issueCreditNote(request) {
+  if (!request.student_id || !request.payment_reference) return null;
+
+  const invoice = await Invoice.findOne({
+    where: {
+      student_id: request.student_id,
+      payment_reference: request.payment_reference,
+      document_type: "invoice",
+    },
+  });
+  if (!invoice) return null;
+
+  // The invoice may be in the product currency; credit the same share of it
+  const share = parseFloat(request.amount_paid) > 0
+    ? parseFloat(request.amount) / parseFloat(request.amount_paid)
+    : 1;
+  const creditAmount =
+    request.kind === "chargeback"
+      ? parseFloat(invoice.total_amount)
+      : Math.round(parseFloat(invoice.total_amount) * share * 100) / 100;
+
+  return createCreditNote(invoice, {
+    amount: creditAmount,
+    reason: request.kind === "chargeback" ? "Chargeback" : request.reason || "Refund",
+  });
+}
+
+/**
+ * Approve (if needed) and carry out a refund or chargeback
+ * Card refunds are sent to Flutterwave before any database change; the refund id is
+ * stored straight away so a retry after a database failure does not refund twice.
+ * The request row is locked and its status re-checked in each transaction, so two
+ * approvals at the same moment process it once; the second gets a 409.
+ * On failure the request is marked failed (and the error rethrown) so an admin can retry.
+ * @param {Object} request - RefundRequest instance
+ * @param {Object} options - { actorType, actorId, refundMethod ("wallet" | "flutterwave"), note }
+ */
+export async function processRefund(request, { actorType, actorId, refundMethod, note } = {}) {
+  if (!["requested", "approved", "failed"].includes(request.status)) {
+    throw new ErrorClass(`Refund cannot be processed (status: ${request.status})`, 400);
+  }
+
+  const PurchaseModel = PURCHASE_MODELS[request.product_type];
+  const purchase = await PurchaseModel.findByPk(request.purchase_id);
+  if (!purchase) {
+    throw new ErrorClass("The original purchase no longer exists", 404);
+  }
+
+  const method = chooseRefundMethod(request, purchase, refundMethod);
+
+  if (request.status === "requested") {
+    // Conditional so a concurrent approval or rejection is not overwritten
+    const [approved] = await RefundRequest.update(
+      {
+        status: "approved",
+        reviewed_by_type: actorType,
+        reviewed_by_id: actorId || null,
+        reviewed_at: new Date(),
+        review_note: note ? String(note).trim() : request.review_note,
+      },
+      { where: { id: request.id, status: "requested" } }
+    );
+    if (!approved) {
+      throw new ErrorClass("This refund request has already been reviewed", 409);
+    }
+    await request.reload();
+  }
+
+  // Set when another approval got there first; the request must not be marked failed
+  let alreadyProcessed = false;
+  const assertStillOpen = async (transaction) => {
+    const current = await RefundRequest.findByPk(request.id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!current || !["approved", "failed"].includes(current.status)) {
+      alreadyProcessed = true;
+      throw new ErrorClass(
+        `Refund cannot be processed (status: ${current?.status || "deleted"})`,
+        409
+      );
+    }
+    return current;
+  };
+
+  try {
+    if (method === "flutterwave" && !request.provider_refund_id) {
+      // The request row stays locked during the card refund so a second approval waits,
+      // then sees provider_refund_id and does not refund the card again
+      const transaction = await db.transaction();
+      try {
+        const current = await assertStillOpen(transaction);
+        if (!current.provider_refund_id) {
+          const result = await refundTransaction(purchase.flutterwave_transaction_id, request.amount);
+          if (!result.success) {
+            throw new ErrorClass(`Card refund failed: ${result.message}`, 502);
+          }
+          await current.update({ provider_refund_id: String(result.refund.id) }, { transaction });
+        }
+        await transaction.commit();
+        request.set("provider_refund_id", current.provider_refund_id);
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    }
+
+    let tutorDebit = 0;
+    const transaction = await db.transaction();
+    try {
+      await assertStillOpen(transaction);
+      const locked = await PurchaseModel.findByPk(request.purchase_id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (!locked) {
+        throw new ErrorClass("The original purchase no longer exists", 404);
+      }
+      if (isPurchaseReversed(request.product_type, locked)) {
+        throw new ErrorClass("This purchase has already been refunded", 409);
+      }
+
+      tutorDebit = await reversePurchase(request, locked, transaction);
+      await cancelAffiliateReferrals(
+        locked.payment_reference || locked.transaction_ref,
+        `${request.kind === "chargeback" ? "Chargeback" : "Refund"} #${request.id}`,
+        transaction
+      );
+
+      if (method === "wallet") {
+        await creditStudentWallet(request, transaction);
+      }
+
+      await request.update(
+        {
+          status: "processed",
+          refund_method: method,
+          processed_at: new Date(),
+          tutor_debit_amount: tutorDebit,
+          failure_reason: null,
+        },
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  } catch (error) {
+    if (!alreadyProcessed) {
+      await request.update({ status: "failed", failure_reason: error.message });
+    }
+    throw error;
+  }
+
+  try {
+    const creditNote = await issueCreditNote(request);
+    if (creditNote) {
+      await request.update({ credit_note_id: creditNote.id });
+    }
+  } catch (error) {
+    // Money has moved; a missing credit note should not fail the refund
+    console.error(`Credit note for refund ${request.id} failed:`, error.message);
+  }
+
+  return request;
+}
+
+/**
+ * Record a chargeback raised with the card network (admin)
+ * The learner already has their money back, so no wallet credit is made;
+ * the sale is reversed, the tutor debited and access revoked.
+ */
+export async function recordChargeback({ productType, purchaseId, reason, providerReference, adminId }) {
+  if (!REFUNDABLE_PRODUCT_TYPES.includes(productType)) {
+    throw new ErrorClass(
+      `product_type must be one of: ${REFUNDABLE_PRODUCT_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  const purchase = await PURCHASE_MODELS[productType].findByPk(purchaseId);
+  if (!purchase) {
+    throw new ErrorClass("Purchase not found", 404);
+  }
+
+  const details = await describePurchase(productType, purchase);
+  if (!details.refundable) {
+    throw new ErrorClass("This purchase cannot be charged back", 400);
+  }
+  await assertNoExistingRequest(productType, purchase.id);
+
+  const request = await createRequestRow({
+    kind: "chargeback",
+    student_id: details.student_id,
+    product_type: productType,
+    product_id: details.product_id,
+    product_name: details.product_name,
+    purchase_id: purchase.id,
+    payment_reference: details.payment_reference,
+    owner_type: details.owner_type,
+    owner_id: details.owner_id,
+    amount_paid: details.amount_paid,
+    amount: details.amount_paid,
+    currency: details.currency,
+    reason: reason ? String(reason).trim() : null,
+    status: "approved",
+    requested_by_type: "admin",
+    requested_by_id: adminId,
+    reviewed_by_type: "admin",
+    reviewed_by_id: adminId,
+    reviewed_at: new Date(),
+    provider_refund_id: providerReference || null,
+  });
+
+  return processRefund(request, { actorType: "admin", actorId: adminId });
+}
+
+/**
+ * Refund every paid order of an event the host cancelled
+ * Host cancellations are refunded in full regardless of refund_policy.
+ * Free orders are simply cancelled.
+ * @returns {Promise<{ refunded: number, cancelled: number, failed: number }>}
+ */
+export async function refundCancelledEventOrders(event, { tutorId, reason } = {}) {
+  const orders = await EventTicketOrder.findAll({
+    where: { event_id: event.id, status: "paid" },
+  });
+  const summary = { refunded: 0, cancelled: 0, failed: 0 };
+
+  for (const order of orders) {
+    try {
+      if (parseFloat(order.total_amount) <= 0) {
+        const transaction = await db.transaction();
+        try {
+          await order.update({ status: "cancelled" }, { transaction });
+          await EventTicket.update(
+            { status: "cancelled" },
+            { where: { order_id: order.id, status: "valid" }, transaction }
+          );
+          await transaction.commit();
+        } catch (error) {
+          await transaction.rollback();
+          throw error;
+        }
+        summary.cancelled += 1;
+        continue;
+      }
+
+      const existing = await RefundRequest.findOne({
+        where: {
+          product_type: "event_ticket",
+          purchase_id: order.id,
+          status: { [Op.in]: [...OPEN_STATUSES, "processed"] },
+        },
+      });
+      if (existing?.status === "processed") continue;
+
+      const request =
+        existing ||
+        (await RefundRequest.create({
+          kind: "refund",
+          student_id: order.student_id,
+          product_type: "event_ticket",
+          product_id: event.id,
+          product_name: event.title,
+          purchase_id: order.id,
+          payment_reference: order.transaction_ref,
+          owner_type: event.owner_type,
+          owner_id: event.owner_id,
+          amount_paid: order.total_amount,
+          amount: order.total_amount,
+          currency: order.currency,
+          reason: reason || "Event cancelled by host",
+          status: "requested",
+          requested_by_type: "tutor",
+          requested_by_id: tutorId || null,
+          metadata: { event_cancelled: true },
+        }));
+
+      if (existing) {
+        await existing.update({ amount: existing.amount_paid });
+      }
+
+      await processRefund(request, {
+        actorType: "tutor",
+        actorId: tutorId,
+        note: "Event cancelled by host",
+      });
+      summary.refunded += 1;
+    } catch (error) {
+      console.error(`Event ${event.id} order ${order.id} refund failed:`, error.message);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+export function formatRefundRequest(request) {
+  return {
+    id: request.id,
+    kind: request.kind,
+    status: request.status,
+    student_id: request.student_id,
+    product_type: request.product_type,
+    product_id: request.product_id,
+    product_name: request.product_name,
+    purchase_id: request.purchase_id,
+    payment_reference: request.payment_reference,
+    owner_type: request.owner_type,
+    owner_id: request.owner_id,
+    amount_paid: parseFloat(request.amount_paid),
+    amount: parseFloat(request.amount),
+    currency: request.currency,
+    reason: request.reason,
+    refund_method: request.refund_method,
+    requested_by_type: request.requested_by_type,
+    reviewed_by_type: request.reviewed_by_type,
+    reviewed_at: request.reviewed_at,
+    review_note: request.review_note,
+    processed_at: request.processed_at,
+    tutor_debit_amount: parseFloat(request.tutor_debit_amount || 0),
+    credit_note_id: request.credit_note_id,
+    provider_refund_id: request.provider_refund_id,
+    failure_reason: request.failure_reason,
+    metadata: request.metadata,
+    created_at: request.created_at,
+  };
+}
@@ -0,0 +1,339 @@
+/**
+ * Scheduled reminders
+ * Sends in-app/email reminders a configurable number of hours (Config.reminders.leadHours)
+ * before exams, coaching sessions, community audio sessions and ticketed events.
+ * Delivery goes through the notification center, so category/channel preferences and the
+ * recipient's timezone apply. Every reminder is claimed in reminder_logs before it is
+ * sent: after a restart, or with two runners, a reminder is sent at most once.
+ */
+
+import { Op, UniqueConstraintError } from "sequelize";
+import { ReminderLog } from "../models/notification/reminderLog.js";
+import { Exam } from "../models/exams/exam.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Courses } from "../models/course/courses.js";
+import { CoachingSession } from "../models/marketplace/coachingSession.js";
+import { CoachingSessionPurchase } from "../models/marketplace/coachingSessionPurchase.js";
+import { CoachingParticipant } from "../models/marketplace/coachingParticipant.js";
+import { CommunityAudioSession } from "../models/marketplace/communityAudioSession.js";
+import { Community } from "../models/marketplace/community.js";
+import { CommunityMember } from "../models/marketplace/communityMember.js";
+import { TicketedEvent } from "../models/marketplace/ticketedEvent.js";
+import { EventTicketOrder } from "../models/marketplace/eventTicketOrder.js";
+import { EventTicket } from "../models/marketplace/eventTicket.js";
+import { notify, NOTIFICATION_TEMPLATES } from "./notificationService.js";
+import { academicRegistrationFilter } from "./gradebookService.js";
+import { emailService } from "./emailService.js";
+import { Config } from "../config/config.js";
+import { joinFrontendUrl } from "../utils/frontendUrl.js";
+
+const TARGET_BATCH_SIZE = 200;
+
+function getLeadHours() {
+  const hours = [...new Set(Config.reminders.leadHours)].sort((a, b) => a - b);
+  return hours.length ? hours : [24];
+}
+
+// Start times inside the largest reminder window
+const upcoming = (now, leadHours) => ({
+  [Op.gt]: now,
+  [Op.lte]: new Date(now.getTime() + leadHours[leadHours.length - 1] * 3600000),
+});
+
+/**
+ * Reminder window a start time currently falls in: the smallest lead that covers it.
+ * A session created 30 minutes before it starts only gets the 1-hour reminder.
+ */
+function dueLead(startsAt, now, leadHours) {
+  const hoursLeft = (new Date(startsAt) - now) / 3600000;
+  if (hoursLeft <= 0) return null;
+  return leadHours.find((lead) => hoursLeft <= lead) ?? null;
+}
+
+/**
+ * Claim a reminder. Returns false if it was already sent (or claimed by another runner).
+ */
+async function claim(targetType, targetId, leadHours, recipientKey, startsAt) {
+  try {
+    await ReminderLog.create({
+      target_type: targetType,
+      target_id: targetId,
+      lead_hours: leadHours,
+      recipient_key: recipientKey,
+      starts_at: startsAt,
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) return false;
+    throw error;
+  }
+}
+
+/**
+ * Send one reminder per recipient for a target, skipping those already sent.
+ * @param {Array<{ key: string, send: () => Promise }>} recipients
+ */
+async function remind(targetType, target, startsAt, lead, recipients, stats) {
+  const sent = await ReminderLog.findAll({
+    where: { target_type: targetType, target_id: target.id, lead_hours: lead, starts_at: startsAt },
+    attributes: ["recipient_key"],
+    raw: true,
+  });
+  const done = new Set(sent.map((row) => row.recipient_key));
+
+  for (const recipient of recipients) {
+    if (done.has(recipient.key)) continue;
+    done.add(recipient.key);
+    if (!(await claim(targetType, target.id, lead, recipient.key, startsAt))) continue;
+    try {
+      await recipient.send();
+      stats.sent++;
+    } catch (error) {
+      console.error(`Reminder ${targetType} ${target.id} to ${recipient.key} failed:`, error.message);
+      stats.failed++;
+    }
+  }
+}
+
+const studentRecipients = (studentIds, event, data, options) =>
+  [...new Set(studentIds.map(Number))].map((studentId) => ({
+    key: `student:${studentId}`,
+    send: () => notify("student", studentId, event, data, options),
+  }));
+
+async function remindExams(now, leadHours, stats) {
+  const exams = await Exam.findAll({
+    where: {
+      visibility: "published",
+      start_at: upcoming(now, leadHours),
+    },
+    attributes: ["id", "course_id", "academic_year", "semester", "title", "start_at", "duration_minutes"],
+    order: [["start_at", "ASC"]],
+    limit: TARGET_BATCH_SIZE,
+  });
+
+  for (const exam of exams) {
+    const lead = dueLead(exam.start_at, now, leadHours);
+    if (!lead) continue;
+    stats.checked++;
+
+    // Same academic registrations the gradebook uses; legacy rows have no registration_status
+    const where = { course_id: exam.course_id, ...academicRegistrationFilter() };
+    if (exam.academic_year) where.academic_year = exam.academic_year;
+    if (exam.semester) where.semester = exam.semester;
+    const [registrations, course] = await Promise.all([
+      CourseReg.findAll({ where, attributes: ["student_id"], raw: true }),
+      Courses.findByPk(exam.course_id, { attributes: ["title"] }),
+    ]);
+
+    const data = {
+      exam_id: exam.id,
+      exam_title: exam.title,
+      course_title: course?.title || null,
+      starts_at: exam.start_at,
+      duration_minutes: exam.duration_minutes,
+    };
+    const recipients = studentRecipients(
+      registrations.map((r) => r.student_id),
+      "exam.reminder",
+      data
+    );
+    await remind("exam", exam, exam.start_at, lead, recipients, stats);
+  }
+}
+
+async function remindCoachingSessions(now, leadHours, stats) {
+  const sessions = await CoachingSession.findAll({
+    where: {
+      status: "scheduled",
+      start_time: upcoming(now, leadHours),
+    },
+    attributes: ["id", "tutor_id", "tutor_type", "title", "start_time", "duration_minutes"],
+    order: [["start_time", "ASC"]],
+    limit: TARGET_BATCH_SIZE,
+  });
+
+  for (const session of sessions) {
+    const lead = dueLead(session.start_time, now, leadHours);
+    if (!lead) continue;
+    stats.checked++;
+
+    const [purchases, participants] = await Promise.all([
+      CoachingSessionPurchase.findAll({ where: { session_id: session.id }, attributes: ["student_id"], raw: true }),
+      CoachingParticipant.findAll({ where: { session_id: session.id }, attributes: ["student_id"], raw: true }),
+    ]);
+    const studentIds = [...purchases, ...participants].map((row) => row.student_id);
+    // No learners booked: nothing to remind the tutor about either
+    if (!studentIds.length) continue;
+
+    const data = {
+      session_id: session.id,
+      session_title: session.title,
+      starts_at: session.start_time,
+      duration_minutes: session.duration_minutes,
+    };
+    const recipients = studentRecipients(studentIds, "session.reminder", data, {
+      brandOwner: { ownerType: session.tutor_type, ownerId: session.tutor_id },
+    });
+    recipients.push({
+      key: `${session.tutor_type}:${session.tutor_id}`,
+      send: () =>
+        notify(session.tutor_type, session.tutor_id, "session.reminder", { ...data, for_tutor: true }),
+    });
+    await remind("coaching_session", session, session.start_time, lead, recipients, stats);
+  }
+}
+
+async function remindAudioSessions(now, leadHours, stats) {
+  const sessions = await CommunityAudioSession.findAll({
+    where: {
+      status: "scheduled",
+      scheduled_start_time: upcoming(now, leadHours),
+    },
+    attributes: ["id", "community_id", "title", "scheduled_start_time"],
+    order: [["scheduled_start_time", "ASC"]],
+    limit: TARGET_BATCH_SIZE,
+  });
+
+  for (const session of sessions) {
+    const lead = dueLead(session.scheduled_start_time, now, leadHours);
+    if (!lead) continue;
+    stats.checked++;
+
+    const [members, community] = await Promise.all([
+      CommunityMember.findAll({
+        where: { community_id: session.community_id, status: "active" },
+        attributes: ["student_id"],
+        raw: true,
+      }),
+      Community.findByPk(session.community_id, { attributes: ["name"] }),
+    ]);
+
+    const data = {
+      audio_session_id: session.id,
+      community_id: session.community_id,
+      community_name: community?.name || null,
+      session_title: session.title,
+      starts_at: session.scheduled_start_time,
+    };
+    const recipients = studentRecipients(
+      members.map((m) => m.student_id),
+      "audio_session.reminder",
+      data
+    );
+    await remind("audio_session", session, session.scheduled_start_time, lead, recipients, stats);
+  }
+}
+
+/**
+ * Guests (no student account, or extra ticket holders) have no preferences: email them
+ * directly, with dates in the event's timezone.
+ */
+function guestEventReminder(email, name, data, brandOwner) {
+  const template = NOTIFICATION_TEMPLATES["event.reminder"];
+  const content = template.build(data, { timezone: data.timezone });
+  return emailService.sendNotificationEmail(
+    { email, name },
+    {
+      title: content.title,
+      message: content.body,
+      actionUrl: joinFrontendUrl(Config.frontendUrl, content.link),
+      actionLabel: template.actionLabel,
+    },
+    true,
+    brandOwner
+  );
+}
+
+async function remindEvents(now, leadHours, stats) {
+  const events = await TicketedEvent.findAll({
+    where: {
+      status: { [Op.in]: ["published", "sold_out"] },
+      starts_at: upcoming(now, leadHours),
+    },
+    attributes: ["id", "owner_type", "owner_id", "title", "timezone", "starts_at", "venue_name"],
+    order: [["starts_at", "ASC"]],
+    limit: TARGET_BATCH_SIZE,
+  });
+
+  for (const event of events) {
+    const lead = dueLead(event.starts_at, now, leadHours);
+    if (!lead) continue;
+    stats.checked++;
+
+    const [orders, tickets] = await Promise.all([
+      EventTicketOrder.findAll({
+        where: { event_id: event.id, status: "paid" },
+        attributes: ["student_id", "buyer_email", "buyer_name"],
+        raw: true,
+      }),
+      EventTicket.findAll({
+        where: { event_id: event.id, status: "valid", holder_email: { [Op.ne]: null } },
+        attributes: ["holder_email", "holder_name"],
+        raw: true,
+      }),
+    ]);
+
+    const data = {
+      event_id: event.id,
+      event_title: event.title,
+      starts_at: event.starts_at,
+      timezone: event.timezone,
+      venue_name: event.venue_name || null,
+    };
+    const brandOwner = { ownerType: event.owner_type, ownerId: event.owner_id };
+    const recipients = [];
+    const emails = new Set();
+    for (const order of orders) {
+      if (order.buyer_email) emails.add(order.buyer_email.toLowerCase());
+      if (order.student_id) {
+        recipients.push({
+          key: `student:${order.student_id}`,
+          send: () => notify("student", order.student_id, "event.reminder", data, { brandOwner }),
+        });
+      } else if (order.buyer_email) {
+        recipients.push({
+          key: `email:${order.buyer_email.toLowerCase()}`,
+          send: () => guestEventReminder(order.buyer_email, order.buyer_name, data, brandOwner),
+        });
+      }
+    }
+    // Holders of tickets bought for them by someone else
+    for (const ticket of tickets) {
+      const email = ticket.holder_email.toLowerCase();
+      if (emails.has(email)) continue;
+      emails.add(email);
+      recipients.push({
+        key: `email:${email}`,
+        send: () => guestEventReminder(ticket.holder_email, ticket.holder_name, data, brandOwner),
+      });
+    }
+    await remind("event", event, event.starts_at, lead, recipients, stats);
+  }
+}
+
+/**
+ * Send every reminder that is due (scheduled job)
+ */
+export async function sendDueReminders(now = new Date()) {
+  const leadHours = getLeadHours();
+  const stats = { checked: 0, sent: 0, failed: 0 };
+  const errors = [];
+
+  const runs = {
+    exam: remindExams,
+    coaching_session: remindCoachingSessions,
+    audio_session: remindAudioSessions,
+    event: remindEvents,
+  };
+  for (const [targetType, run] of Object.entries(runs)) {
+    try {
+      await run(now, leadHours, stats);
+    } catch (error) {
+      console.error(`Reminders for ${targetType} failed:`, error.message);
+      errors.push(targetType);
+    }
+  }
+
+  return { success: errors.length === 0 && stats.failed === 0, lead_hours: leadHours, ...stats, errors };
+}
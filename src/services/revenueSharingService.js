@@ -4,6 +4,7 @@ import { SoleTutor } from "../models/marketplace/soleTutor.js";
 import { Organization } from "../models/marketplace/organization.js";
 import { Courses } from "../models/course/courses.js";
 import { Students } from "../models/auth/student.js";
+import { BundlePurchase } from "../models/marketplace/bundlePurchase.js";
 import { db } from "../database/database.js";
 import { applyLegacyWalletMirror } from "../utils/tutorWallet.js";
 
@@ -26,6 +27,51 @@ export function calculateRevenue(coursePrice, commissionRate) {
   };
 }
 
+/**
+ * Apply a coupon discount to a list price and split the remainder
+ * Commission is always taken on the discounted (actually paid) price.
+ * @param {number} listPrice - Product price before discount
+ * @param {number} discountAmount - Discount in the same currency as listPrice
+ * @param {number} commissionRate - WPU commission percentage
+ * @returns {Object} - { netPrice, discountAmount, wspCommission, tutorEarnings }
+ */
+export function calculateDiscountedRevenue(listPrice, discountAmount, commissionRate) {
+  const price = parseFloat(listPrice || 0);
+  const discount = Math.min(Math.max(parseFloat(discountAmount || 0), 0), price);
+  const netPrice = parseFloat((price - discount).toFixed(2));
+
+  return {
+    netPrice,
+    discountAmount: parseFloat(discount.toFixed(2)),
+    ...calculateRevenue(netPrice, commissionRate),
+  };
+}
+
+/**
+ * Add a sale to the owner's total earnings and credit their share to the wallet
+ * matching the sale currency
+ */
+async function creditOwnerWallet(owner, paidPrice, tutorEarnings, currency, transaction = null) {
+  const newTotalEarnings = parseFloat(owner.total_earnings || 0) + paidPrice;
+  const cur = (currency || "NGN").toString().toUpperCase();
+  const updates = { total_earnings: newTotalEarnings };
+
+  if (cur === "USD") {
+    updates.wallet_balance_usd =
+      parseFloat(owner.wallet_balance_usd || 0) + tutorEarnings;
+  } else if (cur === "GBP") {
+    updates.wallet_balance_gbp =
+      parseFloat(owner.wallet_balance_gbp || 0) + tutorEarnings;
+  } else {
+    const nextPrimary =
+      parseFloat(owner.wallet_balance_primary || 0) + tutorEarnings;
+    updates.wallet_balance_primary = nextPrimary;
+    applyLegacyWalletMirror(updates, nextPrimary);
+  }
+
+  await owner.update(updates, { transaction });
+}
+
 /**
  * Process marketplace course purchase and distribute revenue
  * 
@@ -38,11 +84,20 @@ export function calculateRevenue(coursePrice, commissionRate) {
  * @param {number} purchaseData.student_id - Student ID
  * @param {string} purchaseData.payment_reference - Payment gateway reference
  * @param {string} purchaseData.payment_method - Payment method
+ * @param {number} [purchaseData.discount_amount] - Coupon discount in course currency
+ * @param {number} [purchaseData.coupon_id] - Coupon redeemed on this purchase
+ * @param {Object} [dbTransaction] - Sequelize transaction
  * @returns {Promise<Object>} - Transaction record
  */
-export async function processMarketplacePurchase(purchaseData) {
-  const { course_id, student_id, payment_reference, payment_method } =
-    purchaseData;
+export async function processMarketplacePurchase(purchaseData, dbTransaction = null) {
+  const {
+    course_id,
+    student_id,
+    payment_reference,
+    payment_method,
+    discount_amount = 0,
+    coupon_id = null,
+  } = purchaseData;
 
   // Validate and truncate payment_reference if too long (defensive measure)
   // Database column is VARCHAR(255), but truncate to 250 to be safe
@@ -57,7 +112,7 @@ export async function processMarketplacePurchase(purchaseData) {
     : "unknown";
 
   // Get course with owner information
-  const course = await Courses.findByPk(course_id);
+  const course = await Courses.findByPk(course_id, { transaction: dbTransaction });
   if (!course) {
     throw new Error("Course not found");
   }
@@ -73,6 +128,13 @@ export async function processMarketplacePurchase(purchaseData) {
     throw new Error("Course price is invalid");
   }
 
+  // Price actually paid after any coupon discount
+  const { netPrice: paidPrice, discountAmount } = calculateDiscountedRevenue(
+    coursePrice,
+    discount_amount,
+    0
+  );
+
   // Handle WPU marketplace courses (100% revenue to WPU)
   if (course.owner_type === "wpu" || course.owner_type === "wsp") {
     // WPU marketplace course - 100% revenue to WPU, no commission split
@@ -83,15 +145,17 @@ export async function processMarketplacePurchase(purchaseData) {
         student_id,
         owner_type: "wpu", // Use "wpu" for transaction record
         owner_id: null, // WPU courses don't have owner_id
-        course_price: coursePrice,
+        course_price: paidPrice,
+        discount_amount: discountAmount,
+        coupon_id,
         currency: course.currency || "NGN",
         commission_rate: 0, // No commission (100% to WPU)
-        wsp_commission: coursePrice, // 100% to WPU
+        wsp_commission: paidPrice, // 100% to WPU
         tutor_earnings: 0, // No tutor earnings
         payment_status: "completed",
         payment_method: safePaymentMethod,
         payment_reference: safePaymentReference,
-      });
+      }, { transaction: dbTransaction });
     } catch (error) {
       // Enhanced error logging to identify the problematic field
       console.error("❌ Error creating MarketplaceTransaction:", {
@@ -121,17 +185,18 @@ export async function processMarketplacePurchase(purchaseData) {
     // Create WPU commission record (100% of course price)
     await WspCommission.create({
       transaction_id: transaction.id,
-      amount: coursePrice,
+      amount: paidPrice,
       currency: course.currency || "NGN",
       status: "collected",
       collected_at: new Date(),
-    });
+    }, { transaction: dbTransaction });
 
     return {
       transaction,
       revenue: {
-        coursePrice,
-        wspCommission: coursePrice, // 100% to WPU
+        coursePrice: paidPrice,
+        discountAmount,
+        wspCommission: paidPrice, // 100% to WPU
         tutorEarnings: 0, // No tutor earnings
         commissionRate: 0, // No commission
       },
@@ -142,9 +207,9 @@ export async function processMarketplacePurchase(purchaseData) {
   // Get owner (tutor or organization)
   let owner;
   if (course.owner_type === "sole_tutor") {
-    owner = await SoleTutor.findByPk(course.owner_id);
+    owner = await SoleTutor.findByPk(course.owner_id, { transaction: dbTransaction });
   } else if (course.owner_type === "organization") {
-    owner = await Organization.findByPk(course.owner_id);
+    owner = await Organization.findByPk(course.owner_id, { transaction: dbTransaction });
   }
 
   if (!owner) {
@@ -154,7 +219,7 @@ export async function processMarketplacePurchase(purchaseData) {
   // Calculate revenue split
   const commissionRate = parseFloat(owner.commission_rate || 15);
   const { wspCommission, tutorEarnings } = calculateRevenue(
-    coursePrice,
+    paidPrice,
     commissionRate
   );
 
@@ -166,7 +231,9 @@ export async function processMarketplacePurchase(purchaseData) {
       student_id,
       owner_type: course.owner_type,
       owner_id: course.owner_id,
-      course_price: coursePrice,
+      course_price: paidPrice,
+      discount_amount: discountAmount,
+      coupon_id,
       currency: course.currency || "NGN",
       commission_rate: commissionRate,
       wsp_commission: wspCommission,
@@ -174,7 +241,7 @@ export async function processMarketplacePurchase(purchaseData) {
       payment_status: "completed",
       payment_method: safePaymentMethod,
       payment_reference: safePaymentReference,
-    });
+    }, { transaction: dbTransaction });
   } catch (error) {
     // Enhanced error logging to identify the problematic field
     console.error("❌ Error creating MarketplaceTransaction:", {
@@ -208,31 +275,87 @@ export async function processMarketplacePurchase(purchaseData) {
     currency: course.currency || "NGN",
     status: "collected", // Automatically collected when payment is successful
     collected_at: new Date(),
-  });
+  }, { transaction: dbTransaction });
 
-  const newTotalEarnings = parseFloat(owner.total_earnings || 0) + coursePrice;
-  const cur = (course.currency || "NGN").toString().toUpperCase();
-  const updates = { total_earnings: newTotalEarnings };
+  await creditOwnerWallet(owner, paidPrice, tutorEarnings, course.currency, dbTransaction);
 
-  if (cur === "USD") {
-    updates.wallet_balance_usd =
-      parseFloat(owner.wallet_balance_usd || 0) + tutorEarnings;
-  } else if (cur === "GBP") {
-    updates.wallet_balance_gbp =
-      parseFloat(owner.wallet_balance_gbp || 0) + tutorEarnings;
-  } else {
-    const nextPrimary =
-      parseFloat(owner.wallet_balance_primary || 0) + tutorEarnings;
-    updates.wallet_balance_primary = nextPrimary;
-    applyLegacyWalletMirror(updates, nextPrimary);
+  return {
+    transaction,
+    revenue: {
+      coursePrice: paidPrice,
+      discountAmount,
+      wspCommission,
+      tutorEarnings,
+      commissionRate,
+    },
+  };
+}
+
+/**
+ * Record a bundle purchase and split its revenue with the bundle owner.
+ * One commission is taken on the bundle price; the included products are granted
+ * separately (see bundleService.grantBundleProducts) and carry no revenue of their own.
+ *
+ * @param {Object} purchaseData
+ * @param {Object} purchaseData.bundle - ProductBundle instance
+ * @param {number} purchaseData.student_id
+ * @param {number} purchaseData.price - Price paid, in purchaseData.currency
+ * @param {string} purchaseData.currency
+ * @param {string} purchaseData.payment_reference
+ * @param {Array} [purchaseData.granted_products]
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - { purchase, revenue }
+ */
+export async function processBundlePurchase(purchaseData, transaction = null) {
+  const {
+    bundle,
+    student_id,
+    price,
+    currency,
+    payment_reference,
+    granted_products = null,
+  } = purchaseData;
+
+  let owner;
+  if (bundle.owner_type === "sole_tutor") {
+    owner = await SoleTutor.findByPk(bundle.owner_id, { transaction });
+  } else if (bundle.owner_type === "organization") {
+    owner = await Organization.findByPk(bundle.owner_id, { transaction });
+  }
+  if (!owner) {
+    throw new Error("Bundle owner not found");
   }
 
-  await owner.update(updates);
+  const paidPrice = parseFloat(price || 0);
+  const commissionRate = paidPrice > 0 ? parseFloat(owner.commission_rate || 15) : 0;
+  const { wspCommission, tutorEarnings } = calculateRevenue(paidPrice, commissionRate);
+
+  const purchase = await BundlePurchase.create(
+    {
+      bundle_id: bundle.id,
+      student_id,
+      owner_type: bundle.owner_type,
+      owner_id: bundle.owner_id,
+      price: paidPrice,
+      currency,
+      commission_rate: commissionRate,
+      wsp_commission: wspCommission,
+      tutor_earnings: tutorEarnings,
+      status: "completed",
+      transaction_ref: payment_reference,
+      granted_products,
+    },
+    { transaction }
+  );
+
+  if (paidPrice > 0) {
+    await creditOwnerWallet(owner, paidPrice, tutorEarnings, currency, transaction);
+  }
 
   return {
-    transaction,
+    purchase,
     revenue: {
-      coursePrice,
+      bundlePrice: paidPrice,
       wspCommission,
       tutorEarnings,
       commissionRate,
@@ -322,10 +445,15 @@ export async function getTutorRevenueStats(ownerType, ownerId, startDate, endDat
 
   const totalTransactions = await MarketplaceTransaction.count({ where });
 
+  const totalDiscounts = await MarketplaceTransaction.sum("discount_amount", {
+    where,
+  });
+
   return {
     totalEarnings: totalEarnings || 0,
     totalRevenue: totalRevenue || 0,
     totalTransactions,
+    totalDiscounts: totalDiscounts || 0,
   };
 }
 
@@ -0,0 +1,124 @@
+/**
+ * Review Moderation Service
+ * Content screening for product reviews and the status rules shared by learner reports,
+ * admin moderation and tutor replies.
+ *
+ * New reviews are published straight away unless screening finds something suspicious,
+ * in which case they are held as "pending" until an admin approves or rejects them.
+ */
+
+import { ErrorClass } from "../utils/errorClass/index.js";
+
+export const REVIEW_STATUSES = ["pending", "approved", "rejected", "hidden", "flagged"];
+
+export const REVIEW_ABUSE_REASONS = [
+  "spam",
+  "offensive",
+  "harassment",
+  "fake",
+  "off_topic",
+  "personal_info",
+  "other",
+];
+
+// Open reports needed to pull an approved review back into the moderation queue
+export const REPORT_HOLD_THRESHOLD = 3;
+
+const MAX_REPLY_LENGTH = 2000;
+
+// Whole words only, so "class" or "assess" do not match
+const PROFANITY = [
+  "fuck",
+  "fucking",
+  "fucker",
+  "shit",
+  "bullshit",
+  "bitch",
+  "bastard",
+  "asshole",
+  "dick",
+  "cunt",
+  "slut",
+  "whore",
+  "motherfucker",
+  "wanker",
+  "retard",
+  "idiot",
+  "stupid",
+];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join("|")})\\b`, "i");
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|ng|co|xyz|info|biz)\b/i;
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /(\+?\d[\s-]?){10,}/;
+const REPEATED_CHARACTER_PATTERN = /(.)\1{6,}/;
+
+/**
+ * Check review text for profanity and common spam signs
+ * @returns {string[]} reasons to hold the review (empty when it looks fine)
+ */
+export function screenReviewContent({ title, comment } = {}) {
+  const text = [title, comment].filter(Boolean).join("\n");
+  if (!text.trim()) return [];
+
+  const reasons = [];
+  if (PROFANITY_PATTERN.test(text)) reasons.push("profanity");
+  if (LINK_PATTERN.test(text)) reasons.push("links");
+  if (EMAIL_PATTERN.test(text) || PHONE_PATTERN.test(text)) reasons.push("contact_details");
+  if (REPEATED_CHARACTER_PATTERN.test(text)) reasons.push("repeated_characters");
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    reasons.push("excessive_caps");
+  }
+
+  const words = text.toLowerCase().match(/[a-z']+/g) || [];
+  if (words.length >= 8 && new Set(words).size / words.length < 0.3) {
+    reasons.push("repeated_words");
+  }
+
+  return reasons;
+}
+
+/**
+ * Validate abuse reasons sent by an admin or a learner
+ */
+export function parseAbuseReasons(value, { required = true } = {}) {
+  const reasons = (Array.isArray(value) ? value : value ? [value] : []).map(String);
+  if (required && reasons.length === 0) {
+    throw new ErrorClass(`At least one reason is required: ${REVIEW_ABUSE_REASONS.join(", ")}`, 400);
+  }
+  const unknown = reasons.filter((r) => !REVIEW_ABUSE_REASONS.includes(r));
+  if (unknown.length) {
+    throw new ErrorClass(`Unknown reasons: ${unknown.join(", ")}`, 400);
+  }
+  return [...new Set(reasons)];
+}
+
+/**
+ * Validate a tutor reply (plain text, no profanity)
+ */
+export function normalizeTutorReply(reply) {
+  const text = reply ? String(reply).trim() : "";
+  if (!text) {
+    throw new ErrorClass("reply is required", 400);
+  }
+  if (text.length > MAX_REPLY_LENGTH) {
+    throw new ErrorClass(`reply must be at most ${MAX_REPLY_LENGTH} characters`, 400);
+  }
+  if (PROFANITY_PATTERN.test(text)) {
+    throw new ErrorClass("Reply contains language that is not allowed", 400);
+  }
+  return text;
+}
+
+/**
+ * Public shape of the tutor reply on a review
+ */
+export function formatTutorReply(review) {
+  if (!review.tutor_reply) return null;
+  return {
+    text: review.tutor_reply,
+    replied_at: review.tutor_replied_at,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Scheduled Job Definitions
+ * Registry of recurring background jobs run by jobSchedulerService.
+ *
+ * Each job:
+ * - name: stable identifier (used in routes, run history and locks)
+ * - cron: schedule (5-field cron, evaluated in Config.jobs.timezone)
+ * - attempts / backoffMs: retries with exponential backoff on failure
+ * - handler: async function; throw (or return { success: false }) to signal failure
+ *
+ * Handlers are imported lazily so a broken job module cannot stop the server from booting.
+ */
+
+export const SCHEDULED_JOBS = [
+  {
+    name: "subscription-auto-renewals",
+    description: "Charge wallets for membership/tutor subscriptions due for renewal",
+    cron: "0 2 * * *",
+    attempts: 3,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { processAutoRenewals } = await import("./subscriptionRenewalService.js");
+      return processAutoRenewals();
+    },
+  },
+  {
+    name: "subscription-expirations",
+    description: "Expire subscriptions that were not renewed",
+    // After auto-renewals so renewed subscriptions are not expired
+    cron: "15 2 * * *",
+    attempts: 3,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { expireSubscriptions } = await import("./subscriptionRenewalService.js");
+      return expireSubscriptions();
+    },
+  },
+  {
+    name: "community-subscription-expirations",
+    description: "Renew or expire community subscriptions and send reminders",
+    cron: "30 2 * * *",
+    attempts: 3,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { checkAndProcessCommunitySubscriptions } = await import(
+        "./communitySubscriptionExpirationService.js"
+      );
+      return checkAndProcessCommunitySubscriptions();
+    },
+  },
+  {
+    name: "exchange-rate-refresh",
+    description: "Refresh currency exchange rates",
+    cron: "0 * * * *",
+    attempts: 3,
+    backoffMs: 60 * 1000,
+    handler: async () => {
+      const { runExchangeRateUpdate } = await import("../scripts/updateExchangeRates.js");
+      return runExchangeRateUpdate();
+    },
+  },
+  {
+    name: "expired-cart-cleanup",
+    description: "Mark expired guest store carts as expired",
+    cron: "0 3 * * *",
+    attempts: 2,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { cleanupExpiredCarts } = await import("../scripts/cleanupExpiredCarts.js");
+      return cleanupExpiredCarts();
+    },
+  },
+  {
+    name: "event-ticket-reservation-expiry",
+    description: "Cancel stale pending event ticket orders and release reserved seats",
+    cron: "*/5 * * * *",
+    attempts: 1,
+    backoffMs: 0,
+    handler: async () => {
+      const { expireStalePendingOrders } = await import("./eventTicketService.js");
+      return expireStalePendingOrders();
+    },
+  },
+  {
+    name: "product-popularity-update",
+    description: "Recalculate marketplace product popularity scores",
+    cron: "45 2 * * *",
+    attempts: 2,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { runProductPopularityUpdate } = await import("../scripts/updateProductPopularity.js");
+      return runProductPopularityUpdate();
+    },
+  },
+  {
+    name: "affiliate-commission-release",
+    description: "Pay affiliate commissions whose hold period has ended",
+    cron: "0 4 * * *",
+    attempts: 2,
+    backoffMs: 5 * 60 * 1000,
+    handler: async () => {
+      const { releaseDueAffiliateCommissions } = await import("./affiliateService.js");
+      return releaseDueAffiliateCommissions();
+    },
+  },
+  {
+    name: "webhook-delivery-retry",
+    description: "Retry outbound webhook deliveries that are due",
+    cron: "* * * * *",
+    attempts: 1,
+    backoffMs: 0,
+    handler: async () => {
+      const { processDueWebhookDeliveries } = await import("./webhookService.js");
+      return processDueWebhookDeliveries();
+    },
+  },
+  {
+    name: "scheduled-reminders",
+    description: "Remind attendees before exams, coaching sessions, audio sessions and events",
+    cron: "*/5 * * * *",
+    attempts: 1,
+    backoffMs: 0,
+    handler: async () => {
+      const { sendDueReminders } = await import("./reminderService.js");
+      return sendDueReminders();
+    },
+  },
+];
+
+export function getScheduledJob(name) {
+  return SCHEDULED_JOBS.find((job) => job.name === name) || null;
+}
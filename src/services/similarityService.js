@@ -0,0 +1,352 @@
+/**
+ * Similarity Service
+ * Local plagiarism screening for written answers: texts are split into overlapping
+ * 5-word shingles, each text gets a MinHash signature, and pairs whose estimated
+ * similarity is close to the threshold are confirmed with the exact Jaccard similarity of
+ * their shingle sets. Confirmed pairs come with the shared passages as character ranges
+ * so the grading view can highlight them.
+ *
+ * Everything runs in process; no text leaves the server.
+ */
+
+import { Op } from "sequelize";
+import { Config } from "../config/config.js";
+import { ExamAttempt, ExamAnswerTheory, ExamItem } from "../models/exams/index.js";
+import { AssignmentSubmissions } from "../models/modules/assignment_submissions.js";
+
+const SHINGLE_WORDS = 5;
+const SIGNATURE_SIZE = 128;
+// MinHash estimates are noisy (±0.1 at 128 hashes); screen a little below the threshold
+const SCREEN_MARGIN = 0.1;
+const MAX_PASSAGE_CHARS = 500;
+
+// Fixed seeds so signatures are stable between requests
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(0x9e3779b9 ^ (i + 1)));
+
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Words with their position in the original text, lower-cased and accent-free
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({
+      word: match[0].normalize("NFD").replace(/\p{M}/gu, "").toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Shingle hashes and MinHash signature of a text, or null when it is too short to judge
+ * @returns {{ text, tokens, shingles: number[], set: Set<number>, signature: Uint32Array }|null}
+ */
+export function fingerprint(text, { minWords = Config.similarity.minWords } = {}) {
+  const tokens = tokenize(text);
+  if (tokens.length < Math.max(minWords, SHINGLE_WORDS)) return null;
+
+  // shingles[i] covers tokens i .. i + SHINGLE_WORDS - 1
+  const shingles = [];
+  for (let i = 0; i + SHINGLE_WORDS <= tokens.length; i++) {
+    const words = tokens.slice(i, i + SHINGLE_WORDS).map((t) => t.word);
+    shingles.push(fnv1a(words.join(" ")));
+  }
+  const set = new Set(shingles);
+
+  const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of set) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const h = fmix32(shingle ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return { text: String(text), tokens, shingles, set, signature };
+}
+
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a.signature[i] === b.signature[i]) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+function exactSimilarity(a, b) {
+  const [small, large] = a.set.size <= b.set.size ? [a.set, b.set] : [b.set, a.set];
+  let shared = 0;
+  for (const shingle of small) {
+    if (large.has(shingle)) shared++;
+  }
+  return shared / (a.set.size + b.set.size - shared);
+}
+
+/**
+ * Passages of `doc` made of shingles that also appear in `other`
+ * @returns {Array<{ start, end, text }>} character ranges into doc.text
+ */
+function sharedPassages(doc, other) {
+  const covered = new Array(doc.tokens.length).fill(false);
+  doc.shingles.forEach((shingle, i) => {
+    if (!other.set.has(shingle)) return;
+    for (let j = i; j < i + SHINGLE_WORDS; j++) covered[j] = true;
+  });
+
+  const passages = [];
+  let from = -1;
+  for (let i = 0; i <= covered.length; i++) {
+    if (covered[i] && from === -1) from = i;
+    if (!covered[i] && from !== -1) {
+      const start = doc.tokens[from].start;
+      const end = doc.tokens[i - 1].end;
+      const text = doc.text.slice(start, end);
+      passages.push({
+        start,
+        end,
+        text: text.length > MAX_PASSAGE_CHARS ? `${text.slice(0, MAX_PASSAGE_CHARS)}…` : text,
+      });
+      from = -1;
+    }
+  }
+  return passages;
+}
+
+function comparePair(a, b, threshold) {
+  if (estimateSimilarity(a, b) < threshold - SCREEN_MARGIN) return null;
+  const similarity = exactSimilarity(a, b);
+  if (similarity < threshold) return null;
+  return {
+    similarity: Math.round(similarity * 1000) / 1000,
+    passages: sharedPassages(a, b),
+    other_passages: sharedPassages(b, a),
+  };
+}
+
+/**
+ * Flag every pair of documents at or above the threshold
+ * Documents sharing a group (e.g. the same student) are never compared.
+ * @param {Array<{ id, group?, text }>} documents
+ * @returns {Array<{ a, b, similarity, passages, other_passages }>} most similar first;
+ *   passages are ranges in a's text, other_passages in b's
+ */
+export function findSimilarPairs(documents, { threshold = Config.similarity.threshold, minWords } = {}) {
+  const docs = documents
+    .map((d) => ({ ...d, fp: fingerprint(d.text, { minWords }) }))
+    .filter((d) => d.fp);
+
+  const pairs = [];
+  for (let i = 0; i < docs.length; i++) {
+    for (let j = i + 1; j < docs.length; j++) {
+      if (docs[i].group !== undefined && docs[i].group === docs[j].group) continue;
+      const match = comparePair(docs[i].fp, docs[j].fp, threshold);
+      if (match) pairs.push({ a: docs[i].id, b: docs[j].id, ...match });
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Flag the documents that are similar to one target document
+ * @param {{ id, group?, text }} target
+ * @param {Array<{ id, group?, text }>} documents - may include the target; it is skipped
+ * @returns {Array<{ id, similarity, passages, other_passages }>} most similar first;
+ *   passages are ranges in the target's text, other_passages in the matching document's
+ */
+export function findSimilarTo(target, documents, { threshold = Config.similarity.threshold, minWords } = {}) {
+  const targetFp = fingerprint(target.text, { minWords });
+  if (!targetFp) return [];
+
+  const matches = [];
+  for (const doc of documents) {
+    if (doc.id === target.id) continue;
+    if (target.group !== undefined && doc.group === target.group) continue;
+    const fp = fingerprint(doc.text, { minWords });
+    if (!fp) continue;
+    const match = comparePair(targetFp, fp, threshold);
+    if (match) matches.push({ id: doc.id, ...match });
+  }
+  return matches.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Theory answers of an exam with text, from submitted or graded attempts, keyed by
+ * question (answers to the same bank question share a key even when exam items are
+ * drawn per attempt)
+ * @returns {Map<number, Array<{ id, group, text, attempt_id, student_id }>>}
+ */
+async function loadExamTheoryAnswers(examId, questionBankIds = null) {
+  const answers = await ExamAnswerTheory.findAll({
+    where: { answer_text: { [Op.ne]: null } },
+    attributes: ["id", "attempt_id", "answer_text"],
+    include: [
+      {
+        model: ExamItem,
+        as: "examItem",
+        attributes: ["id", "question_bank_id"],
+        where: {
+          exam_id: examId,
+          ...(questionBankIds ? { question_bank_id: questionBankIds } : {}),
+        },
+      },
+      {
+        model: ExamAttempt,
+        as: "attempt",
+        attributes: ["id", "student_id"],
+        where: { status: { [Op.in]: ["submitted", "graded"] } },
+      },
+    ],
+  });
+
+  const byQuestion = new Map();
+  for (const answer of answers) {
+    const questionId = answer.examItem.question_bank_id;
+    if (!byQuestion.has(questionId)) byQuestion.set(questionId, []);
+    byQuestion.get(questionId).push({
+      id: answer.id,
+      group: answer.attempt.student_id,
+      text: answer.answer_text,
+      attempt_id: answer.attempt_id,
+      student_id: answer.attempt.student_id,
+    });
+  }
+  return byQuestion;
+}
+
+/**
+ * Other students' answers similar to each theory answer of an attempt
+ * @param {Object} attempt - ExamAttempt with theoryAnswers.examItem loaded
+ * @returns {Map<number, Array>} answer id -> [{ answer_id, attempt_id, student_id,
+ *   similarity, passages, other_passages, other_answer_text }]
+ */
+export async function getAttemptSimilarity(attempt) {
+  const theoryAnswers = (attempt.theoryAnswers || []).filter((a) => a.answer_text && a.examItem);
+  const result = new Map();
+  if (theoryAnswers.length === 0) return result;
+
+  const byQuestion = await loadExamTheoryAnswers(
+    attempt.exam_id,
+    [...new Set(theoryAnswers.map((a) => a.examItem.question_bank_id))]
+  );
+  for (const answer of theoryAnswers) {
+    const others = byQuestion.get(answer.examItem.question_bank_id) || [];
+    const byId = new Map(others.map((o) => [o.id, o]));
+    const matches = findSimilarTo(
+      { id: answer.id, group: attempt.student_id, text: answer.answer_text },
+      others
+    );
+    if (matches.length === 0) continue;
+    result.set(
+      answer.id,
+      matches.map(({ id, ...match }) => ({
+        answer_id: id,
+        attempt_id: byId.get(id).attempt_id,
+        student_id: byId.get(id).student_id,
+        ...match,
+        other_answer_text: byId.get(id).text,
+      }))
+    );
+  }
+  return result;
+}
+
+/**
+ * Flagged pairs of theory answers for every question of an exam
+ * @returns {Array<{ question_bank_id, answers_compared, pairs }>}
+ */
+export async function getExamSimilarityReport(examId) {
+  const byQuestion = await loadExamTheoryAnswers(examId);
+  const questions = [];
+  for (const [questionBankId, answers] of byQuestion) {
+    const byId = new Map(answers.map((a) => [a.id, a]));
+    const side = (id) => ({
+      answer_id: id,
+      attempt_id: byId.get(id).attempt_id,
+      student_id: byId.get(id).student_id,
+    });
+    questions.push({
+      question_bank_id: questionBankId,
+      answers_compared: answers.length,
+      pairs: findSimilarPairs(answers).map(({ a, b, similarity, passages, other_passages }) => ({
+        similarity,
+        a: { ...side(a), passages },
+        b: { ...side(b), passages: other_passages },
+      })),
+    });
+  }
+  return questions;
+}
+
+/**
+ * Latest text submission of each student for an assignment
+ */
+async function loadAssignmentTexts(assignmentId) {
+  const submissions = await AssignmentSubmissions.findAll({
+    where: { assignment_id: assignmentId, text_content: { [Op.ne]: null } },
+    attributes: ["id", "student_id", "attempt_number", "text_content"],
+    order: [["attempt_number", "ASC"]],
+  });
+  const latest = new Map();
+  for (const s of submissions) latest.set(s.student_id, s);
+  return [...latest.values()].map((s) => ({
+    id: s.id,
+    group: s.student_id,
+    text: s.text_content,
+    student_id: s.student_id,
+  }));
+}
+
+/**
+ * Other students' text submissions similar to one submission
+ * @returns {Array<{ submission_id, student_id, similarity, passages, other_passages,
+ *   other_text_content }>}
+ */
+export async function getSubmissionSimilarity(submission) {
+  if (!submission.text_content) return [];
+  const others = await loadAssignmentTexts(submission.assignment_id);
+  const byId = new Map(others.map((o) => [o.id, o]));
+  return findSimilarTo(
+    { id: submission.id, group: submission.student_id, text: submission.text_content },
+    others
+  ).map(({ id, ...match }) => ({
+    submission_id: id,
+    student_id: byId.get(id).student_id,
+    ...match,
+    other_text_content: byId.get(id).text,
+  }));
+}
+
+/**
+ * Flagged pairs among the students' latest text submissions to an assignment
+ * @returns {{ submissions_compared, pairs }}
+ */
+export async function getAssignmentSimilarityReport(assignmentId) {
+  const texts = await loadAssignmentTexts(assignmentId);
+  const byId = new Map(texts.map((t) => [t.id, t]));
+  const side = (id) => ({ submission_id: id, student_id: byId.get(id).student_id });
+  return {
+    submissions_compared: texts.length,
+    pairs: findSimilarPairs(texts).map(({ a, b, similarity, passages, other_passages }) => ({
+      similarity,
+      a: { ...side(a), passages },
+      b: { ...side(b), passages: other_passages },
+    })),
+  };
+}
@@ -1,14 +1,93 @@
 import { CourseReg } from "../models/course_reg.js";
 import { Students } from "../models/auth/student.js";
+import { AcademicStanding } from "../models/grading/index.js";
+import { Config } from "../config/config.js";
+import { computeAcademicRecord } from "./transcriptService.js";
 import { Op } from "sequelize";
 
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Decide the end-of-session standing from the academic record
+ * Rules (Config.academicStanding):
+ * - CGPA below withdrawalCgpa -> withdrawn
+ * - CGPA below probationCgpa, or more carry-over units than maxCarryOverUnits -> probation
+ *   (withdrawn when the previous session was also probation)
+ * - otherwise good
+ * Students without any graded result yet are in good standing.
+ */
+export function decideAcademicStanding(record, previousStanding = null) {
+  const rules = Config.academicStanding;
+  const { cgpa, carry_over_units: carryOverUnits } = record.summary;
+
+  if (cgpa === null) {
+    return { standing: "good", reason: "No graded results yet" };
+  }
+  if (cgpa < rules.withdrawalCgpa) {
+    return {
+      standing: "withdrawn",
+      reason: `CGPA ${cgpa.toFixed(2)} is below the withdrawal threshold of ${rules.withdrawalCgpa.toFixed(2)}`,
+    };
+  }
+
+  let probationReason = null;
+  if (cgpa < rules.probationCgpa) {
+    probationReason = `CGPA ${cgpa.toFixed(2)} is below ${rules.probationCgpa.toFixed(2)}`;
+  } else if (carryOverUnits > rules.maxCarryOverUnits) {
+    probationReason = `${carryOverUnits} carry-over units outstanding (maximum ${rules.maxCarryOverUnits})`;
+  }
+
+  if (!probationReason) {
+    return { standing: "good", reason: `CGPA ${cgpa.toFixed(2)}` };
+  }
+  if (previousStanding?.standing === "probation") {
+    return { standing: "withdrawn", reason: `${probationReason} after a session on probation` };
+  }
+  return { standing: "probation", reason: probationReason };
+}
+
+/**
+ * Record the standing for a completed session (once per student and session)
+ */
+async function recordSessionStanding(student, academicYear) {
+  const record = await computeAcademicRecord(student.id, { throughAcademicYear: academicYear });
+  const previousStanding = await AcademicStanding.findOne({
+    where: { student_id: student.id, academic_year: { [Op.lt]: academicYear } },
+    order: [["academic_year", "DESC"]],
+  });
+  const { standing, reason } = decideAcademicStanding(record, previousStanding);
+
+  const session = record.semesters.filter((s) => s.academic_year === academicYear);
+  const sessionUnits = session.reduce((sum, s) => sum + s.units_attempted, 0);
+  const sessionPoints = session.reduce((sum, s) => sum + s.quality_points, 0);
+
+  return AcademicStanding.create({
+    student_id: student.id,
+    academic_year: academicYear,
+    level: student.level,
+    gpa: sessionUnits > 0 ? round2(sessionPoints / sessionUnits) : null,
+    cgpa: record.summary.cgpa,
+    carry_over_units: record.summary.carry_over_units,
+    carry_over_courses: record.summary.carry_overs.map((c) => ({
+      course_id: c.course_id,
+      course_code: c.course_code,
+      course_unit: c.course_unit,
+    })),
+    standing,
+    reason,
+  });
+}
+
 /**
  * Check and progress student level if eligible
  * This is called during course registration to check if student should move to next level
+ * When Config.academicStanding.enabled, the previous session's CGPA and carry-overs decide
+ * whether the student advances (good), repeats the level (probation) or is withdrawn.
+ * Callers must block registration when standing is "withdrawn".
  * 
  * @param {number} studentId - Student ID
  * @param {string} currentAcademicYear - Current academic year (e.g., "2026/2027")
- * @returns {Promise<{progressed: boolean, previousLevel: string|null, newLevel: string|null, reason: string}>}
+ * @returns {Promise<{progressed: boolean, previousLevel: string|null, newLevel: string|null, reason: string, standing?: string, cgpa?: number|null}>}
  */
 export async function checkAndProgressStudentLevel(studentId, currentAcademicYear) {
   try {
@@ -110,16 +189,51 @@ export async function checkAndProgressStudentLevel(studentId, currentAcademicYea
       };
     }
 
-    // Student has both semesters - progress to next level
+    const previousLevel = student.level;
     const newLevel = (currentLevel + 1).toString();
-    
+
+    if (Config.academicStanding.enabled) {
+      // Decided once per session; later calls (e.g. retrying registration) reuse the decision
+      const existing = await AcademicStanding.findOne({
+        where: { student_id: studentId, academic_year: previousAcademicYear },
+      });
+      const decision = existing || (await recordSessionStanding(student, previousAcademicYear));
+      const cgpa = decision.cgpa !== null ? Number(decision.cgpa) : null;
+
+      if (decision.standing !== "good" || existing) {
+        return {
+          progressed: false,
+          previousLevel,
+          newLevel: previousLevel,
+          standing: decision.standing,
+          cgpa,
+          reason:
+            decision.standing === "good"
+              ? `Standing for ${previousAcademicYear} already applied`
+              : `${decision.standing === "probation" ? "On probation" : "Withdrawn"} after ${previousAcademicYear}: ${decision.reason}`,
+        };
+      }
+
+      await student.update({ level: newLevel });
+
+      return {
+        progressed: true,
+        previousLevel,
+        newLevel,
+        standing: "good",
+        cgpa,
+        reason: `Progressed from level ${previousLevel} to ${newLevel} - completed ${previousAcademicYear} in good standing (${decision.reason})`,
+      };
+    }
+
+    // Student has both semesters - progress to next level
     await student.update({ level: newLevel });
 
     return {
       progressed: true,
-      previousLevel: student.level,
+      previousLevel,
       newLevel: newLevel,
-      reason: `Progressed from level ${student.level} to ${newLevel} - completed both semesters of ${previousAcademicYear}`,
+      reason: `Progressed from level ${previousLevel} to ${newLevel} - completed both semesters of ${previousAcademicYear}`,
     };
   } catch (error) {
     console.error(`Error checking/progressing student level for student ${studentId}:`, error);
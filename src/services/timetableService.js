@@ -0,0 +1,509 @@
+/**
+ * Academic calendar and timetable
+ * Weekly timetable slots per course offering, clash detection (venue, staff and a
+ * student's registered courses), and iCalendar (.ics) feeds of a student's or staff
+ * member's timetable, exams and the academic calendar.
+ *
+ * Slot times and calendar dates are local to Config.calendar.timezone; exam times are
+ * stored as instants and written in UTC.
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { Config } from "../config/config.js";
+import { Courses } from "../models/course/courses.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Staff } from "../models/auth/staff.js";
+import { Semester } from "../models/auth/semester.js";
+import { Exam } from "../models/exams/exam.js";
+import {
+  AcademicCalendarEvent,
+  TimetableSlot,
+  CalendarFeedToken,
+} from "../models/calendar/index.js";
+import { academicRegistrationFilter } from "./gradebookService.js";
+import { getCurrentActiveSemester } from "./automaticCourseAllocationService.js";
+
+export const DAY_NAMES = [null, "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const ICS_DAYS = [null, "MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const DAY_MS = 24 * 3600 * 1000;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+const shortTime = (time) => String(time).slice(0, 5);
+
+/**
+ * "9:00" / "09:00" / "09:00:00" → "09:00:00"
+ */
+export function parseTime(value, field) {
+  const match = TIME_PATTERN.exec(String(value ?? "").trim());
+  if (!match) {
+    throw new ErrorClass(`${field} must be a time like 09:00`, 400);
+  }
+  return `${match[1].padStart(2, "0")}:${match[2]}:${match[3] || "00"}`;
+}
+
+/**
+ * Registrations that put a course on the student's timetable (allocated courses are
+ * not registered yet)
+ */
+function registeredFilter() {
+  return {
+    [Op.and]: [
+      academicRegistrationFilter(),
+      {
+        [Op.or]: [
+          { registration_status: null },
+          { registration_status: { [Op.ne]: "allocated" } },
+        ],
+      },
+    ],
+  };
+}
+
+const slotInclude = [
+  { model: Courses, as: "course", attributes: ["id", "title", "course_code", "staff_id"] },
+  { model: Staff, as: "staff", attributes: ["id", "full_name"] },
+];
+
+// Who teaches a slot: its own staff, else the course's
+const slotStaffId = (slot) => slot.staff_id ?? slot.course?.staff_id ?? null;
+
+export function slotsOverlap(a, b) {
+  return (
+    Number(a.day_of_week) === Number(b.day_of_week) &&
+    toMinutes(a.start_time) < toMinutes(b.end_time) &&
+    toMinutes(b.start_time) < toMinutes(a.end_time)
+  );
+}
+
+function describeSlot(slot) {
+  return `${slot.course?.course_code || `course ${slot.course_id}`} (${DAY_NAMES[slot.day_of_week]} ${shortTime(slot.start_time)}-${shortTime(slot.end_time)})`;
+}
+
+/**
+ * Pairs of slots of different courses that overlap
+ */
+export function findClashes(slots) {
+  const clashes = [];
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length; j++) {
+      const [a, b] = [slots[i], slots[j]];
+      if (a.course_id === b.course_id || !slotsOverlap(a, b)) continue;
+      clashes.push({
+        day_of_week: a.day_of_week,
+        slot_ids: [a.id, b.id],
+        course_ids: [a.course_id, b.course_id],
+        message: `${describeSlot(a)} clashes with ${describeSlot(b)}`,
+      });
+    }
+  }
+  return clashes;
+}
+
+export function formatSlot(slot) {
+  const staffId = slotStaffId(slot);
+  return {
+    id: slot.id,
+    course: slot.course
+      ? { id: slot.course.id, title: slot.course.title, course_code: slot.course.course_code }
+      : { id: slot.course_id },
+    academic_year: slot.academic_year,
+    semester: slot.semester,
+    day_of_week: slot.day_of_week,
+    day: DAY_NAMES[slot.day_of_week],
+    start_time: shortTime(slot.start_time),
+    end_time: shortTime(slot.end_time),
+    mode: slot.mode,
+    venue: slot.venue,
+    online_link: slot.online_link,
+    staff: staffId ? { id: staffId, name: slot.staff?.full_name || null } : null,
+    notes: slot.notes,
+  };
+}
+
+/**
+ * Clashes a new/updated slot would cause:
+ * - venue / staff: the same room or lecturer booked at the same time (must be fixed)
+ * - students: other courses at the same time that some of this course's students take
+ * @param {Object} slot - course_id, academic_year, semester, day_of_week, start_time, end_time, mode, venue, staff_id
+ * @param {number} [excludeId] - Slot being updated
+ */
+export async function findSlotConflicts(slot, excludeId) {
+  const course = await Courses.findByPk(slot.course_id, { attributes: ["id", "course_code", "staff_id"] });
+  const candidate = { ...slot, course };
+  const others = await TimetableSlot.findAll({
+    where: {
+      academic_year: slot.academic_year,
+      semester: slot.semester,
+      day_of_week: slot.day_of_week,
+      ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+    },
+    include: slotInclude,
+  });
+  const overlapping = others.filter((other) => slotsOverlap(candidate, other));
+
+  const venueKey = (s) => (s.mode === "in_person" && s.venue ? s.venue.trim().toLowerCase() : null);
+  const venue = overlapping.filter((o) => venueKey(candidate) && venueKey(o) === venueKey(candidate));
+  const staff = overlapping.filter(
+    (o) => slotStaffId(candidate) && slotStaffId(o) === slotStaffId(candidate)
+  );
+
+  const students = [];
+  const otherCourses = overlapping.filter((o) => o.course_id !== slot.course_id);
+  if (otherCourses.length) {
+    const term = { academic_year: slot.academic_year, semester: slot.semester, ...registeredFilter() };
+    const regs = await CourseReg.findAll({
+      where: { ...term, course_id: [slot.course_id, ...otherCourses.map((o) => o.course_id)] },
+      attributes: ["student_id", "course_id"],
+      raw: true,
+    });
+    const ownStudents = new Set(regs.filter((r) => r.course_id === slot.course_id).map((r) => r.student_id));
+    for (const other of otherCourses) {
+      const shared = new Set(
+        regs.filter((r) => r.course_id === other.course_id && ownStudents.has(r.student_id)).map((r) => r.student_id)
+      );
+      if (shared.size) {
+        students.push({
+          slot_id: other.id,
+          course_id: other.course_id,
+          course_code: other.course?.course_code || null,
+          students: shared.size,
+          message: `${shared.size} student(s) also take ${describeSlot(other)}`,
+        });
+      }
+    }
+  }
+
+  return {
+    venue: venue.map((o) => ({ slot_id: o.id, message: `${o.venue} is booked for ${describeSlot(o)}` })),
+    staff: staff.map((o) => ({ slot_id: o.id, message: `The lecturer already teaches ${describeSlot(o)}` })),
+    students,
+  };
+}
+
+/**
+ * Clashes between the timetables of a set of courses (e.g. registered + selected)
+ */
+export async function findCourseClashes(courseIds, academicYear, semester) {
+  if (courseIds.length < 2) return [];
+  const slots = await TimetableSlot.findAll({
+    where: { course_id: courseIds, academic_year: academicYear, semester },
+    include: slotInclude,
+  });
+  return findClashes(slots);
+}
+
+/**
+ * Offering to use: the given academic year/semester, else the current semester
+ */
+export async function resolveTerm(academicYear, semester) {
+  if (academicYear && semester) {
+    return { academicYear: String(academicYear), semester: String(semester).toUpperCase() };
+  }
+  const current = await getCurrentActiveSemester();
+  if (!current) {
+    throw new ErrorClass("No active semester found. Provide academic_year and semester", 404);
+  }
+  return { academicYear: String(current.academic_year), semester: String(current.semester).toUpperCase() };
+}
+
+/**
+ * Timetable of a student's registered courses, with clashes
+ */
+export async function getStudentTimetable(studentId, academicYear, semester) {
+  const regs = await CourseReg.findAll({
+    where: { student_id: studentId, academic_year: academicYear, semester, ...registeredFilter() },
+    attributes: ["course_id"],
+    raw: true,
+  });
+  const courseIds = [...new Set(regs.map((r) => r.course_id))];
+  const slots = courseIds.length
+    ? await TimetableSlot.findAll({
+        where: { course_id: courseIds, academic_year: academicYear, semester },
+        include: slotInclude,
+        order: [["day_of_week", "ASC"], ["start_time", "ASC"]],
+      })
+    : [];
+  return { courseIds, slots, clashes: findClashes(slots) };
+}
+
+/**
+ * Timetable of the slots a staff member teaches (their own, or their courses' without a lecturer set)
+ */
+export async function getStaffTimetable(staffId, academicYear, semester) {
+  const [slots, courses] = await Promise.all([
+    TimetableSlot.findAll({
+      where: {
+        academic_year: academicYear,
+        semester,
+        [Op.or]: [
+          { staff_id: staffId },
+          { staff_id: null, "$course.staff_id$": staffId },
+        ],
+      },
+      include: slotInclude,
+      order: [["day_of_week", "ASC"], ["start_time", "ASC"]],
+    }),
+    Courses.findAll({ where: { staff_id: staffId }, attributes: ["id"], raw: true }),
+  ]);
+  const courseIds = [...new Set([...slots.map((s) => s.course_id), ...courses.map((c) => c.id)])];
+  return { courseIds, slots, clashes: findClashes(slots) };
+}
+
+/**
+ * Semester row of an offering (dates for the calendar)
+ */
+export async function findSemester(academicYear, semester) {
+  return Semester.findOne({
+    where: { academic_year: academicYear, semester },
+    order: [["id", "DESC"]],
+  });
+}
+
+/**
+ * Published exams of the courses in an offering
+ */
+export async function getTermExams(courseIds, academicYear, semester) {
+  if (!courseIds.length) return [];
+  return Exam.findAll({
+    where: {
+      course_id: courseIds,
+      visibility: "published",
+      start_at: { [Op.ne]: null },
+      [Op.and]: [
+        { [Op.or]: [{ academic_year: null }, { academic_year: academicYear }] },
+        { [Op.or]: [{ semester: null }, { semester }] },
+      ],
+    },
+    attributes: ["id", "course_id", "title", "start_at", "end_at", "duration_minutes"],
+    order: [["start_at", "ASC"]],
+  });
+}
+
+// ============================================
+// iCalendar
+// ============================================
+
+const localDate = (date) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: Config.calendar.timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+
+const compactDate = (isoDate) => isoDate.replace(/-/g, "");
+const utcStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+const addDays = (isoDate, days) =>
+  new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+// 1 = Monday ... 7 = Sunday
+const weekday = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getUTCDay() || 7;
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1)
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = " " + rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+}
+
+/**
+ * Lecture period of a term: the lecture_weeks calendar events, else the semester dates
+ */
+function lecturePeriod(semesterRow, calendarEvents) {
+  const lectures = calendarEvents.filter((e) => e.type === "lecture_weeks");
+  if (lectures.length) {
+    return {
+      start: lectures.map((e) => e.start_date).sort()[0],
+      end: lectures.map((e) => e.end_date).sort().at(-1),
+    };
+  }
+  if (!semesterRow?.start_date || !semesterRow?.end_date) return null;
+  return { start: localDate(semesterRow.start_date), end: localDate(semesterRow.end_date) };
+}
+
+function slotEvent(slot, period, holidays, stamp) {
+  let first = period.start;
+  while (weekday(first) !== Number(slot.day_of_week)) first = addDays(first, 1);
+  if (first > period.end) return [];
+
+  const at = (isoDate, time) => `${compactDate(isoDate)}T${String(time).replace(/:/g, "").padEnd(6, "0")}`;
+  const tz = Config.calendar.timezone;
+  const exdates = [];
+  for (let day = first; day <= period.end; day = addDays(day, 7)) {
+    if (holidays.some((h) => h.start_date <= day && day <= h.end_date)) exdates.push(at(day, slot.start_time));
+  }
+
+  const location = slot.mode === "online" ? slot.online_link || "Online" : slot.venue;
+  const description = [
+    slot.course?.title,
+    slot.staff?.full_name ? `Lecturer: ${slot.staff.full_name}` : null,
+    slot.mode === "online" && slot.online_link ? `Join: ${slot.online_link}` : null,
+    slot.notes,
+  ].filter(Boolean);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:timetable-slot-${slot.id}@lms`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${tz}:${at(first, slot.start_time)}`,
+    `DTEND;TZID=${tz}:${at(first, slot.end_time)}`,
+    `RRULE:FREQ=WEEKLY;BYDAY=${ICS_DAYS[slot.day_of_week]};UNTIL=${compactDate(period.end)}T235959Z`,
+    ...(exdates.length ? [`EXDATE;TZID=${tz}:${exdates.join(",")}`] : []),
+    `SUMMARY:${escapeText(`${slot.course?.course_code || "Class"}${slot.course?.title ? ` - ${slot.course.title}` : ""}`)}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(description.length ? [`DESCRIPTION:${escapeText(description.join("\n"))}`] : []),
+    ...(slot.mode === "online" && slot.online_link ? [`URL:${slot.online_link}`] : []),
+    "END:VEVENT",
+  ];
+}
+
+function examEvent(exam, courseById, stamp) {
+  const end = exam.end_at || new Date(new Date(exam.start_at).getTime() + (exam.duration_minutes || 60) * 60000);
+  const course = courseById.get(exam.course_id);
+  return [
+    "BEGIN:VEVENT",
+    `UID:exam-${exam.id}@lms`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${utcStamp(exam.start_at)}`,
+    `DTEND:${utcStamp(end)}`,
+    `SUMMARY:${escapeText(`Exam: ${exam.title}${course?.course_code ? ` (${course.course_code})` : ""}`)}`,
+    ...(exam.duration_minutes ? [`DESCRIPTION:${escapeText(`Duration: ${exam.duration_minutes} minutes`)}`] : []),
+    "END:VEVENT",
+  ];
+}
+
+function calendarEventLines(event, stamp) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:academic-calendar-${event.id}@lms`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${compactDate(event.start_date)}`,
+    `DTEND;VALUE=DATE:${compactDate(addDays(event.end_date, 1))}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    `CATEGORIES:${event.type.toUpperCase()}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+}
+
+/**
+ * .ics calendar of a timetable, exams and academic calendar events
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown in calendar apps
+ * @param {Array} options.slots - TimetableSlot rows (with course, staff)
+ * @param {Array} options.exams - Exam rows
+ * @param {Array} options.courses - Courses rows (id, course_code) for exam titles
+ * @param {Array} options.calendarEvents - AcademicCalendarEvent rows of the term
+ * @param {Object|null} options.semester - Semester row of the term
+ */
+export function buildIcsCalendar({ name, slots = [], exams = [], courses = [], calendarEvents = [], semester = null }) {
+  const stamp = utcStamp(new Date());
+  const period = lecturePeriod(semester, calendarEvents);
+  const holidays = calendarEvents.filter((e) => e.type === "holiday");
+  const courseById = new Map(courses.map((c) => [c.id, c]));
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//LMS//Academic Timetable//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${Config.calendar.timezone}`,
+    ...(period ? slots.flatMap((slot) => slotEvent(slot, period, holidays, stamp)) : []),
+    ...exams.flatMap((exam) => examEvent(exam, courseById, stamp)),
+    ...calendarEvents.flatMap((event) => calendarEventLines(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Calendar of a student's or staff member's current term
+ * @param {"student"|"staff"} userType
+ * @param {number} userId
+ * @param {{ academicYear?: string, semester?: string }} [term]
+ */
+export async function buildUserCalendar(userType, userId, term = {}) {
+  const current = term.academicYear && term.semester ? null : await getCurrentActiveSemester();
+  // Between semesters a subscribed feed stays valid, just empty
+  if (!current && !(term.academicYear && term.semester)) {
+    return buildIcsCalendar({ name: "Timetable" });
+  }
+  const { academicYear, semester } = await resolveTerm(
+    term.academicYear || current.academic_year,
+    term.semester || current.semester
+  );
+  const timetable =
+    userType === "staff"
+      ? await getStaffTimetable(userId, academicYear, semester)
+      : await getStudentTimetable(userId, academicYear, semester);
+
+  const semesterRow = await findSemester(academicYear, semester);
+  const [exams, courses, calendarEvents] = await Promise.all([
+    getTermExams(timetable.courseIds, academicYear, semester),
+    Courses.findAll({ where: { id: timetable.courseIds }, attributes: ["id", "course_code"] }),
+    semesterRow
+      ? AcademicCalendarEvent.findAll({ where: { semester_id: semesterRow.id }, order: [["start_date", "ASC"]] })
+      : [],
+  ]);
+
+  return buildIcsCalendar({
+    name: `Timetable ${academicYear} ${semester} semester`,
+    slots: timetable.slots,
+    exams,
+    courses,
+    calendarEvents,
+    semester: semesterRow,
+  });
+}
+
+// ============================================
+// Feed tokens
+// ============================================
+
+/**
+ * Feed token of a user, created on first use. reset: issue a new one (old URLs stop working).
+ */
+export async function getCalendarFeedToken(userType, userId, { reset = false } = {}) {
+  const existing = await CalendarFeedToken.findOne({ where: { user_type: userType, user_id: userId } });
+  const token = crypto.randomBytes(24).toString("hex");
+  if (existing) {
+    if (reset) await existing.update({ token, last_used_at: null });
+    return existing.token;
+  }
+  const created = await CalendarFeedToken.create({ user_type: userType, user_id: userId, token });
+  return created.token;
+}
+
+/**
+ * Owner of a feed token, or null
+ */
+export async function findCalendarFeedOwner(token) {
+  if (!token || !/^[a-f0-9]{48}$/.test(token)) return null;
+  const row = await CalendarFeedToken.findOne({ where: { token } });
+  if (!row) return null;
+  await row.update({ last_used_at: new Date() });
+  return { userType: row.user_type, userId: row.user_id };
+}
@@ -0,0 +1,455 @@
+/**
+ * Transcript Service
+ * Computes semester GPA / cumulative CGPA from course_reg scores and course units,
+ * and issues verifiable PDF transcripts
+ *
+ * A course counts once it has a result: a published gradebook entry, or (for results
+ * entered before the gradebook existed) a non-zero course_reg total.
+ */
+
+import crypto from "crypto";
+import { Op } from "sequelize";
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { joinFrontendUrl } from "../utils/frontendUrl.js";
+import { CourseReg } from "../models/course_reg.js";
+import { Courses } from "../models/course/courses.js";
+import { Students } from "../models/auth/student.js";
+import { Program } from "../models/program/program.js";
+import { GradebookEntry, Transcript } from "../models/grading/index.js";
+import {
+  getGradingScaleForProgram,
+  resolveGrade,
+  academicRegistrationFilter,
+} from "./gradebookService.js";
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INSTITUTION_NAME = "WPU Learning Management System";
+const SEMESTER_ORDER = { "1ST": 1, 1: 1, "2ND": 2, 2: 2 };
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+function compareSessions(a, b) {
+  if (a.academic_year !== b.academic_year) {
+    return String(a.academic_year).localeCompare(String(b.academic_year));
+  }
+  return (SEMESTER_ORDER[a.semester] || 3) - (SEMESTER_ORDER[b.semester] || 3);
+}
+
+/**
+ * Generate a transcript verification code
+ * Format: TRN-YYYY-XXXXXXXX (e.g., TRN-2026-7K3QX9M2)
+ */
+export function generateTranscriptCode() {
+  const random = Array.from({ length: 8 }, () =>
+    CODE_ALPHABET.charAt(crypto.randomInt(0, CODE_ALPHABET.length))
+  ).join("");
+  return `TRN-${new Date().getFullYear()}-${random}`;
+}
+
+/**
+ * Public page where anyone can verify a transcript (encoded in the QR code)
+ */
+export function getTranscriptVerificationUrl(code) {
+  return joinFrontendUrl(process.env.FRONTEND_URL, `transcripts/verify/${code}`);
+}
+
+/**
+ * Result for one registration, or null while it has none
+ */
+function resolveCourseResult(reg, entry, scale) {
+  if (entry?.status === "published") {
+    return {
+      total: Number(entry.total),
+      grade: entry.grade,
+      grade_point: Number(entry.grade_point || 0),
+    };
+  }
+
+  const total =
+    Number(reg.first_ca || 0) +
+    Number(reg.second_ca || 0) +
+    Number(reg.third_ca || 0) +
+    Number(reg.exam_score || 0);
+
+  // Republish pending (course_reg still has the last published marks), or a legacy result
+  if (entry?.published_at || (!entry && total > 0)) {
+    const { grade, grade_point } = resolveGrade(total, scale);
+    return { total, grade, grade_point };
+  }
+
+  return null;
+}
+
+/**
+ * Academic record for a student: courses, GPA per semester, CGPA and carry-overs
+ * @param {number} studentId
+ * @param {Object} [options]
+ * @param {string} [options.throughAcademicYear] - Ignore sessions after this one (e.g. "2024/2025")
+ */
+export async function computeAcademicRecord(studentId, { throughAcademicYear } = {}) {
+  const student = await Students.findByPk(studentId, {
+    attributes: ["id", "fname", "mname", "lname", "matric_number", "level", "program_id"],
+  });
+  if (!student) {
+    throw new ErrorClass("Student not found", 404);
+  }
+
+  const program = student.program_id
+    ? await Program.findByPk(student.program_id, { attributes: ["id", "title"] })
+    : null;
+  const scale = await getGradingScaleForProgram(student.program_id);
+  const passMark = Number(scale.pass_mark ?? 40);
+
+  const registrations = await CourseReg.findAll({
+    where: {
+      student_id: studentId,
+      academic_year: throughAcademicYear
+        ? { [Op.ne]: null, [Op.lte]: throughAcademicYear }
+        : { [Op.ne]: null },
+      semester: { [Op.ne]: null },
+      ...academicRegistrationFilter(),
+    },
+    include: [
+      {
+        model: Courses,
+        as: "course",
+        attributes: ["id", "title", "course_code", "course_unit"],
+      },
+    ],
+    order: [["id", "ASC"]],
+  });
+
+  const entries = await GradebookEntry.findAll({
+    where: { course_reg_id: registrations.map((r) => r.id) },
+    attributes: ["course_reg_id", "status", "published_at", "total", "grade", "grade_point"],
+  });
+  const entriesByReg = new Map(entries.map((e) => [e.course_reg_id, e]));
+
+  const semestersByKey = new Map();
+  for (const reg of registrations) {
+    const key = `${reg.academic_year}|${reg.semester}`;
+    if (!semestersByKey.has(key)) {
+      semestersByKey.set(key, {
+        academic_year: reg.academic_year,
+        semester: reg.semester,
+        level: reg.level,
+        courses: [],
+      });
+    }
+
+    const result = resolveCourseResult(reg, entriesByReg.get(reg.id), scale);
+    const units = Number(reg.course?.course_unit || 0);
+    semestersByKey.get(key).courses.push({
+      course_id: reg.course_id,
+      course_code: reg.course?.course_code || null,
+      title: reg.course?.title || null,
+      course_unit: units,
+      total: result ? round2(result.total) : null,
+      grade: result?.grade || null,
+      grade_point: result ? result.grade_point : null,
+      passed: result ? result.total >= passMark && result.grade_point > 0 : null,
+      status: result ? "graded" : "pending",
+    });
+  }
+
+  const semesters = [...semestersByKey.values()].sort(compareSessions);
+
+  let cumulativeUnits = 0;
+  let cumulativePoints = 0;
+  let cumulativePassed = 0;
+  for (const semester of semesters) {
+    semester.courses.sort((a, b) => (a.course_code || "").localeCompare(b.course_code || ""));
+    const graded = semester.courses.filter((c) => c.status === "graded");
+    const units = graded.reduce((sum, c) => sum + c.course_unit, 0);
+    const points = graded.reduce((sum, c) => sum + c.course_unit * c.grade_point, 0);
+    const passed = graded.filter((c) => c.passed).reduce((sum, c) => sum + c.course_unit, 0);
+
+    cumulativeUnits += units;
+    cumulativePoints += points;
+    cumulativePassed += passed;
+
+    Object.assign(semester, {
+      units_registered: semester.courses.reduce((sum, c) => sum + c.course_unit, 0),
+      units_attempted: units,
+      units_passed: passed,
+      quality_points: round2(points),
+      gpa: units > 0 ? round2(points / units) : null,
+      cumulative_units: cumulativeUnits,
+      cumulative_quality_points: round2(cumulativePoints),
+      cgpa: cumulativeUnits > 0 ? round2(cumulativePoints / cumulativeUnits) : null,
+    });
+  }
+
+  // Failed courses not passed in a later attempt
+  const carryOvers = [];
+  const passedCourseIds = new Set();
+  for (const semester of [...semesters].reverse()) {
+    for (const course of semester.courses) {
+      if (course.passed) passedCourseIds.add(course.course_id);
+      if (course.passed === false && !passedCourseIds.has(course.course_id)) {
+        passedCourseIds.add(course.course_id);
+        carryOvers.push({
+          course_id: course.course_id,
+          course_code: course.course_code,
+          title: course.title,
+          course_unit: course.course_unit,
+          academic_year: semester.academic_year,
+          semester: semester.semester,
+        });
+      }
+    }
+  }
+
+  return {
+    student: {
+      id: student.id,
+      name: [student.fname, student.mname, student.lname].filter(Boolean).join(" "),
+      matric_number: student.matric_number,
+      level: student.level,
+      program: program ? { id: program.id, title: program.title } : null,
+    },
+    grading_scale: {
+      name: scale.name,
+      pass_mark: passMark,
+      bands: scale.bands,
+    },
+    semesters,
+    summary: {
+      cgpa: cumulativeUnits > 0 ? round2(cumulativePoints / cumulativeUnits) : null,
+      total_units_attempted: cumulativeUnits,
+      total_units_passed: cumulativePassed,
+      total_quality_points: round2(cumulativePoints),
+      carry_overs: carryOvers,
+      carry_over_units: carryOvers.reduce((sum, c) => sum + c.course_unit, 0),
+    },
+  };
+}
+
+function hashRecord(record) {
+  return crypto.createHash("sha256").update(JSON.stringify(record)).digest("hex");
+}
+
+/**
+ * Issue a transcript for the student's current record
+ * Reuses the latest active transcript when the record has not changed since.
+ * @param {number} studentId
+ * @param {{ type: string, id: number }} actor
+ */
+export async function issueTranscript(studentId, actor) {
+  const record = await computeAcademicRecord(studentId);
+  if (record.summary.total_units_attempted === 0) {
+    throw new ErrorClass("No results have been published yet", 400);
+  }
+
+  const contentHash = hashRecord(record);
+  const existing = await Transcript.findOne({
+    where: { student_id: studentId, content_hash: contentHash, status: "active" },
+    order: [["issued_at", "DESC"]],
+  });
+  if (existing) return existing;
+
+  const attributes = {
+    student_id: studentId,
+    student_name: record.student.name,
+    matric_number: record.student.matric_number,
+    program_title: record.student.program?.title || null,
+    cgpa: record.summary.cgpa || 0,
+    total_units: record.summary.total_units_attempted,
+    snapshot: record,
+    content_hash: contentHash,
+    issued_by_type: actor.type,
+    issued_by_id: actor.id,
+    issued_at: new Date(),
+  };
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await Transcript.create({
+        ...attributes,
+        verification_code: generateTranscriptCode(),
+      });
+    } catch (error) {
+      if (error.name !== "SequelizeUniqueConstraintError") throw error;
+    }
+  }
+
+  throw new Error("Could not generate a unique transcript verification code");
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+const formatPoint = (value) => (value === null || value === undefined ? "-" : Number(value).toFixed(2));
+
+/**
+ * Generate transcript PDF from the issued snapshot
+ * Returns PDF buffer
+ */
+export async function generateTranscriptPDF(transcript) {
+  const record = transcript.snapshot;
+  const verificationUrl = getTranscriptVerificationUrl(transcript.verification_code);
+  const qrBuffer = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 200 });
+
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+
+  const left = 50;
+  const right = doc.page.width - 50;
+  const bottomLimit = doc.page.height - 90;
+  const columns = [
+    { label: "Code", x: left, width: 70 },
+    { label: "Course Title", x: left + 75, width: 235 },
+    { label: "Units", x: left + 315, width: 40, align: "right" },
+    { label: "Score", x: left + 360, width: 45, align: "right" },
+    { label: "Grade", x: left + 415, width: 35, align: "center" },
+    { label: "Point", x: left + 455, width: 40, align: "right" },
+  ];
+
+  const ensureSpace = (needed) => {
+    if (doc.y + needed > bottomLimit) {
+      doc.addPage();
+      doc
+        .fillColor("#555555")
+        .font("Helvetica")
+        .fontSize(8)
+        .text(`${transcript.student_name} — ${transcript.verification_code}`, left, 30, {
+          width: right - left,
+          align: "right",
+        });
+      doc.y = 60;
+    }
+  };
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    ensureSpace(16);
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#000000");
+    columns.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ""), col.x, y, {
+        width: col.width,
+        align: col.align || "left",
+        height: 11,
+        ellipsis: true,
+      });
+    });
+    doc.y = y + 14;
+  };
+
+  // Header
+  doc
+    .fillColor("#1F3A93")
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .text(INSTITUTION_NAME, left, 50, { width: right - left, align: "center" });
+  doc
+    .fillColor("#000000")
+    .fontSize(13)
+    .text("ACADEMIC TRANSCRIPT", { width: right - left, align: "center" });
+  doc.moveDown(1);
+
+  doc.font("Helvetica").fontSize(10);
+  doc.text(`Name: ${transcript.student_name}`, left);
+  doc.text(`Matric Number: ${transcript.matric_number || "-"}`);
+  doc.text(`Program: ${transcript.program_title || "-"}`);
+  doc.text(`Date of Issue: ${formatDate(transcript.issued_at)}`);
+  doc.text(`Verification Code: ${transcript.verification_code}`);
+  doc.moveDown(1);
+
+  for (const semester of record.semesters) {
+    ensureSpace(60);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(11)
+      .fillColor("#1F3A93")
+      .text(
+        `${semester.academic_year} — ${semester.semester} Semester${semester.level ? ` (Level ${semester.level})` : ""}`,
+        left
+      );
+    doc.moveDown(0.3);
+    drawRow(columns.map((c) => c.label), { bold: true });
+    doc.lineWidth(0.5).strokeColor("#999999").moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).stroke();
+
+    for (const course of semester.courses) {
+      drawRow([
+        course.course_code || "-",
+        course.title || "-",
+        course.course_unit,
+        course.total ?? "-",
+        course.grade || (course.status === "pending" ? "P" : "-"),
+        course.grade_point ?? "-",
+      ]);
+    }
+
+    ensureSpace(20);
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(9)
+      .text(
+        `Units: ${semester.units_attempted}   GPA: ${formatPoint(semester.gpa)}   CGPA: ${formatPoint(semester.cgpa)}`,
+        left,
+        doc.y + 2,
+        { width: right - left, align: "right" }
+      );
+    doc.moveDown(1);
+  }
+
+  // Summary and verification
+  ensureSpace(130);
+  const summaryY = doc.y;
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(11)
+    .fillColor("#000000")
+    .text(`Cumulative GPA: ${formatPoint(record.summary.cgpa)}`, left, summaryY);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(`Total units attempted: ${record.summary.total_units_attempted}`)
+    .text(`Total units passed: ${record.summary.total_units_passed}`)
+    .text(`Outstanding carry-over units: ${record.summary.carry_over_units}`);
+  doc
+    .fontSize(8)
+    .fillColor("#555555")
+    .text(`P = result pending. Pass mark: ${record.grading_scale.pass_mark}.`)
+    .moveDown(0.5)
+    .text(`Document hash (SHA-256): ${transcript.content_hash}`, { width: right - left - 110 })
+    .text(`Verify at ${verificationUrl}`, { width: right - left - 110 });
+  doc.image(qrBuffer, right - 90, summaryY, { fit: [90, 90] });
+
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+/**
+ * Shape an issued transcript for API responses (without the snapshot)
+ */
+export function formatTranscript(transcript) {
+  return {
+    id: transcript.id,
+    verification_code: transcript.verification_code,
+    student_id: transcript.student_id,
+    student_name: transcript.student_name,
+    matric_number: transcript.matric_number,
+    program_title: transcript.program_title,
+    cgpa: Number(transcript.cgpa),
+    total_units: transcript.total_units,
+    content_hash: transcript.content_hash,
+    status: transcript.status,
+    issued_at: transcript.issued_at,
+    revoked_at: transcript.revoked_at,
+    revocation_reason: transcript.revocation_reason,
+    verification_url: getTranscriptVerificationUrl(transcript.verification_code),
+  };
+}
@@ -0,0 +1,562 @@
+/**
+ * Tutor Analytics Service
+ * Time series and funnels for a tutor's (or organization's) products: revenue per product
+ * type and currency, refunds, new learners, course completions and sales page funnels,
+ * with comparison against the previous period.
+ *
+ * Revenue counts sales that are still paid. Refunded sales drop out of revenue (the
+ * purchase is marked refunded or removed) and show up in the refunds series instead.
+ * Amounts are never converted between currencies.
+ */
+
+import { QueryTypes } from "sequelize";
+import { db } from "../database/database.js";
+import { ErrorClass } from "../utils/errorClass/index.js";
+
+export const ANALYTICS_PERIODS = [
+  "this_month",
+  "last_month",
+  "last_7_days",
+  "last_30_days",
+  "last_90_days",
+  "this_year",
+  "custom",
+];
+export const ANALYTICS_INTERVALS = ["day", "week", "month"];
+export const ANALYTICS_REPORTS = ["revenue", "refunds", "learners", "completion", "funnel"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+const MAX_DAILY_RANGE_DAYS = 186;
+
+// Every paid sale of the owner's products as (product_type, product_id, student_id, amount, earnings, currency, occurred_at).
+// Products granted by a bundle purchase (BUNDLE- references) are counted once, as the bundle sale.
+const SALES_SQL = `
+  SELECT 'course' AS product_type, mt.course_id AS product_id, mt.student_id,
+         mt.course_price AS amount, mt.tutor_earnings AS earnings, mt.currency, mt.created_at AS occurred_at
+  FROM marketplace_transactions mt
+  WHERE mt.owner_type = :ownerType AND mt.owner_id = :ownerId AND mt.payment_status = 'completed'
+  UNION ALL
+  SELECT 'ebook', ep.ebook_id, ep.student_id, ep.price, ep.tutor_earnings, ep.currency, ep.created_at
+  FROM ebook_purchases ep
+  WHERE ep.owner_type = :ownerType AND ep.owner_id = :ownerId AND ep.transaction_ref NOT LIKE 'BUNDLE-%'
+  UNION ALL
+  SELECT 'digital_download', dp.digital_download_id, dp.student_id, dp.price, dp.tutor_earnings, dp.currency, dp.created_at
+  FROM digital_download_purchases dp
+  WHERE dp.owner_type = :ownerType AND dp.owner_id = :ownerId AND dp.transaction_ref NOT LIKE 'BUNDLE-%'
+  UNION ALL
+  SELECT 'community', cp.community_id, cp.student_id, cp.amount, cp.tutor_earnings, cp.currency, cp.created_at
+  FROM community_purchases cp
+  JOIN communities c ON c.id = cp.community_id
+  WHERE c.tutor_type = :ownerType AND c.tutor_id = :ownerId
+  UNION ALL
+  SELECT 'membership', mp.membership_id, mp.student_id, mp.amount, NULL, mp.currency, COALESCE(mp.paid_at, mp.created_at)
+  FROM membership_payments mp
+  JOIN memberships m ON m.id = mp.membership_id
+  WHERE m.tutor_type = :ownerType AND m.tutor_id = :ownerId AND mp.status = 'completed'
+  UNION ALL
+  SELECT 'event_ticket', o.event_id, o.student_id, o.total_amount, o.tutor_earnings, o.currency, COALESCE(o.paid_at, o.created_at)
+  FROM event_ticket_orders o
+  JOIN ticketed_events e ON e.id = o.event_id
+  WHERE e.owner_type = :ownerType AND e.owner_id = :ownerId AND o.status = 'paid'
+  UNION ALL
+  SELECT 'bundle', bp.bundle_id, bp.student_id, bp.price, bp.tutor_earnings, bp.currency, bp.created_at
+  FROM bundle_purchases bp
+  WHERE bp.owner_type = :ownerType AND bp.owner_id = :ownerId AND bp.status = 'completed'
+`;
+
+// Sales pages whose product belongs to the owner
+const OWNED_SALES_PAGES_SQL = `
+  SELECT sp.id, sp.title, sp.slug, sp.product_type, sp.product_id, sp.status
+  FROM product_sales_pages sp
+  WHERE (sp.product_type = 'course' AND sp.product_id IN (SELECT id FROM courses WHERE owner_type = :ownerType AND owner_id = :ownerId))
+     OR (sp.product_type = 'ebook' AND sp.product_id IN (SELECT id FROM ebooks WHERE owner_type = :ownerType AND owner_id = :ownerId))
+     OR (sp.product_type = 'digital_download' AND sp.product_id IN (SELECT id FROM digital_downloads WHERE owner_type = :ownerType AND owner_id = :ownerId))
+     OR (sp.product_type = 'community' AND sp.product_id IN (SELECT id FROM communities WHERE tutor_type = :ownerType AND tutor_id = :ownerId))
+     OR (sp.product_type = 'membership' AND sp.product_id IN (SELECT id FROM memberships WHERE tutor_type = :ownerType AND tutor_id = :ownerId))
+     OR (sp.product_type = 'bundle' AND sp.product_id IN (SELECT id FROM product_bundles WHERE owner_type = :ownerType AND owner_id = :ownerId))
+`;
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+function parseDateParam(value, field) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ErrorClass(`${field} must be a valid date (YYYY-MM-DD)`, 400);
+  }
+  return startOfDay(date);
+}
+
+/**
+ * Resolve the reporting range from query params. Ranges are [start, end) in UTC;
+ * end_date is inclusive in the request.
+ * @returns {{ period, start, end, interval, previous: { start, end } | null }}
+ */
+export function resolveAnalyticsRange(query = {}, now = new Date()) {
+  const period = query.period || (query.start_date ? "custom" : "last_30_days");
+  if (!ANALYTICS_PERIODS.includes(period)) {
+    throw new ErrorClass(`period must be one of: ${ANALYTICS_PERIODS.join(", ")}`, 400);
+  }
+
+  const today = startOfDay(now);
+  const tomorrow = addDays(today, 1);
+  const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+  let start;
+  let end = tomorrow;
+  let previous;
+
+  switch (period) {
+    case "this_month":
+      start = monthStart;
+      // Same number of days at the start of last month, so partial months compare fairly
+      previous = {
+        start: addMonths(monthStart, -1),
+        end: new Date(Math.min(addMonths(monthStart, -1).getTime() + (end - start), monthStart.getTime())),
+      };
+      break;
+    case "last_month":
+      start = addMonths(monthStart, -1);
+      end = monthStart;
+      previous = { start: addMonths(monthStart, -2), end: start };
+      break;
+    case "this_year":
+      start = new Date(Date.UTC(today.getUTCFullYear(), 0, 1));
+      previous = {
+        start: new Date(Date.UTC(today.getUTCFullYear() - 1, 0, 1)),
+        end: new Date(Date.UTC(today.getUTCFullYear() - 1, today.getUTCMonth(), today.getUTCDate() + 1)),
+      };
+      break;
+    case "custom":
+      start = parseDateParam(query.start_date, "start_date");
+      end = addDays(parseDateParam(query.end_date || today.toISOString(), "end_date"), 1);
+      break;
+    default: {
+      const days = { last_7_days: 7, last_30_days: 30, last_90_days: 90 }[period];
+      start = addDays(tomorrow, -days);
+    }
+  }
+
+  if (start >= end) {
+    throw new ErrorClass("start_date must be on or before end_date", 400);
+  }
+  const rangeDays = Math.round((end - start) / DAY_MS);
+  if (rangeDays > MAX_RANGE_DAYS) {
+    throw new ErrorClass(`The date range can be at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  if (!previous) {
+    previous = { start: new Date(start.getTime() - (end - start)), end: start };
+  }
+
+  let interval = query.interval;
+  if (interval === undefined) {
+    interval = rangeDays <= 62 ? "day" : rangeDays <= 366 ? "week" : "month";
+  }
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw new ErrorClass(`interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`, 400);
+  }
+  if (interval === "day" && rangeDays > MAX_DAILY_RANGE_DAYS) {
+    throw new ErrorClass(`Use interval=week or month for ranges over ${MAX_DAILY_RANGE_DAYS} days`, 400);
+  }
+
+  return {
+    period,
+    start,
+    end,
+    interval,
+    previous: query.compare === "false" ? null : previous,
+  };
+}
+
+/**
+ * Bucket start dates covering the range (matches Postgres date_trunc; weeks start on Monday)
+ */
+function listPeriods(start, end, interval) {
+  let cursor = startOfDay(start);
+  if (interval === "week") {
+    cursor = addDays(cursor, -((cursor.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth(), 1));
+  }
+
+  const periods = [];
+  while (cursor < end) {
+    periods.push(formatDay(cursor));
+    cursor =
+      interval === "month" ? addMonths(cursor, 1) : addDays(cursor, interval === "week" ? 7 : 1);
+  }
+  return periods;
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function toAmount(value) {
+  return parseFloat(parseFloat(value || 0).toFixed(2));
+}
+
+function percentChange(current, previous) {
+  if (!previous) return current ? null : 0;
+  return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+}
+
+function selectRows(sql, replacements) {
+  return db.query(sql, { replacements, type: QueryTypes.SELECT });
+}
+
+function rangeReplacements(owner, start, end, interval) {
+  return {
+    ownerType: owner.ownerType,
+    ownerId: owner.ownerId,
+    start,
+    end,
+    interval: interval || "day",
+  };
+}
+
+/**
+ * Revenue and sales per period, product type and currency
+ */
+export async function getRevenueSeries(owner, { start, end, interval }) {
+  const rows = await selectRows(
+    `WITH sales AS (${SALES_SQL})
+     SELECT to_char(date_trunc(:interval, occurred_at), 'YYYY-MM-DD') AS period, product_type, currency,
+            SUM(amount) AS revenue, SUM(earnings) AS earnings, COUNT(*) AS sales
+     FROM sales
+     WHERE occurred_at >= :start AND occurred_at < :end
+     GROUP BY 1, 2, 3
+     ORDER BY 1, 2, 3`,
+    rangeReplacements(owner, start, end, interval)
+  );
+
+  return rows.map((row) => ({
+    period: row.period,
+    product_type: row.product_type,
+    currency: row.currency,
+    revenue: toAmount(row.revenue),
+    earnings: row.earnings === null ? null : toAmount(row.earnings),
+    sales: parseInt(row.sales),
+  }));
+}
+
+/**
+ * Processed refunds per period, product type and currency
+ */
+export async function getRefundSeries(owner, { start, end, interval }) {
+  const rows = await selectRows(
+    `SELECT to_char(date_trunc(:interval, COALESCE(processed_at, updated_at)), 'YYYY-MM-DD') AS period, product_type, currency,
+            SUM(amount) AS amount, SUM(tutor_debit_amount) AS tutor_debit, COUNT(*) AS refunds
+     FROM refund_requests
+     WHERE owner_type = :ownerType AND owner_id = :ownerId AND status = 'processed'
+       AND COALESCE(processed_at, updated_at) >= :start AND COALESCE(processed_at, updated_at) < :end
+     GROUP BY 1, 2, 3
+     ORDER BY 1, 2, 3`,
+    rangeReplacements(owner, start, end, interval)
+  );
+
+  return rows.map((row) => ({
+    period: row.period,
+    product_type: row.product_type,
+    currency: row.currency,
+    amount: toAmount(row.amount),
+    tutor_debit: toAmount(row.tutor_debit),
+    refunds: parseInt(row.refunds),
+  }));
+}
+
+/**
+ * Learners whose first purchase from the owner falls in each period
+ */
+export async function getNewLearnerSeries(owner, { start, end, interval }) {
+  const rows = await selectRows(
+    `WITH sales AS (${SALES_SQL}),
+     first_purchase AS (
+       SELECT student_id, MIN(occurred_at) AS first_at
+       FROM sales
+       WHERE student_id IS NOT NULL
+       GROUP BY student_id
+     )
+     SELECT to_char(date_trunc(:interval, first_at), 'YYYY-MM-DD') AS period, COUNT(*) AS new_learners
+     FROM first_purchase
+     WHERE first_at >= :start AND first_at < :end
+     GROUP BY 1
+     ORDER BY 1`,
+    rangeReplacements(owner, start, end, interval)
+  );
+
+  return rows.map((row) => ({
+    period: row.period,
+    new_learners: parseInt(row.new_learners),
+  }));
+}
+
+/**
+ * Course starts and completions per period, plus each course's completion rate
+ */
+export async function getCompletionStats(owner, { start, end, interval }) {
+  const replacements = rangeReplacements(owner, start, end, interval);
+
+  const [series, courses] = await Promise.all([
+    selectRows(
+      `SELECT period, SUM(started) AS started, SUM(completed) AS completed
+       FROM (
+         SELECT to_char(date_trunc(:interval, started_at), 'YYYY-MM-DD') AS period, 1 AS started, 0 AS completed
+         FROM course_progress
+         WHERE tutor_type = :ownerType AND tutor_id = :ownerId AND started_at >= :start AND started_at < :end
+         UNION ALL
+         SELECT to_char(date_trunc(:interval, completed_at), 'YYYY-MM-DD'), 0, 1
+         FROM course_progress
+         WHERE tutor_type = :ownerType AND tutor_id = :ownerId AND is_completed = true
+           AND completed_at >= :start AND completed_at < :end
+       ) events
+       GROUP BY period
+       ORDER BY period`,
+      replacements
+    ),
+    selectRows(
+      `SELECT cp.course_id, c.title, COUNT(*) AS learners,
+              COUNT(*) FILTER (WHERE cp.is_completed = true) AS completed,
+              AVG(cp.completion_percentage) AS average_progress
+       FROM course_progress cp
+       LEFT JOIN courses c ON c.id = cp.course_id
+       WHERE cp.tutor_type = :ownerType AND cp.tutor_id = :ownerId
+       GROUP BY cp.course_id, c.title
+       ORDER BY learners DESC`,
+      replacements
+    ),
+  ]);
+
+  return {
+    series: series.map((row) => ({
+      period: row.period,
+      started: parseInt(row.started),
+      completed: parseInt(row.completed),
+    })),
+    courses: courses.map((row) => {
+      const learners = parseInt(row.learners);
+      const completed = parseInt(row.completed);
+      return {
+        course_id: row.course_id,
+        title: row.title,
+        learners,
+        completed,
+        completion_rate: learners ? parseFloat(((completed / learners) * 100).toFixed(1)) : 0,
+        average_progress: toAmount(row.average_progress),
+      };
+    }),
+  };
+}
+
+/**
+ * View-to-purchase funnel per sales page. A purchase counts as "from the page" when the
+ * buyer viewed the page while signed in before buying.
+ */
+export async function getSalesPageFunnels(owner, { start, end }) {
+  const rows = await selectRows(
+    `WITH pages AS (${OWNED_SALES_PAGES_SQL}),
+     sales AS (${SALES_SQL}),
+     views AS (
+       SELECT v.* FROM sales_page_views v
+       JOIN pages p ON p.id = v.sales_page_id
+       WHERE v.viewed_at >= :start AND v.viewed_at < :end
+     )
+     SELECT p.id, p.title, p.slug, p.product_type, p.product_id, p.status,
+       (SELECT COUNT(*) FROM views v WHERE v.sales_page_id = p.id) AS views,
+       (SELECT COUNT(DISTINCT COALESCE(v.user_type || ':' || v.user_id, v.ip_address))
+          FROM views v WHERE v.sales_page_id = p.id) AS unique_visitors,
+       (SELECT COUNT(DISTINCT v.user_id) FROM views v
+          WHERE v.sales_page_id = p.id AND v.user_type = 'student') AS signed_in_visitors,
+       (SELECT COUNT(*) FROM sales s
+          WHERE s.product_type = p.product_type AND s.product_id = p.product_id
+            AND s.occurred_at >= :start AND s.occurred_at < :end) AS purchases,
+       (SELECT COUNT(*) FROM sales s
+          WHERE s.product_type = p.product_type AND s.product_id = p.product_id
+            AND s.occurred_at >= :start AND s.occurred_at < :end
+            AND EXISTS (
+              SELECT 1 FROM views v
+              WHERE v.sales_page_id = p.id AND v.user_type = 'student'
+                AND v.user_id = s.student_id AND v.viewed_at <= s.occurred_at
+            )) AS purchases_from_page
+     FROM pages p
+     ORDER BY views DESC, p.id`,
+    rangeReplacements(owner, start, end)
+  );
+
+  return rows.map((row) => {
+    const uniqueVisitors = parseInt(row.unique_visitors);
+    const purchasesFromPage = parseInt(row.purchases_from_page);
+    return {
+      sales_page_id: row.id,
+      title: row.title,
+      slug: row.slug,
+      status: row.status,
+      product_type: row.product_type,
+      product_id: row.product_id,
+      views: parseInt(row.views),
+      unique_visitors: uniqueVisitors,
+      signed_in_visitors: parseInt(row.signed_in_visitors),
+      purchases: parseInt(row.purchases),
+      purchases_from_page: purchasesFromPage,
+      conversion_rate: uniqueVisitors
+        ? parseFloat(((purchasesFromPage / uniqueVisitors) * 100).toFixed(2))
+        : 0,
+    };
+  });
+}
+
+/**
+ * Headline totals for a range (revenue and refunds per currency)
+ */
+async function getTotals(owner, range) {
+  const [revenue, refunds, newLearners, completion, funnels] = await Promise.all([
+    getRevenueSeries(owner, range),
+    getRefundSeries(owner, range),
+    getNewLearnerSeries(owner, range),
+    getCompletionStats(owner, range),
+    getSalesPageFunnels(owner, range),
+  ]);
+
+  const byCurrency = {};
+  const currency = (code) =>
+    (byCurrency[code] ||= { revenue: 0, earnings: 0, sales: 0, refunded: 0, refunds: 0 });
+  for (const row of revenue) {
+    const totals = currency(row.currency);
+    totals.revenue = toAmount(totals.revenue + row.revenue);
+    totals.earnings = toAmount(totals.earnings + (row.earnings || 0));
+    totals.sales += row.sales;
+  }
+  for (const row of refunds) {
+    const totals = currency(row.currency);
+    totals.refunded = toAmount(totals.refunded + row.amount);
+    totals.refunds += row.refunds;
+  }
+
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+  const uniqueVisitors = sum(funnels, "unique_visitors");
+  const purchasesFromPages = sum(funnels, "purchases_from_page");
+
+  return {
+    by_currency: byCurrency,
+    sales: sum(revenue, "sales"),
+    refunds: sum(refunds, "refunds"),
+    new_learners: sum(newLearners, "new_learners"),
+    course_starts: sum(completion.series, "started"),
+    course_completions: sum(completion.series, "completed"),
+    sales_page_views: sum(funnels, "views"),
+    sales_page_visitors: uniqueVisitors,
+    sales_page_purchases: purchasesFromPages,
+    sales_page_conversion_rate: uniqueVisitors
+      ? parseFloat(((purchasesFromPages / uniqueVisitors) * 100).toFixed(2))
+      : 0,
+  };
+}
+
+function compareTotals(current, previous) {
+  const change = {};
+  for (const key of Object.keys(current)) {
+    if (key === "by_currency") continue;
+    change[key] = percentChange(current[key], previous[key]);
+  }
+  change.by_currency = {};
+  for (const code of new Set([...Object.keys(current.by_currency), ...Object.keys(previous.by_currency)])) {
+    const now = current.by_currency[code] || {};
+    const before = previous.by_currency[code] || {};
+    change.by_currency[code] = {
+      revenue: percentChange(now.revenue || 0, before.revenue || 0),
+      earnings: percentChange(now.earnings || 0, before.earnings || 0),
+      sales: percentChange(now.sales || 0, before.sales || 0),
+      refunded: percentChange(now.refunded || 0, before.refunded || 0),
+    };
+  }
+  return change;
+}
+
+function describeRange(range) {
+  return {
+    start_date: formatDay(range.start),
+    end_date: formatDay(addDays(range.end, -1)),
+  };
+}
+
+/**
+ * Totals for the range and, unless disabled, the previous period with % change
+ */
+export async function getAnalyticsOverview(owner, range) {
+  const current = await getTotals(owner, range);
+  const result = {
+    period: range.period,
+    range: describeRange(range),
+    totals: current,
+  };
+
+  if (range.previous) {
+    const previous = await getTotals(owner, range.previous);
+    result.previous = { range: describeRange(range.previous), totals: previous };
+    result.change_percent = compareTotals(current, previous);
+  }
+
+  return result;
+}
+
+/**
+ * Series for one report, with the list of periods so charts can fill gaps with zeros
+ */
+export async function getAnalyticsReport(owner, report, range) {
+  const base = {
+    period: range.period,
+    range: describeRange(range),
+    interval: range.interval,
+    periods: listPeriods(range.start, range.end, range.interval),
+  };
+
+  switch (report) {
+    case "revenue":
+      return { ...base, rows: await getRevenueSeries(owner, range) };
+    case "refunds":
+      return { ...base, rows: await getRefundSeries(owner, range) };
+    case "learners":
+      return { ...base, rows: await getNewLearnerSeries(owner, range) };
+    case "completion": {
+      const completion = await getCompletionStats(owner, range);
+      return { ...base, rows: completion.series, courses: completion.courses };
+    }
+    case "funnel":
+      return { ...base, rows: await getSalesPageFunnels(owner, range) };
+    default:
+      throw new ErrorClass(`report must be one of: ${ANALYTICS_REPORTS.join(", ")}`, 400);
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  // Text such as learner names starting with = + - @ would run as a spreadsheet formula;
+  // numbers (including negative ones) are left alone
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of a report's rows (the per-course table for "completion" when courses=true)
+ */
+export function analyticsReportToCsv(data, { courses = false } = {}) {
+  const rows = courses ? data.courses || [] : data.rows;
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))].join(
+    "\n"
+  );
+}
@@ -0,0 +1,426 @@
+/**
+ * Webhook Service
+ * Outbound, HMAC-signed event notifications for tutors and organizations.
+ *
+ * emitWebhookEvent() stores one delivery per subscribed endpoint and tries it straight away.
+ * Failed deliveries are retried with exponential backoff by the webhook-delivery-retry job
+ * (1, 2, 4 … minutes, up to MAX_ATTEMPTS). An endpoint whose deliveries keep failing is
+ * disabled automatically.
+ *
+ * Signature: X-WSP-Signature = "sha256=" + HMAC_SHA256(secret, `${X-WSP-Timestamp}.${raw body}`)
+ */
+
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import axios from "axios";
+import { Op } from "sequelize";
+import { ErrorClass } from "../utils/errorClass/index.js";
+import { TutorWebhook } from "../models/marketplace/tutorWebhook.js";
+import { WebhookDelivery } from "../models/marketplace/webhookDelivery.js";
+
+export const WEBHOOK_EVENTS = {
+  "purchase.completed": "A learner bought one of your products",
+  "enrollment.created": "A learner was enrolled in one of your courses",
+  "course.completed": "A learner completed one of your courses",
+  "membership.subscribed": "A learner subscribed to one of your memberships",
+  "membership.renewed": "A learner re-subscribed to a membership they had before",
+  "membership.cancelled": "A learner cancelled a membership subscription",
+  "ticket.checked_in": "An event ticket was checked in",
+  "payout.completed": "A payout to your bank account succeeded",
+};
+
+export const MAX_WEBHOOKS_PER_OWNER = 10;
+export const MAX_ATTEMPTS = 8;
+
+const RETRY_BASE_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 2048;
+const AUTO_DISABLE_AFTER = 20;
+const RETRY_BATCH_SIZE = 100;
+// Deliveries being attempted are pushed this far ahead so the retry job does not pick them up too
+const ATTEMPT_LEASE_MS = 2 * 60 * 1000;
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 10 ||
+      a === 127 ||
+      a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127)
+    );
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith("::ffff:")) return isPrivateAddress(lower.slice(7));
+  return (
+    lower === "::1" ||
+    lower === "::" ||
+    lower.startsWith("fc") ||
+    lower.startsWith("fd") ||
+    lower.startsWith("fe80")
+  );
+}
+
+/**
+ * Validate an endpoint URL. HTTPS only in production; never internal addresses.
+ * @returns {string} normalized URL
+ */
+export function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || "").trim());
+  } catch (error) {
+    throw new ErrorClass("url must be a valid URL", 400);
+  }
+
+  const allowHttp = process.env.NODE_ENV !== "production";
+  if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) {
+    throw new ErrorClass("url must use https", 400);
+  }
+  if (url.username || url.password) {
+    throw new ErrorClass("url must not contain credentials", 400);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    (net.isIP(host) && isPrivateAddress(host))
+  ) {
+    throw new ErrorClass("url must be a public address", 400);
+  }
+  return url.toString();
+}
+
+/**
+ * Validate a list of event names (at least one)
+ */
+export function normalizeWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ErrorClass("events must be a non-empty array", 400);
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS[event]);
+  if (unknown.length) {
+    throw new ErrorClass(
+      `Unknown events: ${unknown.join(", ")}. Allowed: ${Object.keys(WEBHOOK_EVENTS).join(", ")}`,
+      400
+    );
+  }
+  return [...new Set(events)];
+}
+
+/**
+ * Resolve the host at send time too, so a public name cannot later point inside our network
+ */
+async function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("Endpoint resolves to a private address");
+  }
+}
+
+function buildPayload(event, eventId, data) {
+  return {
+    id: eventId,
+    event,
+    created_at: new Date().toISOString(),
+    data,
+  };
+}
+
+function retryDelayMs(attempts) {
+  return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+}
+
+async function recordExhausted(webhook) {
+  const failures = webhook.consecutive_failures + 1;
+  const updates = { consecutive_failures: failures };
+  if (failures >= AUTO_DISABLE_AFTER && webhook.status === "active") {
+    updates.status = "disabled";
+    updates.disabled_reason = `Disabled after ${failures} failed deliveries in a row`;
+  }
+  await webhook.update(updates);
+}
+
+/**
+ * Send one delivery. Claims the row first so the immediate attempt and the retry job
+ * never send the same delivery twice.
+ * @returns {Promise<Object|null>} updated WebhookDelivery, or null when not due / already claimed
+ */
+export async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const [claimed] = await WebhookDelivery.update(
+    { next_attempt_at: new Date(now.getTime() + ATTEMPT_LEASE_MS) },
+    {
+      where: {
+        id: deliveryId,
+        status: "pending",
+        next_attempt_at: { [Op.lte]: now },
+      },
+    }
+  );
+  if (!claimed) return null;
+
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: TutorWebhook, as: "webhook" }],
+  });
+  const { webhook } = delivery;
+
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let errorMessage = null;
+
+  if (webhook.status !== "active" && delivery.event !== "ping") {
+    errorMessage = "Webhook is disabled";
+  } else {
+    try {
+      await assertPublicHost(webhook.url);
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "WSP-Webhooks/1.0",
+          "X-WSP-Event": delivery.event,
+          "X-WSP-Delivery": String(delivery.id),
+          "X-WSP-Event-Id": delivery.event_id,
+          "X-WSP-Timestamp": timestamp,
+          "X-WSP-Signature": `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: 1024 * 1024,
+        responseType: "text",
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+      });
+      responseStatus = response.status;
+      responseBody =
+        typeof response.data === "string" ? response.data.slice(0, RESPONSE_BODY_LIMIT) : null;
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+  }
+
+  const finishedAt = new Date();
+  const succeeded = !errorMessage;
+  const skipped = errorMessage === "Webhook is disabled";
+  // Disabled endpoints and pings are not retried
+  const retry = !succeeded && !skipped && attempts < MAX_ATTEMPTS && delivery.event !== "ping";
+
+  await delivery.update({
+    attempts,
+    status: succeeded ? "succeeded" : retry ? "pending" : "failed",
+    next_attempt_at: retry ? new Date(finishedAt.getTime() + retryDelayMs(attempts)) : null,
+    last_attempt_at: finishedAt,
+    response_status: responseStatus,
+    response_body: responseBody,
+    error_message: errorMessage ? errorMessage.slice(0, 500) : null,
+    duration_ms: finishedAt - startedAt,
+    delivered_at: succeeded ? finishedAt : null,
+  });
+
+  if (delivery.event !== "ping") {
+    if (succeeded) {
+      await webhook.update({
+        last_delivery_at: finishedAt,
+        last_success_at: finishedAt,
+        consecutive_failures: 0,
+      });
+    } else {
+      await webhook.update({ last_delivery_at: finishedAt });
+      if (!retry && !skipped) {
+        await recordExhausted(webhook);
+      }
+    }
+  }
+
+  return delivery;
+}
+
+function attemptInBackground(deliveryId) {
+  attemptDelivery(deliveryId).catch((error) =>
+    console.error(`Webhook delivery ${deliveryId} failed:`, error.message)
+  );
+}
+
+/**
+ * Notify every active endpoint of the owner that subscribed to the event.
+ * Never throws and does not wait for the HTTP requests: webhooks must not slow down or
+ * break the action that triggered them.
+ *
+ * @param {string} ownerType - sole_tutor | organization (anything else is ignored)
+ * @param {number} ownerId
+ * @param {string} event - key of WEBHOOK_EVENTS
+ * @param {Object} data - event payload
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function emitWebhookEvent(ownerType, ownerId, event, data) {
+  if (!["sole_tutor", "organization"].includes(ownerType) || !ownerId) return 0;
+
+  try {
+    const webhooks = await TutorWebhook.findAll({
+      where: {
+        owner_type: ownerType,
+        owner_id: ownerId,
+        status: "active",
+        events: { [Op.contains]: [event] },
+      },
+      attributes: ["id"],
+    });
+    if (!webhooks.length) return 0;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = buildPayload(event, eventId, data);
+    const deliveries = await WebhookDelivery.bulkCreate(
+      webhooks.map((webhook) => ({
+        webhook_id: webhook.id,
+        event,
+        event_id: eventId,
+        payload,
+        status: "pending",
+        next_attempt_at: new Date(),
+      }))
+    );
+
+    deliveries.forEach((delivery) => attemptInBackground(delivery.id));
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Send a ping to one endpoint and wait for the result (not retried)
+ */
+export async function sendTestPing(webhook) {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const delivery = await WebhookDelivery.create({
+    webhook_id: webhook.id,
+    event: "ping",
+    event_id: eventId,
+    payload: buildPayload("ping", eventId, {
+      webhook_id: webhook.id,
+      message: "Test delivery",
+    }),
+    status: "pending",
+    next_attempt_at: new Date(),
+  });
+  return (await attemptDelivery(delivery.id)) || delivery;
+}
+
+/**
+ * Send a past delivery again as a new delivery (same event id and payload)
+ */
+export async function replayDelivery(delivery) {
+  const replay = await WebhookDelivery.create({
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    payload: delivery.payload,
+    status: "pending",
+    next_attempt_at: new Date(),
+    replay_of: delivery.id,
+  });
+  return (await attemptDelivery(replay.id)) || replay;
+}
+
+/**
+ * Retry pending deliveries that are due (scheduled job)
+ */
+export async function processDueWebhookDeliveries(now = new Date()) {
+  const due = await WebhookDelivery.findAll({
+    where: { status: "pending", next_attempt_at: { [Op.lte]: now } },
+    attributes: ["id"],
+    order: [["next_attempt_at", "ASC"]],
+    limit: RETRY_BATCH_SIZE,
+  });
+
+  let succeeded = 0;
+  let failed = 0;
+  for (const { id } of due) {
+    try {
+      const delivery = await attemptDelivery(id);
+      if (delivery?.status === "succeeded") succeeded++;
+      else if (delivery) failed++;
+    } catch (error) {
+      console.error(`Webhook delivery ${id} retry failed:`, error.message);
+      failed++;
+    }
+  }
+
+  // Endpoint failures are expected; the job itself only fails on our own errors
+  return { success: true, checked: due.length, succeeded, failed };
+}
+
+/**
+ * Learner fields included in event payloads
+ */
+export function webhookLearner(student) {
+  if (!student) return null;
+  return {
+    id: student.id,
+    name: [student.fname, student.lname].filter(Boolean).join(" ") || null,
+    email: student.email || null,
+  };
+}
+
+export function formatWebhook(webhook, { includeSecret = false } = {}) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    status: webhook.status,
+    disabled_reason: webhook.disabled_reason,
+    consecutive_failures: webhook.consecutive_failures,
+    ...(includeSecret
+      ? { secret: webhook.secret }
+      : { secret_hint: `${webhook.secret.slice(0, 6)}…${webhook.secret.slice(-4)}` }),
+    last_delivery_at: webhook.last_delivery_at,
+    last_success_at: webhook.last_success_at,
+    created_at: webhook.created_at,
+    updated_at: webhook.updated_at,
+  };
+}
+
+export function formatDelivery(delivery, { includeBody = false } = {}) {
+  return {
+    id: delivery.id,
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    event_id: delivery.event_id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.next_attempt_at,
+    last_attempt_at: delivery.last_attempt_at,
+    response_status: delivery.response_status,
+    error_message: delivery.error_message,
+    duration_ms: delivery.duration_ms,
+    replay_of: delivery.replay_of,
+    delivered_at: delivery.delivered_at,
+    created_at: delivery.created_at,
+    ...(includeBody
+      ? { payload: delivery.payload, response_body: delivery.response_body }
+      : {}),
+  };
+}
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+
+export const API_KEY_PREFIX = "wsp_live_";
+
+export const API_KEY_SCOPES = {
+  "learners:read": "Learners, their enrollments, activity and course progress",
+  "sales:read": "Earnings summary and sales transactions",
+  "enrollments:write": "Enroll learners in the organization's courses",
+};
+
+export function generateRawOrgApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function hashApiKey(rawKey) {
+  return crypto.createHash("sha256").update(String(rawKey).trim(), "utf8").digest("hex");
+}
+
+/**
+ * Key sent as "Authorization: Bearer wsp_live_..." or "X-API-Key: wsp_live_..."
+ */
+export function readApiKeyFromRequest(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header).trim();
+  const [scheme, token] = String(req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && token?.startsWith(API_KEY_PREFIX)) return token.trim();
+  return null;
+}
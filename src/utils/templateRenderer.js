@@ -6,6 +6,57 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Read an email template file
+ * @param {string} templateName - Name of the template (without .html extension)
+ * @returns {Promise<string>} - Raw template HTML
+ */
+export async function loadTemplateFile(templateName) {
+  const templatePath = path.join(
+    __dirname,
+    "..",
+    "templates",
+    "emails",
+    `${templateName}.html`
+  );
+  return fs.readFile(templatePath, "utf-8");
+}
+
+/**
+ * Render a template string: {{#if key}}...{{else}}...{{/if}} blocks (not nested),
+ * then {{key}} placeholders. Placeholders without data are left as they are.
+ * @param {string} template - Template text
+ * @param {Object} data - Data to replace in template
+ * @returns {string} - Rendered text
+ */
+export function renderString(template, data = {}) {
+  let output = template.replace(
+    /{{#if\s+(\w+)\s*}}([\s\S]*?)(?:{{else}}([\s\S]*?))?{{\/if}}/g,
+    (match, key, whenTrue, whenFalse = "") => (data[key] ? whenTrue : whenFalse)
+  );
+
+  // Replace all placeholders {{key}} with corresponding data values
+  Object.keys(data).forEach((key) => {
+    const placeholder = new RegExp(`{{\\s*${key}\\s*}}`, "g");
+    output = output.replace(placeholder, () => data[key] ?? "");
+  });
+
+  return output;
+}
+
+/**
+ * Names used in a template as {{key}} or {{#if key}}
+ * @param {string} template - Template text
+ * @returns {string[]}
+ */
+export function extractPlaceholders(template) {
+  const names = new Set();
+  for (const [, name] of String(template).matchAll(/{{\s*(?:#if\s+)?(\w+)\s*}}/g)) {
+    if (name !== "else") names.add(name);
+  }
+  return [...names];
+}
+
 /**
  * Render an email template with provided data
  * @param {string} templateName - Name of the template (without .html extension)
@@ -14,25 +65,8 @@ const __dirname = path.dirname(__filename);
  */
 export async function renderTemplate(templateName, data = {}) {
   try {
-    // Build path to template file
-    const templatePath = path.join(
-      __dirname,
-      "..",
-      "templates",
-      "emails",
-      `${templateName}.html`
-    );
-
-    // Read template file
-    let template = await fs.readFile(templatePath, "utf-8");
-
-    // Replace all placeholders {{key}} with corresponding data values
-    Object.keys(data).forEach((key) => {
-      const placeholder = new RegExp(`{{\\s*${key}\\s*}}`, "g");
-      template = template.replace(placeholder, data[key] || "");
-    });
-
-    return template;
+    const template = await loadTemplateFile(templateName);
+    return renderString(template, data);
   } catch (error) {
     console.error(`Error rendering template ${templateName}:`, error);
     throw new Error(`Failed to render email template: ${templateName}`);